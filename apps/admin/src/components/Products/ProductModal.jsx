@@ -8,7 +8,7 @@
  * File Path: /apps/admin/src/components/Products/ProductModal.jsx
  */
 
-import React, { useState, useEffect, useRef } from 'react';
+import React, { useState, useEffect, useMemo, useRef } from 'react';
 import { 
   X, Plus, Trash2, Save, Upload, Image as ImageIcon,
   AlertCircle, Info, ChevronDown, ChevronUp, Sparkles,
@@ -48,6 +48,19 @@ const ALLERGENS = [
   { id: 'molluscs', label: 'Weichtiere', icon: '🦑' }
 ];
 
+// Fields of the computed declaration shown in the nutrition form
+const NUTRITION_FIELDS = {
+  calories: 'calories',
+  protein: 'protein',
+  carbs: 'carbohydrates',
+  fat: 'fat',
+  fiber: 'fiber',
+  sugar: 'sugar',
+  salt: 'salt'
+};
+
+const getAllergenLabel = (id) => ALLERGENS.find(allergen => allergen.id === id)?.label || id;
+
 const DIETARY_LABELS = [
   { id: 'vegan', label: 'Vegan', color: '#4CAF50', icon: '🌱' },
   { id: 'vegetarian', label: 'Vegetarisch', color: '#8BC34A', icon: '🥗' },
@@ -162,6 +175,23 @@ const ProductModal = ({
     combo: false
   });
   
+  // Declarations computed by the backend from the recipe, read-only here
+  const declarations = product?.declarations;
+
+  const allergenConflicts = useMemo(() => {
+    if (!declarations) return { missing: [], extra: [] };
+
+    return {
+      missing: declarations.allergens.filter(id => !formData.allergens.includes(id)),
+      // Extra allergens are only pointed out if the recipe data is complete
+      extra: declarations.missingData.length === 0
+        ? formData.allergens.filter(id => (
+          !declarations.allergens.includes(id) && !declarations.traces.includes(id)
+        ))
+        : []
+    };
+  }, [declarations, formData.allergens]);
+
   // Refs
   const imageInputRef = useRef(null);
   const galleryInputRef = useRef(null);
@@ -533,6 +563,9 @@ const ProductModal = ({
           price: parseFloat(m.price) || 0
         }))
       };
+
+      // Declarations are written by the backend only
+      delete submitData.declarations;
       
       await onSave(submitData);
       onClose();
@@ -1087,6 +1120,53 @@ const ProductModal = ({
               </label>
             ))}
           </div>
+
+          {declarations && (
+            <div className={styles.declarationBox}>
+              <div className={styles.declarationHeader}>
+                <Info size={16} />
+                <span>
+                  Aus Rezept berechnet:{' '}
+                  {declarations.allergens.length > 0
+                    ? declarations.allergens.map(getAllergenLabel).join(', ')
+                    : 'keine Allergene'}
+                </span>
+                <button
+                  type="button"
+                  className={styles.declarationApply}
+                  onClick={() => handleInputChange('allergens', [...declarations.allergens])}
+                >
+                  Übernehmen
+                </button>
+              </div>
+
+              {declarations.traces.length > 0 && (
+                <p>Kann Spuren enthalten von: {declarations.traces.map(getAllergenLabel).join(', ')}</p>
+              )}
+
+              {allergenConflicts.missing.length > 0 && (
+                <p className={styles.declarationWarning}>
+                  <AlertTriangle size={14} />
+                  In den Zutaten enthalten, aber nicht deklariert:{' '}
+                  {allergenConflicts.missing.map(getAllergenLabel).join(', ')}
+                </p>
+              )}
+
+              {allergenConflicts.extra.length > 0 && (
+                <p className={styles.declarationWarning}>
+                  <AlertTriangle size={14} />
+                  Deklariert, aber in keiner Zutat enthalten:{' '}
+                  {allergenConflicts.extra.map(getAllergenLabel).join(', ')}
+                </p>
+              )}
+
+              {declarations.missingData.length > 0 && (
+                <p className={styles.declarationNote}>
+                  Für {declarations.missingData.length} Zutat(en) fehlen Allergen- oder Nährwertangaben im Lager.
+                </p>
+              )}
+            </div>
+          )}
         </div>
 
         <div className={styles.formGroup}>
@@ -1432,6 +1512,39 @@ const ProductModal = ({
                 <p className={styles.nutritionNote}>
                   Alle Angaben pro 100g/100ml
                 </p>
+
+                {declarations?.nutrition && (
+                  <div className={styles.declarationBox}>
+                    <div className={styles.declarationHeader}>
+                      <Info size={16} />
+                      <span>
+                        Aus Rezept berechnet: {declarations.nutrition.calories} kcal,
+                        {' '}{declarations.nutrition.protein} g Eiweiss,
+                        {' '}{declarations.nutrition.carbohydrates} g Kohlenhydrate,
+                        {' '}{declarations.nutrition.fat} g Fett
+                      </span>
+                      <button
+                        type="button"
+                        className={styles.declarationApply}
+                        onClick={() => handleInputChange('nutrition', Object.fromEntries(
+                          Object.entries(NUTRITION_FIELDS)
+                            .map(([field, computed]) => [field, String(declarations.nutrition[computed])])
+                        ))}
+                      >
+                        Übernehmen
+                      </button>
+                    </div>
+
+                    {declarations.warnings
+                      .filter(warning => warning.type === 'nutrition_mismatch')
+                      .map(warning => (
+                        <p key={warning.field} className={styles.declarationWarning}>
+                          <AlertTriangle size={14} />
+                          {warning.message}
+                        </p>
+                      ))}
+                  </div>
+                )}
                 
                 <div className={styles.nutritionGrid}>
                   <div className={styles.formGroup}>
@@ -25,7 +25,7 @@ import {
   Plus,
   Trash2
 } from 'lucide-react';
-import { useTenantStore } from '../../stores/tenant.store';
+import { DeliveryZone, useTenantStore } from '../../stores/tenant.store';
 import { useAuth } from '../../hooks/useAuth';
 import { format } from 'date-fns';
 
@@ -98,12 +98,7 @@ export function Settings() {
     reservationDuration: 120
   });
 
-  const [deliverySettings, setDeliverySettings] = useState({
-    deliveryRadius: 5,
-    deliveryFee: 5,
-    freeDeliveryThreshold: 50,
-    estimatedDeliveryTime: 30
-  });
+  const [deliveryZones, setDeliveryZones] = useState<DeliveryZone[]>([]);
 
   const [notificationSettings, setNotificationSettings] = useState({
     emailNotifications: true,
@@ -170,12 +165,7 @@ export function Settings() {
         reservationDuration: tenant.settings.reservationDuration || 120
       });
 
-      setDeliverySettings({
-        deliveryRadius: tenant.settings.deliveryRadius || 5,
-        deliveryFee: tenant.settings.serviceFee || 5,
-        freeDeliveryThreshold: 50,
-        estimatedDeliveryTime: 30
-      });
+      setDeliveryZones(tenant.settings.deliverySettings?.zones || []);
 
       setNotificationSettings({
         emailNotifications: tenant.settings.emailNotifications !== false,
@@ -299,6 +289,59 @@ export function Settings() {
     }
   };
 
+  const handleSaveDeliveryZones = async () => {
+    // Geometry is pasted GeoJSON; catch typos before they reach the server
+    const zoneErrors: Record<string, string> = {};
+    deliveryZones.forEach((zone) => {
+      try {
+        const geometry = JSON.parse(zone.geometry);
+        if (!['Polygon', 'MultiPolygon', 'Feature', 'FeatureCollection'].includes(geometry?.type)) {
+          zoneErrors[`zone-${zone.id}`] = 'Must be a GeoJSON Polygon or MultiPolygon';
+        }
+      } catch {
+        zoneErrors[`zone-${zone.id}`] = 'Invalid JSON';
+      }
+    });
+    setErrors(zoneErrors);
+    if (Object.keys(zoneErrors).length > 0) {
+      return;
+    }
+
+    try {
+      setLoading(true);
+      setSaveStatus('saving');
+      
+      await updateTenantSettings({ deliverySettings: { zones: deliveryZones } });
+      
+      setSaveStatus('saved');
+      setTimeout(() => setSaveStatus('idle'), 3000);
+    } catch (error) {
+      console.error('Error saving delivery zones:', error);
+      setSaveStatus('error');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const addDeliveryZone = () => {
+    setDeliveryZones([
+      ...deliveryZones,
+      {
+        id: `zone-${Date.now()}`,
+        name: `Zone ${deliveryZones.length + 1}`,
+        geometry: '',
+        fee: 5,
+        minOrderAmount: 30,
+        extraMinutes: 15,
+        active: true
+      }
+    ]);
+  };
+
+  const updateDeliveryZone = (index: number, changes: Partial<DeliveryZone>) => {
+    setDeliveryZones(deliveryZones.map((zone, i) => (i === index ? { ...zone, ...changes } : zone)));
+  };
+
   const addBreakTime = (day: string) => {
     const newBreak: TimeSlot = { start: '14:00', end: '16:00' };
     setBusinessHours({
@@ -943,6 +986,146 @@ export function Settings() {
             </div>
           )}
 
+          {/* Delivery Settings */}
+          {activeTab === 'delivery' && (
+            <div className="space-y-6">
+              <div>
+                <div className="flex items-center justify-between mb-4">
+                  <h3 className="text-lg font-semibold text-gray-900">Delivery Zones</h3>
+                  {canEdit && (
+                    <button
+                      onClick={addDeliveryZone}
+                      className="px-3 py-1 text-sm text-blue-600 hover:text-blue-700 flex items-center gap-1"
+                    >
+                      <Plus className="w-4 h-4" />
+                      Add Zone
+                    </button>
+                  )}
+                </div>
+                <p className="text-sm text-gray-500 mb-4">
+                  Draw each zone on a map (e.g. geojson.io) and paste the GeoJSON polygon. Zones are
+                  checked from top to bottom, so put smaller inner zones first.
+                </p>
+                <div className="space-y-4">
+                  {deliveryZones.length === 0 && (
+                    <div className="bg-white rounded-lg shadow-sm p-6 text-sm text-gray-500">
+                      No delivery zones. Delivery orders are rejected until a zone is added.
+                    </div>
+                  )}
+                  {deliveryZones.map((zone, index) => (
+                    <div key={zone.id} className="bg-white rounded-lg shadow-sm p-6 space-y-4">
+                      <div className="flex items-center justify-between gap-4">
+                        <input
+                          type="text"
+                          value={zone.name}
+                          onChange={(e) => updateDeliveryZone(index, { name: e.target.value })}
+                          className="flex-1 px-3 py-2 border rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+                          disabled={!canEdit}
+                        />
+                        <label className="flex items-center gap-2 text-sm text-gray-700">
+                          <input
+                            type="checkbox"
+                            checked={zone.active}
+                            onChange={(e) => updateDeliveryZone(index, { active: e.target.checked })}
+                            className="w-4 h-4 text-blue-600 rounded focus:ring-blue-500"
+                            disabled={!canEdit}
+                          />
+                          Active
+                        </label>
+                        {canEdit && (
+                          <button
+                            onClick={() => setDeliveryZones(deliveryZones.filter((_, i) => i !== index))}
+                            className="text-red-600 hover:text-red-700"
+                          >
+                            <Trash2 className="w-4 h-4" />
+                          </button>
+                        )}
+                      </div>
+
+                      <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                        <div>
+                          <label className="block text-sm font-medium text-gray-700 mb-1">
+                            Delivery Fee (CHF)
+                          </label>
+                          <input
+                            type="number"
+                            min="0"
+                            step="0.5"
+                            value={zone.fee}
+                            onChange={(e) => updateDeliveryZone(index, { fee: parseFloat(e.target.value) || 0 })}
+                            className="w-full px-3 py-2 border rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+                            disabled={!canEdit}
+                          />
+                        </div>
+                        <div>
+                          <label className="block text-sm font-medium text-gray-700 mb-1">
+                            Minimum Order (CHF)
+                          </label>
+                          <input
+                            type="number"
+                            min="0"
+                            step="1"
+                            value={zone.minOrderAmount}
+                            onChange={(e) => updateDeliveryZone(index, { minOrderAmount: parseFloat(e.target.value) || 0 })}
+                            className="w-full px-3 py-2 border rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+                            disabled={!canEdit}
+                          />
+                        </div>
+                        <div>
+                          <label className="block text-sm font-medium text-gray-700 mb-1">
+                            Extra Delivery Time (min)
+                          </label>
+                          <input
+                            type="number"
+                            min="0"
+                            step="5"
+                            value={zone.extraMinutes}
+                            onChange={(e) => updateDeliveryZone(index, { extraMinutes: parseInt(e.target.value) || 0 })}
+                            className="w-full px-3 py-2 border rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+                            disabled={!canEdit}
+                          />
+                        </div>
+                      </div>
+
+                      <div>
+                        <label className="block text-sm font-medium text-gray-700 mb-1">
+                          Area (GeoJSON)
+                        </label>
+                        <textarea
+                          value={zone.geometry}
+                          onChange={(e) => updateDeliveryZone(index, { geometry: e.target.value })}
+                          rows={4}
+                          placeholder='{"type":"Polygon","coordinates":[[[8.52,47.37],[8.56,47.37],[8.56,47.39],[8.52,47.37]]]}'
+                          className="w-full px-3 py-2 border rounded-lg font-mono text-xs focus:outline-none focus:ring-2 focus:ring-blue-500"
+                          disabled={!canEdit}
+                        />
+                        {errors[`zone-${zone.id}`] && (
+                          <p className="mt-1 text-sm text-red-600 flex items-center gap-1">
+                            <AlertCircle className="w-4 h-4" />
+                            {errors[`zone-${zone.id}`]}
+                          </p>
+                        )}
+                      </div>
+                    </div>
+                  ))}
+                </div>
+              </div>
+
+              {canEdit && (
+                <div className="flex justify-end">
+                  <button
+                    onClick={handleSaveDeliveryZones}
+                    disabled={loading}
+                    className="px-6 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed flex items-center gap-2"
+                  >
+                    <Save className="w-4 h-4" />
+                    Save Changes
+                  </button>
+                </div>
+              )}
+            </div>
+          )}
+
           {/* Appearance Settings */}
           {activeTab === 'appearance' && (
             <div className="space-y-6">
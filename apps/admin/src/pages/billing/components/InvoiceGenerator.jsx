@@ -95,9 +95,19 @@ const generateMockInvoice = () => ({
     bank: 'Zürcher Kantonalbank',
     iban: 'CH93 0070 0110 0012 3456 7',
     bic: 'ZKBKCHZZ80A'
-  }
+  },
+  paymentReference: 'RF18539007547034'
 });
 
+// QR-Referenz 2+5x5 Ziffern, Creditor Reference in Viererblöcken
+const formatPaymentReference = (reference) => {
+  const value = reference.replace(/\s+/g, '');
+  if (/^\d{27}$/.test(value)) {
+    return `${value.slice(0, 2)} ${value.slice(2).replace(/(.{5})(?=.)/g, '$1 ')}`;
+  }
+  return value.replace(/(.{4})(?=.)/g, '$1 ');
+};
+
 // ============================================================================
 // HAUPTKOMPONENTE
 // ============================================================================
@@ -106,6 +116,7 @@ const InvoiceGenerator = ({ invoiceId, onClose }) => {
   const [isEditing, setIsEditing] = useState(false);
   const [loading, setLoading] = useState(true);
   const [sending, setSending] = useState(false);
+  const [downloading, setDownloading] = useState(false);
   const invoiceRef = useRef(null);
 
   // Load invoice data
@@ -142,10 +153,24 @@ const InvoiceGenerator = ({ invoiceId, onClose }) => {
     setIsEditing(true);
   }, []);
 
-  const handleDownloadPDF = useCallback(() => {
-    console.log('Downloading PDF...');
-    // Implementierung mit jsPDF oder react-pdf
-  }, []);
+  // PDF inkl. QR-Rechnung wird serverseitig erstellt
+  const handleDownloadPDF = useCallback(async () => {
+    setDownloading(true);
+    try {
+      const response = await fetch(`/api/payments/invoices/${invoice.id}/pdf`);
+      const result = await response.json();
+
+      if (!response.ok || !result.success) {
+        throw new Error(result.error?.message || result.error || 'PDF konnte nicht erstellt werden');
+      }
+
+      window.open(result.data.url, '_blank');
+    } catch (error) {
+      console.error('Error downloading invoice PDF:', error);
+    } finally {
+      setDownloading(false);
+    }
+  }, [invoice]);
 
   const handlePrint = useCallback(() => {
     window.print();
@@ -253,7 +278,7 @@ const InvoiceGenerator = ({ invoiceId, onClose }) => {
               <button className="icon-btn" onClick={handlePrint}>
                 <Printer size={16} />
               </button>
-              <button className="icon-btn" onClick={handleDownloadPDF}>
+              <button className="icon-btn" onClick={handleDownloadPDF} disabled={downloading}>
                 <Download size={16} />
               </button>
               <button 
@@ -496,6 +521,9 @@ const InvoiceGenerator = ({ invoiceId, onClose }) => {
               <p>{invoice.bankDetails.bank}</p>
               <p>IBAN: {invoice.bankDetails.iban}</p>
               <p>BIC: {invoice.bankDetails.bic}</p>
+              {invoice.paymentReference && (
+                <p>Referenz: {formatPaymentReference(invoice.paymentReference)}</p>
+              )}
             </div>
           </div>
 
@@ -52,6 +52,19 @@ export interface TenantSettings {
   emailNotifications: boolean;
   smsNotifications: boolean;
   orderNotificationEmail: string;
+  deliverySettings?: {
+    zones: DeliveryZone[];
+  };
+}
+
+export interface DeliveryZone {
+  id: string;
+  name: string;
+  geometry: string; // serialized GeoJSON Polygon or MultiPolygon
+  fee: number;
+  minOrderAmount: number;
+  extraMinutes: number;
+  active: boolean;
 }
 
 export interface TenantSubscription {
@@ -1,7 +1,8 @@
 import React, { useState, useMemo } from 'react';
-import { useQuery } from '@tanstack/react-query';
-import { format, formatDistanceToNow, addMinutes } from 'date-fns';
+import { useMutation } from '@tanstack/react-query';
+import { format, formatDistanceToNow } from 'date-fns';
 import { de } from 'date-fns/locale';
+import { toast } from 'sonner';
 import {
   Clock,
   Filter,
@@ -12,6 +13,7 @@ import {
   Users,
   ShoppingBag,
   Truck,
+  WifiOff,
 } from 'lucide-react';
 import { Button } from '@/components/ui/button';
 import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
@@ -25,129 +27,109 @@ import {
   SelectValue,
 } from '@/components/ui/select';
 import { ScrollArea } from '@/components/ui/scroll-area';
-import { Order, OrderStatus } from '@eatech/types';
+import { useAuth } from '@/hooks/useAuth';
+import {
+  useKitchenTickets,
+  updateTicketStatus,
+  KitchenTicket,
+  TicketStatus,
+} from '@/hooks/useKitchenTickets';
+
+type QueueStatus = 'confirmed' | 'preparing' | 'ready';
 
-interface OrderQueueItem extends Order {
+interface OrderQueueItem {
+  id: string;
+  orderNumber: string;
+  status: QueueStatus;
+  ticketStatus: TicketStatus;
+  type: 'dine-in' | 'takeaway' | 'delivery';
+  tableNumber?: string;
+  items: KitchenTicket['items'];
+  createdAt: Date;
   estimatedCompletionTime: Date;
   preparationProgress: number;
   assignedChef?: string;
+  priority?: 'high' | 'medium' | 'low';
+  estimatedPickupTime?: Date;
 }
 
+const TICKET_TYPE: Record<KitchenTicket['orderType'], OrderQueueItem['type']> = {
+  dineIn: 'dine-in',
+  pickup: 'takeaway',
+  delivery: 'delivery',
+};
+
+const TICKET_PRIORITY: Record<KitchenTicket['priority'], OrderQueueItem['priority']> = {
+  urgent: 'high',
+  high: 'high',
+  normal: 'medium',
+  low: 'low',
+};
+
+// Next ticket status per queue column, with the button label
+const NEXT_STATUS: Record<QueueStatus, { status: TicketStatus; label: string }> = {
+  confirmed: { status: 'in_progress', label: 'Starten' },
+  preparing: { status: 'ready', label: 'Fertig' },
+  ready: { status: 'served', label: 'Ausgegeben' },
+};
+
+const toQueueItem = (ticket: KitchenTicket): OrderQueueItem => {
+  const status: QueueStatus = ticket.status === 'in_progress'
+    ? 'preparing'
+    : ticket.status === 'ready' ? 'ready' : 'confirmed';
+
+  const doneSteps = ticket.preparationSteps
+    .filter(step => step.status === 'completed' || step.status === 'skipped').length;
+  const preparationProgress = status === 'ready'
+    ? 100
+    : ticket.preparationSteps.length > 0
+      ? Math.round((doneSteps / ticket.preparationSteps.length) * 100)
+      : 0;
+
+  return {
+    id: ticket.id,
+    orderNumber: ticket.orderNumber,
+    status,
+    ticketStatus: ticket.status,
+    type: TICKET_TYPE[ticket.orderType] || 'takeaway',
+    tableNumber: ticket.tableNumber,
+    items: ticket.items,
+    createdAt: ticket.createdAt,
+    estimatedCompletionTime: ticket.estimatedCompletionTime,
+    preparationProgress,
+    assignedChef: ticket.lastUpdateMetadata?.userName,
+    priority: TICKET_PRIORITY[ticket.priority],
+    estimatedPickupTime: ticket.scheduledTime ? new Date(ticket.scheduledTime) : undefined,
+  };
+};
+
 export const OrderQueue: React.FC = () => {
   const [filterType, setFilterType] = useState<'all' | 'dine-in' | 'takeaway' | 'delivery'>('all');
   const [sortBy, setSortBy] = useState<'time' | 'priority' | 'status'>('time');
+  const { truckId } = useAuth();
 
-  // Fetch order queue data
-  const { data: queueData, isLoading } = useQuery({
-    queryKey: ['kitchen-queue'],
-    queryFn: async () => {
-      // TODO: Replace with actual API call
-      const mockQueue: OrderQueueItem[] = [
-        {
-          id: '1',
-          orderNumber: 'B-001',
-          tenantId: 'rest-001',
-          customerId: 'cust-001',
-          status: 'preparing',
-          type: 'dine-in',
-          tableNumber: '12',
-          items: [
-            {
-              id: '1',
-              productId: 'prod-1',
-              name: 'Züri Geschnetzeltes',
-              quantity: 2,
-              price: 28.50,
-              modifiers: ['Ohne Pilze'],
-            },
-          ],
-          total: 57.00,
-          createdAt: new Date(Date.now() - 15 * 60 * 1000),
-          estimatedCompletionTime: addMinutes(new Date(), 5),
-          preparationProgress: 75,
-          assignedChef: 'Marco',
-          priority: 'high',
-        },
-        {
-          id: '2',
-          orderNumber: 'B-002',
-          tenantId: 'rest-001',
-          customerId: 'cust-002',
-          status: 'preparing',
-          type: 'takeaway',
-          items: [
-            {
-              id: '2',
-              productId: 'prod-2',
-              name: 'Pizza Margherita',
-              quantity: 1,
-              price: 18.50,
-            },
-          ],
-          total: 18.50,
-          createdAt: new Date(Date.now() - 10 * 60 * 1000),
-          estimatedCompletionTime: addMinutes(new Date(), 8),
-          preparationProgress: 50,
-          assignedChef: 'Luigi',
-          estimatedPickupTime: addMinutes(new Date(), 15),
-        },
-        {
-          id: '3',
-          orderNumber: 'B-003',
-          tenantId: 'rest-001',
-          customerId: 'cust-003',
-          status: 'confirmed',
-          type: 'delivery',
-          items: [
-            {
-              id: '3',
-              productId: 'prod-3',
-              name: 'Burger Classic',
-              quantity: 3,
-              price: 19.50,
-            },
-          ],
-          total: 58.50,
-          createdAt: new Date(Date.now() - 5 * 60 * 1000),
-          estimatedCompletionTime: addMinutes(new Date(), 12),
-          preparationProgress: 0,
-          priority: 'medium',
-        },
-        {
-          id: '4',
-          orderNumber: 'B-004',
-          tenantId: 'rest-001',
-          customerId: 'cust-004',
-          status: 'ready',
-          type: 'dine-in',
-          tableNumber: '8',
-          items: [
-            {
-              id: '4',
-              productId: 'prod-4',
-              name: 'Caesar Salad',
-              quantity: 2,
-              price: 16.50,
-            },
-          ],
-          total: 33.00,
-          createdAt: new Date(Date.now() - 20 * 60 * 1000),
-          estimatedCompletionTime: new Date(Date.now() - 2 * 60 * 1000),
-          preparationProgress: 100,
-          assignedChef: 'Sarah',
-        },
-      ];
+  // Live kitchen tickets
+  const { tickets, loading: isLoading, offline } = useKitchenTickets(truckId);
+  const queueData = useMemo(() => tickets.map(toQueueItem), [tickets]);
 
-      return mockQueue;
+  // Status changes go through KitchenDisplayService; the listener picks up the result
+  const updateStatusMutation = useMutation({
+    mutationFn: async ({ ticketId, status }: { ticketId: string; status: TicketStatus }) => {
+      if (!truckId) {
+        throw new Error('No truck associated with this account');
+      }
+      await updateTicketStatus(truckId, ticketId, status);
+    },
+    onError: () => {
+      toast.error('Fehler beim Aktualisieren des Bestellstatus');
     },
-    refetchInterval: 10000, // Refresh every 10 seconds
   });
 
   // Calculate queue statistics
   const queueStats = useMemo(() => {
     if (!queueData) return null;
 
-    const activeOrders = queueData.filter(o => o.status !== 'delivered' && o.status !== 'cancelled');
+    const activeOrders = queueData;
     const avgPrepTime = 15; // minutes
     const onTimePercentage = 85;
 
@@ -173,14 +155,14 @@ export const OrderQueue: React.FC = () => {
     }
 
     // Apply sort
-    return filtered.sort((a, b) => {
+    return [...filtered].sort((a, b) => {
       switch (sortBy) {
         case 'priority':
           const priorityOrder = { high: 0, medium: 1, low: 2 };
-          return (priorityOrder[a.priority || 'low'] || 2) - (priorityOrder[b.priority || 'low'] || 2);
+          return (priorityOrder[a.priority || 'low'] ?? 2) - (priorityOrder[b.priority || 'low'] ?? 2);
         case 'status':
           const statusOrder = { ready: 0, preparing: 1, confirmed: 2 };
-          return (statusOrder[a.status] || 3) - (statusOrder[b.status] || 3);
+          return (statusOrder[a.status] ?? 3) - (statusOrder[b.status] ?? 3);
         case 'time':
         default:
           return a.createdAt.getTime() - b.createdAt.getTime();
@@ -201,7 +183,7 @@ export const OrderQueue: React.FC = () => {
     }
   };
 
-  const getStatusColor = (status: OrderStatus) => {
+  const getStatusColor = (status: QueueStatus) => {
     switch (status) {
       case 'confirmed':
         return 'text-yellow-500';
@@ -241,7 +223,15 @@ export const OrderQueue: React.FC = () => {
       {/* Header */}
       <div className="border-b bg-card px-6 py-4">
         <div className="flex items-center justify-between">
-          <h1 className="text-2xl font-bold">Bestellungen Warteschlange</h1>
+          <div className="flex items-center gap-3">
+            <h1 className="text-2xl font-bold">Bestellungen Warteschlange</h1>
+            {offline && (
+              <Badge variant="destructive" className="flex items-center gap-1">
+                <WifiOff className="h-3 w-3" />
+                Offline – wird synchronisiert
+              </Badge>
+            )}
+          </div>
           
           <div className="flex items-center gap-4">
             <Select value={filterType} onValueChange={(value: any) => setFilterType(value)}>
@@ -360,7 +350,7 @@ export const OrderQueue: React.FC = () => {
                               <h3 className="font-semibold text-lg">{order.orderNumber}</h3>
                               <Badge variant="outline" className="flex items-center gap-1">
                                 {getTypeIcon(order.type)}
-                                {order.type === 'dine-in' ? `Tisch ${order.tableNumber}` :
+                                {order.type === 'dine-in' ? (order.tableNumber ? `Tisch ${order.tableNumber}` : 'Im Restaurant') :
                                  order.type === 'takeaway' ? 'Abholung' : 'Lieferung'}
                               </Badge>
                               {order.priority && (
@@ -423,6 +413,21 @@ export const OrderQueue: React.FC = () => {
                           </p>
                         </div>
                       )}
+
+                      {/* Status Action */}
+                      <div className="mt-3 flex justify-end">
+                        <Button
+                          size="sm"
+                          variant={order.status === 'ready' ? 'outline' : 'default'}
+                          disabled={updateStatusMutation.isPending}
+                          onClick={() => updateStatusMutation.mutate({
+                            ticketId: order.id,
+                            status: NEXT_STATUS[order.status].status,
+                          })}
+                        >
+                          {NEXT_STATUS[order.status].label}
+                        </Button>
+                      </div>
                     </div>
                   </Card>
                 ))}
@@ -0,0 +1,172 @@
+// Kitchen Tickets Hook - live KitchenDisplayService tickets for the kitchen app
+import { useState, useEffect } from 'react';
+import {
+  collection,
+  onSnapshot,
+  query,
+  where,
+  orderBy,
+  QueryDocumentSnapshot,
+  DocumentData
+} from 'firebase/firestore';
+import { httpsCallable } from 'firebase/functions';
+import { db, functions } from '../config/firebase';
+
+export type TicketStatus = 'new' | 'viewed' | 'in_progress' | 'ready' | 'served' | 'void';
+
+export interface KitchenTicket {
+  id: string;
+  orderId: string;
+  orderNumber: string;
+  orderType: 'dineIn' | 'pickup' | 'delivery';
+  status: TicketStatus;
+  priority: 'low' | 'normal' | 'high' | 'urgent';
+  priorityScore: number;
+  items: Array<{
+    id: string;
+    name: string;
+    quantity: number;
+    modifiers?: string[];
+    notes?: string;
+  }>;
+  preparationSteps: Array<{ status: string }>;
+  customerName: string;
+  tableNumber?: string;
+  notes?: string;
+  scheduledTime?: string | null;
+  createdAt: Date;
+  estimatedCompletionTime: Date;
+  lastUpdateMetadata?: {
+    userId?: string;
+    userName?: string;
+  };
+}
+
+interface KitchenTicketsState {
+  tickets: KitchenTicket[];
+  loading: boolean;
+  /** True while the listener runs on cached data or is reconnecting */
+  offline: boolean;
+  error: string | null;
+}
+
+// Tickets the kitchen still has to work on or hand out
+const ACTIVE_STATUSES: TicketStatus[] = ['new', 'viewed', 'in_progress', 'ready'];
+
+const RETRY_DELAYS = [1000, 2000, 5000, 10000, 30000];
+
+const toTicket = (doc: QueryDocumentSnapshot<DocumentData>): KitchenTicket => {
+  const data = doc.data();
+  return {
+    ...data,
+    id: doc.id,
+    items: data.items || [],
+    preparationSteps: data.preparationSteps || [],
+    createdAt: new Date(data.createdAt),
+    estimatedCompletionTime: new Date(data.estimatedCompletionTime || data.createdAt)
+  } as KitchenTicket;
+};
+
+/**
+ * Subscribes to the active kitchen tickets of a tenant
+ *
+ * The Firestore listener keeps the list in sync while connected. If it fails
+ * (e.g. the tablet lost its connection for longer), it is re-created with
+ * backoff; the fresh listener delivers the complete active set again, so
+ * tickets created while disconnected show up without a manual refresh.
+ */
+export const useKitchenTickets = (tenantId: string | null) => {
+  const [state, setState] = useState<KitchenTicketsState>({
+    tickets: [],
+    loading: true,
+    offline: false,
+    error: null
+  });
+
+  useEffect(() => {
+    if (!tenantId) {
+      setState(prev => ({ ...prev, tickets: [], loading: false }));
+      return;
+    }
+
+    let unsubscribe: (() => void) | null = null;
+    let retryTimer: ReturnType<typeof setTimeout> | null = null;
+    let attempt = 0;
+    let stopped = false;
+
+    const ticketsQuery = query(
+      collection(db, 'kitchen_tickets'),
+      where('tenantId', '==', tenantId),
+      where('status', 'in', ACTIVE_STATUSES),
+      orderBy('createdAt', 'asc')
+    );
+
+    const subscribe = () => {
+      if (retryTimer) {
+        clearTimeout(retryTimer);
+        retryTimer = null;
+      }
+      unsubscribe?.();
+
+      unsubscribe = onSnapshot(
+        ticketsQuery,
+        { includeMetadataChanges: true },
+        (snapshot) => {
+          attempt = 0;
+          setState({
+            tickets: snapshot.docs.map(toTicket),
+            loading: false,
+            offline: snapshot.metadata.fromCache,
+            error: null
+          });
+        },
+        (error) => {
+          console.error('Kitchen ticket subscription failed:', error);
+          unsubscribe = null;
+          setState(prev => ({ ...prev, loading: false, offline: true, error: error.message }));
+
+          if (!stopped) {
+            const delay = RETRY_DELAYS[Math.min(attempt, RETRY_DELAYS.length - 1)];
+            attempt += 1;
+            retryTimer = setTimeout(subscribe, delay);
+          }
+        }
+      );
+    };
+
+    // Reconnect right away instead of waiting for the next retry
+    const handleOnline = () => {
+      if (!unsubscribe) {
+        attempt = 0;
+        subscribe();
+      }
+    };
+
+    subscribe();
+    window.addEventListener('online', handleOnline);
+
+    return () => {
+      stopped = true;
+      window.removeEventListener('online', handleOnline);
+      if (retryTimer) {
+        clearTimeout(retryTimer);
+      }
+      unsubscribe?.();
+    };
+  }, [tenantId]);
+
+  return state;
+};
+
+/**
+ * Changes a ticket status through KitchenDisplayService.updateTicketStatus
+ */
+export const updateTicketStatus = async (
+  tenantId: string,
+  ticketId: string,
+  status: TicketStatus,
+  stationId?: string
+) => {
+  const updateStatus = httpsCallable(functions, 'updateKitchenTicketStatus');
+  await updateStatus({ tenantId, ticketId, status, stationId });
+};
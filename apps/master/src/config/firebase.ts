@@ -99,7 +99,8 @@ export const MASTER_COLLECTIONS = {
   ANALYTICS_REALTIME: 'analytics_realtime',
   AUDIT_LOGS: 'audit_logs',
   DEPLOYMENTS: 'deployments',
-  SUPPORT_TICKETS: 'support_tickets'
+  SUPPORT_TICKETS: 'support_tickets',
+  WEBHOOK_INBOX: 'webhook_inbox'
 };
 
 // Export instances
@@ -0,0 +1,222 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Card,
+  CardContent,
+  CardDescription,
+  CardHeader,
+  CardTitle,
+} from '@/components/ui/card';
+import { Button } from '@/components/ui/button';
+import { Badge } from '@/components/ui/badge';
+import { Tabs, TabsList, TabsTrigger } from '@/components/ui/tabs';
+import {
+  AlertTriangle,
+  ChevronDown,
+  ChevronRight,
+  Inbox,
+  RotateCcw,
+  XCircle,
+} from 'lucide-react';
+import { format } from 'date-fns';
+import { de } from 'date-fns/locale';
+import {
+  InboxEvent,
+  InboxStatus,
+  webhookInboxService,
+} from '../../services/webhookInboxService';
+
+type InboxFilter = 'failed' | 'dead' | 'pending';
+
+const FILTER_STATUSES: Record<InboxFilter, InboxStatus[]> = {
+  failed: ['failed'],
+  dead: ['dead'],
+  pending: ['pending', 'processing'],
+};
+
+export const WebhookInbox: React.FC = () => {
+  const [filter, setFilter] = useState<InboxFilter>('dead');
+  const [events, setEvents] = useState<InboxEvent[]>([]);
+  const [loading, setLoading] = useState(true);
+  const [expanded, setExpanded] = useState<string | null>(null);
+  const [replaying, setReplaying] = useState<Set<string>>(new Set());
+  const [error, setError] = useState<string | null>(null);
+
+  useEffect(() => {
+    setLoading(true);
+    const unsubscribe = webhookInboxService.subscribeToEvents(
+      FILTER_STATUSES[filter],
+      (items) => {
+        setEvents(items);
+        setLoading(false);
+      }
+    );
+    return unsubscribe;
+  }, [filter]);
+
+  const handleReplay = async (eventIds: string[]) => {
+    setError(null);
+    setReplaying(new Set([...replaying, ...eventIds]));
+    try {
+      await Promise.all(eventIds.map((id) => webhookInboxService.replayEvent(id)));
+    } catch (err) {
+      console.error('Error replaying webhook events:', err);
+      setError('Replay fehlgeschlagen. Bitte erneut versuchen.');
+    } finally {
+      setReplaying((current) => {
+        const next = new Set(current);
+        eventIds.forEach((id) => next.delete(id));
+        return next;
+      });
+    }
+  };
+
+  const formatPayload = (payload: string) => {
+    try {
+      return JSON.stringify(JSON.parse(payload), null, 2);
+    } catch {
+      return payload;
+    }
+  };
+
+  const getStatusBadge = (status: InboxStatus) => {
+    switch (status) {
+      case 'dead':
+        return <Badge variant="destructive">Aufgegeben</Badge>;
+      case 'failed':
+        return <Badge variant="warning">Wird wiederholt</Badge>;
+      case 'processing':
+        return <Badge variant="secondary">In Bearbeitung</Badge>;
+      case 'done':
+        return <Badge variant="success">Verarbeitet</Badge>;
+      default:
+        return <Badge variant="outline">Ausstehend</Badge>;
+    }
+  };
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="flex justify-between items-center">
+        <div>
+          <h1 className="text-3xl font-bold">Webhook Inbox</h1>
+          <p className="text-muted-foreground">
+            Fehlgeschlagene Stripe-Events prüfen und erneut verarbeiten
+          </p>
+        </div>
+        {filter !== 'pending' && events.length > 0 && (
+          <Button
+            variant="outline"
+            onClick={() => handleReplay(events.map((event) => event.id))}
+            disabled={replaying.size > 0}
+          >
+            <RotateCcw className="mr-2 h-4 w-4" />
+            Alle erneut verarbeiten
+          </Button>
+        )}
+      </div>
+
+      <Tabs value={filter} onValueChange={(value) => setFilter(value as InboxFilter)}>
+        <TabsList>
+          <TabsTrigger value="dead">Aufgegeben</TabsTrigger>
+          <TabsTrigger value="failed">Wird wiederholt</TabsTrigger>
+          <TabsTrigger value="pending">Ausstehend</TabsTrigger>
+        </TabsList>
+      </Tabs>
+
+      {error && (
+        <div className="flex items-center gap-2 text-sm text-red-600">
+          <XCircle className="h-4 w-4" />
+          {error}
+        </div>
+      )}
+
+      <Card>
+        <CardHeader>
+          <CardTitle className="flex items-center gap-2">
+            <Inbox className="h-5 w-5" />
+            Events
+          </CardTitle>
+          <CardDescription>
+            Fehlgeschlagene Events werden mit Backoff automatisch wiederholt. Nach
+            8 Versuchen werden sie aufgegeben und müssen hier manuell angestossen werden.
+          </CardDescription>
+        </CardHeader>
+        <CardContent>
+          {loading ? (
+            <p className="text-sm text-muted-foreground">Laden...</p>
+          ) : events.length === 0 ? (
+            <p className="text-sm text-muted-foreground">Keine Events in dieser Ansicht.</p>
+          ) : (
+            <div className="space-y-3">
+              {events.map((event) => (
+                <div key={event.id} className="border rounded-lg p-4">
+                  <div className="flex justify-between items-start gap-4">
+                    <button
+                      className="flex items-start gap-2 text-left"
+                      onClick={() => setExpanded(expanded === event.id ? null : event.id)}
+                    >
+                      {expanded === event.id ? (
+                        <ChevronDown className="h-4 w-4 mt-1" />
+                      ) : (
+                        <ChevronRight className="h-4 w-4 mt-1" />
+                      )}
+                      <div>
+                        <h4 className="font-medium">{event.type}</h4>
+                        <p className="text-sm text-muted-foreground">
+                          {event.service} • {event.eventId}
+                          {!event.livemode && ' • Testmodus'}
+                        </p>
+                      </div>
+                    </button>
+                    <div className="flex items-center gap-2">
+                      {getStatusBadge(event.status)}
+                      {filter !== 'pending' && (
+                        <Button
+                          size="sm"
+                          variant="outline"
+                          onClick={() => handleReplay([event.id])}
+                          disabled={replaying.has(event.id)}
+                        >
+                          <RotateCcw className="mr-2 h-4 w-4" />
+                          Erneut verarbeiten
+                        </Button>
+                      )}
+                    </div>
+                  </div>
+
+                  {event.lastError && (
+                    <p className="mt-2 ml-6 text-sm text-red-600 flex items-start gap-2">
+                      <AlertTriangle className="h-4 w-4 mt-0.5 shrink-0" />
+                      {event.lastError}
+                    </p>
+                  )}
+
+                  <div className="mt-2 ml-6 flex flex-wrap gap-4 text-xs text-muted-foreground">
+                    <span>Versuche: {event.attempts}</span>
+                    {event.receivedAt && (
+                      <span>Empfangen: {format(event.receivedAt, 'dd.MM.yyyy HH:mm:ss', { locale: de })}</span>
+                    )}
+                    {event.nextAttemptAt && event.status === 'failed' && (
+                      <span>Nächster Versuch: {format(event.nextAttemptAt, 'dd.MM.yyyy HH:mm', { locale: de })}</span>
+                    )}
+                    {event.replayRequestedAt && (
+                      <span>Zuletzt manuell angestossen: {format(event.replayRequestedAt, 'dd.MM.yyyy HH:mm', { locale: de })}</span>
+                    )}
+                  </div>
+
+                  {expanded === event.id && (
+                    <pre className="mt-3 ml-6 p-3 bg-muted rounded text-xs overflow-x-auto max-h-96">
+                      {formatPayload(event.payload)}
+                    </pre>
+                  )}
+                </div>
+              ))}
+            </div>
+          )}
+        </CardContent>
+      </Card>
+    </div>
+  );
+};
+
+export default WebhookInbox;
@@ -0,0 +1,55 @@
+import { useState, useEffect, useCallback } from 'react';
+import { db, functions } from '@/services/firebase/config';
+import { collection, onSnapshot } from 'firebase/firestore';
+import { httpsCallable } from 'firebase/functions';
+
+// Global flags as the feature flag service evaluates them
+export const useFeatureFlags = () => {
+  const [flags, setFlags] = useState({});
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    setIsLoading(true);
+
+    const unsubscribe = onSnapshot(
+      collection(db, 'feature_flags', 'global', 'flags'),
+      (snapshot) => {
+        const flagData = {};
+        snapshot.forEach((doc) => {
+          flagData[doc.id] = { ...doc.data(), key: doc.id };
+        });
+        setFlags(flagData);
+        setIsLoading(false);
+        setError(null);
+      },
+      (err) => {
+        console.error('Error fetching feature flags:', err);
+        setError(err.message);
+        setIsLoading(false);
+      }
+    );
+
+    return () => unsubscribe();
+  }, []);
+
+  // Rules are validated by the backend before they are stored
+  const saveRules = useCallback(async (featureKey, rules) => {
+    const setRules = httpsCallable(functions, 'setFeatureFlagRules');
+    await setRules({ featureKey, rules });
+  }, []);
+
+  const scheduleTransition = useCallback(async (featureKey, at, set) => {
+    const schedule = httpsCallable(functions, 'scheduleFeatureFlagTransition');
+    const result = await schedule({ featureKey, at, set });
+    return result.data.transition;
+  }, []);
+
+  return {
+    flags,
+    isLoading,
+    error,
+    saveRules,
+    scheduleTransition
+  };
+};
@@ -121,6 +121,7 @@ import {
   MapPin,
   Palette
 } from 'lucide-react';
+import { useFeatureFlags } from '@/hooks/useFeatureFlags';
 import styles from './FeatureControl.module.css';
 
 // Lazy loaded components
@@ -128,6 +129,8 @@ const FeatureDetailsModal = lazy(() => import('./components/FeatureDetailsModal'
 const AuditLogPanel = lazy(() => import('./components/AuditLogPanel'));
 const TenantOverrides = lazy(() => import('./components/TenantOverrides'));
 const BulkActions = lazy(() => import('./components/BulkActions'));
+const FlagSimulationPanel = lazy(() => import('./components/FlagSimulationPanel'));
+const FlagTargetingPanel = lazy(() => import('./components/FlagTargetingPanel'));
 
 // ============================================================================
 // FIREBASE CONFIGURATION
@@ -742,6 +745,10 @@ const FeatureControl = () => {
   const [selectedTenants, setSelectedTenants] = useState([]);
   const [emergencyMode, setEmergencyMode] = useState(false);
   const [showBulkActions, setShowBulkActions] = useState(false);
+  const [showSimulation, setShowSimulation] = useState(false);
+  const [showTargeting, setShowTargeting] = useState(false);
+  // Targeting lives in the Firestore flags the feature flag service evaluates
+  const { flags, saveRules, scheduleTransition } = useFeatureFlags();
   const [expandedCategories, setExpandedCategories] = useState(['core']);
 
   // ========== EFFECTS ==========
@@ -1125,6 +1132,20 @@ const FeatureControl = () => {
           >
             <History size={20} />
           </button>
+          <button
+            className={styles.iconButton}
+            onClick={() => setShowSimulation(true)}
+            title="Simulation"
+          >
+            <TestTube size={20} />
+          </button>
+          <button
+            className={styles.iconButton}
+            onClick={() => setShowTargeting(true)}
+            title="Targeting"
+          >
+            <Target size={20} />
+          </button>
         </div>
       </div>
 
@@ -1241,6 +1262,29 @@ const FeatureControl = () => {
         </Suspense>
       )}
 
+      {showSimulation && (
+        <Suspense fallback={<LoadingSpinner />}>
+          <FlagSimulationPanel
+            flags={flags}
+            features={features}
+            tenants={tenants}
+            onClose={() => setShowSimulation(false)}
+          />
+        </Suspense>
+      )}
+
+      {showTargeting && (
+        <Suspense fallback={<LoadingSpinner />}>
+          <FlagTargetingPanel
+            flags={flags}
+            features={features}
+            onSaveRules={saveRules}
+            onScheduleTransition={scheduleTransition}
+            onClose={() => setShowTargeting(false)}
+          />
+        </Suspense>
+      )}
+
       {editingFeature && (
         <Suspense fallback={<LoadingSpinner />}>
           <FeatureDetailsModal
@@ -0,0 +1,256 @@
+/**
+ * EATECH - Feature Flag Simulation Panel
+ * Version: 1.0.0
+ * Description: Wertet ein Feature für einen hypothetischen Kontext aus und
+ *              zeigt, welche Regel greift
+ * Author: EATECH Development Team
+ * Created: 2025-01-09
+ *
+ * File Path: /apps/master/src/pages/FeatureControl/components/FlagSimulationPanel.jsx
+ */
+
+import React, { useState, useMemo } from 'react';
+import { CheckCircle2, XCircle, X, FlaskConical, Clock } from 'lucide-react';
+import { SWISS_CANTONS } from '@eatech/utils/swiss';
+import {
+  evaluateFlag,
+  matchesCondition,
+  describeCondition,
+  getDueTransitions
+} from '@eatech/utils/feature-flags';
+import styles from '../FeatureControl.module.css';
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+const PLANS = ['basic', 'professional', 'premium', 'enterprise'];
+const PLATFORMS = ['ios', 'android', 'web'];
+
+const REASON_LABELS = {
+  disabled: 'Ausgeschaltet',
+  schedule: 'Zeitfenster',
+  rule: 'Regel',
+  rollout: 'Rollout',
+  default: 'Standard'
+};
+
+// Local time for <input type="datetime-local">
+const toLocalInput = (date) => {
+  const offset = date.getTimezoneOffset() * 60000;
+  return new Date(date.getTime() - offset).toISOString().slice(0, 16);
+};
+
+// Firestore timestamps come as objects, the evaluation expects dates or strings
+const toDate = (value) => (value && typeof value.toDate === 'function' ? value.toDate() : value);
+
+// Flag documents as stored under feature_flags/global/flags
+const toTargetableFlag = (flag) => ({
+  ...flag,
+  rules: flag.rules || [],
+  transitions: flag.transitions || [],
+  schedule: flag.schedule && {
+    enableAt: toDate(flag.schedule.enableAt),
+    disableAt: toDate(flag.schedule.disableAt)
+  }
+});
+
+// ============================================================================
+// COMPONENT
+// ============================================================================
+const FlagSimulationPanel = ({ flags, features = {}, tenants = {}, initialFeatureId, onClose }) => {
+  const [featureId, setFeatureId] = useState(initialFeatureId || Object.keys(flags)[0] || '');
+  const [context, setContext] = useState({
+    truckId: '',
+    userId: '',
+    plan: 'basic',
+    canton: 'ZH',
+    appVersion: '',
+    platform: 'ios',
+    segments: ''
+  });
+  const [evaluateAt, setEvaluateAt] = useState(toLocalInput(new Date()));
+
+  const flagDoc = flags[featureId];
+
+  const handleChange = (field) => (event) => {
+    setContext(prev => ({ ...prev, [field]: event.target.value }));
+  };
+
+  // Take plan and canton of an existing truck as starting point
+  const handleTruckChange = (event) => {
+    const truckId = event.target.value;
+    const tenant = tenants[truckId] || {};
+    setContext(prev => ({
+      ...prev,
+      truckId,
+      plan: tenant.subscription?.plan || tenant.plan || prev.plan,
+      canton: tenant.address?.canton || tenant.canton || prev.canton
+    }));
+  };
+
+  const simulation = useMemo(() => {
+    if (!flagDoc) return null;
+
+    const flag = toTargetableFlag(flagDoc);
+    const now = new Date(evaluateAt);
+    const evaluationContext = {
+      truckId: context.truckId || undefined,
+      userId: context.userId || undefined,
+      tenant: { id: context.truckId || undefined, plan: context.plan, canton: context.canton },
+      user: {
+        appVersion: context.appVersion || undefined,
+        platform: context.platform,
+        segments: context.segments.split(',').map(s => s.trim()).filter(Boolean)
+      }
+    };
+
+    return {
+      evaluation: evaluateFlag(flag, evaluationContext, now),
+      dueTransitions: getDueTransitions(flag, now),
+      rules: flag.rules.map(rule => ({
+        ...rule,
+        matches: matchesCondition(rule.condition, evaluationContext),
+        description: describeCondition(rule.condition)
+      }))
+    };
+  }, [flagDoc, context, evaluateAt]);
+
+  const firstMatch = simulation?.rules.find(rule => rule.matches);
+
+  return (
+    <div className={styles.modalOverlay} onClick={onClose}>
+      <div className={styles.modal} onClick={(e) => e.stopPropagation()}>
+        <div className={styles.modalHeader}>
+          <h2>
+            <FlaskConical size={20} /> Simulation
+          </h2>
+          <button onClick={onClose}>
+            <X size={20} />
+          </button>
+        </div>
+
+        <div className={styles.modalContent}>
+          <div className={styles.simulationForm}>
+            <label>
+              Feature
+              <select value={featureId} onChange={(e) => setFeatureId(e.target.value)}>
+                {Object.values(flags).map(f => (
+                  <option key={f.key} value={f.key}>{features[f.key]?.name || f.name || f.key}</option>
+                ))}
+              </select>
+            </label>
+
+            <label>
+              Foodtruck
+              <select value={context.truckId} onChange={handleTruckChange}>
+                <option value="">Hypothetisch</option>
+                {Object.entries(tenants).map(([id, tenant]) => (
+                  <option key={id} value={id}>{tenant.name || id}</option>
+                ))}
+              </select>
+            </label>
+
+            <label>
+              Plan
+              <select value={context.plan} onChange={handleChange('plan')}>
+                {PLANS.map(plan => <option key={plan} value={plan}>{plan}</option>)}
+              </select>
+            </label>
+
+            <label>
+              Kanton
+              <select value={context.canton} onChange={handleChange('canton')}>
+                {Object.keys(SWISS_CANTONS).map(code => <option key={code} value={code}>{code}</option>)}
+              </select>
+            </label>
+
+            <label>
+              App-Version
+              <input type="text" placeholder="z.B. 2.4.0" value={context.appVersion} onChange={handleChange('appVersion')} />
+            </label>
+
+            <label>
+              Plattform
+              <select value={context.platform} onChange={handleChange('platform')}>
+                {PLATFORMS.map(platform => <option key={platform} value={platform}>{platform}</option>)}
+              </select>
+            </label>
+
+            <label>
+              Kundensegmente
+              <input type="text" placeholder="z.B. beta, stammkunde" value={context.segments} onChange={handleChange('segments')} />
+            </label>
+
+            <label>
+              Benutzer-ID
+              <input type="text" value={context.userId} onChange={handleChange('userId')} />
+            </label>
+
+            <label>
+              Zeitpunkt
+              <input type="datetime-local" value={evaluateAt} onChange={(e) => setEvaluateAt(e.target.value)} />
+            </label>
+          </div>
+
+          {!simulation && (
+            <p className={styles.simulationEmpty}>
+              Kein Flag in Firestore gespeichert - der Dienst behandelt das Feature als ausgeschaltet
+            </p>
+          )}
+
+          {simulation && (
+            <>
+              <div className={`${styles.simulationResult} ${simulation.evaluation.enabled ? styles.enabled : styles.disabled}`}>
+                {simulation.evaluation.enabled ? <CheckCircle2 size={24} /> : <XCircle size={24} />}
+                <div>
+                  <strong>
+                    {simulation.evaluation.enabled ? 'Aktiv' : 'Inaktiv'}
+                    {' · '}
+                    {REASON_LABELS[simulation.evaluation.reason] || simulation.evaluation.reason}
+                  </strong>
+                  <p>{simulation.evaluation.explanation}</p>
+                </div>
+              </div>
+
+              {simulation.dueTransitions.length > 0 && (
+                <div className={styles.simulationTransitions}>
+                  <Clock size={16} />
+                  {simulation.dueTransitions.length} geplante Änderung(en) bis zu diesem Zeitpunkt berücksichtigt
+                </div>
+              )}
+
+              <h4>Regeln</h4>
+              {simulation.rules.length === 0 ? (
+                <p className={styles.simulationEmpty}>Keine Regeln - es gelten Schalter und Rollout</p>
+              ) : (
+                <ol className={styles.simulationRules}>
+                  {simulation.rules.map(rule => (
+                    <li
+                      key={rule.id}
+                      className={rule === firstMatch ? styles.matched : rule.matches ? styles.shadowed : ''}
+                    >
+                      <span>{rule.name || rule.id}</span>
+                      <code>{rule.description}</code>
+                      <span>
+                        {rule.matches ? (rule === firstMatch ? 'greift' : 'trifft zu, aber vorherige Regel greift') : 'trifft nicht zu'}
+                        {' → '}
+                        {rule.enabled ? 'an' : 'aus'}
+                        {typeof rule.rolloutPercentage === 'number' && rule.rolloutPercentage < 100 && ` (${rule.rolloutPercentage}%)`}
+                      </span>
+                    </li>
+                  ))}
+                </ol>
+              )}
+            </>
+          )}
+        </div>
+
+        <div className={styles.modalFooter}>
+          <button onClick={onClose}>Schliessen</button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default FlagSimulationPanel;
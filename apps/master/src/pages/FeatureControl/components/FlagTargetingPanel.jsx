@@ -0,0 +1,448 @@
+/**
+ * EATECH - Feature Flag Targeting Panel
+ * Version: 1.0.0
+ * Description: Bearbeitet die Targeting-Regeln eines Features und plant
+ *              zeitgesteuerte Änderungen
+ * Author: EATECH Development Team
+ * Created: 2025-01-09
+ *
+ * File Path: /apps/master/src/pages/FeatureControl/components/FlagTargetingPanel.jsx
+ */
+
+import React, { useState } from 'react';
+import { Target, X, Plus, Trash2, ChevronUp, Clock, Save } from 'lucide-react';
+import { validateCondition, describeCondition } from '@eatech/utils/feature-flags';
+import styles from '../FeatureControl.module.css';
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+const ATTRIBUTES = [
+  { value: 'tenant.plan', label: 'Plan' },
+  { value: 'tenant.canton', label: 'Kanton' },
+  { value: 'tenant.id', label: 'Foodtruck-ID' },
+  { value: 'user.appVersion', label: 'App-Version' },
+  { value: 'user.platform', label: 'Plattform' },
+  { value: 'user.segments', label: 'Kundensegmente' },
+  { value: 'userId', label: 'Benutzer-ID' }
+];
+
+const OPERATORS = [
+  { value: 'equals', label: 'ist' },
+  { value: 'not_equals', label: 'ist nicht' },
+  { value: 'in', label: 'ist einer von' },
+  { value: 'not_in', label: 'ist keiner von' },
+  { value: 'contains', label: 'enthält einen von' },
+  { value: 'exists', label: 'ist gesetzt' },
+  { value: 'gte', label: '≥' },
+  { value: 'lte', label: '≤' },
+  { value: 'version_gte', label: 'Version ≥' },
+  { value: 'version_lt', label: 'Version <' }
+];
+
+const LIST_OPERATORS = ['in', 'not_in', 'contains'];
+const NUMBER_OPERATORS = ['gte', 'lte'];
+
+const newCondition = () => ({ attribute: 'tenant.plan', operator: 'equals', input: '' });
+
+const newRule = () => ({
+  id: `rule_${Date.now().toString(36)}`,
+  name: '',
+  enabled: true,
+  rolloutPercentage: 100,
+  condition: { combinator: 'and', conditions: [newCondition()] }
+});
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+// Values are edited as text (lists comma separated) and converted on save
+const toInputValue = (value) => (
+  Array.isArray(value) ? value.join(', ') : String(value ?? '')
+);
+
+const fromInputValue = (operator, text) => {
+  if (operator === 'exists') return undefined;
+  if (LIST_OPERATORS.includes(operator)) return text.split(',').map(v => v.trim()).filter(Boolean);
+  if (NUMBER_OPERATORS.includes(operator)) return Number(text);
+  return text;
+};
+
+// Rules are edited as one group of conditions; nested groups are kept as they are
+const toEditableRule = (rule) => {
+  const group = 'combinator' in rule.condition
+    ? rule.condition
+    : { combinator: 'and', conditions: [rule.condition] };
+
+  return {
+    ...rule,
+    condition: {
+      ...group,
+      conditions: group.conditions.map(condition => (
+        'combinator' in condition ? condition : { ...condition, input: toInputValue(condition.value) }
+      ))
+    }
+  };
+};
+
+const toStoredRule = ({ condition, rolloutPercentage, ...rule }) => ({
+  ...rule,
+  rolloutPercentage: Number(rolloutPercentage ?? 100),
+  condition: {
+    ...condition,
+    conditions: condition.conditions.map(({ input, ...c }) => (
+      'combinator' in c ? c : { ...c, value: fromInputValue(c.operator, input ?? '') }
+    ))
+  }
+});
+
+const describeTransition = (transition) => {
+  const changes = [];
+  if (typeof transition.set.enabled === 'boolean') {
+    changes.push(transition.set.enabled ? 'einschalten' : 'ausschalten');
+  }
+  if (typeof transition.set.rolloutPercentage === 'number') {
+    changes.push(`Rollout ${transition.set.rolloutPercentage}%`);
+  }
+  if (transition.set.rules) {
+    changes.push(`${transition.set.rules.length} Regel(n)`);
+  }
+  return changes.join(', ');
+};
+
+// ============================================================================
+// COMPONENTS
+// ============================================================================
+
+// Edits the rules and transitions of one stored flag; mounted per feature, so
+// live updates of the flag do not overwrite unsaved edits
+const FlagTargetingEditor = ({ featureId, flag, onSaveRules, onScheduleTransition }) => {
+  const [rules, setRules] = useState(() => (flag.rules || []).map(toEditableRule));
+  const [transition, setTransition] = useState({ at: '', enabled: '', rolloutPercentage: '' });
+  const [saving, setSaving] = useState(false);
+  const [message, setMessage] = useState(null);
+
+  const updateRule = (index, changes) => {
+    setRules(prev => prev.map((rule, i) => (i === index ? { ...rule, ...changes } : rule)));
+  };
+
+  const updateCondition = (ruleIndex, conditionIndex, changes) => {
+    const rule = rules[ruleIndex];
+    updateRule(ruleIndex, {
+      condition: {
+        ...rule.condition,
+        conditions: rule.condition.conditions.map((condition, i) => (
+          i === conditionIndex ? { ...condition, ...changes } : condition
+        ))
+      }
+    });
+  };
+
+  const addCondition = (ruleIndex) => {
+    const rule = rules[ruleIndex];
+    updateRule(ruleIndex, {
+      condition: { ...rule.condition, conditions: [...rule.condition.conditions, newCondition()] }
+    });
+  };
+
+  const removeCondition = (ruleIndex, conditionIndex) => {
+    const rule = rules[ruleIndex];
+    updateRule(ruleIndex, {
+      condition: {
+        ...rule.condition,
+        conditions: rule.condition.conditions.filter((_, i) => i !== conditionIndex)
+      }
+    });
+  };
+
+  // The first matching rule decides, so order matters
+  const moveRuleUp = (index) => {
+    if (index === 0) return;
+    setRules(prev => {
+      const next = [...prev];
+      [next[index - 1], next[index]] = [next[index], next[index - 1]];
+      return next;
+    });
+  };
+
+  const handleSaveRules = async () => {
+    const storedRules = rules.map(toStoredRule);
+    const problems = storedRules.flatMap((rule, i) => validateCondition(rule.condition, `Regel ${i + 1}`));
+    if (problems.length > 0) {
+      setMessage({ type: 'error', text: problems.join('; ') });
+      return;
+    }
+
+    setSaving(true);
+    try {
+      await onSaveRules(featureId, storedRules);
+      setMessage({ type: 'success', text: 'Regeln gespeichert' });
+    } catch (error) {
+      setMessage({ type: 'error', text: error.message });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleSchedule = async () => {
+    const set = {};
+    if (transition.enabled) set.enabled = transition.enabled === 'on';
+    if (transition.rolloutPercentage !== '') set.rolloutPercentage = Number(transition.rolloutPercentage);
+
+    if (!transition.at || Object.keys(set).length === 0) {
+      setMessage({ type: 'error', text: 'Zeitpunkt und mindestens eine Änderung angeben' });
+      return;
+    }
+
+    setSaving(true);
+    try {
+      await onScheduleTransition(featureId, new Date(transition.at).toISOString(), set);
+      setTransition({ at: '', enabled: '', rolloutPercentage: '' });
+      setMessage({ type: 'success', text: 'Änderung geplant' });
+    } catch (error) {
+      setMessage({ type: 'error', text: error.message });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const transitions = [...(flag.transitions || [])].sort((a, b) => new Date(a.at) - new Date(b.at));
+
+  return (
+    <>
+      {message && (
+        <p className={message.type === 'error' ? styles.targetingError : styles.targetingSuccess}>
+          {message.text}
+        </p>
+      )}
+
+      <h4>Regeln</h4>
+      <p className={styles.simulationEmpty}>Die erste zutreffende Regel entscheidet</p>
+
+      {rules.map((rule, ruleIndex) => (
+        <div key={rule.id} className={styles.targetingRule}>
+          <div className={styles.simulationForm}>
+            <label>
+              Name
+              <input
+                type="text"
+                value={rule.name || ''}
+                onChange={(e) => updateRule(ruleIndex, { name: e.target.value })}
+              />
+            </label>
+            <label>
+              Bedingungen verknüpfen
+              <select
+                value={rule.condition.combinator}
+                onChange={(e) => updateRule(ruleIndex, {
+                  condition: { ...rule.condition, combinator: e.target.value }
+                })}
+              >
+                <option value="and">alle (UND)</option>
+                <option value="or">eine (ODER)</option>
+              </select>
+            </label>
+            <label>
+              Ergebnis
+              <select
+                value={rule.enabled ? 'on' : 'off'}
+                onChange={(e) => updateRule(ruleIndex, { enabled: e.target.value === 'on' })}
+              >
+                <option value="on">an</option>
+                <option value="off">aus</option>
+              </select>
+            </label>
+            <label>
+              Rollout %
+              <input
+                type="number"
+                min="0"
+                max="100"
+                value={rule.rolloutPercentage ?? 100}
+                onChange={(e) => updateRule(ruleIndex, { rolloutPercentage: e.target.value })}
+              />
+            </label>
+          </div>
+
+          {rule.condition.conditions.map((condition, conditionIndex) => ('combinator' in condition ? (
+            <div key={conditionIndex} className={styles.targetingCondition}>
+              <code>({describeCondition(condition)})</code>
+              <button onClick={() => removeCondition(ruleIndex, conditionIndex)} title="Bedingung entfernen">
+                <X size={14} />
+              </button>
+            </div>
+          ) : (
+            <div key={conditionIndex} className={styles.targetingCondition}>
+              <select
+                value={condition.attribute}
+                onChange={(e) => updateCondition(ruleIndex, conditionIndex, { attribute: e.target.value })}
+              >
+                {ATTRIBUTES.map(attribute => (
+                  <option key={attribute.value} value={attribute.value}>{attribute.label}</option>
+                ))}
+              </select>
+              <select
+                value={condition.operator}
+                onChange={(e) => updateCondition(ruleIndex, conditionIndex, { operator: e.target.value })}
+              >
+                {OPERATORS.map(operator => (
+                  <option key={operator.value} value={operator.value}>{operator.label}</option>
+                ))}
+              </select>
+              {condition.operator !== 'exists' && (
+                <input
+                  type="text"
+                  placeholder={LIST_OPERATORS.includes(condition.operator) ? 'z.B. ZH, BE' : ''}
+                  value={condition.input ?? ''}
+                  onChange={(e) => updateCondition(ruleIndex, conditionIndex, { input: e.target.value })}
+                />
+              )}
+              <button onClick={() => removeCondition(ruleIndex, conditionIndex)} title="Bedingung entfernen">
+                <X size={14} />
+              </button>
+            </div>
+          )))}
+
+          <div className={styles.targetingActions}>
+            <code>{describeCondition(toStoredRule(rule).condition)}</code>
+            <button onClick={() => addCondition(ruleIndex)}>
+              <Plus size={14} /> Bedingung
+            </button>
+            <button onClick={() => moveRuleUp(ruleIndex)} disabled={ruleIndex === 0} title="Nach oben">
+              <ChevronUp size={14} />
+            </button>
+            <button onClick={() => setRules(prev => prev.filter((_, i) => i !== ruleIndex))} title="Regel löschen">
+              <Trash2 size={14} />
+            </button>
+          </div>
+        </div>
+      ))}
+
+      <div className={styles.targetingActions}>
+        <button onClick={() => setRules(prev => [...prev, newRule()])}>
+          <Plus size={16} /> Regel hinzufügen
+        </button>
+        <button className={styles.primaryButton} onClick={handleSaveRules} disabled={saving}>
+          <Save size={16} /> Regeln speichern
+        </button>
+      </div>
+
+      <h4>Geplante Änderungen</h4>
+      {transitions.length === 0 ? (
+        <p className={styles.simulationEmpty}>Keine Änderungen geplant</p>
+      ) : (
+        <ol className={styles.simulationRules}>
+          {transitions.map(t => (
+            <li key={t.id} className={t.appliedAt ? '' : styles.matched}>
+              <span>
+                <Clock size={12} /> {new Date(t.at).toLocaleString('de-CH')}
+              </span>
+              <span>
+                {describeTransition(t)}
+                {t.appliedAt ? ' · ausgeführt' : ' · ausstehend'}
+              </span>
+            </li>
+          ))}
+        </ol>
+      )}
+
+      <div className={styles.simulationForm}>
+        <label>
+          Zeitpunkt
+          <input
+            type="datetime-local"
+            value={transition.at}
+            onChange={(e) => setTransition(prev => ({ ...prev, at: e.target.value }))}
+          />
+        </label>
+        <label>
+          Schalter
+          <select
+            value={transition.enabled}
+            onChange={(e) => setTransition(prev => ({ ...prev, enabled: e.target.value }))}
+          >
+            <option value="">unverändert</option>
+            <option value="on">einschalten</option>
+            <option value="off">ausschalten</option>
+          </select>
+        </label>
+        <label>
+          Rollout %
+          <input
+            type="number"
+            min="0"
+            max="100"
+            placeholder="unverändert"
+            value={transition.rolloutPercentage}
+            onChange={(e) => setTransition(prev => ({ ...prev, rolloutPercentage: e.target.value }))}
+          />
+        </label>
+      </div>
+      <div className={styles.targetingActions}>
+        <button className={styles.primaryButton} onClick={handleSchedule} disabled={saving}>
+          <Clock size={16} /> Änderung planen
+        </button>
+      </div>
+    </>
+  );
+};
+
+const FlagTargetingPanel = ({
+  flags,
+  features = {},
+  initialFeatureId,
+  onSaveRules,
+  onScheduleTransition,
+  onClose
+}) => {
+  const [featureId, setFeatureId] = useState(initialFeatureId || Object.keys(flags)[0] || '');
+
+  const flag = flags[featureId];
+
+  return (
+    <div className={styles.modalOverlay} onClick={onClose}>
+      <div className={styles.modal} onClick={(e) => e.stopPropagation()}>
+        <div className={styles.modalHeader}>
+          <h2>
+            <Target size={20} /> Targeting
+          </h2>
+          <button onClick={onClose}>
+            <X size={20} />
+          </button>
+        </div>
+
+        <div className={styles.modalContent}>
+          <div className={styles.simulationForm}>
+            <label>
+              Feature
+              <select value={featureId} onChange={(e) => setFeatureId(e.target.value)}>
+                {Object.values(flags).map(f => (
+                  <option key={f.key} value={f.key}>{features[f.key]?.name || f.name || f.key}</option>
+                ))}
+              </select>
+            </label>
+          </div>
+
+          {!flag ? (
+            <p className={styles.simulationEmpty}>Kein Flag in Firestore gespeichert</p>
+          ) : (
+            <FlagTargetingEditor
+              key={featureId}
+              featureId={featureId}
+              flag={flag}
+              onSaveRules={onSaveRules}
+              onScheduleTransition={onScheduleTransition}
+            />
+          )}
+        </div>
+
+        <div className={styles.modalFooter}>
+          <button onClick={onClose}>Schliessen</button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default FlagTargetingPanel;
@@ -132,6 +132,24 @@ const ORDER_STATUS = {
   noShow: { icon: UserX, color: '#FF6B6B', label: 'Nicht erschienen' }
 };
 
+// Days of the week in iCal RRULE notation
+const RRULE_WEEKDAYS = {
+  monday: 'MO',
+  tuesday: 'TU',
+  wednesday: 'WE',
+  thursday: 'TH',
+  friday: 'FR',
+  saturday: 'SA',
+  sunday: 'SU'
+};
+
+const OCCURRENCE_STATUS = {
+  processing: { color: '#FFD93D', label: 'In Bearbeitung' },
+  created: { color: '#51CF66', label: 'Bestellt' },
+  skipped: { color: '#868E96', label: 'Ausgelassen' },
+  failed: { color: '#FF6B6B', label: 'Fehlgeschlagen' }
+};
+
 const TIME_SLOTS = [
   { id: 'morning', label: 'Morgen', start: '08:00', end: '11:00', icon: Coffee },
   { id: 'lunch', label: 'Mittag', start: '11:00', end: '14:00', icon: Utensils },
@@ -484,20 +502,25 @@ const PreOrderManager = () => {
         userName: user?.name
       };
 
-      // Save preorder
-      const preorderRef = push(ref(database, 'preorders'), preorder);
-
-      // If recurring, create recurring order template
+      // Recurring orders are created by the server ahead of every
+      // occurrence, the first one included
       if (orderData.isRecurring) {
+        if (orderData.recurringDays.length === 0) {
+          alert('Bitte mindestens einen Wochentag wählen!');
+          return;
+        }
+
         const recurringOrder = {
           ...orderData,
-          preorderId: preorderRef.key,
+          tenantId: orderData.foodtruckId,
+          rrule: buildRecurrenceRule(orderData),
           active: true,
-          createdAt: serverTimestamp(),
-          nextExecution: calculateNextRecurring(orderData.recurringDays[0])
+          createdAt: serverTimestamp()
         };
         
         await push(ref(database, 'recurring_orders'), recurringOrder);
+      } else {
+        await push(ref(database, 'preorders'), preorder);
       }
 
       // Update queue status
@@ -577,20 +600,25 @@ const PreOrderManager = () => {
   // ========================================================================
   // RECURRING ORDERS
   // ========================================================================
-  const calculateNextRecurring = (dayOfWeek) => {
-    const days = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
-    const today = new Date();
-    const todayDay = today.getDay();
-    const targetDay = days.indexOf(dayOfWeek);
-    
-    let daysUntilNext = targetDay - todayDay;
-    if (daysUntilNext <= 0) {
-      daysUntilNext += 7;
-    }
-    
-    const nextDate = new Date(today);
-    nextDate.setDate(today.getDate() + daysUntilNext);
-    return nextDate.toISOString();
+  // DTSTART and RRULE (RFC 5545) of a weekly order, e.g. every Friday 12:00
+  const buildRecurrenceRule = ({ pickupTime, recurringDays, recurringWeeks }) => {
+    // datetime-local values are Swiss local time (2025-01-10T12:00)
+    const start = `${pickupTime.replace(/[-:]/g, '').slice(0, 13)}00`;
+    const until = new Date(new Date(pickupTime).getTime() + (recurringWeeks * 7 * 24 * 60 - 1) * 60 * 1000)
+      .toISOString()
+      .replace(/[-:]/g, '')
+      .split('.')[0];
+    const days = recurringDays.map(day => RRULE_WEEKDAYS[day]).join(',');
+
+    return [
+      `DTSTART;TZID=Europe/Zurich:${start}`,
+      `RRULE:FREQ=WEEKLY;BYDAY=${days};UNTIL=${until}Z`
+    ].join('\n');
+  };
+
+  const getLastOccurrence = (order) => {
+    const [key] = Object.keys(order.occurrences || {}).sort().reverse();
+    return key ? order.occurrences[key] : null;
   };
 
   const toggleRecurringOrder = async (recurringId, active) => {
@@ -604,27 +632,6 @@ const PreOrderManager = () => {
     }
   };
 
-  const processRecurringOrders = async () => {
-    // This would run daily to create preorders from recurring templates
-    const today = new Date().toLocaleDateString('en-US', { weekday: 'long' }).toLowerCase();
-    
-    recurringOrders
-      .filter(order => order.active && order.recurringDays.includes(today))
-      .forEach(async (order) => {
-        // Create today's preorder from template
-        const todaysPreorder = {
-          ...order,
-          pickupTime: new Date(order.pickupTime).toISOString(),
-          recurringId: order.id
-        };
-        
-        delete todaysPreorder.id;
-        delete todaysPreorder.nextExecution;
-        
-        await createPreorder(todaysPreorder);
-      });
-  };
-
   // ========================================================================
   // UI HELPERS
   // ========================================================================
@@ -1110,19 +1117,18 @@ const PreOrderManager = () => {
           <div className={styles.recurringOrders}>
             <div className={styles.recurringHeader}>
               <h2>Wiederkehrende Bestellungen</h2>
-              <button 
-                className={styles.processButton}
-                onClick={processRecurringOrders}
-              >
-                <PlayCircle size={18} />
-                Heute verarbeiten
-              </button>
+              <span className={styles.recurringHint}>
+                <Info size={16} />
+                Bestellungen werden 24 Stunden vor der Abholung automatisch erstellt und belastet
+              </span>
             </div>
 
             <div className={styles.recurringGrid}>
               {recurringOrders.map(order => {
                 const user = users.find(u => u.id === order.userId);
                 const foodtruck = foodtrucks.find(f => f.id === order.foodtruckId);
+                const lastOccurrence = getLastOccurrence(order);
+                const lastStatus = lastOccurrence && OCCURRENCE_STATUS[lastOccurrence.status];
 
                 return (
                   <div 
@@ -1161,7 +1167,7 @@ const PreOrderManager = () => {
                       {PREORDER_CONFIG.recurringDays.map(day => (
                         <span 
                           key={day}
-                          className={`${styles.dayBadge} ${order.recurringDays.includes(day) ? styles.active : ''}`}
+                          className={`${styles.dayBadge} ${order.recurringDays?.includes(day) ? styles.active : ''}`}
                         >
                           {day.substring(0, 2).toUpperCase()}
                         </span>
@@ -1176,6 +1182,14 @@ const PreOrderManager = () => {
                       ))}
                     </div>
 
+                    {lastStatus && (
+                      <div className={styles.lastOccurrence} title={lastOccurrence.message}>
+                        <span style={{ color: lastStatus.color }}>{lastStatus.label}</span>
+                        {formatTimestamp(lastOccurrence.scheduledFor)}
+                        {lastOccurrence.message && ` – ${lastOccurrence.message}`}
+                      </div>
+                    )}
+
                     <div className={styles.recurringFooter}>
                       <span className={styles.recurringWeeks}>
                         {order.recurringWeeks} Wochen
@@ -9,6 +9,7 @@ import { TenantList } from './features/tenants/TenantList';
 import { TenantDetails } from './features/tenants/TenantDetails';
 import { BillingOverview } from './features/billing/BillingOverview';
 import { SystemHealth } from './features/monitoring/SystemHealth';
+import { WebhookInbox } from './features/monitoring/WebhookInbox';
 import { PlatformAnalytics } from './features/analytics/PlatformAnalytics';
 import { SupportTickets } from './features/support/SupportTickets';
 import { FeatureFlags } from './features/features/FeatureFlags';
@@ -52,7 +53,16 @@ export const router = createBrowserRouter([
       },
       {
         path: 'monitoring',
-        element: <SystemHealth />,
+        children: [
+          {
+            index: true,
+            element: <SystemHealth />,
+          },
+          {
+            path: 'webhooks',
+            element: <WebhookInbox />,
+          },
+        ],
       },
       {
         path: 'analytics',
@@ -115,6 +125,18 @@ export const routes = [
     path: '/monitoring',
     name: 'Monitoring',
     icon: 'Activity',
+    children: [
+      {
+        path: '/monitoring',
+        name: 'System Health',
+        icon: 'HeartPulse',
+      },
+      {
+        path: '/monitoring/webhooks',
+        name: 'Webhook Inbox',
+        icon: 'Inbox',
+      },
+    ],
   },
   {
     path: '/analytics',
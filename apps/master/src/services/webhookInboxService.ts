@@ -0,0 +1,85 @@
+// Webhook Inbox Service for Master Admin
+import {
+  collection,
+  doc,
+  getDoc,
+  onSnapshot,
+  query,
+  where,
+  orderBy,
+  limit,
+  updateDoc,
+  serverTimestamp,
+  Timestamp
+} from 'firebase/firestore';
+import { auth, db, MASTER_COLLECTIONS } from '../config/firebase';
+
+export type InboxStatus = 'pending' | 'processing' | 'done' | 'failed' | 'dead';
+
+export interface InboxEvent {
+  id: string;
+  service: string;
+  eventId: string;
+  type: string;
+  livemode: boolean;
+  payload: string;
+  status: InboxStatus;
+  attempts: number;
+  lastError?: string;
+  nextAttemptAt?: Date;
+  receivedAt: Date;
+  processedAt?: Date;
+  updatedAt: Date;
+  replayRequestedAt?: Date;
+  replayRequestedBy?: string;
+}
+
+const toInboxEvent = (id: string, data: Record<string, any>): InboxEvent => ({
+  id,
+  ...data,
+  nextAttemptAt: data.nextAttemptAt?.toDate(),
+  receivedAt: data.receivedAt?.toDate(),
+  processedAt: data.processedAt?.toDate(),
+  updatedAt: data.updatedAt?.toDate(),
+  replayRequestedAt: data.replayRequestedAt?.toDate()
+} as InboxEvent);
+
+class WebhookInboxService {
+  // Subscribe to events that need attention (failed or out of retries)
+  subscribeToEvents(
+    statuses: InboxStatus[],
+    callback: (events: InboxEvent[]) => void,
+    max: number = 100
+  ): () => void {
+    const eventsQuery = query(
+      collection(db, MASTER_COLLECTIONS.WEBHOOK_INBOX),
+      where('status', 'in', statuses),
+      orderBy('receivedAt', 'desc'),
+      limit(max)
+    );
+
+    return onSnapshot(eventsQuery, (snapshot) => {
+      callback(snapshot.docs.map((snap) => toInboxEvent(snap.id, snap.data())));
+    });
+  }
+
+  // Get a single event including its payload
+  async getEvent(id: string): Promise<InboxEvent | null> {
+    const snapshot = await getDoc(doc(db, MASTER_COLLECTIONS.WEBHOOK_INBOX, id));
+    return snapshot.exists() ? toInboxEvent(snapshot.id, snapshot.data()) : null;
+  }
+
+  // Queue an event for immediate processing by the webhook service's retry worker
+  async replayEvent(id: string): Promise<void> {
+    await updateDoc(doc(db, MASTER_COLLECTIONS.WEBHOOK_INBOX, id), {
+      status: 'pending',
+      attempts: 0,
+      nextAttemptAt: Timestamp.now(),
+      replayRequestedAt: serverTimestamp(),
+      replayRequestedBy: auth.currentUser?.uid || null,
+      updatedAt: serverTimestamp()
+    });
+  }
+}
+
+export const webhookInboxService = new WebhookInboxService();
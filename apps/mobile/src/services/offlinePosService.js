@@ -0,0 +1,437 @@
+/**
+ * EATECH - Offline POS Service
+ * Version: 1.0.0
+ * Description: Kassenmodus für den Truck ohne Netz mit lokaler Bestellnummerierung
+ * Author: EATECH Development Team
+ * Created: 2025-01-09
+ * File Path: /apps/mobile/src/services/offlinePosService.js
+ *
+ * Features: Menu snapshot, reserved order number blocks, cash & card terminal
+ * payments, reconciliation with the server once back online
+ */
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import NetInfo from '@react-native-netinfo/netinfo';
+import { EventEmitter } from 'events';
+import { roundToSwissCash } from '@eatech/utils/currency';
+
+import { apiService } from './api.service';
+
+// Storage keys
+const STORAGE_KEYS = {
+  SNAPSHOT: '@eatech:pos_snapshot',
+  NUMBER_BLOCKS: '@eatech:pos_number_blocks',
+  ORDERS: '@eatech:pos_orders',
+  REPORTS: '@eatech:pos_reports'
+};
+
+// Payment methods accepted offline
+export const POS_PAYMENT_METHODS = {
+  CASH: 'cash',
+  CARD_TERMINAL: 'card_terminal'   // Standalone terminal, no connection needed
+};
+
+// Local order states
+export const POS_ORDER_STATUS = {
+  PENDING: 'pending',       // Taken offline, not uploaded yet
+  SYNCED: 'synced'          // Part of a reconciliation report
+};
+
+// VAT by consumption, used when the snapshot has no rates
+const DEFAULT_VAT_RATES = { takeaway: 2.6, onSite: 8.1 };
+
+const roundPrice = (value) => Math.round(value * 100) / 100;
+
+const getTypedOptions = (product) => (
+  product.options && !Array.isArray(product.options) ? product.options : {}
+);
+
+class OfflinePosService extends EventEmitter {
+  constructor(options = {}) {
+    super();
+
+    this.options = {
+      tenantId: null,
+      deviceId: null,
+      blockSize: 200,
+      // Ask for a new block before the numbers run out
+      refillThreshold: 50,
+      batchSize: 50,
+      autoReconcile: true,
+      ...options
+    };
+
+    // State
+    this.isOnline = true;
+    this.isInitialized = false;
+    this.isReconciling = false;
+    this.snapshot = null;
+    this.products = new Map();
+    this.numberBlocks = [];
+    this.orders = [];
+    this.reports = [];
+    this.networkSubscription = null;
+  }
+
+  // ============================================================================
+  // INITIALIZATION
+  // ============================================================================
+  async initialize() {
+    if (!this.options.tenantId || !this.options.deviceId) {
+      throw new Error('tenantId and deviceId are required for the POS');
+    }
+
+    await this.loadPersistedData();
+
+    this.networkSubscription = NetInfo.addEventListener(state => {
+      this.handleNetworkChange(state);
+    });
+    this.handleNetworkChange(await NetInfo.fetch());
+
+    this.isInitialized = true;
+    this.emit('initialized', { pendingOrders: this.getPendingOrders().length });
+  }
+
+  async loadPersistedData() {
+    try {
+      const [snapshot, blocks, orders, reports] = await Promise.all([
+        AsyncStorage.getItem(STORAGE_KEYS.SNAPSHOT),
+        AsyncStorage.getItem(STORAGE_KEYS.NUMBER_BLOCKS),
+        AsyncStorage.getItem(STORAGE_KEYS.ORDERS),
+        AsyncStorage.getItem(STORAGE_KEYS.REPORTS)
+      ]);
+
+      if (snapshot) {
+        this.setSnapshot(JSON.parse(snapshot));
+      }
+      this.numberBlocks = blocks ? JSON.parse(blocks) : [];
+      this.orders = orders ? JSON.parse(orders) : [];
+      this.reports = reports ? JSON.parse(reports) : [];
+    } catch (error) {
+      console.error('Failed to load POS data:', error);
+    }
+  }
+
+  handleNetworkChange(networkState) {
+    const wasOnline = this.isOnline;
+    this.isOnline = Boolean(networkState.isConnected && networkState.isInternetReachable);
+
+    if (!wasOnline && this.isOnline) {
+      this.emit('went_online');
+      if (this.options.autoReconcile) {
+        this.reconcile().catch(error => this.emit('reconciliation_error', error));
+      }
+    } else if (wasOnline && !this.isOnline) {
+      this.emit('went_offline');
+    }
+  }
+
+  // ============================================================================
+  // PREPARATION (online)
+  // ============================================================================
+
+  /**
+   * Lädt Menü und Nummernblock, solange Netz vorhanden ist
+   * Call before the truck leaves and whenever online; orders can be taken
+   * offline as long as a snapshot and free numbers are stored.
+   */
+  async prepare() {
+    const { tenantId, deviceId } = this.options;
+    const basePath = `/tenants/${tenantId}/pos/devices/${deviceId}`;
+
+    // Orders priced from the old snapshot are uploaded first, so the server
+    // still knows the snapshot they refer to
+    if (this.getPendingOrders().length > 0) {
+      await this.reconcile();
+    }
+
+    if (this.getRemainingNumbers() < this.options.refillThreshold) {
+      const response = await apiService.post(`${basePath}/number-blocks`, { size: this.options.blockSize });
+      this.numberBlocks = [...this.numberBlocks, { ...response.data, nextNumber: response.data.start }];
+      await this.persist(STORAGE_KEYS.NUMBER_BLOCKS, this.numberBlocks);
+    }
+
+    const response = await apiService.get(`${basePath}/snapshot`, undefined, { cache: false });
+    this.setSnapshot(response.data);
+    await this.persist(STORAGE_KEYS.SNAPSHOT, response.data);
+
+    this.emit('prepared', {
+      snapshotId: this.snapshot.snapshotId,
+      remainingNumbers: this.getRemainingNumbers()
+    });
+  }
+
+  setSnapshot(snapshot) {
+    this.snapshot = snapshot;
+    this.products = new Map(snapshot.products.map(product => [product.id, product]));
+  }
+
+  getRemainingNumbers() {
+    return this.numberBlocks.reduce((sum, block) => sum + (block.end - block.nextNumber + 1), 0);
+  }
+
+  // ============================================================================
+  // PRICING
+  // ============================================================================
+
+  /**
+   * Preis wie auf dem Server: Variante oder Deal, Optionen, Extras
+   * Choices are not validated here; the server reports differences.
+   */
+  priceItem(item) {
+    const product = this.products.get(item.productId);
+    if (!product) {
+      throw new Error(`Product ${item.productId} is not on the stored menu`);
+    }
+
+    const typed = getTypedOptions(product);
+    const productPrice = product.pricing?.basePrice ?? product.price ?? 0;
+    const variant = item.variantId
+      ? (typed.variants || []).find(v => v.id === item.variantId)
+      : null;
+    const bundle = item.bundleId
+      ? (typed.bundles || []).find(b => b.id === item.bundleId)
+      : null;
+
+    if ((item.variantId && !variant) || (item.bundleId && !bundle)) {
+      throw new Error(`Variant or deal of ${product.info?.name || product.name} is not on the stored menu`);
+    }
+
+    const variantPrice = variant ? variant.price ?? productPrice : productPrice;
+    let basePrice = variantPrice;
+    if (bundle) {
+      basePrice = bundle.price + (variant ? variantPrice - productPrice : 0);
+    }
+
+    const optionsPrice = (item.options || []).reduce((sum, selected) => {
+      // Products created before variants and deals: options[].choices
+      if (Array.isArray(product.options)) {
+        const option = product.options.find(o => o.id === selected.id);
+        const choice = option?.choices.find(c => c.id === selected.choiceId);
+        return sum + (choice?.price || 0);
+      }
+
+      const customization = (typed.customizations || []).find(c => c.id === selected.id);
+      const choiceIds = selected.choiceIds || (selected.choiceId ? [selected.choiceId] : []);
+      return sum + choiceIds.reduce((choiceSum, choiceId) => {
+        const choice = customization?.options.find(o => o.id === choiceId);
+        return choiceSum + (choice?.price || 0);
+      }, 0);
+    }, 0);
+
+    const addonsPrice = (item.addons || []).reduce((sum, selected) => {
+      const addon = (typed.addons || []).find(a => a.id === selected.id);
+      return sum + (addon ? addon.price * (selected.quantity ?? 1) : 0);
+    }, 0);
+
+    return roundPrice(basePrice + optionsPrice + addonsPrice);
+  }
+
+  getVatRate(product, orderType) {
+    const consumption = orderType === 'dine_in' ? 'onSite' : 'takeaway';
+    const pricing = product.pricing || product;
+    const rate = pricing.taxRates?.[consumption] ?? pricing.taxRate;
+    if (typeof rate === 'number') return rate;
+    return (this.snapshot?.defaultVatRates || DEFAULT_VAT_RATES)[consumption];
+  }
+
+  /**
+   * Prices an order from the stored menu
+   */
+  priceOrder(items, orderType) {
+    if (!this.snapshot) {
+      throw new Error('No menu stored on this device, call prepare() while online');
+    }
+
+    const lines = items.map(item => {
+      const product = this.products.get(item.productId);
+      const price = this.priceItem(item);
+      return {
+        ...item,
+        name: product.info?.name || product.name,
+        price,
+        taxRate: this.getVatRate(product, orderType),
+        total: roundPrice(price * item.quantity)
+      };
+    });
+
+    return {
+      items: lines,
+      total: roundPrice(lines.reduce((sum, line) => sum + line.total, 0))
+    };
+  }
+
+  // ============================================================================
+  // ORDERS (offline)
+  // ============================================================================
+
+  /**
+   * Nimmt eine bezahlte Bestellung auf
+   * Cash is rounded to 5 Rappen; card payments carry the reference printed
+   * by the terminal.
+   */
+  async takeOrder({ items, orderType = 'takeaway', payment, notes, staffId }) {
+    if (!items || items.length === 0) {
+      throw new Error('Order must contain at least one item');
+    }
+
+    const priced = this.priceOrder(items, orderType);
+    const recordedPayment = this.recordPayment(payment, priced.total);
+    const orderNumber = await this.takeNextNumber();
+    const createdAt = new Date().toISOString();
+
+    const order = {
+      localId: `${Date.now().toString(36)}-${orderNumber}`,
+      orderNumber,
+      snapshotId: this.snapshot.snapshotId,
+      orderType,
+      items: items.map(({ productId, quantity, variantId, bundleId, options, addons, notes: itemNotes }) => ({
+        productId, quantity, variantId, bundleId, options, addons, notes: itemNotes
+      })),
+      total: priced.total,
+      payment: { ...recordedPayment, paidAt: createdAt },
+      createdAt,
+      staffId,
+      notes,
+      // Local only, not uploaded
+      status: POS_ORDER_STATUS.PENDING,
+      lines: priced.items
+    };
+
+    this.orders.push(order);
+    await this.persist(STORAGE_KEYS.ORDERS, this.orders);
+
+    this.emit('order_taken', order);
+    if (this.getRemainingNumbers() < this.options.refillThreshold) {
+      this.emit('numbers_running_low', { remaining: this.getRemainingNumbers() });
+    }
+
+    return order;
+  }
+
+  recordPayment(payment = {}, total) {
+    if (payment.method === POS_PAYMENT_METHODS.CASH) {
+      const amount = roundToSwissCash(total);
+      const tendered = payment.tendered ?? amount;
+      if (tendered < amount) {
+        throw new Error('Cash tendered is less than the amount due');
+      }
+      return { method: payment.method, amount, tendered, change: roundPrice(tendered - amount) };
+    }
+
+    if (payment.method === POS_PAYMENT_METHODS.CARD_TERMINAL) {
+      return { method: payment.method, amount: total, terminalReference: payment.terminalReference };
+    }
+
+    throw new Error(`Payment method ${payment.method} is not available offline`);
+  }
+
+  async takeNextNumber() {
+    const block = this.numberBlocks.find(b => b.nextNumber <= b.end);
+    if (!block) {
+      throw new Error('No order numbers left on this device, reconnect to reserve more');
+    }
+
+    const orderNumber = block.nextNumber;
+    block.nextNumber += 1;
+    // Stored before the order, so a crash never hands out a number twice
+    await this.persist(STORAGE_KEYS.NUMBER_BLOCKS, this.numberBlocks);
+
+    return orderNumber;
+  }
+
+  getPendingOrders() {
+    return this.orders.filter(order => order.status === POS_ORDER_STATUS.PENDING);
+  }
+
+  // ============================================================================
+  // RECONCILIATION (online)
+  // ============================================================================
+
+  /**
+   * Lädt offene Bestellungen hoch und speichert die Abgleichsberichte
+   * Uploads are idempotent on the server, so a cut-off batch is simply sent again.
+   */
+  async reconcile() {
+    if (this.isReconciling || !this.isOnline) {
+      return [];
+    }
+
+    const { tenantId, deviceId, batchSize } = this.options;
+    const reports = [];
+    this.isReconciling = true;
+    this.emit('reconciliation_started', { pendingOrders: this.getPendingOrders().length });
+
+    try {
+      let pending = this.getPendingOrders();
+      while (pending.length > 0) {
+        const batch = pending.slice(0, batchSize);
+        const response = await apiService.post(`/tenants/${tenantId}/pos/devices/${deviceId}/reconcile`, {
+          orders: batch.map(({ status, lines, ...order }) => order)
+        });
+
+        const report = response.data;
+        const syncedIds = new Set(batch.map(order => order.localId));
+        this.orders.forEach(order => {
+          if (syncedIds.has(order.localId)) {
+            order.status = POS_ORDER_STATUS.SYNCED;
+            order.reportId = report.id;
+          }
+        });
+        reports.push(report);
+
+        await this.persist(STORAGE_KEYS.ORDERS, this.orders);
+        this.emit('reconciliation_report', report);
+        pending = this.getPendingOrders();
+      }
+
+      if (reports.length > 0) {
+        this.reports = [...this.reports, ...reports];
+        await this.persist(STORAGE_KEYS.REPORTS, this.reports);
+        await this.pruneSyncedData();
+      }
+
+      this.emit('reconciliation_completed', { reports });
+      return reports;
+    } finally {
+      this.isReconciling = false;
+    }
+  }
+
+  /**
+   * Synced orders of past days and used-up blocks are no longer needed
+   */
+  async pruneSyncedData() {
+    const today = new Date().toISOString().slice(0, 10);
+    this.orders = this.orders.filter(order => (
+      order.status === POS_ORDER_STATUS.PENDING || order.createdAt.slice(0, 10) === today
+    ));
+    this.numberBlocks = this.numberBlocks.filter(block => block.nextNumber <= block.end);
+
+    await Promise.all([
+      this.persist(STORAGE_KEYS.ORDERS, this.orders),
+      this.persist(STORAGE_KEYS.NUMBER_BLOCKS, this.numberBlocks)
+    ]);
+  }
+
+  getReports() {
+    return this.reports;
+  }
+
+  // ============================================================================
+  // HELPERS
+  // ============================================================================
+  async persist(key, value) {
+    await AsyncStorage.setItem(key, JSON.stringify(value));
+  }
+
+  cleanup() {
+    if (this.networkSubscription) {
+      this.networkSubscription();
+      this.networkSubscription = null;
+    }
+    this.removeAllListeners();
+  }
+}
+
+export default OfflinePosService;
@@ -278,7 +278,7 @@ class OfflineService extends EventEmitter {
     try {
       const queueItem = {
         id: this.generateOperationId(),
-        operation: operation,
+        operation: this.withIdempotencyKey(operation),
         timestamp: new Date().toISOString(),
         priority: operation.priority || DATA_PRIORITIES.MEDIUM,
         attempts: 0,
@@ -624,7 +624,8 @@ class OfflineService extends EventEmitter {
   }
 
   async executeOperation(operation, data) {
-    const { method, endpoint, headers = {} } = operation;
+    const { method, endpoint, idempotencyKey } = operation;
+    const headers = { ...operation.headers };
     
     // Add authentication headers
     if (this.authService) {
@@ -632,6 +633,12 @@ class OfflineService extends EventEmitter {
       Object.assign(headers, authHeaders);
     }
     
+    // Replays of the same queued operation must reuse its key, so the
+    // server answers a retry with the original result instead of a duplicate
+    if (idempotencyKey) {
+      headers['Idempotency-Key'] = idempotencyKey;
+    }
+    
     // Execute API call
     return await this.apiService.request({
       method,
@@ -770,6 +777,24 @@ class OfflineService extends EventEmitter {
     return `op_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
   }
 
+  generateIdempotencyKey() {
+    return `idem_${Date.now()}_${Math.random().toString(36).substr(2, 12)}`;
+  }
+
+  withIdempotencyKey(operation) {
+    const method = (operation.method || 'GET').toUpperCase();
+    
+    // Only writes need a key; reads are safe to repeat
+    if (operation.idempotencyKey || ['GET', 'HEAD', 'OPTIONS'].includes(method)) {
+      return operation;
+    }
+    
+    return {
+      ...operation,
+      idempotencyKey: this.generateIdempotencyKey()
+    };
+  }
+
   async generateChecksum(data) {
     // Simple checksum implementation
     const str = JSON.stringify(data);
@@ -811,18 +836,22 @@ class OfflineService extends EventEmitter {
   // PUBLIC API
   // ============================================================================
   async executeOfflineOperation(operation) {
+    // Assign the key up front so the online attempt and a queued retry share it
+    const keyedOperation = this.withIdempotencyKey(operation);
+    
     if (this.isOnline) {
       try {
-        return await this.executeOperation(operation, operation.data);
+        return await this.executeOperation(keyedOperation, keyedOperation.data);
       } catch (error) {
         // If online execution fails, queue for later
-        return await this.addToOfflineQueue(operation);
+        return await this.addToOfflineQueue(keyedOperation);
       }
     } else {
-      return await this.addToOfflineQueue(operation);
+      return await this.addToOfflineQueue(keyedOperation);
     }
   }
 
+
   async forcSync() {
     if (this.isOnline) {
       return await this.syncOfflineQueue();
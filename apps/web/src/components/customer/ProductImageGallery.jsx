@@ -14,7 +14,7 @@
  * - AR product visualization
  * - Lazy loading with progressive enhancement
  * - Accessibility support with keyboard navigation
- * - Image optimization and WebP support
+ * - Responsive srcsets and blurhash placeholders from the image CDN
  * - Fullscreen viewing mode
  * - Social sharing integration
  * - Performance optimized rendering
@@ -39,6 +39,7 @@ import {
   Smartphone, Monitor, Tablet
 } from 'lucide-react';
 import { useSwipeable } from 'react-swipeable';
+import { decode as decodeBlurhash } from 'blurhash';
 import { useTenant } from '../../contexts/TenantContext';
 import { useAuth } from '../../contexts/AuthContext';
 import styles from './ProductImageGallery.module.css';
@@ -107,6 +108,70 @@ const BREAKPOINTS = {
   large: 1440
 };
 
+// Widths the image worker renders; keep in sync with RESPONSIVE_WIDTHS in
+// services/workers/src/image-optimization.ts
+const RESPONSIVE_WIDTHS = [320, 640, 768, 1024, 1280, 1920];
+const THUMBNAIL_WIDTH = 160;
+
+// Images served by the image worker accept ?w=&f=auto
+const CDN_IMAGE_PATTERN = /^(https:\/\/cdn(-staging)?\.eatech\.ch\/(cdn\/)?images\/|\/cdn\/images\/)/;
+
+const IMAGE_SIZES = {
+  default: `(max-width: ${BREAKPOINTS.tablet}px) 100vw, 60vw`,
+  fullscreen: '100vw'
+};
+
+// ============================================================================
+// IMAGE URL HELPERS
+// ============================================================================
+
+const isCdnImage = (url) => Boolean(url) && CDN_IMAGE_PATTERN.test(url);
+
+const getCdnImageUrl = (url, width) => `${url.split('?')[0]}?w=${width}&f=auto`;
+
+const generateThumbnailUrl = (url) => {
+  if (!isCdnImage(url)) return url;
+  return getCdnImageUrl(url, THUMBNAIL_WIDTH);
+};
+
+// Widths above the original are left out; the worker never enlarges
+const generateSrcSet = (url, originalWidth) => {
+  if (!isCdnImage(url)) return undefined;
+
+  const widths = RESPONSIVE_WIDTHS.filter(width => !originalWidth || width < originalWidth);
+  if (originalWidth && originalWidth <= RESPONSIVE_WIDTHS[RESPONSIVE_WIDTHS.length - 1]) {
+    widths.push(originalWidth);
+  }
+
+  return widths
+    .map(width => `${getCdnImageUrl(url, width)} ${width}w`)
+    .join(', ');
+};
+
+// Small data URL for a blurhash, scaled up by CSS while the image loads
+const blurhashToDataUrl = (hash, width, height) => {
+  if (!hash || typeof document === 'undefined') return null;
+
+  try {
+    const placeholderWidth = 32;
+    const placeholderHeight = Math.max(1, Math.round(placeholderWidth * (height / width)));
+    const pixels = decodeBlurhash(hash, placeholderWidth, placeholderHeight);
+
+    const canvas = document.createElement('canvas');
+    canvas.width = placeholderWidth;
+    canvas.height = placeholderHeight;
+    const context = canvas.getContext('2d');
+    const imageData = context.createImageData(placeholderWidth, placeholderHeight);
+    imageData.data.set(pixels);
+    context.putImageData(imageData, 0, 0);
+
+    return canvas.toDataURL();
+  } catch (error) {
+    console.warn('Invalid blurhash:', hash);
+    return null;
+  }
+};
+
 // ============================================================================
 // LOADING COMPONENT
 // ============================================================================
@@ -239,7 +304,8 @@ const ProductImageGallery = ({
       width: img.width || 800,
       height: img.height || 600,
       thumbnail: img.thumbnail || generateThumbnailUrl(img.src || img.url),
-      srcSet: img.srcSet || generateSrcSet(img.src || img.url),
+      srcSet: img.srcSet || generateSrcSet(img.src || img.url, img.width),
+      placeholder: blurhashToDataUrl(img.blurhash, img.width || 800, img.height || 600),
       caption: img.caption,
       badges: img.badges || []
     }));
@@ -259,26 +325,6 @@ const ProductImageGallery = ({
   // UTILITY FUNCTIONS
   // ============================================================================
 
-  const generateThumbnailUrl = useCallback((url) => {
-    if (!url) return '';
-    const baseUrl = url.split('?')[0];
-    const extension = baseUrl.split('.').pop();
-    return `${baseUrl.replace(`.${extension}`, `_thumb.${extension}`)}`;
-  }, []);
-
-  const generateSrcSet = useCallback((url) => {
-    if (!url) return '';
-    const baseUrl = url.split('?')[0];
-    const extension = baseUrl.split('.').pop();
-    
-    return [
-      `${baseUrl.replace(`.${extension}`, `_400.${extension}`)} 400w`,
-      `${baseUrl.replace(`.${extension}`, `_800.${extension}`)} 800w`,
-      `${baseUrl.replace(`.${extension}`, `_1200.${extension}`)} 1200w`,
-      `${baseUrl.replace(`.${extension}`, `_1600.${extension}`)} 1600w`
-    ].join(', ');
-  }, []);
-
   const detectDeviceType = useCallback(() => {
     const width = window.innerWidth;
     if (width <= BREAKPOINTS.mobile) return 'mobile';
@@ -809,12 +855,17 @@ const ProductImageGallery = ({
             ref={imageRef}
             src={currentImage.src}
             srcSet={currentImage.srcSet}
+            sizes={isFullscreen ? IMAGE_SIZES.fullscreen : IMAGE_SIZES.default}
+            width={currentImage.width}
+            height={currentImage.height}
             alt={currentImage.alt}
             className={styles.mainImage}
             style={imageStyle}
             draggable={false}
             loading="eager"
+            onLoad={() => setLoadedImages(prev => new Set([...prev, currentImage.src]))}
             onError={(e) => {
+              e.target.removeAttribute('srcset');
               e.target.src = '/images/placeholder-food.jpg';
             }}
           />
@@ -833,9 +884,18 @@ const ProductImageGallery = ({
 
         {/* Loading Overlay */}
         {!loadedImages.has(currentImage.src) && (
-          <div className={styles.loadingOverlay}>
-            <LoadingSpinner size={32} />
-          </div>
+          currentImage.placeholder ? (
+            <img
+              src={currentImage.placeholder}
+              alt=""
+              aria-hidden="true"
+              className={styles.blurPlaceholder}
+            />
+          ) : (
+            <div className={styles.loadingOverlay}>
+              <LoadingSpinner size={32} />
+            </div>
+          )
         )}
       </div>
     );
@@ -83,6 +83,9 @@ const MODAL_VARIANTS = {
   }
 };
 
+// Declarations use the admin allergen ids; AllergenInfo spells one differently
+const toAllergenInfoId = (id) => (id === 'sulphites' ? 'sulfites' : id);
+
 const ProductModal = ({
   product,
   isOpen,
@@ -303,6 +306,39 @@ const ProductModal = ({
     return (basePrice + modifierPrice) * quantity;
   }, [product, selectedSize, selectedModifiers, quantity]);
 
+  // Allergens follow the recipe and the selected modifiers. Allergens the
+  // admin declared on top of the recipe always stay.
+  const displayedAllergens = useMemo(() => {
+    const declarations = product?.declarations;
+    const manual = product?.allergens || [];
+    if (!declarations) return manual;
+
+    const allergens = new Set(declarations.allergens);
+    Object.values(selectedModifiers).forEach(modifier => {
+      const change = declarations.modifiers?.[modifier?.id];
+      change?.removes.forEach(id => allergens.delete(id));
+      change?.adds.forEach(id => allergens.add(id));
+    });
+    manual
+      .filter(id => !declarations.allergens.includes(id))
+      .forEach(id => allergens.add(id));
+
+    return [...allergens].map(toAllergenInfoId);
+  }, [product, selectedModifiers]);
+
+  const displayedTraces = useMemo(() => (
+    (product?.declarations?.traces || [])
+      .map(toAllergenInfoId)
+      .filter(id => !displayedAllergens.includes(id))
+  ), [product, displayedAllergens]);
+
+  // Nutrition values entered by the admin override the computed ones
+  const displayedNutrition = useMemo(() => {
+    const manual = product?.nutrition;
+    const hasManual = manual && Object.values(manual).some(value => value !== '' && value != null);
+    return hasManual ? manual : product?.declarations?.nutrition || null;
+  }, [product]);
+
   const isAddToCartDisabled = useMemo(() => {
     // Check if required options are selected
     if (product?.sizes && product.sizes.length > 0 && !selectedSize) {
@@ -733,9 +769,13 @@ const ProductModal = ({
                         </div>
                       )}
                       
-                      {product.allergens && product.allergens.length > 0 && (
+                      {(displayedAllergens.length > 0 || displayedTraces.length > 0) && (
                         <Suspense fallback={<LoadingSpinner />}>
-                          <AllergenInfo allergens={product.allergens} />
+                          <AllergenInfo
+                            product={product}
+                            allergens={displayedAllergens}
+                            traceAllergens={displayedTraces}
+                          />
                         </Suspense>
                       )}
                     </div>
@@ -744,7 +784,7 @@ const ProductModal = ({
                   {activeTab === 'nutrition' && (
                     <Suspense fallback={<LoadingSpinner />}>
                       <NutritionPanel 
-                        nutrition={product.nutrition}
+                        product={{ ...product, nutrition: displayedNutrition }}
                         expanded={nutritionExpanded}
                         onToggleExpanded={() => setNutritionExpanded(!nutritionExpanded)}
                       />
@@ -9,7 +9,7 @@
  * Changes: Cash payment removed, lazy loading implemented
  */
 
-import React, { useState, useEffect, useCallback, useMemo, lazy, Suspense } from 'react';
+import React, { useState, useEffect, useCallback, useMemo, useRef, lazy, Suspense } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { 
   CreditCard, Smartphone, FileText, 
@@ -75,6 +75,9 @@ const Checkout = () => {
   const [processing, setProcessing] = useState(false);
   const [paymentError, setPaymentError] = useState(null);
   const [servicesLoaded, setServicesLoaded] = useState(false);
+  // One key per checkout attempt, so re-submitting after a network error
+  // does not create a second order
+  const idempotencyKeyRef = useRef(null);
 
   const commission = useMemo(() => totalAmount * 0.03, [totalAmount]);
   const finalAmount = useMemo(() => totalAmount + commission, [totalAmount, commission]);
@@ -85,6 +88,11 @@ const Checkout = () => {
     }
   }, [cart, navigate]);
 
+  useEffect(() => {
+    // A changed cart is a new order, not a retry of the previous one
+    idempotencyKeyRef.current = null;
+  }, [cart, finalAmount]);
+
   useEffect(() => {
     // Preload critical services
     Promise.all([
@@ -152,7 +160,12 @@ const Checkout = () => {
       const PaymentService = PaymentServiceModule.default;
       const OrderService = OrderServiceModule.default;
 
+      if (!idempotencyKeyRef.current) {
+        idempotencyKeyRef.current = OrderService.createIdempotencyKey();
+      }
+
       const orderData = {
+        idempotencyKey: idempotencyKeyRef.current,
         customer: {
           name: formData.name,
           email: formData.email,
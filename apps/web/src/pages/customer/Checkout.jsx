@@ -51,6 +51,7 @@ import { Elements, CardElement, useStripe, useElements } from '@stripe/react-str
 import { formatCurrency, formatDateTime, formatPhoneNumber } from '../../utils/formatters';
 import { validateEmail, validateSwissPhone, validateForm } from '../../utils/validation';
 import { trackInteraction, logError } from '../../utils/monitoring';
+import { searchLocalities, validatePostalAddress } from '@eatech/utils/swiss';
 
 // Components
 import LoadingSpinner from '../../components/common/LoadingSpinner';
@@ -149,14 +150,24 @@ const Checkout = () => {
         postalCode: '',
         city: '',
         floor: '',
-        notes: ''
+        notes: '',
+        canton: null,
+        coordinates: null
     });
+    const [localitySuggestions, setLocalitySuggestions] = useState([]);
     const [paymentMethod, setPaymentMethod] = useState('card');
     const [couponCode, setCouponCode] = useState('');
     const [showCouponInput, setShowCouponInput] = useState(false);
     const [availableTimeSlots, setAvailableTimeSlots] = useState([]);
     const [orderConfirmation, setOrderConfirmation] = useState(null);
     
+    // PLZ und Ort müssen zusammenpassen
+    const postalAddressCheck = useMemo(
+        () => validatePostalAddress(deliveryAddress),
+        [deliveryAddress]
+    );
+    const postalAddressComplete = deliveryAddress.postalCode.length === 4 && deliveryAddress.city.length > 1;
+    
     // ============================================================================
     // EFFECTS
     // ============================================================================
@@ -236,6 +247,35 @@ const Checkout = () => {
         }
     };
     
+    // Autovervollständigung für PLZ und Ort
+    const handleLocalityInput = (field, value) => {
+        const address = {
+            ...deliveryAddress,
+            [field]: value,
+            canton: null,
+            coordinates: null
+        };
+        setDeliveryAddress(address);
+        setLocalitySuggestions(searchLocalities(
+            field === 'postalCode' ? value : `${address.postalCode} ${value}`,
+            { limit: 6 }
+        ));
+    };
+    
+    const selectLocality = (locality) => {
+        setDeliveryAddress({
+            ...deliveryAddress,
+            postalCode: locality.postalCode,
+            city: locality.locality,
+            canton: locality.canton,
+            coordinates: {
+                latitude: locality.latitude,
+                longitude: locality.longitude
+            }
+        });
+        setLocalitySuggestions([]);
+    };
+    
     const canProceedToNextStep = () => {
         switch (currentStep) {
             case 0: // Cart
@@ -251,7 +291,8 @@ const Checkout = () => {
                            deliveryAddress.street.length > 2 &&
                            deliveryAddress.houseNumber.length > 0 &&
                            deliveryAddress.postalCode.length === 4 &&
-                           deliveryAddress.city.length > 2;
+                           deliveryAddress.city.length > 1 &&
+                           postalAddressCheck.valid;
                 }
                 
                 return infoValid && selectedDeliveryTime;
@@ -639,12 +680,12 @@ const Checkout = () => {
                             <input
                                 type="text"
                                 value={deliveryAddress.postalCode}
-                                onChange={(e) => setDeliveryAddress({
-                                    ...deliveryAddress,
-                                    postalCode: e.target.value
-                                })}
+                                onChange={(e) => handleLocalityInput('postalCode', e.target.value)}
+                                onBlur={() => setTimeout(() => setLocalitySuggestions([]), 150)}
                                 placeholder="8001"
                                 maxLength="4"
+                                inputMode="numeric"
+                                autoComplete="postal-code"
                             />
                         </div>
                         
@@ -653,15 +694,58 @@ const Checkout = () => {
                             <input
                                 type="text"
                                 value={deliveryAddress.city}
-                                onChange={(e) => setDeliveryAddress({
-                                    ...deliveryAddress,
-                                    city: e.target.value
-                                })}
+                                onChange={(e) => handleLocalityInput('city', e.target.value)}
+                                onBlur={() => setTimeout(() => setLocalitySuggestions([]), 150)}
                                 placeholder="Zürich"
+                                autoComplete="address-level2"
                             />
                         </div>
                     </div>
                     
+                    {localitySuggestions.length > 0 && (
+                        <ul className={styles.localitySuggestions} role="listbox">
+                            {localitySuggestions.map(locality => (
+                                <li key={`${locality.postalCode}-${locality.locality}-${locality.bfsNumber}`}>
+                                    <button
+                                        type="button"
+                                        onMouseDown={(e) => e.preventDefault()}
+                                        onClick={() => selectLocality(locality)}
+                                    >
+                                        {locality.postalCode} {locality.locality}
+                                        <span className={styles.localityCanton}>{locality.canton}</span>
+                                    </button>
+                                </li>
+                            ))}
+                        </ul>
+                    )}
+                    
+                    {postalAddressComplete && !postalAddressCheck.valid && (
+                        <div className={styles.addressWarning}>
+                            <AlertCircle size={16} />
+                            {postalAddressCheck.error === 'unknown_postal_code'
+                                ? `Die PLZ ${deliveryAddress.postalCode} gibt es nicht.`
+                                : `${deliveryAddress.city} passt nicht zur PLZ ${deliveryAddress.postalCode}.`}
+                            {postalAddressCheck.suggestions.length > 0 && (
+                                <span>
+                                    {' Meinten Sie '}
+                                    {postalAddressCheck.suggestions.slice(0, 3).map((locality, index) => (
+                                        <React.Fragment key={`${locality.postalCode}-${locality.locality}`}>
+                                            {index > 0 && ', '}
+                                            <button
+                                                type="button"
+                                                className={styles.linkButton}
+                                                onClick={() => selectLocality(locality)}
+                                            >
+                                                {locality.postalCode} {locality.locality}
+                                            </button>
+                                        </React.Fragment>
+                                    ))}
+                                    ?
+                                </span>
+                            )}
+                        </div>
+                    )}
+                    
                     <div className={styles.formGroup}>
                         <label>Stockwerk / Zusatzinfo (optional)</label>
                         <input
@@ -4,7 +4,7 @@
  * File Path: /apps/web/src/services/OrderService.js
  */
 
-import { getDatabase, ref, push, set, update, onValue, off } from 'firebase/database';
+import { getDatabase, ref, push, set, update, onValue, off, runTransaction } from 'firebase/database';
 import { getFunctions, httpsCallable } from 'firebase/functions';
 import { getAuth } from 'firebase/auth';
 
@@ -17,10 +17,15 @@ class OrderService {
 
   /**
    * Create a new order
+   *
+   * Pass the same `idempotencyKey` when retrying a failed submit: it is used
+   * as the order's database key, so a retry returns the order that was
+   * already written instead of creating a duplicate.
    */
   async createOrder(orderData) {
     try {
       const {
+        idempotencyKey = this.createIdempotencyKey(),
         tenantId,
         sessionId,
         tableId,
@@ -51,6 +56,7 @@ class OrderService {
         payment,
         notes,
         status,
+        idempotencyKey,
         createdAt: Date.now(),
         updatedAt: Date.now(),
         statusHistory: [{
@@ -60,10 +66,20 @@ class OrderService {
         }]
       };
 
-      // Save to database
-      const ordersRef = ref(this.db, `tenants/${tenantId}/orders`);
-      const newOrderRef = push(ordersRef);
-      await set(newOrderRef, order);
+      // Save to database, unless a previous attempt already did
+      const newOrderRef = ref(this.db, `tenants/${tenantId}/orders/${idempotencyKey}`);
+      const { committed, snapshot } = await runTransaction(
+        newOrderRef,
+        (current) => (current === null ? order : undefined)
+      );
+
+      if (!committed) {
+        return {
+          id: newOrderRef.key,
+          ...snapshot.val(),
+          replayed: true
+        };
+      }
 
       // Save order ID to session for tracking
       if (sessionId) {
@@ -202,6 +218,17 @@ class OrderService {
     }
   }
 
+  /**
+   * Create a key that identifies one checkout attempt across retries
+   */
+  createIdempotencyKey() {
+    if (typeof crypto !== 'undefined' && crypto.randomUUID) {
+      return crypto.randomUUID();
+    }
+
+    return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 12)}`;
+  }
+
   /**
    * Generate order number
    */
@@ -13,10 +13,22 @@ import * as functions from 'firebase-functions';
 import * as admin from 'firebase-admin';
 import * as express from 'express';
 import * as cors from 'cors';
-import { validateFirebaseIdToken, requireRole } from '../middleware/auth.middleware';
+import { AuthenticatedRequest, validateFirebaseIdToken, requireRole } from '../middleware/auth.middleware';
 import { validateRequest } from '../middleware/validation.middleware';
 import { rateLimiter } from '../middleware/rateLimit.middleware';
+import OfflinePosService from '../services/OfflinePosService';
+import OrderWorkflowService, { OrderTransitionError } from '../services/OrderWorkflowService';
+import PrinterService from '../services/PrinterService';
+import ReceiptService from '../services/ReceiptService';
+import { OrderStatus, OrderWorkflowRole } from '../types/order.types';
+import { normalizeDeliveryZones, validateDeliveryZones } from '../utils/deliveryZoneUtils';
+import { AuthorizationError, BusinessError, NotFoundError, ValidationError } from '../utils/errorHandler';
+import { CANTON_CODES } from '../utils/holidayUtils';
 import { logger } from '../utils/logger';
+import { STAFF_ROLES, WORKFLOW_STATUSES, validateWorkflowSettings } from '../utils/orderWorkflow';
+import { isQrIban, isValidIban } from '../utils/qrBillUtils';
+import { ReceiptFormat } from '../utils/receiptUtils';
+import { validateVatNumber } from '../utils/validationUtils';
 import { 
   createTenantSchema, 
   updateTenantSchema, 
@@ -27,6 +39,19 @@ import {
 // Initialize Express app
 const app = express();
 
+// Services
+const orderWorkflowService = new OrderWorkflowService();
+const offlinePosService = new OfflinePosService();
+const receiptService = new ReceiptService();
+const printerService = new PrinterService();
+
+const RECEIPT_FORMATS: ReceiptFormat[] = ['pdf', 'html', 'escpos'];
+
+// Staff roles outside the workflow roles (e.g. custom claims) act as staff
+const toWorkflowRole = (role?: string): OrderWorkflowRole => (
+  role && (STAFF_ROLES as string[]).includes(role) ? role as OrderWorkflowRole : 'staff'
+);
+
 // Middleware
 app.use(cors({ origin: true }));
 app.use(express.json());
@@ -638,14 +663,109 @@ app.get('/tenants/:tenantId/orders', requireRole(['admin', 'staff']), async (req
   }
 });
 
+// Get status transitions available to the user
+app.get(
+  '/tenants/:tenantId/orders/:orderId/transitions',
+  requireRole(['admin', 'staff']),
+  async (req: AuthenticatedRequest, res: express.Response) => {
+    try {
+      const { tenantId, orderId } = req.params;
+      const { user } = req;
+      
+      // Check permissions
+      if (!user || user.tenantId !== tenantId) {
+        return res.status(403).json({ success: false, error: 'Access denied' });
+      }
+      
+      const transitions = await orderWorkflowService.getAvailableTransitions(
+        tenantId,
+        orderId,
+        toWorkflowRole(user.role)
+      );
+      
+      return res.json({
+        success: true,
+        data: transitions
+      });
+    } catch (error) {
+      if (error instanceof NotFoundError) {
+        return res.status(404).json({ success: false, error: error.message });
+      }
+      logger.error('Error fetching order transitions', { error });
+      return res.status(500).json({ success: false, error: 'Internal server error' });
+    }
+  }
+);
+
 // Update order status
 app.put(
   '/tenants/:tenantId/orders/:orderId/status',
   requireRole(['admin', 'staff']),
+  async (req: AuthenticatedRequest, res: express.Response) => {
+    try {
+      const { tenantId, orderId } = req.params;
+      const { status, reason, refundAmount } = req.body as {
+        status: OrderStatus;
+        reason?: string;
+        refundAmount?: number;
+      };
+      const { user } = req;
+      
+      // Check permissions
+      if (!user || user.tenantId !== tenantId) {
+        return res.status(403).json({ success: false, error: 'Access denied' });
+      }
+      
+      if (!WORKFLOW_STATUSES.includes(status)) {
+        return res.status(400).json({ 
+          success: false, 
+          error: `Invalid status. Must be one of: ${WORKFLOW_STATUSES.join(', ')}` 
+        });
+      }
+      
+      // Allowed steps, roles and guards come from the tenant workflow
+      const change = await orderWorkflowService.transitionOrder(
+        tenantId,
+        orderId,
+        status,
+        { uid: user.uid, role: toWorkflowRole(user.role), name: user.email },
+        { source: 'admin', reason, refundAmount }
+      );
+      
+      return res.json({
+        success: true,
+        message: 'Order status updated successfully',
+        data: change
+      });
+    } catch (error) {
+      if (error instanceof OrderTransitionError) {
+        return res.status(409).json({ 
+          success: false, 
+          error: error.message, 
+          reason: error.reason, 
+          guard: error.guard 
+        });
+      }
+      if (error instanceof AuthorizationError) {
+        return res.status(403).json({ success: false, error: error.message });
+      }
+      if (error instanceof NotFoundError) {
+        return res.status(404).json({ success: false, error: error.message });
+      }
+      logger.error('Error updating order status', { error });
+      return res.status(500).json({ success: false, error: 'Internal server error' });
+    }
+  }
+);
+
+// Get VAT receipt of an order (pdf, html or escpos)
+app.get(
+  '/tenants/:tenantId/orders/:orderId/receipt',
+  requireRole(['admin', 'staff']),
   async (req, res) => {
     try {
       const { tenantId, orderId } = req.params;
-      const { status, reason } = req.body;
+      const format = (req.query.format as ReceiptFormat) || 'pdf';
       const { user } = req;
       
       // Check permissions
@@ -653,38 +773,196 @@ app.put(
         return res.status(403).json({ success: false, error: 'Access denied' });
       }
       
-      const validStatuses = ['confirmed', 'preparing', 'ready', 'delivered', 'cancelled'];
-      if (!validStatuses.includes(status)) {
+      if (!RECEIPT_FORMATS.includes(format)) {
         return res.status(400).json({ 
           success: false, 
-          error: `Invalid status. Must be one of: ${validStatuses.join(', ')}` 
+          error: `Invalid format. Must be one of: ${RECEIPT_FORMATS.join(', ')}` 
         });
       }
       
-      const updateData: any = {
-        status,
-        [`statusHistory.${status}`]: admin.firestore.FieldValue.serverTimestamp(),
-        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
-        updatedBy: user.uid
-      };
+      const receipt = await receiptService.renderReceipt(tenantId, orderId, format);
       
-      if (status === 'cancelled' && reason) {
-        updateData.cancellationReason = reason;
+      res.set('Content-Type', receipt.contentType);
+      res.set('Content-Disposition', `inline; filename="${receipt.filename}"`);
+      res.send(receipt.body);
+    } catch (error) {
+      if (error instanceof NotFoundError) {
+        return res.status(404).json({ success: false, error: error.message });
       }
+      logger.error('Error rendering receipt', { error });
+      res.status(500).json({ success: false, error: 'Internal server error' });
+    }
+  }
+);
+
+// Email VAT receipt to the customer or another address
+app.post(
+  '/tenants/:tenantId/orders/:orderId/receipt/email',
+  requireRole(['admin', 'staff']),
+  async (req, res) => {
+    try {
+      const { tenantId, orderId } = req.params;
+      const { user } = req;
       
-      await admin.firestore()
-        .collection('tenants')
-        .doc(tenantId)
-        .collection('orders')
-        .doc(orderId)
-        .update(updateData);
+      // Check permissions
+      if (user.tenantId !== tenantId) {
+        return res.status(403).json({ success: false, error: 'Access denied' });
+      }
+      
+      const email = await receiptService.emailReceipt(tenantId, orderId, req.body.email);
       
       res.json({
         success: true,
-        message: 'Order status updated successfully'
+        message: 'Receipt sent successfully',
+        data: { email }
       });
     } catch (error) {
-      logger.error('Error updating order status', { error });
+      if (error instanceof ValidationError) {
+        return res.status(400).json({ success: false, error: error.message });
+      }
+      if (error instanceof NotFoundError) {
+        return res.status(404).json({ success: false, error: error.message });
+      }
+      logger.error('Error sending receipt', { error });
+      res.status(500).json({ success: false, error: 'Internal server error' });
+    }
+  }
+);
+
+// Print VAT receipt on a receipt printer
+app.post(
+  '/tenants/:tenantId/orders/:orderId/receipt/print',
+  requireRole(['admin', 'staff']),
+  async (req, res) => {
+    try {
+      const { tenantId, orderId } = req.params;
+      const { user } = req;
+      
+      // Check permissions
+      if (user.tenantId !== tenantId) {
+        return res.status(403).json({ success: false, error: 'Access denied' });
+      }
+      
+      const result = await printerService.printReceipt(tenantId, orderId, req.body.printerId);
+      
+      if (!result.success) {
+        return res.status(502).json({ success: false, error: result.error });
+      }
+      
+      res.json({
+        success: true,
+        message: 'Receipt printed successfully',
+        data: result
+      });
+    } catch (error) {
+      if (error instanceof BusinessError) {
+        return res.status(409).json({ success: false, error: error.message });
+      }
+      if (error instanceof NotFoundError) {
+        return res.status(404).json({ success: false, error: error.message });
+      }
+      logger.error('Error printing receipt', { error });
+      res.status(500).json({ success: false, error: 'Internal server error' });
+    }
+  }
+);
+
+// ============================================================================
+// OFFLINE POS
+// ============================================================================
+
+// Reserve a block of order numbers for a POS device
+app.post(
+  '/tenants/:tenantId/pos/devices/:deviceId/number-blocks',
+  requireRole(['admin', 'staff']),
+  async (req, res) => {
+    try {
+      const { tenantId, deviceId } = req.params;
+      const { user } = req;
+      
+      // Check permissions
+      if (user.tenantId !== tenantId) {
+        return res.status(403).json({ success: false, error: 'Access denied' });
+      }
+      
+      const block = await offlinePosService.reserveNumberBlock(
+        tenantId,
+        deviceId,
+        req.body.size === undefined ? undefined : Number(req.body.size)
+      );
+      
+      res.status(201).json({
+        success: true,
+        data: block
+      });
+    } catch (error) {
+      if (error instanceof ValidationError) {
+        return res.status(400).json({ success: false, error: error.message, errors: error.errors });
+      }
+      logger.error('Error reserving POS number block', { error });
+      res.status(500).json({ success: false, error: 'Internal server error' });
+    }
+  }
+);
+
+// Menu snapshot for selling offline
+app.get(
+  '/tenants/:tenantId/pos/devices/:deviceId/snapshot',
+  requireRole(['admin', 'staff']),
+  async (req, res) => {
+    try {
+      const { tenantId, deviceId } = req.params;
+      const { user } = req;
+      
+      // Check permissions
+      if (user.tenantId !== tenantId) {
+        return res.status(403).json({ success: false, error: 'Access denied' });
+      }
+      
+      const snapshot = await offlinePosService.createMenuSnapshot(tenantId, deviceId);
+      
+      res.json({
+        success: true,
+        data: snapshot
+      });
+    } catch (error) {
+      if (error instanceof NotFoundError) {
+        return res.status(404).json({ success: false, error: error.message });
+      }
+      logger.error('Error creating POS menu snapshot', { error });
+      res.status(500).json({ success: false, error: 'Internal server error' });
+    }
+  }
+);
+
+// Upload orders taken offline and get the reconciliation report
+app.post(
+  '/tenants/:tenantId/pos/devices/:deviceId/reconcile',
+  requireRole(['admin', 'staff']),
+  async (req, res) => {
+    try {
+      const { tenantId, deviceId } = req.params;
+      const { user } = req;
+      
+      // Check permissions
+      if (user.tenantId !== tenantId) {
+        return res.status(403).json({ success: false, error: 'Access denied' });
+      }
+      
+      const report = await offlinePosService.reconcileOrders(tenantId, deviceId, req.body.orders, user.uid);
+      
+      res.json({
+        success: true,
+        data: report
+      });
+    } catch (error) {
+      if (error instanceof ValidationError) {
+        return res.status(400).json({ success: false, error: error.message, errors: error.errors });
+      }
+      if (error instanceof NotFoundError) {
+        return res.status(404).json({ success: false, error: error.message });
+      }
+      logger.error('Error reconciling POS orders', { error });
       res.status(500).json({ success: false, error: 'Internal server error' });
     }
   }
@@ -742,9 +1020,70 @@ app.put(
         'paymentMethods',
         'notificationSettings',
         'orderSettings',
+        'capacity',
+        'holidays',
+        'billing',
+        'orderWorkflow',
         'appearance'
       ];
       
+      const canton: string | undefined = req.body.holidays?.canton;
+      if (canton && !(CANTON_CODES as string[]).includes(canton)) {
+        return res.status(400).json({ 
+          success: false, 
+          error: `Invalid canton. Must be one of: ${CANTON_CODES.join(', ')}` 
+        });
+      }
+      
+      const { qrIban, iban, vatNumber } = (req.body.billing || {}) as {
+        qrIban?: string;
+        iban?: string;
+        vatNumber?: string;
+      };
+      if (qrIban && !isQrIban(qrIban)) {
+        return res.status(400).json({ 
+          success: false, 
+          error: 'qrIban must be a valid Swiss QR-IBAN' 
+        });
+      }
+      if (iban && (!isValidIban(iban) || isQrIban(iban))) {
+        return res.status(400).json({ 
+          success: false, 
+          error: 'iban must be a valid Swiss IBAN and not a QR-IBAN' 
+        });
+      }
+      if (vatNumber) {
+        const vatCheck = validateVatNumber(vatNumber);
+        if (!vatCheck.isValid) {
+          return res.status(400).json({ 
+            success: false, 
+            error: vatCheck.error 
+          });
+        }
+        req.body.billing.vatNumber = vatCheck.formatted;
+      }
+      
+      if (req.body.orderWorkflow) {
+        const workflowErrors = validateWorkflowSettings(req.body.orderWorkflow);
+        if (workflowErrors.length > 0) {
+          return res.status(400).json({ 
+            success: false, 
+            error: `Invalid order workflow: ${workflowErrors.join(', ')}` 
+          });
+        }
+      }
+      
+      if (req.body.deliverySettings) {
+        const zoneErrors = validateDeliveryZones(req.body.deliverySettings.zones);
+        if (zoneErrors.length > 0) {
+          return res.status(400).json({ 
+            success: false, 
+            error: `Invalid delivery zones: ${zoneErrors.join(', ')}` 
+          });
+        }
+        req.body.deliverySettings.zones = normalizeDeliveryZones(req.body.deliverySettings.zones);
+      }
+      
       const updates: any = {};
       Object.keys(req.body).forEach(key => {
         if (allowedSettings.includes(key)) {
@@ -69,6 +69,13 @@ const AnalyticsSchemas = {
     interval: Joi.number().integer().min(5).max(60).default(30) // seconds
   }),
   
+  // Cohort analysis parameters
+  cohortQuery: Joi.object({
+    cohortType: Joi.string().valid('weekly', 'monthly').default('monthly'),
+    metric: Joi.string().valid('retention', 'revenue').default('retention'),
+    dateRange: CommonSchemas.dateRange.required()
+  }),
+  
   // Report generation request
   reportRequest: Joi.object({
     type: Joi.string().valid(
@@ -275,18 +282,19 @@ router.get('/cohorts',
   authenticate(),
   requirePermission(PERMISSIONS.REPORT_VIEW),
   authenticatedApiLimiter,
+  validate(AnalyticsSchemas.cohortQuery, { source: 'query' }),
   asyncHandler(async (req, res) => {
     const { tenantId } = req.user!;
     const { cohortType, dateRange, metric } = req.query as any;
     
     const cohorts = await analyticsService.getCohortAnalysis(
       tenantId,
-      cohortType || 'monthly',
+      cohortType,
       {
         start: new Date(dateRange.start),
         end: new Date(dateRange.end)
       },
-      metric || 'retention'
+      metric
     );
     
     res.json({
@@ -704,14 +712,16 @@ router.post('/events',
   authenticate({ required: false }), // Allow anonymous events
   publicApiLimiter,
   asyncHandler(async (req, res) => {
-    const { tenantId, eventType, eventData } = req.body;
+    const { tenantId, eventType, eventData, sessionId, context } = req.body;
     const userId = req.user?.uid;
     
     await analyticsService.trackEvent({
       tenantId,
       userId,
+      sessionId,
       eventType,
       eventData,
+      context,
       timestamp: new Date()
     });
     
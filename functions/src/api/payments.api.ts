@@ -13,7 +13,8 @@ import {
   requireRole, 
   requirePermission,
   requireTenantAccess,
-  requireOwnership 
+  requireOwnership,
+  AuthenticatedRequest
 } from '../middleware/auth.middleware';
 import { 
   validate, 
@@ -25,6 +26,7 @@ import {
   authenticatedApiLimiter,
   orderCreationLimiter 
 } from '../middleware/rateLimiting.middleware';
+import InvoiceService from '../services/InvoiceService';
 import { 
   asyncHandler, 
   NotFoundError, 
@@ -46,6 +48,7 @@ const router = express.Router();
 
 // Initialize services
 const paymentProcessor = new PaymentProcessor();
+const invoiceService = new InvoiceService();
 const stripe = getStripeClient();
 
 // ============================================================================
@@ -631,7 +634,7 @@ router.get('/invoices',
     const { tenantId } = req.user!;
     const { page = 1, limit = 20, status, customerId } = req.query;
     
-    const invoices = await paymentProcessor.listInvoices(tenantId, {
+    const invoices = await invoiceService.listInvoices(tenantId, {
       page: Number(page),
       limit: Number(limit),
       filters: {
@@ -660,7 +663,7 @@ router.get('/invoices/:invoiceId',
     const { tenantId } = req.user!;
     const { invoiceId } = req.params;
     
-    const invoice = await paymentProcessor.getInvoice(invoiceId, tenantId);
+    const invoice = await invoiceService.getInvoice(invoiceId, tenantId);
     
     res.json({
       success: true,
@@ -671,7 +674,7 @@ router.get('/invoices/:invoiceId',
 
 /**
  * GET /payments/invoices/:invoiceId/pdf
- * Download invoice PDF
+ * Download invoice PDF with QR-bill payment part
  */
 router.get('/invoices/:invoiceId/pdf',
   authenticate(),
@@ -681,7 +684,7 @@ router.get('/invoices/:invoiceId/pdf',
     const { tenantId } = req.user!;
     const { invoiceId } = req.params;
     
-    const { url, filename } = await paymentProcessor.getInvoicePDF(
+    const { url, filename } = await invoiceService.getInvoicePDF(
       invoiceId,
       tenantId
     );
@@ -697,6 +700,34 @@ router.get('/invoices/:invoiceId/pdf',
   })
 );
 
+/**
+ * POST /payments/invoices/reconcile
+ * Match bank transfers from a camt.054 file to invoices
+ */
+router.post('/invoices/reconcile',
+  authenticate(),
+  requireRole(ROLES.TENANT_ADMIN, ROLES.TENANT_OWNER),
+  authenticatedApiLimiter,
+  asyncHandler(async (req: AuthenticatedRequest & { rawBody?: Buffer }, res: express.Response) => {
+    const { tenantId } = req.user!;
+    // Cloud Functions has consumed the request stream already; the XML is kept as raw body
+    const xml = req.rawBody ? req.rawBody.toString('utf8') : '';
+    
+    if (!xml.includes('BkToCstmrDbtCdtNtfctn')) {
+      throw new ValidationError('Request body must be a camt.054 XML document', [
+        { field: 'body', message: 'Expected camt.054 XML' }
+      ]);
+    }
+    
+    const result = await invoiceService.reconcileCamt054(tenantId!, xml);
+    
+    res.json({
+      success: true,
+      data: result
+    });
+  })
+);
+
 // ============================================================================
 // ROUTES - PAYOUTS
 // ============================================================================
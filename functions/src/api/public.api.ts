@@ -16,10 +16,24 @@ import * as cors from 'cors';
 import { validateOptionalAuth } from '../middleware/auth.middleware';
 import { validateRequest } from '../middleware/validation.middleware';
 import { rateLimiter } from '../middleware/rateLimit.middleware';
+import { idempotency } from '../middleware/idempotency.middleware';
 import { PaymentProcessor } from '../services/PaymentProcessor';
 import { EmailService } from '../services/EmailService';
 import { SMSService } from '../services/SMSService';
 import { AnalyticsService } from '../services/AnalyticsService';
+import InventoryService, { SoldOutError } from '../services/InventoryService';
+import SlotCapacityService, { SlotReservation, SlotUnavailableError } from '../services/SlotCapacityService';
+import { DeliverySettings, TenantAddress } from '../types/tenant.types';
+import { calculateVATBreakdown } from '../utils/calculationUtils';
+import {
+  checkAddressCoordinates,
+  DeliveryQuote,
+  DeliveryUnavailableError,
+  GeoPoint,
+  getDeliveryOrigin,
+  quoteDelivery
+} from '../utils/deliveryZoneUtils';
+import { BusinessError, ErrorCode, ValidationError } from '../utils/errorHandler';
 import { logger } from '../utils/logger';
 import { 
   createOrderSchema,
@@ -27,7 +41,13 @@ import {
   reviewSchema,
   newsletterSchema
 } from '../validators/schemas';
-import { calculateOrderTotal, generateOrderNumber, estimatePreparationTime } from '../utils/orderUtils';
+import {
+  calculateOrderTotal,
+  generateOrderNumber,
+  estimatePreparationTime,
+  validateOrderItems
+} from '../utils/orderUtils';
+import { findLocality, SwissLocality, validateSwissAddress } from '../utils/postalCodeUtils';
 
 // Initialize Express app
 const app = express();
@@ -37,6 +57,8 @@ const paymentProcessor = new PaymentProcessor();
 const emailService = new EmailService();
 const smsService = new SMSService();
 const analyticsService = new AnalyticsService();
+const slotCapacityService = new SlotCapacityService();
+const inventoryService = new InventoryService();
 
 // Middleware
 app.use(cors({ origin: true }));
@@ -272,14 +294,17 @@ app.get('/tenants/:tenantId/products/:productId', async (req, res) => {
 // ============================================================================
 
 // Create order
+// Clients send an Idempotency-Key header so network retries replay the
+// original response instead of creating (and charging) a second order
 app.post(
   '/tenants/:tenantId/orders',
   validateOptionalAuth,
   validateRequest(createOrderSchema),
+  idempotency({ scope: 'orders:create' }),
   async (req, res) => {
     try {
       const { tenantId } = req.params;
-      const { user } = req;
+      const { user, idempotencyKey } = req;
       
       // Verify tenant exists and is active
       const tenantDoc = await admin.firestore()
@@ -297,9 +322,70 @@ app.post(
       const tenant = tenantDoc.data();
       
       // Validate products and calculate totals
-      const validatedItems = await validateOrderItems(tenantId, req.body.items);
+      const validatedItems = await validateOrderItems(tenantId, req.body.items, req.body.orderType);
       const totals = calculateOrderTotal(validatedItems, req.body.discounts);
       
+      // The delivery fee comes from the zone containing the address
+      let delivery: DeliveryQuote | null = null;
+      let deliveryLocality: SwissLocality | null = null;
+      if (req.body.orderType === 'delivery') {
+        try {
+          deliveryLocality = validateSwissAddress(req.body.deliveryAddress || {});
+
+          // A position from the map must lie in the postal code area, it decides the fee
+          const position = req.body.deliveryAddress?.coordinates as Partial<GeoPoint> | undefined;
+          if (deliveryLocality && typeof position?.latitude === 'number' && typeof position?.longitude === 'number') {
+            checkAddressCoordinates({ latitude: position.latitude, longitude: position.longitude }, deliveryLocality);
+          }
+        } catch (error) {
+          if (error instanceof BusinessError) {
+            return res.status(400).json({
+              success: false,
+              error: error.message,
+              code: error.code,
+              data: error.context
+            });
+          }
+          throw error;
+        }
+        
+        // Without a position from the map, the centre of the locality decides the zone
+        const coordinates = req.body.deliveryAddress?.coordinates || (deliveryLocality && {
+          latitude: deliveryLocality.latitude,
+          longitude: deliveryLocality.longitude
+        });
+        if (typeof coordinates?.latitude !== 'number' || typeof coordinates?.longitude !== 'number') {
+          return res.status(400).json({
+            success: false,
+            error: 'Delivery address coordinates are required',
+            code: ErrorCode.MISSING_REQUIRED_FIELD
+          });
+        }
+        
+        const itemsTotal = validatedItems.reduce((sum, item) => sum + (item.price * item.quantity), 0);
+        try {
+          const deliverySettings = tenant?.settings?.deliverySettings as DeliverySettings | undefined;
+          delivery = quoteDelivery(deliverySettings?.zones, coordinates, itemsTotal, {
+            origin: getDeliveryOrigin(tenant?.address as TenantAddress | undefined),
+            pricing: deliverySettings?.distancePricing,
+          });
+        } catch (error) {
+          if (error instanceof DeliveryUnavailableError) {
+            return res.status(409).json({
+              success: false,
+              error: error.message,
+              code: error.code,
+              data: {
+                reason: error.reason,
+                minOrderAmount: error.minOrderAmount
+              }
+            });
+          }
+          throw error;
+        }
+      }
+      const deliveryFee = delivery ? delivery.fee : 0;
+      
       // Generate order number
       const orderNumber = await generateOrderNumber(tenantId);
       
@@ -309,6 +395,57 @@ app.post(
         ? new Date(req.body.scheduledTime)
         : new Date(Date.now() + prepTime * 60 * 1000);
       
+      const orderRef = admin.firestore()
+        .collection('tenants')
+        .doc(tenantId)
+        .collection('orders')
+        .doc();
+      
+      // Reserve stock and ingredients atomically, so two customers can never
+      // both buy the last portion. Consumed on confirmation, released on
+      // cancellation or failed payment (see orderLifecycle.triggers).
+      try {
+        await inventoryService.reserveItems(tenantId, orderRef.id, validatedItems);
+      } catch (error) {
+        if (error instanceof SoldOutError) {
+          return res.status(409).json({
+            success: false,
+            error: error.message,
+            code: error.code,
+            data: {
+              reason: 'sold_out',
+              products: error.products
+            }
+          });
+        }
+        throw error;
+      }
+      
+      // Claim kitchen capacity. A requested pickup time must fit into its
+      // slot; ASAP orders are always accepted but still count against it.
+      let capacitySlot: SlotReservation | null;
+      try {
+        capacitySlot = await slotCapacityService.reserveSlot(tenantId, tenant, {
+          time: estimatedReadyTime,
+          prepMinutes: prepTime,
+          enforce: Boolean(req.body.scheduledTime)
+        });
+      } catch (error) {
+        await inventoryService.releaseReservedItems(tenantId, orderRef.id);
+        if (error instanceof SlotUnavailableError) {
+          return res.status(409).json({
+            success: false,
+            error: error.message,
+            code: error.code,
+            data: {
+              reason: error.reason,
+              nextAvailable: error.nextAvailableSlot
+            }
+          });
+        }
+        throw error;
+      }
+      
       // Create order data
       const orderData = {
         orderNumber,
@@ -329,37 +466,64 @@ app.post(
         notes: req.body.notes || '',
         subtotal: totals.subtotal,
         tax: totals.tax,
-        deliveryFee: req.body.deliveryFee || 0,
-        total: totals.total + (req.body.deliveryFee || 0),
+        taxBreakdown: calculateVATBreakdown(validatedItems.map(item => ({
+          amount: item.price * item.quantity,
+          rate: item.taxRate
+        }))),
+        deliveryFee,
+        total: totals.total + deliveryFee,
         currency: tenant.settings?.currency || 'CHF',
         paymentMethod: req.body.paymentMethod,
         paymentStatus: 'pending',
         status: 'new',
         estimatedReadyTime,
         preparationTime: prepTime,
+        capacitySlot: capacitySlot
+          ? { key: capacitySlot.key, start: capacitySlot.start, prepMinutes: capacitySlot.prepMinutes }
+          : null,
+        deliveryZone: delivery
+          ? { id: delivery.zoneId, name: delivery.zoneName, extraMinutes: delivery.extraMinutes }
+          : null,
+        estimatedDeliveryTime: delivery
+          ? new Date(estimatedReadyTime.getTime() + (delivery.extraMinutes * 60 * 1000))
+          : null,
         createdAt: admin.firestore.FieldValue.serverTimestamp(),
         updatedAt: admin.firestore.FieldValue.serverTimestamp(),
         metadata: {
           source: 'web',
           userAgent: req.headers['user-agent'],
-          ip: req.ip
+          ip: req.ip,
+          idempotencyKey: idempotencyKey || null
         }
       };
       
       // Add delivery info if applicable
       if (req.body.orderType === 'delivery' && req.body.deliveryAddress) {
-        orderData.deliveryAddress = req.body.deliveryAddress;
+        orderData.deliveryAddress = deliveryLocality
+          ? {
+            ...req.body.deliveryAddress,
+            city: deliveryLocality.locality,
+            canton: deliveryLocality.canton,
+            bfsNumber: deliveryLocality.bfsNumber
+          }
+          : req.body.deliveryAddress;
       }
       
       // Create order
-      const orderRef = await admin.firestore()
-        .collection('tenants')
-        .doc(tenantId)
-        .collection('orders')
-        .add(orderData);
+      try {
+        await orderRef.set(orderData);
+      } catch (error) {
+        await inventoryService.releaseReservedItems(tenantId, orderRef.id);
+        if (capacitySlot) {
+          await slotCapacityService.releaseSlot(tenantId, capacitySlot);
+        }
+        throw error;
+      }
       
       // Process payment if payment info provided
       if (req.body.paymentToken) {
+        // From here on a retry must not create and charge a second order
+        req.idempotentResourceId = orderRef.id;
         try {
           const paymentResult = await paymentProcessor.processPayment({
             orderId: orderRef.id,
@@ -369,7 +533,8 @@ app.post(
             paymentMethod: req.body.paymentMethod,
             paymentToken: req.body.paymentToken,
             customerId: user?.uid,
-            customerEmail: orderData.customer.email
+            customerEmail: orderData.customer.email,
+            idempotencyKey: idempotencyKey ? `${idempotencyKey}:payment` : undefined
           });
           
           // Update order with payment result
@@ -383,13 +548,20 @@ app.post(
           orderData.paymentId = paymentResult.paymentId;
         } catch (paymentError) {
           logger.error('Payment processing failed', { error: paymentError, orderId: orderRef.id });
-          // Continue with order - payment can be retried
+          // The lifecycle trigger releases stock and pickup slot; a successful
+          // retry moves the order on to confirmed
+          await orderRef.update({
+            paymentStatus: 'failed',
+            status: 'payment_failed',
+          });
+          orderData.paymentStatus = 'failed';
+          orderData.status = 'payment_failed';
         }
       }
       
       // Track analytics
       await analyticsService.trackEvent({
-        eventType: 'order_placed',
+        eventType: 'order_created',
         tenantId,
         userId: user?.uid || 'guest',
         properties: {
@@ -397,6 +569,12 @@ app.post(
           orderNumber,
           total: orderData.total,
           itemCount: orderData.items.length,
+          items: validatedItems.map(item => ({
+            productId: item.productId,
+            name: item.name,
+            quantity: item.quantity,
+            price: item.price
+          })),
           orderType: orderData.orderType,
           paymentMethod: orderData.paymentMethod,
           source: 'public_api'
@@ -411,12 +589,26 @@ app.post(
           status: orderData.status,
           paymentStatus: orderData.paymentStatus,
           estimatedReadyTime: orderData.estimatedReadyTime,
+          estimatedDeliveryTime: orderData.estimatedDeliveryTime,
+          deliveryFee: orderData.deliveryFee,
           total: orderData.total
         }
       });
     } catch (error) {
+      if (error instanceof ValidationError) {
+        return res.status(400).json({
+          success: false,
+          error: error.message,
+          code: error.code,
+          errors: error.errors
+        });
+      }
       logger.error('Error creating order', { error });
-      res.status(500).json({ success: false, error: 'Internal server error' });
+      res.status(500).json({
+        success: false,
+        error: 'Internal server error',
+        ...(req.idempotentResourceId ? { orderId: req.idempotentResourceId } : {}),
+      });
     }
   }
 );
@@ -900,10 +1092,25 @@ app.get('/tenants/:tenantId/locations', async (req, res) => {
 });
 
 // Check availability
+// Returns the pickup slots of a date with their remaining kitchen capacity
 app.get('/tenants/:tenantId/availability', async (req, res) => {
   try {
     const { tenantId } = req.params;
-    const { date, time, partySize } = req.query;
+    const { date, time, prepMinutes } = req.query;
+    
+    if (date && !/^\d{4}-\d{2}-\d{2}$/.test(String(date))) {
+      return res.status(400).json({ 
+        success: false, 
+        error: 'Date must be in format YYYY-MM-DD' 
+      });
+    }
+    
+    if (time && !/^\d{2}:\d{2}$/.test(String(time))) {
+      return res.status(400).json({ 
+        success: false, 
+        error: 'Time must be in format HH:mm' 
+      });
+    }
     
     // Get tenant settings
     const tenantDoc = await admin.firestore()
@@ -918,107 +1125,92 @@ app.get('/tenants/:tenantId/availability', async (req, res) => {
       });
     }
     
-    const tenant = tenantDoc.data();
-    const businessHours = tenant?.settings?.businessHours;
-    
-    // Check if open
-    const requestedDate = date ? new Date(date) : new Date();
-    const dayOfWeek = requestedDate.toLocaleDateString('en-US', { weekday: 'lowercase' });
-    const todayHours = businessHours?.[dayOfWeek];
-    
-    if (!todayHours || !todayHours.open) {
-      return res.json({
-        success: true,
-        data: {
-          available: false,
-          reason: 'closed'
-        }
-      });
-    }
-    
-    // Check time slot availability
-    // This is simplified - in production, check actual capacity
-    const available = true;
-    
-    res.json({
-      success: true,
-      data: {
-        available,
-        openTime: todayHours.openTime,
-        closeTime: todayHours.closeTime,
-        nextAvailable: available ? null : '13:00'
-      }
+    const data = await slotCapacityService.getAvailability(tenantId, tenantDoc.data(), {
+      date: date ? String(date) : undefined,
+      time: time ? String(time) : undefined,
+      prepMinutes: Number(prepMinutes) || 0
     });
+    
+    res.json({ success: true, data });
   } catch (error) {
     logger.error('Error checking availability', { error });
     res.status(500).json({ success: false, error: 'Internal server error' });
   }
 });
 
-// ============================================================================
-// HELPER FUNCTIONS
-// ============================================================================
-
-async function validateOrderItems(tenantId: string, items: any[]): Promise<any[]> {
-  const validatedItems = [];
-  
-  for (const item of items) {
-    const productDoc = await admin.firestore()
-      .collection('tenants')
-      .doc(tenantId)
-      .collection('products')
-      .doc(item.productId)
-      .get();
+// Delivery quote
+// Returns the delivery zone, fee and minimum order value for an address,
+// given by position or, less precisely, by postal code
+app.get('/tenants/:tenantId/delivery-quote', async (req, res) => {
+  try {
+    const { tenantId } = req.params;
+    const locality = !req.query.lat && req.query.postalCode ? findLocality(String(req.query.postalCode)) : null;
+    const latitude = locality ? locality.latitude : Number(req.query.lat);
+    const longitude = locality ? locality.longitude : Number(req.query.lng);
+    const orderValue = Number(req.query.orderValue) || 0;
     
-    if (!productDoc.exists) {
-      throw new Error(`Product ${item.productId} not found`);
+    if (!locality && (!req.query.lat || !req.query.lng || Number.isNaN(latitude) || Number.isNaN(longitude))) {
+      return res.status(400).json({ 
+        success: false, 
+        error: 'lat and lng or a known postalCode are required' 
+      });
     }
     
-    const product = productDoc.data();
+    const tenantDoc = await admin.firestore()
+      .collection('tenants')
+      .doc(tenantId)
+      .get();
     
-    if (product?.status !== 'active' || !product?.available) {
-      throw new Error(`Product ${product?.name} is not available`);
+    if (!tenantDoc.exists) {
+      return res.status(404).json({ 
+        success: false, 
+        error: 'Tenant not found' 
+      });
     }
     
-    // Validate options
-    let optionsPrice = 0;
-    const validatedOptions = [];
+    const deliverySettings = tenantDoc.get('settings.deliverySettings') as DeliverySettings | undefined;
+    const point = { latitude, longitude };
+    const fallback = {
+      origin: getDeliveryOrigin(tenantDoc.get('address') as TenantAddress | undefined),
+      pricing: deliverySettings?.distancePricing,
+    };
     
-    if (item.options && product.options) {
-      for (const selectedOption of item.options) {
-        const productOption = product.options.find((o: any) => o.id === selectedOption.id);
-        if (!productOption) {
-          throw new Error(`Invalid option ${selectedOption.id} for product ${product.name}`);
-        }
-        
-        const selectedChoice = productOption.choices.find((c: any) => c.id === selectedOption.choiceId);
-        if (!selectedChoice) {
-          throw new Error(`Invalid choice for option ${productOption.name}`);
+    try {
+      const quote = quoteDelivery(deliverySettings?.zones, point, orderValue, fallback);
+      res.json({
+        success: true,
+        data: {
+          available: true,
+          reason: null,
+          ...quote
         }
-        
-        optionsPrice += selectedChoice.price || 0;
-        validatedOptions.push({
-          id: productOption.id,
-          name: productOption.name,
-          choice: selectedChoice.name,
-          price: selectedChoice.price || 0
-        });
+      });
+    } catch (error) {
+      if (!(error instanceof DeliveryUnavailableError)) {
+        throw error;
       }
+      // Below the minimum the zone is still known, so the fee can be shown
+      const quote = error.reason === 'below_minimum'
+        ? quoteDelivery(deliverySettings?.zones, point, error.minOrderAmount || 0, fallback)
+        : null;
+      res.json({
+        success: true,
+        data: {
+          available: false,
+          reason: error.reason,
+          zoneId: quote?.zoneId || null,
+          zoneName: quote?.zoneName || null,
+          fee: quote?.fee ?? null,
+          minOrderAmount: error.minOrderAmount ?? null,
+          extraMinutes: quote?.extraMinutes ?? null
+        }
+      });
     }
-    
-    validatedItems.push({
-      productId: item.productId,
-      name: product.name,
-      price: product.price + optionsPrice,
-      basePrice: product.price,
-      quantity: item.quantity,
-      options: validatedOptions,
-      notes: item.notes || ''
-    });
+  } catch (error) {
+    logger.error('Error quoting delivery', { error });
+    res.status(500).json({ success: false, error: 'Internal server error' });
   }
-  
-  return validatedItems;
-}
+});
 
 // ============================================================================
 // ERROR HANDLING
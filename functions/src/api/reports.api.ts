@@ -26,7 +26,8 @@ import {
 import { 
   asyncHandler, 
   NotFoundError, 
-  BusinessError 
+  BusinessError,
+  ValidationError
 } from '../utils/errorHandler';
 import { ReportingService } from '../services/ReportingService';
 import { AnalyticsService } from '../services/AnalyticsService';
@@ -719,6 +720,9 @@ router.get('/quick/top-products',
 /**
  * GET /reports/quick/customer-insights
  * Get customer insights report
+ *
+ * The daily rollups do not split customers into segments, so `segment` is
+ * rejected rather than ignored.
  */
 router.get('/quick/customer-insights',
   authenticate(),
@@ -729,13 +733,18 @@ router.get('/quick/customer-insights',
     const { tenantId } = req.user!;
     const { start, end, segment } = req.query;
     
+    if (segment !== undefined) {
+      throw new ValidationError('Customer segments are not supported', [
+        { field: 'segment', message: 'Insights cover all customers of the date range' },
+      ]);
+    }
+    
     const insights = await analyticsService.getCustomerInsights(
       tenantId,
       {
         start: new Date(start as string),
         end: new Date(end as string)
-      },
-      segment as string
+      }
     );
     
     res.json({
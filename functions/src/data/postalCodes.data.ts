@@ -0,0 +1,13 @@
+/**
+ * Swiss postal codes (PLZ) with locality, municipality, canton and position
+ *
+ * Generated by scripts/build-postal-codes.js - do not edit by hand.
+ * Not generated yet: run the script with the swisstopo directory of
+ * localities to fill in the dataset.
+ */
+
+export const POSTAL_CODE_DATA_SOURCE: string | null = null;
+
+// postalCode|locality|municipality (empty = locality)|bfsNumber|canton|latitude|longitude|language
+export const POSTAL_CODE_DATA = `
+`;
@@ -0,0 +1,627 @@
+/**
+ * EATECH Migration Runner
+ *
+ * Applies and rolls back Firestore migrations in id order. Applied versions
+ * are kept in a ledger document, a lease lock keeps two instances from
+ * migrating at once, and collections are processed in batches with a
+ * checkpoint, so an interrupted run resumes after the last committed batch.
+ */
+
+import { randomUUID } from 'crypto';
+
+import * as admin from 'firebase-admin';
+import { logger } from 'firebase-functions';
+
+import { BusinessError, ErrorCode, NotFoundError } from '../utils/errorHandler';
+
+export const MIGRATIONS_COLLECTION = '_migrations';
+const LEDGER_DOC = 'ledger';
+const LOCK_DOC = 'lock';
+const CHECKPOINTS_COLLECTION = 'checkpoints';
+
+// Firestore allows 500 writes per batch; keep room for the checkpoint
+const MAX_BATCH_WRITES = 450;
+const DEFAULT_BATCH_SIZE = 200;
+const DEFAULT_LOCK_TTL_MS = 10 * 60 * 1000;
+const REPORT_SAMPLE_SIZE = 50;
+
+// ============================================================================
+// TYPES
+// ============================================================================
+export type MigrationDirection = 'up' | 'down';
+
+export interface Migration {
+  id: string;
+  name: string;
+  description: string;
+  up: (context: MigrationContext) => Promise<void> | void;
+  down?: (context: MigrationContext) => Promise<void> | void;
+}
+
+export interface MigrationContext {
+  db: admin.firestore.Firestore;
+  dryRun: boolean;
+  /** All writes go through the writer so dry runs can report them */
+  writer: MigrationWriter;
+  /**
+   * Calls the handler for every document of a collection, one batch at a
+   * time. Writes made in the handler are committed together with the
+   * checkpoint, so handlers must stay idempotent for the batch in flight.
+   */
+  forEachBatch: (
+    collectionPath: string,
+    handler: (docs: admin.firestore.QueryDocumentSnapshot[]) => Promise<void> | void,
+    options?: BatchOptions
+  ) => Promise<void>;
+}
+
+export interface BatchOptions {
+  /** Checkpoint key when a migration walks the same collection twice */
+  step?: string;
+  batchSize?: number;
+  /** Narrows the scan; combined with ordering by document id */
+  query?: (collection: admin.firestore.CollectionReference) => admin.firestore.Query;
+}
+
+export interface PlannedChange {
+  type: 'set' | 'update' | 'delete';
+  path: string;
+  data?: Record<string, any>;
+}
+
+export interface MigrationReport {
+  id: string;
+  name: string;
+  direction: MigrationDirection;
+  dryRun: boolean;
+  documentsScanned: number;
+  writes: { set: number; update: number; delete: number };
+  /** The first changes, as a preview */
+  changes: PlannedChange[];
+  resumed: boolean;
+  durationMs: number;
+}
+
+export interface LedgerEntry {
+  name: string;
+  appliedAt: admin.firestore.Timestamp;
+  durationMs: number;
+  documentsScanned: number;
+  writes: number;
+}
+
+export interface MigrationLedger {
+  /** Id of the latest applied migration */
+  version: string | null;
+  applied: Record<string, LedgerEntry>;
+  updatedAt: admin.firestore.Timestamp;
+}
+
+export interface MigrationLock {
+  owner: string;
+  operation: string;
+  acquiredAt: admin.firestore.Timestamp;
+  expiresAt: admin.firestore.Timestamp;
+}
+
+export interface MigrationRunnerOptions {
+  db?: admin.firestore.Firestore;
+  batchSize?: number;
+  lockTtlMs?: number;
+  /** Identifies this process in the lock document */
+  owner?: string;
+}
+
+export interface RunOptions {
+  dryRun?: boolean;
+  /** Migrate up to and including this id, or roll back down to it */
+  to?: string;
+}
+
+export interface RollbackOptions extends RunOptions {
+  /** Number of migrations to roll back when no target is given */
+  steps?: number;
+}
+
+// ============================================================================
+// WRITER
+// ============================================================================
+export class MigrationWriter {
+  private batches: admin.firestore.WriteBatch[] = [];
+  private batchWrites = 0;
+  private readonly db: admin.firestore.Firestore;
+  private readonly report: MigrationReport;
+
+  constructor(db: admin.firestore.Firestore, report: MigrationReport) {
+    this.db = db;
+    this.report = report;
+  }
+
+  set(
+    ref: admin.firestore.DocumentReference,
+    data: Record<string, any>,
+    options: admin.firestore.SetOptions = {},
+  ): void {
+    this.record({ type: 'set', path: ref.path, data });
+    if (!this.report.dryRun) {
+      this.currentBatch().set(ref, data, options);
+    }
+  }
+
+  update(ref: admin.firestore.DocumentReference, data: Record<string, any>): void {
+    this.record({ type: 'update', path: ref.path, data });
+    if (!this.report.dryRun) {
+      this.currentBatch().update(ref, data);
+    }
+  }
+
+  delete(ref: admin.firestore.DocumentReference): void {
+    this.record({ type: 'delete', path: ref.path });
+    if (!this.report.dryRun) {
+      this.currentBatch().delete(ref);
+    }
+  }
+
+  /**
+   * Commits queued writes; the checkpoint goes into the last batch so it
+   * only advances once the batch it describes is written
+   */
+  async flush(checkpoint?: { ref: admin.firestore.DocumentReference; data: Record<string, any> }): Promise<void> {
+    if (this.report.dryRun) {
+      return;
+    }
+
+    if (checkpoint) {
+      this.currentBatch().set(checkpoint.ref, checkpoint.data, { merge: true });
+    }
+
+    const { batches } = this;
+    this.batches = [];
+    this.batchWrites = 0;
+
+    for (const batch of batches) {
+      await batch.commit();
+    }
+  }
+
+  private currentBatch(): admin.firestore.WriteBatch {
+    if (this.batches.length === 0 || this.batchWrites >= MAX_BATCH_WRITES) {
+      this.batches.push(this.db.batch());
+      this.batchWrites = 0;
+    }
+    this.batchWrites += 1;
+    return this.batches[this.batches.length - 1];
+  }
+
+  private record(change: PlannedChange): void {
+    this.report.writes[change.type] += 1;
+    if (this.report.changes.length < REPORT_SAMPLE_SIZE) {
+      this.report.changes.push(change);
+    }
+  }
+}
+
+// ============================================================================
+// RUNNER
+// ============================================================================
+export class MigrationRunner {
+  private readonly migrations: Migration[];
+  private readonly options: Required<Omit<MigrationRunnerOptions, 'db'>> & { db?: admin.firestore.Firestore };
+
+  constructor(migrations: Migration[], options: MigrationRunnerOptions = {}) {
+    const ids = new Set<string>();
+    migrations.forEach((migration) => {
+      if (ids.has(migration.id)) {
+        throw new BusinessError(`Duplicate migration id: ${migration.id}`);
+      }
+      ids.add(migration.id);
+    });
+
+    this.migrations = [...migrations].sort((a, b) => (a.id < b.id ? -1 : 1));
+    this.options = {
+      db: options.db,
+      batchSize: options.batchSize || DEFAULT_BATCH_SIZE,
+      lockTtlMs: options.lockTtlMs || DEFAULT_LOCK_TTL_MS,
+      owner: options.owner || `${process.env.HOSTNAME || 'local'}-${process.pid}-${randomUUID().slice(0, 8)}`,
+    };
+  }
+
+  // Resolved lazily so the runner can be created before initializeApp
+  private get db(): admin.firestore.Firestore {
+    return this.options.db || admin.firestore();
+  }
+
+  /**
+   * Apply pending migrations, optionally only up to a target id
+   */
+  async up(options: RunOptions = {}): Promise<MigrationReport[]> {
+    const { dryRun = false, to } = options;
+    if (to) {
+      this.getMigration(to);
+    }
+
+    return this.withLock(`up${to ? ` to ${to}` : ''}`, dryRun, async () => {
+      const ledger = await this.loadLedger(dryRun);
+      const pending = this.migrations.filter(
+        (m) => !ledger.applied[m.id] && (!to || m.id <= to),
+      );
+
+      if (pending.length === 0) {
+        logger.info('No pending migrations');
+        return [];
+      }
+
+      logger.info(`${dryRun ? 'Dry run of' : 'Applying'} ${pending.length} migrations`);
+
+      const reports: MigrationReport[] = [];
+      for (const migration of pending) {
+        reports.push(await this.runMigration(migration, 'up', dryRun));
+      }
+      return reports;
+    });
+  }
+
+  /**
+   * Roll back applied migrations, newest first
+   *
+   * Without options only the latest migration is rolled back. With `to`,
+   * every migration after that id is rolled back.
+   */
+  async down(options: RollbackOptions = {}): Promise<MigrationReport[]> {
+    const { dryRun = false, to, steps = 1 } = options;
+    if (to) {
+      this.getMigration(to);
+    }
+
+    return this.withLock(`down${to ? ` to ${to}` : ''}`, dryRun, async () => {
+      const ledger = await this.loadLedger(dryRun);
+      const applied = this.migrations
+        .filter((m) => ledger.applied[m.id])
+        .reverse();
+      const targets = to ? applied.filter((m) => m.id > to) : applied.slice(0, steps);
+
+      // Check the whole plan before touching anything
+      const irreversible = targets.find((m) => !m.down);
+      if (irreversible) {
+        throw new BusinessError(
+          `Migration ${irreversible.id} does not support rollback`,
+          ErrorCode.BUSINESS_RULE_VIOLATION,
+          { migrationId: irreversible.id },
+        );
+      }
+
+      if (targets.length === 0) {
+        logger.info('No migrations to roll back');
+        return [];
+      }
+
+      const reports: MigrationReport[] = [];
+      for (const migration of targets) {
+        reports.push(await this.runMigration(migration, 'down', dryRun));
+      }
+      return reports;
+    });
+  }
+
+  /**
+   * Apply all pending migrations
+   */
+  async runPendingMigrations(): Promise<void> {
+    await this.up();
+  }
+
+  /**
+   * Get migration status
+   */
+  async getStatus(): Promise<{
+    version: string | null;
+    executed: string[];
+    pending: string[];
+    total: number;
+    lock: MigrationLock | null;
+  }> {
+    const [ledger, lockSnapshot] = await Promise.all([
+      this.loadLedger(true),
+      this.lockRef().get(),
+    ]);
+    const lock = lockSnapshot.data() as MigrationLock | undefined;
+
+    return {
+      version: ledger.version,
+      executed: this.migrations.filter((m) => ledger.applied[m.id]).map((m) => m.id),
+      pending: this.migrations.filter((m) => !ledger.applied[m.id]).map((m) => m.id),
+      total: this.migrations.length,
+      lock: lock && lock.expiresAt.toMillis() > Date.now() ? lock : null,
+    };
+  }
+
+  /**
+   * Run one migration in one direction and record it in the ledger
+   */
+  private async runMigration(
+    migration: Migration,
+    direction: MigrationDirection,
+    dryRun: boolean,
+  ): Promise<MigrationReport> {
+    const run = direction === 'up' ? migration.up : migration.down;
+    if (!run) {
+      throw new BusinessError(`Migration ${migration.id} does not support rollback`);
+    }
+
+    logger.info(`${dryRun ? 'Dry run' : 'Running'} migration ${migration.id} (${direction}): ${migration.name}`);
+
+    const startTime = Date.now();
+    const report: MigrationReport = {
+      id: migration.id,
+      name: migration.name,
+      direction,
+      dryRun,
+      documentsScanned: 0,
+      writes: { set: 0, update: 0, delete: 0 },
+      changes: [],
+      resumed: false,
+      durationMs: 0,
+    };
+    const writer = new MigrationWriter(this.db, report);
+
+    const context: MigrationContext = {
+      db: this.db,
+      dryRun,
+      writer,
+      forEachBatch: (collectionPath, handler, options = {}) =>
+        this.forEachBatch(migration, direction, report, writer, collectionPath, handler, options),
+    };
+
+    try {
+      await run(context);
+      await writer.flush();
+    } catch (err) {
+      logger.error(`Migration ${migration.id} (${direction}) failed`, err);
+      throw err;
+    }
+
+    report.durationMs = Date.now() - startTime;
+
+    if (!dryRun) {
+      await this.recordInLedger(migration, direction, report);
+      await this.clearCheckpoints(migration.id, direction);
+    }
+
+    logger.info(`Migration ${migration.id} (${direction}) ${dryRun ? 'would write' : 'wrote'} `
+      + `${report.writes.set + report.writes.update + report.writes.delete} documents in ${report.durationMs}ms`);
+
+    return report;
+  }
+
+  private async forEachBatch(
+    migration: Migration,
+    direction: MigrationDirection,
+    report: MigrationReport,
+    writer: MigrationWriter,
+    collectionPath: string,
+    handler: (docs: admin.firestore.QueryDocumentSnapshot[]) => Promise<void> | void,
+    options: BatchOptions,
+  ): Promise<void> {
+    const batchSize = options.batchSize || this.options.batchSize;
+    const step = options.step || collectionPath;
+    const checkpointRef = this.ledgerRef()
+      .collection(CHECKPOINTS_COLLECTION)
+      .doc(`${migration.id}_${direction}_${step.replace(/\//g, '_')}`);
+
+    // Dry runs keep the cursor in memory only
+    let cursor: string | null = null;
+    if (!report.dryRun) {
+      const checkpoint = await checkpointRef.get();
+      cursor = (checkpoint.data()?.cursor as string | undefined) || null;
+      if (cursor) {
+        report.resumed = true;
+        logger.info(`Resuming migration ${migration.id} on ${step} after ${cursor}`);
+      }
+    }
+
+    const collection = this.db.collection(collectionPath);
+    const baseQuery = (options.query ? options.query(collection) : collection)
+      .orderBy(admin.firestore.FieldPath.documentId())
+      .limit(batchSize);
+
+    for (;;) {
+      const snapshot = await (cursor ? baseQuery.startAfter(cursor) : baseQuery).get();
+      if (snapshot.empty) {
+        break;
+      }
+
+      await handler(snapshot.docs);
+      report.documentsScanned += snapshot.size;
+      cursor = snapshot.docs[snapshot.docs.length - 1].id;
+
+      await writer.flush({
+        ref: checkpointRef,
+        data: {
+          migrationId: migration.id,
+          direction,
+          step,
+          cursor,
+          processed: admin.firestore.FieldValue.increment(snapshot.size),
+          updatedAt: admin.firestore.Timestamp.now(),
+        },
+      });
+
+      if (!report.dryRun) {
+        await this.renewLock();
+      }
+
+      if (snapshot.size < batchSize) {
+        break;
+      }
+    }
+  }
+
+  // ==========================================================================
+  // LEDGER
+  // ==========================================================================
+  private ledgerRef(): admin.firestore.DocumentReference {
+    return this.db.collection(MIGRATIONS_COLLECTION).doc(LEDGER_DOC);
+  }
+
+  /**
+   * Read the ledger, creating it on first use
+   *
+   * Earlier versions stored one document per migration in the same
+   * collection; successful ones are carried over into the ledger.
+   */
+  private async loadLedger(readOnly: boolean): Promise<MigrationLedger> {
+    const snapshot = await this.ledgerRef().get();
+    if (snapshot.exists) {
+      return snapshot.data() as MigrationLedger;
+    }
+
+    const legacy = await this.db.collection(MIGRATIONS_COLLECTION).get();
+    const applied: Record<string, LedgerEntry> = {};
+    legacy.docs
+      .filter((doc) => doc.id !== LOCK_DOC && doc.data().success === true)
+      .forEach((doc) => {
+        const data = doc.data();
+        applied[doc.id] = {
+          name: data.name as string,
+          appliedAt: data.executedAt as admin.firestore.Timestamp,
+          durationMs: 0,
+          documentsScanned: 0,
+          writes: 0,
+        };
+      });
+
+    const ids = Object.keys(applied).sort();
+    const ledger: MigrationLedger = {
+      version: ids.length > 0 ? ids[ids.length - 1] : null,
+      applied,
+      updatedAt: admin.firestore.Timestamp.now(),
+    };
+
+    if (!readOnly) {
+      await this.ledgerRef().set(ledger);
+    }
+    return ledger;
+  }
+
+  private async recordInLedger(
+    migration: Migration,
+    direction: MigrationDirection,
+    report: MigrationReport,
+  ): Promise<void> {
+    await this.db.runTransaction(async (transaction) => {
+      const snapshot = await transaction.get(this.ledgerRef());
+      const ledger = snapshot.data() as MigrationLedger;
+      const applied = { ...ledger.applied };
+
+      if (direction === 'up') {
+        applied[migration.id] = {
+          name: migration.name,
+          appliedAt: admin.firestore.Timestamp.now(),
+          durationMs: report.durationMs,
+          documentsScanned: report.documentsScanned,
+          writes: report.writes.set + report.writes.update + report.writes.delete,
+        };
+      } else {
+        delete applied[migration.id];
+      }
+
+      const ids = Object.keys(applied).sort();
+      transaction.set(this.ledgerRef(), {
+        version: ids.length > 0 ? ids[ids.length - 1] : null,
+        applied,
+        updatedAt: admin.firestore.Timestamp.now(),
+      });
+    });
+  }
+
+  private async clearCheckpoints(migrationId: string, direction: MigrationDirection): Promise<void> {
+    const checkpoints = await this.ledgerRef()
+      .collection(CHECKPOINTS_COLLECTION)
+      .where('migrationId', '==', migrationId)
+      .where('direction', '==', direction)
+      .get();
+
+    await Promise.all(checkpoints.docs.map((doc) => doc.ref.delete()));
+  }
+
+  // ==========================================================================
+  // LOCK
+  // ==========================================================================
+  private lockRef(): admin.firestore.DocumentReference {
+    return this.db.collection(MIGRATIONS_COLLECTION).doc(LOCK_DOC);
+  }
+
+  /**
+   * Runs fn while holding the migration lock; dry runs only read and
+   * don't take it
+   */
+  private async withLock<T>(operation: string, dryRun: boolean, fn: () => Promise<T>): Promise<T> {
+    if (dryRun) {
+      return fn();
+    }
+
+    await this.acquireLock(operation);
+    try {
+      return await fn();
+    } finally {
+      await this.releaseLock();
+    }
+  }
+
+  private async acquireLock(operation: string): Promise<void> {
+    await this.db.runTransaction(async (transaction) => {
+      const snapshot = await transaction.get(this.lockRef());
+      const lock = snapshot.data() as MigrationLock | undefined;
+
+      if (lock && lock.owner !== this.options.owner && lock.expiresAt.toMillis() > Date.now()) {
+        throw new BusinessError(
+          `Migrations are locked by ${lock.owner} (${lock.operation}) until ${lock.expiresAt.toDate().toISOString()}`,
+          ErrorCode.MIGRATION_LOCKED,
+          { owner: lock.owner, operation: lock.operation },
+        );
+      }
+
+      transaction.set(this.lockRef(), {
+        owner: this.options.owner,
+        operation,
+        acquiredAt: admin.firestore.Timestamp.now(),
+        expiresAt: admin.firestore.Timestamp.fromMillis(Date.now() + this.options.lockTtlMs),
+      });
+    });
+  }
+
+  // Extends the lease; fails if the lock expired and another runner took it
+  private async renewLock(): Promise<void> {
+    await this.db.runTransaction(async (transaction) => {
+      const snapshot = await transaction.get(this.lockRef());
+      const lock = snapshot.data() as MigrationLock | undefined;
+
+      if (!lock || lock.owner !== this.options.owner) {
+        throw new BusinessError('Migration lock was lost', ErrorCode.MIGRATION_LOCKED, {
+          owner: lock?.owner,
+        });
+      }
+
+      transaction.update(this.lockRef(), {
+        expiresAt: admin.firestore.Timestamp.fromMillis(Date.now() + this.options.lockTtlMs),
+      });
+    });
+  }
+
+  private async releaseLock(): Promise<void> {
+    await this.db.runTransaction(async (transaction) => {
+      const snapshot = await transaction.get(this.lockRef());
+      if (snapshot.data()?.owner === this.options.owner) {
+        transaction.delete(this.lockRef());
+      }
+    });
+  }
+
+  private getMigration(id: string): Migration {
+    const migration = this.migrations.find((m) => m.id === id);
+    if (!migration) {
+      throw new NotFoundError('Migration', id);
+    }
+    return migration;
+  }
+}
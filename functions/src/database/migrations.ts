@@ -2,33 +2,16 @@
  * EATECH Database Migrations
  * 
  * This file contains database migration logic for Firestore
- * Migrations are run in order and tracked to prevent re-running
+ * Migrations are run in order and tracked in the ledger by the MigrationRunner
+ * Run them with scripts/migrate.js
  */
 
 import * as admin from 'firebase-admin';
 import { logger } from 'firebase-functions';
 
-const db = admin.firestore();
-const MIGRATIONS_COLLECTION = '_migrations';
+import { VAT_RATES } from '../utils/calculationUtils';
 
-// ============================================================================
-// TYPES
-// ============================================================================
-interface Migration {
-  id: string;
-  name: string;
-  description: string;
-  up: () => Promise<void>;
-  down?: () => Promise<void>;
-}
-
-interface MigrationRecord {
-  id: string;
-  name: string;
-  executedAt: admin.firestore.Timestamp;
-  success: boolean;
-  error?: string;
-}
+import { Migration, MigrationRunner } from './migrationRunner';
 
 // ============================================================================
 // MIGRATIONS
@@ -38,14 +21,11 @@ const migrations: Migration[] = [
     id: '001_initial_setup',
     name: 'Initial Setup',
     description: 'Create initial collections and indexes',
-    up: async () => {
+    up: ({ db, writer }) => {
       logger.info('Running migration: Initial Setup');
       
-      // Create system collections
-      const batch = db.batch();
-      
       // System settings
-      batch.set(db.collection('_system').doc('settings'), {
+      writer.set(db.collection('_system').doc('settings'), {
         version: '3.0.0',
         createdAt: admin.firestore.FieldValue.serverTimestamp(),
         features: {
@@ -56,7 +36,7 @@ const migrations: Migration[] = [
       });
       
       // Feature flags
-      batch.set(db.collection('_features').doc('flags'), {
+      writer.set(db.collection('_features').doc('flags'), {
         enableOrderTracking: true,
         enableLoyaltyProgram: true,
         enableVoiceOrdering: false,
@@ -67,23 +47,24 @@ const migrations: Migration[] = [
         enableCatering: true,
       });
       
-      await batch.commit();
       logger.info('Initial setup completed');
     },
+    down: ({ db, writer }) => {
+      writer.delete(db.collection('_system').doc('settings'));
+      writer.delete(db.collection('_features').doc('flags'));
+    },
   },
   
   {
     id: '002_add_tenant_fields',
     name: 'Add Tenant Fields',
     description: 'Add new fields to tenant documents',
-    up: async () => {
+    up: async ({ writer, forEachBatch }) => {
       logger.info('Running migration: Add Tenant Fields');
       
-      const tenants = await db.collection('tenants').get();
-      const batch = db.batch();
-      
-      tenants.forEach(doc => {
-        batch.update(doc.ref, {
+      // Existing values win, so re-running a batch is harmless
+      await forEachBatch('tenants', tenants => tenants.forEach(doc => {
+        writer.update(doc.ref, {
           settings: {
             currency: 'CHF',
             timezone: 'Europe/Zurich',
@@ -106,9 +87,8 @@ const migrations: Migration[] = [
             ...doc.data().billing,
           },
         });
-      });
+      }));
       
-      await batch.commit();
       logger.info('Tenant fields added');
     },
   },
@@ -117,7 +97,7 @@ const migrations: Migration[] = [
     id: '003_create_analytics_structure',
     name: 'Create Analytics Structure',
     description: 'Set up analytics collections and aggregations',
-    up: async () => {
+    up: ({ db, writer }) => {
       logger.info('Running migration: Create Analytics Structure');
       
       // This would typically create BigQuery tables or set up
@@ -125,7 +105,7 @@ const migrations: Migration[] = [
       
       const analyticsRef = db.collection('_analytics');
       
-      await analyticsRef.doc('config').set({
+      writer.set(analyticsRef.doc('config'), {
         aggregationInterval: 3600, // 1 hour
         retentionDays: 365,
         enabledMetrics: [
@@ -139,19 +119,22 @@ const migrations: Migration[] = [
       
       logger.info('Analytics structure created');
     },
+    down: ({ db, writer }) => {
+      writer.delete(db.collection('_analytics').doc('config'));
+    },
   },
   
   {
     id: '004_add_security_rules',
     name: 'Add Security Rules',
     description: 'Update Firestore security rules',
-    up: async () => {
+    up: ({ db, writer }) => {
       logger.info('Running migration: Add Security Rules');
       
       // Note: In production, this would update the actual
       // Firestore security rules file and deploy it
       
-      await db.collection('_system').doc('security').set({
+      writer.set(db.collection('_system').doc('security'), {
         rulesVersion: '2.0.0',
         lastUpdated: admin.firestore.FieldValue.serverTimestamp(),
         features: {
@@ -163,13 +146,16 @@ const migrations: Migration[] = [
       
       logger.info('Security rules updated');
     },
+    down: ({ db, writer }) => {
+      writer.delete(db.collection('_system').doc('security'));
+    },
   },
   
   {
     id: '005_add_notification_templates',
     name: 'Add Notification Templates',
     description: 'Create default notification templates',
-    up: async () => {
+    up: ({ db, writer }) => {
       logger.info('Running migration: Add Notification Templates');
       
       const templates = [
@@ -205,10 +191,8 @@ const migrations: Migration[] = [
         },
       ];
       
-      const batch = db.batch();
-      
       templates.forEach(template => {
-        batch.set(
+        writer.set(
           db.collection('_notifications').doc('templates')
             .collection('templates').doc(template.id),
           {
@@ -218,22 +202,26 @@ const migrations: Migration[] = [
         );
       });
       
-      await batch.commit();
       logger.info('Notification templates created');
     },
+    down: async ({ db, writer }) => {
+      const templates = await db.collection('_notifications').doc('templates')
+        .collection('templates').get();
+      templates.forEach(doc => writer.delete(doc.ref));
+    },
   },
   
   {
     id: '006_optimize_indexes',
     name: 'Optimize Indexes',
     description: 'Create composite indexes for better query performance',
-    up: async () => {
+    up: ({ db, writer }) => {
       logger.info('Running migration: Optimize Indexes');
       
       // Note: Indexes are typically created via firestore.indexes.json
       // This migration just documents what indexes should exist
       
-      await db.collection('_system').doc('indexes').set({
+      writer.set(db.collection('_system').doc('indexes'), {
         version: '1.0.0',
         indexes: [
           {
@@ -272,160 +260,73 @@ const migrations: Migration[] = [
       
       logger.info('Index optimization documented');
     },
+    down: ({ db, writer }) => {
+      writer.delete(db.collection('_system').doc('indexes'));
+    },
+  },
+
+  {
+    id: '007_backfill_tax_rates',
+    name: 'Backfill Tax Rates',
+    description: 'Add takeaway and on-site VAT rates to tenants and products',
+    up: async ({ writer, forEachBatch }) => {
+      logger.info('Running migration: Backfill Tax Rates');
+
+      // Existing tax rates win, so re-running a batch is harmless
+      await forEachBatch('tenants', async tenants => {
+        for (const tenant of tenants) {
+          if (!tenant.get('settings.taxRates')) {
+            writer.update(tenant.ref, {
+              'settings.taxRates': { takeaway: VAT_RATES.REDUCED, onSite: VAT_RATES.STANDARD },
+            });
+          }
+
+          await forEachBatch(`tenants/${tenant.id}/products`, products => products.forEach(product => {
+            if (!product.get('pricing.taxRates')) {
+              writer.update(product.ref, {
+                'pricing.taxRates': getBackfilledTaxRates(product.get('pricing.taxRate')),
+              });
+            }
+          }));
+        }
+      });
+
+      logger.info('Tax rates backfilled');
+    },
   },
 ];
 
 // ============================================================================
-// MIGRATION RUNNER
+// HELPERS
 // ============================================================================
-export class MigrationRunner {
-  private migrations: Migration[];
-  
-  constructor(migrations: Migration[]) {
-    this.migrations = migrations;
-  }
-  
-  /**
-   * Run all pending migrations
-   */
-  async runPendingMigrations(): Promise<void> {
-    logger.info('Starting migration process');
-    
-    const executedMigrations = await this.getExecutedMigrations();
-    const pendingMigrations = this.migrations.filter(
-      m => !executedMigrations.some(em => em.id === m.id)
-    );
-    
-    if (pendingMigrations.length === 0) {
-      logger.info('No pending migrations');
-      return;
-    }
-    
-    logger.info(`Found ${pendingMigrations.length} pending migrations`);
-    
-    for (const migration of pendingMigrations) {
-      await this.runMigration(migration);
-    }
-    
-    logger.info('Migration process completed');
-  }
-  
-  /**
-   * Run a specific migration
-   */
-  private async runMigration(migration: Migration): Promise<void> {
-    logger.info(`Running migration: ${migration.name}`);
-    
-    const startTime = Date.now();
-    let success = false;
-    let error: string | undefined;
-    
-    try {
-      await migration.up();
-      success = true;
-      logger.info(`Migration completed: ${migration.name}`);
-    } catch (err) {
-      error = err instanceof Error ? err.message : String(err);
-      logger.error(`Migration failed: ${migration.name}`, err);
-      throw err;
-    } finally {
-      // Record migration execution
-      await this.recordMigration({
-        id: migration.id,
-        name: migration.name,
-        executedAt: admin.firestore.Timestamp.now(),
-        success,
-        error,
-      });
-      
-      const duration = Date.now() - startTime;
-      logger.info(`Migration ${migration.name} took ${duration}ms`);
-    }
-  }
-  
-  /**
-   * Rollback a specific migration
-   */
-  async rollbackMigration(migrationId: string): Promise<void> {
-    const migration = this.migrations.find(m => m.id === migrationId);
-    
-    if (!migration) {
-      throw new Error(`Migration not found: ${migrationId}`);
-    }
-    
-    if (!migration.down) {
-      throw new Error(`Migration ${migrationId} does not support rollback`);
-    }
-    
-    logger.info(`Rolling back migration: ${migration.name}`);
-    
-    try {
-      await migration.down();
-      
-      // Remove migration record
-      await db.collection(MIGRATIONS_COLLECTION).doc(migrationId).delete();
-      
-      logger.info(`Rollback completed: ${migration.name}`);
-    } catch (err) {
-      logger.error(`Rollback failed: ${migration.name}`, err);
-      throw err;
-    }
-  }
-  
-  /**
-   * Get list of executed migrations
-   */
-  private async getExecutedMigrations(): Promise<MigrationRecord[]> {
-    const snapshot = await db.collection(MIGRATIONS_COLLECTION)
-      .orderBy('executedAt', 'asc')
-      .get();
-    
-    return snapshot.docs.map(doc => doc.data() as MigrationRecord);
-  }
-  
-  /**
-   * Record migration execution
-   */
-  private async recordMigration(record: MigrationRecord): Promise<void> {
-    await db.collection(MIGRATIONS_COLLECTION).doc(record.id).set(record);
-  }
-  
-  /**
-   * Get migration status
-   */
-  async getStatus(): Promise<{
-    executed: string[];
-    pending: string[];
-    total: number;
-  }> {
-    const executed = await this.getExecutedMigrations();
-    const executedIds = executed.map(m => m.id);
-    const pendingIds = this.migrations
-      .filter(m => !executedIds.includes(m.id))
-      .map(m => m.id);
-    
-    return {
-      executed: executedIds,
-      pending: pendingIds,
-      total: this.migrations.length,
-    };
+
+// Rates before the VAT increase of 2024 and the rates that replaced them
+const LEGACY_VAT_RATES: Record<number, number> = {
+  7.7: VAT_RATES.STANDARD,
+  3.7: VAT_RATES.SPECIAL,
+  2.5: VAT_RATES.REDUCED,
+};
+
+/**
+ * Tax rates of a product from its single legacy rate
+ *
+ * Food taxed at the reduced rate is taxed at the standard rate when consumed
+ * on site; any other rate applies to both consumption types.
+ */
+function getBackfilledTaxRates(taxRate: unknown): { takeaway: number; onSite: number } {
+  if (typeof taxRate !== 'number') {
+    return { takeaway: VAT_RATES.REDUCED, onSite: VAT_RATES.STANDARD };
   }
+
+  const rate = LEGACY_VAT_RATES[taxRate] ?? taxRate;
+  return rate === VAT_RATES.REDUCED
+    ? { takeaway: rate, onSite: VAT_RATES.STANDARD }
+    : { takeaway: rate, onSite: rate };
 }
 
 // ============================================================================
 // EXPORTS
 // ============================================================================
-export const migrationRunner = new MigrationRunner(migrations);
+export { migrations };
 
-// CLI support
-if (require.main === module) {
-  (async () => {
-    try {
-      await migrationRunner.runPendingMigrations();
-      process.exit(0);
-    } catch (error) {
-      console.error('Migration failed:', error);
-      process.exit(1);
-    }
-  })();
-}
\ No newline at end of file
+export const migrationRunner = new MigrationRunner(migrations);
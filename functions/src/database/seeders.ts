@@ -11,6 +11,8 @@ import { logger } from 'firebase-functions';
 import * as bcrypt from 'bcryptjs';
 import { nanoid } from 'nanoid';
 
+import { VAT_RATES } from '../utils/calculationUtils';
+
 const db = admin.firestore();
 
 // ============================================================================
@@ -208,7 +210,7 @@ export class DatabaseSeeder {
           currency: 'CHF',
           timezone: 'Europe/Zurich',
           language: faker.helpers.arrayElement(['de', 'fr', 'it']),
-          taxRate: 7.7,
+          taxRates: { takeaway: VAT_RATES.REDUCED, onSite: VAT_RATES.STANDARD },
           minimumOrder: faker.datatype.number({ min: 10, max: 30 }),
           deliveryFee: faker.datatype.number({ min: 0, max: 5 }),
           prepTimeMinutes: faker.datatype.number({ min: 15, max: 45 }),
@@ -442,7 +444,7 @@ export class DatabaseSeeder {
         subtotal += itemPrice;
       }
       
-      const taxAmount = subtotal * 0.077; // 7.7% Swiss VAT
+      const taxAmount = subtotal * (VAT_RATES.REDUCED / 100); // Swiss VAT on takeaway
       const deliveryFee = faker.datatype.boolean(0.3) ? faker.datatype.number({ min: 0, max: 5 }) : 0;
       const total = subtotal + taxAmount + deliveryFee;
       
@@ -21,7 +21,10 @@ process.env.TZ = 'Europe/Zurich';
 // Import function modules
 import * as authTriggers from './triggers/auth.triggers';
 import * as orderTriggers from './triggers/order.triggers';
+import * as orderLifecycleTriggers from './triggers/orderLifecycle.triggers';
 import * as analyticsTriggers from './triggers/analytics.triggers';
+import * as kitchenTriggers from './triggers/kitchen.triggers';
+import * as declarationTriggers from './triggers/declaration.triggers';
 import * as scheduledTriggers from './triggers/scheduled.triggers';
 import * as webhooksApi from './api/webhooks';
 import * as adminApi from './api/admin.api';
@@ -53,6 +56,25 @@ export const onOrderStatusUpdated = orderTriggers.onOrderStatusUpdated;
 // On order completed
 export const onOrderCompleted = orderTriggers.onOrderCompleted;
 
+// On order status change (stock reservation, slot capacity)
+export const onOrderLifecycleChange = orderLifecycleTriggers.onOrderLifecycleChange;
+
+// On order confirmed (kitchen ticket)
+export const onOrderConfirmed = kitchenTriggers.onOrderConfirmed;
+
+// ============================================
+// PRODUCT DECLARATION TRIGGERS
+// ============================================
+
+// On ingredient allergen or nutrition change
+export const onInventoryDeclarationChange = declarationTriggers.onInventoryDeclarationChange;
+
+// On recipe change
+export const onRecipeDeclarationChange = declarationTriggers.onRecipeDeclarationChange;
+
+// On manual allergen, nutrition or modifier change
+export const onProductDeclarationChange = declarationTriggers.onProductDeclarationChange;
+
 // ============================================
 // ANALYTICS TRIGGERS
 // ============================================
@@ -73,6 +95,12 @@ export const updateTenantStats = analyticsTriggers.updateTenantStats;
 // Daily cleanup (runs at 3 AM)
 export const dailyCleanup = scheduledTriggers.dailyCleanup;
 
+// Recurring pre-orders (runs every 15 minutes)
+export const processRecurringOrders = scheduledTriggers.processRecurringOrders;
+
+// Stock reservations of abandoned orders (runs every 30 minutes)
+export const releaseStaleReservations = scheduledTriggers.releaseStaleReservations;
+
 // Weekly reports (runs every Monday at 8 AM)
 export const weeklyReports = scheduledTriggers.weeklyReports;
 
@@ -259,6 +287,12 @@ export const validateVoucher = functions
     }
   });
 
+// Update kitchen ticket status (kitchen display app)
+export const updateKitchenTicketStatus = kitchenTriggers.updateKitchenTicketStatus;
+
+// Print kitchen ticket again (kitchen display app)
+export const reprintKitchenTicket = kitchenTriggers.reprintKitchenTicket;
+
 // ============================================
 // STORAGE TRIGGERS
 // ============================================
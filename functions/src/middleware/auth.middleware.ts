@@ -348,7 +348,10 @@ export function authenticate(options: AuthOptions = {}) {
 /**
  * Checks if user has required role
  */
-export function requireRole(...roles: string[]) {
+export function requireRole(...roles: Array<string | string[]>) {
+  // Roles may be passed as arguments or as one list
+  const allowedRoles = roles.flat();
+
   return asyncHandler(async (
     req: AuthenticatedRequest,
     res: Response,
@@ -358,9 +361,9 @@ export function requireRole(...roles: string[]) {
       throw new AuthenticationError('Not authenticated');
     }
     
-    if (!req.user.role || !roles.includes(req.user.role)) {
+    if (!req.user.role || !allowedRoles.includes(req.user.role)) {
       throw new AuthorizationError(
-        `Required role: ${roles.join(' or ')}`,
+        `Required role: ${allowedRoles.join(' or ')}`,
         'INSUFFICIENT_ROLE'
       );
     }
@@ -0,0 +1,319 @@
+/**
+ * EATECH - Idempotency Middleware
+ * Version: 1.0.0
+ * Description: Express middleware that makes POST endpoints safe to retry via the Idempotency-Key header
+ * Author: EATECH Development Team
+ * Created: 2025-01-08
+ * File Path: /functions/src/middleware/idempotency.middleware.ts
+ */
+
+import { Request, Response, NextFunction } from 'express';
+import * as admin from 'firebase-admin';
+
+import { createHash } from '../utils/encryptionUtils';
+import { ErrorCode } from '../utils/errorHandler';
+import { logger } from '../utils/logger';
+
+// ============================================================================
+// TYPE DEFINITIONS
+// ============================================================================
+
+/**
+ * Idempotency options for middleware
+ */
+export interface IdempotencyOptions {
+  /** Logical operation the key belongs to, e.g. 'orders:create' */
+  scope: string;
+  /** Reject requests without an Idempotency-Key header */
+  required?: boolean;
+  /** How long a stored response can be replayed */
+  ttlHours?: number;
+}
+
+/**
+ * Stored idempotency record
+ */
+export interface IdempotencyRecord {
+  scope: string;
+  requestHash: string;
+  status: 'processing' | 'completed' | 'failed';
+  statusCode?: number;
+  responseBody?: any;
+  /** Resource the request created before it failed, e.g. the order id */
+  resourceId?: string;
+  lockedUntil: admin.firestore.Timestamp;
+  expiresAt: admin.firestore.Timestamp;
+  createdAt: admin.firestore.FieldValue | admin.firestore.Timestamp;
+  completedAt?: admin.firestore.FieldValue | admin.firestore.Timestamp;
+}
+
+/**
+ * Extended request with the accepted idempotency key
+ */
+export interface IdempotentRequest extends Request {
+  idempotencyKey?: string;
+  /**
+   * Set by the handler once a retry could no longer run cleanly, e.g. after
+   * a payment was attempted for the created order
+   */
+  idempotentResourceId?: string;
+}
+
+type ClaimResult =
+  | { state: 'claimed' }
+  | { state: 'replay'; record: IdempotencyRecord }
+  | { state: 'mismatch' }
+  | { state: 'in_progress' };
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+export const IDEMPOTENCY_HEADER = 'Idempotency-Key';
+export const IDEMPOTENCY_COLLECTION = 'idempotencyKeys';
+
+const DEFAULT_TTL_HOURS = 24;
+const MAX_KEY_LENGTH = 255;
+const KEY_PATTERN = /^[\x21-\x7E]+$/; // Printable ASCII without spaces
+
+// A request that is still "processing" after this lease has most likely
+// crashed; a retry may then take the key over instead of waiting forever.
+const PROCESSING_LEASE_MS = 60 * 1000;
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+/**
+ * Serializes a value with sorted object keys so equal bodies hash equally
+ */
+export function stableStringify(value: unknown): string {
+  if (value === null || typeof value !== 'object') {
+    return JSON.stringify(value) ?? 'null';
+  }
+
+  if (Array.isArray(value)) {
+    return `[${value.map((item) => stableStringify(item)).join(',')}]`;
+  }
+
+  const record = value as Record<string, unknown>;
+  const entries = Object.keys(record)
+    .filter((key) => record[key] !== undefined)
+    .sort()
+    .map((key) => `${JSON.stringify(key)}:${stableStringify(record[key])}`);
+
+  return `{${entries.join(',')}}`;
+}
+
+/**
+ * Computes the fingerprint of a request that a key is bound to
+ */
+export function hashRequest(req: Request): string {
+  return createHash(stableStringify({
+    method: req.method,
+    path: `${req.baseUrl}${req.path}`,
+    body: (req.body as unknown) ?? null,
+  }));
+}
+
+/**
+ * Resolves the Firestore document holding the record for a key
+ */
+function getRecordRef(
+  req: Request,
+  scope: string,
+  key: string,
+): admin.firestore.DocumentReference {
+  const db = admin.firestore();
+  const docId = createHash(`${scope}:${key}`);
+  const { tenantId } = req.params;
+
+  const collection = tenantId
+    ? db.collection('tenants').doc(tenantId)
+      .collection(IDEMPOTENCY_COLLECTION)
+    : db.collection(IDEMPOTENCY_COLLECTION);
+
+  return collection.doc(docId);
+}
+
+/**
+ * Atomically claims a key or reports what is already stored for it
+ */
+async function claimKey(
+  ref: admin.firestore.DocumentReference,
+  scope: string,
+  requestHash: string,
+  ttlHours: number,
+): Promise<ClaimResult> {
+  return admin.firestore().runTransaction(async (transaction) => {
+    const snapshot = await transaction.get(ref);
+    const now = Date.now();
+    const record = snapshot.data() as IdempotencyRecord | undefined;
+
+    const newRecord: IdempotencyRecord = {
+      scope,
+      requestHash,
+      status: 'processing',
+      lockedUntil: admin.firestore.Timestamp.fromMillis(now + PROCESSING_LEASE_MS),
+      expiresAt: admin.firestore.Timestamp.fromMillis(now + (ttlHours * 60 * 60 * 1000)),
+      createdAt: admin.firestore.FieldValue.serverTimestamp(),
+    };
+
+    if (!record || record.expiresAt.toMillis() <= now) {
+      transaction.set(ref, newRecord);
+      return { state: 'claimed' };
+    }
+
+    if (record.requestHash !== requestHash) {
+      return { state: 'mismatch' };
+    }
+
+    if (record.status === 'completed' || record.status === 'failed') {
+      return { state: 'replay', record };
+    }
+
+    if (record.lockedUntil.toMillis() > now) {
+      return { state: 'in_progress' };
+    }
+
+    // Stale lock left behind by a crashed request
+    transaction.update(ref, { lockedUntil: newRecord.lockedUntil });
+    return { state: 'claimed' };
+  });
+}
+
+/**
+ * Stores the final response, or frees the key again for server errors
+ * that happened before anything was committed
+ */
+async function storeOutcome(
+  ref: admin.firestore.DocumentReference,
+  statusCode: number,
+  body: unknown,
+  resourceId?: string,
+): Promise<void> {
+  if (statusCode >= 500 && !resourceId) {
+    // Nothing was committed we could replay; let the client retry for real
+    await ref.delete();
+    return;
+  }
+
+  await ref.update({
+    // A retry of a failed request must not charge again; it gets the error replayed
+    status: statusCode >= 500 ? 'failed' : 'completed',
+    statusCode,
+    ...(resourceId ? { resourceId } : {}),
+    // Round-trip through JSON to drop values Firestore cannot store
+    responseBody: JSON.parse(JSON.stringify(body ?? null)),
+    completedAt: admin.firestore.FieldValue.serverTimestamp(),
+  });
+}
+
+// ============================================================================
+// MAIN IDEMPOTENCY MIDDLEWARE
+// ============================================================================
+
+/**
+ * Creates idempotency middleware
+ *
+ * The first request with a given key runs normally and its JSON response is
+ * stored together with a hash of the request. Repeats with the same body get
+ * the stored response replayed; repeats with a different body are rejected.
+ * Server errors free the key again unless the handler set
+ * `idempotentResourceId`, in which case the error is kept and replayed.
+ */
+export function idempotency(options: IdempotencyOptions) {
+  const { scope, required = false, ttlHours = DEFAULT_TTL_HOURS } = options;
+
+  return async (req: IdempotentRequest, res: Response, next: NextFunction): Promise<void> => {
+    const key = req.get(IDEMPOTENCY_HEADER);
+
+    if (!key) {
+      if (required) {
+        res.status(400).json({
+          success: false,
+          error: `${IDEMPOTENCY_HEADER} header required`,
+          code: ErrorCode.MISSING_REQUIRED_FIELD,
+        });
+        return;
+      }
+      return next();
+    }
+
+    if (key.length > MAX_KEY_LENGTH || !KEY_PATTERN.test(key)) {
+      res.status(400).json({
+        success: false,
+        error: `Invalid ${IDEMPOTENCY_HEADER} header`,
+        code: ErrorCode.INVALID_FORMAT,
+      });
+      return;
+    }
+
+    const ref = getRecordRef(req, scope, key);
+    const requestHash = hashRequest(req);
+
+    let claim: ClaimResult;
+    try {
+      claim = await claimKey(ref, scope, requestHash, ttlHours);
+    } catch (error) {
+      logger.error('Idempotency check failed', error, { scope });
+      res.status(503).json({
+        success: false,
+        error: 'Service temporarily unavailable, please retry',
+        code: ErrorCode.SERVICE_UNAVAILABLE,
+      });
+      return;
+    }
+
+    switch (claim.state) {
+      case 'mismatch':
+        res.status(422).json({
+          success: false,
+          error: `${IDEMPOTENCY_HEADER} was already used for a different request`,
+          code: ErrorCode.IDEMPOTENCY_KEY_REUSED,
+        });
+        return;
+
+      case 'in_progress':
+        res.set('Retry-After', '1');
+        res.status(409).json({
+          success: false,
+          error: 'A request with this idempotency key is still being processed',
+          code: ErrorCode.IDEMPOTENCY_REQUEST_IN_PROGRESS,
+        });
+        return;
+
+      case 'replay':
+        logger.info('Replaying idempotent response', { scope });
+        res.set('Idempotent-Replayed', 'true');
+        res.status(claim.record.statusCode || 200).json(claim.record.responseBody);
+        return;
+
+      case 'claimed':
+        break;
+    }
+
+    req.idempotencyKey = key;
+
+    // Persist the outcome before the response leaves, so a retry arriving
+    // right after it always finds the completed record
+    const originalJson = res.json.bind(res);
+    const respond = async (body: unknown): Promise<void> => {
+      try {
+        await storeOutcome(ref, res.statusCode, body, req.idempotentResourceId);
+      } catch (error) {
+        logger.error('Failed to store idempotent response', error, { scope });
+      }
+      originalJson(body);
+    };
+
+    res.json = ((body: unknown) => {
+      void respond(body);
+      return res;
+    }) as Response['json'];
+
+    next();
+  };
+}
+
+export default idempotency;
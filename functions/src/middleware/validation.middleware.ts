@@ -199,7 +199,11 @@ export const ProductSchemas = {
       basePrice: CommonSchemas.price,
       comparePrice: Joi.number().positive().precision(2).optional(),
       currency: CommonSchemas.currency,
-      taxRate: Joi.number().min(0).max(100).default(7.7)
+      taxRate: Joi.number().min(0).max(100).default(8.1),
+      taxRates: Joi.object({
+        takeaway: Joi.number().min(0).max(100).required(),
+        onSite: Joi.number().min(0).max(100).required()
+      }).optional()
     }).required(),
     
     inventory: Joi.object({
@@ -1,1024 +1,1364 @@
 /**
- * EATECH - Inventory Service
- * Version: 1.0.0
- * Description: Intelligentes Bestandsmanagement mit Echtzeit-Tracking
+ * EATECH - Analytics Service
+ * Version: 2.0.0
+ * Description: Event ingestion and rollup-based analytics per tenant
  * Author: EATECH Development Team
  * Created: 2025-01-09
- * File Path: /functions/src/services/InventoryService.ts
- * 
+ * File Path: /functions/src/services/AnalyticsService.ts
+ *
  * Features:
- * - Real-time inventory tracking
- * - Low stock alerts
- * - Automatic reordering
- * - Expiry date management
- * - Waste tracking
- * - Multi-location support
- * - Inventory forecasting
- * - Recipe-based deduction
+ * - Event ingestion with normalized event types
+ * - Hourly and daily rollups maintained at ingestion time, sharded per period
+ * - Overview, metrics, trends and realtime figures from rollups
+ * - Conversion funnels over distinct actors per event type
+ * - Weekly and monthly retention cohorts of ordering customers
  */
 
+import {
+  addDays,
+  addMonths,
+  addWeeks,
+  differenceInCalendarISOWeeks,
+  differenceInCalendarMonths,
+  startOfDay,
+  startOfISOWeek,
+  startOfMonth,
+} from 'date-fns';
 import * as admin from 'firebase-admin';
-import * as functions from 'firebase-functions';
-import { 
-  InventoryItem, 
-  InventoryTransaction, 
-  StockLevel,
-  InventoryAlert,
-  RecipeIngredient,
-  InventoryReport
-} from '../types/inventory.types';
-import { OrderItem } from '../types/order.types';
+
+import {
+  AnalyticsEvent,
+  AnalyticsEventType,
+  CohortData,
+  DropoffPoint,
+  EventContext,
+  EventData,
+  FunnelStep,
+  TimeSeriesData,
+} from '../types/analytics.types';
+import { AuthorizationError, NotFoundError, ValidationError } from '../utils/errorHandler';
 import { logger } from '../utils/logger';
-import { v4 as uuidv4 } from 'uuid';
-import { addDays, isAfter, isBefore, differenceInDays } from 'date-fns';
+import { formatDate, fromSwissTime, toSwissTime } from '../utils/timeUtils';
 
 // ============================================================================
 // TYPES & INTERFACES
 // ============================================================================
 
-interface InventoryCheckResult {
-  available: boolean;
-  unavailableItems: string[];
-  warnings: string[];
-  suggestions: string[];
+export type RollupPeriod = 'hour' | 'day';
+export type CohortType = 'weekly' | 'monthly';
+export type CohortMetric = 'retention' | 'revenue';
+export type MetricGranularity = 'hour' | 'day' | 'week' | 'month';
+
+/**
+ * Event as passed in by callers
+ *
+ * Older call sites use `eventType` with `properties` or `eventData`; these are
+ * mapped onto the AnalyticsEvent schema.
+ */
+export interface TrackEventInput {
+  /** Client generated id; repeated ids are ignored */
+  id?: string;
+  type?: string;
+  eventType?: string;
+  tenantId?: string;
+  userId?: string;
+  sessionId?: string;
+  value?: number;
+  data?: EventData;
+  properties?: Record<string, any>;
+  eventData?: Record<string, any>;
+  context?: EventContext;
+  timestamp?: Date;
+}
+
+interface RollupTotals {
+  orders: number;
+  revenue: number;
+  cancellations: number;
+  refunds: number;
+  uniqueUsers: number;
+  newCustomers: number;
+  events: Record<string, number>;
+  actors: Record<string, number>;
 }
 
-interface ReservationResult {
-  reservationId: string;
-  items: Array<{
-    itemId: string;
-    quantity: number;
-    unit: string;
-  }>;
-  expiresAt: string;
+interface HourRollup {
+  events?: number;
+  orders?: number;
+  revenue?: number;
 }
 
-interface RestockRecommendation {
-  itemId: string;
-  itemName: string;
-  currentStock: number;
-  recommendedQuantity: number;
-  urgency: 'critical' | 'high' | 'medium' | 'low';
-  reason: string;
-  estimatedCost: number;
+interface ProductRollup {
+  name: string;
+  quantity?: number;
+  revenue?: number;
 }
 
-interface WasteReport {
-  itemId: string;
-  itemName: string;
+interface LineItem {
+  productId?: string;
+  id?: string;
+  name?: string;
+  quantity?: number;
+  price?: number;
+}
+
+interface ProductTotals {
+  productId: string;
+  name: string;
   quantity: number;
-  value: number;
-  reason: string;
-  recordedBy: string;
-  timestamp: string;
+  revenue: number;
 }
 
-interface InventoryForecast {
-  itemId: string;
-  currentStock: number;
-  projectedUsage: number;
-  daysUntilStockout: number;
-  recommendedOrderDate: string;
-  recommendedOrderQuantity: number;
+export interface AnalyticsSummary extends RollupTotals {
+  averageOrderValue: number;
+  pageViews: number;
+  conversionRate: number;
+  hourly: Array<{ hour: number; orders: number; revenue: number }>;
+  peakHour: number | null;
+  topProducts: ProductTotals[];
+}
+
+export interface MetricsQuery {
+  dateRange: { start: Date; end: Date };
+  granularity: MetricGranularity;
+  metrics: string[];
+  dimensions?: string[];
+  filters?: Record<string, any>;
+  pagination?: { limit: number; offset: number };
+}
+
+export interface MetricTrend {
+  data: TimeSeriesData[];
+  direction: 'up' | 'down' | 'stable';
+  change: number;
+}
+
+export interface ExportRequest {
+  tenantId: string;
+  type?: string;
+  format: 'csv' | 'json';
+  dateRange: { start: string | Date; end: string | Date };
+  filters?: Record<string, any>;
+}
+
+export interface ConversionFunnel {
+  steps: Array<Omit<FunnelStep, 'avgTime'> & { type: string; stepConversionRate: number }>;
+  totalUsers: number;
+  conversionRate: number;
+  dropoffPoints: DropoffPoint[];
 }
 
 // ============================================================================
 // CONSTANTS
 // ============================================================================
 
-const INVENTORY_COLLECTION = 'inventory';
-const TRANSACTIONS_COLLECTION = 'inventory_transactions';
-const ALERTS_COLLECTION = 'inventory_alerts';
-const RESERVATIONS_COLLECTION = 'inventory_reservations';
-const WASTE_COLLECTION = 'inventory_waste';
-const RECIPES_COLLECTION = 'recipes';
+const EVENTS_COLLECTION = 'analytics_events';
+const ROLLUPS_COLLECTION = 'analytics_rollups';
+const ACTORS_COLLECTION = 'analytics_actors';
+const COHORTS_COLLECTION = 'analytics_cohorts';
+const DASHBOARDS_COLLECTION = 'analytics_dashboards';
+const EXPORTS_COLLECTION = 'analytics_exports';
+
+// Events without a tenant (e.g. signups) are rolled up platform-wide
+const PLATFORM_TENANT = 'platform';
+
+// Ids callers use for users they do not know
+const ANONYMOUS_USERS = ['guest', 'anonymous'];
+
+// Legacy event names still sent by some callers
+const EVENT_ALIASES: Record<string, string> = {
+  order_placed: AnalyticsEventType.ORDER_CREATED,
+  item_viewed: AnalyticsEventType.PRODUCT_VIEWED,
+  search_performed: AnalyticsEventType.PRODUCT_SEARCH,
+  add_to_cart: AnalyticsEventType.PRODUCT_ADDED_TO_CART,
+};
 
-const RESERVATION_TIMEOUT = 30 * 60 * 1000; // 30 minutes
+const KNOWN_EVENT_TYPES: string[] = Object.values(AnalyticsEventType);
 
-const STOCK_LEVELS = {
-  CRITICAL: 10,
-  LOW: 25,
-  MEDIUM: 50,
-  HIGH: 75
-};
+export const DEFAULT_FUNNEL_STEPS: string[] = [
+  AnalyticsEventType.PAGE_VIEW,
+  AnalyticsEventType.PRODUCT_VIEWED,
+  AnalyticsEventType.PRODUCT_ADDED_TO_CART,
+  AnalyticsEventType.ORDER_CREATED,
+  AnalyticsEventType.PAYMENT_COMPLETED,
+];
 
-const EXPIRY_WARNING_DAYS = 3;
-const FORECAST_DAYS = 14;
-
-const TRANSACTION_TYPES = {
-  PURCHASE: 'purchase',
-  SALE: 'sale',
-  ADJUSTMENT: 'adjustment',
-  WASTE: 'waste',
-  TRANSFER: 'transfer',
-  PRODUCTION: 'production',
-  RETURN: 'return'
-};
+const BASE_METRICS = [
+  'orders',
+  'revenue',
+  'averageOrderValue',
+  'uniqueUsers',
+  'pageViews',
+  'conversionRate',
+  'cancellations',
+  'refunds',
+  'newCustomers',
+];
+
+// Ranges up to this length are reported per hour instead of per day
+const HOURLY_TREND_MAX_MS = 2 * 24 * 60 * 60 * 1000;
+
+// Relative change below which a trend counts as stable
+const TREND_THRESHOLD = 5;
+
+// Days of daily rollups compared across tenants for benchmarks
+const BENCHMARK_DAYS = 30;
+
+const BENCHMARK_METRICS = ['orders', 'revenue', 'averageOrderValue', 'conversionRate', 'uniqueUsers'];
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Rollup documents per tenant and period. Firestore sustains about one write
+// per second on a document, so events are spread over shards and summed on read.
+export const ROLLUP_SHARDS = 10;
 
 // ============================================================================
-// SERVICE CLASS
+// HELPERS
 // ============================================================================
 
-export default class InventoryService {
-  private db: admin.database.Database;
-  private firestore: admin.firestore.Firestore;
+/**
+ * Map legacy event names onto AnalyticsEventType values
+ */
+export function normalizeEventType(type: string): string {
+  const normalized = type.trim().toLowerCase();
+  return EVENT_ALIASES[normalized] || normalized;
+}
 
-  constructor() {
-    this.db = admin.database();
-    this.firestore = admin.firestore();
+/**
+ * Start of the Swiss hour, day, ISO week or month containing a date
+ */
+export function getPeriodStart(date: Date, granularity: MetricGranularity): Date {
+  if (granularity === 'hour') {
+    // Swiss offsets are whole hours, so local hours start on UTC hours
+    return new Date(Math.floor(date.getTime() / HOUR_MS) * HOUR_MS);
   }
 
-  /**
-   * Check inventory availability for order items
-   */
-  async checkAvailability(
-    tenantId: string,
-    orderItems: OrderItem[]
-  ): Promise<InventoryCheckResult> {
-    try {
-      const unavailableItems: string[] = [];
-      const warnings: string[] = [];
-      const suggestions: string[] = [];
-
-      // Get all required ingredients
-      const requiredIngredients = await this.getRequiredIngredients(tenantId, orderItems);
-
-      // Check each ingredient
-      for (const ingredient of requiredIngredients) {
-        const inventory = await this.getInventoryItem(tenantId, ingredient.itemId);
-        
-        if (!inventory) {
-          unavailableItems.push(`${ingredient.name} - Nicht im Bestand`);
-          continue;
-        }
-
-        // Check quantity
-        if (inventory.quantity < ingredient.requiredQuantity) {
-          unavailableItems.push(
-            `${ingredient.name} - Benötigt: ${ingredient.requiredQuantity} ${ingredient.unit}, ` +
-            `Verfügbar: ${inventory.quantity} ${inventory.unit}`
-          );
-          
-          // Add suggestion for alternative
-          if (inventory.alternatives && inventory.alternatives.length > 0) {
-            suggestions.push(
-              `Alternative für ${ingredient.name}: ${inventory.alternatives.join(', ')}`
-            );
-          }
-        }
-
-        // Check expiry date
-        if (inventory.expiryDate) {
-          const daysUntilExpiry = differenceInDays(new Date(inventory.expiryDate), new Date());
-          if (daysUntilExpiry <= 0) {
-            unavailableItems.push(`${ingredient.name} - Abgelaufen`);
-          } else if (daysUntilExpiry <= EXPIRY_WARNING_DAYS) {
-            warnings.push(`${ingredient.name} läuft in ${daysUntilExpiry} Tagen ab`);
-          }
-        }
+  const local = toSwissTime(date);
+  const start = granularity === 'day'
+    ? startOfDay(local)
+    : granularity === 'week' ? startOfISOWeek(local) : startOfMonth(local);
 
-        // Check stock level
-        const stockPercentage = (inventory.quantity / inventory.reorderPoint) * 100;
-        if (stockPercentage <= STOCK_LEVELS.CRITICAL) {
-          warnings.push(`${ingredient.name} - Kritisch niedriger Bestand`);
-        } else if (stockPercentage <= STOCK_LEVELS.LOW) {
-          warnings.push(`${ingredient.name} - Niedriger Bestand`);
-        }
-      }
+  return fromSwissTime(start);
+}
 
-      return {
-        available: unavailableItems.length === 0,
-        unavailableItems,
-        warnings,
-        suggestions
-      };
-    } catch (error) {
-      logger.error('Error checking inventory availability:', error);
-      throw error;
-    }
+/**
+ * Rollup and cohort key of a period (Swiss local time)
+ */
+export function getPeriodKey(date: Date, granularity: MetricGranularity): string {
+  switch (granularity) {
+    case 'hour':
+      return formatDate(date, "yyyy-MM-dd'T'HH");
+    case 'day':
+      return formatDate(date, 'yyyy-MM-dd');
+    case 'week':
+      return formatDate(date, "RRRR-'W'II");
+    default:
+      return formatDate(date, 'yyyy-MM');
   }
+}
 
-  /**
-   * Reserve inventory for an order
-   */
-  async reserveItems(
-    tenantId: string,
-    orderId: string,
-    orderItems: OrderItem[]
-  ): Promise<ReservationResult> {
-    const reservationId = uuidv4();
-    const reservationItems: ReservationResult['items'] = [];
+function nextPeriod(date: Date, granularity: MetricGranularity): Date {
+  switch (granularity) {
+    case 'hour':
+      return new Date(date.getTime() + HOUR_MS);
+    case 'day':
+      return fromSwissTime(addDays(toSwissTime(date), 1));
+    case 'week':
+      return fromSwissTime(addWeeks(toSwissTime(date), 1));
+    default:
+      return fromSwissTime(addMonths(toSwissTime(date), 1));
+  }
+}
 
-    try {
-      // Start transaction
-      const batch = this.firestore.batch();
-      
-      // Get required ingredients
-      const requiredIngredients = await this.getRequiredIngredients(tenantId, orderItems);
-
-      // Reserve each ingredient
-      for (const ingredient of requiredIngredients) {
-        const inventoryRef = this.firestore
-          .collection(INVENTORY_COLLECTION)
-          .doc(`${tenantId}_${ingredient.itemId}`);
-
-        // Update available quantity
-        batch.update(inventoryRef, {
-          availableQuantity: admin.firestore.FieldValue.increment(-ingredient.requiredQuantity),
-          lastUpdated: admin.firestore.FieldValue.serverTimestamp()
-        });
-
-        reservationItems.push({
-          itemId: ingredient.itemId,
-          quantity: ingredient.requiredQuantity,
-          unit: ingredient.unit
-        });
-      }
+function cohortGranularity(cohortType: CohortType): MetricGranularity {
+  return cohortType === 'weekly' ? 'week' : 'month';
+}
 
-      // Create reservation record
-      const reservationRef = this.firestore
-        .collection(RESERVATIONS_COLLECTION)
-        .doc(reservationId);
-
-      batch.set(reservationRef, {
-        id: reservationId,
-        tenantId,
-        orderId,
-        items: reservationItems,
-        status: 'active',
-        createdAt: admin.firestore.FieldValue.serverTimestamp(),
-        expiresAt: new Date(Date.now() + RESERVATION_TIMEOUT).toISOString()
-      });
+function cohortOffset(cohortStart: Date, date: Date, cohortType: CohortType): number {
+  return cohortType === 'weekly'
+    ? differenceInCalendarISOWeeks(toSwissTime(date), toSwissTime(cohortStart))
+    : differenceInCalendarMonths(toSwissTime(date), toSwissTime(cohortStart));
+}
 
-      // Commit transaction
-      await batch.commit();
+function percentage(part: number, total: number): number {
+  return total > 0 ? Math.round((part / total) * 10000) / 100 : 0;
+}
 
-      // Set timeout to release reservation
-      this.scheduleReservationRelease(reservationId, RESERVATION_TIMEOUT);
+function relativeChange(current: number, previous: number): number {
+  if (previous === 0) {
+    return current === 0 ? 0 : 100;
+  }
+  return Math.round(((current - previous) / previous) * 10000) / 100;
+}
 
-      return {
-        reservationId,
-        items: reservationItems,
-        expiresAt: new Date(Date.now() + RESERVATION_TIMEOUT).toISOString()
-      };
-    } catch (error) {
-      logger.error('Error reserving inventory items:', error);
-      throw error;
-    }
+function addCounts(target: Record<string, number>, source: Record<string, number> = {}): void {
+  for (const [key, value] of Object.entries(source)) {
+    target[key] = (target[key] || 0) + value;
   }
+}
 
-  /**
-   * Consume reserved inventory items
-   */
-  async consumeReservedItems(tenantId: string, orderId: string): Promise<void> {
-    try {
-      // Find reservation
-      const reservationSnapshot = await this.firestore
-        .collection(RESERVATIONS_COLLECTION)
-        .where('orderId', '==', orderId)
-        .where('status', '==', 'active')
-        .limit(1)
-        .get();
+function emptyTotals(): RollupTotals {
+  return {
+    orders: 0,
+    revenue: 0,
+    cancellations: 0,
+    refunds: 0,
+    uniqueUsers: 0,
+    newCustomers: 0,
+    events: {},
+    actors: {},
+  };
+}
 
-      if (reservationSnapshot.empty) {
-        throw new Error('No active reservation found for order');
+/**
+ * Derive a metric value from summed rollup totals
+ */
+function metricValue(totals: RollupTotals, metric: string): number {
+  switch (metric) {
+    case 'averageOrderValue':
+      return totals.orders > 0 ? Math.round((totals.revenue / totals.orders) * 100) / 100 : 0;
+    case 'pageViews':
+      return totals.events[AnalyticsEventType.PAGE_VIEW] || 0;
+    case 'conversionRate':
+      return percentage(
+        totals.actors[AnalyticsEventType.ORDER_CREATED] || 0,
+        totals.actors[AnalyticsEventType.PAGE_VIEW] || 0,
+      );
+    case 'orders':
+    case 'revenue':
+    case 'cancellations':
+    case 'refunds':
+    case 'uniqueUsers':
+    case 'newCustomers':
+      return totals[metric];
+    default:
+      // `events.<type>` and `actors.<type>` address single event types
+      if (metric.startsWith('events.')) {
+        return totals.events[metric.slice(7)] || 0;
       }
-
-      const reservation = reservationSnapshot.docs[0].data();
-      const batch = this.firestore.batch();
-
-      // Consume each item
-      for (const item of reservation.items) {
-        const inventoryRef = this.firestore
-          .collection(INVENTORY_COLLECTION)
-          .doc(`${tenantId}_${item.itemId}`);
-
-        // Update quantity
-        batch.update(inventoryRef, {
-          quantity: admin.firestore.FieldValue.increment(-item.quantity),
-          lastUpdated: admin.firestore.FieldValue.serverTimestamp()
-        });
-
-        // Record transaction
-        const transactionRef = this.firestore
-          .collection(TRANSACTIONS_COLLECTION)
-          .doc();
-
-        batch.set(transactionRef, {
-          id: transactionRef.id,
-          tenantId,
-          itemId: item.itemId,
-          type: TRANSACTION_TYPES.SALE,
-          quantity: -item.quantity,
-          unit: item.unit,
-          orderId,
-          timestamp: admin.firestore.FieldValue.serverTimestamp()
-        });
+      if (metric.startsWith('actors.')) {
+        return totals.actors[metric.slice(7)] || 0;
       }
+      return 0;
+  }
+}
 
-      // Update reservation status
-      batch.update(reservationSnapshot.docs[0].ref, {
-        status: 'consumed',
-        consumedAt: admin.firestore.FieldValue.serverTimestamp()
-      });
+// ============================================================================
+// SERVICE CLASS
+// ============================================================================
 
-      await batch.commit();
+export class AnalyticsService {
+  private firestore: admin.firestore.Firestore;
 
-      // Check for low stock alerts
-      await this.checkLowStockAlerts(tenantId, reservation.items);
+  constructor() {
+    this.firestore = admin.firestore();
+  }
+
+  // ==========================================================================
+  // INGESTION
+  // ==========================================================================
 
+  /**
+   * Track an analytics event
+   *
+   * Analytics must never break the flow that reports an event, so failures are
+   * logged instead of thrown.
+   */
+  async trackEvent(input: TrackEventInput): Promise<void> {
+    try {
+      await this.ingestEvent(input);
     } catch (error) {
-      logger.error('Error consuming reserved items:', error);
-      throw error;
+      logger.error('Error tracking analytics event', error, {
+        eventType: input.type || input.eventType,
+        tenantId: input.tenantId,
+      });
     }
   }
 
   /**
-   * Release reserved inventory items
+   * Store an event and update the hourly, daily and cohort rollups
+   *
+   * Everything happens in one transaction, so rollups always match the stored
+   * events. The event is counted in a random shard of the hour and day rollups,
+   * so busy tenants do not contend on a single document. Returns null if an
+   * event with the same id was already ingested.
    */
-  async releaseReservedItems(tenantId: string, orderId: string): Promise<void> {
-    try {
-      // Find reservation
-      const reservationSnapshot = await this.firestore
-        .collection(RESERVATIONS_COLLECTION)
-        .where('orderId', '==', orderId)
-        .where('status', '==', 'active')
-        .limit(1)
-        .get();
+  async ingestEvent(input: TrackEventInput): Promise<AnalyticsEvent | null> {
+    const event = this.normalizeEvent(input);
+    const eventRef = this.firestore.collection(EVENTS_COLLECTION).doc(event.id);
+    const actorId = this.getActorId(event);
+    const actorRef = actorId
+      ? this.firestore.collection(ACTORS_COLLECTION).doc(`${event.tenantId}_${actorId}`)
+      : null;
+
+    const hourKey = getPeriodKey(event.timestamp, 'hour');
+    const dayKey = getPeriodKey(event.timestamp, 'day');
+    const hourOfDay = formatDate(event.timestamp, 'HH');
+    const amount = event.data?.amount ?? event.value ?? 0;
+    const increment = (value: number) => admin.firestore.FieldValue.increment(value);
+    const shard = Math.floor(Math.random() * ROLLUP_SHARDS);
+
+    const ingested = await this.firestore.runTransaction(async (transaction) => {
+      const [eventDoc, actorDoc] = await transaction.getAll(
+        eventRef,
+        ...(actorRef ? [actorRef] : []),
+      );
+
+      if (eventDoc.exists) {
+        return false;
+      }
+
+      const actor = actorDoc?.data() || {};
+      const isNewInHour = Boolean(actorRef) && actor.lastHour !== hourKey;
+      const isNewInDay = Boolean(actorRef) && actor.lastDay !== dayKey;
+      const hourTypes: string[] = isNewInHour ? [] : actor.hourTypes || [];
+      const dayTypes: string[] = isNewInDay ? [] : actor.dayTypes || [];
+      const isFirstOrder = event.type === AnalyticsEventType.ORDER_CREATED
+        && Boolean(event.userId)
+        && !actor.firstOrderAt;
+
+      const rollup: Record<string, any> = {
+        tenantId: event.tenantId,
+        events: { [event.type]: increment(1) },
+        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      };
 
-      if (reservationSnapshot.empty) {
-        return; // No active reservation to release
+      switch (event.type) {
+        case AnalyticsEventType.ORDER_CREATED:
+          rollup.orders = increment(1);
+          rollup.revenue = increment(amount);
+          if (isFirstOrder) {
+            rollup.newCustomers = increment(1);
+          }
+          break;
+        case AnalyticsEventType.ORDER_CANCELLED:
+          rollup.cancellations = increment(1);
+          break;
+        case AnalyticsEventType.REFUND_PROCESSED:
+          rollup.refunds = increment(amount);
+          break;
       }
 
-      const reservation = reservationSnapshot.docs[0].data();
-      const batch = this.firestore.batch();
+      const hourRollup = { ...rollup };
+      const dayRollup = { ...rollup };
+
+      if (isNewInHour) {
+        hourRollup.uniqueUsers = increment(1);
+      }
+      if (isNewInDay) {
+        dayRollup.uniqueUsers = increment(1);
+      }
+      if (actorRef && !hourTypes.includes(event.type)) {
+        hourRollup.actors = { [event.type]: increment(1) };
+      }
+      if (actorRef && !dayTypes.includes(event.type)) {
+        dayRollup.actors = { [event.type]: increment(1) };
+      }
 
-      // Release each item
-      for (const item of reservation.items) {
-        const inventoryRef = this.firestore
-          .collection(INVENTORY_COLLECTION)
-          .doc(`${tenantId}_${item.itemId}`);
+      // Day rollups also carry the hour-of-day profile and product sales
+      dayRollup.hours = {
+        [hourOfDay]: {
+          events: increment(1),
+          ...(event.type === AnalyticsEventType.ORDER_CREATED
+            ? { orders: increment(1), revenue: increment(amount) }
+            : {}),
+        },
+      };
 
-        // Restore available quantity
-        batch.update(inventoryRef, {
-          availableQuantity: admin.firestore.FieldValue.increment(item.quantity),
-          lastUpdated: admin.firestore.FieldValue.serverTimestamp()
-        });
+      if (event.type === AnalyticsEventType.ORDER_CREATED && Array.isArray(event.data?.lineItems)) {
+        dayRollup.products = {};
+        for (const item of event.data.lineItems as LineItem[]) {
+          const productId = item.productId || item.id;
+          if (!productId) {
+            continue;
+          }
+          dayRollup.products[productId] = {
+            name: item.name || productId,
+            quantity: increment(item.quantity || 0),
+            revenue: increment((item.price || 0) * (item.quantity || 0)),
+          };
+        }
       }
 
-      // Update reservation status
-      batch.update(reservationSnapshot.docs[0].ref, {
-        status: 'released',
-        releasedAt: admin.firestore.FieldValue.serverTimestamp()
+      transaction.set(eventRef, {
+        ...event,
+        processed: true,
+        processedAt: admin.firestore.FieldValue.serverTimestamp(),
       });
 
-      await batch.commit();
+      transaction.set(this.rollupRef(event.tenantId, 'hour', hourKey, shard), {
+        ...hourRollup,
+        period: 'hour',
+        key: hourKey,
+        shard,
+        start: admin.firestore.Timestamp.fromDate(getPeriodStart(event.timestamp, 'hour')),
+      }, { merge: true });
+
+      transaction.set(this.rollupRef(event.tenantId, 'day', dayKey, shard), {
+        ...dayRollup,
+        period: 'day',
+        key: dayKey,
+        shard,
+        start: admin.firestore.Timestamp.fromDate(getPeriodStart(event.timestamp, 'day')),
+      }, { merge: true });
+
+      if (actorRef) {
+        const actorUpdate: Record<string, any> = {
+          tenantId: event.tenantId,
+          actorId,
+          lastHour: hourKey,
+          lastDay: dayKey,
+          hourTypes: [...new Set([...hourTypes, event.type])],
+          dayTypes: [...new Set([...dayTypes, event.type])],
+          lastSeenAt: admin.firestore.Timestamp.fromDate(event.timestamp),
+        };
+
+        if (!actorDoc?.exists) {
+          actorUpdate.firstSeenAt = actorUpdate.lastSeenAt;
+        }
 
-    } catch (error) {
-      logger.error('Error releasing reserved items:', error);
-      throw error;
-    }
+        // Cohorts follow identified customers from their first order on
+        if (event.type === AnalyticsEventType.ORDER_CREATED && event.userId) {
+          Object.assign(actorUpdate, this.updateCohorts(transaction, event, actor, amount));
+        }
+
+        transaction.set(actorRef, actorUpdate, { merge: true });
+      }
+
+      return true;
+    });
+
+    return ingested ? event : null;
   }
 
+  // ==========================================================================
+  // ROLLUP QUERIES
+  // ==========================================================================
+
   /**
-   * Update inventory quantity
+   * Get rollup documents of a tenant whose period starts within a range
+   *
+   * Returns every shard of a period; callers sum them with sumRollups.
    */
-  async updateQuantity(
+  async getRollups(
     tenantId: string,
-    itemId: string,
-    quantity: number,
-    type: string,
-    reference?: string
-  ): Promise<void> {
-    try {
-      const batch = this.firestore.batch();
-      
-      // Update inventory
-      const inventoryRef = this.firestore
-        .collection(INVENTORY_COLLECTION)
-        .doc(`${tenantId}_${itemId}`);
-
-      const inventoryDoc = await inventoryRef.get();
-      const currentData = inventoryDoc.data() as InventoryItem;
-
-      const newQuantity = currentData.quantity + quantity;
-      const newAvailableQuantity = currentData.availableQuantity + quantity;
-
-      batch.update(inventoryRef, {
-        quantity: newQuantity,
-        availableQuantity: newAvailableQuantity,
-        lastUpdated: admin.firestore.FieldValue.serverTimestamp()
-      });
+    period: RollupPeriod,
+    start: Date,
+    end: Date,
+  ): Promise<admin.firestore.DocumentData[]> {
+    const snapshot = await this.firestore
+      .collection(ROLLUPS_COLLECTION)
+      .where('tenantId', '==', tenantId)
+      .where('period', '==', period)
+      .where('start', '>=', admin.firestore.Timestamp.fromDate(getPeriodStart(start, period)))
+      .where('start', '<=', admin.firestore.Timestamp.fromDate(end))
+      .orderBy('start', 'asc')
+      .get();
 
-      // Record transaction
-      const transactionRef = this.firestore
-        .collection(TRANSACTIONS_COLLECTION)
-        .doc();
+    return snapshot.docs.map((doc) => doc.data());
+  }
 
-      batch.set(transactionRef, {
-        id: transactionRef.id,
-        tenantId,
-        itemId,
-        type,
-        quantity,
-        unit: currentData.unit,
-        reference,
-        previousQuantity: currentData.quantity,
-        newQuantity,
-        timestamp: admin.firestore.FieldValue.serverTimestamp()
-      });
+  /**
+   * Summarize a date range from daily rollups
+   */
+  async getSummary(tenantId: string, start: Date, end: Date): Promise<AnalyticsSummary> {
+    const rollups = await this.getRollups(tenantId, 'day', start, end);
+    const totals = this.sumRollups(rollups);
 
-      await batch.commit();
+    const hourly = Array.from({ length: 24 }, (_, hour) => ({ hour, orders: 0, revenue: 0 }));
+    const products = new Map<string, ProductTotals>();
 
-      // Check alerts
-      await this.checkInventoryAlerts(tenantId, itemId, newQuantity);
+    for (const rollup of rollups) {
+      for (const [hour, values] of Object.entries((rollup.hours || {}) as Record<string, HourRollup>)) {
+        hourly[Number(hour)].orders += values.orders || 0;
+        hourly[Number(hour)].revenue += values.revenue || 0;
+      }
 
-    } catch (error) {
-      logger.error('Error updating inventory quantity:', error);
-      throw error;
+      for (const [productId, values] of Object.entries((rollup.products || {}) as Record<string, ProductRollup>)) {
+        const product = products.get(productId)
+          || { productId, name: values.name, quantity: 0, revenue: 0 };
+        product.quantity += values.quantity || 0;
+        product.revenue += values.revenue || 0;
+        products.set(productId, product);
+      }
     }
+
+    const peak = hourly.reduce((best, hour) => (hour.orders > best.orders ? hour : best), hourly[0]);
+
+    return {
+      ...totals,
+      averageOrderValue: metricValue(totals, 'averageOrderValue'),
+      pageViews: metricValue(totals, 'pageViews'),
+      conversionRate: metricValue(totals, 'conversionRate'),
+      hourly,
+      peakHour: peak.orders > 0 ? peak.hour : null,
+      topProducts: Array.from(products.values())
+        .sort((a, b) => b.quantity - a.quantity)
+        .slice(0, 10),
+    };
+  }
+
+  /**
+   * Get analytics overview with comparison to the preceding period
+   */
+  async getOverview(tenantId: string, start: Date, end: Date): Promise<any> {
+    const length = end.getTime() - start.getTime();
+    const previousEnd = new Date(start.getTime() - 1);
+    const previousStart = new Date(previousEnd.getTime() - length);
+
+    const [current, previous] = await Promise.all([
+      this.getSummary(tenantId, start, end),
+      this.getSummary(tenantId, previousStart, previousEnd),
+    ]);
+
+    const comparedMetrics = ['orders', 'revenue', 'averageOrderValue', 'uniqueUsers', 'conversionRate'];
+    const comparison: Record<string, { previous: number; change: number }> = {};
+    for (const metric of comparedMetrics) {
+      const currentValue = (current as any)[metric] as number;
+      const previousValue = (previous as any)[metric] as number;
+      comparison[metric] = {
+        previous: previousValue,
+        change: relativeChange(currentValue, previousValue),
+      };
+    }
+
+    return {
+      period: { start, end },
+      orders: current.orders,
+      revenue: current.revenue,
+      averageOrderValue: current.averageOrderValue,
+      uniqueUsers: current.uniqueUsers,
+      pageViews: current.pageViews,
+      conversionRate: current.conversionRate,
+      cancellations: current.cancellations,
+      refunds: current.refunds,
+      peakHour: current.peakHour,
+      hourly: current.hourly,
+      topProducts: current.topProducts,
+      comparison,
+    };
   }
 
   /**
-   * Record waste
+   * Get metric time series in the requested granularity
    */
-  async recordWaste(
+  async getMetrics(
     tenantId: string,
-    wasteItems: Array<{
-      itemId: string;
-      quantity: number;
-      reason: string;
-      value?: number;
-    }>,
-    recordedBy: string
-  ): Promise<void> {
-    try {
-      const batch = this.firestore.batch();
-
-      for (const wasteItem of wasteItems) {
-        // Update inventory
-        await this.updateQuantity(
-          tenantId,
-          wasteItem.itemId,
-          -wasteItem.quantity,
-          TRANSACTION_TYPES.WASTE,
-          wasteItem.reason
-        );
-
-        // Record waste
-        const wasteRef = this.firestore
-          .collection(WASTE_COLLECTION)
-          .doc();
-
-        batch.set(wasteRef, {
-          id: wasteRef.id,
-          tenantId,
-          itemId: wasteItem.itemId,
-          quantity: wasteItem.quantity,
-          value: wasteItem.value || 0,
-          reason: wasteItem.reason,
-          recordedBy,
-          timestamp: admin.firestore.FieldValue.serverTimestamp()
-        });
+    query: MetricsQuery,
+  ): Promise<{ data: Array<Record<string, any>>; pagination: Record<string, number> }> {
+    if (query.dimensions && query.dimensions.length > 0) {
+      throw new ValidationError('Dimensions are not supported by rollup metrics', [
+        { field: 'dimensions', message: 'Not supported' },
+      ]);
+    }
+
+    const unknown = query.metrics.filter((metric) => !BASE_METRICS.includes(metric)
+      && !metric.startsWith('events.')
+      && !metric.startsWith('actors.'));
+    if (unknown.length > 0) {
+      throw new ValidationError('Unknown metrics', unknown.map((metric) => ({
+        field: 'metrics',
+        message: `Unknown metric ${metric}`,
+      })));
+    }
+
+    const series = await this.getSeries(
+      tenantId,
+      query.dateRange.start,
+      query.dateRange.end,
+      query.granularity,
+    );
+
+    const rows = series.map(({ start, totals }) => {
+      const row: Record<string, any> = { timestamp: start.toISOString() };
+      for (const metric of query.metrics) {
+        row[metric] = metricValue(totals, metric);
       }
+      return row;
+    });
 
-      await batch.commit();
+    const { limit = 100, offset = 0 } = query.pagination || {};
 
-    } catch (error) {
-      logger.error('Error recording waste:', error);
-      throw error;
-    }
+    return {
+      data: rows.slice(offset, offset + limit),
+      pagination: { total: rows.length, limit, offset },
+    };
   }
 
   /**
-   * Get inventory forecast
+   * Get trends of the main metrics over a date range
    */
-  async getInventoryForecast(
-    tenantId: string,
-    days: number = FORECAST_DAYS
-  ): Promise<InventoryForecast[]> {
-    try {
-      const forecasts: InventoryForecast[] = [];
-      
-      // Get all inventory items
-      const inventorySnapshot = await this.firestore
-        .collection(INVENTORY_COLLECTION)
-        .where('tenantId', '==', tenantId)
-        .get();
+  async getTrends(tenantId: string, start: Date, end: Date): Promise<any> {
+    const granularity: MetricGranularity = end.getTime() - start.getTime() <= HOURLY_TREND_MAX_MS
+      ? 'hour'
+      : 'day';
+    const series = await this.getSeries(tenantId, start, end, granularity);
+
+    const metrics: Record<string, MetricTrend> = {};
+    for (const metric of ['orders', 'revenue', 'averageOrderValue', 'uniqueUsers']) {
+      const data: TimeSeriesData[] = series.map(({ start: periodStart, totals }) => ({
+        timestamp: periodStart.toISOString(),
+        value: metricValue(totals, metric),
+      }));
+
+      // Compare the average of the second half with the first half
+      const middle = Math.floor(data.length / 2);
+      const average = (points: TimeSeriesData[]) => (points.length > 0
+        ? points.reduce((sum, point) => sum + point.value, 0) / points.length
+        : 0);
+      const change = relativeChange(average(data.slice(middle)), average(data.slice(0, middle)));
+
+      metrics[metric] = {
+        data,
+        change,
+        direction: change > TREND_THRESHOLD ? 'up' : change < -TREND_THRESHOLD ? 'down' : 'stable',
+      };
+    }
 
-      for (const doc of inventorySnapshot.docs) {
-        const item = doc.data() as InventoryItem;
-        
-        // Calculate average daily usage
-        const avgDailyUsage = await this.calculateAverageDailyUsage(
-          tenantId,
-          item.id,
-          30 // Last 30 days
-        );
-
-        // Project usage
-        const projectedUsage = avgDailyUsage * days;
-        const remainingStock = item.quantity - projectedUsage;
-        const daysUntilStockout = avgDailyUsage > 0 
-          ? Math.floor(item.quantity / avgDailyUsage)
-          : 999;
-
-        // Calculate recommended order
-        let recommendedOrderDate = '';
-        let recommendedOrderQuantity = 0;
-
-        if (remainingStock < item.reorderPoint) {
-          const leadTime = item.leadTimeDays || 3;
-          recommendedOrderDate = addDays(new Date(), daysUntilStockout - leadTime).toISOString();
-          recommendedOrderQuantity = item.reorderQuantity || item.reorderPoint * 2;
-        }
+    return {
+      period: { start, end },
+      granularity,
+      metrics,
+    };
+  }
 
-        forecasts.push({
-          itemId: item.id,
-          currentStock: item.quantity,
-          projectedUsage,
-          daysUntilStockout,
-          recommendedOrderDate,
-          recommendedOrderQuantity
-        });
-      }
+  /**
+   * Get live figures from the current hour and day rollups
+   */
+  async getRealtimeMetrics(tenantId: string, metrics: string[]): Promise<Record<string, any>> {
+    const now = new Date();
+    const [hourRollups, dayRollups, realtimeDoc] = await Promise.all([
+      this.getRollups(tenantId, 'hour', now, now),
+      this.getRollups(tenantId, 'day', now, now),
+      this.firestore
+        .collection('tenants')
+        .doc(tenantId)
+        .collection('analytics')
+        .doc('realtime')
+        .get(),
+    ]);
+
+    const hour = this.sumRollups(hourRollups);
+    const today = this.sumRollups(dayRollups);
+
+    const values: Record<string, number> = {
+      activeUsers: hour.uniqueUsers,
+      activeOrders: realtimeDoc.get('activeOrders') || 0,
+      revenue: today.revenue,
+      averageOrderValue: metricValue(today, 'averageOrderValue'),
+      conversionRate: metricValue(today, 'conversionRate'),
+    };
 
-      return forecasts;
-    } catch (error) {
-      logger.error('Error generating inventory forecast:', error);
-      throw error;
+    const result: Record<string, any> = { timestamp: now.toISOString() };
+    for (const metric of metrics) {
+      result[metric] = values[metric] ?? null;
     }
+    return result;
   }
 
   /**
-   * Get restock recommendations
+   * Get a conversion funnel from distinct actors per event type
+   *
+   * Each step counts the visitors that triggered its event type on a day, so
+   * steps are not required to happen in order within a session.
    */
-  async getRestockRecommendations(tenantId: string): Promise<RestockRecommendation[]> {
-    try {
-      const recommendations: RestockRecommendation[] = [];
-      
-      // Get all inventory items
-      const inventorySnapshot = await this.firestore
-        .collection(INVENTORY_COLLECTION)
-        .where('tenantId', '==', tenantId)
-        .get();
+  async getConversionFunnel(
+    tenantId: string,
+    start: Date,
+    end: Date,
+    steps: string[] = DEFAULT_FUNNEL_STEPS,
+  ): Promise<ConversionFunnel> {
+    const types = steps.map(normalizeEventType);
+    const totals = this.sumRollups(await this.getRollups(tenantId, 'day', start, end));
+
+    const funnelSteps: ConversionFunnel['steps'] = types.map((type, index) => {
+      const users = totals.actors[type] || 0;
+      const first = totals.actors[types[0]] || 0;
+      const previous = index > 0 ? totals.actors[types[index - 1]] || 0 : users;
 
-      for (const doc of inventorySnapshot.docs) {
-        const item = doc.data() as InventoryItem;
-        
-        // Calculate stock percentage
-        const stockPercentage = (item.quantity / item.reorderPoint) * 100;
-        
-        // Determine urgency
-        let urgency: RestockRecommendation['urgency'] = 'low';
-        let reason = '';
-
-        if (stockPercentage <= STOCK_LEVELS.CRITICAL) {
-          urgency = 'critical';
-          reason = 'Kritisch niedriger Bestand';
-        } else if (stockPercentage <= STOCK_LEVELS.LOW) {
-          urgency = 'high';
-          reason = 'Niedriger Bestand';
-        } else if (stockPercentage <= STOCK_LEVELS.MEDIUM) {
-          urgency = 'medium';
-          reason = 'Bestand unter Normalwert';
-        } else {
-          continue; // Skip items with sufficient stock
-        }
+      return {
+        name: steps[index],
+        type,
+        users,
+        conversionRate: percentage(users, first),
+        stepConversionRate: percentage(users, previous),
+        dropoff: Math.max(0, previous - users),
+      };
+    });
 
-        // Check expiry
-        if (item.expiryDate) {
-          const daysUntilExpiry = differenceInDays(new Date(item.expiryDate), new Date());
-          if (daysUntilExpiry <= EXPIRY_WARNING_DAYS && daysUntilExpiry > 0) {
-            urgency = 'high';
-            reason += ` - Läuft in ${daysUntilExpiry} Tagen ab`;
-          }
-        }
+    const dropoffPoints: DropoffPoint[] = funnelSteps.slice(1).map((step, index) => {
+      const from = funnelSteps[index];
+      return {
+        fromStep: from.name,
+        toStep: step.name,
+        users: step.dropoff,
+        percentage: percentage(step.dropoff, from.users),
+      };
+    });
 
-        // Calculate recommended quantity
-        const recommendedQuantity = item.reorderQuantity || item.reorderPoint * 2;
-        const estimatedCost = recommendedQuantity * (item.unitCost || 0);
-
-        recommendations.push({
-          itemId: item.id,
-          itemName: item.name,
-          currentStock: item.quantity,
-          recommendedQuantity,
-          urgency,
-          reason,
-          estimatedCost
-        });
-      }
+    const totalUsers = funnelSteps[0]?.users || 0;
 
-      // Sort by urgency
-      return recommendations.sort((a, b) => {
-        const urgencyOrder = { critical: 0, high: 1, medium: 2, low: 3 };
-        return urgencyOrder[a.urgency] - urgencyOrder[b.urgency];
-      });
-    } catch (error) {
-      logger.error('Error getting restock recommendations:', error);
-      throw error;
-    }
+    return {
+      steps: funnelSteps,
+      totalUsers,
+      conversionRate: percentage(funnelSteps[funnelSteps.length - 1]?.users || 0, totalUsers),
+      dropoffPoints,
+    };
   }
 
   /**
-   * Generate inventory report
+   * Get retention cohorts of customers by the period of their first order
+   *
+   * The percentage of a period is the share of the cohort's customers who
+   * ordered again, or with the revenue metric the period's revenue relative to
+   * the cohort's first period.
    */
-  async generateInventoryReport(
+  async getCohortAnalysis(
     tenantId: string,
-    startDate: Date,
-    endDate: Date
-  ): Promise<InventoryReport> {
-    try {
-      // Get inventory value
-      const inventoryValue = await this.calculateInventoryValue(tenantId);
-      
-      // Get transactions
-      const transactions = await this.getTransactions(tenantId, startDate, endDate);
-      
-      // Calculate metrics
-      const totalPurchases = transactions
-        .filter(t => t.type === TRANSACTION_TYPES.PURCHASE)
-        .reduce((sum, t) => sum + Math.abs(t.quantity * (t.unitCost || 0)), 0);
+    cohortType: CohortType,
+    range: { start: Date; end: Date },
+    metric: CohortMetric = 'retention',
+  ): Promise<CohortData[]> {
+    const granularity = cohortGranularity(cohortType);
+    const snapshot = await this.firestore
+      .collection(COHORTS_COLLECTION)
+      .where('tenantId', '==', tenantId)
+      .where('cohortType', '==', cohortType)
+      .where('start', '>=', admin.firestore.Timestamp.fromDate(getPeriodStart(range.start, granularity)))
+      .where('start', '<=', admin.firestore.Timestamp.fromDate(range.end))
+      .orderBy('start', 'asc')
+      .get();
 
-      const totalSales = transactions
-        .filter(t => t.type === TRANSACTION_TYPES.SALE)
-        .reduce((sum, t) => sum + Math.abs(t.quantity * (t.unitCost || 0)), 0);
+    const now = new Date();
 
-      const totalWaste = await this.calculateWasteValue(tenantId, startDate, endDate);
+    return snapshot.docs.map((doc) => {
+      const cohort = doc.data();
+      const size: number = cohort.size || 0;
+      const elapsed = cohortOffset((cohort.start as admin.firestore.Timestamp).toDate(), now, cohortType);
 
-      const turnoverRate = totalSales / ((inventoryValue.current + inventoryValue.previous) / 2);
+      const firstValue: number = cohort.value?.[0] || 0;
 
-      // Get low stock items
-      const lowStockItems = await this.getLowStockItems(tenantId);
+      const retention = Array.from({ length: elapsed + 1 }, (_, period) => {
+        const retained: number = cohort.retained?.[period] || 0;
+        const value: number = cohort.value?.[period] || 0;
+        return {
+          period,
+          retained,
+          percentage: metric === 'revenue' ? percentage(value, firstValue) : percentage(retained, size),
+          value,
+        };
+      });
 
-      // Get expiring items
-      const expiringItems = await this.getExpiringItems(tenantId, 7);
+      const totalValue = retention.reduce((sum, period) => sum + period.value, 0);
+      const latest = retention[retention.length - 1];
 
       return {
-        tenantId,
-        period: {
-          start: startDate.toISOString(),
-          end: endDate.toISOString()
-        },
-        summary: {
-          totalValue: inventoryValue.current,
-          totalItems: inventoryValue.itemCount,
-          totalPurchases,
-          totalSales,
-          totalWaste,
-          turnoverRate
-        },
-        lowStockItems,
-        expiringItems,
-        topMovingItems: await this.getTopMovingItems(tenantId, 10),
-        wasteAnalysis: await this.getWasteAnalysis(tenantId, startDate, endDate),
-        generatedAt: new Date().toISOString()
+        cohort: cohort.key,
+        size,
+        retention,
+        // Revenue per customer of the cohort so far
+        value: size > 0 ? Math.round((totalValue / size) * 100) / 100 : 0,
+        churn: retention.length > 1 ? Math.round((100 - percentage(latest.retained, size)) * 100) / 100 : 0,
       };
-    } catch (error) {
-      logger.error('Error generating inventory report:', error);
-      throw error;
-    }
+    });
   }
 
-  // ============================================================================
-  // HELPER METHODS
-  // ============================================================================
-
   /**
-   * Get required ingredients for order items
+   * Get the summary of a single day
    */
-  private async getRequiredIngredients(
-    tenantId: string,
-    orderItems: OrderItem[]
-  ): Promise<RecipeIngredient[]> {
-    const ingredients: Map<string, RecipeIngredient> = new Map();
-
-    for (const orderItem of orderItems) {
-      // Get recipe for product
-      const recipeDoc = await this.firestore
-        .collection(RECIPES_COLLECTION)
-        .doc(`${tenantId}_${orderItem.productId}`)
-        .get();
+  async getDailySummary(tenantId: string, date: Date): Promise<AnalyticsSummary & { date: string }> {
+    const start = getPeriodStart(date, 'day');
+    const summary = await this.getSummary(tenantId, start, new Date(nextPeriod(start, 'day').getTime() - 1));
 
-      if (!recipeDoc.exists) {
-        // If no recipe, assume direct product consumption
-        ingredients.set(orderItem.productId, {
-          itemId: orderItem.productId,
-          name: orderItem.name,
-          requiredQuantity: orderItem.quantity,
-          unit: 'piece'
-        });
-        continue;
-      }
+    return {
+      date: getPeriodKey(date, 'day'),
+      ...summary,
+    };
+  }
 
-      const recipe = recipeDoc.data();
-      
-      // Calculate required quantities
-      for (const ingredient of recipe.ingredients) {
-        const key = ingredient.itemId;
-        const requiredQty = ingredient.quantity * orderItem.quantity;
-
-        if (ingredients.has(key)) {
-          const existing = ingredients.get(key)!;
-          existing.requiredQuantity += requiredQty;
-        } else {
-          ingredients.set(key, {
-            itemId: ingredient.itemId,
-            name: ingredient.name,
-            requiredQuantity: requiredQty,
-            unit: ingredient.unit
-          });
-        }
+  /**
+   * Get best selling products of a date range
+   */
+  async getTopProducts(
+    tenantId: string,
+    range: { start: Date; end: Date },
+    limit: number = 10,
+  ): Promise<ProductTotals[]> {
+    const rollups = await this.getRollups(tenantId, 'day', range.start, range.end);
+    const products = new Map<string, ProductTotals>();
+
+    for (const rollup of rollups) {
+      for (const [productId, values] of Object.entries((rollup.products || {}) as Record<string, ProductRollup>)) {
+        const product = products.get(productId)
+          || { productId, name: values.name, quantity: 0, revenue: 0 };
+        product.quantity += values.quantity || 0;
+        product.revenue += values.revenue || 0;
+        products.set(productId, product);
       }
     }
 
-    return Array.from(ingredients.values());
+    return Array.from(products.values())
+      .sort((a, b) => b.quantity - a.quantity)
+      .slice(0, limit);
   }
 
   /**
-   * Get inventory item
+   * Get new and returning customers of a date range
+   *
+   * Customers are counted once per day they ordered on, so a customer ordering
+   * on several days is counted as returning on each later day.
    */
-  private async getInventoryItem(
+  async getCustomerInsights(
     tenantId: string,
-    itemId: string
-  ): Promise<InventoryItem | null> {
-    const doc = await this.firestore
-      .collection(INVENTORY_COLLECTION)
-      .doc(`${tenantId}_${itemId}`)
-      .get();
+    range: { start: Date; end: Date },
+  ): Promise<Record<string, number>> {
+    const totals = this.sumRollups(await this.getRollups(tenantId, 'day', range.start, range.end));
+    const customerDays = totals.actors[AnalyticsEventType.ORDER_CREATED] || 0;
+    const returningCustomers = Math.max(0, customerDays - totals.newCustomers);
 
-    return doc.exists ? doc.data() as InventoryItem : null;
+    return {
+      customerDays,
+      newCustomers: totals.newCustomers,
+      returningCustomers,
+      returningRate: percentage(returningCustomers, customerDays),
+      ordersPerCustomerDay: customerDays > 0
+        ? Math.round((totals.orders / customerDays) * 100) / 100
+        : 0,
+      revenuePerCustomerDay: customerDays > 0
+        ? Math.round((totals.revenue / customerDays) * 100) / 100
+        : 0,
+    };
   }
 
   /**
-   * Schedule reservation release
+   * Compare a tenant's last 30 days with all other tenants
    */
-  private scheduleReservationRelease(reservationId: string, timeout: number): void {
-    setTimeout(async () => {
-      try {
-        const reservationDoc = await this.firestore
-          .collection(RESERVATIONS_COLLECTION)
-          .doc(reservationId)
-          .get();
-
-        if (reservationDoc.exists && reservationDoc.data()?.status === 'active') {
-          await this.releaseReservedItems(
-            reservationDoc.data()!.tenantId,
-            reservationDoc.data()!.orderId
-          );
-        }
-      } catch (error) {
-        logger.error('Error releasing expired reservation:', error);
+  async getIndustryBenchmarks(
+    tenantId: string,
+    category?: string,
+    metrics: string[] = BENCHMARK_METRICS,
+  ): Promise<Record<string, any>> {
+    const unknown = metrics.filter((metric) => !BENCHMARK_METRICS.includes(metric));
+    if (unknown.length > 0) {
+      throw new ValidationError('Unknown benchmark metrics', unknown.map((metric) => ({
+        field: 'metrics',
+        message: `Unknown metric ${metric}`,
+      })));
+    }
+
+    const end = new Date();
+    const start = getPeriodStart(addDays(end, -BENCHMARK_DAYS), 'day');
+
+    let peers: Set<string> | null = null;
+    if (category) {
+      const tenants = await this.firestore
+        .collection('tenants')
+        .where('category', '==', category)
+        .select()
+        .get();
+      peers = new Set(tenants.docs.map((doc) => doc.id));
+    }
+
+    const snapshot = await this.firestore
+      .collection(ROLLUPS_COLLECTION)
+      .where('period', '==', 'day')
+      .where('start', '>=', admin.firestore.Timestamp.fromDate(start))
+      .get();
+
+    const byTenant = new Map<string, admin.firestore.DocumentData[]>();
+    for (const doc of snapshot.docs) {
+      const rollup = doc.data();
+      const rollupTenant = rollup.tenantId as string;
+      if (
+        rollupTenant === PLATFORM_TENANT
+        || (peers && rollupTenant !== tenantId && !peers.has(rollupTenant))
+      ) {
+        continue;
       }
-    }, timeout);
+      byTenant.set(rollupTenant, [...(byTenant.get(rollupTenant) || []), rollup]);
+    }
+
+    const own = this.sumRollups(byTenant.get(tenantId) || []);
+    const others = Array.from(byTenant.entries())
+      .filter(([id]) => id !== tenantId)
+      .map(([, rollups]) => this.sumRollups(rollups));
+
+    const result: Record<string, any> = {};
+    for (const metric of metrics) {
+      const values = others.map((totals) => metricValue(totals, metric)).sort((a, b) => a - b);
+      const value = metricValue(own, metric);
+      const quantile = (q: number) => (values.length > 0
+        ? values[Math.min(values.length - 1, Math.floor(q * values.length))]
+        : null);
+
+      result[metric] = {
+        value,
+        median: quantile(0.5),
+        p75: quantile(0.75),
+        percentile: values.length > 0
+          ? percentage(values.filter((other) => other <= value).length, values.length)
+          : null,
+      };
+    }
+
+    return {
+      period: { start, end },
+      category: category || null,
+      peers: others.length,
+      metrics: result,
+    };
   }
 
+  // ==========================================================================
+  // DASHBOARDS
+  // ==========================================================================
+
   /**
-   * Check low stock alerts
+   * Get dashboard configurations of a user within a tenant
    */
-  private async checkLowStockAlerts(
-    tenantId: string,
-    items: Array<{ itemId: string; quantity: number }>
-  ): Promise<void> {
-    for (const item of items) {
-      const inventory = await this.getInventoryItem(tenantId, item.itemId);
-      if (!inventory) continue;
+  async getUserDashboards(userId: string, tenantId: string): Promise<admin.firestore.DocumentData[]> {
+    const snapshot = await this.firestore
+      .collection(DASHBOARDS_COLLECTION)
+      .where('tenantId', '==', tenantId)
+      .where('userId', '==', userId)
+      .get();
 
-      await this.checkInventoryAlerts(tenantId, item.itemId, inventory.quantity);
-    }
+    return snapshot.docs.map((doc) => ({ id: doc.id, ...doc.data() }));
   }
 
   /**
-   * Check inventory alerts
+   * Create a dashboard configuration
    */
-  private async checkInventoryAlerts(
-    tenantId: string,
-    itemId: string,
-    currentQuantity: number
-  ): Promise<void> {
-    const inventory = await this.getInventoryItem(tenantId, itemId);
-    if (!inventory) return;
-
-    const stockPercentage = (currentQuantity / inventory.reorderPoint) * 100;
-    
-    // Create alert if needed
-    if (stockPercentage <= STOCK_LEVELS.CRITICAL) {
-      await this.createAlert(tenantId, itemId, 'critical_stock', {
-        currentQuantity,
-        reorderPoint: inventory.reorderPoint,
-        percentage: stockPercentage
-      });
-    } else if (stockPercentage <= STOCK_LEVELS.LOW) {
-      await this.createAlert(tenantId, itemId, 'low_stock', {
-        currentQuantity,
-        reorderPoint: inventory.reorderPoint,
-        percentage: stockPercentage
-      });
-    }
+  async createDashboard(config: Record<string, any>): Promise<admin.firestore.DocumentData> {
+    const dashboardRef = this.firestore.collection(DASHBOARDS_COLLECTION).doc();
+    const dashboard = {
+      ...config,
+      createdAt: admin.firestore.FieldValue.serverTimestamp(),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    };
 
-    // Check expiry
-    if (inventory.expiryDate) {
-      const daysUntilExpiry = differenceInDays(new Date(inventory.expiryDate), new Date());
-      if (daysUntilExpiry <= EXPIRY_WARNING_DAYS && daysUntilExpiry > 0) {
-        await this.createAlert(tenantId, itemId, 'expiry_warning', {
-          expiryDate: inventory.expiryDate,
-          daysRemaining: daysUntilExpiry
-        });
-      }
-    }
+    await dashboardRef.set(dashboard);
+
+    return { id: dashboardRef.id, ...config };
   }
 
   /**
-   * Create inventory alert
+   * Update a dashboard configuration owned by a user
    */
-  private async createAlert(
-    tenantId: string,
-    itemId: string,
-    type: string,
-    data: any
-  ): Promise<void> {
-    const alertRef = this.firestore.collection(ALERTS_COLLECTION).doc();
-    
-    await alertRef.set({
-      id: alertRef.id,
-      tenantId,
-      itemId,
-      type,
-      data,
-      status: 'active',
-      createdAt: admin.firestore.FieldValue.serverTimestamp()
+  async updateDashboard(
+    dashboardId: string,
+    userId: string,
+    config: Record<string, any>,
+  ): Promise<admin.firestore.DocumentData> {
+    const dashboardRef = await this.getOwnDashboardRef(dashboardId, userId);
+
+    await dashboardRef.update({
+      ...config,
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
     });
+
+    const updated = await dashboardRef.get();
+    return { id: dashboardId, ...updated.data() };
   }
 
   /**
-   * Calculate average daily usage
+   * Delete a dashboard configuration owned by a user
    */
-  private async calculateAverageDailyUsage(
-    tenantId: string,
-    itemId: string,
-    days: number
-  ): Promise<number> {
-    const startDate = addDays(new Date(), -days);
-    
-    const transactionsSnapshot = await this.firestore
-      .collection(TRANSACTIONS_COLLECTION)
-      .where('tenantId', '==', tenantId)
-      .where('itemId', '==', itemId)
-      .where('type', '==', TRANSACTION_TYPES.SALE)
-      .where('timestamp', '>=', startDate)
-      .get();
-
-    const totalUsage = transactionsSnapshot.docs
-      .reduce((sum, doc) => sum + Math.abs(doc.data().quantity), 0);
-
-    return totalUsage / days;
+  async deleteDashboard(dashboardId: string, userId: string): Promise<void> {
+    const dashboardRef = await this.getOwnDashboardRef(dashboardId, userId);
+    await dashboardRef.delete();
   }
 
+  // ==========================================================================
+  // EXPORTS
+  // ==========================================================================
+
   /**
-   * Calculate inventory value
+   * Export daily metrics of a date range
+   *
+   * Rollups keep exports small, so the job is completed right away and the
+   * result is stored on the job document.
    */
-  private async calculateInventoryValue(tenantId: string): Promise<any> {
-    const inventorySnapshot = await this.firestore
-      .collection(INVENTORY_COLLECTION)
-      .where('tenantId', '==', tenantId)
-      .get();
-
-    let currentValue = 0;
-    let itemCount = 0;
+  async exportData(request: ExportRequest): Promise<Record<string, any>> {
+    if (!['csv', 'json'].includes(request.format)) {
+      throw new ValidationError('Unsupported export format', [
+        { field: 'format', message: 'Must be csv or json' },
+      ]);
+    }
+    if (!request.dateRange?.start || !request.dateRange?.end) {
+      throw new ValidationError('Date range is required', [
+        { field: 'dateRange', message: 'Required' },
+      ]);
+    }
 
-    inventorySnapshot.docs.forEach(doc => {
-      const item = doc.data() as InventoryItem;
-      currentValue += item.quantity * (item.unitCost || 0);
-      itemCount++;
+    const { data } = await this.getMetrics(request.tenantId, {
+      dateRange: {
+        start: new Date(request.dateRange.start),
+        end: new Date(request.dateRange.end),
+      },
+      granularity: 'day',
+      metrics: BASE_METRICS,
+      pagination: { limit: Number.MAX_SAFE_INTEGER, offset: 0 },
     });
 
-    return {
-      current: currentValue,
-      previous: currentValue * 0.9, // Simplified - should calculate from history
-      itemCount
+    const columns = ['timestamp', ...BASE_METRICS];
+    const content = request.format === 'csv'
+      ? [columns.join(','), ...data.map((row) => columns.map((column) => row[column]).join(','))].join('\n')
+      : JSON.stringify(data);
+
+    const jobRef = this.firestore.collection(EXPORTS_COLLECTION).doc();
+    const now = new Date();
+    const job = {
+      id: jobRef.id,
+      tenantId: request.tenantId,
+      type: request.type || 'metrics',
+      format: request.format,
+      status: 'completed',
+      rows: data.length,
+      content,
+      createdAt: now,
+      completedAt: now,
+      estimatedCompletionTime: now,
     };
+
+    await jobRef.set(job);
+
+    return job;
   }
 
   /**
-   * Get transactions
+   * Get an export job of a tenant
    */
-  private async getTransactions(
-    tenantId: string,
-    startDate: Date,
-    endDate: Date
-  ): Promise<InventoryTransaction[]> {
-    const snapshot = await this.firestore
-      .collection(TRANSACTIONS_COLLECTION)
-      .where('tenantId', '==', tenantId)
-      .where('timestamp', '>=', startDate)
-      .where('timestamp', '<=', endDate)
-      .get();
+  async getExportJobStatus(jobId: string, tenantId: string): Promise<admin.firestore.DocumentData> {
+    const jobDoc = await this.firestore.collection(EXPORTS_COLLECTION).doc(jobId)
+.get();
+
+    if (!jobDoc.exists || jobDoc.get('tenantId') !== tenantId) {
+      throw new NotFoundError('Export job', jobId);
+    }
 
-    return snapshot.docs.map(doc => doc.data() as InventoryTransaction);
+    return { id: jobDoc.id, ...jobDoc.data() };
   }
 
-  /**
-   * Calculate waste value
-   */
-  private async calculateWasteValue(
-    tenantId: string,
-    startDate: Date,
-    endDate: Date
-  ): Promise<number> {
-    const wasteSnapshot = await this.firestore
-      .collection(WASTE_COLLECTION)
-      .where('tenantId', '==', tenantId)
-      .where('timestamp', '>=', startDate)
-      .where('timestamp', '<=', endDate)
-      .get();
+  // ==========================================================================
+  // HELPER METHODS
+  // ==========================================================================
+
+  private async getOwnDashboardRef(
+    dashboardId: string,
+    userId: string,
+  ): Promise<admin.firestore.DocumentReference> {
+    const dashboardRef = this.firestore.collection(DASHBOARDS_COLLECTION).doc(dashboardId);
+    const dashboardDoc = await dashboardRef.get();
 
-    return wasteSnapshot.docs
-      .reduce((sum, doc) => sum + (doc.data().value || 0), 0);
+    if (!dashboardDoc.exists) {
+      throw new NotFoundError('Dashboard', dashboardId);
+    }
+    if (dashboardDoc.get('userId') !== userId) {
+      throw new AuthorizationError('Dashboard belongs to another user');
+    }
+
+    return dashboardRef;
   }
 
   /**
-   * Get low stock items
+   * Map caller input onto the AnalyticsEvent schema
    */
-  private async getLowStockItems(tenantId: string): Promise<any[]> {
-    const inventorySnapshot = await this.firestore
-      .collection(INVENTORY_COLLECTION)
-      .where('tenantId', '==', tenantId)
-      .get();
+  private normalizeEvent(input: TrackEventInput): AnalyticsEvent {
+    const rawType = input.type || input.eventType;
+    if (!rawType) {
+      throw new ValidationError('Event type is required', [
+        { field: 'type', message: 'Required' },
+      ]);
+    }
+
+    const type = normalizeEventType(rawType);
+    const properties = { ...(input.properties || {}), ...(input.eventData || {}) };
+    const data: EventData = { ...properties, ...(input.data || {}) };
+
+    // Order events report their total under different names
+    if (data.amount === undefined && typeof properties.total === 'number') {
+      data.amount = properties.total;
+    }
+    if (Array.isArray(properties.items)) {
+      data.lineItems = properties.items;
+      data.items = properties.items.length;
+    }
 
-    return inventorySnapshot.docs
-      .map(doc => {
-        const item = doc.data() as InventoryItem;
-        const stockPercentage = (item.quantity / item.reorderPoint) * 100;
-        return { ...item, stockPercentage };
-      })
-      .filter(item => item.stockPercentage <= STOCK_LEVELS.LOW)
-      .sort((a, b) => a.stockPercentage - b.stockPercentage);
+    const userId = input.userId && !ANONYMOUS_USERS.includes(input.userId)
+      ? input.userId
+      : undefined;
+
+    const event: AnalyticsEvent = {
+      id: input.id || this.firestore.collection(EVENTS_COLLECTION).doc().id,
+      tenantId: input.tenantId || PLATFORM_TENANT,
+      type: type as AnalyticsEventType,
+      category: KNOWN_EVENT_TYPES.includes(type) ? type.split('_')[0] : 'custom',
+      action: type,
+      timestamp: input.timestamp || new Date(),
+      data,
+    };
+
+    // Firestore rejects undefined values
+    if (userId) {
+      event.userId = userId;
+    }
+    if (input.sessionId) {
+      event.sessionId = input.sessionId;
+    }
+    if (input.value !== undefined) {
+      event.value = input.value;
+    }
+    if (input.context) {
+      event.context = input.context;
+    }
+
+    // Properties come straight from callers and may hold undefined values
+    event.data = JSON.parse(JSON.stringify(data)) as EventData;
+
+    return event;
   }
 
   /**
-   * Get expiring items
+   * Visitor an event is attributed to for unique and funnel counts
    */
-  private async getExpiringItems(tenantId: string, days: number): Promise<any[]> {
-    const expiryDate = addDays(new Date(), days);
-    
-    const inventorySnapshot = await this.firestore
-      .collection(INVENTORY_COLLECTION)
-      .where('tenantId', '==', tenantId)
-      .where('expiryDate', '<=', expiryDate.toISOString())
-      .get();
-
-    return inventorySnapshot.docs
-      .map(doc => {
-        const item = doc.data() as InventoryItem;
-        const daysUntilExpiry = differenceInDays(new Date(item.expiryDate!), new Date());
-        return { ...item, daysUntilExpiry };
-      })
-      .filter(item => item.daysUntilExpiry > 0)
-      .sort((a, b) => a.daysUntilExpiry - b.daysUntilExpiry);
+  private getActorId(event: AnalyticsEvent): string | null {
+    if (event.userId) {
+      return `user_${event.userId}`;
+    }
+    return event.sessionId ? `session_${event.sessionId}` : null;
   }
 
   /**
-   * Get top moving items
+   * Add an order to the customer's weekly and monthly cohorts
+   *
+   * Returns the fields to merge into the actor document.
    */
-  private async getTopMovingItems(tenantId: string, limit: number): Promise<any[]> {
-    // This would analyze transaction history to find top moving items
-    // Simplified implementation
-    return [];
+  private updateCohorts(
+    transaction: admin.firestore.Transaction,
+    event: AnalyticsEvent,
+    actor: admin.firestore.DocumentData,
+    amount: number,
+  ): Record<string, any> {
+    const increment = (value: number) => admin.firestore.FieldValue.increment(value);
+    const cohorts: Record<string, string> = { ...(actor.cohorts || {}) };
+    const activePeriods: Record<string, string[]> = { ...(actor.activePeriods || {}) };
+
+    for (const cohortType of ['weekly', 'monthly'] as CohortType[]) {
+      const granularity = cohortGranularity(cohortType);
+      const isFirstOrder = !cohorts[cohortType];
+
+      if (isFirstOrder) {
+        cohorts[cohortType] = getPeriodKey(event.timestamp, granularity);
+      }
+
+      const cohortKey = cohorts[cohortType];
+      const cohortStart = isFirstOrder
+        ? getPeriodStart(event.timestamp, granularity)
+        : (actor.cohortStarts?.[cohortType] as admin.firestore.Timestamp).toDate();
+      const offset = Math.max(0, cohortOffset(cohortStart, event.timestamp, cohortType));
+      const periodKey = getPeriodKey(event.timestamp, granularity);
+      const periods = activePeriods[cohortType] || [];
+      const isNewPeriod = !periods.includes(periodKey);
+
+      transaction.set(
+        this.firestore
+          .collection(COHORTS_COLLECTION)
+          .doc(`${event.tenantId}_${cohortType}_${cohortKey}`),
+        {
+          tenantId: event.tenantId,
+          cohortType,
+          key: cohortKey,
+          start: admin.firestore.Timestamp.fromDate(cohortStart),
+          ...(isFirstOrder ? { size: increment(1) } : {}),
+          retained: isNewPeriod ? { [offset]: increment(1) } : {},
+          value: { [offset]: increment(amount) },
+          updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+        },
+        { merge: true },
+      );
+
+      if (isNewPeriod) {
+        activePeriods[cohortType] = [...periods, periodKey];
+      }
+    }
+
+    const cohortStarts = actor.cohortStarts || {
+      weekly: admin.firestore.Timestamp.fromDate(getPeriodStart(event.timestamp, 'week')),
+      monthly: admin.firestore.Timestamp.fromDate(getPeriodStart(event.timestamp, 'month')),
+    };
+
+    return {
+      userId: event.userId,
+      cohorts,
+      cohortStarts,
+      activePeriods,
+      firstOrderAt: actor.firstOrderAt || admin.firestore.Timestamp.fromDate(event.timestamp),
+    };
   }
 
   /**
-   * Get waste analysis
+   * Sum rollups of one tenant into totals per period
    */
-  private async getWasteAnalysis(
+  private async getSeries(
     tenantId: string,
-    startDate: Date,
-    endDate: Date
-  ): Promise<any> {
-    const wasteSnapshot = await this.firestore
-      .collection(WASTE_COLLECTION)
-      .where('tenantId', '==', tenantId)
-      .where('timestamp', '>=', startDate)
-      .where('timestamp', '<=', endDate)
-      .get();
+    start: Date,
+    end: Date,
+    granularity: MetricGranularity,
+  ): Promise<Array<{ start: Date; totals: RollupTotals }>> {
+    const period: RollupPeriod = granularity === 'hour' ? 'hour' : 'day';
+    const rollups = await this.getRollups(tenantId, period, start, end);
+
+    const byKey = new Map<string, admin.firestore.DocumentData[]>();
+    for (const rollup of rollups) {
+      const key = getPeriodKey((rollup.start as admin.firestore.Timestamp).toDate(), granularity);
+      byKey.set(key, [...(byKey.get(key) || []), rollup]);
+    }
 
-    const wasteByReason = new Map<string, number>();
-    let totalWaste = 0;
+    // Zero-fill periods without events so charts get a continuous axis
+    const series: Array<{ start: Date; totals: RollupTotals }> = [];
+    for (
+      let current = getPeriodStart(start, granularity);
+      current.getTime() <= end.getTime();
+      current = nextPeriod(current, granularity)
+    ) {
+      series.push({
+        start: current,
+        totals: this.sumRollups(byKey.get(getPeriodKey(current, granularity)) || []),
+      });
+    }
 
-    wasteSnapshot.docs.forEach(doc => {
-      const waste = doc.data();
-      const currentValue = wasteByReason.get(waste.reason) || 0;
-      wasteByReason.set(waste.reason, currentValue + waste.value);
-      totalWaste += waste.value;
-    });
+    return series;
+  }
 
-    return {
-      total: totalWaste,
-      byReason: Array.from(wasteByReason.entries()).map(([reason, value]) => ({
-        reason,
-        value,
-        percentage: (value / totalWaste) * 100
-      }))
-    };
+  private sumRollups(rollups: admin.firestore.DocumentData[]): RollupTotals {
+    const totals = emptyTotals();
+
+    for (const rollup of rollups) {
+      totals.orders += rollup.orders || 0;
+      totals.revenue += rollup.revenue || 0;
+      totals.cancellations += rollup.cancellations || 0;
+      totals.refunds += rollup.refunds || 0;
+      totals.uniqueUsers += rollup.uniqueUsers || 0;
+      totals.newCustomers += rollup.newCustomers || 0;
+      addCounts(totals.events, rollup.events as Record<string, number>);
+      addCounts(totals.actors, rollup.actors as Record<string, number>);
+    }
+
+    totals.revenue = Math.round(totals.revenue * 100) / 100;
+    return totals;
   }
-}
\ No newline at end of file
+
+  private rollupRef(
+    tenantId: string,
+    period: RollupPeriod,
+    key: string,
+    shard: number,
+  ): admin.firestore.DocumentReference {
+    return this.firestore
+      .collection(ROLLUPS_COLLECTION)
+      .doc(`${tenantId}_${period}_${key}_${shard}`);
+  }
+}
+
+export default AnalyticsService;
@@ -14,6 +14,7 @@
  * - Encrypted storage
  * - Backup verification
  * - Restore management
+ * - Selective point-in-time restore with preview
  * - Retention policies
  */
 
@@ -29,6 +30,18 @@ import {
   BackupStatus
 } from '../types/backup.types';
 import { logger } from '../utils/logger';
+import {
+  DocumentFilter,
+  RestoreDiffEntry,
+  RestoreDiffSummary,
+  RestoreDocument,
+  diffRestoreDocuments,
+  documentChecksum,
+  matchesDocumentFilter,
+  reviveBackupValue,
+  serializeForBackup,
+  summarizeRestoreDiff
+} from '../utils/restoreUtils';
 import { v4 as uuidv4 } from 'uuid';
 import * as crypto from 'crypto';
 import * as zlib from 'zlib';
@@ -40,7 +53,8 @@ import {
   subMonths,
   differenceInDays,
   isAfter,
-  addDays
+  addDays,
+  addHours
 } from 'date-fns';
 
 // ============================================================================
@@ -92,6 +106,51 @@ interface BackupVerification {
   dataIntegrity: boolean;
 }
 
+interface SelectiveRestoreRequest {
+  tenantId: string;
+  pointInTime: Date;
+  /** Collection names (e.g. 'products') or full paths */
+  collections: string[];
+  filter?: DocumentFilter;
+  /** Also delete documents created after the backup */
+  deleteMissing?: boolean;
+  requestedBy?: string;
+}
+
+type StagedRestoreStatus = 'staged' | 'promoted' | 'discarded';
+
+interface StagedRestore {
+  restoreId: string;
+  tenantId: string;
+  pointInTime: string;
+  collections: string[];
+  filter: DocumentFilter | null;
+  deleteMissing: boolean;
+  status: StagedRestoreStatus;
+  sourceBackups: Array<{
+    backupId: string;
+    type: string;
+    timestamp: string;
+    checksum: string;
+    contentChecksum: string | null;
+  }>;
+  summary: Record<string, RestoreDiffSummary>;
+  /** First changes per collection, unchanged documents left out */
+  preview: Array<RestoreDiffEntry & { collection: string }>;
+  totalChanges: number;
+  requestedBy: string | null;
+  expiresAt: string;
+}
+
+interface StagedDocument {
+  collection: string;
+  docId: string;
+  change: 'create' | 'update' | 'delete';
+  data: Record<string, any> | null;
+  /** Checksum at preview time; null when the document did not exist */
+  currentChecksum: string | null;
+}
+
 interface RetentionPolicy {
   daily: number;
   weekly: number;
@@ -106,6 +165,11 @@ interface RetentionPolicy {
 const BACKUPS_COLLECTION = 'system_backups';
 const BACKUP_JOBS_COLLECTION = 'backup_jobs';
 const RESTORE_LOGS_COLLECTION = 'restore_logs';
+const RESTORE_STAGING_COLLECTION = 'restore_staging';
+
+const STAGED_RESTORE_TTL_HOURS = 24;
+const RESTORE_PREVIEW_LIMIT = 100;
+const MAX_BATCH_WRITES = 450;
 
 const BACKUP_BUCKET = functions.config().backup?.bucket || 'eatech-backups';
 const BACKUP_REGION = functions.config().backup?.region || 'europe-west1';
@@ -205,6 +269,7 @@ export default class BackupService {
         tenantId,
         backupId,
         backupData,
+        processedData,
         location,
         backupOptions
       );
@@ -289,23 +354,8 @@ export default class BackupService {
         throw new Error(`Backup verification failed: ${verification.issues.join(', ')}`);
       }
 
-      // Download backup
-      const encryptedData = await this.downloadBackup(metadata.location);
-
-      // Decrypt if needed
-      let compressedData = encryptedData;
-      if (metadata.encrypted) {
-        compressedData = await this.decryptData(encryptedData);
-      }
-
-      // Decompress if needed
-      let backupData = compressedData;
-      if (metadata.compressed) {
-        backupData = await this.decompressData(compressedData);
-      }
-
-      // Parse backup data
-      const parsedData = JSON.parse(backupData.toString());
+      // Download, decrypt and decompress backup
+      const parsedData = await this.loadBackupData(metadata);
 
       // Perform restore
       const result = await this.performRestore(
@@ -470,6 +520,258 @@ export default class BackupService {
     }
   }
 
+  /**
+   * Stage a selective point-in-time restore
+   *
+   * Restores the given collections of one tenant as of pointInTime into a
+   * staging namespace and returns a diff against the current data. Nothing
+   * is changed until the staged restore is promoted.
+   */
+  async prepareSelectiveRestore(request: SelectiveRestoreRequest): Promise<StagedRestore> {
+    const restoreId = uuidv4();
+    const { tenantId, pointInTime } = request;
+
+    if (!request.collections || request.collections.length === 0) {
+      throw new Error('At least one collection is required');
+    }
+
+    logger.info(`Staging restore ${restoreId} of ${request.collections.join(', ')} for tenant ${tenantId} as of ${pointInTime.toISOString()}`);
+
+    try {
+      // Full backup plus the latest incremental on top of it
+      const sources = await this.findPointInTimeBackups(tenantId, pointInTime);
+
+      const backups: Array<{ metadata: BackupMetadata; data: any }> = [];
+      for (const metadata of sources) {
+        const verification = await this.verifyBackupIntegrity(metadata.id);
+        if (!verification.checksumValid || !verification.structureValid) {
+          throw new Error(`Backup ${metadata.id} failed verification: ${verification.issues.join(', ')}`);
+        }
+        backups.push({ metadata, data: await this.loadBackupData(metadata) });
+      }
+
+      const stagingRef = this.firestore.collection(RESTORE_STAGING_COLLECTION).doc(restoreId);
+      const staged: StagedDocument[] = [];
+      const summary: Record<string, RestoreDiffSummary> = {};
+      const preview: StagedRestore['preview'] = [];
+      const collections: string[] = [];
+
+      for (const name of request.collections) {
+        const collectionPath = await this.resolveRestoreCollection(name, tenantId, backups.map(b => b.data));
+        collections.push(collectionPath);
+
+        // Later backups override earlier ones document by document
+        const backupDocs = new Map<string, RestoreDocument>();
+        backups.forEach(({ data }) => {
+          (data.collections[collectionPath]?.documents || []).forEach((doc: RestoreDocument) => {
+            backupDocs.set(doc.id, { id: doc.id, data: doc.data });
+          });
+        });
+
+        const inScope = (doc: RestoreDocument) =>
+          this.isTenantDocument(collectionPath, tenantId, doc) &&
+          matchesDocumentFilter(doc, request.filter);
+
+        const backupInScope = [...backupDocs.values()].filter(inScope);
+        const currentInScope = (await this.loadCurrentDocuments(collectionPath, tenantId)).filter(inScope);
+
+        const diff = diffRestoreDocuments(backupInScope, currentInScope, {
+          deleteMissing: request.deleteMissing
+        });
+        summary[collectionPath] = summarizeRestoreDiff(diff);
+
+        diff
+          .filter(entry => entry.change !== 'unchanged')
+          .forEach(entry => {
+            if (preview.length < RESTORE_PREVIEW_LIMIT) {
+              preview.push({ ...entry, collection: collectionPath });
+            }
+
+            staged.push({
+              collection: collectionPath,
+              docId: entry.id,
+              change: entry.change as StagedDocument['change'],
+              data: entry.change === 'delete'
+                ? null
+                : reviveBackupValue(backupDocs.get(entry.id)!.data),
+              currentChecksum: entry.currentChecksum || null
+            });
+          });
+      }
+
+      // Write staged documents
+      for (let i = 0; i < staged.length; i += MAX_BATCH_WRITES) {
+        const batch = this.firestore.batch();
+        staged.slice(i, i + MAX_BATCH_WRITES).forEach(doc => {
+          batch.set(stagingRef.collection('documents').doc(), doc);
+        });
+        await batch.commit();
+      }
+
+      const stagedRestore: StagedRestore = {
+        restoreId,
+        tenantId,
+        pointInTime: pointInTime.toISOString(),
+        collections,
+        filter: request.filter || null,
+        deleteMissing: request.deleteMissing || false,
+        status: 'staged',
+        sourceBackups: backups.map(({ metadata }) => ({
+          backupId: metadata.id,
+          type: metadata.type,
+          timestamp: this.toDate(metadata.timestamp).toISOString(),
+          checksum: metadata.checksum,
+          contentChecksum: metadata.contentChecksum || null
+        })),
+        summary,
+        preview,
+        totalChanges: staged.length,
+        requestedBy: request.requestedBy || null,
+        expiresAt: addHours(new Date(), STAGED_RESTORE_TTL_HOURS).toISOString()
+      };
+
+      await stagingRef.set({
+        ...stagedRestore,
+        createdAt: admin.firestore.FieldValue.serverTimestamp()
+      });
+
+      logger.info(`Restore ${restoreId} staged with ${staged.length} changes`);
+      return stagedRestore;
+
+    } catch (error) {
+      logger.error(`Staging restore ${restoreId} failed:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a staged restore with its preview
+   */
+  async getStagedRestore(restoreId: string): Promise<StagedRestore | null> {
+    const doc = await this.firestore
+      .collection(RESTORE_STAGING_COLLECTION)
+      .doc(restoreId)
+      .get();
+
+    return doc.exists ? doc.data() as StagedRestore : null;
+  }
+
+  /**
+   * Apply a staged restore to the live collections
+   *
+   * Documents that changed since the preview are reported as conflicts and
+   * nothing is written, unless force is set.
+   */
+  async promoteRestore(
+    restoreId: string,
+    options: { promotedBy?: string; force?: boolean } = {}
+  ): Promise<RestoreResult> {
+    const startTime = Date.now();
+    const stagingRef = this.firestore.collection(RESTORE_STAGING_COLLECTION).doc(restoreId);
+
+    const stagedRestore = await this.getStagedRestore(restoreId);
+    if (!stagedRestore) {
+      throw new Error('Staged restore not found');
+    }
+    if (stagedRestore.status !== 'staged') {
+      throw new Error(`Restore ${restoreId} is already ${stagedRestore.status}`);
+    }
+    if (new Date(stagedRestore.expiresAt) < new Date()) {
+      throw new Error(`Restore ${restoreId} expired, prepare it again`);
+    }
+
+    const snapshot = await stagingRef.collection('documents').get();
+    const staged = snapshot.docs.map(doc => doc.data() as StagedDocument);
+
+    // Check for edits made after the preview
+    if (!options.force) {
+      const conflicts: string[] = [];
+      for (const doc of staged) {
+        const current = await this.firestore
+          .collection(doc.collection)
+          .doc(doc.docId)
+          .get();
+        const currentChecksum = current.exists
+          ? documentChecksum(serializeForBackup(current.data() || {}))
+          : null;
+
+        if (currentChecksum !== doc.currentChecksum) {
+          conflicts.push(`${doc.collection}/${doc.docId}`);
+        }
+      }
+
+      if (conflicts.length > 0) {
+        const more = conflicts.length > 10 ? ` and ${conflicts.length - 10} more` : '';
+        throw new Error(`Documents changed since the preview: ${conflicts.slice(0, 10).join(', ')}${more}`);
+      }
+    }
+
+    logger.info(`Promoting restore ${restoreId} with ${staged.length} changes`);
+
+    for (let i = 0; i < staged.length; i += MAX_BATCH_WRITES) {
+      const batch = this.firestore.batch();
+      staged.slice(i, i + MAX_BATCH_WRITES).forEach(doc => {
+        const docRef = this.firestore.collection(doc.collection).doc(doc.docId);
+        if (doc.change === 'delete') {
+          batch.delete(docRef);
+        } else {
+          batch.set(docRef, doc.data || {});
+        }
+      });
+      await batch.commit();
+    }
+
+    const result: RestoreResult = {
+      restoreId,
+      status: 'success',
+      restoredCollections: stagedRestore.collections.length,
+      restoredDocuments: staged.length,
+      errors: [],
+      duration: Date.now() - startTime
+    };
+
+    await stagingRef.update({
+      status: 'promoted',
+      promotedBy: options.promotedBy || null,
+      promotedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+
+    await this.logRestore({
+      ...result,
+      type: 'selective',
+      tenantId: stagedRestore.tenantId,
+      backupIds: stagedRestore.sourceBackups.map(b => b.backupId),
+      pointInTime: stagedRestore.pointInTime,
+      collections: stagedRestore.collections,
+      forced: options.force || false,
+      completedAt: new Date().toISOString()
+    });
+
+    logger.info(`Restore ${restoreId} promoted in ${result.duration}ms`);
+    return result;
+  }
+
+  /**
+   * Drop a staged restore without applying it
+   */
+  async discardRestore(restoreId: string): Promise<void> {
+    const stagingRef = this.firestore.collection(RESTORE_STAGING_COLLECTION).doc(restoreId);
+    const snapshot = await stagingRef.collection('documents').get();
+
+    for (let i = 0; i < snapshot.docs.length; i += MAX_BATCH_WRITES) {
+      const batch = this.firestore.batch();
+      snapshot.docs.slice(i, i + MAX_BATCH_WRITES).forEach(doc => batch.delete(doc.ref));
+      await batch.commit();
+    }
+
+    await stagingRef.update({
+      status: 'discarded',
+      discardedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+
+    logger.info(`Restore ${restoreId} discarded`);
+  }
+
   // ============================================================================
   // SCHEDULED FUNCTIONS
   // ============================================================================
@@ -584,8 +886,17 @@ export default class BackupService {
     const allCollections = await this.firestore.listCollections();
     const collectionIds = allCollections.map(c => c.id);
 
+    // Tenant data such as products lives in subcollections of the tenant
+    const tenantCollections = await this.firestore
+      .collection('tenants')
+      .doc(tenantId)
+      .listCollections();
+
     // Filter excluded collections
-    return collectionIds.filter(id => 
+    return [
+      ...collectionIds,
+      ...tenantCollections.map(c => c.path)
+    ].filter(id => 
       !options.excludeCollections?.includes(id)
     );
   }
@@ -797,6 +1108,7 @@ export default class BackupService {
     tenantId: string,
     backupId: string,
     backupData: any,
+    storedData: Buffer | string,
     location: string,
     options: BackupOptions
   ): Promise<BackupMetadata> {
@@ -814,7 +1126,9 @@ export default class BackupService {
       collections: Object.keys(parsedData.collections),
       documentCount: parsedData.totalDocuments,
       timestamp: new Date(),
-      checksum: this.calculateChecksum(backupData),
+      // checksum covers the stored file, contentChecksum the decoded JSON
+      checksum: this.calculateChecksum(storedData),
+      contentChecksum: this.calculateChecksum(backupData),
       version: parsedData.version
     };
 
@@ -869,7 +1183,8 @@ export default class BackupService {
       const data = await this.downloadBackup(location);
       const checksum = this.calculateChecksum(data);
       
-      if (checksum !== metadata.checksum) {
+      // Older backups only have a checksum of the decoded content
+      if (checksum !== metadata.checksum && metadata.contentChecksum) {
         verification.checksumValid = false;
         verification.issues.push('Checksum mismatch');
       }
@@ -886,6 +1201,12 @@ export default class BackupService {
           verifyData = await this.decompressData(verifyData);
         }
 
+        const contentChecksum = this.calculateChecksum(verifyData);
+        if (contentChecksum !== (metadata.contentChecksum || metadata.checksum)) {
+          verification.checksumValid = false;
+          verification.issues.push('Content checksum mismatch');
+        }
+
         const parsed = JSON.parse(verifyData.toString());
         
         if (!parsed.version || !parsed.collections) {
@@ -895,7 +1216,8 @@ export default class BackupService {
 
         // Verify critical collections
         for (const collection of CRITICAL_COLLECTIONS) {
-          if (!parsed.collections[collection]) {
+          if (!parsed.collections[collection] &&
+              !parsed.collections[`tenants/${metadata.tenantId}/${collection}`]) {
             verification.issues.push(`Missing critical collection: ${collection}`);
           }
         }
@@ -1238,6 +1560,99 @@ export default class BackupService {
     return restoredCount;
   }
 
+  /**
+   * Download and decode a backup, checking the content checksum
+   */
+  private async loadBackupData(metadata: BackupMetadata): Promise<any> {
+    let data = await this.downloadBackup(metadata.location);
+
+    if (metadata.encrypted) {
+      data = await this.decryptData(data);
+    }
+
+    if (metadata.compressed) {
+      data = await this.decompressData(data);
+    }
+
+    if (metadata.contentChecksum && this.calculateChecksum(data) !== metadata.contentChecksum) {
+      throw new Error(`Content checksum mismatch for backup ${metadata.id}`);
+    }
+
+    return JSON.parse(data.toString());
+  }
+
+  /**
+   * Backups needed to rebuild the state at a point in time: the latest
+   * full backup before it and, if any, the latest incremental after that
+   */
+  private async findPointInTimeBackups(
+    tenantId: string,
+    pointInTime: Date
+  ): Promise<BackupMetadata[]> {
+    const backups = (await this.listBackups(tenantId, { endDate: pointInTime }))
+      .filter(backup => backup.status === 'completed')
+      .filter(backup => this.toDate(backup.timestamp) <= pointInTime);
+
+    const full = backups.find(backup => backup.type === 'full');
+    if (!full) {
+      throw new Error(`No full backup of tenant ${tenantId} before ${pointInTime.toISOString()}`);
+    }
+
+    const fullTime = this.toDate(full.timestamp);
+    const incremental = backups.find(backup =>
+      backup.type !== 'full' && this.toDate(backup.timestamp) > fullTime
+    );
+
+    return incremental ? [full, incremental] : [full];
+  }
+
+  /**
+   * Maps a collection name to its path in the backup, preferring the
+   * tenant's subcollection over a shared top-level collection
+   */
+  private async resolveRestoreCollection(name: string, tenantId: string, backups: any[]): Promise<string> {
+    if (name.includes('/')) {
+      return name;
+    }
+
+    const tenantPath = `tenants/${tenantId}/${name}`;
+    const inBackup = (path: string) => backups.some(data => data.collections?.[path]);
+
+    if (inBackup(tenantPath)) return tenantPath;
+    if (inBackup(name)) return name;
+
+    // Empty at backup time; restore where the collection lives today
+    const current = await this.firestore
+      .collection(tenantPath)
+      .limit(1)
+      .get();
+    return current.empty ? name : tenantPath;
+  }
+
+  /**
+   * Shared top-level collections hold documents of all tenants
+   */
+  private isTenantDocument(collectionPath: string, tenantId: string, doc: RestoreDocument): boolean {
+    return collectionPath.startsWith(`tenants/${tenantId}/`) || doc.data.tenantId === tenantId;
+  }
+
+  /**
+   * Current documents of a collection, in backup form
+   */
+  private async loadCurrentDocuments(collectionPath: string, tenantId: string): Promise<RestoreDocument[]> {
+    let query: admin.firestore.Query = this.firestore.collection(collectionPath);
+    if (!collectionPath.startsWith(`tenants/${tenantId}/`)) {
+      query = query.where('tenantId', '==', tenantId);
+    }
+
+    const snapshot = await query.get();
+    return snapshot.docs.map(doc => ({ id: doc.id, data: serializeForBackup(doc.data()) }));
+  }
+
+  private toDate(value: any): Date {
+    return typeof value?.toDate === 'function' ? value.toDate() : new Date(value);
+  }
+
   /**
    * Log restore operation
    */
@@ -115,6 +115,7 @@ export class EmailService {
     subject: string;
     template: string;
     data: any;
+    html?: string; // pre-rendered body, skips the template
     attachments?: any[];
     cc?: string | string[];
     bcc?: string | string[];
@@ -124,11 +125,11 @@ export class EmailService {
   }): Promise<void> {
     try {
       const template = this.templates.get(params.template);
-      if (!template) {
+      if (!template && !params.html) {
         throw new Error(`Email template not found: ${params.template}`);
       }
 
-      const html = template(params.data);
+      const html = params.html || template!(params.data);
 
       const msg: sgMail.MailDataRequired = {
         to: params.to,
@@ -230,6 +231,32 @@ export class EmailService {
     });
   }
 
+  /**
+   * Send VAT receipt with PDF attachment
+   */
+  async sendReceiptEmail(params: {
+    to: string;
+    orderNumber: string;
+    tenantName: string;
+    html: string;
+    pdf: Buffer;
+  }): Promise<void> {
+    await this.sendEmail({
+      to: params.to,
+      subject: `Quittung - ${params.tenantName} #${params.orderNumber}`,
+      template: 'receipt',
+      data: {},
+      html: params.html,
+      attachments: [{
+        content: params.pdf.toString('base64'),
+        filename: `Quittung-${params.orderNumber}.pdf`,
+        type: 'application/pdf',
+        disposition: 'attachment'
+      }],
+      categories: ['order', 'receipt', 'transactional']
+    });
+  }
+
   /**
    * Send order status update email
    */
@@ -578,6 +605,53 @@ export class EmailService {
     });
   }
 
+  /**
+   * Send notice about a recurring order occurrence that was skipped or failed
+   *
+   * The notice is short enough to be rendered here instead of from a template.
+   */
+  async sendRecurringOrderNotice(params: {
+    to: string;
+    customerName: string;
+    tenantName: string;
+    scheduledFor: Date;
+    outcome: 'skipped' | 'failed';
+    reason: string;
+  }): Promise<void> {
+    const date = params.scheduledFor.toLocaleString('de-CH', {
+      timeZone: 'Europe/Zurich',
+      weekday: 'long',
+      day: 'numeric',
+      month: 'long',
+      hour: '2-digit',
+      minute: '2-digit'
+    });
+
+    const escape = handlebars.escapeExpression;
+    const summary = params.outcome === 'skipped' ? 'entfällt' : 'konnte nicht aufgegeben werden';
+
+    await this.sendEmail({
+      to: params.to,
+      subject: params.outcome === 'skipped'
+        ? `Wiederkehrende Bestellung ausgelassen - ${date}`
+        : `Wiederkehrende Bestellung fehlgeschlagen - ${date}`,
+      template: 'recurring-order-notice',
+      data: {},
+      html: `<!DOCTYPE html>
+<html lang="de">
+<head><meta charset="utf-8"><title>Wiederkehrende Bestellung</title></head>
+<body style="font-family:sans-serif">
+<p>Hallo${params.customerName ? ` ${escape(params.customerName)}` : ''}</p>
+<p>Deine wiederkehrende Bestellung bei ${escape(params.tenantName)} am ${escape(date)} ${summary}.</p>
+<p>${escape(params.reason)}</p>
+<p>Deine nächsten Bestellungen bleiben wie geplant bestehen.</p>
+<p style="color:#888">&copy; ${new Date().getFullYear()} ${escape(params.tenantName)}</p>
+</body>
+</html>`,
+      categories: ['order', 'recurring', 'transactional']
+    });
+  }
+
   // ============================================================================
   // SUPPORT EMAILS
   // ============================================================================
@@ -15,6 +15,7 @@
  * - Multi-location support
  * - Inventory forecasting
  * - Recipe-based deduction
+ * - Recipe food costing
  */
 
 import * as admin from 'firebase-admin';
@@ -27,9 +28,22 @@ import {
   RecipeIngredient,
   InventoryReport
 } from '../types/inventory.types';
-import { OrderItem } from '../types/order.types';
+import { ConsumptionType, Order, OrderItem } from '../types/order.types';
+import { Recipe } from '../types/product.types';
+import { calculateFoodCost } from '../utils/calculationUtils';
+import { BusinessError, ErrorCode, NotFoundError } from '../utils/errorHandler';
 import { logger } from '../utils/logger';
-import { v4 as uuidv4 } from 'uuid';
+import { isReservationStale } from '../utils/orderUtils';
+import { getStockItems } from '../utils/productOptionsUtils';
+import {
+  IngredientRequirement,
+  RecipeCost,
+  calculateRecipeCost,
+  convertQuantity,
+  explodeRecipe,
+  getSubRecipeIds,
+  toRecipe
+} from '../utils/recipeUtils';
 import { addDays, isAfter, isBefore, differenceInDays } from 'date-fns';
 
 // ============================================================================
@@ -45,12 +59,61 @@ interface InventoryCheckResult {
 
 interface ReservationResult {
   reservationId: string;
+  products: Array<{
+    productId: string;
+    name: string;
+    quantity: number;
+  }>;
   items: Array<{
     itemId: string;
     quantity: number;
     unit: string;
   }>;
-  expiresAt: string;
+  /** Products sold beyond their stock, only with allowOversell */
+  oversold?: SoldOutProduct[];
+}
+
+interface ReservationPlan {
+  products: Map<string, { name: string; quantity: number }>;
+  ingredients: Map<string, {
+    quantity: number;
+    unit: string;
+    /** Quantity used per portion, by product */
+    usage: Map<string, number>;
+  }>;
+}
+
+export interface SoldOutProduct {
+  productId: string;
+  name: string;
+  requested: number;
+  available: number;
+}
+
+/**
+ * Raised when an order asks for more than is left in stock
+ */
+export class SoldOutError extends BusinessError {
+  public readonly products: SoldOutProduct[];
+
+  constructor(products: SoldOutProduct[]) {
+    super(
+      `Sold out: ${products.map((product) => product.name).join(', ')}`,
+      ErrorCode.INSUFFICIENT_INVENTORY,
+      { products }
+    );
+    this.products = products;
+  }
+}
+
+export interface DishCosting extends RecipeCost {
+  productId: string;
+  name: string;
+  netPrice: number;
+  profit: number;
+  margin: number;
+  markup: number;
+  foodCostPercent: number;
 }
 
 interface RestockRecommendation {
@@ -90,11 +153,10 @@ const INVENTORY_COLLECTION = 'inventory';
 const TRANSACTIONS_COLLECTION = 'inventory_transactions';
 const ALERTS_COLLECTION = 'inventory_alerts';
 const RESERVATIONS_COLLECTION = 'inventory_reservations';
+const STALE_RESERVATION_MIN_AGE_MINUTES = 30;
 const WASTE_COLLECTION = 'inventory_waste';
 const RECIPES_COLLECTION = 'recipes';
 
-const RESERVATION_TIMEOUT = 30 * 60 * 1000; // 30 minutes
-
 const STOCK_LEVELS = {
   CRITICAL: 10,
   LOW: 25,
@@ -152,10 +214,18 @@ export default class InventoryService {
           continue;
         }
 
+        const requiredQuantity = this.toStockUnit(
+          tenantId,
+          ingredient.itemId,
+          ingredient.requiredQuantity,
+          ingredient.unit,
+          inventory.unit
+        ) ?? ingredient.requiredQuantity;
+
         // Check quantity
-        if (inventory.quantity < ingredient.requiredQuantity) {
+        if (inventory.quantity < requiredQuantity) {
           unavailableItems.push(
-            `${ingredient.name} - Benötigt: ${ingredient.requiredQuantity} ${ingredient.unit}, ` +
+            `${ingredient.name} - Benötigt: ${requiredQuantity} ${inventory.unit}, ` +
             `Verfügbar: ${inventory.quantity} ${inventory.unit}`
           );
           
@@ -199,133 +269,227 @@ export default class InventoryService {
   }
 
   /**
-   * Reserve inventory for an order
+   * Reserve product stock and recipe ingredients for an order
+   *
+   * Runs in a Firestore transaction, so concurrent orders can never both take
+   * the last portion. Throws a SoldOutError listing every product that cannot
+   * be served; nothing is reserved in that case.
+   *
+   * With allowOversell, for sales that have already happened (offline POS),
+   * stock is taken even below zero and the shortfall is returned as oversold.
    */
   async reserveItems(
     tenantId: string,
     orderId: string,
-    orderItems: OrderItem[]
+    orderItems: OrderItem[],
+    options: { allowOversell?: boolean } = {}
   ): Promise<ReservationResult> {
-    const reservationId = uuidv4();
-    const reservationItems: ReservationResult['items'] = [];
-
     try {
-      // Start transaction
-      const batch = this.firestore.batch();
-      
-      // Get required ingredients
-      const requiredIngredients = await this.getRequiredIngredients(tenantId, orderItems);
+      const plan = await this.getReservationPlan(tenantId, orderItems);
+      const reservationRef = this.getReservationRef(tenantId, orderId);
+
+      const result = await this.firestore.runTransaction(async (transaction) => {
+        const productRefs = Array.from(plan.products.keys())
+          .map((productId) => this.getProductRef(tenantId, productId));
+        const ingredientRefs = Array.from(plan.ingredients.keys())
+          .map((itemId) => this.getInventoryRef(tenantId, itemId));
+
+        const [reservationDoc, ...docs] = await transaction.getAll(
+          reservationRef,
+          ...productRefs,
+          ...ingredientRefs
+        );
 
-      // Reserve each ingredient
-      for (const ingredient of requiredIngredients) {
-        const inventoryRef = this.firestore
-          .collection(INVENTORY_COLLECTION)
-          .doc(`${tenantId}_${ingredient.itemId}`);
-
-        // Update available quantity
-        batch.update(inventoryRef, {
-          availableQuantity: admin.firestore.FieldValue.increment(-ingredient.requiredQuantity),
-          lastUpdated: admin.firestore.FieldValue.serverTimestamp()
+        // Retried order creation: the reservation is already in place
+        if (reservationDoc.exists && reservationDoc.get('status') === 'active') {
+          const existing = reservationDoc.data()!;
+          return {
+            reservationId: existing.id,
+            products: existing.products,
+            items: existing.items,
+            oversold: existing.oversold
+          } as ReservationResult;
+        }
+
+        const productDocs = docs.slice(0, productRefs.length);
+        const ingredientDocs = docs.slice(productRefs.length);
+        const soldOut: Map<string, SoldOutProduct> = new Map();
+
+        const markSoldOut = (productId: string, available: number): void => {
+          const demand = plan.products.get(productId)!;
+          const current = soldOut.get(productId);
+          soldOut.set(productId, {
+            productId,
+            name: demand.name,
+            requested: demand.quantity,
+            available: Math.max(0, Math.min(available, current ? current.available : available))
+          });
+        };
+
+        // Product level stock
+        const reservedProducts: ReservationResult['products'] = [];
+        productDocs.forEach((doc) => {
+          const demand = plan.products.get(doc.id)!;
+          const inventory = doc.get('inventory');
+
+          if (!doc.exists || !inventory?.trackInventory || inventory.infiniteStock) {
+            return;
+          }
+
+          const available = inventory.availableQuantity ?? 0;
+          if (available < demand.quantity) {
+            markSoldOut(doc.id, available);
+            if (!options.allowOversell) {
+              return;
+            }
+          }
+
+          reservedProducts.push({ productId: doc.id, name: demand.name, quantity: demand.quantity });
         });
 
-        reservationItems.push({
-          itemId: ingredient.itemId,
-          quantity: ingredient.requiredQuantity,
-          unit: ingredient.unit
+        // Recipe ingredients; untracked ingredients do not limit sales
+        const reservedItems: ReservationResult['items'] = [];
+        ingredientDocs.forEach((doc, index) => {
+          const itemId = Array.from(plan.ingredients.keys())[index];
+          const demand = plan.ingredients.get(itemId)!;
+
+          if (!doc.exists) {
+            return;
+          }
+
+          // Plans are in base units, stock is kept in the item's own unit
+          const stockUnit: string = doc.get('unit') || demand.unit;
+          const quantity = this.toStockUnit(tenantId, itemId, demand.quantity, demand.unit, stockUnit);
+          if (quantity === null) {
+            return;
+          }
+
+          const available = doc.get('availableQuantity') ?? doc.get('quantity') ?? 0;
+          if (available < quantity) {
+            // Translate the missing ingredient into how many portions are left
+            demand.usage.forEach((perPortion, productId) => {
+              const perPortionStock = convertQuantity(perPortion, demand.unit, stockUnit);
+              markSoldOut(productId, Math.floor(available / perPortionStock));
+            });
+            if (!options.allowOversell) {
+              return;
+            }
+          }
+
+          reservedItems.push({ itemId, quantity, unit: stockUnit });
         });
-      }
 
-      // Create reservation record
-      const reservationRef = this.firestore
-        .collection(RESERVATIONS_COLLECTION)
-        .doc(reservationId);
+        if (soldOut.size > 0 && !options.allowOversell) {
+          throw new SoldOutError(Array.from(soldOut.values()));
+        }
 
-      batch.set(reservationRef, {
-        id: reservationId,
-        tenantId,
-        orderId,
-        items: reservationItems,
-        status: 'active',
-        createdAt: admin.firestore.FieldValue.serverTimestamp(),
-        expiresAt: new Date(Date.now() + RESERVATION_TIMEOUT).toISOString()
-      });
+        for (const product of reservedProducts) {
+          transaction.update(this.getProductRef(tenantId, product.productId), {
+            'inventory.availableQuantity': admin.firestore.FieldValue.increment(-product.quantity),
+            'inventory.reservedQuantity': admin.firestore.FieldValue.increment(product.quantity),
+            updatedAt: admin.firestore.FieldValue.serverTimestamp()
+          });
+        }
 
-      // Commit transaction
-      await batch.commit();
+        for (const item of reservedItems) {
+          transaction.update(this.getInventoryRef(tenantId, item.itemId), {
+            availableQuantity: admin.firestore.FieldValue.increment(-item.quantity),
+            lastUpdated: admin.firestore.FieldValue.serverTimestamp()
+          });
+        }
 
-      // Set timeout to release reservation
-      this.scheduleReservationRelease(reservationId, RESERVATION_TIMEOUT);
+        transaction.set(reservationRef, {
+          id: reservationRef.id,
+          tenantId,
+          orderId,
+          products: reservedProducts,
+          items: reservedItems,
+          ...(soldOut.size > 0 ? { oversold: Array.from(soldOut.values()) } : {}),
+          status: 'active',
+          createdAt: admin.firestore.FieldValue.serverTimestamp()
+        });
 
-      return {
-        reservationId,
-        items: reservationItems,
-        expiresAt: new Date(Date.now() + RESERVATION_TIMEOUT).toISOString()
-      };
+        return {
+          reservationId: reservationRef.id,
+          products: reservedProducts,
+          items: reservedItems,
+          ...(soldOut.size > 0 ? { oversold: Array.from(soldOut.values()) } : {})
+        };
+      });
+
+      return result;
     } catch (error) {
-      logger.error('Error reserving inventory items:', error);
+      if (!(error instanceof SoldOutError)) {
+        logger.error('Error reserving inventory items:', error);
+      }
       throw error;
     }
   }
 
   /**
    * Consume reserved inventory items
+   *
+   * Turns the reservation of an order into actual stock movements. Does
+   * nothing if the order has no active reservation.
    */
   async consumeReservedItems(tenantId: string, orderId: string): Promise<void> {
     try {
-      // Find reservation
-      const reservationSnapshot = await this.firestore
-        .collection(RESERVATIONS_COLLECTION)
-        .where('orderId', '==', orderId)
-        .where('status', '==', 'active')
-        .limit(1)
-        .get();
+      const reservationRef = this.getReservationRef(tenantId, orderId);
 
-      if (reservationSnapshot.empty) {
-        throw new Error('No active reservation found for order');
-      }
+      const reservation = await this.firestore.runTransaction(async (transaction) => {
+        const reservationDoc = await transaction.get(reservationRef);
+        if (!reservationDoc.exists || reservationDoc.get('status') !== 'active') {
+          return null;
+        }
 
-      const reservation = reservationSnapshot.docs[0].data();
-      const batch = this.firestore.batch();
+        const data = reservationDoc.data()!;
 
-      // Consume each item
-      for (const item of reservation.items) {
-        const inventoryRef = this.firestore
-          .collection(INVENTORY_COLLECTION)
-          .doc(`${tenantId}_${item.itemId}`);
+        for (const product of data.products || []) {
+          transaction.update(this.getProductRef(tenantId, product.productId), {
+            'inventory.quantity': admin.firestore.FieldValue.increment(-product.quantity),
+            'inventory.reservedQuantity': admin.firestore.FieldValue.increment(-product.quantity),
+            updatedAt: admin.firestore.FieldValue.serverTimestamp()
+          });
+        }
 
-        // Update quantity
-        batch.update(inventoryRef, {
-          quantity: admin.firestore.FieldValue.increment(-item.quantity),
-          lastUpdated: admin.firestore.FieldValue.serverTimestamp()
-        });
+        for (const item of data.items || []) {
+          transaction.update(this.getInventoryRef(tenantId, item.itemId), {
+            quantity: admin.firestore.FieldValue.increment(-item.quantity),
+            lastUpdated: admin.firestore.FieldValue.serverTimestamp()
+          });
 
-        // Record transaction
-        const transactionRef = this.firestore
-          .collection(TRANSACTIONS_COLLECTION)
-          .doc();
+          // Record transaction
+          const transactionRef = this.firestore
+            .collection(TRANSACTIONS_COLLECTION)
+            .doc();
+
+          transaction.set(transactionRef, {
+            id: transactionRef.id,
+            tenantId,
+            itemId: item.itemId,
+            type: TRANSACTION_TYPES.SALE,
+            quantity: -item.quantity,
+            unit: item.unit,
+            orderId,
+            timestamp: admin.firestore.FieldValue.serverTimestamp()
+          });
+        }
 
-        batch.set(transactionRef, {
-          id: transactionRef.id,
-          tenantId,
-          itemId: item.itemId,
-          type: TRANSACTION_TYPES.SALE,
-          quantity: -item.quantity,
-          unit: item.unit,
-          orderId,
-          timestamp: admin.firestore.FieldValue.serverTimestamp()
+        transaction.update(reservationRef, {
+          status: 'consumed',
+          consumedAt: admin.firestore.FieldValue.serverTimestamp()
         });
-      }
 
-      // Update reservation status
-      batch.update(reservationSnapshot.docs[0].ref, {
-        status: 'consumed',
-        consumedAt: admin.firestore.FieldValue.serverTimestamp()
+        return data;
       });
 
-      await batch.commit();
+      if (!reservation) {
+        logger.info('No active inventory reservation to consume', { tenantId, orderId });
+        return;
+      }
 
       // Check for low stock alerts
-      await this.checkLowStockAlerts(tenantId, reservation.items);
+      await this.checkLowStockAlerts(tenantId, reservation.items || []);
 
     } catch (error) {
       logger.error('Error consuming reserved items:', error);
@@ -338,48 +502,84 @@ export default class InventoryService {
    */
   async releaseReservedItems(tenantId: string, orderId: string): Promise<void> {
     try {
-      // Find reservation
-      const reservationSnapshot = await this.firestore
-        .collection(RESERVATIONS_COLLECTION)
-        .where('orderId', '==', orderId)
-        .where('status', '==', 'active')
-        .limit(1)
-        .get();
+      const reservationRef = this.getReservationRef(tenantId, orderId);
 
-      if (reservationSnapshot.empty) {
-        return; // No active reservation to release
-      }
+      await this.firestore.runTransaction(async (transaction) => {
+        const reservationDoc = await transaction.get(reservationRef);
+        if (!reservationDoc.exists || reservationDoc.get('status') !== 'active') {
+          return; // No active reservation to release
+        }
 
-      const reservation = reservationSnapshot.docs[0].data();
-      const batch = this.firestore.batch();
+        const data = reservationDoc.data()!;
 
-      // Release each item
-      for (const item of reservation.items) {
-        const inventoryRef = this.firestore
-          .collection(INVENTORY_COLLECTION)
-          .doc(`${tenantId}_${item.itemId}`);
+        for (const product of data.products || []) {
+          transaction.update(this.getProductRef(tenantId, product.productId), {
+            'inventory.availableQuantity': admin.firestore.FieldValue.increment(product.quantity),
+            'inventory.reservedQuantity': admin.firestore.FieldValue.increment(-product.quantity),
+            updatedAt: admin.firestore.FieldValue.serverTimestamp()
+          });
+        }
 
-        // Restore available quantity
-        batch.update(inventoryRef, {
-          availableQuantity: admin.firestore.FieldValue.increment(item.quantity),
-          lastUpdated: admin.firestore.FieldValue.serverTimestamp()
-        });
-      }
+        for (const item of data.items || []) {
+          // Restore available quantity
+          transaction.update(this.getInventoryRef(tenantId, item.itemId), {
+            availableQuantity: admin.firestore.FieldValue.increment(item.quantity),
+            lastUpdated: admin.firestore.FieldValue.serverTimestamp()
+          });
+        }
 
-      // Update reservation status
-      batch.update(reservationSnapshot.docs[0].ref, {
-        status: 'released',
-        releasedAt: admin.firestore.FieldValue.serverTimestamp()
+        transaction.update(reservationRef, {
+          status: 'released',
+          releasedAt: admin.firestore.FieldValue.serverTimestamp()
+        });
       });
 
-      await batch.commit();
-
     } catch (error) {
       logger.error('Error releasing reserved items:', error);
       throw error;
     }
   }
 
+  /**
+   * Release active reservations of orders that will not use them
+   *
+   * Safety net for orders whose lifecycle trigger never released the stock,
+   * e.g. abandoned payments or order creation failing after reserving.
+   * @returns Number of released reservations
+   */
+  async releaseStaleReservations(now: Date = new Date(), limit: number = 200): Promise<number> {
+    // Young reservations belong to orders still being placed
+    const createdBefore = new Date(now.getTime() - (STALE_RESERVATION_MIN_AGE_MINUTES * 60 * 1000));
+    const snapshot = await this.firestore
+      .collection(RESERVATIONS_COLLECTION)
+      .where('status', '==', 'active')
+      .where('createdAt', '<=', createdBefore)
+      .orderBy('createdAt')
+      .limit(limit)
+      .get();
+
+    let released = 0;
+    for (const doc of snapshot.docs) {
+      const { tenantId, orderId } = doc.data() as { tenantId: string; orderId: string };
+      const orderDoc = await this.firestore
+        .collection('tenants')
+        .doc(tenantId)
+        .collection('orders')
+        .doc(orderId)
+        .get();
+
+      if (!isReservationStale(orderDoc.exists ? orderDoc.data() as Order : null, now)) {
+        continue;
+      }
+
+      await this.releaseReservedItems(tenantId, orderId);
+      released += 1;
+    }
+
+    logger.info('Stale inventory reservations released', { checked: snapshot.size, released });
+    return released;
+  }
+
   /**
    * Update inventory quantity
    */
@@ -490,6 +690,66 @@ export default class InventoryService {
     }
   }
 
+  /**
+   * Calculate the food cost of a dish from its recipe
+   *
+   * Explodes the recipe down to inventory items, prices them with their
+   * unit cost and compares the result with the net selling price.
+   */
+  async getDishCosting(
+    tenantId: string,
+    productId: string,
+    consumption: ConsumptionType = 'takeaway'
+  ): Promise<DishCosting> {
+    try {
+      const [productDoc, recipes] = await Promise.all([
+        this.getProductRef(tenantId, productId).get(),
+        this.getRecipes(tenantId, [productId])
+      ]);
+
+      if (!productDoc.exists) {
+        throw new NotFoundError('Product', productId);
+      }
+      if (!recipes.has(productId)) {
+        throw new NotFoundError('Recipe', productId);
+      }
+
+      const itemIds = explodeRecipe(productId, 1, 'Stk', recipes).map((ingredient) => ingredient.itemId);
+      const itemDocs = itemIds.length > 0
+        ? await this.firestore.getAll(...itemIds.map((itemId) => this.getInventoryRef(tenantId, itemId)))
+        : [];
+
+      const items: Map<string, { unit: string; unitCost?: number }> = new Map();
+      itemDocs.forEach((doc, index) => {
+        if (doc.exists) {
+          items.set(itemIds[index], { unit: doc.get('unit'), unitCost: doc.get('unitCost') });
+        }
+      });
+
+      const recipeCost = calculateRecipeCost(productId, recipes, items);
+      const pricing = productDoc.get('pricing') || {};
+
+      return {
+        productId,
+        name: productDoc.get('info.name') || recipes.get(productId)!.name,
+        ...recipeCost,
+        ...calculateFoodCost(
+          {
+            basePrice: pricing.basePrice || 0,
+            taxRate: pricing.taxRate,
+            taxRates: pricing.taxRates,
+            taxIncluded: pricing.taxIncluded !== false
+          },
+          recipeCost.cost,
+          consumption
+        )
+      };
+    } catch (error) {
+      logger.error('Error calculating dish costing:', error);
+      throw error;
+    }
+  }
+
   /**
    * Get inventory forecast
    */
@@ -686,47 +946,37 @@ export default class InventoryService {
   // ============================================================================
 
   /**
-   * Get required ingredients for order items
+   * Get required ingredients for order items, in base units (g, ml, Stk)
    */
   private async getRequiredIngredients(
     tenantId: string,
     orderItems: OrderItem[]
   ): Promise<RecipeIngredient[]> {
     const ingredients: Map<string, RecipeIngredient> = new Map();
+    const recipes = await this.getRecipes(tenantId, orderItems.map((item) => item.productId));
 
     for (const orderItem of orderItems) {
-      // Get recipe for product
-      const recipeDoc = await this.firestore
-        .collection(RECIPES_COLLECTION)
-        .doc(`${tenantId}_${orderItem.productId}`)
-        .get();
-
-      if (!recipeDoc.exists) {
+      if (!recipes.has(orderItem.productId)) {
         // If no recipe, assume direct product consumption
         ingredients.set(orderItem.productId, {
           itemId: orderItem.productId,
           name: orderItem.name,
           requiredQuantity: orderItem.quantity,
-          unit: 'piece'
+          unit: 'Stk'
         });
         continue;
       }
 
-      const recipe = recipeDoc.data();
-      
-      // Calculate required quantities
-      for (const ingredient of recipe.ingredients) {
-        const key = ingredient.itemId;
-        const requiredQty = ingredient.quantity * orderItem.quantity;
-
-        if (ingredients.has(key)) {
-          const existing = ingredients.get(key)!;
-          existing.requiredQuantity += requiredQty;
+      for (const ingredient of explodeRecipe(orderItem.productId, orderItem.quantity, 'Stk', recipes)) {
+        const existing = ingredients.get(ingredient.itemId);
+
+        if (existing) {
+          existing.requiredQuantity += ingredient.quantity;
         } else {
-          ingredients.set(key, {
+          ingredients.set(ingredient.itemId, {
             itemId: ingredient.itemId,
             name: ingredient.name,
-            requiredQuantity: requiredQty,
+            requiredQuantity: ingredient.quantity,
             unit: ingredient.unit
           });
         }
@@ -736,6 +986,68 @@ export default class InventoryService {
     return Array.from(ingredients.values());
   }
 
+  /**
+   * Load recipes together with all of their sub-recipes
+   */
+  async getRecipes(tenantId: string, recipeIds: string[]): Promise<Map<string, Recipe>> {
+    const recipes: Map<string, Recipe> = new Map();
+    let pending = Array.from(new Set(recipeIds));
+
+    while (pending.length > 0) {
+      const ids = pending;
+      const docs = await this.firestore.getAll(
+        ...ids.map((recipeId) => this.firestore
+          .collection(RECIPES_COLLECTION)
+          .doc(`${tenantId}_${recipeId}`))
+      );
+
+      const next: Set<string> = new Set();
+      docs.forEach((doc, index) => {
+        if (!doc.exists) {
+          return;
+        }
+
+        const recipe = toRecipe(ids[index], tenantId, doc.data()!);
+        recipes.set(recipe.id, recipe);
+
+        getSubRecipeIds(recipe)
+          .filter((recipeId) => !recipes.has(recipeId))
+          .forEach((recipeId) => next.add(recipeId));
+      });
+
+      pending = Array.from(next).filter((recipeId) => !recipes.has(recipeId));
+    }
+
+    return recipes;
+  }
+
+  /**
+   * Convert a recipe quantity into the unit an item is stocked in
+   *
+   * Returns null if the units do not match, e.g. a recipe in g for an item
+   * counted in Stk; such ingredients are logged and not tracked.
+   */
+  private toStockUnit(
+    tenantId: string,
+    itemId: string,
+    quantity: number,
+    unit: string,
+    stockUnit: string | undefined
+  ): number | null {
+    try {
+      return convertQuantity(quantity, unit, stockUnit || unit);
+    } catch (error) {
+      logger.warn('Recipe unit does not match inventory unit', {
+        tenantId,
+        itemId,
+        unit,
+        stockUnit,
+        error
+      });
+      return null;
+    }
+  }
+
   /**
    * Get inventory item
    */
@@ -752,26 +1064,77 @@ export default class InventoryService {
   }
 
   /**
-   * Schedule reservation release
+   * Collect product and ingredient quantities needed for order items
    */
-  private scheduleReservationRelease(reservationId: string, timeout: number): void {
-    setTimeout(async () => {
+  private async getReservationPlan(
+    tenantId: string,
+    orderItems: OrderItem[]
+  ): Promise<ReservationPlan> {
+    const plan: ReservationPlan = { products: new Map(), ingredients: new Map() };
+
+    // Deal components and add-on products consume stock of their own
+    for (const stockItem of orderItems.flatMap(getStockItems)) {
+      const product = plan.products.get(stockItem.productId);
+      if (product) {
+        product.quantity += stockItem.quantity;
+        continue;
+      }
+      plan.products.set(stockItem.productId, {
+        name: stockItem.name,
+        quantity: stockItem.quantity
+      });
+    }
+
+    const recipes = await this.getRecipes(tenantId, Array.from(plan.products.keys()));
+
+    for (const [productId, product] of plan.products) {
+      if (!recipes.has(productId)) {
+        continue;
+      }
+
+      let requirements: IngredientRequirement[];
       try {
-        const reservationDoc = await this.firestore
-          .collection(RESERVATIONS_COLLECTION)
-          .doc(reservationId)
-          .get();
-
-        if (reservationDoc.exists && reservationDoc.data()?.status === 'active') {
-          await this.releaseReservedItems(
-            reservationDoc.data()!.tenantId,
-            reservationDoc.data()!.orderId
-          );
-        }
+        requirements = explodeRecipe(productId, 1, 'Stk', recipes);
       } catch (error) {
-        logger.error('Error releasing expired reservation:', error);
+        // A broken recipe must not stop sales; its ingredients are not tracked
+        logger.error('Invalid recipe, ingredients not reserved', { tenantId, productId, error });
+        continue;
+      }
+
+      for (const ingredient of requirements) {
+        const demand = plan.ingredients.get(ingredient.itemId) || {
+          quantity: 0,
+          unit: ingredient.unit,
+          usage: new Map<string, number>()
+        };
+
+        demand.quantity += ingredient.quantity * product.quantity;
+        demand.usage.set(productId, (demand.usage.get(productId) || 0) + ingredient.quantity);
+        plan.ingredients.set(ingredient.itemId, demand);
       }
-    }, timeout);
+    }
+
+    return plan;
+  }
+
+  private getReservationRef(tenantId: string, orderId: string): admin.firestore.DocumentReference {
+    return this.firestore
+      .collection(RESERVATIONS_COLLECTION)
+      .doc(`${tenantId}_${orderId}`);
+  }
+
+  private getInventoryRef(tenantId: string, itemId: string): admin.firestore.DocumentReference {
+    return this.firestore
+      .collection(INVENTORY_COLLECTION)
+      .doc(`${tenantId}_${itemId}`);
+  }
+
+  private getProductRef(tenantId: string, productId: string): admin.firestore.DocumentReference {
+    return this.firestore
+      .collection('tenants')
+      .doc(tenantId)
+      .collection('products')
+      .doc(productId);
   }
 
   /**
@@ -0,0 +1,562 @@
+/**
+ * EATECH - Invoice Service
+ * Version: 1.0.0
+ * Description: Invoices paid by bank transfer with Swiss QR-bill
+ * Author: EATECH Development Team
+ * Created: 2025-01-09
+ * File Path: /functions/src/services/InvoiceService.ts
+ *
+ * Features:
+ * - Invoice listing for orders and catering events
+ * - QR reference (QR-IBAN) or creditor reference (IBAN) per invoice
+ * - Invoice PDF with QR-bill payment part
+ * - Payment matching from camt.054 credit notifications
+ */
+
+import * as admin from 'firebase-admin';
+import PDFDocument from 'pdfkit';
+
+import { generateSignedUrl, getStorageFile } from '../config/firebase.config';
+import { Invoice, InvoiceBankPayment } from '../types/payment.types';
+import { BillingSettings } from '../types/tenant.types';
+import { BusinessError, ErrorCode, NotFoundError } from '../utils/errorHandler';
+import { logger } from '../utils/logger';
+import {
+  CamtCredit,
+  QrBillAddress,
+  QrBillData,
+  createQrReference,
+  createScorReference,
+  formatAmount,
+  parseCamt054,
+  renderQrBill,
+} from '../utils/qrBillUtils';
+
+// ============================================================================
+// TYPES & INTERFACES
+// ============================================================================
+
+export interface InvoiceListOptions {
+  page: number;
+  limit: number;
+  filters?: {
+    status?: string;
+    customerId?: string;
+  };
+}
+
+export interface InvoicePdf {
+  url: string;
+  filename: string;
+}
+
+export interface ReconciliationResult {
+  matched: Array<{
+    invoiceId: string;
+    invoiceNumber: string;
+    reference: string;
+    amount: number;
+    status: Invoice['status'];
+  }>;
+  duplicates: CamtCredit[];
+  unmatched: CamtCredit[];
+}
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+const PDF_URL_EXPIRY_MINUTES = 60;
+
+// QR-bill payment part height in points (105 mm)
+const PAYMENT_PART_HEIGHT = (105 * 72) / 25.4;
+
+const QR_CURRENCIES = ['CHF', 'EUR'];
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+const toDate = (value: any): Date | null => {
+  if (!value) {
+    return null;
+  }
+  return typeof value.toDate === 'function' ? (value.toDate() as Date) : new Date(value as string);
+};
+
+const formatDate = (value: any): string => {
+  const date = toDate(value);
+  return date ? date.toLocaleDateString('de-CH', { timeZone: 'Europe/Zurich' }) : '-';
+};
+
+const roundAmount = (amount: number): number => Math.round(amount * 100) / 100;
+
+// ============================================================================
+// SERVICE CLASS
+// ============================================================================
+
+export default class InvoiceService {
+  private firestore: admin.firestore.Firestore;
+
+  constructor() {
+    this.firestore = admin.firestore();
+  }
+
+  private invoices(tenantId: string): admin.firestore.CollectionReference {
+    return this.firestore
+      .collection('tenants')
+      .doc(tenantId)
+      .collection('invoices');
+  }
+
+  // ============================================================================
+  // QUERIES
+  // ============================================================================
+
+  /**
+   * List invoices of a tenant, newest first
+   */
+  async listInvoices(tenantId: string, options: InvoiceListOptions) {
+    let query: admin.firestore.Query = this.invoices(tenantId);
+
+    if (options.filters?.status) {
+      query = query.where('status', '==', options.filters.status);
+    }
+    if (options.filters?.customerId) {
+      query = query.where('customerId', '==', options.filters.customerId);
+    }
+
+    const [countSnapshot, snapshot] = await Promise.all([
+      query.count().get(),
+      query
+        .orderBy('createdAt', 'desc')
+        .offset((options.page - 1) * options.limit)
+        .limit(options.limit)
+        .get(),
+    ]);
+    const total = countSnapshot.data().count;
+
+    return {
+      data: snapshot.docs.map((doc) => ({ ...doc.data(), id: doc.id }) as Invoice),
+      pagination: {
+        page: options.page,
+        limit: options.limit,
+        total,
+        pages: Math.ceil(total / options.limit),
+      },
+    };
+  }
+
+  /**
+   * Get a single invoice
+   */
+  async getInvoice(invoiceId: string, tenantId: string): Promise<Invoice> {
+    const doc = await this.invoices(tenantId)
+      .doc(invoiceId)
+      .get();
+
+    if (!doc.exists) {
+      throw new NotFoundError('Invoice', invoiceId);
+    }
+
+    return { ...doc.data(), id: doc.id } as Invoice;
+  }
+
+  // ============================================================================
+  // PAYMENT REFERENCES
+  // ============================================================================
+
+  /**
+   * Assign the QR-bill reference of an invoice once
+   *
+   * Tenants with a QR-IBAN get a QR reference from a running number, all
+   * others a creditor reference built from the invoice number.
+   */
+  async ensurePaymentReference(invoiceId: string, tenantId: string): Promise<Invoice> {
+    const tenantRef = this.firestore.collection('tenants').doc(tenantId);
+    const invoiceRef = this.invoices(tenantId).doc(invoiceId);
+    const counterRef = tenantRef.collection('counters').doc('paymentReferences');
+
+    return this.firestore.runTransaction(async (transaction) => {
+      const [invoiceDoc, tenantDoc, counterDoc] = await Promise.all([
+        transaction.get(invoiceRef),
+        transaction.get(tenantRef),
+        transaction.get(counterRef),
+      ]);
+
+      if (!invoiceDoc.exists) {
+        throw new NotFoundError('Invoice', invoiceId);
+      }
+
+      const invoice = { ...invoiceDoc.data(), id: invoiceDoc.id } as Invoice;
+      if (invoice.paymentReference) {
+        return invoice;
+      }
+
+      const billing = this.getBillingSettings(tenantDoc);
+      let reference: string;
+
+      if (billing.qrIban) {
+        const sequence = ((counterDoc.get('next') as number) || 0) + 1;
+        reference = createQrReference(sequence, billing.qrCustomerId || '');
+        transaction.set(counterRef, { next: sequence }, { merge: true });
+      } else {
+        // Creditor references hold at most 21 characters
+        const number = invoice.invoiceNumber.replace(/[^0-9A-Za-z]/g, '').slice(-21);
+        reference = createScorReference(number);
+      }
+
+      const referenceType = billing.qrIban ? 'QRR' : 'SCOR';
+      transaction.update(invoiceRef, {
+        paymentReference: reference,
+        referenceType,
+        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+
+      return { ...invoice, paymentReference: reference, referenceType };
+    });
+  }
+
+  private getBillingSettings(tenantDoc: admin.firestore.DocumentSnapshot): BillingSettings {
+    if (!tenantDoc.exists) {
+      throw new NotFoundError('Tenant', tenantDoc.id);
+    }
+
+    const billing = (tenantDoc.get('settings.billing') || {}) as BillingSettings;
+    if (!billing.qrIban && !billing.iban) {
+      throw new BusinessError(
+        'Bank account for QR-bills is not configured',
+        ErrorCode.BILLING_NOT_CONFIGURED,
+        { tenantId: tenantDoc.id },
+      );
+    }
+
+    return billing;
+  }
+
+  // ============================================================================
+  // PDF
+  // ============================================================================
+
+  /**
+   * Render the invoice with QR-bill payment part and return a signed URL
+   */
+  async getInvoicePDF(invoiceId: string, tenantId: string): Promise<InvoicePdf> {
+    let invoice = await this.getInvoice(invoiceId, tenantId);
+    const payable = invoice.status === 'open' || invoice.status === 'draft';
+
+    if (payable && QR_CURRENCIES.includes(invoice.currency)) {
+      invoice = await this.ensurePaymentReference(invoiceId, tenantId);
+    }
+
+    const tenantDoc = await this.firestore
+      .collection('tenants')
+      .doc(tenantId)
+      .get();
+    if (!tenantDoc.exists) {
+      throw new NotFoundError('Tenant', tenantId);
+    }
+
+    const creditor = this.getCreditorAddress(tenantDoc);
+    const debtor = await this.getDebtorAddress(tenantId, invoice.customerId);
+    const qrBill = invoice.paymentReference && invoice.amountDue > 0
+      ? this.buildQrBillData(invoice, tenantDoc, creditor, debtor)
+      : null;
+
+    const buffer = await this.renderInvoice(invoice, creditor, debtor, qrBill);
+    const filename = `${invoice.invoiceNumber}.pdf`;
+    const path = `invoices/${tenantId}/${invoiceId}.pdf`;
+
+    await getStorageFile(path).save(buffer, {
+      metadata: {
+        contentType: 'application/pdf',
+        contentDisposition: `attachment; filename="${filename}"`,
+        metadata: { tenantId, invoiceId },
+      },
+    });
+
+    const url = await generateSignedUrl(path, PDF_URL_EXPIRY_MINUTES);
+
+    return { url, filename };
+  }
+
+  private getCreditorAddress(tenantDoc: admin.firestore.DocumentSnapshot): QrBillAddress {
+    const billing = (tenantDoc.get('settings.billing') || {}) as BillingSettings;
+    const address = billing.creditorAddress || tenantDoc.get('address') || {};
+
+    return {
+      name: billing.creditorName || (tenantDoc.get('name') as string),
+      street: address.street,
+      buildingNumber: address.buildingNumber,
+      postalCode: address.postalCode,
+      city: address.city,
+      country: address.country || 'CH',
+    };
+  }
+
+  private async getDebtorAddress(tenantId: string, customerId: string): Promise<QrBillAddress | undefined> {
+    if (!customerId) {
+      return undefined;
+    }
+
+    const doc = await this.firestore
+      .collection('tenants')
+      .doc(tenantId)
+      .collection('customers')
+      .doc(customerId)
+      .get();
+    if (!doc.exists) {
+      return undefined;
+    }
+
+    const addresses = (doc.get('addresses') || []) as any[];
+    const address = addresses.find((a) => a.type !== 'delivery' && a.isDefault)
+      || addresses.find((a) => a.type !== 'delivery');
+    if (!address) {
+      return undefined;
+    }
+
+    const profile = doc.get('profile') || {};
+    return {
+      name: address.company || profile.company || address.name || `${profile.firstName} ${profile.lastName}`,
+      street: address.street,
+      buildingNumber: address.streetNumber,
+      postalCode: address.postalCode,
+      city: address.city,
+      country: address.country || 'CH',
+    };
+  }
+
+  private buildQrBillData(
+    invoice: Invoice,
+    tenantDoc: admin.firestore.DocumentSnapshot,
+    creditor: QrBillAddress,
+    debtor?: QrBillAddress,
+  ): QrBillData {
+    const billing = this.getBillingSettings(tenantDoc);
+
+    return {
+      account: (invoice.referenceType === 'QRR' ? billing.qrIban : billing.iban) as string,
+      creditor,
+      debtor,
+      amount: roundAmount(invoice.amountDue),
+      currency: invoice.currency as QrBillData['currency'],
+      referenceType: invoice.referenceType || 'SCOR',
+      reference: invoice.paymentReference,
+      message: `Rechnung ${invoice.invoiceNumber}`,
+    };
+  }
+
+  private async renderInvoice(
+    invoice: Invoice,
+    creditor: QrBillAddress,
+    debtor: QrBillAddress | undefined,
+    qrBill: QrBillData | null,
+  ): Promise<Buffer> {
+    const doc = new PDFDocument({
+      size: 'A4',
+      margin: 50,
+      info: {
+        Title: `Rechnung ${invoice.invoiceNumber}`,
+        Author: creditor.name,
+      },
+    });
+
+    const chunks: Buffer[] = [];
+    doc.on('data', (chunk: Buffer) => chunks.push(chunk));
+    const finished = new Promise((resolve) => doc.on('end', resolve));
+
+    // Sender and recipient
+    doc.font('Helvetica-Bold').fontSize(12)
+      .text(creditor.name, 50, 50);
+    doc.font('Helvetica').fontSize(10)
+      .text([creditor.street, creditor.buildingNumber].filter(Boolean).join(' '))
+      .text(`${creditor.postalCode} ${creditor.city}`);
+
+    if (debtor) {
+      doc.text(debtor.name, 330, 130)
+        .text([debtor.street, debtor.buildingNumber].filter(Boolean).join(' '))
+        .text(`${debtor.postalCode} ${debtor.city}`);
+    }
+
+    // Invoice details
+    doc.font('Helvetica-Bold').fontSize(16)
+      .text(`Rechnung ${invoice.invoiceNumber}`, 50, 220);
+    doc.font('Helvetica').fontSize(10)
+      .moveDown(0.5)
+      .text(`Rechnungsdatum: ${formatDate(invoice.createdAt)}`)
+      .text(`Zahlbar bis: ${formatDate(invoice.dueDate)}`);
+    if (invoice.paymentTerms) {
+      doc.text(invoice.paymentTerms);
+    }
+
+    // Items
+    const columns = { description: 50, quantity: 330, unitPrice: 390, amount: 470 };
+    let y = doc.y + 25;
+
+    doc.font('Helvetica-Bold')
+      .text('Beschreibung', columns.description, y)
+      .text('Menge', columns.quantity, y)
+      .text('Preis', columns.unitPrice, y)
+      .text('Betrag', columns.amount, y, { width: 75, align: 'right' });
+    doc.moveTo(50, y + 14).lineTo(545, y + 14)
+      .stroke();
+    doc.font('Helvetica');
+    y += 22;
+
+    for (const item of invoice.items || []) {
+      if (y > doc.page.height - 80) {
+        doc.addPage();
+        y = 50;
+      }
+
+      doc.text(item.description, columns.description, y, { width: 270 })
+        .text(String(item.quantity), columns.quantity, y)
+        .text(formatAmount(item.unitPrice), columns.unitPrice, y)
+        .text(formatAmount(item.amount), columns.amount, y, { width: 75, align: 'right' });
+      y = Math.max(doc.y, y + 14) + 4;
+    }
+
+    // Totals
+    doc.moveTo(330, y).lineTo(545, y)
+      .stroke();
+    y += 8;
+
+    const totals: Array<[string, number]> = [];
+    if (invoice.discount?.amount) {
+      totals.push(['Rabatt', -invoice.discount.amount]);
+    }
+    if (invoice.tax) {
+      totals.push(['MWST', invoice.tax]);
+    }
+    totals.push([`Total ${invoice.currency}`, invoice.amount]);
+    if (invoice.amountPaid > 0) {
+      totals.push(['Bereits bezahlt', -invoice.amountPaid]);
+      totals.push([`Offener Betrag ${invoice.currency}`, invoice.amountDue]);
+    }
+
+    for (const [label, amount] of totals) {
+      doc.text(label, 330, y)
+        .text(formatAmount(amount), columns.amount, y, { width: 75, align: 'right' });
+      y += 16;
+    }
+
+    if (invoice.notes) {
+      doc.text(invoice.notes, 50, y + 20, { width: 495 });
+    }
+
+    // The payment part needs the lowest 105 mm of a page
+    if (qrBill) {
+      if (doc.y > doc.page.height - PAYMENT_PART_HEIGHT - 20) {
+        doc.addPage();
+      }
+      renderQrBill(doc, qrBill);
+    }
+
+    doc.end();
+    await finished;
+
+    return Buffer.concat(chunks);
+  }
+
+  // ============================================================================
+  // RECONCILIATION
+  // ============================================================================
+
+  /**
+   * Match the credits of a camt.054 file to invoices by payment reference
+   *
+   * Credits already booked on an invoice (same bank reference) are reported
+   * as duplicates, so the same file can be imported twice.
+   */
+  async reconcileCamt054(tenantId: string, xml: string): Promise<ReconciliationResult> {
+    const credits = parseCamt054(xml);
+    const result: ReconciliationResult = { matched: [], duplicates: [], unmatched: [] };
+
+    for (const credit of credits) {
+      if (!credit.reference) {
+        result.unmatched.push(credit);
+        continue;
+      }
+
+      const snapshot = await this.invoices(tenantId)
+        .where('paymentReference', '==', credit.reference)
+        .limit(1)
+        .get();
+
+      if (snapshot.empty) {
+        result.unmatched.push(credit);
+        continue;
+      }
+
+      const invoiceRef = snapshot.docs[0].ref;
+      const invoiceCurrency = String(snapshot.docs[0].get('currency'));
+
+      // Amounts in another currency cannot settle the invoice
+      if (credit.currency !== invoiceCurrency) {
+        logger.warn('Bank payment currency differs from invoice', {
+          tenantId,
+          invoiceId: invoiceRef.id,
+          currency: credit.currency,
+          invoiceCurrency,
+        });
+        result.unmatched.push(credit);
+        continue;
+      }
+
+      const match = await this.firestore.runTransaction(async (transaction) => {
+        const doc = await transaction.get(invoiceRef);
+        const invoice = { ...doc.data(), id: doc.id } as Invoice;
+        const bankPayments = invoice.bankPayments || [];
+
+        if (credit.bankReference && bankPayments.some((p) => p.bankReference === credit.bankReference)) {
+          return null;
+        }
+
+        const amountPaid = roundAmount((invoice.amountPaid || 0) + credit.amount);
+        const amountDue = roundAmount(Math.max(invoice.amount - amountPaid, 0));
+        const status: Invoice['status'] = amountDue === 0 ? 'paid' : invoice.status;
+        const payment: InvoiceBankPayment = {
+          ...credit,
+          matchedAt: new Date(),
+        };
+        delete (payment as Partial<CamtCredit>).reference;
+
+        transaction.update(invoiceRef, {
+          amountPaid,
+          amountDue,
+          status,
+          bankPayments: admin.firestore.FieldValue.arrayUnion(payment),
+          ...(status === 'paid' && invoice.status !== 'paid'
+            ? { paidAt: admin.firestore.FieldValue.serverTimestamp() }
+            : {}),
+          updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+        });
+
+        return { invoice, status };
+      });
+
+      if (!match) {
+        result.duplicates.push(credit);
+        continue;
+      }
+
+      result.matched.push({
+        invoiceId: match.invoice.id,
+        invoiceNumber: match.invoice.invoiceNumber,
+        reference: credit.reference,
+        amount: credit.amount,
+        status: match.status,
+      });
+    }
+
+    logger.info('camt.054 reconciled', {
+      tenantId,
+      matched: result.matched.length,
+      duplicates: result.duplicates.length,
+      unmatched: result.unmatched.length,
+    });
+
+    return result;
+  }
+}
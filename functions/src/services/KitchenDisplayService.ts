@@ -15,6 +15,7 @@
  * - Performance metrics
  * - Alert management
  * - Multi-station support
+ * - Printed bons on station printers
  */
 
 import * as admin from 'firebase-admin';
@@ -27,8 +28,12 @@ import {
   KitchenMetrics,
   KitchenAlert
 } from '../types/kitchen.types';
-import { OrderStatus } from '../types/order.types';
+import { Order, OrderStatus, OrderWorkflowRole } from '../types/order.types';
+import { KitchenOrder, toKitchenOrder } from '../utils/kitchenTicketUtils';
 import { logger } from '../utils/logger';
+import { getNextStatuses } from '../utils/orderWorkflow';
+import OrderWorkflowService from './OrderWorkflowService';
+import PrinterService from './PrinterService';
 import { v4 as uuidv4 } from 'uuid';
 import { 
   differenceInMinutes,
@@ -101,7 +106,10 @@ const STATIONS_COLLECTION = 'kitchen_stations';
 const ALERTS_COLLECTION = 'kitchen_alerts';
 const METRICS_COLLECTION = 'kitchen_metrics';
 
-const TICKET_STATUS = {
+// gRPC status of a create() on an existing document
+const ALREADY_EXISTS = 6;
+
+export const TICKET_STATUS = {
   NEW: 'new',
   VIEWED: 'viewed',
   IN_PROGRESS: 'in_progress',
@@ -110,6 +118,15 @@ const TICKET_STATUS = {
   VOID: 'void'
 };
 
+// Order status a ticket status moves the order to. Served tickets only
+// advance the order where the workflow has a matching step (delivery orders
+// are handed to the driver instead).
+const TICKET_ORDER_STATUSES: Record<string, { statuses: OrderStatus[]; optional?: boolean }> = {
+  [TICKET_STATUS.IN_PROGRESS]: { statuses: ['preparing'] },
+  [TICKET_STATUS.READY]: { statuses: ['ready'] },
+  [TICKET_STATUS.SERVED]: { statuses: ['delivered', 'completed'], optional: true }
+};
+
 const PRIORITY_WEIGHTS = {
   waitTime: 0.4,
   orderType: 0.2,
@@ -152,10 +169,14 @@ const ALERT_THRESHOLDS = {
 export default class KitchenDisplayService {
   private db: admin.database.Database;
   private firestore: admin.firestore.Firestore;
+  private orderWorkflowService: OrderWorkflowService;
+  private printerService: PrinterService;
 
   constructor() {
     this.db = admin.database();
     this.firestore = admin.firestore();
+    this.orderWorkflowService = new OrderWorkflowService();
+    this.printerService = new PrinterService();
   }
 
   /**
@@ -163,26 +184,10 @@ export default class KitchenDisplayService {
    */
   async createTicket(
     tenantId: string,
-    orderData: {
-      orderId: string;
-      orderNumber: string;
-      orderType: 'dineIn' | 'pickup' | 'delivery';
-      customerName: string;
-      customerType?: string;
-      items: Array<{
-        id: string;
-        name: string;
-        quantity: number;
-        modifiers?: string[];
-        notes?: string;
-        category?: string;
-      }>;
-      notes?: string;
-      scheduledTime?: string;
-    }
+    orderData: KitchenOrder,
+    ticketId: string = uuidv4()
   ): Promise<KitchenTicket> {
     try {
-      const ticketId = uuidv4();
       const now = new Date();
 
       // Route items to stations
@@ -215,6 +220,7 @@ export default class KitchenDisplayService {
         currentStep: 0,
         customerName: orderData.customerName,
         notes: orderData.notes,
+        scheduledTime: orderData.scheduledTime || null,
         createdAt: now.toISOString(),
         estimatedCompletionTime: addMinutes(now, routing.totalTime).toISOString(),
         timings: {
@@ -231,11 +237,11 @@ export default class KitchenDisplayService {
         }
       };
 
-      // Save ticket
+      // Save ticket, fails if a ticket with this id exists
       await this.firestore
         .collection(TICKETS_COLLECTION)
         .doc(ticketId)
-        .set(ticket);
+        .create(ticket);
 
       // Update real-time queue
       await this.updateRealtimeQueue(tenantId, ticket);
@@ -243,6 +249,10 @@ export default class KitchenDisplayService {
       // Notify stations
       await this.notifyStations(ticket);
 
+      // Print bons on station printers, the display works without them
+      await this.printerService.printKitchenTicket(tenantId, ticket)
+        .catch((error) => logger.error('Error printing kitchen ticket:', error));
+
       // Check for alerts
       await this.checkKitchenAlerts(tenantId);
 
@@ -254,6 +264,39 @@ export default class KitchenDisplayService {
     }
   }
 
+  /**
+   * Create the ticket of a confirmed order
+   * The ticket id is derived from the order, so a retried trigger does not
+   * put the order on the display twice.
+   * @returns The ticket, null if the order already has one
+   */
+  async createTicketForOrder(tenantId: string, orderId: string, order: Order): Promise<KitchenTicket | null> {
+    try {
+      return await this.createTicket(tenantId, toKitchenOrder(orderId, order), `${tenantId}_${orderId}`);
+    } catch (error) {
+      if ((error as { code?: number }).code === ALREADY_EXISTS) {
+        logger.info(`Kitchen ticket for order ${orderId} exists already`);
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Print a ticket again, e.g. after a paper jam
+   */
+  async reprintTicket(tenantId: string, ticketId: string) {
+    const ticket = (await this.firestore
+      .collection(TICKETS_COLLECTION)
+      .doc(ticketId)
+      .get()).data() as KitchenTicket;
+    if (!ticket || ticket.tenantId !== tenantId) {
+      throw new Error('Ticket not found');
+    }
+
+    return this.printerService.printKitchenTicket(tenantId, ticket, { reprint: true });
+  }
+
   /**
    * Update ticket status
    */
@@ -264,6 +307,8 @@ export default class KitchenDisplayService {
     metadata?: {
       stationId?: string;
       userId?: string;
+      userName?: string;
+      role?: OrderWorkflowRole;
       notes?: string;
     }
   ): Promise<void> {
@@ -273,10 +318,13 @@ export default class KitchenDisplayService {
         .doc(ticketId);
 
       const ticket = (await ticketRef.get()).data() as KitchenTicket;
-      if (!ticket) {
+      if (!ticket || ticket.tenantId !== tenantId) {
         throw new Error('Ticket not found');
       }
 
+      // The order workflow decides first, the ticket follows
+      await this.syncOrderStatus(tenantId, ticket, newStatus, metadata);
+
       const updates: any = {
         status: newStatus,
         lastUpdated: admin.firestore.FieldValue.serverTimestamp()
@@ -887,9 +935,61 @@ export default class KitchenDisplayService {
       customerName: ticket.customerName,
       completedAt: admin.database.ServerValue.TIMESTAMP
     });
+  }
+
+  /**
+   * Move the order of a ticket along the tenant workflow
+   *
+   * Throws OrderTransitionError if the workflow does not allow the step,
+   * e.g. an unpaid order at an event stand that requires prepayment.
+   */
+  private async syncOrderStatus(
+    tenantId: string,
+    ticket: KitchenTicket,
+    ticketStatus: string,
+    metadata?: { userId?: string; userName?: string; role?: OrderWorkflowRole }
+  ): Promise<void> {
+    const mapping = TICKET_ORDER_STATUSES[ticketStatus];
+    if (!mapping || !ticket.orderId) {
+      return;
+    }
+
+    const [workflow, orderDoc] = await Promise.all([
+      this.orderWorkflowService.getTenantWorkflow(tenantId),
+      this.firestore
+        .collection('tenants')
+        .doc(tenantId)
+        .collection('orders')
+        .doc(ticket.orderId)
+        .get()
+    ]);
+
+    if (!orderDoc.exists) {
+      return;
+    }
 
-    // Update order status
-    // This would trigger order status update in the main system
+    const current = orderDoc.get('status') as OrderStatus;
+    if (mapping.statuses.includes(current)) {
+      return;
+    }
+
+    const next = getNextStatuses(workflow, current);
+    const target = mapping.statuses.find(status => next.includes(status));
+    if (!target && mapping.optional) {
+      return;
+    }
+
+    await this.orderWorkflowService.transitionOrder(
+      tenantId,
+      ticket.orderId,
+      target || mapping.statuses[0],
+      {
+        uid: metadata?.userId || null,
+        role: metadata?.role || 'staff',
+        name: metadata?.userName
+      },
+      { source: 'kitchen' }
+    );
   }
 
   /**
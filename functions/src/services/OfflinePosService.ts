@@ -0,0 +1,403 @@
+/**
+ * EATECH - Offline POS Service
+ * Version: 1.0.0
+ * Description: Prepares POS devices for selling offline and reconciles their orders
+ * Author: EATECH Development Team
+ * Created: 2025-01-09
+ * File Path: /functions/src/services/OfflinePosService.ts
+ *
+ * Features:
+ * - Order number blocks per device from a tenant-wide counter
+ * - Versioned menu snapshots with prices and VAT rules
+ * - Idempotent upload of offline orders, paid in cash or on the card terminal
+ * - Stock taken for every sale, even beyond what was left
+ * - Reconciliation report with conflicts, payments and VAT
+ */
+
+import * as admin from 'firebase-admin';
+
+import {
+  OfflinePosOrder,
+  Order,
+  OrderItem,
+  PosConflict,
+  PosNumberBlock,
+  PosReconciliationReport,
+} from '../types/order.types';
+import { calculateVATBreakdown, VAT_RATES } from '../utils/calculationUtils';
+import { NotFoundError, ValidationError } from '../utils/errorHandler';
+import { logger } from '../utils/logger';
+import { getEstimatedPreparationTime } from '../utils/orderUtils';
+import {
+  createReconciliationReport,
+  findMenuConflicts,
+  formatPosOrderNumber,
+  isInNumberBlocks,
+  MAX_POS_NUMBER_BLOCK_SIZE,
+  POS_NUMBER_BLOCK_SIZE,
+  PosOrderResult,
+  pricePosOrder,
+  toSnapshotProduct,
+  validateOfflinePosOrder,
+} from '../utils/posUtils';
+import { ProductDocument } from '../utils/productOptionsUtils';
+
+import InventoryService from './InventoryService';
+
+// ============================================================================
+// TYPES & INTERFACES
+// ============================================================================
+
+export interface PosMenuSnapshot {
+  snapshotId: string;
+  createdAt: string;
+  currency: string;
+  /** Rates of products without their own */
+  defaultVatRates: { takeaway: number; onSite: number };
+  products: Array<ProductDocument & { id: string }>;
+}
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+const DEVICES_COLLECTION = 'pos_devices';
+const SNAPSHOTS_COLLECTION = 'pos_snapshots';
+const RECONCILIATIONS_COLLECTION = 'pos_reconciliations';
+const COUNTERS_COLLECTION = 'counters';
+const ORDER_NUMBER_COUNTER = 'pos_order_numbers';
+
+// Orders uploaded in one request; a device uploads in batches
+export const MAX_ORDERS_PER_RECONCILIATION = 100;
+
+// ============================================================================
+// SERVICE CLASS
+// ============================================================================
+
+export default class OfflinePosService {
+  private firestore: admin.firestore.Firestore;
+  private inventoryService: InventoryService;
+
+  constructor() {
+    this.firestore = admin.firestore();
+    this.inventoryService = new InventoryService();
+  }
+
+  /**
+   * Reserve the next block of order numbers for a device
+   *
+   * Blocks come from one counter per tenant, so they never overlap.
+   */
+  async reserveNumberBlock(
+    tenantId: string,
+    deviceId: string,
+    size: number = POS_NUMBER_BLOCK_SIZE,
+  ): Promise<PosNumberBlock> {
+    if (!Number.isInteger(size) || size < 1 || size > MAX_POS_NUMBER_BLOCK_SIZE) {
+      throw new ValidationError('Invalid block size', [
+        { field: 'size', message: `Must be 1 to ${MAX_POS_NUMBER_BLOCK_SIZE}` },
+      ]);
+    }
+
+    const counterRef = this.tenantCollection(tenantId, COUNTERS_COLLECTION).doc(ORDER_NUMBER_COUNTER);
+    const deviceRef = this.deviceRef(tenantId, deviceId);
+
+    return this.firestore.runTransaction(async (transaction) => {
+      const counter = await transaction.get(counterRef);
+      const start: number = counter.get('next') || 1;
+      const block: PosNumberBlock = {
+        deviceId,
+        start,
+        end: start + size - 1,
+        reservedAt: new Date().toISOString(),
+      };
+
+      transaction.set(counterRef, { next: block.end + 1 }, { merge: true });
+      transaction.set(deviceRef, {
+        blocks: admin.firestore.FieldValue.arrayUnion(block),
+        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      }, { merge: true });
+
+      return block;
+    });
+  }
+
+  /**
+   * Snapshot of the menu a device prices offline orders from
+   *
+   * Unavailable products are included so the device can show them as such.
+   * The snapshot is kept to price the device's orders again on upload.
+   */
+  async createMenuSnapshot(tenantId: string, deviceId: string): Promise<PosMenuSnapshot> {
+    const [tenantDoc, productsSnapshot] = await Promise.all([
+      this.tenantRef(tenantId).get(),
+      this.tenantCollection(tenantId, 'products').get(),
+    ]);
+
+    if (!tenantDoc.exists) {
+      throw new NotFoundError('Tenant', tenantId);
+    }
+
+    const snapshotRef = this.tenantCollection(tenantId, SNAPSHOTS_COLLECTION).doc();
+    const snapshot: PosMenuSnapshot = {
+      snapshotId: snapshotRef.id,
+      createdAt: new Date().toISOString(),
+      currency: tenantDoc.get('settings.currency') || 'CHF',
+      defaultVatRates: { takeaway: VAT_RATES.REDUCED, onSite: VAT_RATES.STANDARD },
+      products: productsSnapshot.docs.map((doc) => ({ id: doc.id, ...toSnapshotProduct(doc.data()) })),
+    };
+
+    await snapshotRef.set({ ...snapshot, deviceId });
+    await this.deviceRef(tenantId, deviceId).set({
+      lastSnapshotId: snapshotRef.id,
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    }, { merge: true });
+
+    return snapshot;
+  }
+
+  /**
+   * Turn the offline orders of a device into orders and report the outcome
+   *
+   * Orders already uploaded are recognized by their local id and skipped,
+   * so a device can repeat an upload that was cut off.
+   */
+  async reconcileOrders(
+    tenantId: string,
+    deviceId: string,
+    orders: OfflinePosOrder[],
+    userId: string,
+  ): Promise<PosReconciliationReport> {
+    if (!Array.isArray(orders) || orders.length === 0 || orders.length > MAX_ORDERS_PER_RECONCILIATION) {
+      throw new ValidationError('Invalid offline orders', [
+        { field: 'orders', message: `Send 1 to ${MAX_ORDERS_PER_RECONCILIATION} orders` },
+      ]);
+    }
+    orders.forEach((order, index) => validateOfflinePosOrder(order, index));
+
+    const deviceDoc = await this.deviceRef(tenantId, deviceId).get();
+    if (!deviceDoc.exists) {
+      throw new NotFoundError('POS device', deviceId);
+    }
+
+    const blocks: PosNumberBlock[] = deviceDoc.get('blocks') || [];
+    const currentProducts = await this.getProducts(tenantId);
+    const snapshots = new Map<string, Map<string, ProductDocument> | null>();
+    const results: PosOrderResult[] = [];
+
+    // In order of sale, so stock runs out for the later orders
+    const sorted = [...orders].sort((a, b) => Date.parse(a.createdAt) - Date.parse(b.createdAt));
+
+    for (const order of sorted) {
+      if (!snapshots.has(order.snapshotId)) {
+        snapshots.set(order.snapshotId, await this.getSnapshotProducts(tenantId, order.snapshotId));
+      }
+
+      results.push(await this.reconcileOrder(
+        tenantId,
+        deviceId,
+        order,
+        blocks,
+        snapshots.get(order.snapshotId) || null,
+        currentProducts,
+      ));
+    }
+
+    const reportRef = this.tenantCollection(tenantId, RECONCILIATIONS_COLLECTION).doc();
+    const report = createReconciliationReport({
+      id: reportRef.id,
+      deviceId,
+      createdAt: new Date().toISOString(),
+      createdBy: userId,
+    }, results);
+
+    await reportRef.set(report);
+    await this.deviceRef(tenantId, deviceId).set({
+      lastReconciliationId: reportRef.id,
+      lastReconciledAt: admin.firestore.FieldValue.serverTimestamp(),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    }, { merge: true });
+
+    logger.info('Reconciled offline POS orders', {
+      tenantId,
+      deviceId,
+      reportId: reportRef.id,
+      created: report.orders.created,
+      conflicts: report.conflicts.length,
+    });
+
+    return report;
+  }
+
+  // ==========================================================================
+  // PRIVATE
+  // ==========================================================================
+
+  private async reconcileOrder(
+    tenantId: string,
+    deviceId: string,
+    order: OfflinePosOrder,
+    blocks: PosNumberBlock[],
+    snapshotProducts: Map<string, ProductDocument> | null,
+    currentProducts: Map<string, ProductDocument>,
+  ): Promise<PosOrderResult> {
+    const orderRef = this.tenantCollection(tenantId, 'orders').doc(`pos_${deviceId}_${order.localId}`);
+    const existing = await orderRef.get();
+    if (existing.exists) {
+      return { order, orderId: orderRef.id, status: 'duplicate', items: existing.get('items') || [], conflicts: [] };
+    }
+
+    const base = { localId: order.localId, orderNumber: order.orderNumber };
+    const conflicts: PosConflict[] = [];
+
+    if (!isInNumberBlocks(order.orderNumber, blocks)) {
+      conflicts.push({
+        ...base,
+        type: 'number_outside_block',
+        message: `Order number ${order.orderNumber} was not reserved for this device`,
+      });
+    }
+
+    if (!snapshotProducts) {
+      conflicts.push({
+        ...base,
+        type: 'snapshot_unknown',
+        message: `Menu snapshot ${order.snapshotId} is unknown, priced from the current menu`,
+      });
+    }
+
+    let items: OrderItem[];
+    try {
+      ({ items } = pricePosOrder(order, snapshotProducts || currentProducts));
+    } catch (error) {
+      if (!(error instanceof ValidationError)) {
+        throw error;
+      }
+      // The sale happened; keep the order with what is known about it
+      items = [];
+      conflicts.push({ ...base, type: 'price_mismatch', message: error.message, expected: order.total });
+    }
+
+    const serverTotal = items.reduce((sum, item) => sum + (item.price * item.quantity), 0);
+    if (items.length > 0 && Math.abs(serverTotal - order.total) >= 0.01) {
+      conflicts.push({
+        ...base,
+        type: 'price_mismatch',
+        message: 'Total on the device differs from the menu snapshot',
+        expected: order.total,
+        actual: Math.round(serverTotal * 100) / 100,
+      });
+    }
+
+    if (snapshotProducts) {
+      conflicts.push(...findMenuConflicts(order, items, currentProducts));
+    }
+
+    // Already sold and handed out: stock is taken in any case
+    if (items.length > 0) {
+      const reservation = await this.inventoryService.reserveItems(tenantId, orderRef.id, items, {
+        allowOversell: true,
+      });
+      (reservation.oversold || []).forEach((product) => {
+        conflicts.push({
+          ...base,
+          type: 'sold_out',
+          productId: product.productId,
+          message: `${product.name} was sold out: ${product.requested} sold, ${product.available} in stock`,
+          expected: product.requested,
+          actual: product.available,
+        });
+      });
+    }
+
+    await orderRef.set(this.buildOrder(tenantId, deviceId, order, items, conflicts));
+
+    if (items.length > 0) {
+      await this.inventoryService.consumeReservedItems(tenantId, orderRef.id);
+    }
+
+    return { order, orderId: orderRef.id, status: 'created', items, conflicts };
+  }
+
+  private buildOrder(
+    tenantId: string,
+    deviceId: string,
+    order: OfflinePosOrder,
+    items: OrderItem[],
+    conflicts: PosConflict[],
+  ): Record<string, any> {
+    const createdAt = admin.firestore.Timestamp.fromDate(new Date(order.createdAt));
+    const vatBreakdown = calculateVATBreakdown(items.map((item) => ({
+      amount: item.price * item.quantity,
+      rate: item.taxRate ?? 0,
+    })));
+
+    return {
+      orderNumber: formatPosOrderNumber(order.orderNumber),
+      tenantId,
+      userId: null,
+      customer: { name: '', email: '', phone: '' },
+      items,
+      orderType: order.orderType,
+      notes: order.notes || '',
+      subtotal: order.total,
+      tax: vatBreakdown.reduce((sum, line) => sum + line.vat, 0),
+      taxBreakdown: vatBreakdown,
+      deliveryFee: 0,
+      total: order.total,
+      currency: 'CHF',
+      paymentMethod: order.payment.method === 'cash' ? 'cash' : 'card_terminal',
+      paymentStatus: 'paid',
+      paymentDetails: order.payment,
+      paidAt: admin.firestore.Timestamp.fromDate(new Date(order.payment.paidAt || order.createdAt)),
+      // Handed out at the truck before the upload
+      status: 'completed',
+      preparationTime: items.length > 0 ? getEstimatedPreparationTime({ items } as Order) : 0,
+      pos: {
+        deviceId,
+        localId: order.localId,
+        snapshotId: order.snapshotId,
+        staffId: order.staffId || null,
+        offline: true,
+        conflicts,
+      },
+      createdAt,
+      completedAt: createdAt,
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      metadata: {
+        source: 'pos_offline',
+      },
+    };
+  }
+
+  private async getProducts(tenantId: string): Promise<Map<string, ProductDocument>> {
+    const snapshot = await this.tenantCollection(tenantId, 'products').get();
+    return new Map(snapshot.docs.map((doc) => [doc.id, doc.data() as ProductDocument]));
+  }
+
+  private async getSnapshotProducts(
+    tenantId: string,
+    snapshotId: string,
+  ): Promise<Map<string, ProductDocument> | null> {
+    const snapshotRef = this.tenantCollection(tenantId, SNAPSHOTS_COLLECTION).doc(snapshotId);
+    const doc = await snapshotRef.get();
+    if (!doc.exists) {
+      return null;
+    }
+
+    const products: PosMenuSnapshot['products'] = doc.get('products') || [];
+    return new Map(products.map(({ id, ...product }) => [id, product]));
+  }
+
+  private tenantRef(tenantId: string): admin.firestore.DocumentReference {
+    return this.firestore.collection('tenants').doc(tenantId);
+  }
+
+  private tenantCollection(tenantId: string, collection: string): admin.firestore.CollectionReference {
+    return this.tenantRef(tenantId).collection(collection);
+  }
+
+  private deviceRef(tenantId: string, deviceId: string): admin.firestore.DocumentReference {
+    return this.tenantCollection(tenantId, DEVICES_COLLECTION).doc(deviceId);
+  }
+}
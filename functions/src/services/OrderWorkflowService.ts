@@ -0,0 +1,377 @@
+/**
+ * EATECH - Order Workflow Service
+ * Version: 1.0.0
+ * Description: Applies tenant order workflows to Firestore orders
+ * Author: EATECH Development Team
+ * Created: 2025-01-09
+ * File Path: /functions/src/services/OrderWorkflowService.ts
+ *
+ * Features:
+ * - Status transitions checked against the tenant workflow
+ * - Role permissions and guard conditions per transition
+ * - History entry for every transition
+ * - Review of status writes that bypassed the service
+ */
+
+import * as admin from 'firebase-admin';
+
+import {
+  Order,
+  OrderStatus,
+  OrderStatusChange,
+  OrderTransitionGuard,
+  OrderWorkflow,
+  OrderWorkflowRole,
+  OrderWorkflowSettings,
+} from '../types/order.types';
+import {
+  AuthorizationError,
+  BusinessError,
+  ErrorCode,
+  NotFoundError,
+} from '../utils/errorHandler';
+import { logger } from '../utils/logger';
+import {
+  STAFF_ROLES,
+  TransitionCheck,
+  TransitionContext,
+  TransitionErrorCode,
+  checkTransition,
+  getAvailableTransitions,
+  getWorkflow,
+} from '../utils/orderWorkflow';
+
+// ============================================================================
+// TYPES & INTERFACES
+// ============================================================================
+
+export interface TransitionActor {
+  uid: string | null;
+  role: OrderWorkflowRole;
+  name?: string;
+}
+
+export interface TransitionOptions extends TransitionContext {
+  source: OrderStatusChange['source'];
+}
+
+export type ExternalTransitionResult = 'recorded' | 'rejected' | 'reverted' | 'unchanged';
+
+/**
+ * Raised when a transition is not part of the workflow or a guard fails
+ */
+export class OrderTransitionError extends BusinessError {
+  public readonly reason: TransitionErrorCode;
+  public readonly guard?: OrderTransitionGuard;
+
+  constructor(check: TransitionCheck, from: OrderStatus, to: OrderStatus) {
+    const error = check.error as NonNullable<TransitionCheck['error']>;
+    super(error.message, ErrorCode.INVALID_STATUS_TRANSITION, { reason: error.code, guard: error.guard, from, to });
+    this.reason = error.code;
+    this.guard = error.guard;
+  }
+}
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+const HISTORY_COLLECTION = 'history';
+
+// Order timestamps set when a status is reached
+const STATUS_TIMESTAMPS: Partial<Record<OrderStatus, string>> = {
+  confirmed: 'confirmedAt',
+  preparing: 'preparingAt',
+  ready: 'readyAt',
+  delivered: 'deliveredAt',
+  completed: 'completedAt',
+  cancelled: 'cancelledAt',
+  refunded: 'refundedAt',
+  partially_refunded: 'refundedAt',
+};
+
+// ============================================================================
+// SERVICE CLASS
+// ============================================================================
+
+export default class OrderWorkflowService {
+  private firestore: admin.firestore.Firestore;
+
+  constructor() {
+    this.firestore = admin.firestore();
+  }
+
+  private orderRef(tenantId: string, orderId: string): admin.firestore.DocumentReference {
+    return this.firestore
+      .collection('tenants')
+      .doc(tenantId)
+      .collection('orders')
+      .doc(orderId);
+  }
+
+  /**
+   * Load the workflow configured for a tenant
+   */
+  async getTenantWorkflow(tenantId: string): Promise<OrderWorkflow> {
+    const tenantDoc = await this.firestore
+      .collection('tenants')
+      .doc(tenantId)
+      .get();
+    return getWorkflow(tenantDoc.get('settings.orderWorkflow') as OrderWorkflowSettings | undefined);
+  }
+
+  /**
+   * Statuses the actor can move an order to next
+   */
+  async getAvailableTransitions(tenantId: string, orderId: string, role: OrderWorkflowRole) {
+    const [workflow, orderDoc] = await Promise.all([
+      this.getTenantWorkflow(tenantId),
+      this.orderRef(tenantId, orderId).get(),
+    ]);
+
+    if (!orderDoc.exists) {
+      throw new NotFoundError('Order', orderId);
+    }
+
+    const order = orderDoc.data() as Order;
+    return {
+      workflow: workflow.id,
+      status: order.status,
+      transitions: getAvailableTransitions(workflow, order, role)
+        .map(({ to, guards }) => ({ to, guards: guards || [] })),
+    };
+  }
+
+  /**
+   * Move an order to a new status
+   *
+   * Throws OrderTransitionError if the workflow does not allow the step and
+   * AuthorizationError if the actor's role may not take it.
+   */
+  async transitionOrder(
+    tenantId: string,
+    orderId: string,
+    to: OrderStatus,
+    actor: TransitionActor,
+    options: TransitionOptions,
+  ): Promise<OrderStatusChange> {
+    const tenantRef = this.firestore.collection('tenants').doc(tenantId);
+    const orderRef = this.orderRef(tenantId, orderId);
+
+    const change = await this.firestore.runTransaction(async (transaction) => {
+      const [tenantDoc, orderDoc] = await Promise.all([
+        transaction.get(tenantRef),
+        transaction.get(orderRef),
+      ]);
+
+      if (!orderDoc.exists) {
+        throw new NotFoundError('Order', orderId);
+      }
+
+      const order = orderDoc.data() as Order;
+      const workflow = getWorkflow(tenantDoc.get('settings.orderWorkflow') as OrderWorkflowSettings | undefined);
+      const check = checkTransition(workflow, order, to, actor.role, options);
+
+      if (!check.allowed) {
+        if (check.error?.code === 'forbidden') {
+          throw new AuthorizationError(check.error.message);
+        }
+        throw new OrderTransitionError(check, order.status, to);
+      }
+
+      const historyRef = orderRef.collection(HISTORY_COLLECTION).doc();
+      const entry = this.buildHistoryEntry(historyRef.id, order.status, to, workflow, actor, options);
+
+      transaction.update(orderRef, {
+        ...this.buildStatusUpdate(order, to, actor, options),
+        lastTransition: { id: historyRef.id, from: order.status, to },
+        statusRevertedFrom: admin.firestore.FieldValue.delete(),
+      });
+      transaction.set(historyRef, entry);
+
+      return entry;
+    });
+
+    logger.info('Order status changed', {
+      tenantId,
+      orderId,
+      from: change.from,
+      to: change.to,
+      role: actor.role,
+      source: options.source,
+    });
+
+    return change;
+  }
+
+  /**
+   * Review a status change written directly to the order document
+   *
+   * Webhooks and the public API write statuses without this service. Valid
+   * changes get their history entry here, invalid ones are reverted and
+   * logged as rejected. Changes made by transitionOrder are recognized by
+   * their `lastTransition` and left alone.
+   */
+  async reviewExternalTransition(
+    tenantId: string,
+    orderId: string,
+    before: Order,
+    after: Order,
+  ): Promise<ExternalTransitionResult> {
+    if (before.status === after.status) {
+      return 'unchanged';
+    }
+
+    const last = after.lastTransition;
+    if (last && last.id !== before.lastTransition?.id && last.from === before.status && last.to === after.status) {
+      return 'recorded';
+    }
+
+    if (after.statusRevertedFrom && after.statusRevertedFrom === before.status) {
+      return 'reverted';
+    }
+
+    // `updatedBy` names the writer only if this write set it
+    const sameUpdate = Boolean(before.updatedAt && after.updatedAt && after.updatedAt.isEqual(before.updatedAt));
+    const writer = after.updatedBy !== before.updatedBy || !sameUpdate ? after.updatedBy : null;
+
+    const [workflow, actor] = await Promise.all([
+      this.getTenantWorkflow(tenantId),
+      this.getExternalActor(tenantId, writer),
+    ]);
+    const order: Order = { ...after, status: before.status };
+    const check = checkTransition(workflow, order, after.status, actor.role, {
+      reason: after.cancellationReason,
+      refundAmount: after.refundAmount,
+    });
+
+    const orderRef = this.orderRef(tenantId, orderId);
+    const historyRef = orderRef.collection(HISTORY_COLLECTION).doc();
+    const options: TransitionOptions = {
+      source: 'trigger',
+      reason: check.allowed ? after.cancellationReason : check.error?.message,
+    };
+    const entry = this.buildHistoryEntry(historyRef.id, before.status, after.status, workflow, actor, options);
+    const batch = this.firestore.batch();
+
+    if (check.allowed) {
+      batch.update(orderRef, {
+        lastTransition: { id: historyRef.id, from: before.status, to: after.status },
+        statusRevertedFrom: admin.firestore.FieldValue.delete(),
+        ...(after.status === 'on_hold' ? { heldStatus: before.status } : {}),
+      });
+      batch.set(historyRef, entry);
+      await batch.commit();
+      return 'recorded';
+    }
+
+    logger.warn('Order status change rejected by workflow', {
+      tenantId,
+      orderId,
+      from: before.status,
+      to: after.status,
+      error: check.error,
+    });
+
+    batch.update(orderRef, {
+      status: before.status,
+      statusRevertedFrom: after.status,
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+    batch.set(historyRef, { ...entry, rejected: true });
+    await batch.commit();
+
+    return 'rejected';
+  }
+
+  /**
+   * Staff members named in `updatedBy` keep their role limits, webhooks and
+   * other server code act as system
+   */
+  private async getExternalActor(tenantId: string, uid?: string | null): Promise<TransitionActor> {
+    if (!uid) {
+      return { uid: null, role: 'system' };
+    }
+
+    const member = await this.firestore
+      .collection('tenants')
+      .doc(tenantId)
+      .collection('members')
+      .doc(uid)
+      .get();
+    const role = member.get('role') as OrderWorkflowRole | undefined;
+
+    return {
+      uid,
+      role: member.exists && role && STAFF_ROLES.includes(role) ? role : 'system',
+    };
+  }
+
+  private buildStatusUpdate(
+    order: Order,
+    to: OrderStatus,
+    actor: TransitionActor,
+    options: TransitionOptions,
+  ): Record<string, any> {
+    const now = admin.firestore.FieldValue.serverTimestamp();
+    const updates: Record<string, any> = {
+      status: to,
+      [`statusHistory.${to}`]: now,
+      updatedAt: now,
+      updatedBy: actor.uid,
+    };
+
+    if (STATUS_TIMESTAMPS[to]) {
+      updates[STATUS_TIMESTAMPS[to]] = now;
+    }
+
+    if (to === 'on_hold') {
+      updates.heldStatus = order.status;
+    } else if (order.status === 'on_hold') {
+      updates.heldStatus = admin.firestore.FieldValue.delete();
+    }
+
+    if (to === 'cancelled') {
+      updates.cancellationReason = options.reason || null;
+      updates.cancelledBy = actor.uid;
+    }
+
+    if ((to === 'refunded' || to === 'partially_refunded') && options.refundAmount !== undefined) {
+      updates.refundAmount = options.refundAmount;
+      if (options.reason) {
+        updates.refundReason = options.reason;
+      }
+    }
+
+    return updates;
+  }
+
+  private buildHistoryEntry(
+    id: string,
+    from: OrderStatus,
+    to: OrderStatus,
+    workflow: OrderWorkflow,
+    actor: TransitionActor,
+    options: TransitionOptions,
+  ): OrderStatusChange {
+    const entry: OrderStatusChange = {
+      id,
+      from,
+      to,
+      workflow: workflow.id,
+      actor: actor.name ? actor : { uid: actor.uid, role: actor.role },
+      source: options.source,
+      createdAt: admin.firestore.Timestamp.now(),
+    };
+
+    // Firestore rejects undefined values
+    if (options.reason) {
+      entry.reason = options.reason;
+    }
+    if (options.refundAmount !== undefined) {
+      entry.refundAmount = options.refundAmount;
+    }
+
+    return entry;
+  }
+}
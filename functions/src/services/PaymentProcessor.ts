@@ -41,6 +41,11 @@ interface PaymentRequest {
   metadata?: Record<string, any>;
   paymentMethodId?: string;
   returnUrl?: string;
+  idempotencyKey?: string;
+  /** Stripe customer owning a saved payment method */
+  stripeCustomerId?: string;
+  /** Charge a saved payment method without the customer being present */
+  offSession?: boolean;
 }
 
 interface PaymentResponse {
@@ -297,8 +302,9 @@ export default class PaymentProcessor {
       amount: Math.round(request.amount * 100), // Convert to cents
       currency: request.currency.toLowerCase(),
       payment_method: request.paymentMethodId,
-      confirmation_method: 'manual',
-      confirm: false,
+      ...(request.offSession
+        ? { customer: request.stripeCustomerId, off_session: true, confirm: true }
+        : { confirmation_method: 'manual', confirm: false }),
       metadata: {
         orderId: request.orderId,
         tenantId: request.tenantId,
@@ -306,6 +312,9 @@ export default class PaymentProcessor {
         ...request.metadata
       },
       description: request.description || `Order ${request.orderId}`
+    }, {
+      // Lets Stripe collapse retried charges for the same order attempt
+      idempotencyKey: request.idempotencyKey
     });
 
     return {
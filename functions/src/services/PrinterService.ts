@@ -0,0 +1,164 @@
+/**
+ * EATECH - Printer Service
+ * Version: 1.0.0
+ * Description: Prints kitchen tickets and receipts on ESC/POS printers
+ * Author: EATECH Development Team
+ * Created: 2025-01-09
+ * File Path: /functions/src/services/PrinterService.ts
+ *
+ * Features:
+ * - Printer configuration per tenant
+ * - Kitchen bons routed to station printers
+ * - Receipts on the receipt printer
+ * - Pluggable adapters (network printers on raw TCP 9100)
+ */
+
+import * as admin from 'firebase-admin';
+
+import { TenantPrinter } from '../types/tenant.types';
+import { BusinessError, ErrorCode, NotFoundError } from '../utils/errorHandler';
+import { PrintableTicket, renderKitchenTicket, selectStationItems } from '../utils/kitchenPrintUtils';
+import { logger } from '../utils/logger';
+import { NetworkPrinterAdapter, PrinterAdapter } from '../utils/networkPrinter';
+import { renderReceiptEscPos } from '../utils/receiptUtils';
+
+import ReceiptService from './ReceiptService';
+
+// ============================================================================
+// TYPES & INTERFACES
+// ============================================================================
+
+export type PrinterAdapterFactory = (printer: TenantPrinter) => PrinterAdapter;
+
+export interface PrintResult {
+  printerId: string;
+  success: boolean;
+  error?: string;
+}
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+const PRINTERS_COLLECTION = 'printers';
+const STATIONS_COLLECTION = 'kitchen_stations';
+
+// Printers are reached from the cloud, so only public addresses on 9100
+const createNetworkAdapter: PrinterAdapterFactory = (printer) => new NetworkPrinterAdapter({
+  host: printer.host,
+  port: printer.port,
+  publicOnly: true,
+});
+
+// ============================================================================
+// SERVICE CLASS
+// ============================================================================
+
+export default class PrinterService {
+  private firestore: admin.firestore.Firestore;
+  private receiptService: ReceiptService;
+  private createAdapter: PrinterAdapterFactory;
+
+  constructor(createAdapter: PrinterAdapterFactory = createNetworkAdapter) {
+    this.firestore = admin.firestore();
+    this.receiptService = new ReceiptService();
+    this.createAdapter = createAdapter;
+  }
+
+  /**
+   * Active printers of a tenant, optionally of one type
+   */
+  async getPrinters(tenantId: string, type?: TenantPrinter['type']): Promise<TenantPrinter[]> {
+    let query: admin.firestore.Query = this.firestore
+      .collection('tenants')
+      .doc(tenantId)
+      .collection(PRINTERS_COLLECTION)
+      .where('active', '==', true);
+
+    if (type) {
+      query = query.where('type', '==', type);
+    }
+
+    const snapshot = await query.get();
+    return snapshot.docs.map((doc) => ({ ...(doc.data() as TenantPrinter), id: doc.id }));
+  }
+
+  /**
+   * Print a kitchen ticket on every kitchen printer with items for it
+   *
+   * Printer failures are logged and reported, never thrown: the kitchen
+   * display still shows the ticket.
+   */
+  async printKitchenTicket(
+    tenantId: string,
+    ticket: PrintableTicket,
+    options: { reprint?: boolean } = {},
+  ): Promise<PrintResult[]> {
+    const printers = await this.getPrinters(tenantId, 'kitchen');
+    if (printers.length === 0) {
+      return [];
+    }
+
+    const stationNames = await this.getStationNames(tenantId);
+
+    const jobs = printers
+      .map((printer) => ({ printer, items: selectStationItems(ticket, printer.stationIds) }))
+      .filter(({ items }) => items.length > 0)
+      .map(({ printer, items }) => {
+        const stationName = (printer.stationIds || [])
+          .map((id) => stationNames.get(id))
+          .filter(Boolean)
+          .join(', ');
+        const data = renderKitchenTicket(ticket, items, {
+          stationName: stationName || undefined,
+          width: printer.lineWidth,
+          reprint: options.reprint,
+        });
+        return this.send(printer, data);
+      });
+
+    const results = await Promise.all(jobs);
+    logger.info('Kitchen ticket printed', { tenantId, orderNumber: ticket.orderNumber, results });
+    return results;
+  }
+
+  /**
+   * Print the receipt of an order, on the given or the first receipt printer
+   */
+  async printReceipt(tenantId: string, orderId: string, printerId?: string): Promise<PrintResult> {
+    const printers = await this.getPrinters(tenantId, 'receipt');
+    const printer = printerId
+      ? printers.find((p) => p.id === printerId)
+      : printers[0];
+
+    if (!printer) {
+      if (printerId) {
+        throw new NotFoundError('Printer', printerId);
+      }
+      throw new BusinessError('No receipt printer configured', ErrorCode.BUSINESS_RULE_VIOLATION, { tenantId });
+    }
+
+    const receipt = await this.receiptService.getReceipt(tenantId, orderId);
+    return this.send(printer, renderReceiptEscPos(receipt, printer.lineWidth));
+  }
+
+  private async send(printer: TenantPrinter, data: Buffer): Promise<PrintResult> {
+    try {
+      await this.createAdapter(printer).send(data);
+      return { printerId: printer.id, success: true };
+    } catch (error) {
+      const message = error instanceof Error ? error.message : String(error);
+      logger.warn('Print job failed', { printerId: printer.id, host: printer.host, error: message });
+      return { printerId: printer.id, success: false, error: message };
+    }
+  }
+
+  private async getStationNames(tenantId: string): Promise<Map<string, string>> {
+    const snapshot = await this.firestore
+      .collection(STATIONS_COLLECTION)
+      .where('tenantId', '==', tenantId)
+      .get();
+
+    return new Map(snapshot.docs.map((doc) => [(doc.get('id') as string) || doc.id, doc.get('name') as string]));
+  }
+}
@@ -0,0 +1,283 @@
+/**
+ * EATECH - Product Declaration Service
+ * Version: 1.0.0
+ * Description: Allergen and nutrition declarations kept in sync with recipes
+ * Author: EATECH Development Team
+ * Created: 2025-01-09
+ * File Path: /functions/src/services/ProductDeclarationService.ts
+ *
+ * Features:
+ * - Declarations computed from the inventory items of a recipe
+ * - Allergens added or removed by modifiers
+ * - Warnings for manual values contradicting the recipe
+ * - Refresh of all affected products when an ingredient or recipe changes
+ */
+
+import * as admin from 'firebase-admin';
+
+import {
+  IngredientDeclaration,
+  ModifierDeclaration,
+  ModifierRecipeChange,
+  ProductDeclarations,
+  Recipe,
+} from '../types/product.types';
+import {
+  computeDeclarations,
+  computeModifierDeclaration,
+  findDeclarationConflicts,
+} from '../utils/declarationUtils';
+import { logger } from '../utils/logger';
+import { IngredientRequirement, explodeRecipe, getRecipeTree, toRecipe } from '../utils/recipeUtils';
+import { stableStringify } from '../utils/restoreUtils';
+
+import InventoryService from './InventoryService';
+
+// ============================================================================
+// TYPES & INTERFACES
+// ============================================================================
+
+interface ModifierSource {
+  id: string;
+  recipe?: ModifierRecipeChange;
+  allergens?: unknown[];
+}
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+const INVENTORY_COLLECTION = 'inventory';
+const RECIPES_COLLECTION = 'recipes';
+
+// ============================================================================
+// SERVICE CLASS
+// ============================================================================
+
+export default class ProductDeclarationService {
+  private firestore: admin.firestore.Firestore;
+  private inventoryService: InventoryService;
+
+  constructor() {
+    this.firestore = admin.firestore();
+    this.inventoryService = new InventoryService();
+  }
+
+  /**
+   * Recompute the declarations of one product
+   *
+   * Products without a recipe keep their manual values only. Returns the
+   * declarations, or null if the product has no recipe.
+   */
+  async refreshProduct(tenantId: string, productId: string): Promise<ProductDeclarations | null> {
+    const productRef = this.getProductRef(tenantId, productId);
+    const productDoc = await productRef.get();
+    if (!productDoc.exists) {
+      return null;
+    }
+
+    const product = productDoc.data()!;
+    const modifiers = this.getModifiers(product);
+    const addedRecipeIds = modifiers
+      .flatMap((modifier) => modifier.recipe?.add || [])
+      .map((component) => component.recipeId)
+      .filter((recipeId): recipeId is string => !!recipeId);
+
+    const recipes = await this.inventoryService.getRecipes(tenantId, [productId, ...addedRecipeIds]);
+
+    if (!recipes.has(productId)) {
+      if (product.declarations) {
+        await productRef.update({ declarations: admin.firestore.FieldValue.delete() });
+      }
+      return null;
+    }
+
+    try {
+      const requirements = explodeRecipe(productId, 1, 'Stk', recipes);
+      const added = new Map(modifiers.map((modifier) => [
+        modifier.id,
+        this.explodeModifier(modifier, recipes),
+      ]));
+
+      const items = await this.getItemDeclarations(tenantId, [
+        ...requirements.map((requirement) => requirement.itemId),
+        ...[...added.values()].flat().map((requirement) => requirement.itemId),
+      ]);
+
+      const computed = computeDeclarations(requirements, items);
+      const modifierDeclarations: Record<string, ModifierDeclaration> = {};
+      modifiers.forEach((modifier) => {
+        const declaration = computeModifierDeclaration(requirements, {
+          remove: modifier.recipe?.remove,
+          added: added.get(modifier.id),
+          allergens: modifier.allergens,
+        }, items);
+
+        if (declaration.adds.length > 0 || declaration.removes.length > 0) {
+          modifierDeclarations[modifier.id] = declaration;
+        }
+      });
+
+      const declarations: Omit<ProductDeclarations, 'computedAt'> = {
+        ...computed,
+        modifiers: modifierDeclarations,
+        warnings: findDeclarationConflicts(computed, {
+          allergens: product.allergens,
+          nutrition: product.nutrition,
+        }),
+      };
+
+      // Unchanged declarations are not written again, so the product
+      // trigger does not fire for nothing
+      const previous = { ...(product.declarations || {}) };
+      delete previous.computedAt;
+      if (stableStringify(previous) !== stableStringify(declarations)) {
+        await productRef.update({
+          declarations: {
+            ...declarations,
+            computedAt: admin.firestore.FieldValue.serverTimestamp(),
+          },
+        });
+      }
+
+      if (declarations.warnings.length > 0) {
+        logger.warn('Manual declarations contradict the recipe', {
+          tenantId,
+          productId,
+          warnings: declarations.warnings.map((warning) => `${warning.type}:${warning.field}`),
+        });
+      }
+
+      return { ...declarations, computedAt: new Date() };
+    } catch (error) {
+      logger.error('Error computing product declarations:', { tenantId, productId, error });
+      throw error;
+    }
+  }
+
+  /**
+   * Refresh every product whose recipe or modifiers use an inventory item
+   */
+  async refreshForItem(tenantId: string, itemId: string): Promise<string[]> {
+    return this.refreshAffected(tenantId, (tree) => tree.itemIds.includes(itemId), (modifier) => (
+      (modifier.recipe?.remove || []).includes(itemId)
+      || (modifier.recipe?.add || []).some((component) => component.itemId === itemId)
+    ));
+  }
+
+  /**
+   * Refresh every product using a recipe, directly or as a sub-recipe
+   */
+  async refreshForRecipe(tenantId: string, recipeId: string): Promise<string[]> {
+    return this.refreshAffected(tenantId, (tree) => tree.recipeIds.includes(recipeId), (modifier) => (
+      (modifier.recipe?.add || []).some((component) => component.recipeId === recipeId)
+    ));
+  }
+
+  // ============================================================================
+  // HELPER METHODS
+  // ============================================================================
+
+  private async refreshAffected(
+    tenantId: string,
+    recipeMatches: (tree: { recipeIds: string[]; itemIds: string[] }) => boolean,
+    modifierMatches: (modifier: ModifierSource) => boolean,
+  ): Promise<string[]> {
+    const [recipes, products] = await Promise.all([
+      this.getTenantRecipes(tenantId),
+      this.getProductsRef(tenantId).get(),
+    ]);
+
+    const affected = products.docs
+      .filter((doc) => recipes.has(doc.id) && (
+        recipeMatches(getRecipeTree(doc.id, recipes))
+        || this.getModifiers(doc.data()).some(modifierMatches)
+      ))
+      .map((doc) => doc.id);
+
+    for (const productId of affected) {
+      try {
+        await this.refreshProduct(tenantId, productId);
+      } catch (error) {
+        // One broken recipe must not keep the other products outdated
+        logger.error('Error refreshing product declarations:', { tenantId, productId, error });
+      }
+    }
+
+    return affected;
+  }
+
+  private explodeModifier(modifier: ModifierSource, recipes: Map<string, Recipe>): IngredientRequirement[] {
+    const add = modifier.recipe?.add || [];
+    if (add.length === 0) {
+      return [];
+    }
+
+    // Added components are exploded like a one-portion recipe of their own
+    const recipeId = `modifier:${modifier.id}`;
+    const withModifier = new Map(recipes);
+    withModifier.set(recipeId, {
+      id: recipeId,
+      tenantId: '',
+      name: modifier.id,
+      yield: { quantity: 1, unit: 'Stk' },
+      ingredients: add,
+    });
+
+    return explodeRecipe(recipeId, 1, 'Stk', withModifier);
+  }
+
+  private getModifiers(product: Record<string, any>): ModifierSource[] {
+    return ((product.modifierGroups || []) as Array<{ modifiers?: ModifierSource[] }>)
+      .flatMap((group) => group.modifiers || [])
+      .filter((modifier) => modifier?.id && (modifier.recipe || (modifier.allergens || []).length > 0));
+  }
+
+  private async getItemDeclarations(
+    tenantId: string,
+    itemIds: string[],
+  ): Promise<Map<string, IngredientDeclaration>> {
+    const ids = [...new Set(itemIds)];
+    const items = new Map<string, IngredientDeclaration>();
+    if (ids.length === 0) {
+      return items;
+    }
+
+    const docs = await this.firestore.getAll(
+      ...ids.map((itemId) => this.firestore.collection(INVENTORY_COLLECTION).doc(`${tenantId}_${itemId}`)),
+    );
+
+    docs.forEach((doc, index) => {
+      if (doc.exists) {
+        items.set(ids[index], doc.data() as IngredientDeclaration);
+      }
+    });
+
+    return items;
+  }
+
+  private async getTenantRecipes(tenantId: string): Promise<Map<string, Recipe>> {
+    const prefix = `${tenantId}_`;
+    const snapshot = await this.firestore
+      .collection(RECIPES_COLLECTION)
+      .where(admin.firestore.FieldPath.documentId(), '>=', prefix)
+      .where(admin.firestore.FieldPath.documentId(), '<', `${prefix}\uf8ff`)
+      .get();
+
+    return new Map(snapshot.docs.map((doc) => {
+      const recipeId = doc.id.slice(prefix.length);
+      return [recipeId, toRecipe(recipeId, tenantId, doc.data())];
+    }));
+  }
+
+  private getProductsRef(tenantId: string): admin.firestore.CollectionReference {
+    return this.firestore
+      .collection('tenants')
+      .doc(tenantId)
+      .collection('products');
+  }
+
+  private getProductRef(tenantId: string, productId: string): admin.firestore.DocumentReference {
+    return this.getProductsRef(tenantId).doc(productId);
+  }
+}
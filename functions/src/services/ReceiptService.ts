@@ -0,0 +1,164 @@
+/**
+ * EATECH - Receipt Service
+ * Version: 1.0.0
+ * Description: VAT receipts for orders
+ * Author: EATECH Development Team
+ * Created: 2025-01-09
+ * File Path: /functions/src/services/ReceiptService.ts
+ *
+ * Features:
+ * - MWST breakdown per rate (takeaway and on-site)
+ * - Tenant UID/MWST number on every receipt
+ * - PDF, HTML and ESC/POS output
+ * - Receipt by email with PDF attachment
+ */
+
+import * as admin from 'firebase-admin';
+
+import { Order } from '../types/order.types';
+import { TenantAddress } from '../types/tenant.types';
+import { ValidationError, NotFoundError } from '../utils/errorHandler';
+import { logger } from '../utils/logger';
+import {
+  Receipt,
+  ReceiptFormat,
+  ReceiptMerchant,
+  buildReceipt,
+  renderReceiptEscPos,
+  renderReceiptHtml,
+  renderReceiptPdf,
+} from '../utils/receiptUtils';
+
+import { EmailService } from './EmailService';
+
+// ============================================================================
+// TYPES & INTERFACES
+// ============================================================================
+
+export interface RenderedReceipt {
+  contentType: string;
+  filename: string;
+  body: Buffer | string;
+}
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+const CONTENT_TYPES: Record<ReceiptFormat, string> = {
+  pdf: 'application/pdf',
+  html: 'text/html; charset=utf-8',
+  escpos: 'application/octet-stream',
+};
+
+const EXTENSIONS: Record<ReceiptFormat, string> = {
+  pdf: 'pdf',
+  html: 'html',
+  escpos: 'bin',
+};
+
+// ============================================================================
+// SERVICE CLASS
+// ============================================================================
+
+export default class ReceiptService {
+  private firestore: admin.firestore.Firestore;
+  private emailService: EmailService;
+
+  constructor() {
+    this.firestore = admin.firestore();
+    this.emailService = new EmailService();
+  }
+
+  private async loadOrder(tenantId: string, orderId: string) {
+    const tenantRef = this.firestore.collection('tenants').doc(tenantId);
+    const [tenantDoc, orderDoc] = await Promise.all([
+      tenantRef.get(),
+      tenantRef.collection('orders').doc(orderId)
+        .get(),
+    ]);
+
+    if (!tenantDoc.exists) {
+      throw new NotFoundError('Tenant', tenantId);
+    }
+    if (!orderDoc.exists) {
+      throw new NotFoundError('Order', orderId);
+    }
+
+    return { tenantDoc, order: { ...(orderDoc.data() as Order), id: orderDoc.id } };
+  }
+
+  /**
+   * Build the receipt of an order
+   */
+  async getReceipt(tenantId: string, orderId: string): Promise<Receipt> {
+    const { tenantDoc, order } = await this.loadOrder(tenantId, orderId);
+    return buildReceipt(order, this.getMerchant(tenantDoc));
+  }
+
+  /**
+   * Render the receipt of an order in the requested format
+   */
+  async renderReceipt(tenantId: string, orderId: string, format: ReceiptFormat): Promise<RenderedReceipt> {
+    const receipt = await this.getReceipt(tenantId, orderId);
+
+    let body: Buffer | string;
+    switch (format) {
+      case 'pdf':
+        body = await renderReceiptPdf(receipt);
+        break;
+      case 'escpos':
+        body = renderReceiptEscPos(receipt);
+        break;
+      default:
+        body = renderReceiptHtml(receipt);
+    }
+
+    return {
+      contentType: CONTENT_TYPES[format],
+      filename: `Quittung-${receipt.number}.${EXTENSIONS[format]}`,
+      body,
+    };
+  }
+
+  /**
+   * Email the receipt, to the customer unless another address is given
+   */
+  async emailReceipt(tenantId: string, orderId: string, to?: string): Promise<string> {
+    const { tenantDoc, order } = await this.loadOrder(tenantId, orderId);
+    const email = to || order.customer?.email;
+
+    if (!email) {
+      throw new ValidationError('No email address for receipt', [
+        { field: 'email', message: 'Order has no customer email' },
+      ]);
+    }
+
+    const receipt = buildReceipt(order, this.getMerchant(tenantDoc));
+    const pdf = await renderReceiptPdf(receipt);
+
+    await this.emailService.sendReceiptEmail({
+      to: email,
+      orderNumber: receipt.number,
+      tenantName: receipt.merchant.name,
+      html: renderReceiptHtml(receipt),
+      pdf,
+    });
+
+    logger.info('Receipt sent', { tenantId, orderId });
+    return email;
+  }
+
+  private getMerchant(tenantDoc: admin.firestore.DocumentSnapshot): ReceiptMerchant {
+    const address = (tenantDoc.get('address') || {}) as Partial<TenantAddress>;
+
+    return {
+      name: tenantDoc.get('name') as string,
+      street: address.street,
+      postalCode: address.postalCode,
+      city: address.city,
+      phone: tenantDoc.get('phone') as string | undefined,
+      vatNumber: tenantDoc.get('settings.billing.vatNumber') as string | undefined,
+    };
+  }
+}
@@ -0,0 +1,498 @@
+/**
+ * EATECH - Recurring Order Service
+ * Version: 1.0.0
+ * Description: Turns recurring pre-order templates into real orders
+ * Author: EATECH Development Team
+ * Created: 2025-01-09
+ * File Path: /functions/src/services/RecurringOrderService.ts
+ *
+ * Features:
+ * - Recurrence rules in iCal RRULE format
+ * - Orders created and charged ahead of each occurrence
+ * - No orders on holidays, closure days and outside business hours
+ * - Off-session charge of the customer's saved payment method
+ * - Customer notification for skipped and failed occurrences
+ * - Every occurrence processed once, even across overlapping runs
+ */
+
+import * as admin from 'firebase-admin';
+
+import {
+  Order,
+  OrderType,
+  RecurringOccurrence,
+  RecurringOccurrenceReason,
+  RecurringOrder,
+} from '../types/order.types';
+import { PaymentMethod, PaymentStatus } from '../types/payment.types';
+import { calculateVATBreakdown } from '../utils/calculationUtils';
+import { BusinessError, ErrorCode, ValidationError } from '../utils/errorHandler';
+import { getHolidayOn, getTenantHolidayCalendar } from '../utils/holidayUtils';
+import { logger } from '../utils/logger';
+import { generateOrderNumber, getEstimatedPreparationTime, validateOrderItems } from '../utils/orderUtils';
+import { getNextOccurrence, getOccurrences, parseRecurrenceRule } from '../utils/recurrenceUtils';
+import { formatDate, isWithinBusinessHours } from '../utils/timeUtils';
+
+import { EmailService } from './EmailService';
+import InventoryService, { SoldOutError } from './InventoryService';
+import PaymentProcessor from './PaymentProcessor';
+import SlotCapacityService, { SlotUnavailableError } from './SlotCapacityService';
+import { SMSService } from './SMSService';
+
+// ============================================================================
+// TYPES & INTERFACES
+// ============================================================================
+
+export interface RecurringRunResult {
+  created: number;
+  skipped: number;
+  failed: number;
+}
+
+interface RecurringCustomer {
+  name?: string;
+  email?: string;
+  phone?: string;
+  stripeCustomerId?: string;
+  defaultPaymentMethodId?: string;
+}
+
+interface OccurrenceOutcome {
+  status: 'created' | 'skipped' | 'failed';
+  orderId?: string;
+  reason?: RecurringOccurrenceReason;
+  message?: string;
+}
+
+/**
+ * An occurrence that cannot become an order
+ */
+class OccurrenceFailure extends BusinessError {
+  public readonly reason: RecurringOccurrenceReason;
+
+  constructor(reason: RecurringOccurrenceReason, message: string) {
+    super(message, ErrorCode.BUSINESS_RULE_VIOLATION, { reason });
+    this.reason = reason;
+  }
+}
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+const RECURRING_ORDERS_PATH = 'recurring_orders';
+const USERS_PATH = 'users';
+
+const DEFAULT_LEAD_HOURS = 24;
+const HOUR_MS = 60 * 60 * 1000;
+
+// A claim older than the longest function run belongs to a crashed run
+const STALE_CLAIM_MS = 10 * 60 * 1000;
+
+const FAILURE_MESSAGES: Record<RecurringOccurrenceReason, string> = {
+  holiday: 'Der Foodtruck ist an diesem Feiertag geschlossen.',
+  closed: 'Der Foodtruck ist zu dieser Zeit geschlossen.',
+  product_unavailable: 'Ein Produkt der Bestellung ist nicht mehr erhältlich.',
+  sold_out: 'Ein Produkt der Bestellung ist ausverkauft.',
+  slot_unavailable: 'Die Küche ist zu dieser Abholzeit ausgebucht.',
+  payment_method_missing: 'Es ist keine Zahlungsmethode hinterlegt.',
+  payment_failed: 'Die hinterlegte Zahlungsmethode konnte nicht belastet werden.',
+  error: 'Die Bestellung konnte nicht erstellt werden.',
+};
+
+// ============================================================================
+// SERVICE CLASS
+// ============================================================================
+
+export default class RecurringOrderService {
+  private db: admin.database.Database;
+  private firestore: admin.firestore.Firestore;
+  private inventoryService: InventoryService;
+  private slotCapacityService: SlotCapacityService;
+  private paymentProcessor: PaymentProcessor;
+  private emailService: EmailService;
+  private smsService: SMSService;
+
+  constructor() {
+    this.db = admin.database();
+    this.firestore = admin.firestore();
+    this.inventoryService = new InventoryService();
+    this.slotCapacityService = new SlotCapacityService();
+    this.paymentProcessor = new PaymentProcessor();
+    this.emailService = new EmailService();
+    this.smsService = new SMSService();
+  }
+
+  /**
+   * Create the orders of all occurrences within their lead time
+   */
+  async processDueOccurrences(now: Date = new Date()): Promise<RecurringRunResult> {
+    const result: RecurringRunResult = { created: 0, skipped: 0, failed: 0 };
+    const snapshot = await this.db
+      .ref(RECURRING_ORDERS_PATH)
+      .orderByChild('active')
+      .equalTo(true)
+      .once('value');
+
+    const templates = Object.entries((snapshot.val() || {}) as Record<string, RecurringOrder>);
+    const tenants = new Map<string, any>();
+
+    for (const [recurringId, template] of templates) {
+      try {
+        const outcomes = await this.processTemplate(recurringId, template, now, tenants);
+        outcomes.forEach((outcome) => {
+          result[outcome.status] += 1;
+        });
+      } catch (error) {
+        // One broken template must not hold up the others
+        logger.error('Error processing recurring order:', { recurringId, error });
+      }
+    }
+
+    return result;
+  }
+
+  // ============================================================================
+  // HELPER METHODS
+  // ============================================================================
+
+  private async processTemplate(
+    recurringId: string,
+    template: RecurringOrder,
+    now: Date,
+    tenants: Map<string, any>,
+  ): Promise<OccurrenceOutcome[]> {
+    const rule = parseRecurrenceRule(template.rrule);
+    const windowEnd = new Date(now.getTime() + ((template.leadHours ?? DEFAULT_LEAD_HOURS) * HOUR_MS));
+    const outcomes: OccurrenceOutcome[] = [];
+
+    for (const occurrence of getOccurrences(rule, now, windowEnd)) {
+      const outcome = await this.processOccurrence(recurringId, template, occurrence, tenants);
+      if (outcome) {
+        outcomes.push(outcome);
+      }
+    }
+
+    const next = getNextOccurrence(rule, windowEnd);
+    await this.db.ref(`${RECURRING_ORDERS_PATH}/${recurringId}`).update(next
+      ? { nextExecution: next.toISOString() }
+      : { nextExecution: null, active: false, completedAt: admin.database.ServerValue.TIMESTAMP });
+
+    return outcomes;
+  }
+
+  /**
+   * Process one occurrence; null if another run already handles it
+   */
+  private async processOccurrence(
+    recurringId: string,
+    template: RecurringOrder,
+    occurrence: Date,
+    tenants: Map<string, any>,
+  ): Promise<OccurrenceOutcome | null> {
+    const key = formatDate(occurrence, "yyyyMMdd'T'HHmm");
+    const occurrenceRef = this.db.ref(`${RECURRING_ORDERS_PATH}/${recurringId}/occurrences/${key}`);
+
+    const claim = await occurrenceRef.transaction((current: RecurringOccurrence | null) => {
+      if (current && !(current.status === 'processing' && current.processedAt < Date.now() - STALE_CLAIM_MS)) {
+        return undefined;
+      }
+      return { status: 'processing', scheduledFor: occurrence.toISOString(), processedAt: Date.now() };
+    });
+    if (!claim.committed) {
+      return null;
+    }
+
+    const tenantId = template.tenantId || template.foodtruckId || '';
+    const [tenant, customer] = await Promise.all([
+      this.getTenant(tenantId, tenants),
+      this.getCustomer(template.userId),
+    ]);
+
+    let outcome: OccurrenceOutcome;
+    try {
+      const closure = this.getClosure(tenant, occurrence);
+      outcome = closure
+        ? { status: 'skipped', ...closure }
+        : {
+          status: 'created',
+          orderId: await this.createOrder(recurringId, key, template, tenantId, tenant, occurrence, customer),
+        };
+    } catch (error) {
+      const reason = this.getFailureReason(error);
+      if (reason === 'error') {
+        logger.error('Error creating recurring order:', { recurringId, occurrence: key, error });
+      }
+      outcome = { status: 'failed', reason, message: FAILURE_MESSAGES[reason] };
+    }
+
+    await occurrenceRef.set({
+      ...outcome,
+      scheduledFor: occurrence.toISOString(),
+      processedAt: admin.database.ServerValue.TIMESTAMP,
+    });
+
+    if (outcome.status !== 'created') {
+      await this.notifyCustomer(customer, tenant, occurrence, outcome);
+    }
+
+    logger.info('Recurring order occurrence processed', {
+      recurringId,
+      occurrence: key,
+      status: outcome.status,
+      reason: outcome.reason,
+    });
+
+    return outcome;
+  }
+
+  /**
+   * Why the truck takes no order at a time, or null if it is open
+   */
+  private getClosure(
+    tenant: any,
+    occurrence: Date,
+  ): { reason: RecurringOccurrenceReason; message: string } | null {
+    if (!tenant || tenant.status !== 'active') {
+      return { reason: 'closed', message: FAILURE_MESSAGES.closed };
+    }
+
+    const calendar = getTenantHolidayCalendar(tenant);
+    if (isWithinBusinessHours(occurrence, this.slotCapacityService.getBusinessHours(tenant), calendar)) {
+      return null;
+    }
+
+    const holiday = getHolidayOn(formatDate(occurrence, 'yyyy-MM-dd'), calendar);
+    return holiday
+      ? { reason: 'holiday', message: `Der Foodtruck ist am ${holiday.name} geschlossen.` }
+      : { reason: 'closed', message: FAILURE_MESSAGES.closed };
+  }
+
+  private getFailureReason(error: unknown): RecurringOccurrenceReason {
+    if (error instanceof OccurrenceFailure) {
+      return error.reason;
+    }
+    if (error instanceof SoldOutError) {
+      return 'sold_out';
+    }
+    if (error instanceof SlotUnavailableError) {
+      return 'slot_unavailable';
+    }
+    if (error instanceof ValidationError) {
+      return 'product_unavailable';
+    }
+    return 'error';
+  }
+
+  /**
+   * Create and charge the order of an occurrence
+   *
+   * The order id is derived from the occurrence, so a run taking over a
+   * stale claim finishes the existing order instead of placing a second one.
+   */
+  private async createOrder(
+    recurringId: string,
+    key: string,
+    template: RecurringOrder,
+    tenantId: string,
+    tenant: any,
+    occurrence: Date,
+    customer: RecurringCustomer,
+  ): Promise<string> {
+    const paymentMethodId = template.paymentMethodId || customer.defaultPaymentMethodId;
+    if (!paymentMethodId || !customer.stripeCustomerId) {
+      throw new OccurrenceFailure('payment_method_missing', FAILURE_MESSAGES.payment_method_missing);
+    }
+
+    const orderRef = this.firestore
+      .collection('tenants')
+      .doc(tenantId)
+      .collection('orders')
+      .doc(`recurring_${recurringId}_${key}`);
+
+    const existing = await orderRef.get();
+    const order = existing.exists
+      ? existing.data()!
+      : await this.placeOrder(orderRef, recurringId, template, tenantId, tenant, occurrence, customer);
+
+    if (order.paymentStatus === 'paid') {
+      return orderRef.id;
+    }
+
+    const payment = await this.paymentProcessor.processPayment({
+      amount: order.total,
+      currency: order.currency,
+      method: PaymentMethod.CREDIT_CARD,
+      orderId: orderRef.id,
+      tenantId,
+      customerId: template.userId,
+      description: `${tenant.name || tenantId} #${order.orderNumber}`,
+      metadata: { recurringId },
+      paymentMethodId,
+      stripeCustomerId: customer.stripeCustomerId,
+      offSession: true,
+      // The same occurrence is never charged twice
+      idempotencyKey: `recurring:${orderRef.id}`,
+    });
+
+    if (payment.status === PaymentStatus.FAILED) {
+      // Releases stock and kitchen capacity (see orderLifecycle.triggers)
+      await orderRef.update({
+        paymentStatus: 'failed',
+        paymentError: payment.error || 'Payment failed',
+        status: 'payment_failed',
+        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+      throw new OccurrenceFailure('payment_failed', FAILURE_MESSAGES.payment_failed);
+    }
+
+    // Anything but an immediate success is settled by the Stripe webhook
+    if (payment.status === PaymentStatus.SUCCEEDED) {
+      await orderRef.update({
+        paymentStatus: 'paid',
+        paymentId: payment.id,
+        paidAt: admin.firestore.FieldValue.serverTimestamp(),
+        status: 'confirmed',
+        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+    }
+
+    return orderRef.id;
+  }
+
+  /**
+   * Reserve stock and kitchen capacity and write the order
+   */
+  private async placeOrder(
+    orderRef: admin.firestore.DocumentReference,
+    recurringId: string,
+    template: RecurringOrder,
+    tenantId: string,
+    tenant: any,
+    occurrence: Date,
+    customer: RecurringCustomer,
+  ): Promise<Record<string, any>> {
+    const orderType: OrderType = template.orderType || 'pickup';
+    const items = await validateOrderItems(tenantId, template.items || [], orderType);
+    const subtotal = items.reduce((sum, item) => sum + (item.price * item.quantity), 0);
+    const taxBreakdown = calculateVATBreakdown(items.map((item) => ({
+      amount: item.price * item.quantity,
+      rate: item.taxRate,
+    })));
+    const prepTime = getEstimatedPreparationTime({ items } as Order);
+
+    await this.inventoryService.reserveItems(tenantId, orderRef.id, items);
+
+    let capacitySlot;
+    try {
+      capacitySlot = await this.slotCapacityService.reserveSlot(tenantId, tenant, {
+        time: occurrence,
+        prepMinutes: prepTime,
+        enforce: true,
+      });
+    } catch (error) {
+      await this.inventoryService.releaseReservedItems(tenantId, orderRef.id);
+      throw error;
+    }
+
+    const order = {
+      orderNumber: generateOrderNumber(tenantId),
+      tenantId,
+      userId: template.userId,
+      customer: {
+        name: customer.name || '',
+        email: customer.email || '',
+        phone: customer.phone || '',
+        notifications: { email: Boolean(customer.email), sms: Boolean(customer.phone) },
+      },
+      items,
+      orderType,
+      scheduledTime: occurrence,
+      notes: template.notes || '',
+      subtotal,
+      tax: taxBreakdown.reduce((sum, line) => sum + line.vat, 0),
+      taxBreakdown,
+      deliveryFee: 0,
+      total: subtotal,
+      currency: tenant.settings?.currency || 'CHF',
+      paymentMethod: PaymentMethod.CREDIT_CARD,
+      paymentStatus: 'pending',
+      status: 'new',
+      estimatedReadyTime: occurrence,
+      preparationTime: prepTime,
+      capacitySlot: capacitySlot
+        ? { key: capacitySlot.key, start: capacitySlot.start, prepMinutes: capacitySlot.prepMinutes }
+        : null,
+      recurringOrderId: recurringId,
+      createdAt: admin.firestore.FieldValue.serverTimestamp(),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      metadata: {
+        source: 'recurring',
+      },
+    };
+
+    try {
+      await orderRef.set(order);
+    } catch (error) {
+      await this.inventoryService.releaseReservedItems(tenantId, orderRef.id);
+      if (capacitySlot) {
+        await this.slotCapacityService.releaseSlot(tenantId, capacitySlot);
+      }
+      throw error;
+    }
+
+    return order;
+  }
+
+  private async notifyCustomer(
+    customer: RecurringCustomer,
+    tenant: any,
+    occurrence: Date,
+    outcome: OccurrenceOutcome,
+  ): Promise<void> {
+    const notice = {
+      tenantName: tenant?.name || 'EATECH',
+      scheduledFor: occurrence,
+      outcome: outcome.status as 'skipped' | 'failed',
+      reason: outcome.message || FAILURE_MESSAGES.error,
+    };
+
+    // A failed notification must not mark the occurrence as failed, and a
+    // failed email must not keep the SMS from being sent
+    if (customer.email) {
+      try {
+        await this.emailService.sendRecurringOrderNotice({
+          ...notice,
+          to: customer.email,
+          customerName: customer.name || '',
+        });
+      } catch (error) {
+        logger.error('Error emailing customer about recurring order:', { error });
+      }
+    }
+    if (customer.phone) {
+      try {
+        await this.smsService.sendRecurringOrderSMS({ ...notice, to: customer.phone });
+      } catch (error) {
+        logger.error('Error texting customer about recurring order:', { error });
+      }
+    }
+  }
+
+  private async getTenant(tenantId: string, tenants: Map<string, any>): Promise<any> {
+    if (!tenants.has(tenantId)) {
+      const tenantDoc = tenantId
+        ? await this.firestore.collection('tenants').doc(tenantId)
+.get()
+        : null;
+      tenants.set(tenantId, tenantDoc?.exists ? tenantDoc.data() : null);
+    }
+
+    return tenants.get(tenantId);
+  }
+
+  private async getCustomer(userId: string): Promise<RecurringCustomer> {
+    const snapshot = await this.db.ref(`${USERS_PATH}/${userId}`).once('value');
+    return (snapshot.val() || {}) as RecurringCustomer;
+  }
+}
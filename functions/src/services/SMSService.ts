@@ -366,6 +366,32 @@ export class SMSService {
     return this.sendSMS({ to: params.to, body });
   }
 
+  /**
+   * Send SMS about a recurring order occurrence that was skipped or failed
+   */
+  async sendRecurringOrderSMS(params: {
+    to: string;
+    tenantName: string;
+    scheduledFor: Date;
+    outcome: 'skipped' | 'failed';
+    reason: string;
+  }): Promise<string | null> {
+    const date = params.scheduledFor.toLocaleString('de-CH', {
+      timeZone: 'Europe/Zurich',
+      weekday: 'short',
+      day: '2-digit',
+      month: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit'
+    });
+    const outcome = params.outcome === 'skipped' ? 'entfällt' : 'konnte nicht aufgegeben werden';
+    const order = `Deine wiederkehrende Bestellung bei ${params.tenantName} am ${date}`;
+    
+    const body = `EATECH: ${order} ${outcome}. ${params.reason}`;
+    
+    return this.sendSMS({ to: params.to, body });
+  }
+
   /**
    * Send reservation reminder SMS
    */
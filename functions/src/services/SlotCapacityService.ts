@@ -0,0 +1,482 @@
+/**
+ * EATECH - Slot Capacity Service
+ * Version: 1.0.0
+ * Description: Kitchen capacity per pickup time slot
+ * Author: EATECH Development Team
+ * Created: 2025-01-09
+ * File Path: /functions/src/services/SlotCapacityService.ts
+ *
+ * Features:
+ * - Per-tenant limits for orders and preparation minutes per slot
+ * - Atomic slot reservation for new orders
+ * - Free pickup slots for a date
+ * - Availability of a date or pickup time for the public API
+ * - Next available slot lookup
+ * - No slots on the tenant's holidays and closure days
+ * - Capacity release for cancelled orders
+ */
+
+import { addDays, addMinutes, isBefore, startOfDay } from 'date-fns';
+import * as admin from 'firebase-admin';
+
+import { CapacitySettings } from '../types/tenant.types';
+import { BusinessError, ErrorCode } from '../utils/errorHandler';
+import { getTenantHolidayCalendar } from '../utils/holidayUtils';
+import { logger } from '../utils/logger';
+import {
+  BUSINESS_HOURS,
+  TIME_SLOTS,
+  findNextAvailableSlot,
+  formatDate,
+  formatTime,
+  fromSwissTime,
+  generateTimeSlots,
+  toSwissTime,
+} from '../utils/timeUtils';
+
+// ============================================================================
+// TYPES & INTERFACES
+// ============================================================================
+
+type SlotBusinessHours = typeof BUSINESS_HOURS.default;
+
+export interface SlotUsage {
+  orders: number;
+  prepMinutes: number;
+}
+
+export interface SlotAvailability extends SlotUsage {
+  key: string;
+  start: string;
+  end: string;
+  time: string;
+  remainingOrders: number | null;
+  remainingPrepMinutes: number | null;
+  available: boolean;
+}
+
+export interface SlotReservation {
+  key: string;
+  start: Date;
+  prepMinutes: number;
+}
+
+export interface ReserveSlotOptions {
+  time: Date;
+  prepMinutes: number;
+  /** Reject instead of overbooking when the slot is full or closed */
+  enforce: boolean;
+  now?: Date;
+}
+
+export interface AvailabilityQuery {
+  /** Date as YYYY-MM-DD, defaults to today */
+  date?: string;
+  /** Pickup time as HH:mm */
+  time?: string;
+  prepMinutes?: number;
+  now?: Date;
+}
+
+export interface Availability {
+  available: boolean;
+  reason: 'closed' | 'full' | null;
+  date: string;
+  openTime: string | null;
+  closeTime: string | null;
+  slotDuration: number;
+  slots: Array<Pick<SlotAvailability, 'start' | 'end' | 'time' | 'available' | 'remainingOrders' | 'remainingPrepMinutes'>>;
+  nextAvailable: Date | null;
+}
+
+export type SlotUnavailableReason = 'full' | 'closed' | 'lead_time';
+
+/**
+ * Raised when a requested pickup slot cannot take another order
+ */
+export class SlotUnavailableError extends BusinessError {
+  public readonly reason: SlotUnavailableReason;
+  public readonly nextAvailableSlot: Date | null;
+
+  constructor(reason: SlotUnavailableReason, nextAvailableSlot: Date | null) {
+    const messages: Record<SlotUnavailableReason, string> = {
+      full: 'Selected time slot is fully booked',
+      closed: 'Selected time is outside business hours',
+      lead_time: 'Selected time is too soon to prepare the order',
+    };
+    super(messages[reason], ErrorCode.SLOT_UNAVAILABLE, { reason, nextAvailableSlot });
+    this.reason = reason;
+    this.nextAvailableSlot = nextAvailableSlot;
+  }
+}
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+const SLOT_CAPACITY_COLLECTION = 'slotCapacity';
+const MAX_LOOKAHEAD_DAYS = 7;
+
+const DEFAULT_CAPACITY: CapacitySettings = {
+  slotDuration: TIME_SLOTS.duration,
+  leadTimeMinutes: 0,
+};
+
+const DAY_NAMES = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'] as const;
+
+// ============================================================================
+// SERVICE CLASS
+// ============================================================================
+
+export default class SlotCapacityService {
+  private firestore: admin.firestore.Firestore;
+
+  constructor() {
+    this.firestore = admin.firestore();
+  }
+
+  /**
+   * Get capacity settings of a tenant merged with defaults
+   */
+  getCapacitySettings(tenant: any): CapacitySettings {
+    return {
+      ...DEFAULT_CAPACITY,
+      ...(tenant?.settings?.capacity || {}),
+    };
+  }
+
+  /**
+   * Convert tenant business hours to the format used by timeUtils
+   *
+   * Tenants store `{ open: boolean, openTime, closeTime }` per day, timeUtils
+   * expects `{ open: 'HH:mm', close: 'HH:mm' }`. Both are accepted here.
+   */
+  getBusinessHours(tenant: any): SlotBusinessHours {
+    const configured = tenant?.settings?.businessHours;
+    if (!configured) {
+      return BUSINESS_HOURS.default;
+    }
+
+    const hours = {} as SlotBusinessHours;
+    for (const day of DAY_NAMES) {
+      const dayHours = configured[day];
+
+      if (!dayHours || dayHours.open === false) {
+        hours[day] = { open: '', close: '' };
+      } else if (typeof dayHours.open === 'string') {
+        hours[day] = { open: dayHours.open, close: dayHours.close };
+      } else {
+        hours[day] = { open: dayHours.openTime, close: dayHours.closeTime };
+      }
+    }
+
+    return hours;
+  }
+
+  /**
+   * Get slot document key (Swiss local time)
+   */
+  getSlotKey(slotStart: Date): string {
+    return formatDate(slotStart, 'yyyy-MM-dd_HHmm');
+  }
+
+  /**
+   * Find the slot a point in time falls into
+   */
+  getSlotStart(tenant: any, time: Date): Date | null {
+    const { slotDuration } = this.getCapacitySettings(tenant);
+    const slots = generateTimeSlots(
+      time,
+      slotDuration,
+      this.getBusinessHours(tenant),
+      getTenantHolidayCalendar(tenant),
+    );
+
+    return slots.find((slot) => !isBefore(time, slot)
+      && isBefore(time, addMinutes(slot, slotDuration))) || null;
+  }
+
+  /**
+   * Check whether a slot can take another order
+   *
+   * An empty slot always accepts one order, so a single large order is never
+   * locked out by a preparation-minute limit smaller than its own prep time.
+   */
+  hasRoom(usage: SlotUsage, settings: CapacitySettings, prepMinutes: number): boolean {
+    if (settings.maxOrdersPerSlot !== undefined && usage.orders + 1 > settings.maxOrdersPerSlot) {
+      return false;
+    }
+
+    if (
+      settings.maxPrepMinutesPerSlot !== undefined
+      && usage.prepMinutes > 0
+      && usage.prepMinutes + prepMinutes > settings.maxPrepMinutesPerSlot
+    ) {
+      return false;
+    }
+
+    return true;
+  }
+
+  /**
+   * Get booked capacity per slot for a date
+   */
+  async getDayUsage(tenantId: string, date: Date): Promise<Map<string, SlotUsage>> {
+    const snapshot = await this.slotCollection(tenantId)
+      .where('date', '==', formatDate(date, 'yyyy-MM-dd'))
+      .get();
+
+    const usage = new Map<string, SlotUsage>();
+    snapshot.forEach((doc) => {
+      usage.set(doc.id, {
+        orders: doc.get('orders') || 0,
+        prepMinutes: doc.get('prepMinutes') || 0,
+      });
+    });
+
+    return usage;
+  }
+
+  /**
+   * Get all pickup slots of a date with their remaining capacity
+   */
+  async getSlotsForDate(
+    tenantId: string,
+    tenant: any,
+    date: Date,
+    options: { prepMinutes?: number; now?: Date } = {},
+  ): Promise<SlotAvailability[]> {
+    const { prepMinutes = 0, now = new Date() } = options;
+    const settings = this.getCapacitySettings(tenant);
+    const earliest = addMinutes(now, settings.leadTimeMinutes || 0);
+
+    const slots = generateTimeSlots(
+      date,
+      settings.slotDuration,
+      this.getBusinessHours(tenant),
+      getTenantHolidayCalendar(tenant),
+    );
+    if (slots.length === 0) {
+      return [];
+    }
+
+    const usage = await this.getDayUsage(tenantId, date);
+
+    return slots.map((slot) => {
+      const key = this.getSlotKey(slot);
+      const slotUsage = usage.get(key) || { orders: 0, prepMinutes: 0 };
+
+      return {
+        key,
+        start: slot.toISOString(),
+        end: addMinutes(slot, settings.slotDuration).toISOString(),
+        time: formatTime(slot),
+        ...slotUsage,
+        remainingOrders: settings.maxOrdersPerSlot !== undefined
+          ? Math.max(0, settings.maxOrdersPerSlot - slotUsage.orders)
+          : null,
+        remainingPrepMinutes: settings.maxPrepMinutesPerSlot !== undefined
+          ? Math.max(0, settings.maxPrepMinutesPerSlot - slotUsage.prepMinutes)
+          : null,
+        available: !isBefore(slot, earliest) && this.hasRoom(slotUsage, settings, prepMinutes),
+      };
+    });
+  }
+
+  /**
+   * Find the next slot at or after a point in time that can take an order
+   */
+  async findNextAvailable(
+    tenantId: string,
+    tenant: any,
+    from: Date,
+    prepMinutes: number = 0,
+    now: Date = new Date(),
+  ): Promise<Date | null> {
+    const settings = this.getCapacitySettings(tenant);
+    const businessHours = this.getBusinessHours(tenant);
+    const calendar = getTenantHolidayCalendar(tenant);
+    const earliest = addMinutes(now, settings.leadTimeMinutes || 0);
+    const start = isBefore(from, earliest) ? earliest : from;
+
+    for (let day = 0; day < MAX_LOOKAHEAD_DAYS; day++) {
+      const date = addDays(start, day);
+      const slots = await this.getSlotsForDate(tenantId, tenant, date, { prepMinutes, now });
+      if (slots.length === 0) {
+        continue;
+      }
+
+      const bookedSlots = slots
+        .filter((slot) => !slot.available)
+        .map((slot) => new Date(slot.start));
+
+      // findNextAvailableSlot only returns slots strictly after the preferred
+      // time, so step back a millisecond to include a slot starting exactly then
+      const dayStart = day === 0 ? start : fromSwissTime(startOfDay(toSwissTime(date)));
+      const next = findNextAvailableSlot(
+        new Date(dayStart.getTime() - 1),
+        bookedSlots,
+        settings.slotDuration,
+        businessHours,
+        calendar,
+      );
+
+      // Only usage for this day was loaded, so only trust a result on it
+      if (next && formatDate(next, 'yyyy-MM-dd') === formatDate(date, 'yyyy-MM-dd')) {
+        return next;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Check whether a date, or a pickup time on it, can take another order
+   *
+   * Without a time the date counts as available if any slot is free. The next
+   * free slot is only looked up when the request cannot be served.
+   */
+  async getAvailability(tenantId: string, tenant: any, query: AvailabilityQuery = {}): Promise<Availability> {
+    const { date, time, prepMinutes = 0, now = new Date() } = query;
+
+    // Midday avoids landing on the neighbouring day through timezone shifts
+    const requestedDate = date ? new Date(`${date}T12:00:00`) : now;
+
+    const slots = await this.getSlotsForDate(tenantId, tenant, requestedDate, { prepMinutes, now });
+
+    const requestedSlot = time
+      ? slots.find((slot) => slot.time <= time && time < formatTime(new Date(slot.end)))
+      : undefined;
+
+    const available = time
+      ? Boolean(requestedSlot?.available)
+      : slots.some((slot) => slot.available);
+
+    const nextAvailable = available
+      ? null
+      : await this.findNextAvailable(
+        tenantId,
+        tenant,
+        requestedSlot ? new Date(requestedSlot.start) : requestedDate,
+        prepMinutes,
+        now,
+      );
+
+    return {
+      available,
+      reason: slots.length === 0 ? 'closed' : (available ? null : 'full'),
+      date: formatDate(requestedDate, 'yyyy-MM-dd'),
+      openTime: slots[0]?.time || null,
+      closeTime: slots.length > 0 ? formatTime(new Date(slots[slots.length - 1].end)) : null,
+      slotDuration: this.getCapacitySettings(tenant).slotDuration,
+      slots: slots.map((slot) => ({
+        start: slot.start,
+        end: slot.end,
+        time: slot.time,
+        available: slot.available,
+        remainingOrders: slot.remainingOrders,
+        remainingPrepMinutes: slot.remainingPrepMinutes,
+      })),
+      nextAvailable,
+    };
+  }
+
+  /**
+   * Reserve capacity for an order in the slot of the given time
+   *
+   * Returns null if the time is outside business hours and `enforce` is off;
+   * such orders are not tracked against any slot.
+   */
+  async reserveSlot(
+    tenantId: string,
+    tenant: any,
+    options: ReserveSlotOptions,
+  ): Promise<SlotReservation | null> {
+    const { time, prepMinutes, enforce, now = new Date() } = options;
+    const settings = this.getCapacitySettings(tenant);
+
+    if (enforce && isBefore(time, addMinutes(now, settings.leadTimeMinutes || 0))) {
+      throw new SlotUnavailableError(
+        'lead_time',
+        await this.findNextAvailable(tenantId, tenant, now, prepMinutes, now),
+      );
+    }
+
+    const slotStart = this.getSlotStart(tenant, time);
+    if (!slotStart) {
+      if (enforce) {
+        throw new SlotUnavailableError(
+          'closed',
+          await this.findNextAvailable(tenantId, tenant, time, prepMinutes, now),
+        );
+      }
+      return null;
+    }
+
+    const key = this.getSlotKey(slotStart);
+    const ref = this.slotCollection(tenantId).doc(key);
+
+    const reserved = await this.firestore.runTransaction(async (transaction) => {
+      const snapshot = await transaction.get(ref);
+      const usage: SlotUsage = {
+        orders: snapshot.get('orders') || 0,
+        prepMinutes: snapshot.get('prepMinutes') || 0,
+      };
+
+      if (enforce && !this.hasRoom(usage, settings, prepMinutes)) {
+        return false;
+      }
+
+      transaction.set(ref, {
+        date: formatDate(slotStart, 'yyyy-MM-dd'),
+        start: admin.firestore.Timestamp.fromDate(slotStart),
+        orders: usage.orders + 1,
+        prepMinutes: usage.prepMinutes + prepMinutes,
+        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      }, { merge: true });
+
+      return true;
+    });
+
+    if (!reserved) {
+      throw new SlotUnavailableError(
+        'full',
+        await this.findNextAvailable(tenantId, tenant, slotStart, prepMinutes, now),
+      );
+    }
+
+    return { key, start: slotStart, prepMinutes };
+  }
+
+  /**
+   * Give the capacity of a reservation back to its slot
+   */
+  async releaseSlot(
+    tenantId: string,
+    reservation: { key: string; prepMinutes: number },
+  ): Promise<void> {
+    const ref = this.slotCollection(tenantId).doc(reservation.key);
+
+    await this.firestore.runTransaction(async (transaction) => {
+      const snapshot = await transaction.get(ref);
+      if (!snapshot.exists) {
+        return;
+      }
+
+      transaction.update(ref, {
+        orders: Math.max(0, (snapshot.get('orders') || 0) - 1),
+        prepMinutes: Math.max(0, (snapshot.get('prepMinutes') || 0) - reservation.prepMinutes),
+        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+    });
+
+    logger.info('Released slot capacity', { tenantId, slot: reservation.key });
+  }
+
+  private slotCollection(tenantId: string): admin.firestore.CollectionReference {
+    return this.firestore
+      .collection('tenants')
+      .doc(tenantId)
+      .collection(SLOT_CAPACITY_COLLECTION);
+  }
+}
@@ -889,9 +889,9 @@ export default class TenantService {
    */
   private async createDefaultTaxRates(tenantId: string): Promise<void> {
     const swissTaxRates = [
-      { name: 'Standard', rate: 7.7, default: true },
-      { name: 'Reduziert', rate: 2.5, default: false },
-      { name: 'Sondersatz', rate: 3.7, default: false }
+      { name: 'Standard', rate: 8.1, default: true },
+      { name: 'Reduziert', rate: 2.6, default: false },
+      { name: 'Sondersatz', rate: 3.8, default: false }
     ];
 
     const batch = this.firestore.batch();
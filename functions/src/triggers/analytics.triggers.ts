@@ -13,12 +13,16 @@ import * as functions from 'firebase-functions';
 import * as admin from 'firebase-admin';
 import { AnalyticsService } from '../services/AnalyticsService';
 import { AIPredictionService } from '../services/AIPredictionService';
+import { getHolidayOn, getTenantHolidayCalendar } from '../utils/holidayUtils';
 import { logger } from '../utils/logger';
 
 // Services
 const analyticsService = new AnalyticsService();
 const aiService = new AIPredictionService();
 
+// Lazy loaded utilities
+const timeUtils = () => import('../utils/timeUtils');
+
 // Types
 interface AnalyticsEvent {
   eventType: string;
@@ -175,13 +179,20 @@ export const generateDailyReport = functions
         // Generate tenant report
         const report = await generateTenantDailyReport(tenantId, yesterday, todayStart);
         
+        // Flag holidays so a closed day is not read as a drop in sales
+        const { formatDate } = await timeUtils();
+        const holiday = getHolidayOn(
+          formatDate(yesterday, 'yyyy-MM-dd'),
+          getTenantHolidayCalendar(tenant)
+        );
+        
         // Store report
         await admin.firestore()
           .collection('tenants')
           .doc(tenantId)
           .collection('analytics')
           .doc(`daily_${yesterday.toISOString().split('T')[0]}`)
-          .set(report);
+          .set({ ...report, holiday });
 
         // Run AI predictions
         if (tenant.features?.aiPredictions) {
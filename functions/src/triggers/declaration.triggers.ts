@@ -0,0 +1,124 @@
+/**
+ * EATECH Firebase Functions - Declaration Triggers
+ * Version: 1.0.0
+ *
+ * Keeps product allergen and nutrition declarations in sync with the
+ * inventory items and recipes they are computed from
+ *
+ * Author: EATECH Development Team
+ * Created: 2025-01-09
+ * File Path: /functions/src/triggers/declaration.triggers.ts
+ */
+
+import * as functions from 'firebase-functions';
+
+import ProductDeclarationService from '../services/ProductDeclarationService';
+import { logger } from '../utils/logger';
+import { stableStringify } from '../utils/restoreUtils';
+
+// Services
+const productDeclarationService = new ProductDeclarationService();
+
+// Inventory item fields a declaration is computed from
+const ITEM_DECLARATION_FIELDS = ['allergens', 'traces', 'nutritionPer100g', 'gramsPerPiece', 'gramsPerMl'];
+
+// Product fields entered by admins that declarations depend on
+const PRODUCT_DECLARATION_FIELDS = ['allergens', 'nutrition', 'modifierGroups'];
+
+const fieldsChanged = (
+  before: Record<string, unknown> | undefined,
+  after: Record<string, unknown> | undefined,
+  fields: string[],
+): boolean => fields.some((field) => stableStringify(before?.[field]) !== stableStringify(after?.[field]));
+
+/**
+ * Stored ids are {tenantId}_{id}; documents without a tenantId field are
+ * split at the first underscore
+ */
+const splitTenantDocId = (
+  docId: string,
+  data: Record<string, unknown> | undefined,
+): { tenantId: string; id: string } => {
+  const tenantId = typeof data?.tenantId === 'string' ? data.tenantId : docId.split('_')[0];
+  return { tenantId, id: docId.slice(tenantId.length + 1) };
+};
+
+// ============================================================================
+// INVENTORY ITEM CHANGE
+// ============================================================================
+export const onInventoryDeclarationChange = functions
+  .region('europe-west1')
+  .firestore
+  .document('inventory/{docId}')
+  .onWrite(async (change, context) => {
+    const before = change.before.data();
+    const after = change.after.data();
+
+    // Stock movements do not change any declaration
+    if (!fieldsChanged(before, after, ITEM_DECLARATION_FIELDS)) {
+      return;
+    }
+
+    const { tenantId, id: itemId } = splitTenantDocId(context.params.docId, after || before);
+
+    try {
+      const products = await productDeclarationService.refreshForItem(tenantId, itemId);
+      logger.info('Product declarations refreshed after ingredient change', { tenantId, itemId, products });
+    } catch (error) {
+      logger.error('Error refreshing declarations for inventory item:', { tenantId, itemId, error });
+      throw error;
+    }
+  });
+
+// ============================================================================
+// RECIPE CHANGE
+// ============================================================================
+export const onRecipeDeclarationChange = functions
+  .region('europe-west1')
+  .firestore
+  .document('recipes/{docId}')
+  .onWrite(async (change, context) => {
+    const before = change.before.data();
+    const after = change.after.data();
+    const { tenantId, id: recipeId } = splitTenantDocId(context.params.docId, after || before);
+
+    try {
+      const products = await productDeclarationService.refreshForRecipe(tenantId, recipeId);
+
+      // A deleted dish recipe is not found by refreshForRecipe any more;
+      // drop the declarations of its product
+      if (!after) {
+        await productDeclarationService.refreshProduct(tenantId, recipeId);
+      }
+
+      logger.info('Product declarations refreshed after recipe change', { tenantId, recipeId, products });
+    } catch (error) {
+      logger.error('Error refreshing declarations for recipe:', { tenantId, recipeId, error });
+      throw error;
+    }
+  });
+
+// ============================================================================
+// PRODUCT CHANGE
+// ============================================================================
+export const onProductDeclarationChange = functions
+  .region('europe-west1')
+  .firestore
+  .document('tenants/{tenantId}/products/{productId}')
+  .onWrite(async (change, context) => {
+    const { tenantId, productId } = context.params;
+    const after = change.after.data();
+
+    // Only manual values and modifiers matter; the declarations written
+    // by refreshProduct itself end here
+    if (!after || !fieldsChanged(change.before.data(), after, PRODUCT_DECLARATION_FIELDS)) {
+      return;
+    }
+
+    try {
+      await productDeclarationService.refreshProduct(tenantId, productId);
+    } catch (error) {
+      logger.error('Error refreshing product declarations:', { tenantId, productId, error });
+      throw error;
+    }
+  });
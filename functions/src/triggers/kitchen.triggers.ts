@@ -0,0 +1,175 @@
+/**
+ * EATECH Firebase Functions - Kitchen Triggers
+ * Version: 1.0.0
+ *
+ * Kitchen tickets for confirmed orders and callable functions used by the
+ * kitchen display app
+ *
+ * Author: EATECH Development Team
+ * Created: 2025-01-09
+ * File Path: /functions/src/triggers/kitchen.triggers.ts
+ */
+
+import * as admin from 'firebase-admin';
+import * as functions from 'firebase-functions';
+
+import KitchenDisplayService, { TICKET_STATUS } from '../services/KitchenDisplayService';
+import { OrderTransitionError } from '../services/OrderWorkflowService';
+import { Order, OrderWorkflowRole } from '../types/order.types';
+import { AuthorizationError } from '../utils/errorHandler';
+import { isConfirmedTransition } from '../utils/kitchenTicketUtils';
+import { logger } from '../utils/logger';
+
+interface UpdateTicketStatusData {
+  tenantId?: string;
+  ticketId?: string;
+  status?: string;
+  stationId?: string;
+}
+
+// Services
+const kitchenDisplayService = new KitchenDisplayService();
+
+// Member roles allowed to work on kitchen tickets (see isTenantStaff in firestore.rules)
+const KITCHEN_ROLES = ['admin', 'owner', 'manager', 'staff'];
+
+const TICKET_STATUSES: string[] = Object.values(TICKET_STATUS);
+
+// ============================================================================
+// ORDER CONFIRMED
+// ============================================================================
+export const onOrderConfirmed = functions
+  .region('europe-west1')
+  .firestore
+  .document('tenants/{tenantId}/orders/{orderId}')
+  .onUpdate(async (change, context) => {
+    const { tenantId, orderId } = context.params;
+    const before = change.before.data() as Order;
+    const after = change.after.data() as Order;
+
+    if (!isConfirmedTransition(before, after)) {
+      return;
+    }
+
+    try {
+      await kitchenDisplayService.createTicketForOrder(tenantId, orderId, after);
+    } catch (error) {
+      logger.error('Error creating kitchen ticket', { error, tenantId, orderId });
+      throw error;
+    }
+  });
+
+// ============================================================================
+// TICKET STATUS UPDATE
+// ============================================================================
+export const updateKitchenTicketStatus = functions
+  .region('europe-west1')
+  .https.onCall(async (data, context) => {
+    if (!context.auth) {
+      throw new functions.https.HttpsError(
+        'unauthenticated',
+        'User must be authenticated',
+      );
+    }
+
+    const { tenantId, ticketId, status, stationId } = (data || {}) as UpdateTicketStatusData;
+
+    if (!tenantId || !ticketId || !status || !TICKET_STATUSES.includes(status)) {
+      throw new functions.https.HttpsError(
+        'invalid-argument',
+        'tenantId, ticketId and a valid status are required',
+      );
+    }
+
+    const member = await admin.firestore()
+      .collection('tenants')
+      .doc(tenantId)
+      .collection('members')
+      .doc(context.auth.uid)
+      .get();
+
+    if (!member.exists || !KITCHEN_ROLES.includes(member.get('role') as string)) {
+      throw new functions.https.HttpsError(
+        'permission-denied',
+        'Insufficient permissions',
+      );
+    }
+
+    try {
+      await kitchenDisplayService.updateTicketStatus(tenantId, ticketId, status, {
+        stationId,
+        userId: context.auth.uid,
+        userName: (member.get('displayName') || context.auth.token.name) as string | undefined,
+        role: member.get('role') as OrderWorkflowRole,
+      });
+
+      return { success: true };
+    } catch (error) {
+      if (error instanceof OrderTransitionError) {
+        throw new functions.https.HttpsError('failed-precondition', error.message, {
+          reason: error.reason,
+          guard: error.guard,
+        });
+      }
+      if (error instanceof AuthorizationError) {
+        throw new functions.https.HttpsError('permission-denied', error.message);
+      }
+
+      logger.error('Error updating kitchen ticket status', { error, tenantId, ticketId });
+      throw new functions.https.HttpsError('internal', 'Failed to update ticket status');
+    }
+  });
+
+// ============================================================================
+// TICKET REPRINT
+// ============================================================================
+export const reprintKitchenTicket = functions
+  .region('europe-west1')
+  .https.onCall(async (data, context) => {
+    if (!context.auth) {
+      throw new functions.https.HttpsError(
+        'unauthenticated',
+        'User must be authenticated',
+      );
+    }
+
+    const { tenantId, ticketId } = (data || {}) as UpdateTicketStatusData;
+
+    if (!tenantId || !ticketId) {
+      throw new functions.https.HttpsError(
+        'invalid-argument',
+        'tenantId and ticketId are required',
+      );
+    }
+
+    const member = await admin.firestore()
+      .collection('tenants')
+      .doc(tenantId)
+      .collection('members')
+      .doc(context.auth.uid)
+      .get();
+
+    if (!member.exists || !KITCHEN_ROLES.includes(member.get('role') as string)) {
+      throw new functions.https.HttpsError(
+        'permission-denied',
+        'Insufficient permissions',
+      );
+    }
+
+    try {
+      const results = await kitchenDisplayService.reprintTicket(tenantId, ticketId);
+      return { success: results.every((result) => result.success), results };
+    } catch (error) {
+      logger.error('Error reprinting kitchen ticket', { error, tenantId, ticketId });
+      throw new functions.https.HttpsError('internal', 'Failed to print ticket');
+    }
+  });
+
+// ============================================================================
+// EXPORT ALL TRIGGERS
+// ============================================================================
+export const kitchenTriggers = {
+  onOrderConfirmed,
+  updateKitchenTicketStatus,
+  reprintKitchenTicket,
+};
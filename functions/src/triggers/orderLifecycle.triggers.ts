@@ -0,0 +1,112 @@
+/**
+ * EATECH Firebase Functions - Order Lifecycle Triggers
+ * Version: 1.0.0
+ *
+ * Side effects of order status changes on Firestore orders:
+ * workflow check, stock reservations, pickup slot capacity and analytics events
+ *
+ * Author: EATECH Development Team
+ * Created: 2025-01-09
+ * File Path: /functions/src/triggers/orderLifecycle.triggers.ts
+ */
+
+import * as functions from 'firebase-functions';
+
+import { AnalyticsService } from '../services/AnalyticsService';
+import InventoryService from '../services/InventoryService';
+import OrderWorkflowService from '../services/OrderWorkflowService';
+import SlotCapacityService, { SlotReservation } from '../services/SlotCapacityService';
+import { Order } from '../types/order.types';
+import { logger } from '../utils/logger';
+import { RESERVATION_RELEASE_STATUSES } from '../utils/orderUtils';
+
+// Services
+const analyticsService = new AnalyticsService();
+const inventoryService = new InventoryService();
+const orderWorkflowService = new OrderWorkflowService();
+const slotCapacityService = new SlotCapacityService();
+
+// Statuses in which reserved stock is definitely used. Consuming is a no-op
+// once done, so an order skipping `confirmed` is still booked out correctly.
+const STOCK_CONSUME_STATUSES = ['confirmed', 'preparing', 'ready', 'delivered', 'completed'];
+
+// Analytics event reported when an order reaches a status
+const STATUS_EVENTS: Record<string, string> = {
+  cancelled: 'order_cancelled',
+  completed: 'order_completed',
+  payment_failed: 'payment_failed',
+};
+
+// ============================================================================
+// ORDER STATUS CHANGE
+// ============================================================================
+export const onOrderLifecycleChange = functions
+  .region('europe-west1')
+  .firestore
+  .document('tenants/{tenantId}/orders/{orderId}')
+  .onUpdate(async (change, context) => {
+    const { tenantId, orderId } = context.params;
+    const before = change.before.data();
+    const after = change.after.data();
+    const previousStatus = before.status as string;
+    const status = after.status as string;
+
+    if (previousStatus === status) {
+      return;
+    }
+
+    try {
+      // Status writes that bypassed OrderWorkflowService are checked against
+      // the tenant workflow; rejected ones are reverted without side effects
+      const review = await orderWorkflowService.reviewExternalTransition(
+        tenantId,
+        orderId,
+        before as Order,
+        after as Order,
+      );
+      if (review === 'rejected' || review === 'reverted') {
+        return;
+      }
+
+      if (STOCK_CONSUME_STATUSES.includes(status)) {
+        await inventoryService.consumeReservedItems(tenantId, orderId);
+      }
+
+      if (RESERVATION_RELEASE_STATUSES.includes(status)) {
+        await inventoryService.releaseReservedItems(tenantId, orderId);
+      }
+
+      // Give the pickup slot back so other customers can book it
+      if (
+        after.capacitySlot
+        && RESERVATION_RELEASE_STATUSES.includes(status)
+        && !RESERVATION_RELEASE_STATUSES.includes(previousStatus)
+      ) {
+        await slotCapacityService.releaseSlot(tenantId, after.capacitySlot as SlotReservation);
+      }
+
+      if (STATUS_EVENTS[status]) {
+        // Fixed id so a retried trigger does not count the order twice
+        await analyticsService.trackEvent({
+          id: `${tenantId}_${orderId}_${status}`,
+          type: STATUS_EVENTS[status],
+          tenantId,
+          userId: (after.userId as string | null) || undefined,
+          data: {
+            orderId,
+            amount: after.total as number | undefined,
+          },
+        });
+      }
+    } catch (error) {
+      logger.error('Error handling order lifecycle change', { error, tenantId, orderId });
+      throw error;
+    }
+  });
+
+// ============================================================================
+// EXPORT ALL TRIGGERS
+// ============================================================================
+export const orderLifecycleTriggers = {
+  onOrderLifecycleChange,
+};
@@ -15,6 +15,8 @@ import { EmailService } from '../services/EmailService';
 import { AnalyticsService } from '../services/AnalyticsService';
 import { InventoryService } from '../services/InventoryService';
 import { AIPredictionService } from '../services/AIPredictionService';
+import RecurringOrderService from '../services/RecurringOrderService';
+import { Holiday, getHolidayOn, getTenantHolidayCalendar } from '../utils/holidayUtils';
 import { logger } from '../utils/logger';
 
 // Services
@@ -23,6 +25,9 @@ const analyticsService = new AnalyticsService();
 const inventoryService = new InventoryService();
 const aiService = new AIPredictionService();
 
+// Lazy loaded utilities
+const timeUtils = () => import('../utils/timeUtils');
+
 // ============================================================================
 // DAILY CLEANUP
 // ============================================================================
@@ -50,6 +55,9 @@ export const dailyCleanup = functions
       // Clean up temporary files
       await cleanupTempFiles();
 
+      // Clean up expired idempotency keys
+      await cleanupExpiredIdempotencyKeys();
+
       logger.info('Daily cleanup completed successfully');
     } catch (error) {
       logger.error('Error in daily cleanup', { error });
@@ -110,6 +118,46 @@ export const checkInventoryLevels = functions
     }
   });
 
+// ============================================================================
+// RECURRING PRE-ORDERS
+// ============================================================================
+export const processRecurringOrders = functions
+  .region('europe-west1')
+  .runWith({ timeoutSeconds: 300 })
+  .pubsub
+  .schedule('*/15 * * * *') // Every 15 minutes
+  .timeZone('Europe/Zurich')
+  .onRun(async () => {
+    logger.info('Processing recurring orders');
+
+    try {
+      // Created per run; the payment processor needs the Stripe config
+      const result = await new RecurringOrderService().processDueOccurrences();
+      logger.info('Recurring orders processed', result);
+    } catch (error) {
+      logger.error('Error processing recurring orders', { error });
+      throw error;
+    }
+  });
+
+// ============================================================================
+// STALE STOCK RESERVATIONS
+// ============================================================================
+export const releaseStaleReservations = functions
+  .region('europe-west1')
+  .runWith({ timeoutSeconds: 300 })
+  .pubsub
+  .schedule('*/30 * * * *') // Every 30 minutes
+  .timeZone('Europe/Zurich')
+  .onRun(async () => {
+    try {
+      await inventoryService.releaseStaleReservations();
+    } catch (error) {
+      logger.error('Error releasing stale reservations', { error });
+      throw error;
+    }
+  });
+
 // ============================================================================
 // WEEKLY REPORTS
 // ============================================================================
@@ -136,7 +184,7 @@ export const generateWeeklyReports = functions
         const tenant = tenantDoc.data();
 
         // Generate report data
-        const reportData = await generateTenantWeeklyReport(tenantId, startDate, endDate);
+        const reportData = await generateTenantWeeklyReport(tenantId, tenant, startDate, endDate);
         
         // Store report
         await admin.firestore()
@@ -452,7 +500,24 @@ async function cleanupTempFiles() {
   logger.info(`Cleaned up ${tempFilesSnapshot.size} temporary files`);
 }
 
-async function generateTenantWeeklyReport(tenantId: string, startDate: Date, endDate: Date) {
+async function cleanupExpiredIdempotencyKeys() {
+  const expiredKeysSnapshot = await admin.firestore()
+    .collectionGroup('idempotencyKeys')
+    .where('expiresAt', '<', new Date())
+    .limit(500)
+    .get();
+
+  const batch = admin.firestore().batch();
+  expiredKeysSnapshot.forEach(doc => {
+    batch.delete(doc.ref);
+  });
+
+  await batch.commit();
+  
+  logger.info(`Cleaned up ${expiredKeysSnapshot.size} expired idempotency keys`);
+}
+
+async function generateTenantWeeklyReport(tenantId: string, tenant: any, startDate: Date, endDate: Date) {
   // Get order statistics
   const ordersSnapshot = await admin.firestore()
     .collection('tenants')
@@ -512,6 +577,13 @@ async function generateTenantWeeklyReport(tenantId: string, startDate: Date, end
     stats.avgOrderValue = stats.totalRevenue / stats.totalOrders;
   }
 
+  // Holidays and closure days of the tenant within the report period
+  const { formatDate, getDatesInRange } = await timeUtils();
+  const calendar = getTenantHolidayCalendar(tenant);
+  const holidays = getDatesInRange(startDate, endDate)
+    .map(date => getHolidayOn(formatDate(date, 'yyyy-MM-dd'), calendar))
+    .filter((holiday): holiday is Holiday => holiday !== null);
+
   // Sort top products
   const sortedProducts = Object.entries(stats.topProducts)
     .sort((a: any, b: any) => b[1].revenue - a[1].revenue)
@@ -526,6 +598,7 @@ async function generateTenantWeeklyReport(tenantId: string, startDate: Date, end
     },
     ...stats,
     topProducts: sortedProducts,
+    holidays,
     generatedAt: admin.firestore.FieldValue.serverTimestamp()
   };
 }
@@ -573,6 +646,8 @@ async function backupCollection(collectionName: string, backupPath: string) {
 export const scheduledTriggers = {
   dailyCleanup,
   checkInventoryLevels,
+  processRecurringOrders,
+  releaseStaleReservations,
   generateWeeklyReports,
   checkSubscriptionRenewals,
   trainAIModels,
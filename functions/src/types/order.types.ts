@@ -25,6 +25,8 @@ export type OrderStatus =
   | 'completed'
   | 'cancelled'
   | 'refunded'
+  | 'partially_refunded'
+  | 'on_hold'
   | 'scheduled'
   | 'error'
   | 'payment_failed';
@@ -100,17 +102,51 @@ export interface OrderItemOption {
   price: number;
 }
 
+export interface OrderItemVariant {
+  id: string;
+  name: string;
+  price: number;
+}
+
+export interface OrderItemAddon {
+  id: string;
+  productId?: string;
+  name: string;
+  price: number;
+  quantity: number;
+}
+
+/**
+ * Component of a menu deal, per ordered deal
+ */
+export interface OrderItemBundleComponent {
+  productId: string;
+  name: string;
+  quantity: number;
+  modifiers?: string[];
+}
+
+export interface OrderItemBundle {
+  id: string;
+  name: string;
+  items: OrderItemBundleComponent[];
+}
+
 export interface OrderItem {
   productId: string;
   name: string;
   description?: string;
-  price: number;
-  basePrice: number;
+  price: number; // unit price including variant, options and add-ons
+  basePrice: number; // unit price of the product, variant or deal alone
   quantity: number;
+  variant?: OrderItemVariant;
   options?: OrderItemOption[];
+  addons?: OrderItemAddon[];
+  bundle?: OrderItemBundle;
   notes?: string;
   image?: string;
   category?: string;
+  taxRate?: number; // VAT rate applied, depends on takeaway or on-site consumption
 }
 
 // ============================================================================
@@ -202,6 +238,7 @@ export interface Order {
   subtotal: number;
   tax: number;
   taxRate?: number;
+  taxBreakdown?: VatBreakdownLine[];
   deliveryFee?: number;
   serviceFee?: number;
   tip?: number;
@@ -218,10 +255,23 @@ export interface Order {
   // Status
   status: OrderStatus;
   statusHistory?: Record<string, admin.firestore.Timestamp>;
+  heldStatus?: OrderStatus; // status to resume after on_hold
+  lastTransition?: {
+    id: string;
+    from: OrderStatus;
+    to: OrderStatus;
+  };
+  statusRevertedFrom?: OrderStatus; // status written directly and rejected by the workflow
   
   // Delivery (if applicable)
   deliveryAddress?: DeliveryAddress;
   deliveryInfo?: DeliveryInfo;
+  deliveryZone?: {
+    id: string;
+    name: string;
+    extraMinutes: number;
+  } | null;
+  estimatedDeliveryTime?: Date | admin.firestore.Timestamp;
   
   // Kitchen & preparation
   preparationTime?: number; // minutes
@@ -249,6 +299,7 @@ export interface Order {
   // Timestamps
   createdAt: admin.firestore.Timestamp;
   updatedAt: admin.firestore.Timestamp;
+  updatedBy?: string | null;
   confirmedAt?: admin.firestore.Timestamp;
   preparingAt?: admin.firestore.Timestamp;
   readyAt?: admin.firestore.Timestamp;
@@ -360,6 +411,21 @@ export interface OrderTotals {
   savings?: number;
 }
 
+/**
+ * Takeaway is taxed at the reduced rate, on-site consumption at the standard rate
+ */
+export type ConsumptionType = 'takeaway' | 'onSite';
+
+/**
+ * Amounts of one VAT rate, as printed on receipts
+ */
+export interface VatBreakdownLine {
+  rate: number;
+  net: number;
+  vat: number;
+  gross: number;
+}
+
 export interface OrderFilters {
   status?: OrderStatus;
   paymentStatus?: PaymentStatus;
@@ -412,6 +478,77 @@ export interface OrderChange {
   reason?: string;
 }
 
+// ============================================================================
+// WORKFLOW TYPES
+// ============================================================================
+
+/**
+ * Who changes an order status. `system` stands for triggers and webhooks and
+ * is not subject to role restrictions, only to guards.
+ */
+export type OrderWorkflowRole =
+  | 'owner'
+  | 'admin'
+  | 'manager'
+  | 'staff'
+  | 'customer'
+  | 'system';
+
+/**
+ * Conditions checked before a transition
+ */
+export type OrderTransitionGuard =
+  | 'paid' // payment captured
+  | 'reason' // reason given
+  | 'delivery' // delivery orders only
+  | 'not_delivery' // pickup, dine-in and drive-thru orders only
+  | 'held_status' // back to the status the order was held in
+  | 'full_refund' // refund covers the order total
+  | 'partial_refund'; // refund below the order total
+
+export interface OrderWorkflowTransition {
+  from: OrderStatus;
+  to: OrderStatus;
+  roles?: OrderWorkflowRole[]; // all staff roles if not set
+  guards?: OrderTransitionGuard[];
+}
+
+export type OrderWorkflowPreset = 'standard' | 'foodtruck' | 'event_stand' | 'table_service';
+
+export interface OrderWorkflow {
+  id: string;
+  name: string;
+  transitions: OrderWorkflowTransition[];
+}
+
+/**
+ * Tenant workflow: a preset, optionally replaced by own transitions
+ */
+export interface OrderWorkflowSettings {
+  preset?: OrderWorkflowPreset;
+  transitions?: OrderWorkflowTransition[];
+}
+
+/**
+ * History entry written for every status transition
+ */
+export interface OrderStatusChange {
+  id: string;
+  from: OrderStatus;
+  to: OrderStatus;
+  workflow: string;
+  actor: {
+    uid: string | null;
+    role: OrderWorkflowRole;
+    name?: string;
+  };
+  source: 'admin' | 'kitchen' | 'trigger' | 'api';
+  reason?: string;
+  refundAmount?: number;
+  rejected?: boolean; // direct write that broke the workflow and was reverted
+  createdAt: admin.firestore.Timestamp;
+}
+
 // ============================================================================
 // QUEUE TYPES
 // ============================================================================
@@ -442,6 +579,161 @@ export interface DeliveryQueueItem {
   estimatedDeliveryTime?: Date;
 }
 
+// ============================================================================
+// RECURRING ORDER TYPES
+// ============================================================================
+
+export type RecurringOccurrenceStatus = 'processing' | 'created' | 'skipped' | 'failed';
+
+export type RecurringOccurrenceReason =
+  | 'holiday'
+  | 'closed'
+  | 'product_unavailable'
+  | 'sold_out'
+  | 'slot_unavailable'
+  | 'payment_method_missing'
+  | 'payment_failed'
+  | 'error';
+
+/**
+ * Template of a recurring pre-order (Realtime Database, recurring_orders/{id})
+ */
+export interface RecurringOrder {
+  userId: string;
+  tenantId?: string;
+  foodtruckId?: string; // written by older master app versions instead of tenantId
+  items: Array<{
+    productId: string;
+    quantity: number;
+    variantId?: string;
+    notes?: string;
+  }>;
+  orderType?: OrderType;
+  notes?: string;
+  /** DTSTART and RRULE lines as in RFC 5545 (see recurrenceUtils) */
+  rrule: string;
+  /** Saved Stripe payment method; the customer's default if not set */
+  paymentMethodId?: string;
+  /** Hours before an occurrence its order is created and charged */
+  leadHours?: number;
+  active: boolean;
+  nextExecution?: string | null;
+  occurrences?: Record<string, RecurringOccurrence>;
+}
+
+/**
+ * Outcome of one occurrence, keyed by its Swiss local time (yyyyMMdd'T'HHmm)
+ */
+export interface RecurringOccurrence {
+  status: RecurringOccurrenceStatus;
+  scheduledFor: string;
+  orderId?: string;
+  reason?: RecurringOccurrenceReason;
+  message?: string;
+  processedAt: number;
+}
+
+// ============================================================================
+// OFFLINE POS TYPES
+// ============================================================================
+
+/**
+ * Order numbers reserved for one POS device; start and end are inclusive
+ */
+export interface PosNumberBlock {
+  deviceId: string;
+  start: number;
+  end: number;
+  reservedAt: string;
+}
+
+export type PosPaymentMethod = 'cash' | 'card_terminal';
+
+/**
+ * Payment taken at the truck without the payment provider
+ */
+export interface PosPayment {
+  method: PosPaymentMethod;
+  /** Amount charged, after Swiss rounding for cash */
+  amount: number;
+  /** Cash handed over by the customer */
+  tendered?: number;
+  change?: number;
+  /** Transaction reference printed by the card terminal */
+  terminalReference?: string;
+  paidAt: string;
+}
+
+/**
+ * Order taken by a POS device while offline, as uploaded for reconciliation
+ */
+export interface OfflinePosOrder {
+  /** Unique per device, chosen by the device */
+  localId: string;
+  orderNumber: number;
+  /** Menu snapshot the order was priced from */
+  snapshotId: string;
+  orderType: OrderType;
+  items: Array<{
+    productId: string;
+    quantity: number;
+    variantId?: string;
+    bundleId?: string;
+    options?: Array<{ id: string; choiceId?: string; choiceIds?: string[] }>;
+    addons?: Array<{ id: string; quantity?: number }>;
+    notes?: string;
+  }>;
+  /** Total as priced on the device */
+  total: number;
+  payment: PosPayment;
+  createdAt: string;
+  staffId?: string;
+  notes?: string;
+}
+
+export type PosConflictType =
+  | 'number_outside_block'
+  | 'snapshot_unknown'
+  | 'price_mismatch'
+  | 'price_changed'
+  | 'product_unavailable'
+  | 'sold_out';
+
+export interface PosConflict {
+  type: PosConflictType;
+  localId: string;
+  orderNumber: number;
+  productId?: string;
+  message: string;
+  /** Device and server value, e.g. both totals of a price mismatch */
+  expected?: number;
+  actual?: number;
+}
+
+/**
+ * Result of uploading the offline orders of a device
+ * (tenants/{tenantId}/pos_reconciliations/{id})
+ */
+export interface PosReconciliationReport {
+  id: string;
+  deviceId: string;
+  createdAt: string;
+  createdBy: string;
+  orders: {
+    received: number;
+    created: number;
+    duplicates: number;
+    withConflicts: number;
+  };
+  payments: Record<PosPaymentMethod, { count: number; amount: number }>;
+  /** Rounding to 5 Rappen on cash payments, positive if in favour of the truck */
+  cashRounding: number;
+  total: number;
+  vatBreakdown: VatBreakdownLine[];
+  conflicts: PosConflict[];
+  orderIds: string[];
+}
+
 // ============================================================================
 // EXPORT ALL TYPES
 // ============================================================================
@@ -451,12 +451,28 @@ export interface Invoice {
   metadata?: Record<string, any>;
   pdfUrl?: string;
   hostedUrl?: string;
+  eventId?: string; // catering and event invoices
+  paymentReference?: string; // QR-bill reference (QRR or SCOR)
+  referenceType?: 'QRR' | 'SCOR' | 'NON';
+  bankPayments?: InvoiceBankPayment[];
   createdAt: Date;
   updatedAt: Date;
   paidAt?: Date;
   voidedAt?: Date;
 }
 
+/**
+ * Bank transfer matched to an invoice by its QR-bill reference
+ */
+export interface InvoiceBankPayment {
+  bankReference: string | null;
+  amount: number;
+  currency: string;
+  bookingDate: string | null;
+  debtorName: string | null;
+  matchedAt: Date;
+}
+
 /**
  * Invoice item
  */
@@ -113,6 +113,7 @@ export interface Product {
   options: ProductOptions;
   nutrition?: NutritionalInfo;
   allergens: Allergen[];
+  declarations?: ProductDeclarations;
   images: ProductImage[];
   tags: string[];
   seo?: ProductSEO;
@@ -146,12 +147,21 @@ export interface ProductPricing {
   comparePrice?: number; // Original price for discount display
   costPrice?: number; // For margin calculation
   taxRate: number;
+  taxRates?: ProductTaxRates; // overrides taxRate per consumption type
   taxIncluded: boolean;
   discountable: boolean;
   tiers?: PriceTier[];
   dynamicPricing?: DynamicPricing;
 }
 
+/**
+ * VAT rates by where the product is consumed
+ */
+export interface ProductTaxRates {
+  takeaway: number;
+  onSite: number;
+}
+
 export interface PriceTier {
   minQuantity: number;
   maxQuantity?: number;
@@ -352,6 +362,106 @@ export enum AllergenType {
   SULPHITES = 'sulphites'
 }
 
+// ============================================================================
+// RECIPES & BILL OF MATERIALS
+// ============================================================================
+
+export type RecipeUnit = 'g' | 'kg' | 'ml' | 'l' | 'Stk';
+
+/**
+ * One line of a recipe: either an inventory item or a sub-recipe
+ */
+export interface RecipeComponent {
+  itemId?: string; // inventory item
+  recipeId?: string; // sub-recipe, e.g. a sauce made in batches
+  name: string;
+  quantity: number;
+  unit: string; // a RecipeUnit; aliases like "piece" are accepted
+  wastePercent?: number; // trim and cooking loss, taken from stock on top
+}
+
+/**
+ * Stored as recipes/{tenantId}_{recipeId}; dish recipes use the product id
+ */
+export interface Recipe {
+  id: string;
+  tenantId: string;
+  name: string;
+  productId?: string;
+  yield: {
+    quantity: number;
+    unit: string;
+  }; // what one batch makes, 1 Stk for a dish
+  ingredients: RecipeComponent[];
+  createdAt?: Date;
+  updatedAt?: Date;
+}
+
+// ============================================================================
+// DECLARATIONS
+// ============================================================================
+
+/**
+ * Nutrition values per 100 g, as on the EU nutrition declaration
+ */
+export interface NutritionPer100g {
+  calories: number; // kcal
+  fat: number;
+  saturatedFat: number;
+  carbohydrates: number;
+  sugar: number;
+  fiber: number;
+  protein: number;
+  salt: number;
+}
+
+/**
+ * Declaration data of an inventory item, as given by the supplier
+ */
+export interface IngredientDeclaration {
+  allergens?: string[]; // EU allergen ids, e.g. 'gluten', 'milk'
+  traces?: string[]; // may contain
+  nutritionPer100g?: Partial<NutritionPer100g>;
+  gramsPerPiece?: number; // weight of one Stk
+  gramsPerMl?: number; // density, 1 if not set
+}
+
+/**
+ * Recipe change of a modifier, e.g. "ohne Käse" or "extra Bacon"
+ */
+export interface ModifierRecipeChange {
+  add?: RecipeComponent[];
+  remove?: string[]; // inventory item ids
+}
+
+export interface ModifierDeclaration {
+  adds: string[];
+  removes: string[];
+}
+
+export interface DeclarationWarning {
+  type: 'allergen_missing' | 'allergen_extra' | 'nutrition_mismatch';
+  field: string;
+  computed?: number;
+  declared?: number;
+  message: string;
+}
+
+/**
+ * Declarations derived from the recipe; written by the backend only
+ */
+export interface ProductDeclarations {
+  allergens: string[];
+  traces: string[];
+  nutrition: NutritionPer100g | null; // per 100 g, null if data is missing
+  nutritionPerPortion: NutritionPer100g | null;
+  portionWeight: number; // in g
+  modifiers: Record<string, ModifierDeclaration>; // by modifier id
+  missingData: string[]; // inventory items without allergen or nutrition data
+  warnings: DeclarationWarning[]; // manual values contradicting the computed ones
+  computedAt: Date;
+}
+
 // ============================================================================
 // PRODUCT MEDIA
 // ============================================================================
@@ -7,6 +7,8 @@
  * File Path: /functions/src/types/tenant.types.ts
  */
 
+import { OrderWorkflowSettings } from './order.types';
+
 // ============================================================================
 // ENUMS
 // ============================================================================
@@ -93,9 +95,122 @@ export interface TenantSettings {
   branding: TenantBranding;
   notifications: NotificationSettings;
   integrations?: IntegrationSettings;
+  capacity?: CapacitySettings;
+  holidays?: HolidaySettings;
+  billing?: BillingSettings;
+  orderWorkflow?: OrderWorkflowSettings;
+  deliverySettings?: DeliverySettings;
   customFields?: Record<string, any>;
 }
 
+/**
+ * Delivery area, checked for every delivery order
+ */
+export interface DeliverySettings {
+  zones: DeliveryZone[]; // checked in order, the first zone containing the address wins
+  distancePricing?: DistancePricing; // used while no zone is active
+}
+
+/**
+ * Fee by distance from the tenant address, see calculateDeliveryFee
+ */
+export interface DistancePricing {
+  baseFee: number;
+  perKmRate: number;
+  minFee: number;
+  maxFee: number;
+  freeDeliveryThreshold?: number;
+  minOrderAmount?: number;
+  maxDistanceKm?: number;
+}
+
+/**
+ * Delivery zone drawn on the map in the admin settings
+ */
+export interface DeliveryZone {
+  id: string;
+  name: string;
+  geometry: string; // GeoJSON Polygon or MultiPolygon, serialized: Firestore can't hold nested arrays
+  fee: number;
+  minOrderAmount: number;
+  extraMinutes: number; // added to the preparation time
+  active: boolean;
+}
+
+/**
+ * Kitchen capacity per pickup time slot
+ */
+export interface CapacitySettings {
+  slotDuration: number; // minutes
+  maxOrdersPerSlot?: number; // unlimited if not set
+  maxPrepMinutesPerSlot?: number; // unlimited if not set
+  leadTimeMinutes?: number; // earliest bookable slot from now
+}
+
+/**
+ * Swiss canton abbreviations
+ */
+export type CantonCode =
+  | 'ZH' | 'BE' | 'LU' | 'UR' | 'SZ' | 'OW' | 'NW' | 'GL' | 'ZG'
+  | 'FR' | 'SO' | 'BS' | 'BL' | 'SH' | 'AR' | 'AI' | 'SG' | 'GR'
+  | 'AG' | 'TG' | 'TI' | 'VD' | 'VS' | 'NE' | 'GE' | 'JU';
+
+/**
+ * Cities with local holidays of their own
+ */
+export type Municipality = 'zurich';
+
+/**
+ * Day or period the tenant is closed
+ */
+export interface ClosureDay {
+  date: string; // yyyy-MM-dd
+  until?: string; // last closed day for multi-day closures
+  name?: string;
+}
+
+/**
+ * Holiday calendar of a tenant
+ */
+export interface HolidaySettings {
+  canton?: CantonCode; // defaults to the canton of the address
+  municipality?: Municipality;
+  closureDays?: ClosureDay[];
+}
+
+/**
+ * Bank details printed on QR-bills and the VAT number on receipts
+ */
+export interface BillingSettings {
+  qrIban?: string; // enables QR references (QRR)
+  iban?: string; // creditor references (SCOR) are used without QR-IBAN
+  qrCustomerId?: string; // bank customer id prefixed to QR references
+  creditorName?: string; // defaults to the tenant name
+  creditorAddress?: {
+    street: string;
+    buildingNumber?: string;
+    postalCode: string;
+    city: string;
+    country?: string;
+  }; // defaults to the tenant address
+  paymentTermDays?: number;
+  vatNumber?: string; // UID with MWST suffix, printed on receipts
+}
+
+/**
+ * ESC/POS network printer (tenants/{tenantId}/printers)
+ */
+export interface TenantPrinter {
+  id: string;
+  name: string;
+  type: 'kitchen' | 'receipt';
+  host: string;
+  port?: number; // raw TCP, defaults to 9100 (the only port printing accepts)
+  stationIds?: string[]; // kitchen printers print only these stations, all if empty
+  lineWidth?: number; // characters per line, 42 for 80 mm paper
+  active: boolean;
+}
+
 /**
  * Tenant features
  */
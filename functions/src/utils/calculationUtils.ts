@@ -7,17 +7,17 @@
  * File Path: /functions/src/utils/calculationUtils.ts
  */
 
-import { Order, OrderTotals } from '../types/order.types';
-import { Product } from '../types/product.types';
+import { ConsumptionType, Order, OrderTotals, OrderType, VatBreakdownLine } from '../types/order.types';
+import { Product, ProductPricing, ProductTaxRates } from '../types/product.types';
 
 // ============================================================================
 // CONSTANTS
 // ============================================================================
 
 export const VAT_RATES = {
-  STANDARD: 7.7,      // Standard VAT rate in Switzerland
-  REDUCED: 2.5,       // Reduced rate (e.g., food, non-alcoholic beverages)
-  SPECIAL: 3.7,       // Special rate (e.g., accommodation)
+  STANDARD: 8.1,      // Standard VAT rate in Switzerland (since 2024), on-site consumption
+  REDUCED: 2.6,       // Reduced rate (e.g., food, non-alcoholic beverages), takeaway
+  SPECIAL: 3.8,       // Special rate (e.g., accommodation)
   ZERO: 0            // Zero rate (e.g., exports)
 };
 
@@ -98,6 +98,45 @@ export function calculateVAT(
   }
 }
 
+/**
+ * Dine-in orders are consumed on site, everything else is takeaway
+ */
+export function getConsumptionType(orderType: OrderType): ConsumptionType {
+  return orderType === 'dine_in' ? 'onSite' : 'takeaway';
+}
+
+/**
+ * Gets the VAT rate of a product for takeaway or on-site consumption
+ */
+export function getProductVATRate(
+  pricing: { taxRate?: number; taxRates?: ProductTaxRates } | undefined,
+  consumption: ConsumptionType
+): number {
+  const rate = pricing?.taxRates?.[consumption] ?? pricing?.taxRate;
+  if (typeof rate === 'number') return rate;
+  return consumption === 'onSite' ? VAT_RATES.STANDARD : VAT_RATES.REDUCED;
+}
+
+/**
+ * Splits amounts into one line per VAT rate, highest rate first
+ *
+ * VAT is calculated on the total of each rate, not per line, so the
+ * breakdown matches what is declared to the tax authority.
+ */
+export function calculateVATBreakdown(
+  amounts: Array<{ amount: number; rate: number }>,
+  isInclusive: boolean = true
+): VatBreakdownLine[] {
+  const totals = new Map<number, number>();
+  amounts.forEach(({ amount, rate }) => {
+    totals.set(rate, (totals.get(rate) || 0) + amount);
+  });
+
+  return [...totals.entries()]
+    .sort(([a], [b]) => b - a)
+    .map(([rate, amount]) => ({ rate, ...calculateVAT(amount, rate, isInclusive) }));
+}
+
 /**
  * Converts currency
  */
@@ -225,6 +264,26 @@ export function calculateProfitMargin(
   };
 }
 
+/**
+ * Calculates the food cost of a dish against its net selling price
+ */
+export function calculateFoodCost(
+  pricing: Pick<ProductPricing, 'basePrice' | 'taxRate' | 'taxRates' | 'taxIncluded'>,
+  cost: number,
+  consumption: ConsumptionType = 'takeaway'
+): { netPrice: number; profit: number; margin: number; markup: number; foodCostPercent: number } {
+  const netPrice = pricing.taxIncluded
+    ? calculateVAT(pricing.basePrice, getProductVATRate(pricing, consumption), true).net
+    : pricing.basePrice;
+  const foodCostPercent = netPrice > 0 ? (cost / netPrice) * 100 : 0;
+
+  return {
+    netPrice,
+    ...calculateProfitMargin(netPrice, cost),
+    foodCostPercent: roundToDecimals(foodCostPercent)
+  };
+}
+
 /**
  * Calculates selling price based on desired margin
  */
@@ -583,6 +642,9 @@ export default {
   
   // Financial
   calculateVAT,
+  getConsumptionType,
+  getProductVATRate,
+  calculateVATBreakdown,
   convertCurrency,
   
   // Discounts
@@ -592,6 +654,7 @@ export default {
   
   // Margins
   calculateProfitMargin,
+  calculateFoodCost,
   calculateSellingPrice,
   calculateBreakEven,
   
@@ -0,0 +1,388 @@
+/**
+ * EATECH - Declaration Utilities
+ * Version: 1.0.0
+ * Description: Allergen and nutrition declarations derived from recipes
+ * Author: EATECH Development Team
+ * Created: 2025-01-09
+ * File Path: /functions/src/utils/declarationUtils.ts
+ *
+ * Inventory items carry the supplier's allergens and nutrition values per
+ * 100 g. A product's declaration is the sum over its exploded recipe, so it
+ * follows every ingredient change. Manual values entered by an admin are
+ * kept, but contradictions are reported as warnings.
+ */
+
+import {
+  DeclarationWarning,
+  IngredientDeclaration,
+  ModifierDeclaration,
+  NutritionPer100g,
+  ProductDeclarations,
+} from '../types/product.types';
+
+import { roundToDecimals } from './calculationUtils';
+import { IngredientRequirement } from './recipeUtils';
+
+// ============================================================================
+// TYPES & INTERFACES
+// ============================================================================
+
+export type ComputedDeclarations = Omit<ProductDeclarations, 'modifiers' | 'warnings' | 'computedAt'>;
+
+export interface ManualDeclarations {
+  allergens?: unknown[];
+  nutrition?: Record<string, unknown> | null;
+}
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+/** The 14 allergens of EU Regulation 1169/2011, Annex II */
+export const EU_ALLERGENS: Record<string, string> = {
+  gluten: 'Gluten',
+  crustaceans: 'Krebstiere',
+  eggs: 'Eier',
+  fish: 'Fisch',
+  peanuts: 'Erdnüsse',
+  soybeans: 'Soja',
+  milk: 'Milch',
+  nuts: 'Schalenfrüchte',
+  celery: 'Sellerie',
+  mustard: 'Senf',
+  sesame: 'Sesam',
+  sulphites: 'Schwefeldioxid und Sulfite',
+  lupin: 'Lupinen',
+  molluscs: 'Weichtiere',
+};
+
+/** Ids used elsewhere in the code base for the same allergens */
+const ALLERGEN_ALIASES: Record<string, string> = {
+  dairy: 'milk',
+  lactose: 'milk',
+  soy: 'soybeans',
+  shellfish: 'crustaceans',
+  sulfites: 'sulphites',
+  tree_nuts: 'nuts',
+};
+
+const NUTRITION_FIELDS: Array<keyof NutritionPer100g> = [
+  'calories',
+  'fat',
+  'saturatedFat',
+  'carbohydrates',
+  'sugar',
+  'fiber',
+  'protein',
+  'salt',
+];
+
+/** Field names of the admin form and of NutritionalInfo */
+const NUTRITION_ALIASES: Record<string, keyof NutritionPer100g> = {
+  carbs: 'carbohydrates',
+  totalCarbohydrates: 'carbohydrates',
+  totalFat: 'fat',
+  sugars: 'sugar',
+  dietaryFiber: 'fiber',
+};
+
+const NUTRITION_LABELS: Record<keyof NutritionPer100g, string> = {
+  calories: 'Energie',
+  fat: 'Fett',
+  saturatedFat: 'Gesättigte Fettsäuren',
+  carbohydrates: 'Kohlenhydrate',
+  sugar: 'Zucker',
+  fiber: 'Ballaststoffe',
+  protein: 'Eiweiss',
+  salt: 'Salz',
+};
+
+/** Deviation tolerated before a manual value counts as contradicting */
+const NUTRITION_TOLERANCE_PERCENT = 20;
+const NUTRITION_TOLERANCE_ABSOLUTE: Partial<Record<keyof NutritionPer100g, number>> = {
+  calories: 10,
+};
+const DEFAULT_TOLERANCE_ABSOLUTE = 0.5;
+
+// ============================================================================
+// ALLERGENS
+// ============================================================================
+
+/**
+ * Maps an allergen id or Allergen object to its EU allergen id
+ */
+export function normalizeAllergen(allergen: unknown): string | null {
+  const id = typeof allergen === 'string'
+    ? allergen
+    : (allergen as { type?: unknown } | null)?.type;
+
+  if (typeof id !== 'string') {
+    return null;
+  }
+
+  const key = id.trim().toLowerCase();
+  const normalized = ALLERGEN_ALIASES[key] || key;
+  return EU_ALLERGENS[normalized] ? normalized : null;
+}
+
+/**
+ * Splits a manual allergen list into contained allergens and traces
+ *
+ * Accepts plain ids as stored by the admin app and Allergen objects with
+ * a severity; 'free_from' entries are ignored.
+ */
+export function parseAllergenList(list: unknown[] | undefined): { allergens: string[]; traces: string[] } {
+  const allergens = new Set<string>();
+  const traces = new Set<string>();
+
+  (list || []).forEach((entry) => {
+    const id = normalizeAllergen(entry);
+    const severity = (entry as { severity?: string } | null)?.severity;
+
+    if (!id || severity === 'free_from') {
+      return;
+    }
+    (severity === 'may_contain' ? traces : allergens).add(id);
+  });
+
+  return { allergens: sortAllergens(allergens), traces: sortAllergens(traces) };
+}
+
+function sortAllergens(ids: Iterable<string>): string[] {
+  const order = Object.keys(EU_ALLERGENS);
+  return [...new Set(ids)].sort((a, b) => order.indexOf(a) - order.indexOf(b));
+}
+
+function collectAllergens(
+  requirements: IngredientRequirement[],
+  items: Map<string, IngredientDeclaration>,
+): { allergens: string[]; traces: string[] } {
+  const allergens = new Set<string>();
+  const traces = new Set<string>();
+
+  requirements.forEach(({ itemId }) => {
+    const item = items.get(itemId);
+    (item?.allergens || []).forEach((allergen) => {
+      const id = normalizeAllergen(allergen);
+      if (id) allergens.add(id);
+    });
+    (item?.traces || []).forEach((allergen) => {
+      const id = normalizeAllergen(allergen);
+      if (id) traces.add(id);
+    });
+  });
+
+  // An allergen the dish contains is not declared as a trace as well
+  return {
+    allergens: sortAllergens(allergens),
+    traces: sortAllergens([...traces].filter((id) => !allergens.has(id))),
+  };
+}
+
+// ============================================================================
+// NUTRITION
+// ============================================================================
+
+/**
+ * Weight in grams of a recipe requirement, null if it cannot be known
+ */
+export function getRequirementWeight(
+  requirement: IngredientRequirement,
+  item: IngredientDeclaration | undefined,
+): number | null {
+  switch (requirement.unit) {
+    case 'g':
+      return requirement.quantity;
+    case 'ml':
+      return requirement.quantity * (item?.gramsPerMl || 1);
+    case 'Stk':
+      return item?.gramsPerPiece ? requirement.quantity * item.gramsPerPiece : null;
+    default:
+      return null;
+  }
+}
+
+function emptyNutrition(): NutritionPer100g {
+  return NUTRITION_FIELDS.reduce((nutrition, field) => {
+    nutrition[field] = 0;
+    return nutrition;
+  }, {} as NutritionPer100g);
+}
+
+function roundNutrition(nutrition: NutritionPer100g): NutritionPer100g {
+  return NUTRITION_FIELDS.reduce((rounded, field) => {
+    rounded[field] = roundToDecimals(nutrition[field], field === 'salt' ? 2 : 1);
+    return rounded;
+  }, {} as NutritionPer100g);
+}
+
+/**
+ * Reads manual nutrition values, whichever field names were used
+ */
+export function parseNutrition(values: Record<string, unknown> | null | undefined): Partial<NutritionPer100g> {
+  const nutrition: Partial<NutritionPer100g> = {};
+
+  Object.entries(values || {}).forEach(([key, value]) => {
+    const field = NUTRITION_ALIASES[key] || key;
+    const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+
+    if (NUTRITION_FIELDS.includes(field as keyof NutritionPer100g) && typeof number === 'number' && Number.isFinite(number)) {
+      nutrition[field as keyof NutritionPer100g] = number;
+    }
+  });
+
+  return nutrition;
+}
+
+// ============================================================================
+// DECLARATIONS
+// ============================================================================
+
+/**
+ * Derives allergens and nutrition of a portion from its ingredients
+ *
+ * Nutrition is only given when every ingredient has nutrition values and a
+ * known weight; a partial sum would understate the dish. Items lacking data
+ * are listed in missingData.
+ */
+export function computeDeclarations(
+  requirements: IngredientRequirement[],
+  items: Map<string, IngredientDeclaration>,
+): ComputedDeclarations {
+  const missingData = new Set<string>();
+  const totals = emptyNutrition();
+  let portionWeight = 0;
+  let nutritionComplete = true;
+
+  requirements.forEach((requirement) => {
+    const item = items.get(requirement.itemId);
+    const weight = getRequirementWeight(requirement, item);
+
+    if (!item || !Array.isArray(item.allergens)) {
+      missingData.add(requirement.itemId);
+    }
+
+    if (weight === null || !item?.nutritionPer100g) {
+      missingData.add(requirement.itemId);
+      nutritionComplete = false;
+      return;
+    }
+
+    portionWeight += weight;
+    const values = parseNutrition(item.nutritionPer100g);
+    NUTRITION_FIELDS.forEach((field) => {
+      totals[field] += ((values[field] || 0) * weight) / 100;
+    });
+  });
+
+  const hasNutrition = nutritionComplete && portionWeight > 0;
+  const per100g = emptyNutrition();
+  if (hasNutrition) {
+    NUTRITION_FIELDS.forEach((field) => {
+      per100g[field] = (totals[field] * 100) / portionWeight;
+    });
+  }
+
+  return {
+    ...collectAllergens(requirements, items),
+    nutrition: hasNutrition ? roundNutrition(per100g) : null,
+    nutritionPerPortion: hasNutrition ? roundNutrition(totals) : null,
+    portionWeight: roundToDecimals(portionWeight, 1),
+    missingData: [...missingData].sort(),
+  };
+}
+
+/**
+ * Allergens a modifier adds to or removes from a dish
+ *
+ * An allergen only counts as removed if no remaining ingredient carries it.
+ */
+export function computeModifierDeclaration(
+  baseRequirements: IngredientRequirement[],
+  change: { remove?: string[]; added?: IngredientRequirement[]; allergens?: unknown[] },
+  items: Map<string, IngredientDeclaration>,
+): ModifierDeclaration {
+  const removed = new Set(change.remove || []);
+  const before = collectAllergens(baseRequirements, items).allergens;
+  const after = new Set(collectAllergens(
+    [...baseRequirements.filter(({ itemId }) => !removed.has(itemId)), ...(change.added || [])],
+    items,
+  ).allergens);
+
+  // Allergens entered directly on the modifier, e.g. for a bought-in sauce
+  parseAllergenList(change.allergens).allergens.forEach((id) => after.add(id));
+
+  return {
+    adds: sortAllergens([...after].filter((id) => !before.includes(id))),
+    removes: before.filter((id) => !after.has(id)),
+  };
+}
+
+/**
+ * Compares manually entered values with the computed declaration
+ */
+export function findDeclarationConflicts(
+  computed: ComputedDeclarations,
+  manual: ManualDeclarations,
+): DeclarationWarning[] {
+  const warnings: DeclarationWarning[] = [];
+  const declared = parseAllergenList(manual.allergens);
+  const declaredAny = new Set([...declared.allergens, ...declared.traces]);
+
+  computed.allergens
+    .filter((id) => !declared.allergens.includes(id))
+    .forEach((id) => warnings.push({
+      type: 'allergen_missing',
+      field: id,
+      message: `${EU_ALLERGENS[id]} ist in den Zutaten enthalten, aber nicht deklariert`,
+    }));
+
+  // Declaring more than the recipe contains is allowed, e.g. for traces from
+  // the kitchen, so it is only pointed out if the recipe data is complete
+  if (computed.missingData.length === 0) {
+    declared.allergens
+      .filter((id) => !computed.allergens.includes(id) && !computed.traces.includes(id))
+      .forEach((id) => warnings.push({
+        type: 'allergen_extra',
+        field: id,
+        message: `${EU_ALLERGENS[id]} ist deklariert, kommt in den Zutaten aber nicht vor`,
+      }));
+  }
+
+  computed.traces
+    .filter((id) => !declaredAny.has(id))
+    .forEach((id) => warnings.push({
+      type: 'allergen_missing',
+      field: id,
+      message: `Spuren von ${EU_ALLERGENS[id]} sind möglich, aber nicht deklariert`,
+    }));
+
+  if (computed.nutrition) {
+    const values = parseNutrition(manual.nutrition);
+
+    NUTRITION_FIELDS.forEach((field) => {
+      const value = values[field];
+      const expected = computed.nutrition![field];
+      if (value === undefined) {
+        return;
+      }
+
+      const tolerance = Math.max(
+        (Math.abs(expected) * NUTRITION_TOLERANCE_PERCENT) / 100,
+        NUTRITION_TOLERANCE_ABSOLUTE[field] ?? DEFAULT_TOLERANCE_ABSOLUTE,
+      );
+
+      if (Math.abs(value - expected) > tolerance) {
+        warnings.push({
+          type: 'nutrition_mismatch',
+          field,
+          computed: expected,
+          declared: value,
+          message: `${NUTRITION_LABELS[field]}: ${value} deklariert, aus den Zutaten berechnet ${expected} (pro 100 g)`,
+        });
+      }
+    });
+  }
+
+  return warnings;
+}
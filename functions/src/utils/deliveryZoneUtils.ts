@@ -0,0 +1,368 @@
+/**
+ * EATECH - Delivery Zone Utilities
+ * Version: 1.0.0
+ * Description: GeoJSON delivery zones with per-zone fee and minimum order
+ * Author: EATECH Development Team
+ * Created: 2025-01-09
+ * File Path: /functions/src/utils/deliveryZoneUtils.ts
+ *
+ * Zones are GeoJSON polygons as drawn on a map, positions in [lng, lat]
+ * order. Holes are respected. The delivery fee is always taken from the
+ * zone containing the address, never from the client. Tenants without
+ * zones charge by the distance from their address instead.
+ */
+
+import { BUSINESS_RULES } from '../config/constants';
+import { DeliveryZone, DistancePricing, TenantAddress } from '../types/tenant.types';
+
+import { calculateDeliveryFee, calculateDistance, roundToDecimals } from './calculationUtils';
+import { BusinessError, ErrorCode } from './errorHandler';
+import { logger } from './logger';
+import { findLocality, SwissLocality } from './postalCodeUtils';
+
+// ============================================================================
+// TYPES & INTERFACES
+// ============================================================================
+
+export interface GeoPoint {
+  latitude: number;
+  longitude: number;
+}
+
+/**
+ * Polygons of a zone: each polygon is an outer ring followed by its holes
+ */
+export type ZonePolygons = number[][][][];
+
+export interface DeliveryQuote {
+  zoneId: string;
+  zoneName: string;
+  fee: number;
+  minOrderAmount: number;
+  extraMinutes: number;
+}
+
+export type DeliveryUnavailableReason = 'not_offered' | 'outside_area' | 'below_minimum';
+
+/**
+ * Distance based delivery for tenants without zones
+ */
+export interface DistanceFallback {
+  origin: GeoPoint | null; // the tenant's address, no delivery without it
+  pricing?: DistancePricing;
+}
+
+// Zone id of quotes priced by distance
+export const DISTANCE_ZONE_ID = 'distance';
+
+export const DEFAULT_DISTANCE_PRICING: DistancePricing = {
+  baseFee: 5,
+  perKmRate: 1,
+  minFee: 5,
+  maxFee: 15,
+  minOrderAmount: 0,
+  maxDistanceKm: BUSINESS_RULES.MAX_DELIVERY_DISTANCE_KM,
+};
+
+// Farthest an address may lie from the centre of its postal code area
+export const MAX_LOCALITY_DISTANCE_KM = 15;
+
+/**
+ * Raised when an address can't be delivered to
+ */
+export class DeliveryUnavailableError extends BusinessError {
+  public readonly reason: DeliveryUnavailableReason;
+  public readonly minOrderAmount?: number;
+
+  constructor(reason: DeliveryUnavailableReason, minOrderAmount?: number) {
+    const messages: Record<DeliveryUnavailableReason, string> = {
+      not_offered: 'Delivery is not offered',
+      outside_area: 'Address is outside the delivery area',
+      below_minimum: `Minimum order value for delivery to this address is CHF ${(minOrderAmount || 0).toFixed(2)}`,
+    };
+    const code = reason === 'below_minimum' ? ErrorCode.MINIMUM_ORDER_NOT_REACHED : ErrorCode.DELIVERY_NOT_AVAILABLE;
+    super(messages[reason], code, { reason, minOrderAmount });
+    this.reason = reason;
+    this.minOrderAmount = minOrderAmount;
+  }
+}
+
+// ============================================================================
+// GEOJSON
+// ============================================================================
+
+const isPosition = (value: unknown): boolean => Array.isArray(value)
+  && value.length >= 2
+  && typeof value[0] === 'number' && Math.abs(value[0]) <= 180
+  && typeof value[1] === 'number' && Math.abs(value[1]) <= 90;
+
+function checkPolygon(polygon: unknown): number[][][] {
+  if (!Array.isArray(polygon) || polygon.length === 0) {
+    throw new Error('Polygon without rings');
+  }
+
+  polygon.forEach((ring: unknown) => {
+    if (!Array.isArray(ring) || ring.length < 4 || !ring.every(isPosition)) {
+      throw new Error('Rings need at least 4 [lng, lat] positions');
+    }
+    const first = ring[0] as number[];
+    const last = ring[ring.length - 1] as number[];
+    if (first[0] !== last[0] || first[1] !== last[1]) {
+      throw new Error('Rings must be closed');
+    }
+  });
+
+  return polygon as number[][][];
+}
+
+/**
+ * Polygons of a GeoJSON Polygon, MultiPolygon, Feature or FeatureCollection
+ *
+ * Throws on anything else, so admins get an error instead of a zone that
+ * never matches.
+ */
+export function parseZoneGeometry(geometry: unknown): ZonePolygons {
+  const value = (typeof geometry === 'string' ? JSON.parse(geometry) : geometry) as {
+    type?: string;
+    coordinates?: unknown;
+    geometry?: unknown;
+    features?: unknown[];
+  } | null;
+
+  switch (value?.type) {
+    case 'Polygon':
+      return [checkPolygon(value.coordinates)];
+    case 'MultiPolygon':
+      if (!Array.isArray(value.coordinates) || value.coordinates.length === 0) {
+        throw new Error('MultiPolygon without polygons');
+      }
+      return value.coordinates.map(checkPolygon);
+    case 'Feature':
+      return parseZoneGeometry(value.geometry);
+    case 'FeatureCollection':
+      return (value.features || []).flatMap((feature) => parseZoneGeometry(feature));
+    default:
+      throw new Error('Geometry must be a GeoJSON Polygon or MultiPolygon');
+  }
+}
+
+/**
+ * Ray casting; x is the longitude, y the latitude
+ */
+function isInRing(point: GeoPoint, ring: number[][]): boolean {
+  const { longitude: x, latitude: y } = point;
+  let inside = false;
+
+  ring.forEach(([xi, yi], i) => {
+    const [xj, yj] = ring[i === 0 ? ring.length - 1 : i - 1];
+    const crosses = (yi > y) !== (yj > y)
+      && x < (((xj - xi) * (y - yi)) / (yj - yi)) + xi;
+    if (crosses) {
+      inside = !inside;
+    }
+  });
+
+  return inside;
+}
+
+/**
+ * Whether a point lies in one of the polygons and outside of its holes
+ */
+export function isPointInPolygons(point: GeoPoint, polygons: ZonePolygons): boolean {
+  return polygons.some(([outer, ...holes]) => isInRing(point, outer)
+    && !holes.some((hole) => isInRing(point, hole)));
+}
+
+// ============================================================================
+// ZONES
+// ============================================================================
+
+/**
+ * Check zones from the admin settings, returns the errors
+ */
+export function validateDeliveryZones(zones: unknown): string[] {
+  if (!Array.isArray(zones)) {
+    return ['zones must be a list'];
+  }
+
+  const errors: string[] = [];
+  const ids = new Set<string>();
+
+  zones.forEach((zone: Partial<DeliveryZone>, index) => {
+    if (!zone.id || !zone.name) {
+      errors.push(`Zone ${index}: id and name are required`);
+    } else if (ids.has(zone.id)) {
+      errors.push(`Zone ${index}: duplicate id ${zone.id}`);
+    } else {
+      ids.add(zone.id);
+    }
+
+    (['fee', 'minOrderAmount', 'extraMinutes'] as const).forEach((field) => {
+      const value = zone[field];
+      if (typeof value !== 'number' || value < 0) {
+        errors.push(`Zone ${index}: ${field} must be a number of at least 0`);
+      }
+    });
+
+    try {
+      parseZoneGeometry(zone.geometry);
+    } catch (error) {
+      errors.push(`Zone ${index}: ${error instanceof Error ? error.message : 'invalid geometry'}`);
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * Zones as stored: geometry serialized, active unless switched off
+ */
+export function normalizeDeliveryZones(zones: Array<Omit<DeliveryZone, 'geometry'> & { geometry: unknown }>): DeliveryZone[] {
+  return zones.map((zone) => ({
+    ...zone,
+    geometry: typeof zone.geometry === 'string' ? zone.geometry : JSON.stringify(zone.geometry),
+    active: zone.active !== false,
+  }));
+}
+
+/**
+ * First active zone containing the point
+ *
+ * Zones are checked in order, so a small inner zone listed before a larger
+ * ring around it takes precedence. Broken geometries are skipped.
+ */
+export function findDeliveryZone(zones: DeliveryZone[], point: GeoPoint): DeliveryZone | null {
+  for (const zone of zones.filter((z) => z.active)) {
+    try {
+      if (isPointInPolygons(point, parseZoneGeometry(zone.geometry))) {
+        return zone;
+      }
+    } catch (error) {
+      logger.warn('Skipping delivery zone with invalid geometry', { zoneId: zone.id, error });
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Delivery fee and extra minutes for an address and order value
+ *
+ * Without an active zone the fee is priced by distance if a fallback is
+ * given.
+ */
+export function quoteDelivery(
+  zones: DeliveryZone[] | undefined,
+  point: GeoPoint,
+  orderValue: number,
+  fallback?: DistanceFallback,
+): DeliveryQuote {
+  if (!zones || !zones.some((zone) => zone.active)) {
+    if (fallback?.origin) {
+      return quoteDistanceDelivery(fallback.origin, point, orderValue, fallback.pricing);
+    }
+    throw new DeliveryUnavailableError('not_offered');
+  }
+
+  const zone = findDeliveryZone(zones, point);
+  if (!zone) {
+    throw new DeliveryUnavailableError('outside_area');
+  }
+  if (orderValue < zone.minOrderAmount) {
+    throw new DeliveryUnavailableError('below_minimum', zone.minOrderAmount);
+  }
+
+  return {
+    zoneId: zone.id,
+    zoneName: zone.name,
+    fee: roundToDecimals(zone.fee),
+    minOrderAmount: zone.minOrderAmount,
+    extraMinutes: zone.extraMinutes || 0,
+  };
+}
+
+// ============================================================================
+// DISTANCE
+// ============================================================================
+
+/**
+ * Delivery fee by the straight-line distance from the tenant
+ */
+export function quoteDistanceDelivery(
+  origin: GeoPoint,
+  point: GeoPoint,
+  orderValue: number,
+  pricing: DistancePricing = DEFAULT_DISTANCE_PRICING,
+): DeliveryQuote {
+  const distance = calculateDistance(origin.latitude, origin.longitude, point.latitude, point.longitude);
+  const maxDistance = pricing.maxDistanceKm ?? BUSINESS_RULES.MAX_DELIVERY_DISTANCE_KM;
+  const minOrderAmount = pricing.minOrderAmount || 0;
+
+  if (distance > maxDistance) {
+    throw new DeliveryUnavailableError('outside_area');
+  }
+  if (orderValue < minOrderAmount) {
+    throw new DeliveryUnavailableError('below_minimum', minOrderAmount);
+  }
+
+  return {
+    zoneId: DISTANCE_ZONE_ID,
+    zoneName: `${distance.toFixed(1)} km`,
+    fee: calculateDeliveryFee(distance, {
+      baseFee: pricing.baseFee,
+      perKmRate: pricing.perKmRate,
+      minFee: pricing.minFee,
+      maxFee: pricing.maxFee,
+      freeDeliveryThreshold: pricing.freeDeliveryThreshold,
+      orderValue,
+    }),
+    minOrderAmount,
+    extraMinutes: 0,
+  };
+}
+
+/**
+ * Position deliveries are priced from: the tenant's coordinates, else the
+ * centre of its postal code area
+ */
+export function getDeliveryOrigin(address?: TenantAddress): GeoPoint | null {
+  if (address?.coordinates) {
+    return { latitude: address.coordinates.lat, longitude: address.coordinates.lng };
+  }
+
+  const locality = address?.postalCode ? findLocality(address.postalCode, address.city) : null;
+  return locality ? { latitude: locality.latitude, longitude: locality.longitude } : null;
+}
+
+/**
+ * Check that coordinates sent by the client lie in the postal code area of
+ * the address, so a position moved on the map can't lower the fee
+ *
+ * @throws BusinessError when the point is too far from the locality
+ */
+export function checkAddressCoordinates(point: GeoPoint, locality: SwissLocality): void {
+  const distance = calculateDistance(locality.latitude, locality.longitude, point.latitude, point.longitude);
+
+  if (!(distance <= MAX_LOCALITY_DISTANCE_KM)) {
+    throw new BusinessError(`Coordinates are outside of postal code ${locality.postalCode}`, ErrorCode.INVALID_INPUT, {
+      field: 'coordinates',
+      postalCode: locality.postalCode,
+    });
+  }
+}
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+export default {
+  parseZoneGeometry,
+  isPointInPolygons,
+  validateDeliveryZones,
+  normalizeDeliveryZones,
+  findDeliveryZone,
+  quoteDelivery,
+  quoteDistanceDelivery,
+  getDeliveryOrigin,
+  checkAddressCoordinates,
+};
@@ -32,6 +32,7 @@ export enum ErrorCode {
   INVALID_FORMAT = 'VAL004',
   VALUE_OUT_OF_RANGE = 'VAL005',
   DUPLICATE_ENTRY = 'VAL006',
+  IDEMPOTENCY_KEY_REUSED = 'VAL007',
   
   // Business Logic Errors (3xxx)
   BUSINESS_RULE_VIOLATION = 'BUS001',
@@ -40,6 +41,11 @@ export enum ErrorCode {
   PAYMENT_FAILED = 'BUS004',
   DELIVERY_NOT_AVAILABLE = 'BUS005',
   TENANT_LIMIT_EXCEEDED = 'BUS006',
+  IDEMPOTENCY_REQUEST_IN_PROGRESS = 'BUS007',
+  SLOT_UNAVAILABLE = 'BUS008',
+  BILLING_NOT_CONFIGURED = 'BUS009',
+  INVALID_STATUS_TRANSITION = 'BUS010',
+  MINIMUM_ORDER_NOT_REACHED = 'BUS011',
   
   // Database Errors (4xxx)
   DATABASE_ERROR = 'DB001',
@@ -47,6 +53,7 @@ export enum ErrorCode {
   DUPLICATE_KEY = 'DB003',
   TRANSACTION_FAILED = 'DB004',
   CONNECTION_ERROR = 'DB005',
+  MIGRATION_LOCKED = 'DB006',
   
   // External Service Errors (5xxx)
   EXTERNAL_SERVICE_ERROR = 'EXT001',
@@ -54,6 +61,7 @@ export enum ErrorCode {
   EMAIL_SERVICE_ERROR = 'EXT003',
   SMS_SERVICE_ERROR = 'EXT004',
   STORAGE_SERVICE_ERROR = 'EXT005',
+  PRINTER_ERROR = 'EXT006',
   
   // System Errors (6xxx)
   INTERNAL_ERROR = 'SYS001',
@@ -0,0 +1,186 @@
+/**
+ * EATECH - ESC/POS Utilities
+ * Version: 1.0.0
+ * Description: Byte stream builder for ESC/POS thermal printers
+ * Author: EATECH Development Team
+ * Created: 2025-01-09
+ * File Path: /functions/src/utils/escposUtils.ts
+ *
+ * Text is encoded in code page 858 (CP850 with euro sign), which covers
+ * German, French and Italian.
+ */
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+const ESC = 0x1b;
+const GS = 0x1d;
+const LF = 0x0a;
+
+// ESC t n, code page 858 on Epson compatible printers
+const CODE_PAGE_858 = 19;
+
+// 80 mm paper with font A
+export const DEFAULT_LINE_WIDTH = 42;
+
+// Characters 0x80-0xff of code page 858
+const CP858_HIGH = 'ÇüéâäàåçêëèïîìÄÅÉæÆôöòûùÿÖÜø£Ø×ƒáíóúñÑªº¿®¬½¼¡«»░▒▓│┤ÁÂÀ©╣║╗╝¢¥┐└┴┬├─┼ãÃ'
+  + '╚╔╩╦╠═╬¤ðÐÊËÈ€ÍÎÏ┘┌█▄¦Ì▀ÓßÔÒõÕµþÞÚÛÙýÝ¯´\u00ad±‗¾¶§÷¸°¨·¹³²■\u00a0';
+
+// ============================================================================
+// TYPES & INTERFACES
+// ============================================================================
+
+export type EscPosAlignment = 'left' | 'center' | 'right';
+
+// ============================================================================
+// ENCODING
+// ============================================================================
+
+/**
+ * Encode text in code page 858, unknown characters become `?`
+ */
+export function encodeText(text: string): Buffer {
+  const bytes = Array.from(text.normalize('NFC')).map((char) => {
+    const code = char.charCodeAt(0);
+    if (code >= 0x20 && code < 0x7f) {
+      return code;
+    }
+    const index = CP858_HIGH.indexOf(char);
+    return index >= 0 ? 0x80 + index : 0x3f;
+  });
+  return Buffer.from(bytes);
+}
+
+/**
+ * Text on the left, amount on the right, padded to the line width
+ */
+export function formatColumns(left: string, right: string, width: number = DEFAULT_LINE_WIDTH): string {
+  const space = width - right.length - 1;
+  const text = left.length > space ? left.slice(0, Math.max(space, 0)) : left;
+  return `${text}${' '.repeat(Math.max(width - text.length - right.length, 1))}${right}`;
+}
+
+/**
+ * Wrap text at word boundaries
+ */
+export function wrapText(text: string, width: number = DEFAULT_LINE_WIDTH): string[] {
+  const lines: string[] = [];
+  let current = '';
+
+  text.split(/\s+/).filter(Boolean)
+    .forEach((word) => {
+      if (current && current.length + word.length + 1 > width) {
+        lines.push(current);
+        current = '';
+      }
+      current = current ? `${current} ${word}` : word;
+      while (current.length > width) {
+        lines.push(current.slice(0, width));
+        current = current.slice(width);
+      }
+    });
+
+  if (current) {
+    lines.push(current);
+  }
+  return lines;
+}
+
+// ============================================================================
+// BUILDER
+// ============================================================================
+
+/**
+ * Collects printer commands and text into one byte stream
+ */
+export class EscPosBuilder {
+  private chunks: Buffer[] = [];
+
+  constructor(public readonly width: number = DEFAULT_LINE_WIDTH) {
+    this.raw([ESC, 0x40]); // initialize
+    this.raw([ESC, 0x74, CODE_PAGE_858]);
+  }
+
+  raw(bytes: number[] | Buffer): this {
+    this.chunks.push(Buffer.isBuffer(bytes) ? bytes : Buffer.from(bytes));
+    return this;
+  }
+
+  align(alignment: EscPosAlignment): this {
+    return this.raw([ESC, 0x61, ['left', 'center', 'right'].indexOf(alignment)]);
+  }
+
+  bold(enabled: boolean = true): this {
+    return this.raw([ESC, 0x45, enabled ? 1 : 0]);
+  }
+
+  /**
+   * Character size as multiple of the normal size (1-8)
+   */
+  size(width: number = 1, height: number = width): this {
+    const clamp = (value: number) => Math.min(Math.max(Math.round(value), 1), 8) - 1;
+    return this.raw([GS, 0x21, (clamp(width) << 4) | clamp(height)]);
+  }
+
+  /**
+   * White on black, used for warnings such as allergens
+   */
+  invert(enabled: boolean = true): this {
+    return this.raw([GS, 0x42, enabled ? 1 : 0]);
+  }
+
+  underline(enabled: boolean = true): this {
+    return this.raw([ESC, 0x2d, enabled ? 1 : 0]);
+  }
+
+  text(text: string): this {
+    return this.raw(encodeText(text));
+  }
+
+  line(text: string = ''): this {
+    return this.text(text).raw([LF]);
+  }
+
+  columns(left: string, right: string): this {
+    return this.line(formatColumns(left, right, this.width));
+  }
+
+  wrap(text: string, indent: number = 0): this {
+    const prefix = ' '.repeat(indent);
+    wrapText(text, this.width - indent).forEach((line) => this.line(prefix + line));
+    return this;
+  }
+
+  separator(char: string = '-'): this {
+    return this.line(char.repeat(this.width));
+  }
+
+  feed(lines: number = 1): this {
+    return this.raw([ESC, 0x64, lines]);
+  }
+
+  /**
+   * Feed past the cutter and cut, leaving a small hinge
+   */
+  cut(): this {
+    return this.raw([GS, 0x56, 0x42, 0x00]);
+  }
+
+  build(): Buffer {
+    return Buffer.concat(this.chunks);
+  }
+}
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+export default {
+  DEFAULT_LINE_WIDTH,
+  encodeText,
+  formatColumns,
+  wrapText,
+  EscPosBuilder,
+};
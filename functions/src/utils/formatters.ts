@@ -13,6 +13,8 @@ import { OrderStatus, PaymentMethod } from '../types/order.types';
 import { CustomerType } from '../types/customer.types';
 import { ProductType } from '../types/product.types';
 
+import { validateSwissAddress } from './postalCodeUtils';
+
 // ============================================================================
 // CONSTANTS
 // ============================================================================
@@ -181,6 +183,9 @@ export function formatPhoneNumber(phone: string): string {
 
 /**
  * Formats address
+ *
+ * Swiss cities are written in their official spelling; a city that doesn't
+ * match the postal code is rejected (see postalCodeUtils.validateSwissAddress).
  */
 export function formatAddress(address: {
   street: string;
@@ -207,7 +212,10 @@ export function formatAddress(address: {
   }
   
   // City line
-  const cityLine = [address.postalCode, address.city]
+  const locality = address.postalCode && (!address.country || address.country === 'CH')
+    ? validateSwissAddress(address)
+    : null;
+  const cityLine = [address.postalCode, locality?.locality || address.city]
     .filter(Boolean)
     .join(' ');
   if (cityLine) {
@@ -0,0 +1,312 @@
+/**
+ * EATECH - Swiss Holiday Calendar
+ * Version: 1.0.0
+ * Description: Public holidays per canton, computed for any year
+ * Author: EATECH Development Team
+ * Created: 2025-01-09
+ * File Path: /functions/src/utils/holidayUtils.ts
+ *
+ * Only the Swiss National Day is a federal holiday; all other public holidays
+ * are set by the cantons. Easter-dependent dates are computed per year, so the
+ * calendar never has to be maintained by hand.
+ */
+
+import { CantonCode, ClosureDay, HolidaySettings, Municipality } from '../types/tenant.types';
+
+import { findLocality } from './postalCodeUtils';
+
+// ============================================================================
+// TYPES & INTERFACES
+// ============================================================================
+
+export interface Holiday {
+  id: string;
+  name: string;
+  /** Swiss local date, yyyy-MM-dd */
+  date: string;
+  /** Local time (HH:mm) from which the day is off; the whole day if not set */
+  closedFrom?: string;
+  source: 'national' | 'cantonal' | 'municipal' | 'tenant';
+}
+
+interface HolidayDefinition {
+  name: string;
+  closedFrom?: string;
+  date: (year: number, easter: string) => string;
+}
+
+// ============================================================================
+// DATE HELPERS
+// ============================================================================
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function isoDate(year: number, month: number, day: number): string {
+  return new Date(Date.UTC(year, month - 1, day))
+    .toISOString()
+    .slice(0, 10);
+}
+
+function shiftDays(date: string, days: number): string {
+  return new Date(Date.parse(date) + (days * DAY_MS))
+    .toISOString()
+    .slice(0, 10);
+}
+
+/**
+ * Date of the nth weekday (0 = Sunday) of a month
+ */
+function nthWeekday(year: number, month: number, weekday: number, nth: number): string {
+  const first = new Date(Date.UTC(year, month - 1, 1)).getUTCDay();
+  return isoDate(year, month, 1 + ((weekday - first + 7) % 7) + ((nth - 1) * 7));
+}
+
+/**
+ * Easter Sunday of a year (anonymous Gregorian algorithm)
+ */
+export function getEasterSunday(year: number): string {
+  const a = year % 19;
+  const b = Math.floor(year / 100);
+  const c = year % 100;
+  const d = Math.floor(b / 4);
+  const e = b % 4;
+  const f = Math.floor((b + 8) / 25);
+  const g = Math.floor((b - f + 1) / 3);
+  const h = ((19 * a) + b - d - g + 15) % 30;
+  const i = Math.floor(c / 4);
+  const k = c % 4;
+  const l = (32 + (2 * e) + (2 * i) - h - k) % 7;
+  const m = Math.floor((a + (11 * h) + (22 * l)) / 451);
+  const month = Math.floor((h + l - (7 * m) + 114) / 31);
+  const day = ((h + l - (7 * m) + 114) % 31) + 1;
+
+  return isoDate(year, month, day);
+}
+
+// ============================================================================
+// HOLIDAY DEFINITIONS
+// ============================================================================
+
+const fixed = (month: number, day: number) => (year: number) => isoDate(year, month, day);
+const fromEaster = (offset: number) => (_year: number, easter: string) => shiftDays(easter, offset);
+
+const HOLIDAYS: Record<string, HolidayDefinition> = {
+  neujahr: { name: 'Neujahr', date: fixed(1, 1) },
+  berchtoldstag: { name: 'Berchtoldstag', date: fixed(1, 2) },
+  heilige_drei_koenige: { name: 'Heilige Drei Könige', date: fixed(1, 6) },
+  republique_neuchatel: { name: 'Instauration de la République', date: fixed(3, 1) },
+  josefstag: { name: 'Josefstag', date: fixed(3, 19) },
+  naefelser_fahrt: {
+    name: 'Näfelser Fahrt',
+    // First Thursday of April, moved to the week after Easter if in Holy Week
+    date: (year, easter) => {
+      const thursday = nthWeekday(year, 4, 4, 1);
+      return thursday >= shiftDays(easter, -7) && thursday < easter
+        ? shiftDays(easter, 4)
+        : thursday;
+    },
+  },
+  karfreitag: { name: 'Karfreitag', date: fromEaster(-2) },
+  ostermontag: { name: 'Ostermontag', date: fromEaster(1) },
+  tag_der_arbeit: { name: 'Tag der Arbeit', date: fixed(5, 1) },
+  auffahrt: { name: 'Auffahrt', date: fromEaster(39) },
+  pfingstmontag: { name: 'Pfingstmontag', date: fromEaster(50) },
+  fronleichnam: { name: 'Fronleichnam', date: fromEaster(60) },
+  independance_jura: { name: "Fête de l'Indépendance jurassienne", date: fixed(6, 23) },
+  peter_und_paul: { name: 'Peter und Paul', date: fixed(6, 29) },
+  bundesfeier: { name: 'Bundesfeier', date: fixed(8, 1) },
+  mariae_himmelfahrt: { name: 'Mariä Himmelfahrt', date: fixed(8, 15) },
+  jeune_genevois: {
+    name: 'Jeûne genevois',
+    // Thursday after the first Sunday of September
+    date: (year) => shiftDays(nthWeekday(year, 9, 0, 1), 4),
+  },
+  lundi_du_jeune: {
+    name: 'Lundi du Jeûne',
+    // Monday after the Federal Day of Thanksgiving (third Sunday of September)
+    date: (year) => shiftDays(nthWeekday(year, 9, 0, 3), 1),
+  },
+  bruder_klaus: { name: 'Bruder Klaus', date: fixed(9, 25) },
+  allerheiligen: { name: 'Allerheiligen', date: fixed(11, 1) },
+  mariae_empfaengnis: { name: 'Mariä Empfängnis', date: fixed(12, 8) },
+  weihnachten: { name: 'Weihnachten', date: fixed(12, 25) },
+  stephanstag: { name: 'Stephanstag', date: fixed(12, 26) },
+  restauration_geneve: { name: 'Restauration de la République', date: fixed(12, 31) },
+
+  // Municipal afternoons off
+  sechselaeuten: {
+    name: 'Sechseläuten',
+    closedFrom: '12:00',
+    // Third Monday of April, one week later if that is Easter Monday
+    date: (year, easter) => {
+      const monday = nthWeekday(year, 4, 1, 3);
+      return monday === shiftDays(easter, 1) ? shiftDays(monday, 7) : monday;
+    },
+  },
+  knabenschiessen: {
+    name: 'Knabenschiessen',
+    closedFrom: '12:00',
+    // Monday after the second Sunday of September
+    date: (year) => shiftDays(nthWeekday(year, 9, 0, 2), 1),
+  },
+};
+
+// Public holidays in every canton
+const NATIONAL_HOLIDAYS = ['neujahr', 'auffahrt', 'bundesfeier', 'weihnachten'];
+
+const EASTER = ['karfreitag', 'ostermontag', 'pfingstmontag'];
+const CATHOLIC = ['fronleichnam', 'mariae_himmelfahrt', 'allerheiligen', 'mariae_empfaengnis'];
+
+// Additional holidays per canton (public holidays and days treated alike)
+export const CANTONAL_HOLIDAYS: Record<CantonCode, string[]> = {
+  ZH: ['berchtoldstag', ...EASTER, 'tag_der_arbeit', 'stephanstag'],
+  BE: ['berchtoldstag', ...EASTER, 'stephanstag'],
+  LU: ['berchtoldstag', ...EASTER, ...CATHOLIC, 'stephanstag'],
+  UR: ['heilige_drei_koenige', 'josefstag', ...EASTER, ...CATHOLIC, 'stephanstag'],
+  SZ: ['heilige_drei_koenige', 'josefstag', ...EASTER, ...CATHOLIC, 'stephanstag'],
+  OW: ['berchtoldstag', ...EASTER, ...CATHOLIC, 'bruder_klaus', 'stephanstag'],
+  NW: ['josefstag', ...EASTER, ...CATHOLIC, 'stephanstag'],
+  GL: ['berchtoldstag', 'naefelser_fahrt', ...EASTER, 'allerheiligen', 'stephanstag'],
+  ZG: ['berchtoldstag', ...EASTER, ...CATHOLIC, 'stephanstag'],
+  FR: ['berchtoldstag', ...EASTER, ...CATHOLIC, 'stephanstag'],
+  SO: ['berchtoldstag', ...EASTER, 'tag_der_arbeit', ...CATHOLIC, 'stephanstag'],
+  BS: [...EASTER, 'tag_der_arbeit', 'stephanstag'],
+  BL: [...EASTER, 'tag_der_arbeit', 'stephanstag'],
+  SH: ['berchtoldstag', ...EASTER, 'tag_der_arbeit', 'stephanstag'],
+  AR: [...EASTER, 'stephanstag'],
+  AI: [...EASTER, ...CATHOLIC, 'stephanstag'],
+  SG: [...EASTER, 'allerheiligen', 'stephanstag'],
+  GR: [...EASTER, 'stephanstag'],
+  AG: ['berchtoldstag', ...EASTER, 'tag_der_arbeit', ...CATHOLIC, 'stephanstag'],
+  TG: ['berchtoldstag', ...EASTER, 'tag_der_arbeit', 'stephanstag'],
+  TI: [
+    'heilige_drei_koenige', 'josefstag', 'ostermontag', 'tag_der_arbeit', 'pfingstmontag',
+    ...CATHOLIC, 'peter_und_paul', 'stephanstag',
+  ],
+  VD: ['berchtoldstag', ...EASTER, 'lundi_du_jeune'],
+  VS: ['josefstag', ...CATHOLIC],
+  NE: ['republique_neuchatel', ...EASTER, 'tag_der_arbeit', 'stephanstag'],
+  GE: [...EASTER, 'jeune_genevois', 'restauration_geneve'],
+  JU: ['berchtoldstag', ...EASTER, 'tag_der_arbeit', 'independance_jura', ...CATHOLIC, 'stephanstag'],
+};
+
+// Local holidays of cities, on top of their canton's
+export const MUNICIPAL_HOLIDAYS: Record<Municipality, string[]> = {
+  zurich: ['sechselaeuten', 'knabenschiessen'],
+};
+
+// Municipalities above by their BFS number, to recognize them by postal code
+const MUNICIPALITIES_BY_BFS_NUMBER: Record<number, Municipality> = {
+  261: 'zurich',
+};
+
+export const CANTON_CODES = Object.keys(CANTONAL_HOLIDAYS) as CantonCode[];
+
+// ============================================================================
+// CALENDAR
+// ============================================================================
+
+function buildHolidays(year: number, ids: string[], source: Holiday['source']): Holiday[] {
+  const easter = getEasterSunday(year);
+
+  return ids.map((id) => {
+    const definition = HOLIDAYS[id];
+    return {
+      id,
+      name: definition.name,
+      date: definition.date(year, easter),
+      ...(definition.closedFrom ? { closedFrom: definition.closedFrom } : {}),
+      source,
+    };
+  });
+}
+
+function closureDaysInYear(year: number, closureDays: ClosureDay[]): Holiday[] {
+  const holidays: Holiday[] = [];
+  const yearStart = isoDate(year, 1, 1);
+  const yearEnd = isoDate(year, 12, 31);
+
+  for (const closure of closureDays) {
+    const last = closure.until && closure.until > closure.date ? closure.until : closure.date;
+
+    for (
+      let date = closure.date < yearStart ? yearStart : closure.date;
+      date <= last && date <= yearEnd;
+      date = shiftDays(date, 1)
+    ) {
+      holidays.push({
+        id: 'closure',
+        name: closure.name || 'Betriebsferien',
+        date,
+        source: 'tenant',
+      });
+    }
+  }
+
+  return holidays;
+}
+
+/**
+ * Get all holidays of a year for a calendar, sorted by date
+ *
+ * Without a canton only the holidays observed in every canton are returned.
+ */
+export function getHolidays(year: number, calendar: HolidaySettings = {}): Holiday[] {
+  const holidays = [
+    ...buildHolidays(year, NATIONAL_HOLIDAYS, 'national'),
+    ...(calendar.canton ? buildHolidays(year, CANTONAL_HOLIDAYS[calendar.canton] || [], 'cantonal') : []),
+    ...(calendar.municipality
+      ? buildHolidays(year, MUNICIPAL_HOLIDAYS[calendar.municipality] || [], 'municipal')
+      : []),
+    ...closureDaysInYear(year, calendar.closureDays || []),
+  ];
+
+  return holidays.sort((a, b) => a.date.localeCompare(b.date));
+}
+
+/**
+ * Get the holiday on a Swiss local date (yyyy-MM-dd)
+ *
+ * If several fall on the same date, a whole day off wins over an afternoon.
+ */
+export function getHolidayOn(date: string, calendar: HolidaySettings = {}): Holiday | null {
+  const matches = getHolidays(Number(date.slice(0, 4)), calendar)
+    .filter((holiday) => holiday.date === date);
+
+  return matches.find((holiday) => !holiday.closedFrom) || matches[0] || null;
+}
+
+/**
+ * Read the holiday calendar of a tenant
+ *
+ * Canton and municipality default to the ones of the tenant's address, looked
+ * up by postal code if the address has no canton.
+ */
+export function getTenantHolidayCalendar(tenant: any): HolidaySettings {
+  const settings = (tenant?.settings?.holidays || {}) as HolidaySettings;
+  const locality = tenant?.address?.postalCode ? findLocality(String(tenant.address.postalCode)) : null;
+  const canton = String(settings.canton || tenant?.address?.canton || locality?.canton || '').toUpperCase();
+  const municipality = settings.municipality
+    || (locality && locality.canton === canton ? MUNICIPALITIES_BY_BFS_NUMBER[locality.bfsNumber] : undefined);
+
+  return {
+    ...settings,
+    canton: CANTON_CODES.includes(canton as CantonCode) ? canton as CantonCode : undefined,
+    ...(municipality ? { municipality } : {}),
+    closureDays: settings.closureDays || [],
+  };
+}
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+export default {
+  getEasterSunday,
+  getHolidays,
+  getHolidayOn,
+  getTenantHolidayCalendar,
+  CANTONAL_HOLIDAYS,
+  MUNICIPAL_HOLIDAYS,
+  CANTON_CODES,
+};
@@ -0,0 +1,174 @@
+/**
+ * EATECH - Kitchen Print Utilities
+ * Version: 1.0.0
+ * Description: Kitchen tickets (bons) for ESC/POS printers
+ * Author: EATECH Development Team
+ * Created: 2025-01-09
+ * File Path: /functions/src/utils/kitchenPrintUtils.ts
+ *
+ * One bon per station printer with the order number in large type,
+ * modifiers in bold and allergens printed inverted so they can't be missed.
+ */
+
+import { DEFAULT_LINE_WIDTH, EscPosBuilder } from './escposUtils';
+
+// ============================================================================
+// TYPES & INTERFACES
+// ============================================================================
+
+export interface PrintableTicketItem {
+  id: string;
+  name: string;
+  quantity: number;
+  modifiers?: string[];
+  notes?: string;
+  allergens?: string[];
+}
+
+export interface PrintableTicket {
+  orderNumber: string;
+  orderType: string;
+  customerName?: string;
+  notes?: string;
+  scheduledTime?: string | null;
+  createdAt: string;
+  items: PrintableTicketItem[];
+  stations?: Array<{ stationId: string; items: string[] }>;
+}
+
+export interface KitchenPrintOptions {
+  stationName?: string;
+  width?: number;
+  reprint?: boolean;
+}
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+const ORDER_TYPE_LABELS: Record<string, string> = {
+  dineIn: 'VOR ORT',
+  dine_in: 'VOR ORT',
+  pickup: 'TAKE-AWAY',
+  delivery: 'LIEFERUNG',
+  drive_thru: 'DRIVE-THRU',
+};
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+const formatTime = (value: string): string => new Date(value).toLocaleTimeString('de-CH', {
+  timeZone: 'Europe/Zurich',
+  hour: '2-digit',
+  minute: '2-digit',
+});
+
+/**
+ * Items a printer serving the given stations prints
+ *
+ * Printers without stations print everything. Items no station took
+ * (no capable station configured) go to every printer, so nothing is lost.
+ */
+export function selectStationItems(ticket: PrintableTicket, stationIds?: string[]): PrintableTicketItem[] {
+  if (!stationIds || stationIds.length === 0) {
+    return ticket.items;
+  }
+
+  const routed = new Set((ticket.stations || []).flatMap((station) => station.items));
+  const wanted = new Set((ticket.stations || [])
+    .filter((station) => stationIds.includes(station.stationId))
+    .flatMap((station) => station.items));
+
+  return ticket.items.filter((item) => wanted.has(item.id) || !routed.has(item.id));
+}
+
+// ============================================================================
+// RENDERING
+// ============================================================================
+
+/**
+ * Render a kitchen bon with the given items
+ */
+export function renderKitchenTicket(
+  ticket: PrintableTicket,
+  items: PrintableTicketItem[],
+  options: KitchenPrintOptions = {},
+): Buffer {
+  const printer = new EscPosBuilder(options.width || DEFAULT_LINE_WIDTH);
+
+  printer.align('center');
+  if (options.reprint) {
+    printer.invert()
+      .line(' NACHDRUCK ')
+      .invert(false);
+  }
+
+  printer.bold()
+    .size(3)
+    .line(`#${ticket.orderNumber}`)
+    .size(2, 1)
+    .line(ORDER_TYPE_LABELS[ticket.orderType] || ticket.orderType.toUpperCase())
+    .size(1)
+    .bold(false);
+
+  if (options.stationName) {
+    printer.line(options.stationName);
+  }
+
+  printer.align('left')
+    .columns(ticket.customerName || '', formatTime(ticket.createdAt));
+  if (ticket.scheduledTime) {
+    printer.bold()
+      .line(`ABHOLUNG ${formatTime(ticket.scheduledTime)}`)
+      .bold(false);
+  }
+  printer.separator('=');
+
+  items.forEach((item) => {
+    printer.bold()
+      .size(1, 2)
+      .wrap(`${item.quantity}x ${item.name}`)
+      .size(1)
+      .bold(false);
+
+    (item.modifiers || []).forEach((modifier) => {
+      printer.bold().wrap(`+ ${modifier}`, 3)
+        .bold(false);
+    });
+    if (item.notes) {
+      printer.wrap(`> ${item.notes}`, 3);
+    }
+    if (item.allergens && item.allergens.length > 0) {
+      printer.text('   ')
+        .invert()
+        .bold()
+        .text(` ! ${item.allergens.join(', ').toUpperCase()} `)
+        .bold(false)
+        .invert(false)
+        .line();
+    }
+    printer.line();
+  });
+
+  if (ticket.notes) {
+    printer.separator()
+      .bold()
+      .wrap(ticket.notes)
+      .bold(false);
+  }
+
+  return printer.separator('=')
+    .feed(3)
+    .cut()
+    .build();
+}
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+export default {
+  selectStationItems,
+  renderKitchenTicket,
+};
@@ -0,0 +1,114 @@
+/**
+ * EATECH - Kitchen Ticket Utilities
+ * Version: 1.0.0
+ * Description: Kitchen tickets for confirmed orders
+ * Author: EATECH Development Team
+ * Created: 2025-01-09
+ * File Path: /functions/src/utils/kitchenTicketUtils.ts
+ *
+ * An order reaches the kitchen once its transition to `confirmed` has been
+ * accepted by the tenant workflow. Writes rejected by the workflow are
+ * reverted and never produce a ticket.
+ */
+
+import * as admin from 'firebase-admin';
+
+import { Order, OrderType } from '../types/order.types';
+
+import { expandKitchenItems } from './productOptionsUtils';
+
+// ============================================================================
+// TYPES & INTERFACES
+// ============================================================================
+
+export interface KitchenOrderItem {
+  id: string;
+  productId?: string;
+  name: string;
+  quantity: number;
+  modifiers?: string[];
+  notes?: string;
+  category?: string;
+  allergens?: string[];
+}
+
+/**
+ * Order data a kitchen ticket is created from
+ */
+export interface KitchenOrder {
+  orderId: string;
+  orderNumber: string;
+  orderType: 'dineIn' | 'pickup' | 'delivery';
+  customerName: string;
+  customerType?: string;
+  items: KitchenOrderItem[];
+  notes?: string;
+  scheduledTime?: string;
+}
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+const KITCHEN_ORDER_TYPES: Record<OrderType, KitchenOrder['orderType']> = {
+  dine_in: 'dineIn',
+  pickup: 'pickup',
+  drive_thru: 'pickup',
+  delivery: 'delivery',
+};
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+const toIsoString = (value: Date | admin.firestore.Timestamp | string | null | undefined): string | undefined => {
+  if (!value) {
+    return undefined;
+  }
+  if (typeof value === 'string') {
+    return value;
+  }
+  return (value instanceof Date ? value : value.toDate()).toISOString();
+};
+
+/**
+ * Whether an update records the order's accepted transition into `confirmed`
+ *
+ * Transitions made by OrderWorkflowService carry `lastTransition` in the
+ * same write; direct status writes get it once the lifecycle trigger has
+ * accepted them.
+ */
+export function isConfirmedTransition(before: Partial<Order>, after: Partial<Order>): boolean {
+  const transition = after.lastTransition;
+  return after.status === 'confirmed'
+    && transition?.to === 'confirmed'
+    && transition.id !== before.lastTransition?.id;
+}
+
+/**
+ * Map an order to the data of its kitchen ticket
+ */
+export function toKitchenOrder(orderId: string, order: Order): KitchenOrder {
+  const notes = [order.notes, order.kitchenNotes].filter(Boolean).join('\n');
+  const scheduledTime = toIsoString(order.scheduledTime);
+
+  return {
+    orderId,
+    orderNumber: order.orderNumber,
+    orderType: KITCHEN_ORDER_TYPES[order.orderType] || 'pickup',
+    customerName: order.customer?.name || '',
+    // Deals arrive split into their components
+    items: expandKitchenItems(order.items || []),
+    ...(notes ? { notes } : {}),
+    ...(scheduledTime ? { scheduledTime } : {}),
+  };
+}
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+export default {
+  isConfirmedTransition,
+  toKitchenOrder,
+};
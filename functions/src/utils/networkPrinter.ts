@@ -0,0 +1,203 @@
+/**
+ * EATECH - Network Printer
+ * Version: 1.0.0
+ * Description: Raw TCP (port 9100) adapter for ESC/POS printers
+ * Author: EATECH Development Team
+ * Created: 2025-01-09
+ * File Path: /functions/src/utils/networkPrinter.ts
+ *
+ * Most thermal printers accept ESC/POS bytes on a plain TCP socket
+ * (JetDirect / AppSocket). Printers keep the connection open, so the
+ * adapter closes it once the job is written.
+ *
+ * Printer hosts are configured by tenants. With `publicOnly` the adapter
+ * connects only to port 9100 on public addresses, so a printer entry can't
+ * be used to reach internal services or the metadata server.
+ */
+
+import * as dns from 'dns';
+import * as net from 'net';
+
+import { ErrorCode, ExternalServiceError } from './errorHandler';
+
+// ============================================================================
+// TYPES & INTERFACES
+// ============================================================================
+
+/**
+ * Delivers a print job to a printer
+ */
+export interface PrinterAdapter {
+  send(data: Buffer): Promise<void>;
+}
+
+export interface NetworkPrinterOptions {
+  host: string;
+  port?: number;
+  timeoutMs?: number;
+  publicOnly?: boolean; // refuse private, loopback and link-local addresses and ports other than 9100
+}
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+export const DEFAULT_PRINTER_PORT = 9100;
+
+const DEFAULT_TIMEOUT_MS = 5000;
+
+// Networks a tenant configured printer must not point to. IPv4-mapped IPv6
+// addresses are checked against the IPv4 networks.
+const NON_PUBLIC_NETWORKS = new net.BlockList();
+([
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10], // carrier-grade NAT
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16], // link-local, incl. the metadata server
+  ['172.16.0.0', 12],
+  ['192.0.0.0', 24],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15],
+  ['224.0.0.0', 4], // multicast
+  ['240.0.0.0', 4], // reserved, incl. broadcast
+] as const).forEach(([network, prefix]) => NON_PUBLIC_NETWORKS.addSubnet(network, prefix, 'ipv4'));
+([
+  ['::', 128],
+  ['::1', 128],
+  ['64:ff9b::', 96], // NAT64
+  ['fc00::', 7], // unique local
+  ['fe80::', 10], // link-local
+  ['ff00::', 8], // multicast
+] as const).forEach(([network, prefix]) => NON_PUBLIC_NETWORKS.addSubnet(network, prefix, 'ipv6'));
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+/**
+ * Whether an IP address is reachable on the public internet
+ */
+export function isPublicAddress(address: string): boolean {
+  const family = net.isIP(address);
+  if (family === 0) {
+    return false;
+  }
+  return !NON_PUBLIC_NETWORKS.check(address, family === 4 ? 'ipv4' : 'ipv6');
+}
+
+/**
+ * DNS lookup for net.connect that fails for names resolving to a
+ * non-public address. Checking the resolved address used for the
+ * connection also covers names that change their answer (DNS rebinding).
+ */
+const lookupPublicAddress: net.LookupFunction = (hostname, options, callback) => {
+  dns.lookup(hostname, options, (error, address, family) => {
+    if (error) {
+      callback(error, address, family);
+      return;
+    }
+
+    const addresses = Array.isArray(address) ? address.map((entry) => entry.address) : [address];
+    const blocked = addresses.find((entry) => !isPublicAddress(entry));
+    if (blocked) {
+      callback(new Error(`${hostname} resolves to non-public address ${blocked}`), address, family);
+      return;
+    }
+    callback(null, address, family);
+  });
+};
+
+// ============================================================================
+// ADAPTER
+// ============================================================================
+
+export class NetworkPrinterAdapter implements PrinterAdapter {
+  private host: string;
+  private port: number;
+  private timeoutMs: number;
+  private publicOnly: boolean;
+
+  constructor(options: NetworkPrinterOptions) {
+    this.host = options.host;
+    this.port = options.port || DEFAULT_PRINTER_PORT;
+    this.timeoutMs = options.timeoutMs || DEFAULT_TIMEOUT_MS;
+    this.publicOnly = Boolean(options.publicOnly);
+  }
+
+  /**
+   * Reason the printer address is not allowed, null if it is
+   */
+  private checkAddress(): string | null {
+    if (!this.publicOnly) {
+      return null;
+    }
+    if (this.port !== DEFAULT_PRINTER_PORT) {
+      return `only port ${DEFAULT_PRINTER_PORT} is allowed`;
+    }
+    if (net.isIP(this.host) && !isPublicAddress(this.host)) {
+      return 'address is not public';
+    }
+    return null;
+  }
+
+  private failure(message: string): ExternalServiceError {
+    return new ExternalServiceError(
+      'printer',
+      `Printer ${this.host}:${this.port} failed: ${message}`,
+      ErrorCode.PRINTER_ERROR,
+      { host: this.host, port: this.port },
+    );
+  }
+
+  /**
+   * Open a connection, write the job and close it again
+   */
+  send(data: Buffer): Promise<void> {
+    const refused = this.checkAddress();
+    if (refused) {
+      return Promise.reject(this.failure(refused));
+    }
+
+    return new Promise((resolve, reject) => {
+      let failed: Error | null = null;
+      const socket = net.createConnection({
+        host: this.host,
+        port: this.port,
+        ...(this.publicOnly ? { lookup: lookupPublicAddress } : {}),
+      });
+
+      socket.setTimeout(this.timeoutMs);
+
+      socket.on('connect', () => {
+        socket.end(data);
+      });
+
+      socket.on('timeout', () => {
+        socket.destroy(new Error(`No response within ${this.timeoutMs} ms`));
+      });
+
+      socket.on('error', (error) => {
+        failed = error;
+      });
+
+      socket.on('close', () => {
+        if (failed) {
+          reject(this.failure(failed.message));
+          return;
+        }
+        resolve();
+      });
+    });
+  }
+}
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+export default {
+  DEFAULT_PRINTER_PORT,
+  isPublicAddress,
+  NetworkPrinterAdapter,
+};
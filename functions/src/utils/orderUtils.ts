@@ -16,10 +16,23 @@ import {
   DeliveryType,
   OrderTotals,
   OrderValidationResult,
+  OrderWorkflow,
+  OrderType,
   InventoryCheck
 } from '../types/order.types';
 import { Product, ProductInventory, ProductVariant } from '../types/product.types';
 import { Customer } from '../types/customer.types';
+import { VAT_RATES, getConsumptionType, getProductVATRate } from './calculationUtils';
+import { ValidationError } from './errorHandler';
+import { DEFAULT_WORKFLOW, getNextStatuses } from './orderWorkflow';
+import {
+  OrderItemSelection,
+  ProductDocument,
+  getBundleProductIds,
+  getProductName,
+  isProductAvailable,
+  priceOrderItem
+} from './productOptionsUtils';
 
 // ============================================================================
 // ORDER VALIDATION
@@ -89,6 +102,59 @@ async function validateOrderItem(item: OrderItem): Promise<string[]> {
   return errors;
 }
 
+/**
+ * Validates ordered products and prices them from their product documents
+ *
+ * Throws a ValidationError for unknown or unavailable products.
+ */
+export async function validateOrderItems(
+  tenantId: string,
+  items: OrderItemSelection[],
+  orderType: OrderType
+): Promise<any[]> {
+  const validatedItems = [];
+  const consumption = getConsumptionType(orderType);
+  const productsRef = admin.firestore()
+    .collection('tenants')
+    .doc(tenantId)
+    .collection('products');
+  
+  for (const [index, item] of items.entries()) {
+    const productDoc = await productsRef.doc(item.productId).get();
+    
+    if (!productDoc.exists) {
+      throw new ValidationError(`Product ${item.productId} not found`, [
+        { field: `items[${index}].productId`, message: 'Unknown product' }
+      ]);
+    }
+    
+    const product = productDoc.data() as ProductDocument;
+    
+    if (!isProductAvailable(product)) {
+      throw new ValidationError(`Product ${getProductName(product)} is not available`, [
+        { field: `items[${index}].productId`, message: 'Product is not available' }
+      ]);
+    }
+    
+    // Deal components are priced by the deal but must be orderable themselves
+    const components = new Map<string, ProductDocument>();
+    const componentIds = getBundleProductIds(product, item);
+    if (componentIds.length > 0) {
+      const componentDocs = await admin.firestore().getAll(...componentIds.map((id) => productsRef.doc(id)));
+      componentDocs
+        .filter((doc) => doc.exists)
+        .forEach((doc) => components.set(doc.id, doc.data() as ProductDocument));
+    }
+    
+    validatedItems.push({
+      ...priceOrderItem(product, item, components, `items[${index}]`),
+      taxRate: getProductVATRate(product.pricing || product, consumption)
+    });
+  }
+  
+  return validatedItems;
+}
+
 // ============================================================================
 // ORDER CALCULATIONS
 // ============================================================================
@@ -124,7 +190,7 @@ export function calculateOrderTotals(order: Order): OrderTotals {
 
   // Calculate tax
   const taxableAmount = afterDiscount + deliveryFee + serviceFee;
-  const taxAmount = calculateTax(taxableAmount, order.payment?.taxRate || 7.7);
+  const taxAmount = calculateTax(taxableAmount, order.payment?.taxRate || VAT_RATES.STANDARD);
 
   // Calculate tip
   const tipAmount = order.payment?.tip || 0;
@@ -206,32 +272,25 @@ function calculateTax(amount: number, taxRate: number): number {
 // ============================================================================
 
 /**
- * Determines next valid statuses for an order
+ * Determines next valid statuses for an order in a workflow
  */
-export function getNextValidStatuses(currentStatus: OrderStatus): OrderStatus[] {
-  const statusFlow: Record<OrderStatus, OrderStatus[]> = {
-    [OrderStatus.PENDING]: [OrderStatus.CONFIRMED, OrderStatus.CANCELLED],
-    [OrderStatus.CONFIRMED]: [OrderStatus.PREPARING, OrderStatus.CANCELLED],
-    [OrderStatus.PREPARING]: [OrderStatus.READY, OrderStatus.CANCELLED],
-    [OrderStatus.READY]: [OrderStatus.DELIVERING, OrderStatus.COMPLETED, OrderStatus.CANCELLED],
-    [OrderStatus.DELIVERING]: [OrderStatus.COMPLETED, OrderStatus.FAILED],
-    [OrderStatus.COMPLETED]: [OrderStatus.REFUNDED],
-    [OrderStatus.CANCELLED]: [],
-    [OrderStatus.FAILED]: [OrderStatus.REFUNDED],
-    [OrderStatus.REFUNDED]: []
-  };
-
-  return statusFlow[currentStatus] || [];
+export function getNextValidStatuses(
+  currentStatus: OrderStatus,
+  workflow: OrderWorkflow = DEFAULT_WORKFLOW
+): OrderStatus[] {
+  return getNextStatuses(workflow, currentStatus);
 }
 
 /**
- * Validates status transition
+ * Validates status transition (roles and guards are checked by
+ * OrderWorkflowService)
  */
 export function isValidStatusTransition(
   currentStatus: OrderStatus, 
-  newStatus: OrderStatus
+  newStatus: OrderStatus,
+  workflow: OrderWorkflow = DEFAULT_WORKFLOW
 ): boolean {
-  const validStatuses = getNextValidStatuses(currentStatus);
+  const validStatuses = getNextValidStatuses(currentStatus, workflow);
   return validStatuses.includes(newStatus);
 }
 
@@ -473,6 +532,44 @@ export async function releaseInventory(
   await batch.commit();
 }
 
+// Statuses in which an order never needs its stock reservation or kitchen slot
+export const RESERVATION_RELEASE_STATUSES: string[] = ['cancelled', 'payment_failed', 'error'];
+
+// Unconfirmed orders keep their reservation until this long after they were due
+export const RESERVATION_GRACE_MINUTES = 120;
+
+const toMillis = (value: unknown): number | null => {
+  if (!value) return null;
+  if (value instanceof Date) return value.getTime();
+  if (typeof (value as admin.firestore.Timestamp).toMillis === 'function') {
+    return (value as admin.firestore.Timestamp).toMillis();
+  }
+  const time = new Date(value as string).getTime();
+  return Number.isNaN(time) ? null : time;
+};
+
+/**
+ * Whether the active stock reservation of an order can be released
+ *
+ * True if the order is gone (creation failed after reserving), ended
+ * without its lifecycle trigger releasing the stock, or was never
+ * confirmed and is overdue by RESERVATION_GRACE_MINUTES.
+ */
+export function isReservationStale(order: Partial<Order> | null, now: Date = new Date()): boolean {
+  if (!order) {
+    return true;
+  }
+  if (RESERVATION_RELEASE_STATUSES.includes(order.status as string)) {
+    return true;
+  }
+  if (order.status !== 'new' && order.status !== 'scheduled') {
+    return false;
+  }
+
+  const dueAt = toMillis(order.scheduledTime) ?? toMillis(order.estimatedReadyTime) ?? toMillis(order.createdAt);
+  return dueAt !== null && now.getTime() > dueAt + (RESERVATION_GRACE_MINUTES * 60 * 1000);
+}
+
 // ============================================================================
 // ORDER ANALYTICS
 // ============================================================================
@@ -0,0 +1,369 @@
+/**
+ * EATECH - Order Workflow
+ * Version: 1.0.0
+ * Description: Order status state machine with per-tenant workflows
+ * Author: EATECH Development Team
+ * Created: 2025-01-09
+ * File Path: /functions/src/utils/orderWorkflow.ts
+ *
+ * A workflow lists the allowed status transitions. Each transition may be
+ * limited to roles and guarded by conditions on the order (e.g. paid before
+ * preparing). Tenants pick a preset or define their own transitions.
+ */
+
+import {
+  Order,
+  OrderStatus,
+  OrderTransitionGuard,
+  OrderWorkflow,
+  OrderWorkflowPreset,
+  OrderWorkflowRole,
+  OrderWorkflowSettings,
+  OrderWorkflowTransition,
+} from '../types/order.types';
+
+// ============================================================================
+// TYPES & INTERFACES
+// ============================================================================
+
+export type WorkflowOrder = Pick<Order, 'status' | 'orderType' | 'paymentStatus' | 'total'>
+  & Partial<Pick<Order, 'heldStatus' | 'refundAmount'>>;
+
+export interface TransitionContext {
+  reason?: string;
+  refundAmount?: number; // total refunded, including earlier partial refunds
+}
+
+export type TransitionErrorCode = 'undefined_transition' | 'forbidden' | 'guard_failed';
+
+export interface TransitionCheck {
+  allowed: boolean;
+  transition?: OrderWorkflowTransition;
+  error?: {
+    code: TransitionErrorCode;
+    message: string;
+    guard?: OrderTransitionGuard;
+  };
+}
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+export const STAFF_ROLES: OrderWorkflowRole[] = ['owner', 'admin', 'manager', 'staff'];
+
+const MANAGER_ROLES: OrderWorkflowRole[] = ['owner', 'admin', 'manager'];
+
+// Only triggers and webhooks (role `system`) may take these transitions
+const SYSTEM_ONLY: OrderWorkflowRole[] = [];
+
+export const WORKFLOW_STATUSES: OrderStatus[] = [
+  'new',
+  'scheduled',
+  'confirmed',
+  'preparing',
+  'ready',
+  'in_delivery',
+  'delivered',
+  'completed',
+  'on_hold',
+  'cancelled',
+  'payment_failed',
+  'refunded',
+  'partially_refunded',
+  'error',
+];
+
+const GUARD_MESSAGES: Record<OrderTransitionGuard, string> = {
+  paid: 'Order must be paid first',
+  reason: 'A reason is required',
+  delivery: 'Only delivery orders can take this step',
+  not_delivery: 'Delivery orders cannot take this step',
+  held_status: 'Order can only resume the status it was held in',
+  full_refund: 'Refund amount must cover the order total',
+  partial_refund: 'Refund amount must be below the order total',
+};
+
+// ============================================================================
+// PRESETS
+// ============================================================================
+
+const step = (
+  from: OrderStatus,
+  to: OrderStatus,
+  options: Pick<OrderWorkflowTransition, 'roles' | 'guards'> = {},
+): OrderWorkflowTransition => ({ from, to, ...options });
+
+/**
+ * Order intake shared by all presets: payment result and customer cancellation
+ */
+const intake = (confirmGuards: OrderTransitionGuard[] = []): OrderWorkflowTransition[] => [
+  step('new', 'confirmed', { guards: confirmGuards }),
+  step('new', 'payment_failed', { roles: SYSTEM_ONLY }),
+  step('payment_failed', 'confirmed', { roles: SYSTEM_ONLY, guards: ['paid'] }),
+  step('new', 'cancelled', { roles: [...STAFF_ROLES, 'customer'] }),
+  step('payment_failed', 'cancelled'),
+];
+
+/**
+ * Put active orders on hold, resume them and cancel them with a reason
+ */
+const holdAndCancel = (active: OrderStatus[]): OrderWorkflowTransition[] => active.flatMap((status) => [
+  step(status, 'on_hold'),
+  step('on_hold', status, { guards: ['held_status'] }),
+  step(status, 'cancelled', { roles: MANAGER_ROLES, guards: ['reason'] }),
+]).concat(step('on_hold', 'cancelled', { roles: MANAGER_ROLES, guards: ['reason'] }));
+
+/**
+ * Full and partial refunds of finished or cancelled paid orders
+ */
+const refunds = (finished: OrderStatus[]): OrderWorkflowTransition[] => [...finished, 'cancelled' as OrderStatus]
+  .flatMap((status) => [
+    step(status, 'refunded', { roles: MANAGER_ROLES, guards: ['paid', 'full_refund'] }),
+    step(status, 'partially_refunded', { roles: MANAGER_ROLES, guards: ['paid', 'partial_refund'] }),
+  ])
+  .concat(step('partially_refunded', 'refunded', { roles: MANAGER_ROLES, guards: ['full_refund'] }));
+
+export const WORKFLOW_PRESETS: Record<OrderWorkflowPreset, OrderWorkflow> = {
+  // Pickup and delivery, payment online or on site
+  standard: {
+    id: 'standard',
+    name: 'Standard',
+    transitions: [
+      ...intake(),
+      step('scheduled', 'confirmed'),
+      step('scheduled', 'cancelled', { roles: [...STAFF_ROLES, 'customer'] }),
+      step('confirmed', 'preparing'),
+      step('preparing', 'ready'),
+      step('ready', 'completed', { guards: ['not_delivery'] }),
+      step('ready', 'in_delivery', { guards: ['delivery'] }),
+      step('in_delivery', 'delivered'),
+      step('delivered', 'completed'),
+      ...holdAndCancel(['confirmed', 'preparing', 'ready']),
+      ...refunds(['completed', 'delivered']),
+    ],
+  },
+
+  // Pickup only, no delivery steps
+  foodtruck: {
+    id: 'foodtruck',
+    name: 'Foodtruck (Abholung)',
+    transitions: [
+      ...intake(),
+      step('scheduled', 'confirmed'),
+      step('scheduled', 'cancelled', { roles: [...STAFF_ROLES, 'customer'] }),
+      step('confirmed', 'preparing'),
+      step('preparing', 'ready'),
+      step('ready', 'completed'),
+      ...holdAndCancel(['confirmed', 'preparing', 'ready']),
+      ...refunds(['completed']),
+    ],
+  },
+
+  // Pay at the counter before anything is prepared
+  event_stand: {
+    id: 'event_stand',
+    name: 'Eventstand (Vorauszahlung)',
+    transitions: [
+      ...intake(['paid']),
+      step('confirmed', 'preparing', { guards: ['paid'] }),
+      step('preparing', 'ready'),
+      step('ready', 'completed'),
+      ...holdAndCancel(['confirmed', 'preparing', 'ready']),
+      ...refunds(['completed']),
+    ],
+  },
+
+  // Served at the table, paid at the end
+  table_service: {
+    id: 'table_service',
+    name: 'Tischservice',
+    transitions: [
+      ...intake(),
+      step('confirmed', 'preparing'),
+      step('preparing', 'ready'),
+      step('ready', 'delivered'),
+      step('delivered', 'completed', { guards: ['paid'] }),
+      ...holdAndCancel(['confirmed', 'preparing', 'ready', 'delivered']),
+      ...refunds(['completed']),
+    ],
+  },
+};
+
+export const DEFAULT_WORKFLOW = WORKFLOW_PRESETS.standard;
+
+// ============================================================================
+// WORKFLOW RESOLUTION
+// ============================================================================
+
+/**
+ * Resolve the workflow of a tenant from its `orderWorkflow` settings
+ */
+export function getWorkflow(settings?: OrderWorkflowSettings | null): OrderWorkflow {
+  if (settings?.transitions && settings.transitions.length > 0) {
+    return {
+      id: 'custom',
+      name: 'Custom',
+      transitions: settings.transitions,
+    };
+  }
+
+  return WORKFLOW_PRESETS[settings?.preset || 'standard'] || DEFAULT_WORKFLOW;
+}
+
+/**
+ * Check custom workflow settings, returns the errors
+ */
+export function validateWorkflowSettings(settings: OrderWorkflowSettings): string[] {
+  const errors: string[] = [];
+
+  if (settings.preset && !WORKFLOW_PRESETS[settings.preset]) {
+    errors.push(`Unknown preset: ${settings.preset}`);
+  }
+
+  (settings.transitions || []).forEach((transition, index) => {
+    if (!WORKFLOW_STATUSES.includes(transition.from) || !WORKFLOW_STATUSES.includes(transition.to)) {
+      errors.push(`Transition ${index}: unknown status`);
+    }
+    if (transition.from === transition.to) {
+      errors.push(`Transition ${index}: from and to must differ`);
+    }
+    const unknownGuard = (transition.guards || []).find((guard) => !GUARD_MESSAGES[guard]);
+    if (unknownGuard) {
+      errors.push(`Transition ${index}: unknown guard ${unknownGuard}`);
+    }
+  });
+
+  return errors;
+}
+
+// ============================================================================
+// TRANSITIONS
+// ============================================================================
+
+function checkGuard(
+  guard: OrderTransitionGuard,
+  transition: OrderWorkflowTransition,
+  order: WorkflowOrder,
+  context: TransitionContext,
+): boolean {
+  const refundAmount = context.refundAmount ?? order.refundAmount ?? 0;
+
+  switch (guard) {
+    case 'paid':
+      return order.paymentStatus === 'paid' || order.paymentStatus === 'partial_refund';
+    case 'reason':
+      return Boolean(context.reason && context.reason.trim());
+    case 'delivery':
+      return order.orderType === 'delivery';
+    case 'not_delivery':
+      return order.orderType !== 'delivery';
+    case 'held_status':
+      return order.heldStatus === transition.to;
+    case 'full_refund':
+      return refundAmount >= order.total;
+    case 'partial_refund':
+      return refundAmount > 0 && refundAmount < order.total;
+    default:
+      return false;
+  }
+}
+
+function isRoleAllowed(transition: OrderWorkflowTransition, role: OrderWorkflowRole): boolean {
+  if (role === 'system') {
+    return true;
+  }
+  return (transition.roles || STAFF_ROLES).includes(role);
+}
+
+/**
+ * Check whether an order may move to a status
+ */
+export function checkTransition(
+  workflow: OrderWorkflow,
+  order: WorkflowOrder,
+  to: OrderStatus,
+  role: OrderWorkflowRole,
+  context: TransitionContext = {},
+): TransitionCheck {
+  const candidates = workflow.transitions.filter((t) => t.from === order.status && t.to === to);
+
+  if (candidates.length === 0) {
+    return {
+      allowed: false,
+      error: {
+        code: 'undefined_transition',
+        message: `Transition from ${order.status} to ${to} is not part of the ${workflow.name} workflow`,
+      },
+    };
+  }
+
+  const permitted = candidates.filter((t) => isRoleAllowed(t, role));
+  if (permitted.length === 0) {
+    return {
+      allowed: false,
+      error: {
+        code: 'forbidden',
+        message: `Role ${role} may not change orders from ${order.status} to ${to}`,
+      },
+    };
+  }
+
+  let failedGuard: OrderTransitionGuard | undefined;
+  for (const transition of permitted) {
+    failedGuard = (transition.guards || []).find((guard) => !checkGuard(guard, transition, order, context));
+    if (!failedGuard) {
+      return { allowed: true, transition };
+    }
+  }
+
+  return {
+    allowed: false,
+    error: {
+      code: 'guard_failed',
+      message: GUARD_MESSAGES[failedGuard as OrderTransitionGuard],
+      guard: failedGuard,
+    },
+  };
+}
+
+/**
+ * Transitions a role can take from the current order status
+ *
+ * Guards depending on input (reason, refund amount) are left to the caller
+ * and listed in `guards` of the returned transitions.
+ */
+export function getAvailableTransitions(
+  workflow: OrderWorkflow,
+  order: WorkflowOrder,
+  role: OrderWorkflowRole,
+): OrderWorkflowTransition[] {
+  const inputGuards: OrderTransitionGuard[] = ['reason', 'full_refund', 'partial_refund'];
+
+  return workflow.transitions.filter((transition) => transition.from === order.status
+    && isRoleAllowed(transition, role)
+    && (transition.guards || [])
+      .filter((guard) => !inputGuards.includes(guard))
+      .every((guard) => checkGuard(guard, transition, order, {})));
+}
+
+/**
+ * Statuses defined as next steps, regardless of roles and guards
+ */
+export function getNextStatuses(workflow: OrderWorkflow, from: OrderStatus): OrderStatus[] {
+  return [...new Set(workflow.transitions.filter((t) => t.from === from).map((t) => t.to))];
+}
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+export default {
+  WORKFLOW_PRESETS,
+  DEFAULT_WORKFLOW,
+  getWorkflow,
+  validateWorkflowSettings,
+  checkTransition,
+  getAvailableTransitions,
+  getNextStatuses,
+};
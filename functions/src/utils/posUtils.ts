@@ -0,0 +1,277 @@
+/**
+ * EATECH - Offline POS Utilities
+ * Version: 1.0.0
+ * Description: Order numbers, pricing and reconciliation of offline POS orders
+ * Author: EATECH Development Team
+ * Created: 2025-01-09
+ * File Path: /functions/src/utils/posUtils.ts
+ *
+ * A POS device prices orders from a menu snapshot it downloaded while
+ * online and numbers them from blocks reserved for it, so two devices never
+ * hand out the same number. When the device is back online, every order is
+ * priced again here from the same snapshot and compared with the current
+ * menu; what the customer paid always stands, differences are reported.
+ */
+
+import {
+  OfflinePosOrder,
+  OrderItem,
+  PosConflict,
+  PosNumberBlock,
+  PosPaymentMethod,
+  PosReconciliationReport,
+} from '../types/order.types';
+
+import { calculateVATBreakdown, getConsumptionType, getProductVATRate, roundToDecimals } from './calculationUtils';
+import { ValidationError } from './errorHandler';
+import { getProductName, isProductAvailable, priceOrderItem, ProductDocument } from './productOptionsUtils';
+
+// ============================================================================
+// TYPES & INTERFACES
+// ============================================================================
+
+export interface PricedPosOrder {
+  items: OrderItem[];
+  total: number;
+}
+
+export interface PosOrderResult {
+  order: OfflinePosOrder;
+  orderId: string;
+  status: 'created' | 'duplicate';
+  items: OrderItem[];
+  conflicts: PosConflict[];
+}
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+export const POS_NUMBER_BLOCK_SIZE = 200;
+export const MAX_POS_NUMBER_BLOCK_SIZE = 1000;
+
+// Order numbers printed for the customer; the prefix keeps them apart from online orders
+const POS_ORDER_NUMBER_PREFIX = 'P';
+
+const PAYMENT_METHODS: PosPaymentMethod[] = ['cash', 'card_terminal'];
+
+// Product fields the device needs to price orders
+const SNAPSHOT_PRODUCT_FIELDS = ['name', 'price', 'status', 'available', 'taxRate', 'info', 'pricing', 'options', 'category'];
+
+// ============================================================================
+// ORDER NUMBERS
+// ============================================================================
+
+/**
+ * Order number as printed on receipts and called out at the truck
+ */
+export function formatPosOrderNumber(orderNumber: number): string {
+  return `${POS_ORDER_NUMBER_PREFIX}-${String(orderNumber).padStart(5, '0')}`;
+}
+
+/**
+ * Whether an order number lies in one of the blocks reserved for a device
+ */
+export function isInNumberBlocks(orderNumber: number, blocks: PosNumberBlock[]): boolean {
+  return blocks.some((block) => orderNumber >= block.start && orderNumber <= block.end);
+}
+
+// ============================================================================
+// MENU SNAPSHOT
+// ============================================================================
+
+/**
+ * Reduce a product document to what pricing needs
+ */
+export function toSnapshotProduct(product: Record<string, any>): ProductDocument {
+  return SNAPSHOT_PRODUCT_FIELDS.reduce<Record<string, any>>((snapshot, field) => {
+    if (product[field] !== undefined) {
+      snapshot[field] = product[field];
+    }
+    return snapshot;
+  }, {}) as ProductDocument;
+}
+
+// ============================================================================
+// VALIDATION & PRICING
+// ============================================================================
+
+/**
+ * Check the shape of an uploaded offline order
+ */
+export function validateOfflinePosOrder(order: OfflinePosOrder, index: number): void {
+  const field = `orders[${index}]`;
+  const errors: Array<{ field: string; message: string }> = [];
+
+  if (!order || typeof order.localId !== 'string' || !order.localId) {
+    errors.push({ field: `${field}.localId`, message: 'Local order id is required' });
+  }
+  if (!Number.isInteger(order?.orderNumber) || order.orderNumber < 1) {
+    errors.push({ field: `${field}.orderNumber`, message: 'Order number must be a positive integer' });
+  }
+  if (!order?.snapshotId) {
+    errors.push({ field: `${field}.snapshotId`, message: 'Menu snapshot is required' });
+  }
+  if (!Array.isArray(order?.items) || order.items.length === 0) {
+    errors.push({ field: `${field}.items`, message: 'Order must contain at least one item' });
+  }
+  if (!PAYMENT_METHODS.includes(order?.payment?.method) || typeof order.payment.amount !== 'number') {
+    errors.push({ field: `${field}.payment`, message: `Payment must be one of ${PAYMENT_METHODS.join(', ')} with an amount` });
+  }
+  if (Number.isNaN(Date.parse(order?.createdAt))) {
+    errors.push({ field: `${field}.createdAt`, message: 'Creation time is required' });
+  }
+
+  if (errors.length > 0) {
+    throw new ValidationError(`Invalid offline order ${order?.localId || index}`, errors);
+  }
+}
+
+/**
+ * Price an offline order from product documents
+ *
+ * Availability is not checked: the device decided that when it sold the
+ * order. Throws a ValidationError for products or options the menu lacks.
+ */
+export function pricePosOrder(
+  order: Pick<OfflinePosOrder, 'items' | 'orderType'>,
+  products: Map<string, ProductDocument>,
+): PricedPosOrder {
+  const consumption = getConsumptionType(order.orderType);
+
+  const items = order.items.map((item, index) => {
+    const product = products.get(item.productId);
+    if (!product) {
+      throw new ValidationError(`Product ${item.productId} not found`, [
+        { field: `items[${index}].productId`, message: 'Unknown product' },
+      ]);
+    }
+
+    return {
+      ...priceOrderItem(product, item, products, `items[${index}]`),
+      taxRate: getProductVATRate(product.pricing || product, consumption),
+    };
+  });
+
+  return {
+    items,
+    total: roundToDecimals(items.reduce((sum, item) => sum + (item.price * item.quantity), 0)),
+  };
+}
+
+/**
+ * Compare an order priced from its snapshot with the current menu
+ */
+export function findMenuConflicts(
+  order: OfflinePosOrder,
+  items: OrderItem[],
+  products: Map<string, ProductDocument>,
+): PosConflict[] {
+  const conflicts: PosConflict[] = [];
+  const base = { localId: order.localId, orderNumber: order.orderNumber };
+
+  items.forEach((item, index) => {
+    const product = products.get(item.productId);
+    if (!product || !isProductAvailable(product)) {
+      conflicts.push({
+        ...base,
+        type: 'product_unavailable',
+        productId: item.productId,
+        message: `${item.name} is no longer available`,
+      });
+      return;
+    }
+
+    try {
+      const current = priceOrderItem(product, order.items[index], products);
+      if (Math.abs(current.price - item.price) >= 0.01) {
+        conflicts.push({
+          ...base,
+          type: 'price_changed',
+          productId: item.productId,
+          message: `Price of ${getProductName(product)} changed since the menu was downloaded`,
+          expected: item.price,
+          actual: current.price,
+        });
+      }
+    } catch (error) {
+      if (!(error instanceof ValidationError)) {
+        throw error;
+      }
+      conflicts.push({
+        ...base,
+        type: 'product_unavailable',
+        productId: item.productId,
+        message: `${item.name} can no longer be ordered like this: ${error.message}`,
+      });
+    }
+  });
+
+  return conflicts;
+}
+
+// ============================================================================
+// REPORT
+// ============================================================================
+
+/**
+ * Summarize a reconciliation run
+ *
+ * Duplicates were counted by the run that created them and only show up in
+ * the order counts.
+ */
+export function createReconciliationReport(
+  meta: Pick<PosReconciliationReport, 'id' | 'deviceId' | 'createdAt' | 'createdBy'>,
+  results: PosOrderResult[],
+): PosReconciliationReport {
+  const created = results.filter((result) => result.status === 'created');
+  const payments: PosReconciliationReport['payments'] = {
+    cash: { count: 0, amount: 0 },
+    card_terminal: { count: 0, amount: 0 },
+  };
+  let cashRounding = 0;
+
+  created.forEach(({ order }) => {
+    const totals = payments[order.payment.method];
+    totals.count += 1;
+    totals.amount = roundToDecimals(totals.amount + order.payment.amount);
+    if (order.payment.method === 'cash') {
+      cashRounding = roundToDecimals(cashRounding + (order.payment.amount - order.total));
+    }
+  });
+
+  return {
+    ...meta,
+    orders: {
+      received: results.length,
+      created: created.length,
+      duplicates: results.length - created.length,
+      withConflicts: created.filter((result) => result.conflicts.length > 0).length,
+    },
+    payments,
+    cashRounding,
+    total: roundToDecimals(payments.cash.amount + payments.card_terminal.amount),
+    vatBreakdown: calculateVATBreakdown(created.flatMap(({ items }) => items.map((item) => ({
+      amount: item.price * item.quantity,
+      rate: item.taxRate ?? 0,
+    })))),
+    conflicts: results.flatMap((result) => result.conflicts),
+    orderIds: results.map((result) => result.orderId),
+  };
+}
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+export default {
+  formatPosOrderNumber,
+  isInNumberBlocks,
+  toSnapshotProduct,
+  validateOfflinePosOrder,
+  pricePosOrder,
+  findMenuConflicts,
+  createReconciliationReport,
+  POS_NUMBER_BLOCK_SIZE,
+  MAX_POS_NUMBER_BLOCK_SIZE,
+};
@@ -0,0 +1,185 @@
+/**
+ * EATECH - Postal Code Utilities
+ * Version: 1.0.0
+ * Description: Swiss postal code lookup for canton, municipality and position
+ * Author: EATECH Development Team
+ * Created: 2025-01-09
+ * File Path: /functions/src/utils/postalCodeUtils.ts
+ *
+ * Backed by the embedded directory of localities in data/postalCodes.data.ts,
+ * generated by scripts/build-postal-codes.js, so lookups need no network.
+ * A postal code can serve several localities and a locality can span several
+ * municipalities; the entry holding most addresses comes first. Without a
+ * generated dataset, lookups find nothing and validation lets every address
+ * pass.
+ */
+
+import { POSTAL_CODE_DATA } from '../data/postalCodes.data';
+import { CantonCode } from '../types/tenant.types';
+
+import { BusinessError, ErrorCode } from './errorHandler';
+
+// ============================================================================
+// TYPES & INTERFACES
+// ============================================================================
+
+export interface SwissLocality {
+  postalCode: string;
+  locality: string;
+  municipality: string;
+  /** Municipality number of the Federal Statistical Office */
+  bfsNumber: number;
+  canton: CantonCode;
+  latitude: number;
+  longitude: number;
+  language: string;
+}
+
+export type PostalCodeIndex = Map<string, SwissLocality[]>;
+
+// ============================================================================
+// INDEX
+// ============================================================================
+
+let defaultIndex: PostalCodeIndex | null = null;
+
+/**
+ * Build an index from data in the format of data/postalCodes.data.ts
+ */
+export function createPostalCodeIndex(data: string): PostalCodeIndex {
+  const index: PostalCodeIndex = new Map();
+
+  data.split('\n').filter(Boolean)
+    .forEach((line) => {
+      const [postalCode, locality, municipality, bfsNumber, canton, latitude, longitude, language] = line.split('|');
+      const entries = index.get(postalCode) || [];
+      entries.push({
+        postalCode,
+        locality,
+        municipality: municipality || locality,
+        bfsNumber: Number(bfsNumber),
+        canton: canton as CantonCode,
+        latitude: Number(latitude),
+        longitude: Number(longitude),
+        language,
+      });
+      index.set(postalCode, entries);
+    });
+
+  return index;
+}
+
+function getDefaultIndex(): PostalCodeIndex {
+  if (!defaultIndex) {
+    defaultIndex = createPostalCodeIndex(POSTAL_CODE_DATA);
+  }
+  return defaultIndex;
+}
+
+/**
+ * Normalize a locality name: case, accents, "ue" for "ü", "St." and
+ * punctuation don't matter
+ */
+export function normalizeLocalityName(name: string): string {
+  return name
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/([aou])e/g, '$1')
+    .replace(/\b(sankt|saint|sainte|san|santa|st|ste)\b\.?/g, 'st')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+// ============================================================================
+// LOOKUP
+// ============================================================================
+
+/**
+ * Get all localities of a postal code, main locality first
+ */
+export function getLocalities(postalCode: string, index: PostalCodeIndex = getDefaultIndex()): SwissLocality[] {
+  return index.get(String(postalCode || '').trim()) || [];
+}
+
+/**
+ * Find the locality of a postal code, matching the city if given
+ *
+ * Official names carry the canton to tell namesakes apart ("Buchs SG"); the
+ * city matches with or without it, and by its municipality name.
+ */
+export function findLocality(
+  postalCode: string,
+  city?: string,
+  index: PostalCodeIndex = getDefaultIndex(),
+): SwissLocality | null {
+  const entries = getLocalities(postalCode, index);
+  if (!city) {
+    return entries[0] || null;
+  }
+
+  const name = normalizeLocalityName(city);
+  return entries.find((entry) => {
+    const locality = normalizeLocalityName(entry.locality);
+    return locality === name
+      || locality.replace(/ [a-z]{2}$/, '') === name
+      || normalizeLocalityName(entry.municipality) === name;
+  }) || null;
+}
+
+/**
+ * Get the canton of a postal code
+ */
+export function getCantonByPostalCode(
+  postalCode: string,
+  index: PostalCodeIndex = getDefaultIndex(),
+): CantonCode | null {
+  return getLocalities(postalCode, index)[0]?.canton || null;
+}
+
+/**
+ * Check that postal code and city of a Swiss address belong together
+ *
+ * @returns The matching locality, or null without a generated dataset
+ * @throws BusinessError for unknown postal codes and mismatching cities
+ */
+export function validateSwissAddress(
+  address: { postalCode: string; city: string },
+  index: PostalCodeIndex = getDefaultIndex(),
+): SwissLocality | null {
+  if (index.size === 0) {
+    return null;
+  }
+
+  const entries = getLocalities(address.postalCode, index);
+  if (entries.length === 0) {
+    throw new BusinessError(`Unknown postal code: ${address.postalCode}`, ErrorCode.INVALID_INPUT, {
+      field: 'postalCode',
+      postalCode: address.postalCode,
+    });
+  }
+
+  const locality = findLocality(address.postalCode, address.city, index);
+  if (!locality) {
+    throw new BusinessError(`${address.city} does not match postal code ${address.postalCode}`, ErrorCode.INVALID_INPUT, {
+      field: 'city',
+      postalCode: address.postalCode,
+      suggestions: [...new Set(entries.map((entry) => entry.locality))],
+    });
+  }
+
+  return locality;
+}
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+export default {
+  createPostalCodeIndex,
+  normalizeLocalityName,
+  getLocalities,
+  findLocality,
+  getCantonByPostalCode,
+  validateSwissAddress,
+};
@@ -0,0 +1,444 @@
+/**
+ * EATECH - Product Options Utilities
+ * Version: 1.0.0
+ * Description: Server-side pricing of variants, menu deals, add-ons and customizations
+ * Author: EATECH Development Team
+ * Created: 2025-01-09
+ * File Path: /functions/src/utils/productOptionsUtils.ts
+ *
+ * Prices always come from the product documents, never from the client.
+ * A deal (bundle) replaces the product price and is expanded into its
+ * component products for the kitchen and for stock reservation.
+ */
+
+import {
+  OrderItem,
+  OrderItemAddon,
+  OrderItemBundleComponent,
+  OrderItemOption,
+  OrderItemVariant,
+} from '../types/order.types';
+import {
+  CustomizationOption,
+  CustomizationRule,
+  ProductCustomization,
+  ProductOptions,
+  ProductPricing,
+} from '../types/product.types';
+
+import { ValidationError } from './errorHandler';
+
+// ============================================================================
+// TYPES & INTERFACES
+// ============================================================================
+
+/**
+ * Option format of products created before variants and deals
+ */
+export interface LegacyProductOption {
+  id: string;
+  name: string;
+  choices: Array<{ id: string; name: string; price?: number }>;
+}
+
+/**
+ * Product document as stored, typed and legacy fields
+ */
+export interface ProductDocument {
+  name?: string;
+  price?: number;
+  status?: string;
+  available?: boolean;
+  taxRate?: number;
+  info?: { name: string };
+  pricing?: Pick<ProductPricing, 'basePrice' | 'taxRate' | 'taxRates'>;
+  options?: ProductOptions | LegacyProductOption[];
+}
+
+/**
+ * Item as sent by the client
+ */
+export interface OrderItemSelection {
+  productId: string;
+  quantity: number;
+  variantId?: string;
+  bundleId?: string;
+  options?: Array<{ id: string; choiceId?: string; choiceIds?: string[] }>;
+  addons?: Array<{ id: string; quantity?: number }>;
+  notes?: string;
+}
+
+export type PricedOrderItem = Omit<OrderItem, 'taxRate'>;
+
+export interface KitchenItem {
+  id: string;
+  productId: string;
+  name: string;
+  quantity: number;
+  modifiers?: string[];
+  notes?: string;
+  category?: string; // routes the item to a kitchen station
+}
+
+export interface StockItem {
+  productId: string;
+  name: string;
+  quantity: number;
+}
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+const roundPrice = (value: number): number => Math.round(value * 100) / 100;
+
+export const getProductName = (product: ProductDocument): string => product.info?.name || product.name || '';
+
+export const getProductPrice = (product: ProductDocument): number => product.pricing?.basePrice ?? product.price ?? 0;
+
+/**
+ * Whether the product can be ordered
+ */
+export const isProductAvailable = (product: ProductDocument): boolean =>
+  product.status === 'active' && Boolean(product.available);
+
+const getTypedOptions = (product: ProductDocument): Partial<ProductOptions> =>
+  (product.options && !Array.isArray(product.options) ? product.options : {});
+
+const findRule = (rules: CustomizationRule[] | undefined, type: CustomizationRule['type']): CustomizationRule | undefined =>
+  (rules || []).find((rule) => rule.type === type && typeof rule.value === 'number');
+
+/**
+ * Bundle components whose products have to be loaded to price an item
+ */
+export function getBundleProductIds(product: ProductDocument, selection: OrderItemSelection): string[] {
+  if (!selection.bundleId) {
+    return [];
+  }
+
+  const bundle = (getTypedOptions(product).bundles || []).find((b) => b.id === selection.bundleId);
+  return bundle ? bundle.items.map((item) => item.productId) : [];
+}
+
+// ============================================================================
+// CUSTOMIZATIONS
+// ============================================================================
+
+/**
+ * Selected choices of one customization, checked against its min/max rules
+ */
+function selectCustomization(
+  customization: ProductCustomization,
+  choiceIds: string[],
+  field: string,
+): CustomizationOption[] {
+  const selected = choiceIds.map((choiceId) => {
+    const choice = customization.options.find((o) => o.id === choiceId);
+    if (!choice || choice.available === false) {
+      throw new ValidationError(`Invalid choice for ${customization.name}`, [
+        { field, message: `Choice ${choiceId} is not available` },
+      ]);
+    }
+    return choice;
+  });
+
+  const minRule = findRule(customization.rules, 'min_selection');
+  const maxRule = findRule(customization.rules, 'max_selection');
+  const min = Math.max(customization.required ? 1 : 0, minRule ? Number(minRule.value) : 0);
+  const max = customization.type === 'single'
+    ? 1
+    : maxRule ? Number(maxRule.value) : Infinity;
+
+  if (new Set(choiceIds).size !== choiceIds.length) {
+    throw new ValidationError(`Duplicate choice for ${customization.name}`, [
+      { field, message: 'Each choice can only be selected once' },
+    ]);
+  }
+  if (selected.length < min) {
+    throw new ValidationError(`Selection required for ${customization.name}`, [
+      { field, message: minRule?.message || `Select at least ${min}` },
+    ]);
+  }
+  if (selected.length > max) {
+    throw new ValidationError(`Too many choices for ${customization.name}`, [
+      { field, message: maxRule?.message || `Select at most ${max}` },
+    ]);
+  }
+
+  return selected;
+}
+
+function priceCustomizations(
+  product: ProductDocument,
+  selection: OrderItemSelection,
+  field: string,
+): OrderItemOption[] {
+  const productName = getProductName(product);
+  const selectedOptions = selection.options || [];
+
+  // Products created before variants and deals: options[].choices
+  if (Array.isArray(product.options)) {
+    const legacyOptions = product.options;
+
+    return selectedOptions.map((selectedOption, index) => {
+      const productOption = legacyOptions.find((o) => o.id === selectedOption.id);
+      const choice = productOption?.choices.find((c) => c.id === selectedOption.choiceId);
+      if (!productOption || !choice) {
+        throw new ValidationError(`Invalid option ${selectedOption.id} for product ${productName}`, [
+          { field: `${field}.options[${index}]`, message: 'Unknown option or choice' },
+        ]);
+      }
+      return { id: productOption.id, name: productOption.name, choice: choice.name, price: choice.price || 0 };
+    });
+  }
+
+  const customizations = getTypedOptions(product).customizations || [];
+
+  selectedOptions.forEach((selectedOption, index) => {
+    if (!customizations.some((c) => c.id === selectedOption.id)) {
+      throw new ValidationError(`Invalid option ${selectedOption.id} for product ${productName}`, [
+        { field: `${field}.options[${index}]`, message: 'Unknown option' },
+      ]);
+    }
+  });
+
+  // Every customization is checked, so required ones left out are rejected
+  return customizations.flatMap((customization) => {
+    const selectedOption = selectedOptions.find((o) => o.id === customization.id);
+    const choiceIds = selectedOption
+      ? selectedOption.choiceIds || (selectedOption.choiceId ? [selectedOption.choiceId] : [])
+      : [];
+
+    return selectCustomization(customization, choiceIds, `${field}.options.${customization.id}`)
+      .map((choice) => ({
+        id: customization.id,
+        name: customization.name,
+        choice: choice.name,
+        price: choice.price || 0,
+      }));
+  });
+}
+
+// ============================================================================
+// ADD-ONS, VARIANTS & BUNDLES
+// ============================================================================
+
+function priceAddons(product: ProductDocument, selection: OrderItemSelection, field: string): OrderItemAddon[] {
+  const addons = getTypedOptions(product).addons || [];
+
+  return (selection.addons || []).map((selectedAddon, index) => {
+    const addon = addons.find((a) => a.id === selectedAddon.id);
+    const quantity = selectedAddon.quantity ?? 1;
+
+    if (!addon) {
+      throw new ValidationError(`Invalid add-on ${selectedAddon.id} for product ${getProductName(product)}`, [
+        { field: `${field}.addons[${index}]`, message: 'Unknown add-on' },
+      ]);
+    }
+    if (!Number.isInteger(quantity) || quantity < 1 || (addon.maxQuantity && quantity > addon.maxQuantity)) {
+      throw new ValidationError(`Invalid quantity for add-on ${addon.name}`, [
+        { field: `${field}.addons[${index}].quantity`, message: `Allowed are 1 to ${addon.maxQuantity || 'any'}` },
+      ]);
+    }
+
+    return {
+      id: addon.id,
+      productId: addon.productId || undefined,
+      name: addon.name,
+      price: addon.price,
+      quantity,
+    };
+  });
+}
+
+function resolveVariant(
+  product: ProductDocument,
+  selection: OrderItemSelection,
+  field: string,
+): OrderItemVariant | undefined {
+  if (!selection.variantId) {
+    return undefined;
+  }
+
+  const variant = (getTypedOptions(product).variants || []).find((v) => v.id === selection.variantId);
+  if (!variant || (variant.inventory?.trackInventory && variant.inventory.quantity <= 0)) {
+    throw new ValidationError(`Variant not available for product ${getProductName(product)}`, [
+      { field: `${field}.variantId`, message: `Variant ${selection.variantId} is not available` },
+    ]);
+  }
+
+  return {
+    id: variant.id,
+    name: variant.name,
+    price: variant.price ?? getProductPrice(product),
+  };
+}
+
+/**
+ * Component names of a deal, with the customizations preset by the deal
+ */
+function describeComponentModifiers(component: ProductDocument, customizations?: Record<string, unknown>): string[] {
+  const available = getTypedOptions(component).customizations || [];
+
+  return Object.entries(customizations || {}).flatMap(([customizationId, value]) => {
+    const customization = available.find((c) => c.id === customizationId);
+    const choiceIds = (Array.isArray(value) ? value : [value]).map(String);
+
+    return choiceIds.map((choiceId) => customization?.options.find((o) => o.id === choiceId)?.name || choiceId);
+  });
+}
+
+function resolveBundle(
+  product: ProductDocument,
+  selection: OrderItemSelection,
+  components: Map<string, ProductDocument>,
+  field: string,
+) {
+  if (!selection.bundleId) {
+    return undefined;
+  }
+
+  const bundle = (getTypedOptions(product).bundles || []).find((b) => b.id === selection.bundleId);
+  if (!bundle || !bundle.available) {
+    throw new ValidationError(`Deal not available for product ${getProductName(product)}`, [
+      { field: `${field}.bundleId`, message: `Deal ${selection.bundleId} is not available` },
+    ]);
+  }
+
+  const items: OrderItemBundleComponent[] = bundle.items.map((bundleItem) => {
+    const component = components.get(bundleItem.productId);
+    if (!component || !isProductAvailable(component)) {
+      throw new ValidationError(`Deal ${bundle.name} is not available`, [
+        { field: `${field}.bundleId`, message: `Product ${bundleItem.productId} of the deal is not available` },
+      ]);
+    }
+
+    const modifiers = describeComponentModifiers(component, bundleItem.customizations);
+    return {
+      productId: bundleItem.productId,
+      name: getProductName(component),
+      quantity: bundleItem.quantity,
+      ...(modifiers.length > 0 ? { modifiers } : {}),
+    };
+  });
+
+  return { id: bundle.id, name: bundle.name, price: bundle.price, items };
+}
+
+// ============================================================================
+// PRICING
+// ============================================================================
+
+/**
+ * Price an ordered item from its product document
+ *
+ * A deal replaces the product price; a variant chosen together with a deal
+ * adds its difference to the product price on top (e.g. a large burger menu).
+ */
+export function priceOrderItem(
+  product: ProductDocument,
+  selection: OrderItemSelection,
+  components: Map<string, ProductDocument> = new Map(),
+  field: string = 'items',
+): PricedOrderItem {
+  const productPrice = getProductPrice(product);
+  const variant = resolveVariant(product, selection, field);
+  const bundle = resolveBundle(product, selection, components, field);
+  const options = priceCustomizations(product, selection, field);
+  const addons = priceAddons(product, selection, field);
+
+  let basePrice = variant ? variant.price : productPrice;
+  if (bundle) {
+    basePrice = bundle.price + (variant ? variant.price - productPrice : 0);
+  }
+
+  const optionsPrice = options.reduce((sum, option) => sum + option.price, 0);
+  const addonsPrice = addons.reduce((sum, addon) => sum + (addon.price * addon.quantity), 0);
+
+  return {
+    productId: selection.productId,
+    name: getProductName(product),
+    price: roundPrice(basePrice + optionsPrice + addonsPrice),
+    basePrice: roundPrice(basePrice),
+    quantity: selection.quantity,
+    ...(variant ? { variant } : {}),
+    options,
+    ...(addons.length > 0 ? { addons } : {}),
+    ...(bundle ? { bundle: { id: bundle.id, name: bundle.name, items: bundle.items } } : {}),
+    notes: selection.notes || '',
+  };
+}
+
+// ============================================================================
+// EXPANSION
+// ============================================================================
+
+/**
+ * Items as the kitchen prepares them: deals split into their components,
+ * variant, choices and add-ons as modifiers of the main product
+ */
+export function expandKitchenItems(items: OrderItem[]): KitchenItem[] {
+  return items.flatMap((item, index) => {
+    const modifiers = [
+      ...(item.variant ? [item.variant.name] : []),
+      ...(item.options || []).map((option) => option.choice),
+      ...(item.addons || []).map((addon) => (addon.quantity > 1 ? `${addon.quantity}x ${addon.name}` : addon.name)),
+    ];
+
+    const main: KitchenItem = {
+      id: `${index}`,
+      productId: item.productId,
+      name: item.name,
+      quantity: item.quantity,
+      ...(modifiers.length > 0 ? { modifiers } : {}),
+      ...(item.notes ? { notes: item.notes } : {}),
+      ...(item.category ? { category: item.category } : {}),
+    };
+
+    const components = (item.bundle?.items || []).map((component, componentIndex): KitchenItem => ({
+      id: `${index}.${componentIndex + 1}`,
+      productId: component.productId,
+      name: component.name,
+      quantity: component.quantity * item.quantity,
+      ...(component.modifiers ? { modifiers: component.modifiers } : {}),
+    }));
+
+    return [main, ...components];
+  });
+}
+
+/**
+ * Products whose stock an item consumes: the product itself, the deal
+ * components and add-ons that are products of their own
+ */
+export function getStockItems(item: OrderItem): StockItem[] {
+  const components = (item.bundle?.items || []).map((component) => ({
+    productId: component.productId,
+    name: component.name,
+    quantity: component.quantity * item.quantity,
+  }));
+
+  const addonProducts = (item.addons || [])
+    .filter((addon) => addon.productId)
+    .map((addon) => ({
+      productId: addon.productId as string,
+      name: addon.name,
+      quantity: addon.quantity * item.quantity,
+    }));
+
+  return [{ productId: item.productId, name: item.name, quantity: item.quantity }, ...components, ...addonProducts];
+}
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+export default {
+  getProductName,
+  getProductPrice,
+  isProductAvailable,
+  getBundleProductIds,
+  priceOrderItem,
+  expandKitchenItems,
+  getStockItems,
+};
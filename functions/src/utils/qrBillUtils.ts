@@ -0,0 +1,598 @@
+/**
+ * EATECH - Swiss QR-Bill Utilities
+ * Version: 1.0.0
+ * Description: QR-IBAN validation, payment references and the QR-bill payment part
+ * Author: EATECH Development Team
+ * Created: 2025-01-09
+ * File Path: /functions/src/utils/qrBillUtils.ts
+ *
+ * Implements the Swiss Implementation Guidelines for the QR-bill (SPC 0200):
+ * - IBAN and QR-IBAN validation
+ * - QR reference (QRR, modulo 10 recursive) and creditor reference (SCOR, ISO 11649)
+ * - Swiss Payments Code payload
+ * - Receipt and payment part rendered into PDFKit documents
+ * - Credit notifications (camt.054) for matching payments by reference
+ */
+
+/* global PDFKit */
+import { XMLParser } from 'fast-xml-parser';
+import * as QRCode from 'qrcode';
+
+// ============================================================================
+// TYPES & INTERFACES
+// ============================================================================
+
+export type QrReferenceType = 'QRR' | 'SCOR' | 'NON';
+
+/**
+ * Structured address (address type S)
+ */
+export interface QrBillAddress {
+  name: string;
+  street?: string;
+  buildingNumber?: string;
+  postalCode: string;
+  city: string;
+  country: string; // ISO 3166-1 alpha-2
+}
+
+export interface QrBillData {
+  /** IBAN or QR-IBAN of the creditor */
+  account: string;
+  creditor: QrBillAddress;
+  /** Leave empty to let the payer fill in the amount */
+  amount?: number;
+  currency: 'CHF' | 'EUR';
+  debtor?: QrBillAddress;
+  referenceType: QrReferenceType;
+  reference?: string;
+  message?: string;
+}
+
+/**
+ * Single credit booked on the account, taken from a camt.054 notification
+ */
+export interface CamtCredit {
+  reference: string | null;
+  amount: number;
+  currency: string;
+  bookingDate: string | null;
+  bankReference: string | null;
+  debtorName: string | null;
+}
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+// Table of the modulo 10 recursive check digit
+const MOD10_TABLE = [0, 9, 4, 6, 8, 2, 7, 1, 3, 5];
+
+// QR-IBANs carry a QR-IID in this range instead of a bank clearing number
+const QR_IID_MIN = 30000;
+const QR_IID_MAX = 31999;
+
+const MAX_AMOUNT = 999999999.99;
+
+const MM = 72 / 25.4;
+
+// ============================================================================
+// ACCOUNT VALIDATION
+// ============================================================================
+
+/**
+ * Remove spaces and normalize case of an IBAN or reference
+ */
+export function compact(value: string): string {
+  return value.replace(/\s+/g, '').toUpperCase();
+}
+
+function mod97(value: string): number {
+  // Letters count as 10 (A) to 35 (Z)
+  const digits = value.replace(/[A-Z]/g, (letter) => String(letter.charCodeAt(0) - 55));
+
+  let remainder = 0;
+  for (const digit of digits) {
+    remainder = ((remainder * 10) + Number(digit)) % 97;
+  }
+  return remainder;
+}
+
+/**
+ * Validate a Swiss or Liechtenstein IBAN (QR-bills only accept these)
+ */
+export function isValidIban(iban: string): boolean {
+  const value = compact(iban);
+  if (!/^(CH|LI)\d{2}[0-9A-Z]{17}$/.test(value)) {
+    return false;
+  }
+  return mod97(value.slice(4) + value.slice(0, 4)) === 1;
+}
+
+/**
+ * Check whether an IBAN is a QR-IBAN (required for QR references)
+ */
+export function isQrIban(iban: string): boolean {
+  if (!isValidIban(iban)) {
+    return false;
+  }
+  const iid = Number(compact(iban).slice(4, 9));
+  return iid >= QR_IID_MIN && iid <= QR_IID_MAX;
+}
+
+// ============================================================================
+// REFERENCES
+// ============================================================================
+
+/**
+ * Modulo 10 recursive check digit of a numeric string
+ */
+export function mod10Recursive(digits: string): number {
+  let carry = 0;
+  for (const digit of digits) {
+    carry = MOD10_TABLE[(carry + Number(digit)) % 10];
+  }
+  return (10 - carry) % 10;
+}
+
+/**
+ * Create a 27 digit QR reference from a number and an optional bank customer id
+ */
+export function createQrReference(sequence: number | string, customerId: string = ''): string {
+  const body = `${customerId}${String(sequence).padStart(26 - customerId.length, '0')}`;
+
+  if (!/^\d{26}$/.test(body)) {
+    throw new Error('QR reference needs 26 digits before the check digit');
+  }
+
+  return body + String(mod10Recursive(body));
+}
+
+export function isValidQrReference(reference: string): boolean {
+  const value = compact(reference);
+  return /^\d{27}$/.test(value)
+    && !/^0+$/.test(value)
+    && mod10Recursive(value.slice(0, 26)) === Number(value[26]);
+}
+
+/**
+ * Create an ISO 11649 creditor reference (RF...) from an alphanumeric value
+ */
+export function createScorReference(value: string): string {
+  const body = compact(value).replace(/[^0-9A-Z]/g, '');
+
+  if (body.length === 0 || body.length > 21) {
+    throw new Error('Creditor reference needs 1 to 21 letters or digits');
+  }
+
+  const check = 98 - mod97(`${body}RF00`);
+  return `RF${String(check).padStart(2, '0')}${body}`;
+}
+
+export function isValidScorReference(reference: string): boolean {
+  const value = compact(reference);
+  return /^RF\d{2}[0-9A-Z]{1,21}$/.test(value)
+    && mod97(value.slice(4) + value.slice(0, 4)) === 1;
+}
+
+/**
+ * Check an account and reference combination
+ *
+ * QR references are only allowed with QR-IBANs, creditor references and
+ * payments without reference only with regular IBANs. Returns the errors.
+ */
+export function validateQrBill(data: QrBillData): string[] {
+  const errors: string[] = [];
+
+  if (!isValidIban(data.account)) {
+    errors.push('Account must be a valid CH or LI IBAN');
+  } else if (data.referenceType === 'QRR' && !isQrIban(data.account)) {
+    errors.push('QR references require a QR-IBAN');
+  } else if (data.referenceType !== 'QRR' && isQrIban(data.account)) {
+    errors.push('A QR-IBAN requires a QR reference');
+  }
+
+  if (data.referenceType === 'QRR' && !isValidQrReference(data.reference || '')) {
+    errors.push('Invalid QR reference');
+  }
+  if (data.referenceType === 'SCOR' && !isValidScorReference(data.reference || '')) {
+    errors.push('Invalid creditor reference');
+  }
+  if (data.referenceType === 'NON' && data.reference) {
+    errors.push('Reference type NON must not have a reference');
+  }
+
+  if (data.amount !== undefined && (data.amount < 0.01 || data.amount > MAX_AMOUNT)) {
+    errors.push('Amount must be between 0.01 and 999999999.99');
+  }
+  if ((data.message || '').length > 140) {
+    errors.push('Message must not exceed 140 characters');
+  }
+  if (!data.creditor.name || !data.creditor.postalCode || !data.creditor.city) {
+    errors.push('Creditor name, postal code and city are required');
+  }
+
+  return errors;
+}
+
+// ============================================================================
+// FORMATTING
+// ============================================================================
+
+/**
+ * Format an IBAN in blocks of four
+ */
+export function formatIban(iban: string): string {
+  return compact(iban).replace(/(.{4})(?=.)/g, '$1 ');
+}
+
+/**
+ * Format a reference for printing (QRR 2+5x5 digits, SCOR blocks of four)
+ */
+export function formatReference(reference: string): string {
+  const value = compact(reference);
+  if (/^\d{27}$/.test(value)) {
+    return `${value.slice(0, 2)} ${value.slice(2).replace(/(.{5})(?=.)/g, '$1 ')}`;
+  }
+  return value.replace(/(.{4})(?=.)/g, '$1 ');
+}
+
+/**
+ * Format an amount with space as thousands separator
+ */
+export function formatAmount(amount: number): string {
+  const [whole, cents] = amount.toFixed(2).split('.');
+  return `${whole.replace(/\B(?=(\d{3})+(?!\d))/g, ' ')}.${cents}`;
+}
+
+// ============================================================================
+// SWISS PAYMENTS CODE
+// ============================================================================
+
+function addressLines(address?: QrBillAddress): string[] {
+  if (!address) {
+    return ['', '', '', '', '', '', ''];
+  }
+  return [
+    'S',
+    address.name.slice(0, 70),
+    (address.street || '').slice(0, 70),
+    (address.buildingNumber || '').slice(0, 16),
+    address.postalCode.slice(0, 16),
+    address.city.slice(0, 35),
+    address.country.toUpperCase(),
+  ];
+}
+
+/**
+ * Build the Swiss Payments Code carried by the QR code
+ */
+export function buildQrPayload(data: QrBillData): string {
+  return [
+    'SPC',
+    '0200',
+    '1',
+    compact(data.account),
+    ...addressLines(data.creditor),
+    // Ultimate creditor, reserved for future use
+    ...addressLines(),
+    data.amount !== undefined ? data.amount.toFixed(2) : '',
+    data.currency,
+    ...addressLines(data.debtor),
+    data.referenceType,
+    data.reference ? compact(data.reference) : '',
+    data.message || '',
+    'EPD',
+  ].join('\n');
+}
+
+// ============================================================================
+// PAYMENT PART
+// ============================================================================
+
+const LABELS = {
+  receipt: 'Empfangsschein',
+  paymentPart: 'Zahlteil',
+  account: 'Konto / Zahlbar an',
+  reference: 'Referenz',
+  additionalInformation: 'Zusätzliche Informationen',
+  payableBy: 'Zahlbar durch',
+  payableByBlank: 'Zahlbar durch (Name/Adresse)',
+  currency: 'Währung',
+  amount: 'Betrag',
+  acceptancePoint: 'Annahmestelle',
+  separate: 'Vor der Einzahlung abzutrennen',
+};
+
+function formatAddress(address: QrBillAddress): string[] {
+  const street = [address.street, address.buildingNumber].filter(Boolean).join(' ');
+  const city = `${address.country === 'CH' ? '' : `${address.country}-`}${address.postalCode} ${address.city}`;
+  return [address.name, street, city].filter(Boolean);
+}
+
+/**
+ * Draw the corner marks of an empty field the payer fills in by hand
+ */
+function drawBlankField(doc: PDFKit.PDFDocument, x: number, y: number, width: number, height: number): void {
+  const mark = 3 * MM;
+
+  doc.save().lineWidth(0.75)
+    .strokeColor('black');
+  doc.moveTo(x, y + mark).lineTo(x, y)
+    .lineTo(x + mark, y)
+    .stroke();
+  doc.moveTo(x + width - mark, y).lineTo(x + width, y)
+    .lineTo(x + width, y + mark)
+    .stroke();
+  doc.moveTo(x + width, y + height - mark).lineTo(x + width, y + height)
+    .lineTo(x + width - mark, y + height)
+    .stroke();
+  doc.moveTo(x + mark, y + height).lineTo(x, y + height)
+    .lineTo(x, y + height - mark)
+    .stroke();
+  doc.restore();
+}
+
+/**
+ * Draw the QR code with the Swiss cross, 46 x 46 mm
+ */
+function drawQrCode(doc: PDFKit.PDFDocument, payload: string, x: number, y: number): void {
+  const qr = QRCode.create(payload, { errorCorrectionLevel: 'M' });
+  const { size, data } = qr.modules;
+  const codeSize = 46 * MM;
+  const moduleSize = codeSize / size;
+
+  doc.save().fillColor('black');
+  for (let row = 0; row < size; row++) {
+    for (let col = 0; col < size; col++) {
+      if (data[(row * size) + col]) {
+        doc.rect(x + (col * moduleSize), y + (row * moduleSize), moduleSize, moduleSize);
+      }
+    }
+  }
+  doc.fill();
+
+  // Swiss cross: 7 x 7 mm black square with white border and white cross
+  const crossSize = 7 * MM;
+  const border = 0.5 * MM;
+  const cx = x + ((codeSize - crossSize) / 2);
+  const cy = y + ((codeSize - crossSize) / 2);
+  const inner = crossSize - (2 * border);
+  const barLength = inner * 0.65;
+  const barWidth = inner * 0.2;
+
+  doc.rect(cx, cy, crossSize, crossSize).fill('white');
+  doc.rect(cx + border, cy + border, inner, inner).fill('black');
+  doc.rect(cx + ((crossSize - barWidth) / 2), cy + ((crossSize - barLength) / 2), barWidth, barLength).fill('white');
+  doc.rect(cx + ((crossSize - barLength) / 2), cy + ((crossSize - barWidth) / 2), barLength, barWidth).fill('white');
+  doc.restore();
+}
+
+/**
+ * Render receipt and payment part at the bottom of the current A4 page
+ *
+ * The caller must keep the lowest 105 mm of the page free.
+ */
+export function renderQrBill(doc: PDFKit.PDFDocument, data: QrBillData): void {
+  const errors = validateQrBill(data);
+  if (errors.length > 0) {
+    throw new Error(`Invalid QR-bill: ${errors.join(', ')}`);
+  }
+
+  const top = doc.page.height - (105 * MM);
+  const receiptWidth = 62 * MM;
+  const margin = 5 * MM;
+  const payload = buildQrPayload(data);
+  const reference = data.reference ? formatReference(data.reference) : null;
+  const amount = data.amount !== undefined ? formatAmount(data.amount) : null;
+  const accountLines = [formatIban(data.account), ...formatAddress(data.creditor)];
+
+  // Text near the bottom edge would otherwise flow onto a new page
+  const bottomMargin = doc.page.margins.bottom;
+  doc.page.margins.bottom = 0;
+
+  // Perforation lines
+  doc.save()
+    .lineWidth(0.5)
+    .dash(2, { space: 2 })
+    .strokeColor('black');
+  doc.moveTo(0, top).lineTo(doc.page.width, top)
+    .stroke();
+  doc.moveTo(receiptWidth, top).lineTo(receiptWidth, doc.page.height)
+    .stroke();
+  doc.undash().restore();
+  doc.font('Helvetica').fontSize(7)
+    .text(LABELS.separate, 0, top - (3.5 * MM), { width: doc.page.width, align: 'center' });
+
+  const section = (
+    x: number,
+    y: number,
+    width: number,
+    heading: string,
+    lines: string[],
+    sizes: { heading: number; value: number },
+  ): number => {
+    doc.font('Helvetica-Bold').fontSize(sizes.heading)
+      .text(heading, x, y, { width });
+    doc.font('Helvetica').fontSize(sizes.value);
+    for (const line of lines) {
+      doc.text(line, { width });
+    }
+    return doc.y + (sizes.value * 0.9);
+  };
+
+  // Receipt
+  const receiptSizes = { heading: 6, value: 8 };
+  const rx = margin;
+  const rWidth = receiptWidth - (2 * margin);
+  doc.font('Helvetica-Bold').fontSize(11)
+    .text(LABELS.receipt, rx, top + margin, { width: rWidth });
+
+  let ry = top + (12 * MM);
+  ry = section(rx, ry, rWidth, LABELS.account, accountLines, receiptSizes);
+  if (reference) {
+    ry = section(rx, ry, rWidth, LABELS.reference, [reference], receiptSizes);
+  }
+  if (data.debtor) {
+    section(rx, ry, rWidth, LABELS.payableBy, formatAddress(data.debtor), receiptSizes);
+  } else {
+    doc.font('Helvetica-Bold').fontSize(6)
+      .text(LABELS.payableByBlank, rx, ry, { width: rWidth });
+    drawBlankField(doc, rx, doc.y + 1, 52 * MM, 20 * MM);
+  }
+
+  const receiptAmountY = top + (68 * MM);
+  doc.font('Helvetica-Bold').fontSize(6)
+    .text(LABELS.currency, rx, receiptAmountY)
+    .text(LABELS.amount, rx + (12 * MM), receiptAmountY);
+  doc.font('Helvetica').fontSize(8)
+    .text(data.currency, rx, receiptAmountY + (3 * MM));
+  if (amount) {
+    doc.text(amount, rx + (12 * MM), receiptAmountY + (3 * MM));
+  } else {
+    drawBlankField(doc, rx + (22 * MM), receiptAmountY, 30 * MM, 10 * MM);
+  }
+
+  doc.font('Helvetica-Bold').fontSize(6)
+    .text(LABELS.acceptancePoint, rx, top + (82 * MM), { width: rWidth, align: 'right' });
+
+  // Payment part
+  const px = receiptWidth + margin;
+  doc.font('Helvetica-Bold').fontSize(11)
+    .text(LABELS.paymentPart, px, top + margin);
+  drawQrCode(doc, payload, px, top + (17 * MM));
+
+  const paymentAmountY = top + (68 * MM);
+  doc.font('Helvetica-Bold').fontSize(8)
+    .text(LABELS.currency, px, paymentAmountY)
+    .text(LABELS.amount, px + (14 * MM), paymentAmountY);
+  doc.font('Helvetica').fontSize(10)
+    .text(data.currency, px, paymentAmountY + (4 * MM));
+  if (amount) {
+    doc.text(amount, px + (14 * MM), paymentAmountY + (4 * MM));
+  } else {
+    drawBlankField(doc, px + (5 * MM), paymentAmountY + (9 * MM), 40 * MM, 15 * MM);
+  }
+
+  const paymentSizes = { heading: 8, value: 10 };
+  const ix = receiptWidth + (56 * MM);
+  const iWidth = doc.page.width - ix - margin;
+  let iy = top + margin;
+  iy = section(ix, iy, iWidth, LABELS.account, accountLines, paymentSizes);
+  if (reference) {
+    iy = section(ix, iy, iWidth, LABELS.reference, [reference], paymentSizes);
+  }
+  if (data.message) {
+    iy = section(ix, iy, iWidth, LABELS.additionalInformation, [data.message], paymentSizes);
+  }
+  if (data.debtor) {
+    section(ix, iy, iWidth, LABELS.payableBy, formatAddress(data.debtor), paymentSizes);
+  } else {
+    doc.font('Helvetica-Bold').fontSize(8)
+      .text(LABELS.payableByBlank, ix, iy, { width: iWidth });
+    drawBlankField(doc, ix, doc.y + 1, 65 * MM, 25 * MM);
+  }
+
+  doc.page.margins.bottom = bottomMargin;
+}
+
+// ============================================================================
+// CAMT.054
+// ============================================================================
+
+const asArray = <T>(value: T | T[] | undefined): T[] => {
+  if (value === undefined || value === null) {
+    return [];
+  }
+  return Array.isArray(value) ? value : [value];
+};
+
+const textOf = (value: any): string | null => {
+  if (value === undefined || value === null) {
+    return null;
+  }
+  if (typeof value === 'object') {
+    return value['#text'] !== undefined ? String(value['#text']) : null;
+  }
+  return String(value);
+};
+
+/**
+ * Extract the credits of a camt.054 bank-to-customer debit/credit notification
+ *
+ * Batch bookings list every payment as its own transaction detail, so one
+ * entry can yield several credits. Debits and reversals are skipped.
+ */
+export function parseCamt054(xml: string): CamtCredit[] {
+  const parser = new XMLParser({
+    ignoreAttributes: false,
+    attributeNamePrefix: '@',
+    removeNSPrefix: true,
+    parseTagValue: false,
+  });
+  const document = parser.parse(xml);
+  const notifications = asArray<any>(document?.Document?.BkToCstmrDbtCdtNtfctn?.Ntfctn);
+  const credits: CamtCredit[] = [];
+
+  for (const notification of notifications) {
+    for (const entry of asArray<any>(notification.Ntry)) {
+      if (entry.CdtDbtInd !== 'CRDT' || entry.RvslInd === 'true') {
+        continue;
+      }
+
+      const bookingDate = textOf(entry.BookgDt?.Dt) || textOf(entry.BookgDt?.DtTm);
+      const entryReference = textOf(entry.AcctSvcrRef);
+      const details = asArray<any>(entry.NtryDtls).flatMap((group) => asArray<any>(group.TxDtls));
+
+      // Entries without transaction details are a single payment
+      for (const [index, detail] of (details.length > 0 ? details : [{}]).entries()) {
+        if (detail.CdtDbtInd && detail.CdtDbtInd !== 'CRDT') {
+          continue;
+        }
+
+        // Batch bookings share the entry reference; the position keeps their payments apart
+        const entryDetailReference = entryReference && details.length > 1
+          ? `${entryReference}/${index + 1}`
+          : entryReference;
+
+        const amount = detail.Amt ?? detail.AmtDtls?.TxAmt?.Amt ?? entry.Amt;
+        const references = asArray<any>(detail.RmtInf?.Strd)
+          .map((structured) => textOf(structured.CdtrRefInf?.Ref))
+          .filter(Boolean);
+
+        credits.push({
+          reference: references.length > 0 ? compact(references[0] as string) : null,
+          amount: Number(textOf(amount)),
+          currency: (amount?.['@Ccy'] as string) || 'CHF',
+          bookingDate,
+          bankReference: textOf(detail.Refs?.AcctSvcrRef) || entryDetailReference,
+          debtorName: textOf(detail.RltdPties?.Dbtr?.Nm) || textOf(detail.RltdPties?.Dbtr?.Pty?.Nm),
+        });
+      }
+    }
+  }
+
+  return credits;
+}
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+export default {
+  compact,
+  isValidIban,
+  isQrIban,
+  mod10Recursive,
+  createQrReference,
+  isValidQrReference,
+  createScorReference,
+  isValidScorReference,
+  validateQrBill,
+  formatIban,
+  formatReference,
+  formatAmount,
+  buildQrPayload,
+  renderQrBill,
+  parseCamt054,
+};
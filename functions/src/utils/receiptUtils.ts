@@ -0,0 +1,433 @@
+/**
+ * EATECH - Receipt Utilities
+ * Version: 1.0.0
+ * Description: VAT receipts with MWST breakdown per rate
+ * Author: EATECH Development Team
+ * Created: 2025-01-09
+ * File Path: /functions/src/utils/receiptUtils.ts
+ *
+ * Receipts list every item with the code of its VAT rate (A, B, ...) and
+ * one summary line per rate, as required for Swiss input tax deduction.
+ * Prices are VAT inclusive. Delivery and service fees follow the rate of
+ * the main supply, discounts reduce all rates proportionally.
+ */
+
+import PDFDocument from 'pdfkit';
+
+import { ConsumptionType, Order, VatBreakdownLine } from '../types/order.types';
+
+import { calculateVATBreakdown, getConsumptionType, getProductVATRate, roundToDecimals } from './calculationUtils';
+import { DEFAULT_LINE_WIDTH, EscPosBuilder } from './escposUtils';
+
+/* global PDFKit */
+
+// ============================================================================
+// TYPES & INTERFACES
+// ============================================================================
+
+export interface ReceiptMerchant {
+  name: string;
+  street?: string;
+  postalCode?: string;
+  city?: string;
+  phone?: string;
+  vatNumber?: string;
+}
+
+export interface ReceiptItem {
+  name: string;
+  quantity: number;
+  unitPrice: number;
+  amount: number;
+  rate: number;
+  vatCode: string;
+  options: string[];
+}
+
+export interface ReceiptVatLine extends VatBreakdownLine {
+  code: string;
+}
+
+export interface Receipt {
+  orderId: string;
+  number: string;
+  date: Date;
+  currency: string;
+  consumption: ConsumptionType;
+  merchant: ReceiptMerchant;
+  items: ReceiptItem[];
+  fees: Array<{ label: string; amount: number }>;
+  discount: number;
+  tip: number;
+  total: number;
+  vat: ReceiptVatLine[];
+  paymentMethod?: string;
+}
+
+export type ReceiptFormat = 'pdf' | 'html' | 'escpos';
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+const LABELS = {
+  receipt: 'Quittung',
+  order: 'Bestellung',
+  vatNumber: 'MWST-Nr.',
+  takeaway: 'Take-away',
+  onSite: 'Konsumation vor Ort',
+  deliveryFee: 'Liefergebühr',
+  serviceFee: 'Servicegebühr',
+  discount: 'Rabatt',
+  tip: 'Trinkgeld',
+  total: 'Total',
+  vat: 'MWST',
+  rate: 'Satz',
+  net: 'Netto',
+  gross: 'Brutto',
+  paidWith: 'Bezahlt mit',
+  thanks: 'Vielen Dank für Ihren Besuch!',
+};
+
+// 80 mm roll
+const PDF_WIDTH = (80 * 72) / 25.4;
+const PDF_MARGIN = 12;
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+const formatMoney = (amount: number): string => amount.toFixed(2);
+
+const formatRate = (rate: number): string => `${rate.toFixed(1)}%`;
+
+const toDate = (value: any): Date => {
+  if (!value) {
+    return new Date();
+  }
+  return typeof value.toDate === 'function' ? (value.toDate() as Date) : new Date(value as string);
+};
+
+const formatDateTime = (date: Date): string => date.toLocaleString('de-CH', {
+  timeZone: 'Europe/Zurich',
+  day: '2-digit',
+  month: '2-digit',
+  year: 'numeric',
+  hour: '2-digit',
+  minute: '2-digit',
+});
+
+const escapeHtml = (text: string): string => text
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const merchantLines = (merchant: ReceiptMerchant): string[] => [
+  merchant.street,
+  [merchant.postalCode, merchant.city].filter(Boolean).join(' '),
+  merchant.phone,
+].filter((line): line is string => Boolean(line));
+
+// ============================================================================
+// RECEIPT
+// ============================================================================
+
+/**
+ * Build the receipt of an order
+ *
+ * The VAT breakdown is based on the amount charged (`order.total` without
+ * tip), so it always adds up to the receipt total.
+ */
+export function buildReceipt(order: Order & { id: string }, merchant: ReceiptMerchant): Receipt {
+  const consumption = getConsumptionType(order.orderType);
+
+  const lines = (order.items || []).map((item) => ({
+    item,
+    rate: item.taxRate ?? getProductVATRate(undefined, consumption),
+    amount: roundToDecimals(item.price * item.quantity),
+  }));
+
+  // Gross per rate, fees go to the rate with the largest share
+  const grossByRate = new Map<number, number>();
+  lines.forEach(({ rate, amount }) => grossByRate.set(rate, (grossByRate.get(rate) || 0) + amount));
+
+  const fees = [
+    { label: LABELS.deliveryFee, amount: order.deliveryFee || 0 },
+    { label: LABELS.serviceFee, amount: order.serviceFee || 0 },
+  ].filter((fee) => fee.amount > 0);
+  const feeTotal = fees.reduce((sum, fee) => sum + fee.amount, 0);
+
+  if (feeTotal > 0) {
+    const mainRate = [...grossByRate.entries()].sort(([, a], [, b]) => b - a)[0]?.[0]
+      ?? getProductVATRate(undefined, consumption);
+    grossByRate.set(mainRate, (grossByRate.get(mainRate) || 0) + feeTotal);
+  }
+
+  const tip = order.tip || 0;
+  const gross = [...grossByRate.values()].reduce((sum, amount) => sum + amount, 0);
+  const total = roundToDecimals(order.total ?? gross + tip);
+  const taxable = roundToDecimals(total - tip);
+  const discount = roundToDecimals(Math.max(gross - taxable, 0));
+
+  // Spread the charged amount over the rates, the last rate takes the rounding difference
+  const entries = [...grossByRate.entries()];
+  let remaining = taxable;
+  const charged = entries.map(([rate, amount], index) => {
+    const share = index === entries.length - 1
+      ? remaining
+      : roundToDecimals(gross > 0 ? (amount / gross) * taxable : 0);
+    remaining = roundToDecimals(remaining - share);
+    return { rate, amount: share };
+  });
+
+  const vat = calculateVATBreakdown(charged).map((line, index) => ({
+    ...line,
+    code: String.fromCharCode(65 + index),
+  }));
+  const codeOf = (rate: number) => vat.find((line) => line.rate === rate)?.code || '';
+
+  return {
+    orderId: order.id,
+    number: order.orderNumber,
+    date: toDate(order.completedAt || order.createdAt),
+    currency: order.currency || 'CHF',
+    consumption,
+    merchant,
+    items: lines.map(({ item, rate, amount }) => ({
+      name: item.name,
+      quantity: item.quantity,
+      unitPrice: item.price,
+      amount,
+      rate,
+      vatCode: codeOf(rate),
+      options: (item.options || []).map((option) => option.choice),
+    })),
+    fees,
+    discount,
+    tip,
+    total,
+    vat,
+    paymentMethod: order.paymentMethod,
+  };
+}
+
+// ============================================================================
+// RENDERING
+// ============================================================================
+
+/**
+ * Render the receipt as standalone HTML page, also used as email body
+ */
+export function renderReceiptHtml(receipt: Receipt): string {
+  const { merchant, currency } = receipt;
+  const row = (label: string, amount: string, style: string = '') => `<tr${style ? ` style="${style}"` : ''}>`
+    + `<td colspan="3">${escapeHtml(label)}</td><td style="text-align:right">${amount}</td></tr>`;
+
+  const items = receipt.items.map((item) => [
+    '<tr>',
+    `<td>${item.quantity}&times;</td>`,
+    `<td>${escapeHtml(item.name)}`,
+    ...item.options.map((option) => `<br><small>+ ${escapeHtml(option)}</small>`),
+    '</td>',
+    `<td>${item.vatCode}</td>`,
+    `<td style="text-align:right">${formatMoney(item.amount)}</td>`,
+    '</tr>',
+  ].join('')).join('\n');
+
+  const adjustments = [
+    ...receipt.fees.map((fee) => row(fee.label, formatMoney(fee.amount))),
+    receipt.discount > 0 ? row(LABELS.discount, `-${formatMoney(receipt.discount)}`) : '',
+    receipt.tip > 0 ? row(LABELS.tip, formatMoney(receipt.tip)) : '',
+  ].filter(Boolean).join('\n');
+
+  const address = merchantLines(merchant).map(escapeHtml)
+    .join('<br>');
+  const vatRows = receipt.vat.map((line) => [
+    '<tr>',
+    `<td>${line.code}</td>`,
+    `<td>${formatRate(line.rate)}</td>`,
+    `<td style="text-align:right">${formatMoney(line.net)}</td>`,
+    `<td style="text-align:right">${formatMoney(line.vat)}</td>`,
+    `<td style="text-align:right">${formatMoney(line.gross)}</td>`,
+    '</tr>',
+  ].join('')).join('\n');
+
+  return `<!DOCTYPE html>
+<html lang="de">
+<head>
+<meta charset="utf-8">
+<title>${LABELS.receipt} ${escapeHtml(receipt.number)}</title>
+</head>
+<body style="font-family:monospace;max-width:360px;margin:0 auto">
+<h2 style="text-align:center;margin-bottom:0">${escapeHtml(merchant.name)}</h2>
+<p style="text-align:center;margin-top:4px">${address}</p>
+<p>${LABELS.receipt} ${LABELS.order} #${escapeHtml(receipt.number)}<br>
+${formatDateTime(receipt.date)}<br>
+${receipt.consumption === 'onSite' ? LABELS.onSite : LABELS.takeaway}</p>
+<table style="width:100%;border-collapse:collapse">
+${items}
+${adjustments}
+${row(`${LABELS.total} ${currency}`, formatMoney(receipt.total), 'font-weight:bold;border-top:1px solid #000')}
+</table>
+${receipt.paymentMethod ? `<p>${LABELS.paidWith}: ${escapeHtml(receipt.paymentMethod)}</p>` : ''}
+<table style="width:100%;border-collapse:collapse;margin-top:12px">
+<tr><th></th><th style="text-align:left">${LABELS.rate}</th><th style="text-align:right">${LABELS.net}</th>`
+    + `<th style="text-align:right">${LABELS.vat}</th><th style="text-align:right">${LABELS.gross}</th></tr>
+${vatRows}
+</table>
+${merchant.vatNumber ? `<p>${LABELS.vatNumber} ${escapeHtml(merchant.vatNumber)}</p>` : ''}
+<p style="text-align:center">${LABELS.thanks}</p>
+</body>
+</html>
+`;
+}
+
+/**
+ * Render the receipt as PDF on an 80 mm roll
+ */
+export async function renderReceiptPdf(receipt: Receipt): Promise<Buffer> {
+  const { merchant } = receipt;
+  const lineCount = 14 + merchantLines(merchant).length + receipt.fees.length + (receipt.vat.length * 2)
+    + receipt.items.reduce((count, item) => count + 1 + item.options.length, 0);
+
+  const doc: PDFKit.PDFDocument = new PDFDocument({
+    size: [PDF_WIDTH, (lineCount * 12) + (4 * PDF_MARGIN)],
+    margin: PDF_MARGIN,
+    info: {
+      Title: `${LABELS.receipt} ${receipt.number}`,
+      Author: merchant.name,
+    },
+  });
+
+  const chunks: Buffer[] = [];
+  doc.on('data', (chunk: Buffer) => chunks.push(chunk));
+  const finished = new Promise((resolve) => doc.on('end', resolve));
+
+  const width = PDF_WIDTH - (2 * PDF_MARGIN);
+  const columns = (left: string, right: string) => {
+    const { y } = doc;
+    doc.text(left, PDF_MARGIN, y, { width: width - 50 });
+    const next = doc.y;
+    doc.text(right, PDF_MARGIN + width - 50, y, { width: 50, align: 'right' });
+    doc.y = Math.max(next, doc.y);
+  };
+
+  doc.font('Helvetica-Bold').fontSize(10)
+    .text(merchant.name, { align: 'center' });
+  doc.font('Helvetica').fontSize(7);
+  merchantLines(merchant).forEach((line) => doc.text(line, { align: 'center' }));
+
+  doc.moveDown()
+    .text(`${LABELS.receipt} ${LABELS.order} #${receipt.number}`)
+    .text(formatDateTime(receipt.date))
+    .text(receipt.consumption === 'onSite' ? LABELS.onSite : LABELS.takeaway)
+    .moveDown(0.5);
+
+  receipt.items.forEach((item) => {
+    columns(`${item.quantity} x ${item.name}`, `${formatMoney(item.amount)} ${item.vatCode}`);
+    item.options.forEach((option) => doc.text(`  + ${option}`, PDF_MARGIN));
+  });
+  receipt.fees.forEach((fee) => columns(fee.label, formatMoney(fee.amount)));
+  if (receipt.discount > 0) {
+    columns(LABELS.discount, `-${formatMoney(receipt.discount)}`);
+  }
+  if (receipt.tip > 0) {
+    columns(LABELS.tip, formatMoney(receipt.tip));
+  }
+
+  doc.moveTo(PDF_MARGIN, doc.y + 2).lineTo(PDF_MARGIN + width, doc.y + 2)
+    .stroke();
+  doc.moveDown(0.5).font('Helvetica-Bold')
+    .fontSize(9);
+  columns(`${LABELS.total} ${receipt.currency}`, formatMoney(receipt.total));
+  doc.font('Helvetica').fontSize(7);
+  if (receipt.paymentMethod) {
+    doc.text(`${LABELS.paidWith}: ${receipt.paymentMethod}`, PDF_MARGIN);
+  }
+
+  doc.moveDown();
+  receipt.vat.forEach((line) => {
+    columns(`${line.code} ${LABELS.vat} ${formatRate(line.rate)} ${LABELS.net} ${formatMoney(line.net)}`, formatMoney(line.vat));
+  });
+  if (merchant.vatNumber) {
+    doc.text(`${LABELS.vatNumber} ${merchant.vatNumber}`, PDF_MARGIN);
+  }
+
+  doc.moveDown()
+    .text(LABELS.thanks, PDF_MARGIN, doc.y, { width, align: 'center' });
+
+  doc.end();
+  await finished;
+
+  return Buffer.concat(chunks);
+}
+
+/**
+ * Render the receipt as ESC/POS byte stream for thermal printers
+ */
+export function renderReceiptEscPos(receipt: Receipt, width: number = DEFAULT_LINE_WIDTH): Buffer {
+  const { merchant } = receipt;
+  const printer = new EscPosBuilder(width);
+
+  printer.align('center')
+    .bold()
+    .size(2, 1)
+    .line(merchant.name)
+    .size(1)
+    .bold(false);
+  merchantLines(merchant).forEach((line) => printer.line(line));
+
+  printer.align('left')
+    .feed(1)
+    .line(`${LABELS.receipt} ${LABELS.order} #${receipt.number}`)
+    .line(formatDateTime(receipt.date))
+    .line(receipt.consumption === 'onSite' ? LABELS.onSite : LABELS.takeaway)
+    .separator();
+
+  receipt.items.forEach((item) => {
+    printer.columns(`${item.quantity} x ${item.name}`, `${formatMoney(item.amount)} ${item.vatCode}`);
+    item.options.forEach((option) => printer.wrap(`+ ${option}`, 2));
+  });
+  receipt.fees.forEach((fee) => printer.columns(fee.label, formatMoney(fee.amount)));
+  if (receipt.discount > 0) {
+    printer.columns(LABELS.discount, `-${formatMoney(receipt.discount)}`);
+  }
+  if (receipt.tip > 0) {
+    printer.columns(LABELS.tip, formatMoney(receipt.tip));
+  }
+
+  printer.separator()
+    .bold()
+    .columns(`${LABELS.total} ${receipt.currency}`, formatMoney(receipt.total))
+    .bold(false);
+  if (receipt.paymentMethod) {
+    printer.line(`${LABELS.paidWith}: ${receipt.paymentMethod}`);
+  }
+
+  printer.feed(1);
+  receipt.vat.forEach((line) => {
+    printer.columns(`${line.code} ${LABELS.vat} ${formatRate(line.rate)} ${LABELS.net} ${formatMoney(line.net)}`, formatMoney(line.vat));
+  });
+  if (merchant.vatNumber) {
+    printer.line(`${LABELS.vatNumber} ${merchant.vatNumber}`);
+  }
+
+  return printer.feed(1)
+    .align('center')
+    .line(LABELS.thanks)
+    .feed(3)
+    .cut()
+    .build();
+}
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+export default {
+  buildReceipt,
+  renderReceiptHtml,
+  renderReceiptPdf,
+  renderReceiptEscPos,
+};
@@ -0,0 +1,302 @@
+/**
+ * EATECH - Recipe Utilities
+ * Version: 1.0.0
+ * Description: Recipe explosion, unit conversion and food cost calculation
+ * Author: EATECH Development Team
+ * Created: 2025-01-09
+ * File Path: /functions/src/utils/recipeUtils.ts
+ *
+ * A recipe makes a yield (1 Stk burger, 2 l sauce) out of inventory items
+ * and sub-recipes. Exploding a recipe walks down to the inventory items and
+ * returns their quantities in base units (g, ml, Stk); callers convert into
+ * the unit an item is stocked in.
+ */
+
+import { Recipe, RecipeUnit } from '../types/product.types';
+
+import { roundToDecimals } from './calculationUtils';
+import { BusinessError, ErrorCode, NotFoundError } from './errorHandler';
+
+// ============================================================================
+// TYPES & INTERFACES
+// ============================================================================
+
+export interface IngredientRequirement {
+  itemId: string;
+  name: string;
+  quantity: number;
+  unit: RecipeUnit;
+}
+
+export interface CostedIngredient extends IngredientRequirement {
+  unitCost: number;
+  cost: number;
+}
+
+export interface RecipeCost {
+  cost: number;
+  ingredients: CostedIngredient[];
+  /** Inventory items without a unit cost, counted as free */
+  missingCosts: string[];
+}
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+const UNITS: Record<RecipeUnit, { base: RecipeUnit; factor: number }> = {
+  g: { base: 'g', factor: 1 },
+  kg: { base: 'g', factor: 1000 },
+  ml: { base: 'ml', factor: 1 },
+  l: { base: 'ml', factor: 1000 },
+  Stk: { base: 'Stk', factor: 1 },
+};
+
+const UNIT_ALIASES: Record<string, RecipeUnit> = {
+  g: 'g',
+  gr: 'g',
+  gramm: 'g',
+  kg: 'kg',
+  kilo: 'kg',
+  ml: 'ml',
+  cl: 'ml',
+  dl: 'ml',
+  l: 'l',
+  lt: 'l',
+  liter: 'l',
+  stk: 'Stk',
+  'stück': 'Stk',
+  st: 'Stk',
+  piece: 'Stk',
+  pieces: 'Stk',
+  pcs: 'Stk',
+};
+
+/** cl and dl are accepted on input and stored as ml */
+const ALIAS_FACTORS: Record<string, number> = {
+  cl: 10,
+  dl: 100,
+};
+
+const QUANTITY_DECIMALS = 6;
+
+// ============================================================================
+// UNITS
+// ============================================================================
+
+/**
+ * Parses a unit as entered in recipes or inventory, e.g. "Stück" or "piece"
+ */
+export function parseUnit(unit: string | undefined): RecipeUnit | null {
+  if (!unit) {
+    return null;
+  }
+  return UNIT_ALIASES[unit.trim().toLowerCase()] || null;
+}
+
+/**
+ * Converts a quantity between units of the same kind (weight, volume, pieces)
+ */
+export function convertQuantity(quantity: number, from: string, to: string): number {
+  const fromUnit = parseUnit(from);
+  const toUnit = parseUnit(to);
+
+  if (!fromUnit || !toUnit || UNITS[fromUnit].base !== UNITS[toUnit].base) {
+    throw new BusinessError(
+      `Cannot convert ${from} to ${to}`,
+      ErrorCode.INVALID_INPUT,
+      { from, to },
+    );
+  }
+
+  const fromFactor = UNITS[fromUnit].factor * (ALIAS_FACTORS[from.trim().toLowerCase()] || 1);
+  const toFactor = UNITS[toUnit].factor * (ALIAS_FACTORS[to.trim().toLowerCase()] || 1);
+
+  return roundToDecimals((quantity * fromFactor) / toFactor, QUANTITY_DECIMALS);
+}
+
+/**
+ * Brings a quantity into the base unit of its kind
+ */
+export function toBaseUnit(quantity: number, unit: string): { quantity: number; unit: RecipeUnit } {
+  const parsed = parseUnit(unit);
+  if (!parsed) {
+    throw new BusinessError(`Unknown unit: ${unit}`, ErrorCode.INVALID_INPUT, { unit });
+  }
+
+  const { base } = UNITS[parsed];
+  return { quantity: convertQuantity(quantity, unit, base), unit: base };
+}
+
+// ============================================================================
+// RECIPES
+// ============================================================================
+
+/**
+ * Builds a recipe from its stored document
+ */
+export function toRecipe(recipeId: string, tenantId: string, data: Record<string, any>): Recipe {
+  return {
+    ...data,
+    id: recipeId,
+    tenantId,
+    name: data.name,
+    // Dish recipes written before yields existed make one portion
+    yield: data.yield || { quantity: 1, unit: 'Stk' },
+    ingredients: data.ingredients || [],
+  };
+}
+
+/**
+ * Ids of the sub-recipes a recipe refers to directly
+ */
+export function getSubRecipeIds(recipe: Recipe): string[] {
+  return (recipe.ingredients || [])
+    .map((component) => component.recipeId)
+    .filter((recipeId): recipeId is string => !!recipeId);
+}
+
+/**
+ * All sub-recipes and inventory items a recipe uses, at any depth
+ *
+ * Unlike explodeRecipe this never throws; missing sub-recipes and cycles
+ * are skipped, so it can be used to find what a change affects.
+ */
+export function getRecipeTree(
+  recipeId: string,
+  recipes: Map<string, Recipe>,
+): { recipeIds: string[]; itemIds: string[] } {
+  const recipeIds = new Set<string>();
+  const itemIds = new Set<string>();
+
+  const walk = (id: string): void => {
+    const recipe = recipes.get(id);
+    if (recipeIds.has(id) || !recipe) {
+      return;
+    }
+
+    recipeIds.add(id);
+    (recipe.ingredients || []).forEach((component) => {
+      if (component.recipeId) {
+        walk(component.recipeId);
+      } else if (component.itemId) {
+        itemIds.add(component.itemId);
+      }
+    });
+  };
+
+  walk(recipeId);
+
+  return { recipeIds: [...recipeIds], itemIds: [...itemIds] };
+}
+
+/**
+ * Inventory items needed to make a quantity of a recipe
+ *
+ * The quantity is given in any unit convertible to the recipe's yield, so
+ * "0.5 l" of a sauce yielding "2 l" takes a quarter of every ingredient.
+ * Waste is added on top: 100 g with 20% waste takes 125 g from stock.
+ */
+export function explodeRecipe(
+  recipeId: string,
+  quantity: number,
+  unit: string,
+  recipes: Map<string, Recipe>,
+): IngredientRequirement[] {
+  const requirements: Map<string, IngredientRequirement> = new Map();
+
+  const walk = (id: string, amount: number, amountUnit: string, path: string[]): void => {
+    if (path.includes(id)) {
+      throw new BusinessError(
+        `Recipe cycle: ${[...path, id].join(' → ')}`,
+        ErrorCode.VALIDATION_ERROR,
+        { recipeId: id },
+      );
+    }
+
+    const recipe = recipes.get(id);
+    if (!recipe) {
+      throw new NotFoundError('Recipe', id);
+    }
+
+    const recipeYield = recipe.yield || { quantity: 1, unit: 'Stk' };
+    if (!(recipeYield.quantity > 0)) {
+      throw new BusinessError(`Recipe ${id} has no yield`, ErrorCode.VALIDATION_ERROR, { recipeId: id });
+    }
+
+    const scale = convertQuantity(amount, amountUnit, recipeYield.unit) / recipeYield.quantity;
+
+    for (const component of recipe.ingredients || []) {
+      const waste = Math.min(Math.max(component.wastePercent || 0, 0), 99);
+      const needed = (component.quantity * scale) / (1 - (waste / 100));
+
+      if (component.recipeId) {
+        walk(component.recipeId, needed, component.unit, [...path, id]);
+        continue;
+      }
+
+      if (!component.itemId) {
+        continue;
+      }
+
+      const base = toBaseUnit(needed, component.unit);
+      const existing = requirements.get(component.itemId);
+
+      if (existing && existing.unit !== base.unit) {
+        throw new BusinessError(
+          `${component.name} is used both in ${existing.unit} and ${base.unit}`,
+          ErrorCode.VALIDATION_ERROR,
+          { itemId: component.itemId },
+        );
+      }
+
+      requirements.set(component.itemId, {
+        itemId: component.itemId,
+        name: existing?.name || component.name,
+        quantity: roundToDecimals((existing?.quantity || 0) + base.quantity, QUANTITY_DECIMALS),
+        unit: base.unit,
+      });
+    }
+  };
+
+  walk(recipeId, quantity, unit, []);
+
+  return Array.from(requirements.values());
+}
+
+/**
+ * Cost of a quantity of a recipe from the unit costs of inventory items
+ *
+ * Unit costs are per stock unit of the item, e.g. CHF per kg.
+ */
+export function calculateRecipeCost(
+  recipeId: string,
+  recipes: Map<string, Recipe>,
+  items: Map<string, { unit: string; unitCost?: number }>,
+  quantity: number = 1,
+  unit: string = 'Stk',
+): RecipeCost {
+  const missingCosts: string[] = [];
+
+  const ingredients = explodeRecipe(recipeId, quantity, unit, recipes).map((requirement) => {
+    const item = items.get(requirement.itemId);
+
+    if (!item || typeof item.unitCost !== 'number') {
+      missingCosts.push(requirement.itemId);
+      return { ...requirement, unitCost: 0, cost: 0 };
+    }
+
+    const stockQuantity = convertQuantity(requirement.quantity, requirement.unit, item.unit);
+    return {
+      ...requirement,
+      unitCost: item.unitCost,
+      cost: roundToDecimals(stockQuantity * item.unitCost, 4),
+    };
+  });
+
+  return {
+    cost: roundToDecimals(ingredients.reduce((sum, ingredient) => sum + ingredient.cost, 0)),
+    ingredients,
+    missingCosts,
+  };
+}
@@ -0,0 +1,315 @@
+/**
+ * EATECH - Recurrence Utilities
+ * Version: 1.0.0
+ * Description: iCal (RFC 5545) recurrence rules for recurring pre-orders
+ * Author: EATECH Development Team
+ * Created: 2025-01-09
+ * File Path: /functions/src/utils/recurrenceUtils.ts
+ *
+ * Rules are stored as a DTSTART and an RRULE line, e.g.
+ *
+ *   DTSTART;TZID=Europe/Zurich:20250110T120000
+ *   RRULE:FREQ=WEEKLY;BYDAY=FR;COUNT=12
+ *
+ * Supported are FREQ=DAILY|WEEKLY|MONTHLY with INTERVAL, BYDAY (without
+ * ordinals), BYMONTHDAY, COUNT and UNTIL. Occurrences keep the wall-clock time
+ * of DTSTART in its time zone across daylight saving changes. Unlike RFC 5545,
+ * DTSTART only counts as an occurrence if it matches the rule.
+ */
+
+import { BusinessError, ErrorCode } from './errorHandler';
+
+// ============================================================================
+// TYPES & INTERFACES
+// ============================================================================
+
+export type RecurrenceFrequency = 'DAILY' | 'WEEKLY' | 'MONTHLY';
+
+export interface RecurrenceRule {
+  /** Local date of DTSTART, yyyy-MM-dd */
+  startDate: string;
+  /** Local time of DTSTART, HH:mm:ss */
+  startTime: string;
+  timeZone: string;
+  frequency: RecurrenceFrequency;
+  interval: number;
+  /** Weekdays, 0 = Sunday */
+  byDay: number[];
+  byMonthDay: number[];
+  count?: number;
+  until?: Date;
+}
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_TIME_ZONE = 'Europe/Zurich';
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const FREQUENCIES: RecurrenceFrequency[] = ['DAILY', 'WEEKLY', 'MONTHLY'];
+
+// Rules are expanded day by day; this bounds rules without an end
+const MAX_EXPANSION_DAYS = 366 * 10;
+
+// ============================================================================
+// DATE HELPERS
+// ============================================================================
+
+function shiftDays(date: string, days: number): string {
+  return new Date(Date.parse(date) + (days * DAY_MS))
+    .toISOString()
+    .slice(0, 10);
+}
+
+function daysBetween(from: string, to: string): number {
+  return Math.round((Date.parse(to) - Date.parse(from)) / DAY_MS);
+}
+
+function weekday(date: string): number {
+  return new Date(Date.parse(date)).getUTCDay();
+}
+
+/**
+ * Local date (yyyy-MM-dd) and time (HH:mm:ss) of an instant in a time zone
+ */
+function toZoned(instant: Date, timeZone: string): { date: string; time: string } {
+  const parts: Record<string, string> = {};
+  new Intl.DateTimeFormat('en-CA', {
+    timeZone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+    hourCycle: 'h23',
+  })
+    .formatToParts(instant)
+    .forEach(({ type, value }) => {
+      parts[type] = value;
+    });
+
+  return {
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    time: `${parts.hour}:${parts.minute}:${parts.second}`,
+  };
+}
+
+/**
+ * Instant of a local date and time in a time zone
+ */
+function fromZoned(date: string, time: string, timeZone: string): Date {
+  const wallClock = Date.parse(`${date}T${time}Z`);
+
+  // The offset at the guessed instant; a second pass settles DST changes
+  let instant = wallClock;
+  for (let pass = 0; pass < 2; pass++) {
+    const zoned = toZoned(new Date(instant), timeZone);
+    instant = wallClock - (Date.parse(`${zoned.date}T${zoned.time}Z`) - instant);
+  }
+
+  return new Date(instant);
+}
+
+function invalidRule(message: string): BusinessError {
+  return new BusinessError(`Invalid recurrence rule: ${message}`, ErrorCode.INVALID_INPUT);
+}
+
+/**
+ * Parse an iCal date or date-time (yyyyMMdd, yyyyMMddTHHmmss, ...Z)
+ */
+function parseICalDateTime(value: string): { date: string; time: string | null; utc: boolean } {
+  const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z?))?$/.exec(value.trim());
+  if (!match) {
+    throw invalidRule(`cannot read date ${value}`);
+  }
+
+  const [, year, month, day, hours, minutes, seconds, utc] = match;
+  return {
+    date: `${year}-${month}-${day}`,
+    time: hours ? `${hours}:${minutes}:${seconds}` : null,
+    utc: utc === 'Z',
+  };
+}
+
+// ============================================================================
+// PARSING
+// ============================================================================
+
+/**
+ * Parse a DTSTART/RRULE pair
+ *
+ * A DTSTART in UTC or without a time zone is read as Swiss local time.
+ */
+export function parseRecurrenceRule(text: string): RecurrenceRule {
+  const lines = String(text || '').split(/\r?\n/)
+.map((line) => line.trim())
+.filter(Boolean);
+  const dtstart = lines.find((line) => line.startsWith('DTSTART'));
+  const rrule = lines.find((line) => line.startsWith('RRULE:'));
+
+  if (!dtstart || !rrule) {
+    throw invalidRule('DTSTART and RRULE are required');
+  }
+
+  const [name, value = ''] = dtstart.split(':');
+  const timeZone = /TZID=([^;:]+)/.exec(name)?.[1] || DEFAULT_TIME_ZONE;
+  const start = parseICalDateTime(value);
+  if (!start.time) {
+    throw invalidRule('DTSTART needs a time of day');
+  }
+  if (start.utc) {
+    Object.assign(start, toZoned(new Date(`${start.date}T${start.time}Z`), timeZone));
+  }
+
+  const parts = new Map(rrule.slice('RRULE:'.length).split(';')
+.map((part) => {
+    const [key, partValue = ''] = part.split('=');
+    return [key.toUpperCase(), partValue.toUpperCase()];
+  }));
+
+  const frequency = parts.get('FREQ') as RecurrenceFrequency;
+  if (!FREQUENCIES.includes(frequency)) {
+    throw invalidRule(`unsupported frequency ${parts.get('FREQ') || '(none)'}`);
+  }
+
+  const interval = parts.has('INTERVAL') ? Number(parts.get('INTERVAL')) : 1;
+  if (!Number.isInteger(interval) || interval < 1) {
+    throw invalidRule(`invalid interval ${parts.get('INTERVAL')}`);
+  }
+
+  const byDay = (parts.get('BYDAY') || '').split(',').filter(Boolean)
+.map((day) => {
+    const index = WEEKDAYS.indexOf(day);
+    if (index < 0) {
+      throw invalidRule(`unsupported BYDAY value ${day}`);
+    }
+    return index;
+  });
+
+  const byMonthDay = (parts.get('BYMONTHDAY') || '').split(',').filter(Boolean)
+.map((day) => {
+    const monthDay = Number(day);
+    if (!Number.isInteger(monthDay) || monthDay < 1 || monthDay > 31) {
+      throw invalidRule(`unsupported BYMONTHDAY value ${day}`);
+    }
+    return monthDay;
+  });
+
+  const rule: RecurrenceRule = {
+    startDate: start.date,
+    startTime: start.time,
+    timeZone,
+    frequency,
+    interval,
+    byDay,
+    byMonthDay,
+  };
+
+  if (parts.has('COUNT')) {
+    const count = Number(parts.get('COUNT'));
+    if (!Number.isInteger(count) || count < 1) {
+      throw invalidRule(`invalid count ${parts.get('COUNT')}`);
+    }
+    rule.count = count;
+  }
+
+  if (parts.has('UNTIL')) {
+    const until = parseICalDateTime(parts.get('UNTIL') || '');
+    // A date without time includes the whole day
+    rule.until = until.utc
+      ? new Date(`${until.date}T${until.time}Z`)
+      : fromZoned(until.date, until.time || '23:59:59', timeZone);
+  }
+
+  return rule;
+}
+
+// ============================================================================
+// EXPANSION
+// ============================================================================
+
+function matchesRule(rule: RecurrenceRule, date: string): boolean {
+  const day = weekday(date);
+
+  switch (rule.frequency) {
+    case 'DAILY':
+      return daysBetween(rule.startDate, date) % rule.interval === 0
+        && (rule.byDay.length === 0 || rule.byDay.includes(day));
+
+    case 'WEEKLY': {
+      // Weeks start on Monday (WKST=MO)
+      const startMonday = shiftDays(rule.startDate, -((weekday(rule.startDate) + 6) % 7));
+      const weeks = Math.floor(daysBetween(startMonday, date) / 7);
+      const days = rule.byDay.length > 0 ? rule.byDay : [weekday(rule.startDate)];
+      return weeks % rule.interval === 0 && days.includes(day);
+    }
+
+    case 'MONTHLY': {
+      const months = ((Number(date.slice(0, 4)) - Number(rule.startDate.slice(0, 4))) * 12)
+        + (Number(date.slice(5, 7)) - Number(rule.startDate.slice(5, 7)));
+      if (months % rule.interval !== 0) {
+        return false;
+      }
+      if (rule.byDay.length > 0) {
+        return rule.byDay.includes(day);
+      }
+      const monthDays = rule.byMonthDay.length > 0 ? rule.byMonthDay : [Number(rule.startDate.slice(8, 10))];
+      return monthDays.includes(Number(date.slice(8, 10)));
+    }
+
+    default:
+      return false;
+  }
+}
+
+/**
+ * Get all occurrences from `from` (inclusive) to `to` (exclusive)
+ */
+export function getOccurrences(rule: RecurrenceRule, from: Date, to: Date): Date[] {
+  const occurrences: Date[] = [];
+  const lastDate = toZoned(to, rule.timeZone).date;
+
+  // COUNT needs every occurrence since the start; otherwise the expansion
+  // can begin right before the requested range
+  const fromDate = shiftDays(toZoned(from, rule.timeZone).date, -1);
+  let date = rule.count === undefined && fromDate > rule.startDate ? fromDate : rule.startDate;
+  let index = 0;
+
+  for (let day = 0; date <= lastDate && day < MAX_EXPANSION_DAYS; day++, date = shiftDays(date, 1)) {
+    if (!matchesRule(rule, date)) {
+      continue;
+    }
+
+    const occurrence = fromZoned(date, rule.startTime, rule.timeZone);
+    index += 1;
+
+    if ((rule.count !== undefined && index > rule.count) || (rule.until && occurrence > rule.until)) {
+      break;
+    }
+    if (occurrence >= from && occurrence < to) {
+      occurrences.push(occurrence);
+    }
+  }
+
+  return occurrences;
+}
+
+/**
+ * Get the first occurrence at or after a time, or null if the rule has ended
+ */
+export function getNextOccurrence(rule: RecurrenceRule, after: Date, withinDays: number = 366): Date | null {
+  const [next] = getOccurrences(rule, after, new Date(after.getTime() + (withinDays * DAY_MS)));
+  return next || null;
+}
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+export default {
+  parseRecurrenceRule,
+  getOccurrences,
+  getNextOccurrence,
+};
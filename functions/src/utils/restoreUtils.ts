@@ -0,0 +1,239 @@
+/**
+ * EATECH - Restore Utilities
+ * Version: 1.0.0
+ * Description: Document filters, checksums and diffs for selective restores
+ * Author: EATECH Development Team
+ * Created: 2025-01-09
+ * File Path: /functions/src/utils/restoreUtils.ts
+ *
+ * Backups hold documents as JSON, so Firestore values appear in their
+ * serialized form (e.g. Timestamps as {_seconds, _nanoseconds}). Current
+ * documents are brought into the same form before comparing, and backup
+ * values are revived before they are written back.
+ */
+
+import * as crypto from 'crypto';
+
+import * as admin from 'firebase-admin';
+
+// ============================================================================
+// TYPES & INTERFACES
+// ============================================================================
+
+export type RestoreChangeType = 'create' | 'update' | 'delete' | 'unchanged';
+
+export interface RestoreDocument {
+  id: string;
+  data: Record<string, any>;
+}
+
+export interface FilterCondition {
+  field: string;
+  op: '==' | '!=' | 'in' | 'array-contains';
+  value: unknown;
+}
+
+export interface DocumentFilter {
+  ids?: string[];
+  where?: FilterCondition[];
+}
+
+export interface RestoreDiffEntry {
+  id: string;
+  change: RestoreChangeType;
+  /** Top-level fields that differ, for updates */
+  fields?: string[];
+  backupChecksum?: string;
+  currentChecksum?: string;
+}
+
+export interface RestoreDiffSummary {
+  create: number;
+  update: number;
+  delete: number;
+  unchanged: number;
+}
+
+// ============================================================================
+// SERIALIZATION
+// ============================================================================
+
+/**
+ * Brings current Firestore data into the form it has inside a backup
+ */
+export function serializeForBackup(data: Record<string, any>): Record<string, any> {
+  return JSON.parse(JSON.stringify(data)) as Record<string, any>;
+}
+
+/**
+ * Turns serialized Timestamps and GeoPoints from a backup back into
+ * Firestore values
+ */
+export function reviveBackupValue(value: unknown): any {
+  if (Array.isArray(value)) {
+    return value.map((item) => reviveBackupValue(item));
+  }
+
+  if (value === null || typeof value !== 'object') {
+    return value;
+  }
+
+  const record = value as Record<string, any>;
+  const keys = Object.keys(record);
+
+  if (keys.length === 2 && typeof record._seconds === 'number' && typeof record._nanoseconds === 'number') {
+    return new admin.firestore.Timestamp(record._seconds, record._nanoseconds);
+  }
+
+  if (keys.length === 2 && typeof record._latitude === 'number' && typeof record._longitude === 'number') {
+    return new admin.firestore.GeoPoint(record._latitude, record._longitude);
+  }
+
+  return keys.reduce<Record<string, any>>((revived, key) => {
+    revived[key] = reviveBackupValue(record[key]);
+    return revived;
+  }, {});
+}
+
+/**
+ * JSON with sorted keys, so equal documents always hash the same
+ */
+export function stableStringify(value: unknown): string {
+  if (Array.isArray(value)) {
+    return `[${value.map((item) => stableStringify(item)).join(',')}]`;
+  }
+
+  if (value !== null && typeof value === 'object') {
+    const record = value as Record<string, unknown>;
+    return `{${Object.keys(record)
+      .sort()
+      .filter((key) => record[key] !== undefined)
+      .map((key) => `${JSON.stringify(key)}:${stableStringify(record[key])}`)
+      .join(',')}}`;
+  }
+
+  return JSON.stringify(value) ?? 'null';
+}
+
+/**
+ * SHA-256 of a document in backup form
+ */
+export function documentChecksum(data: Record<string, any>): string {
+  return crypto
+    .createHash('sha256')
+    .update(stableStringify(data))
+    .digest('hex');
+}
+
+// ============================================================================
+// FILTERS
+// ============================================================================
+
+export function getFieldValue(data: Record<string, any>, field: string): unknown {
+  return field.split('.').reduce<any>(
+    (value, key) => (value !== null && typeof value === 'object' ? value[key] : undefined),
+    data,
+  );
+}
+
+/**
+ * Checks a document in backup form against a filter; values are compared
+ * as serialized JSON, so Timestamps must be given as {_seconds, _nanoseconds}
+ */
+export function matchesDocumentFilter(doc: RestoreDocument, filter?: DocumentFilter): boolean {
+  if (!filter) {
+    return true;
+  }
+
+  if (filter.ids && !filter.ids.includes(doc.id)) {
+    return false;
+  }
+
+  return (filter.where || []).every(({ field, op, value }) => {
+    const actual = stableStringify(getFieldValue(doc.data, field));
+
+    switch (op) {
+      case '==':
+        return actual === stableStringify(value);
+      case '!=':
+        return actual !== stableStringify(value);
+      case 'in':
+        return Array.isArray(value) && value.some((item) => stableStringify(item) === actual);
+      case 'array-contains': {
+        const list = getFieldValue(doc.data, field);
+        return Array.isArray(list) && list.some((item) => stableStringify(item) === stableStringify(value));
+      }
+      default:
+        return false;
+    }
+  });
+}
+
+// ============================================================================
+// DIFF
+// ============================================================================
+
+/**
+ * Compares backup documents against current ones
+ *
+ * Documents missing today are re-created and changed ones reverted.
+ * Documents created after the backup are deleted only with deleteMissing,
+ * otherwise they are left out of the diff.
+ */
+export function diffRestoreDocuments(
+  backupDocs: RestoreDocument[],
+  currentDocs: RestoreDocument[],
+  options: { deleteMissing?: boolean } = {},
+): RestoreDiffEntry[] {
+  const current = new Map(currentDocs.map((doc) => [doc.id, doc]));
+  const backupIds = new Set(backupDocs.map((doc) => doc.id));
+
+  const entries: RestoreDiffEntry[] = backupDocs.map((doc) => {
+    const backupChecksum = documentChecksum(doc.data);
+    const existing = current.get(doc.id);
+
+    if (!existing) {
+      return { id: doc.id, change: 'create', backupChecksum };
+    }
+
+    const currentChecksum = documentChecksum(existing.data);
+    if (currentChecksum === backupChecksum) {
+      return { id: doc.id, change: 'unchanged', backupChecksum, currentChecksum };
+    }
+
+    return {
+      id: doc.id,
+      change: 'update',
+      fields: getChangedFields(doc.data, existing.data),
+      backupChecksum,
+      currentChecksum,
+    };
+  });
+
+  if (options.deleteMissing) {
+    currentDocs
+      .filter((doc) => !backupIds.has(doc.id))
+      .forEach((doc) => {
+        entries.push({ id: doc.id, change: 'delete', currentChecksum: documentChecksum(doc.data) });
+      });
+  }
+
+  return entries.sort((a, b) => (a.id < b.id ? -1 : 1));
+}
+
+export function summarizeRestoreDiff(entries: RestoreDiffEntry[]): RestoreDiffSummary {
+  return entries.reduce<RestoreDiffSummary>(
+    (summary, entry) => {
+      summary[entry.change] += 1;
+      return summary;
+    },
+    { create: 0, update: 0, delete: 0, unchanged: 0 },
+  );
+}
+
+function getChangedFields(backup: Record<string, any>, current: Record<string, any>): string[] {
+  const fields = new Set([...Object.keys(backup), ...Object.keys(current)]);
+  return [...fields]
+    .filter((field) => stableStringify(backup[field]) !== stableStringify(current[field]))
+    .sort();
+}
@@ -38,7 +38,11 @@ import {
   setMinutes
 } from 'date-fns';
 import { de, enUS } from 'date-fns/locale';
-import { utcToZonedTime, zonedTimeToUtc, format as formatTz } from 'date-fns-tz';
+import { toZonedTime, fromZonedTime, format as formatTz } from 'date-fns-tz';
+
+import { HolidaySettings } from '../types/tenant.types';
+
+import { getHolidayOn } from './holidayUtils';
 
 // ============================================================================
 // CONSTANTS
@@ -65,18 +69,7 @@ export const TIME_SLOTS = {
   bufferAfter: 5 // minutes
 };
 
-export const HOLIDAYS_SWITZERLAND_2025 = [
-  '2025-01-01', // New Year's Day
-  '2025-01-02', // Berchtold's Day
-  '2025-04-18', // Good Friday
-  '2025-04-21', // Easter Monday
-  '2025-05-01', // Labour Day
-  '2025-05-29', // Ascension Day
-  '2025-06-09', // Whit Monday
-  '2025-08-01', // Swiss National Day
-  '2025-12-25', // Christmas Day
-  '2025-12-26'  // Boxing Day
-];
+const DAY_NAMES = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
 
 // ============================================================================
 // DATE/TIME CONVERSION
@@ -87,14 +80,14 @@ export const HOLIDAYS_SWITZERLAND_2025 = [
  */
 export function toSwissTime(date: Date | admin.firestore.Timestamp): Date {
   const jsDate = date instanceof Date ? date : date.toDate();
-  return utcToZonedTime(jsDate, TIMEZONE_SWITZERLAND);
+  return toZonedTime(jsDate, TIMEZONE_SWITZERLAND);
 }
 
 /**
  * Converts Swiss time to UTC
  */
 export function fromSwissTime(date: Date): Date {
-  return zonedTimeToUtc(date, TIMEZONE_SWITZERLAND);
+  return fromZonedTime(date, TIMEZONE_SWITZERLAND);
 }
 
 /**
@@ -175,19 +168,44 @@ export function formatDuration(minutes: number): string {
 // BUSINESS HOURS
 // ============================================================================
 
+/**
+ * Gets the opening hours of a Swiss local date
+ *
+ * Holidays of the calendar close the whole day or, for afternoons off, from
+ * their closing time on. Returns null if closed all day.
+ */
+export function getOpeningHoursForDay(
+  swissDate: Date,
+  businessHours: typeof BUSINESS_HOURS.default = BUSINESS_HOURS.default,
+  calendar: HolidaySettings | null = null
+): { open: string; close: string } | null {
+  const dayName = DAY_NAMES[getDay(swissDate)];
+  const hours = businessHours[dayName as keyof typeof businessHours];
+  if (!hours || !hours.open || !hours.close) return null;
+  
+  if (!calendar) return hours;
+  
+  const holiday = getHolidayOn(format(swissDate, 'yyyy-MM-dd'), calendar);
+  if (!holiday) return hours;
+  if (!holiday.closedFrom || holiday.closedFrom <= hours.open) return null;
+  
+  return {
+    open: hours.open,
+    close: holiday.closedFrom < hours.close ? holiday.closedFrom : hours.close
+  };
+}
+
 /**
  * Checks if a given time is within business hours
  */
 export function isWithinBusinessHours(
   date: Date, 
-  businessHours: typeof BUSINESS_HOURS.default = BUSINESS_HOURS.default
+  businessHours: typeof BUSINESS_HOURS.default = BUSINESS_HOURS.default,
+  calendar: HolidaySettings | null = null
 ): boolean {
   const swissDate = toSwissTime(date);
-  const dayOfWeek = getDay(swissDate);
-  const dayName = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'][dayOfWeek];
-  
-  const hours = businessHours[dayName as keyof typeof businessHours];
-  if (!hours || !hours.open || !hours.close) return false;
+  const hours = getOpeningHoursForDay(swissDate, businessHours, calendar);
+  if (!hours) return false;
   
   const currentTime = format(swissDate, 'HH:mm');
   return currentTime >= hours.open && currentTime <= hours.close;
@@ -198,21 +216,20 @@ export function isWithinBusinessHours(
  */
 export function getNextBusinessTime(
   date: Date,
-  businessHours: typeof BUSINESS_HOURS.default = BUSINESS_HOURS.default
+  businessHours: typeof BUSINESS_HOURS.default = BUSINESS_HOURS.default,
+  calendar: HolidaySettings | null = null
 ): Date {
   let checkDate = toSwissTime(date);
   
   // Check up to 7 days ahead
   for (let i = 0; i < 7; i++) {
-    if (isWithinBusinessHours(checkDate, businessHours)) {
+    if (isWithinBusinessHours(fromSwissTime(checkDate), businessHours, calendar)) {
       return fromSwissTime(checkDate);
     }
     
-    const dayOfWeek = getDay(checkDate);
-    const dayName = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'][dayOfWeek];
-    const hours = businessHours[dayName as keyof typeof businessHours];
+    const hours = getOpeningHoursForDay(checkDate, businessHours, calendar);
     
-    if (hours && hours.open) {
+    if (hours) {
       const [openHour, openMinute] = hours.open.split(':').map(Number);
       const openTime = setMinutes(setHours(checkDate, openHour), openMinute);
       
@@ -234,14 +251,14 @@ export function getNextBusinessTime(
 export function getBusinessHoursBetween(
   startDate: Date,
   endDate: Date,
-  businessHours: typeof BUSINESS_HOURS.default = BUSINESS_HOURS.default
+  businessHours: typeof BUSINESS_HOURS.default = BUSINESS_HOURS.default,
+  calendar: HolidaySettings | null = null
 ): number {
   let totalMinutes = 0;
-  let currentDate = toSwissTime(startDate);
-  const endSwissDate = toSwissTime(endDate);
+  let currentDate = startDate;
   
-  while (isBefore(currentDate, endSwissDate)) {
-    if (isWithinBusinessHours(currentDate, businessHours)) {
+  while (isBefore(currentDate, endDate)) {
+    if (isWithinBusinessHours(currentDate, businessHours, calendar)) {
       totalMinutes++;
     }
     currentDate = addMinutes(currentDate, 1);
@@ -260,15 +277,14 @@ export function getBusinessHoursBetween(
 export function generateTimeSlots(
   date: Date,
   duration: number = TIME_SLOTS.duration,
-  businessHours: typeof BUSINESS_HOURS.default = BUSINESS_HOURS.default
+  businessHours: typeof BUSINESS_HOURS.default = BUSINESS_HOURS.default,
+  calendar: HolidaySettings | null = null
 ): Date[] {
   const slots: Date[] = [];
   const swissDate = toSwissTime(date);
-  const dayOfWeek = getDay(swissDate);
-  const dayName = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'][dayOfWeek];
   
-  const hours = businessHours[dayName as keyof typeof businessHours];
-  if (!hours || !hours.open || !hours.close) return slots;
+  const hours = getOpeningHoursForDay(swissDate, businessHours, calendar);
+  if (!hours) return slots;
   
   const [openHour, openMinute] = hours.open.split(':').map(Number);
   const [closeHour, closeMinute] = hours.close.split(':').map(Number);
@@ -291,13 +307,14 @@ export function findNextAvailableSlot(
   preferredTime: Date,
   bookedSlots: Date[],
   duration: number = TIME_SLOTS.duration,
-  businessHours: typeof BUSINESS_HOURS.default = BUSINESS_HOURS.default
+  businessHours: typeof BUSINESS_HOURS.default = BUSINESS_HOURS.default,
+  calendar: HolidaySettings | null = null
 ): Date | null {
   let checkDate = toSwissTime(preferredTime);
   const maxDate = addDays(checkDate, 30); // Check up to 30 days ahead
   
   while (isBefore(checkDate, maxDate)) {
-    const slots = generateTimeSlots(checkDate, duration, businessHours);
+    const slots = generateTimeSlots(fromSwissTime(checkDate), duration, businessHours, calendar);
     
     for (const slot of slots) {
       if (isAfter(slot, preferredTime) && !isSlotBooked(slot, bookedSlots, duration)) {
@@ -416,11 +433,13 @@ export function getDatesInRange(startDate: Date, endDate: Date): Date[] {
 // ============================================================================
 
 /**
- * Checks if a date is a holiday
+ * Checks if a date is a holiday (Swiss local date)
+ *
+ * Without a calendar only the holidays observed in every canton count; pass
+ * the tenant's calendar (see getTenantHolidayCalendar) for cantonal ones.
  */
-export function isHoliday(date: Date, holidays: string[] = HOLIDAYS_SWITZERLAND_2025): boolean {
-  const dateStr = format(date, 'yyyy-MM-dd');
-  return holidays.includes(dateStr);
+export function isHoliday(date: Date, calendar: HolidaySettings = {}): boolean {
+  return getHolidayOn(formatDate(date, 'yyyy-MM-dd'), calendar) !== null;
 }
 
 /**
@@ -428,11 +447,11 @@ export function isHoliday(date: Date, holidays: string[] = HOLIDAYS_SWITZERLAND_
  */
 export function getNextBusinessDay(
   date: Date, 
-  holidays: string[] = HOLIDAYS_SWITZERLAND_2025
+  calendar: HolidaySettings = {}
 ): Date {
   let nextDay = addDays(date, 1);
   
-  while (isWeekend(nextDay) || isHoliday(nextDay, holidays)) {
+  while (isWeekend(nextDay) || isHoliday(nextDay, calendar)) {
     nextDay = addDays(nextDay, 1);
   }
   
@@ -440,10 +459,10 @@ export function getNextBusinessDay(
 }
 
 /**
- * Checks if date is weekend
+ * Checks if date is weekend (Swiss local date)
  */
 export function isWeekend(date: Date): boolean {
-  const day = getDay(date);
+  const day = getDay(toSwissTime(date));
   return day === 0 || day === 6; // Sunday or Saturday
 }
 
@@ -587,6 +606,7 @@ export default {
   formatDuration,
   
   // Business Hours
+  getOpeningHoursForDay,
   isWithinBusinessHours,
   getNextBusinessTime,
   getBusinessHoursBetween,
@@ -617,6 +637,5 @@ export default {
   // Constants
   TIMEZONE_SWITZERLAND,
   BUSINESS_HOURS,
-  TIME_SLOTS,
-  HOLIDAYS_SWITZERLAND_2025
+  TIME_SLOTS
 };
\ No newline at end of file
@@ -349,7 +349,11 @@ const productSchema = Joi.object({
   pricing: Joi.object({
     basePrice: priceSchema.required(),
     currency: Joi.string().length(3).default('CHF'),
-    taxRate: percentageSchema.default(7.7),
+    taxRate: percentageSchema.default(8.1),
+    taxRates: Joi.object({
+      takeaway: percentageSchema.required(),
+      onSite: percentageSchema.required()
+    }).optional(),
     taxIncluded: Joi.boolean().default(true)
   }).required(),
   inventory: Joi.object({
@@ -486,6 +490,37 @@ export function validateIBAN(iban: string): { isValid: boolean; error?: string }
   return { isValid: true };
 }
 
+/**
+ * Validates Swiss VAT number (UID with MWST/TVA/IVA suffix)
+ */
+export function validateVatNumber(vatNumber: string): { isValid: boolean; error?: string; formatted?: string } {
+  const match = /^CHE-?(\d{3})\.?(\d{3})\.?(\d{3})\s*(MWST|TVA|IVA)$/.exec(vatNumber.trim().toUpperCase());
+  if (!match) {
+    return {
+      isValid: false,
+      error: 'Invalid VAT number format (CHE-123.456.789 MWST)'
+    };
+  }
+
+  // Check digit: weights 5,4,3,2,7,6,5,4 modulo 11
+  const digits = (match[1] + match[2] + match[3]).split('').map(Number);
+  const weights = [5, 4, 3, 2, 7, 6, 5, 4];
+  const sum = weights.reduce((total, weight, i) => total + weight * digits[i], 0);
+  const check = (11 - (sum % 11)) % 11;
+
+  if (check === 10 || check !== digits[8]) {
+    return {
+      isValid: false,
+      error: 'Invalid VAT number check digit'
+    };
+  }
+
+  return {
+    isValid: true,
+    formatted: `CHE-${match[1]}.${match[2]}.${match[3]} ${match[4]}`
+  };
+}
+
 // ============================================================================
 // SANITIZATION
 // ============================================================================
@@ -688,6 +723,7 @@ export default {
   // Payment validators
   validateCreditCard,
   validateIBAN,
+  validateVatNumber,
   
   // Sanitization
   sanitizeString,
@@ -0,0 +1,339 @@
+/**
+ * EATECH Analytics Tests
+ *
+ * Test suite for event ingestion into sharded rollups, conversion funnels and
+ * retention cohorts
+ */
+
+import { afterEach, beforeEach, describe, expect, it, jest } from '@jest/globals';
+
+import { AnalyticsService, ROLLUP_SHARDS, TrackEventInput } from '../src/services/AnalyticsService';
+
+// ============================================================================
+// FIRESTORE MOCK
+// ============================================================================
+
+// Documents by path, written with increments and merges applied
+const mockDocs = new Map<string, Record<string, any>>();
+
+jest.mock('firebase-admin', () => {
+  let autoId = 0;
+
+  class Timestamp {
+    constructor(private readonly date: Date) {}
+
+    static fromDate(date: Date) {
+      return new Timestamp(date);
+    }
+
+    toDate() {
+      return this.date;
+    }
+
+    toMillis() {
+      return this.date.getTime();
+    }
+  }
+
+  class Increment {
+    constructor(readonly value: number) {}
+  }
+
+  const isPlainObject = (value: unknown): value is Record<string, any> => Boolean(value)
+    && Object.getPrototypeOf(value) === Object.prototype;
+
+  const apply = (target: Record<string, any>, data: Record<string, any>): Record<string, any> => {
+    const result = { ...target };
+    for (const [key, value] of Object.entries(data)) {
+      if (value instanceof Increment) {
+        result[key] = (result[key] || 0) + value.value;
+      } else if (isPlainObject(value)) {
+        result[key] = apply(isPlainObject(result[key]) ? result[key] : {}, value);
+      } else {
+        result[key] = value;
+      }
+    }
+    return result;
+  };
+
+  const write = (path: string, data: Record<string, any>, options?: { merge?: boolean }) => {
+    mockDocs.set(path, apply(options?.merge ? mockDocs.get(path) || {} : {}, data));
+  };
+
+  const snapshot = (path: string) => ({
+    id: path.split('/').pop(),
+    exists: mockDocs.has(path),
+    data: () => mockDocs.get(path),
+    get: (field: string) => mockDocs.get(path)?.[field],
+  });
+
+  const comparable = (value: any) => (value instanceof Timestamp ? value.toMillis() : value);
+
+  const query = (path: string, filters: Array<(data: Record<string, any>) => boolean> = []): any => ({
+    where: (field: string, op: string, value: unknown) => query(path, [...filters, (data) => {
+      const actual = comparable(data[field]);
+      const expected = comparable(value);
+      switch (op) {
+        case '==': return actual === expected;
+        case '>=': return actual >= expected;
+        case '<=': return actual <= expected;
+        default: throw new Error(`Unsupported operator ${op}`);
+      }
+    }]),
+    orderBy: () => query(path, filters),
+    get: async () => {
+      const docs = [...mockDocs.keys()]
+        .filter((docPath) => docPath.startsWith(`${path}/`) && filters.every((filter) => filter(mockDocs.get(docPath)!)))
+        .map(snapshot);
+      return { docs, empty: docs.length === 0, size: docs.length };
+    },
+  });
+
+  const collection = (path: string): any => ({
+    ...query(path),
+    doc: (id?: string) => {
+      autoId += 1;
+      const docPath = `${path}/${id || `auto${autoId}`}`;
+      return { id: docPath.split('/').pop(), path: docPath, get: async () => snapshot(docPath) };
+    },
+  });
+
+  const db = {
+    collection,
+    runTransaction: async (fn: (transaction: any) => Promise<unknown>) => {
+      const writes: Array<() => void> = [];
+      const result = await fn({
+        getAll: async (...refs: Array<{ path: string }>) => refs.map((ref) => snapshot(ref.path)),
+        set: (ref: { path: string }, data: Record<string, any>, options?: { merge?: boolean }) => {
+          writes.push(() => write(ref.path, data, options));
+        },
+      });
+      writes.forEach((commit) => commit());
+      return result;
+    },
+  };
+
+  const firestore = Object.assign(() => db, {
+    FieldValue: {
+      increment: (value: number) => new Increment(value),
+      serverTimestamp: () => 'SERVER_TIMESTAMP',
+    },
+    Timestamp,
+  });
+
+  return { firestore };
+});
+
+// ============================================================================
+// MOCK DATA
+// ============================================================================
+
+const tenantId = 'tenant1';
+
+// 12:00 in Zurich
+const lunch = new Date('2025-03-03T11:00:00.000Z');
+const day = { start: new Date('2025-03-02T23:00:00.000Z'), end: new Date('2025-03-03T22:59:59.999Z') };
+
+const event = (type: string, userId: string, fields: Partial<TrackEventInput> = {}): TrackEventInput => ({
+  type,
+  tenantId,
+  userId,
+  timestamp: lunch,
+  ...fields,
+});
+
+const order = (userId: string, date: string, total: number) => event('order_created', userId, {
+  timestamp: new Date(date),
+  properties: { total },
+});
+
+const dayRollupIds = () => [...mockDocs.keys()]
+  .filter((path) => path.startsWith(`analytics_rollups/${tenantId}_day_`))
+  .map((path) => path.split('/').pop());
+
+// ============================================================================
+// INGESTION
+// ============================================================================
+
+describe('Event Ingestion', () => {
+  let service: AnalyticsService;
+
+  beforeEach(() => {
+    mockDocs.clear();
+    service = new AnalyticsService();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should spread events over the rollup shards and sum them on read', async () => {
+    jest.spyOn(Math, 'random')
+      .mockReturnValueOnce(0)
+      .mockReturnValueOnce(0.5)
+      .mockReturnValueOnce(0.99);
+
+    await service.ingestEvent(event('page_view', 'u1'));
+    await service.ingestEvent(event('page_view', 'u2'));
+    await service.ingestEvent(event('order_created', 'u2', { properties: { total: 42.5 } }));
+
+    expect(dayRollupIds().sort()).toEqual([
+      'tenant1_day_2025-03-03_0',
+      'tenant1_day_2025-03-03_5',
+      `tenant1_day_2025-03-03_${ROLLUP_SHARDS - 1}`,
+    ]);
+    await expect(service.getSummary(tenantId, day.start, day.end)).resolves.toMatchObject({
+      orders: 1,
+      revenue: 42.5,
+      pageViews: 2,
+      uniqueUsers: 2,
+      newCustomers: 1,
+      peakHour: 12,
+    });
+  });
+
+  it('should ignore events that were already ingested', async () => {
+    await expect(service.ingestEvent(event('page_view', 'u1', { id: 'e1' }))).resolves.toMatchObject({ id: 'e1' });
+    await expect(service.ingestEvent(event('page_view', 'u1', { id: 'e1' }))).resolves.toBeNull();
+
+    await expect(service.getSummary(tenantId, day.start, day.end)).resolves.toMatchObject({ pageViews: 1 });
+  });
+});
+
+// ============================================================================
+// FUNNELS
+// ============================================================================
+
+describe('Conversion Funnel', () => {
+  const service = new AnalyticsService();
+
+  beforeEach(async () => {
+    mockDocs.clear();
+
+    const visits: Record<string, string[]> = {
+      u1: ['page_view', 'page_view', 'item_viewed', 'add_to_cart', 'order_placed', 'payment_completed'],
+      u2: ['page_view', 'product_viewed', 'product_added_to_cart', 'product_added_to_cart'],
+      u3: ['page_view', 'product_viewed'],
+      u4: ['page_view'],
+    };
+
+    for (const [userId, types] of Object.entries(visits)) {
+      for (const type of types) {
+        await service.ingestEvent(event(type, userId));
+      }
+    }
+    await service.ingestEvent(event('page_view', 'guest', { sessionId: 's1' }));
+  });
+
+  it('should count distinct visitors per step', async () => {
+    const funnel = await service.getConversionFunnel(tenantId, day.start, day.end);
+
+    expect(funnel.steps.map((step) => step.users)).toEqual([5, 3, 2, 1, 1]);
+    expect(funnel.steps.map((step) => step.conversionRate)).toEqual([100, 60, 40, 20, 20]);
+    expect(funnel.steps.map((step) => step.stepConversionRate)).toEqual([100, 60, 66.67, 50, 100]);
+    expect(funnel).toMatchObject({ totalUsers: 5, conversionRate: 20 });
+  });
+
+  it('should report the drop-off between steps', async () => {
+    const funnel = await service.getConversionFunnel(tenantId, day.start, day.end);
+
+    expect(funnel.dropoffPoints).toEqual([
+      { fromStep: 'page_view', toStep: 'product_viewed', users: 2, percentage: 40 },
+      { fromStep: 'product_viewed', toStep: 'product_added_to_cart', users: 1, percentage: 33.33 },
+      { fromStep: 'product_added_to_cart', toStep: 'order_created', users: 1, percentage: 50 },
+      { fromStep: 'order_created', toStep: 'payment_completed', users: 0, percentage: 0 },
+    ]);
+  });
+
+  it('should accept custom steps with legacy event names', async () => {
+    const funnel = await service.getConversionFunnel(tenantId, day.start, day.end, ['item_viewed', 'order_placed']);
+
+    expect(funnel.steps.map((step) => [step.type, step.users])).toEqual([['product_viewed', 3], ['order_created', 1]]);
+    expect(funnel.conversionRate).toBe(33.33);
+  });
+
+  it('should return an empty funnel for days without events', async () => {
+    const funnel = await service.getConversionFunnel(
+      tenantId,
+      new Date('2025-03-04T00:00:00.000Z'),
+      new Date('2025-03-04T22:59:59.999Z'),
+    );
+
+    expect(funnel).toMatchObject({ totalUsers: 0, conversionRate: 0 });
+  });
+});
+
+// ============================================================================
+// COHORTS
+// ============================================================================
+
+describe('Retention Cohorts', () => {
+  const service = new AnalyticsService();
+  const range = { start: new Date('2025-01-01T00:00:00.000Z'), end: new Date('2025-02-28T00:00:00.000Z') };
+
+  beforeEach(async () => {
+    mockDocs.clear();
+    jest.useFakeTimers({ now: new Date('2025-02-20T12:00:00.000Z'), doNotFake: ['nextTick', 'setImmediate'] });
+
+    await service.ingestEvent(order('u1', '2025-01-15T12:00:00.000Z', 100));
+    await service.ingestEvent(order('u1', '2025-01-20T12:00:00.000Z', 50));
+    await service.ingestEvent(order('u2', '2025-01-28T12:00:00.000Z', 40));
+    await service.ingestEvent(order('u1', '2025-02-10T12:00:00.000Z', 30));
+    await service.ingestEvent(order('u3', '2025-02-05T12:00:00.000Z', 20));
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('should group customers by the month of their first order', async () => {
+    const cohorts = await service.getCohortAnalysis(tenantId, 'monthly', range);
+
+    expect(cohorts).toEqual([
+      {
+        cohort: '2025-01',
+        size: 2,
+        retention: [
+          { period: 0, retained: 2, percentage: 100, value: 190 },
+          { period: 1, retained: 1, percentage: 50, value: 30 },
+        ],
+        value: 110,
+        churn: 50,
+      },
+      {
+        cohort: '2025-02',
+        size: 1,
+        retention: [{ period: 0, retained: 1, percentage: 100, value: 20 }],
+        value: 20,
+        churn: 0,
+      },
+    ]);
+  });
+
+  it('should relate revenue to the first period of the cohort', async () => {
+    const [january] = await service.getCohortAnalysis(tenantId, 'monthly', range, 'revenue');
+
+    expect(january.retention.map((period) => [period.value, period.percentage])).toEqual([[190, 100], [30, 15.79]]);
+    expect(january.churn).toBe(50);
+  });
+
+  it('should count a returning customer once per week', async () => {
+    const cohorts = await service.getCohortAnalysis(tenantId, 'weekly', range);
+    const firstWeek = cohorts.find((cohort) => cohort.cohort === '2025-W03');
+
+    expect(cohorts.map((cohort) => [cohort.cohort, cohort.size])).toEqual([
+      ['2025-W03', 1],
+      ['2025-W05', 1],
+      ['2025-W06', 1],
+    ]);
+    expect(firstWeek?.retention.filter((period) => period.retained > 0).map((period) => period.period)).toEqual([0, 1, 4]);
+  });
+
+  it('should count new and returning customers', async () => {
+    await expect(service.getCustomerInsights(tenantId, range)).resolves.toMatchObject({
+      customerDays: 5,
+      newCustomers: 3,
+      returningCustomers: 2,
+    });
+  });
+});
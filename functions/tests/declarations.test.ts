@@ -0,0 +1,179 @@
+/**
+ * EATECH Declaration Tests
+ *
+ * Test suite for allergen and nutrition declarations derived from recipes
+ */
+
+import { describe, expect, it } from '@jest/globals';
+
+import { IngredientDeclaration } from '../src/types/product.types';
+import {
+  computeDeclarations,
+  computeModifierDeclaration,
+  findDeclarationConflicts,
+  normalizeAllergen,
+  parseAllergenList,
+} from '../src/utils/declarationUtils';
+import { IngredientRequirement } from '../src/utils/recipeUtils';
+
+// ============================================================================
+// MOCK DATA
+// ============================================================================
+const burger: IngredientRequirement[] = [
+  { itemId: 'bun', name: 'Brioche Bun', quantity: 1, unit: 'Stk' },
+  { itemId: 'patty', name: 'Rindfleisch', quantity: 150, unit: 'g' },
+  { itemId: 'cheese', name: 'Cheddar', quantity: 20, unit: 'g' },
+  { itemId: 'sauce', name: 'Burgersauce', quantity: 30, unit: 'ml' },
+];
+
+const items = new Map<string, IngredientDeclaration>([
+  ['bun', {
+    allergens: ['gluten', 'eggs', 'milk'],
+    traces: ['sesame'],
+    gramsPerPiece: 80,
+    nutritionPer100g: { calories: 300, fat: 5, saturatedFat: 2, carbohydrates: 50, sugar: 6, fiber: 2, protein: 10, salt: 1.2 },
+  }],
+  ['patty', {
+    allergens: [],
+    nutritionPer100g: { calories: 250, fat: 20, saturatedFat: 8, carbohydrates: 0, sugar: 0, fiber: 0, protein: 17, salt: 0.2 },
+  }],
+  ['cheese', {
+    allergens: ['milk'],
+    nutritionPer100g: { calories: 400, fat: 33, saturatedFat: 21, carbohydrates: 1, sugar: 0.5, fiber: 0, protein: 25, salt: 1.8 },
+  }],
+  ['sauce', {
+    allergens: ['eggs', 'mustard'],
+    gramsPerMl: 1,
+    nutritionPer100g: { calories: 500, fat: 50, saturatedFat: 4, carbohydrates: 10, sugar: 8, fiber: 0, protein: 1, salt: 2 },
+  }],
+  ['bacon', {
+    allergens: [],
+    nutritionPer100g: { calories: 450, fat: 40, saturatedFat: 15, carbohydrates: 0, sugar: 0, fiber: 0, protein: 20, salt: 3 },
+  }],
+]);
+
+// ============================================================================
+// ALLERGEN IDS
+// ============================================================================
+describe('normalizeAllergen', () => {
+  it('maps the other spellings to EU allergen ids', () => {
+    expect(normalizeAllergen('dairy')).toBe('milk');
+    expect(normalizeAllergen('Soy')).toBe('soybeans');
+    expect(normalizeAllergen({ type: 'sulfites', severity: 'contains' })).toBe('sulphites');
+    expect(normalizeAllergen('garlic')).toBeNull();
+  });
+
+  it('splits contained allergens from traces', () => {
+    expect(parseAllergenList([
+      'gluten',
+      { type: 'nuts', severity: 'may_contain' },
+      { type: 'dairy', severity: 'free_from' },
+    ])).toEqual({ allergens: ['gluten'], traces: ['nuts'] });
+  });
+});
+
+// ============================================================================
+// DECLARATIONS
+// ============================================================================
+describe('computeDeclarations', () => {
+  it('collects allergens of all ingredients in EU order', () => {
+    const declarations = computeDeclarations(burger, items);
+
+    expect(declarations.allergens).toEqual(['gluten', 'eggs', 'milk', 'mustard']);
+    expect(declarations.traces).toEqual(['sesame']);
+    expect(declarations.missingData).toEqual([]);
+  });
+
+  it('sums nutrition by weight', () => {
+    const declarations = computeDeclarations(burger, items);
+
+    // 80 g bun + 150 g patty + 20 g cheese + 30 g sauce
+    expect(declarations.portionWeight).toBe(280);
+    expect(declarations.nutritionPerPortion?.calories).toBe(845);
+    expect(declarations.nutrition?.calories).toBe(301.8);
+    expect(declarations.nutrition?.salt).toBe(0.79);
+  });
+
+  it('gives no nutrition when an ingredient lacks data', () => {
+    const withSalad = [...burger, { itemId: 'salad', name: 'Salat', quantity: 10, unit: 'g' as const }];
+
+    const declarations = computeDeclarations(withSalad, items);
+
+    expect(declarations.nutrition).toBeNull();
+    expect(declarations.missingData).toEqual(['salad']);
+    expect(declarations.allergens).toEqual(['gluten', 'eggs', 'milk', 'mustard']);
+  });
+
+  it('does not list a contained allergen as trace', () => {
+    const pattyWithTraces = new Map(items);
+    pattyWithTraces.set('patty', { ...items.get('patty'), traces: ['milk', 'celery'] });
+
+    expect(computeDeclarations(burger, pattyWithTraces).traces).toEqual(['celery', 'sesame']);
+  });
+});
+
+describe('computeModifierDeclaration', () => {
+  it('removes an allergen only if no other ingredient carries it', () => {
+    expect(computeModifierDeclaration(burger, { remove: ['sauce'] }, items)).toEqual({
+      adds: [],
+      removes: ['mustard'],
+    });
+    expect(computeModifierDeclaration(burger, { remove: ['cheese'] }, items)).toEqual({
+      adds: [],
+      removes: [],
+    });
+  });
+
+  it('adds allergens of added ingredients and of the modifier itself', () => {
+    const added: IngredientRequirement[] = [{ itemId: 'bacon', name: 'Bacon', quantity: 30, unit: 'g' }];
+
+    expect(computeModifierDeclaration(burger, { added, allergens: ['celery'] }, items)).toEqual({
+      adds: ['celery'],
+      removes: [],
+    });
+  });
+});
+
+// ============================================================================
+// CONFLICTS
+// ============================================================================
+describe('findDeclarationConflicts', () => {
+  const computed = computeDeclarations(burger, items);
+
+  it('accepts matching manual values', () => {
+    expect(findDeclarationConflicts(computed, {
+      allergens: ['gluten', 'eggs', 'milk', 'mustard', 'sesame'],
+      nutrition: { calories: '280', carbs: '15' },
+    })).toEqual([]);
+  });
+
+  it('warns about undeclared allergens and traces', () => {
+    const warnings = findDeclarationConflicts(computed, { allergens: ['gluten', 'milk'] });
+
+    expect(warnings.map(({ type, field }) => `${type}:${field}`)).toEqual([
+      'allergen_missing:eggs',
+      'allergen_missing:mustard',
+      'allergen_missing:sesame',
+    ]);
+    expect(warnings[0].message).toBe('Eier ist in den Zutaten enthalten, aber nicht deklariert');
+  });
+
+  it('points out allergens the recipe does not contain', () => {
+    const warnings = findDeclarationConflicts(computed, {
+      allergens: ['gluten', 'eggs', 'milk', 'mustard', 'sesame', 'fish'],
+    });
+
+    expect(warnings).toEqual([expect.objectContaining({ type: 'allergen_extra', field: 'fish' })]);
+  });
+
+  it('warns about nutrition values outside the tolerance', () => {
+    const warnings = findDeclarationConflicts(computed, {
+      allergens: ['gluten', 'eggs', 'milk', 'mustard'],
+      nutrition: { calories: 180, fat: '', protein: 14 },
+    });
+
+    expect(warnings.filter(warning => warning.type === 'nutrition_mismatch')).toEqual([
+      expect.objectContaining({ field: 'calories', computed: 301.8, declared: 180 }),
+    ]);
+  });
+});
@@ -0,0 +1,189 @@
+/**
+ * EATECH Delivery Zone Tests
+ *
+ * Test suite for GeoJSON delivery zones, fees and minimum order values
+ */
+
+import { describe, expect, it } from '@jest/globals';
+
+import { DeliveryZone } from '../src/types/tenant.types';
+import { calculateDistance } from '../src/utils/calculationUtils';
+import {
+  checkAddressCoordinates,
+  DeliveryUnavailableError,
+  DISTANCE_ZONE_ID,
+  findDeliveryZone,
+  getDeliveryOrigin,
+  isPointInPolygons,
+  parseZoneGeometry,
+  quoteDelivery,
+  validateDeliveryZones,
+} from '../src/utils/deliveryZoneUtils';
+import { SwissLocality } from '../src/utils/postalCodeUtils';
+
+// ============================================================================
+// MOCK DATA
+// ============================================================================
+const square = (west: number, south: number, east: number, north: number) => [
+  [west, south], [east, south], [east, north], [west, north], [west, south],
+];
+
+// Zürich city with the lake carved out, and a wider ring around it
+const cityGeometry = {
+  type: 'Polygon',
+  coordinates: [square(8.50, 47.35, 8.58, 47.41), square(8.54, 47.35, 8.56, 47.36)],
+};
+const regionGeometry = {
+  type: 'Feature',
+  properties: {},
+  geometry: { type: 'Polygon', coordinates: [square(8.40, 47.30, 8.70, 47.50)] },
+};
+
+const mockZones: DeliveryZone[] = [
+  {
+    id: 'city',
+    name: 'Stadt',
+    geometry: JSON.stringify(cityGeometry),
+    fee: 4,
+    minOrderAmount: 25,
+    extraMinutes: 10,
+    active: true,
+  },
+  {
+    id: 'region',
+    name: 'Region',
+    geometry: JSON.stringify(regionGeometry),
+    fee: 8,
+    minOrderAmount: 50,
+    extraMinutes: 25,
+    active: true,
+  },
+];
+
+const cityCentre = { latitude: 47.3769, longitude: 8.5417 };
+const lake = { latitude: 47.355, longitude: 8.55 };
+const suburb = { latitude: 47.45, longitude: 8.45 };
+const bern = { latitude: 46.948, longitude: 7.4474 };
+const winterthur = { latitude: 47.4988, longitude: 8.7237 };
+
+const zurich8001: SwissLocality = {
+  postalCode: '8001',
+  locality: 'Zürich',
+  municipality: 'Zürich',
+  bfsNumber: 261,
+  canton: 'ZH',
+  latitude: 47.3717,
+  longitude: 8.5423,
+  language: 'de',
+};
+
+const reasonOf = (fn: () => unknown) => {
+  try {
+    fn();
+  } catch (error) {
+    return error instanceof DeliveryUnavailableError ? error.reason : error;
+  }
+  return null;
+};
+
+// ============================================================================
+// GEOMETRY
+// ============================================================================
+describe('Delivery Zone Geometry', () => {
+  it('should respect holes in polygons', () => {
+    const polygons = parseZoneGeometry(cityGeometry);
+
+    expect(isPointInPolygons(cityCentre, polygons)).toBe(true);
+    expect(isPointInPolygons(lake, polygons)).toBe(false);
+    expect(isPointInPolygons(suburb, polygons)).toBe(false);
+  });
+
+  it('should reject open rings and positions out of range', () => {
+    const open = { type: 'Polygon', coordinates: [square(8.5, 47.3, 8.6, 47.4).slice(0, 4)] };
+    const outOfRange = { type: 'Polygon', coordinates: [square(8.5, 47.3, 8.6, 97.4)] };
+
+    expect(() => parseZoneGeometry(open)).toThrow('Rings must be closed');
+    expect(() => parseZoneGeometry(outOfRange)).toThrow('Rings need at least 4 [lng, lat] positions');
+    expect(validateDeliveryZones([{ ...mockZones[0], id: '', fee: -1 }])).toHaveLength(2);
+  });
+});
+
+// ============================================================================
+// QUOTES
+// ============================================================================
+describe('Delivery Quotes', () => {
+  it('should use the first active zone containing the address', () => {
+    expect(findDeliveryZone(mockZones, cityCentre)?.id).toBe('city');
+    expect(findDeliveryZone(mockZones, lake)?.id).toBe('region');
+    expect(findDeliveryZone([{ ...mockZones[0], active: false }, mockZones[1]], cityCentre)?.id).toBe('region');
+  });
+
+  it('should quote the zone fee and extra minutes', () => {
+    expect(quoteDelivery(mockZones, cityCentre, 30)).toEqual({
+      zoneId: 'city',
+      zoneName: 'Stadt',
+      fee: 4,
+      minOrderAmount: 25,
+      extraMinutes: 10,
+    });
+  });
+
+  it('should reject addresses that cannot be delivered to', () => {
+    expect(reasonOf(() => quoteDelivery([], cityCentre, 100))).toBe('not_offered');
+    expect(reasonOf(() => quoteDelivery(mockZones, bern, 100))).toBe('outside_area');
+    expect(reasonOf(() => quoteDelivery(mockZones, suburb, 40))).toBe('below_minimum');
+  });
+});
+
+// ============================================================================
+// DISTANCE
+// ============================================================================
+describe('Distance Based Delivery', () => {
+  const pricing = { baseFee: 3, perKmRate: 0.5, minFee: 4, maxFee: 12, minOrderAmount: 20, maxDistanceKm: 25 };
+
+  it('should price by distance when the tenant has no active zone', () => {
+    const fallback = { origin: cityCentre, pricing };
+
+    expect(quoteDelivery(undefined, cityCentre, 30, fallback)).toEqual(expect.objectContaining({
+      zoneId: DISTANCE_ZONE_ID,
+      fee: 4,
+      minOrderAmount: 20,
+    }));
+    expect(quoteDelivery([], suburb, 30, fallback).fee)
+      .toBeCloseTo(3 + (calculateDistance(cityCentre.latitude, cityCentre.longitude, suburb.latitude, suburb.longitude) * 0.5));
+    // About 20 km, capped at the maximum fee
+    expect(quoteDelivery([{ ...mockZones[0], active: false }], winterthur, 30, fallback).fee).toBe(12);
+  });
+
+  it('should reject distant addresses and small orders', () => {
+    expect(reasonOf(() => quoteDelivery([], bern, 100, { origin: cityCentre, pricing }))).toBe('outside_area');
+    expect(reasonOf(() => quoteDelivery([], suburb, 10, { origin: cityCentre, pricing }))).toBe('below_minimum');
+    expect(reasonOf(() => quoteDelivery([], suburb, 100, { origin: null }))).toBe('not_offered');
+  });
+
+  it('should keep using zones where they exist', () => {
+    expect(quoteDelivery(mockZones, cityCentre, 30, { origin: bern, pricing }).zoneId).toBe('city');
+  });
+
+  it('should take the origin from the tenant address', () => {
+    const address = { street: 'Bahnhofstrasse 1', city: 'Zürich', postalCode: '8001', canton: 'ZH' };
+
+    expect(getDeliveryOrigin({ ...address, coordinates: { lat: 47.37, lng: 8.54 } }))
+      .toEqual({ latitude: 47.37, longitude: 8.54 });
+    expect(getDeliveryOrigin(undefined)).toBeNull();
+  });
+});
+
+// ============================================================================
+// COORDINATES
+// ============================================================================
+describe('Address Coordinates', () => {
+  it('should accept coordinates inside the postal code area', () => {
+    expect(() => checkAddressCoordinates(cityCentre, zurich8001)).not.toThrow();
+  });
+
+  it('should reject coordinates far from the postal code area', () => {
+    expect(() => checkAddressCoordinates(bern, zurich8001)).toThrow('Coordinates are outside of postal code 8001');
+    expect(() => checkAddressCoordinates({ latitude: Number.NaN, longitude: 8.54 }, zurich8001)).toThrow();
+  });
+});
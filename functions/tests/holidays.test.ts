@@ -0,0 +1,159 @@
+/**
+ * EATECH Holiday Calendar Tests
+ *
+ * Test suite for Swiss public holidays per canton, municipal holidays and
+ * tenant closure days
+ */
+
+import { describe, expect, it } from '@jest/globals';
+
+import {
+  getEasterSunday,
+  getHolidayOn,
+  getHolidays,
+  getTenantHolidayCalendar,
+} from '../src/utils/holidayUtils';
+
+// ============================================================================
+// MOCK DATA
+// ============================================================================
+
+const zurichCity = { canton: 'ZH' as const, municipality: 'zurich' as const };
+
+const dateOf = (year: number, id: string, calendar = {}) => getHolidays(year, calendar)
+  .find((holiday) => holiday.id === id)?.date;
+
+const idsOf = (year: number, calendar = {}) => getHolidays(year, calendar).map((holiday) => holiday.id);
+
+// ============================================================================
+// EASTER
+// ============================================================================
+
+describe('Easter Dates', () => {
+  it('should compute Easter Sunday', () => {
+    expect(getEasterSunday(2019)).toBe('2019-04-21');
+    expect(getEasterSunday(2024)).toBe('2024-03-31');
+    expect(getEasterSunday(2025)).toBe('2025-04-20');
+    expect(getEasterSunday(2026)).toBe('2026-04-05');
+    expect(getEasterSunday(2038)).toBe('2038-04-25');
+    expect(getEasterSunday(2285)).toBe('2285-03-22');
+  });
+
+  it('should derive the moving holidays from Easter', () => {
+    const calendar = { canton: 'LU' as const };
+
+    expect(dateOf(2025, 'karfreitag', calendar)).toBe('2025-04-18');
+    expect(dateOf(2025, 'ostermontag', calendar)).toBe('2025-04-21');
+    expect(dateOf(2025, 'auffahrt')).toBe('2025-05-29');
+    expect(dateOf(2025, 'pfingstmontag', calendar)).toBe('2025-06-09');
+    expect(dateOf(2025, 'fronleichnam', calendar)).toBe('2025-06-19');
+    expect(dateOf(2024, 'auffahrt')).toBe('2024-05-09');
+    expect(dateOf(2024, 'karfreitag', calendar)).toBe('2024-03-29');
+  });
+
+  it('should move the Näfelser Fahrt out of Holy Week', () => {
+    expect(dateOf(2025, 'naefelser_fahrt', { canton: 'GL' })).toBe('2025-04-03');
+    expect(dateOf(2026, 'naefelser_fahrt', { canton: 'GL' })).toBe('2026-04-09');
+  });
+});
+
+// ============================================================================
+// CANTONS
+// ============================================================================
+
+describe('Cantonal Holidays', () => {
+  it('should only return nationwide holidays without a canton', () => {
+    expect(idsOf(2025)).toEqual(['neujahr', 'auffahrt', 'bundesfeier', 'weihnachten']);
+  });
+
+  it('should observe Berchtoldstag where the canton does', () => {
+    expect(idsOf(2025, { canton: 'ZH' })).toContain('berchtoldstag');
+    expect(idsOf(2025, { canton: 'BE' })).toContain('berchtoldstag');
+    expect(idsOf(2025, { canton: 'GE' })).not.toContain('berchtoldstag');
+    expect(idsOf(2025, { canton: 'TI' })).not.toContain('berchtoldstag');
+  });
+
+  it('should not give Ticino Good Friday', () => {
+    const ticino = idsOf(2025, { canton: 'TI' });
+
+    expect(ticino).not.toContain('karfreitag');
+    expect(ticino).toEqual(expect.arrayContaining(['ostermontag', 'josefstag', 'peter_und_paul', 'fronleichnam']));
+    expect(idsOf(2025, { canton: 'ZH' })).toContain('karfreitag');
+  });
+
+  it('should compute the Genevan and Vaudois fast days', () => {
+    expect(dateOf(2025, 'jeune_genevois', { canton: 'GE' })).toBe('2025-09-11');
+    expect(dateOf(2025, 'lundi_du_jeune', { canton: 'VD' })).toBe('2025-09-22');
+  });
+
+  it('should return the holidays sorted by date', () => {
+    const dates = getHolidays(2025, { canton: 'ZH' }).map((holiday) => holiday.date);
+
+    expect(dates).toEqual([...dates].sort());
+    expect(getHolidayOn('2025-01-02', { canton: 'ZH' })).toMatchObject({ id: 'berchtoldstag', source: 'cantonal' });
+    expect(getHolidayOn('2025-01-03', { canton: 'ZH' })).toBeNull();
+  });
+});
+
+// ============================================================================
+// ZÜRICH
+// ============================================================================
+
+describe('Municipal Holidays', () => {
+  it('should close the afternoon of Sechseläuten', () => {
+    expect(getHolidayOn('2024-04-15', zurichCity)).toMatchObject({ id: 'sechselaeuten', closedFrom: '12:00', source: 'municipal' });
+    expect(getHolidayOn('2024-04-15', { canton: 'ZH' })).toBeNull();
+  });
+
+  it('should move Sechseläuten when it falls on Easter Monday', () => {
+    expect(dateOf(2025, 'sechselaeuten', zurichCity)).toBe('2025-04-28');
+    expect(dateOf(2026, 'sechselaeuten', zurichCity)).toBe('2026-04-20');
+  });
+
+  it('should close the afternoon of Knabenschiessen', () => {
+    expect(dateOf(2024, 'knabenschiessen', zurichCity)).toBe('2024-09-09');
+    expect(getHolidayOn('2025-09-15', zurichCity)).toMatchObject({ id: 'knabenschiessen', closedFrom: '12:00' });
+  });
+});
+
+// ============================================================================
+// TENANT SETTINGS
+// ============================================================================
+
+describe('Tenant Holiday Calendar', () => {
+  it('should take the canton from the tenant address', () => {
+    expect(getTenantHolidayCalendar({ address: { canton: 'zh' } })).toEqual({ canton: 'ZH', closureDays: [] });
+    expect(getTenantHolidayCalendar({ address: { canton: 'XX' } }).canton).toBeUndefined();
+  });
+
+  it('should prefer the canton and municipality set by the tenant', () => {
+    const tenant = {
+      address: { canton: 'ZH' },
+      settings: { holidays: { canton: 'TI', closureDays: [{ date: '2025-07-14', until: '2025-07-18' }] } },
+    };
+
+    expect(getTenantHolidayCalendar(tenant)).toMatchObject({ canton: 'TI' });
+    expect(getTenantHolidayCalendar({ settings: { holidays: zurichCity } })).toMatchObject(zurichCity);
+  });
+
+  it('should add closure days, also across the turn of the year', () => {
+    const calendar = {
+      canton: 'ZH' as const,
+      closureDays: [
+        { date: '2024-12-30', until: '2025-01-03', name: 'Winterpause' },
+        { date: '2025-07-14' },
+      ],
+    };
+
+    expect(getHolidays(2025, calendar).filter((holiday) => holiday.source === 'tenant').map((holiday) => holiday.date))
+      .toEqual(['2025-01-01', '2025-01-02', '2025-01-03', '2025-07-14']);
+    expect(getHolidayOn('2025-01-03', calendar)).toMatchObject({ name: 'Winterpause', source: 'tenant' });
+    expect(getHolidayOn('2025-07-14', calendar)).toMatchObject({ name: 'Betriebsferien' });
+  });
+
+  it('should let a whole closure day win over an afternoon off', () => {
+    const calendar = { ...zurichCity, closureDays: [{ date: '2025-04-28', name: 'Inventur' }] };
+
+    expect(getHolidayOn('2025-04-28', calendar)).toMatchObject({ name: 'Inventur' });
+  });
+});
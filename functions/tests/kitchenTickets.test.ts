@@ -0,0 +1,166 @@
+/**
+ * EATECH Kitchen Ticket Tests
+ *
+ * Test suite for kitchen tickets created when an order is confirmed
+ */
+
+import { beforeEach, describe, expect, it, jest } from '@jest/globals';
+import functionsTest from 'firebase-functions-test';
+
+import { onOrderConfirmed } from '../src/triggers/kitchen.triggers';
+import { Order } from '../src/types/order.types';
+import { isConfirmedTransition, toKitchenOrder } from '../src/utils/kitchenTicketUtils';
+
+const mockCreateTicketForOrder = jest.fn(async (..._args: unknown[]) => null);
+
+// The trigger module creates its service on import, before this file's constants exist
+jest.mock('../src/services/KitchenDisplayService', () => ({
+  __esModule: true,
+  TICKET_STATUS: { NEW: 'new' },
+  default: jest.fn().mockImplementation(() => ({
+    createTicketForOrder: (...args: unknown[]) => mockCreateTicketForOrder(...args),
+  })),
+}));
+
+const test = functionsTest();
+
+// ============================================================================
+// MOCK DATA
+// ============================================================================
+
+const mockOrder = {
+  orderNumber: 'A-1042',
+  orderType: 'dine_in',
+  customer: { name: 'Anna Müller' },
+  items: [
+    { productId: 'burger', name: 'Cheeseburger', price: 18.5, basePrice: 16.5, quantity: 2, category: 'grill', notes: 'ohne Zwiebeln' },
+    { productId: 'fries', name: 'Pommes', price: 6, basePrice: 6, quantity: 1 },
+  ],
+  notes: 'Tisch 4',
+  status: 'new',
+} as unknown as Order;
+
+const confirmed = (transitionId: string): Order => ({
+  ...mockOrder,
+  status: 'confirmed',
+  lastTransition: { id: transitionId, from: 'new', to: 'confirmed' },
+});
+
+const runTrigger = (before: Order, after: Order) => {
+  const path = 'tenants/tenant1/orders/order1';
+  const change = test.makeChange(
+    test.firestore.makeDocumentSnapshot(before as unknown as Record<string, unknown>, path),
+    test.firestore.makeDocumentSnapshot(after as unknown as Record<string, unknown>, path),
+  );
+  return test.wrap(onOrderConfirmed)(change, { params: { tenantId: 'tenant1', orderId: 'order1' } });
+};
+
+// ============================================================================
+// CONFIRMED TRANSITION
+// ============================================================================
+
+describe('isConfirmedTransition', () => {
+  it('accepts a recorded transition to confirmed', () => {
+    expect(isConfirmedTransition(mockOrder, confirmed('h1'))).toBe(true);
+  });
+
+  it('waits until a direct status write has been accepted', () => {
+    const written = { ...mockOrder, status: 'confirmed' } as Order;
+
+    expect(isConfirmedTransition(mockOrder, written)).toBe(false);
+    expect(isConfirmedTransition(written, confirmed('h1'))).toBe(true);
+  });
+
+  it('ignores later updates of a confirmed order', () => {
+    expect(isConfirmedTransition(confirmed('h1'), { ...confirmed('h1'), notes: 'Tisch 5' })).toBe(false);
+    expect(isConfirmedTransition(confirmed('h1'), {
+      ...mockOrder,
+      status: 'preparing',
+      lastTransition: { id: 'h2', from: 'confirmed', to: 'preparing' },
+    })).toBe(false);
+  });
+});
+
+// ============================================================================
+// TICKET DATA
+// ============================================================================
+
+describe('toKitchenOrder', () => {
+  it('maps the order to ticket data', () => {
+    expect(toKitchenOrder('order1', mockOrder)).toEqual({
+      orderId: 'order1',
+      orderNumber: 'A-1042',
+      orderType: 'dineIn',
+      customerName: 'Anna Müller',
+      items: [
+        {
+          id: '0',
+          productId: 'burger',
+          name: 'Cheeseburger',
+          quantity: 2,
+          notes: 'ohne Zwiebeln',
+          category: 'grill',
+        },
+        { id: '1', productId: 'fries', name: 'Pommes', quantity: 1 },
+      ],
+      notes: 'Tisch 4',
+    });
+  });
+
+  it('splits deals into their components', () => {
+    const deal = {
+      productId: 'menu',
+      name: 'Burger-Menü',
+      price: 21,
+      basePrice: 21,
+      quantity: 2,
+      variant: { id: 'large', name: 'Gross', price: 2 },
+      bundle: {
+        id: 'menu',
+        name: 'Burger-Menü',
+        items: [
+          { productId: 'burger', name: 'Cheeseburger', quantity: 1 },
+          { productId: 'cola', name: 'Cola', quantity: 1, modifiers: ['Gross'] },
+        ],
+      },
+    };
+
+    expect(toKitchenOrder('order1', { ...mockOrder, items: [deal] } as unknown as Order).items).toEqual([
+      { id: '0', productId: 'menu', name: 'Burger-Menü', quantity: 2, modifiers: ['Gross'] },
+      { id: '0.1', productId: 'burger', name: 'Cheeseburger', quantity: 2 },
+      { id: '0.2', productId: 'cola', name: 'Cola', quantity: 2, modifiers: ['Gross'] },
+    ]);
+  });
+
+  it('passes scheduled orders with their time', () => {
+    const scheduledTime = new Date('2025-01-09T12:15:00.000Z');
+    expect(toKitchenOrder('order1', { ...mockOrder, orderType: 'drive_thru', scheduledTime }))
+      .toEqual(expect.objectContaining({ orderType: 'pickup', scheduledTime: '2025-01-09T12:15:00.000Z' }));
+  });
+});
+
+// ============================================================================
+// TRIGGER
+// ============================================================================
+
+describe('onOrderConfirmed', () => {
+  beforeEach(() => {
+    mockCreateTicketForOrder.mockClear();
+  });
+
+  it('creates the kitchen ticket when the order is confirmed', async () => {
+    await runTrigger(mockOrder, confirmed('h1'));
+
+    expect(mockCreateTicketForOrder).toHaveBeenCalledWith('tenant1', 'order1', expect.objectContaining({
+      orderNumber: 'A-1042',
+      status: 'confirmed',
+    }));
+  });
+
+  it('creates no ticket for other updates', async () => {
+    await runTrigger(mockOrder, { ...mockOrder, status: 'confirmed' } as Order);
+    await runTrigger(confirmed('h1'), { ...confirmed('h1'), notes: 'Tisch 5' });
+
+    expect(mockCreateTicketForOrder).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,302 @@
+/**
+ * EATECH Migration Runner Tests
+ *
+ * Test suite for the migration writer, ledger, lock and checkpoints.
+ * The runner tests need the Firestore emulator:
+ *   firebase emulators:exec --only firestore "cd functions && npx jest migrations"
+ */
+
+import * as admin from 'firebase-admin';
+import { afterAll, beforeEach, describe, expect, it } from '@jest/globals';
+
+import {
+  Migration,
+  MigrationReport,
+  MigrationRunner,
+  MigrationWriter,
+  MIGRATIONS_COLLECTION,
+} from '../src/database/migrationRunner';
+import { migrations } from '../src/database/migrations';
+import { BusinessError, ErrorCode, NotFoundError } from '../src/utils/errorHandler';
+
+const app = admin.apps[0] || admin.initializeApp({ projectId: 'demo-eatech' });
+const db = app.firestore();
+
+const describeWithEmulator = process.env.FIRESTORE_EMULATOR_HOST ? describe : describe.skip;
+
+afterAll(async () => {
+  await app.delete();
+});
+
+// ============================================================================
+// MOCK DATA
+// ============================================================================
+const createReport = (dryRun: boolean): MigrationReport => ({
+  id: '001_test',
+  name: 'Test',
+  direction: 'up',
+  dryRun,
+  documentsScanned: 0,
+  writes: { set: 0, update: 0, delete: 0 },
+  changes: [],
+  resumed: false,
+  durationMs: 0,
+});
+
+const addFlagMigration: Migration = {
+  id: '001_add_flag',
+  name: 'Add Flag',
+  description: 'Flag every test item',
+  up: async ({ writer, forEachBatch }) => {
+    await forEachBatch('migration_test_items', docs => docs.forEach(doc => {
+      writer.update(doc.ref, { flagged: true });
+    }));
+  },
+  down: async ({ writer, forEachBatch }) => {
+    await forEachBatch('migration_test_items', docs => docs.forEach(doc => {
+      writer.update(doc.ref, { flagged: admin.firestore.FieldValue.delete() });
+    }));
+  },
+};
+
+const configMigration: Migration = {
+  id: '002_config',
+  name: 'Config',
+  description: 'Create a config document',
+  up: ({ db: firestore, writer }) => {
+    writer.set(firestore.collection('migration_test_config').doc('main'), { enabled: true });
+  },
+};
+
+const clearCollection = async (path: string) => {
+  const snapshot = await db.collection(path).get();
+  await Promise.all(snapshot.docs.map(doc => doc.ref.delete()));
+};
+
+const seedItems = async (count: number) => {
+  const batch = db.batch();
+  for (let i = 0; i < count; i += 1) {
+    batch.set(db.collection('migration_test_items').doc(`item-${String(i).padStart(3, '0')}`), { index: i });
+  }
+  await batch.commit();
+};
+
+// ============================================================================
+// WRITER
+// ============================================================================
+describe('MigrationWriter', () => {
+  it('records changes without queueing writes in a dry run', async () => {
+    const report = createReport(true);
+    const writer = new MigrationWriter(db, report);
+
+    writer.set(db.doc('tenants/a'), { plan: 'starter' });
+    writer.update(db.doc('tenants/b'), { plan: 'pro' });
+    writer.delete(db.doc('tenants/c'));
+    await writer.flush();
+
+    expect(report.writes).toEqual({ set: 1, update: 1, delete: 1 });
+    expect(report.changes).toEqual([
+      { type: 'set', path: 'tenants/a', data: { plan: 'starter' } },
+      { type: 'update', path: 'tenants/b', data: { plan: 'pro' } },
+      { type: 'delete', path: 'tenants/c' },
+    ]);
+  });
+
+  it('keeps only a preview of the changes but counts all of them', () => {
+    const report = createReport(true);
+    const writer = new MigrationWriter(db, report);
+
+    for (let i = 0; i < 120; i += 1) {
+      writer.delete(db.doc(`tenants/t${i}`));
+    }
+
+    expect(report.writes.delete).toBe(120);
+    expect(report.changes).toHaveLength(50);
+  });
+});
+
+// ============================================================================
+// RUNNER
+// ============================================================================
+describe('MigrationRunner', () => {
+  it('rejects duplicate migration ids', () => {
+    expect(() => new MigrationRunner([configMigration, configMigration], { db })).toThrow(BusinessError);
+  });
+
+  it('rejects unknown targets before touching the database', async () => {
+    const runner = new MigrationRunner([configMigration], { db });
+
+    await expect(runner.up({ to: '999_missing' })).rejects.toThrow(NotFoundError);
+    await expect(runner.down({ to: '999_missing' })).rejects.toThrow(NotFoundError);
+  });
+});
+
+describeWithEmulator('MigrationRunner (Firestore emulator)', () => {
+  beforeEach(async () => {
+    await clearCollection('migration_test_items');
+    await clearCollection('migration_test_config');
+    await clearCollection(`${MIGRATIONS_COLLECTION}/ledger/checkpoints`);
+    await clearCollection(MIGRATIONS_COLLECTION);
+    await seedItems(25);
+  });
+
+  it('applies pending migrations in batches and records them in the ledger', async () => {
+    const runner = new MigrationRunner([configMigration, addFlagMigration], { db, batchSize: 10 });
+
+    const reports = await runner.up();
+
+    expect(reports.map(r => r.id)).toEqual(['001_add_flag', '002_config']);
+    expect(reports[0].documentsScanned).toBe(25);
+    expect(reports[0].writes.update).toBe(25);
+
+    const items = await db.collection('migration_test_items').where('flagged', '==', true).get();
+    expect(items.size).toBe(25);
+
+    const status = await runner.getStatus();
+    expect(status.version).toBe('002_config');
+    expect(status.pending).toEqual([]);
+    expect(status.lock).toBeNull();
+
+    expect(await runner.up()).toEqual([]);
+  });
+
+  it('reports changes without writing in a dry run', async () => {
+    const runner = new MigrationRunner([addFlagMigration, configMigration], { db, batchSize: 10 });
+
+    const reports = await runner.up({ dryRun: true });
+
+    expect(reports[0].writes.update).toBe(25);
+    expect(reports[1].changes).toEqual([
+      { type: 'set', path: 'migration_test_config/main', data: { enabled: true } },
+    ]);
+
+    const items = await db.collection('migration_test_items').where('flagged', '==', true).get();
+    expect(items.size).toBe(0);
+    expect((await db.collection(MIGRATIONS_COLLECTION).get()).empty).toBe(true);
+  });
+
+  it('stops at the target and rolls back down again', async () => {
+    const runner = new MigrationRunner([addFlagMigration, configMigration], { db });
+
+    await runner.up({ to: '001_add_flag' });
+    expect((await runner.getStatus()).pending).toEqual(['002_config']);
+
+    const reports = await runner.down();
+    expect(reports.map(r => r.id)).toEqual(['001_add_flag']);
+
+    const items = await db.collection('migration_test_items').where('flagged', '==', true).get();
+    expect(items.size).toBe(0);
+    expect((await runner.getStatus()).version).toBeNull();
+  });
+
+  it('refuses to roll back a migration without down', async () => {
+    const runner = new MigrationRunner([addFlagMigration, configMigration], { db });
+    await runner.up();
+
+    await expect(runner.down({ steps: 2 })).rejects.toThrow('002_config does not support rollback');
+
+    // Nothing was rolled back
+    expect((await runner.getStatus()).executed).toEqual(['001_add_flag', '002_config']);
+  });
+
+  it('does not run while another instance holds the lock', async () => {
+    const first = new MigrationRunner([configMigration], { db, owner: 'first' });
+    const second = new MigrationRunner([configMigration], { db, owner: 'second' });
+
+    await db.collection(MIGRATIONS_COLLECTION).doc('lock').set({
+      owner: 'first',
+      operation: 'up',
+      acquiredAt: admin.firestore.Timestamp.now(),
+      expiresAt: admin.firestore.Timestamp.fromMillis(Date.now() + 60000),
+    });
+
+    await expect(second.up()).rejects.toMatchObject({ code: ErrorCode.MIGRATION_LOCKED });
+    await expect(first.up()).resolves.toHaveLength(1);
+  });
+
+  it('resumes from the last checkpoint after a failure', async () => {
+    let batches = 0;
+    const flaky: Migration = {
+      ...addFlagMigration,
+      up: async ({ writer, forEachBatch }) => {
+        await forEachBatch('migration_test_items', docs => {
+          batches += 1;
+          if (batches === 2) {
+            throw new Error('Interrupted');
+          }
+          docs.forEach(doc => writer.update(doc.ref, { flagged: true }));
+        });
+      },
+    };
+
+    const runner = new MigrationRunner([flaky], { db, batchSize: 10 });
+    await expect(runner.up()).rejects.toThrow('Interrupted');
+    expect((await runner.getStatus()).lock).toBeNull();
+
+    const [report] = await runner.up();
+
+    expect(report.resumed).toBe(true);
+    expect(report.documentsScanned).toBe(15);
+
+    const items = await db.collection('migration_test_items').where('flagged', '==', true).get();
+    expect(items.size).toBe(25);
+
+    const checkpoints = await db.collection(`${MIGRATIONS_COLLECTION}/ledger/checkpoints`).get();
+    expect(checkpoints.empty).toBe(true);
+  });
+});
+
+// ============================================================================
+// MIGRATIONS
+// ============================================================================
+describeWithEmulator('007_backfill_tax_rates (Firestore emulator)', () => {
+  const backfill = migrations.find(migration => migration.id === '007_backfill_tax_rates')!;
+  const tenantRef = db.collection('tenants').doc('migration-test-tenant');
+
+  beforeEach(async () => {
+    await clearCollection(`${tenantRef.path}/products`);
+    await clearCollection(`${MIGRATIONS_COLLECTION}/ledger/checkpoints`);
+    await clearCollection(MIGRATIONS_COLLECTION);
+
+    await tenantRef.set({ settings: { currency: 'CHF', taxRate: 7.7 } });
+    await tenantRef.collection('products').doc('burger').set({ pricing: { basePrice: 15, taxRate: 2.5 } });
+    await tenantRef.collection('products').doc('beer').set({ pricing: { basePrice: 6, taxRate: 7.7 } });
+    await tenantRef.collection('products').doc('fries').set({ pricing: { basePrice: 6 } });
+    await tenantRef.collection('products').doc('wine').set({
+      pricing: { basePrice: 9, taxRate: 8.1, taxRates: { takeaway: 8.1, onSite: 8.1 } },
+    });
+  });
+
+  afterAll(async () => {
+    await clearCollection(`${tenantRef.path}/products`);
+    await tenantRef.delete();
+  });
+
+  it('adds takeaway and on-site rates to tenants and products', async () => {
+    await new MigrationRunner([backfill], { db }).up();
+
+    const tenant = await tenantRef.get();
+    expect(tenant.get('settings')).toEqual({ currency: 'CHF', taxRate: 7.7, taxRates: { takeaway: 2.6, onSite: 8.1 } });
+
+    const products = await tenantRef.collection('products').get();
+    const rates = Object.fromEntries(products.docs.map(doc => [doc.id, doc.get('pricing.taxRates')]));
+    expect(rates).toEqual({
+      beer: { takeaway: 8.1, onSite: 8.1 },
+      burger: { takeaway: 2.6, onSite: 8.1 },
+      fries: { takeaway: 2.6, onSite: 8.1 },
+      wine: { takeaway: 8.1, onSite: 8.1 },
+    });
+  });
+
+  it('keeps tax rates that are already set', async () => {
+    await tenantRef.update({ 'settings.taxRates': { takeaway: 2.6, onSite: 2.6 } });
+
+    const [report] = await new MigrationRunner([backfill], { db }).up({ dryRun: true });
+
+    expect(report.changes.map(change => change.path)).toEqual([
+      `${tenantRef.path}/products/beer`,
+      `${tenantRef.path}/products/burger`,
+      `${tenantRef.path}/products/fries`,
+    ]);
+  });
+});
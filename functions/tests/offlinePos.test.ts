@@ -0,0 +1,176 @@
+/**
+ * EATECH Offline POS Tests
+ *
+ * Test suite for offline POS numbering, pricing and reconciliation reports
+ */
+
+import { describe, expect, it } from '@jest/globals';
+
+import { OfflinePosOrder } from '../src/types/order.types';
+import { ValidationError } from '../src/utils/errorHandler';
+import {
+  createReconciliationReport,
+  findMenuConflicts,
+  formatPosOrderNumber,
+  isInNumberBlocks,
+  pricePosOrder,
+  toSnapshotProduct,
+  validateOfflinePosOrder,
+} from '../src/utils/posUtils';
+import { ProductDocument } from '../src/utils/productOptionsUtils';
+
+// ============================================================================
+// MOCK DATA
+// ============================================================================
+
+const snapshotProducts = new Map<string, ProductDocument>([
+  ['burger', { name: 'Burger', price: 16.5, status: 'active', available: true }],
+  ['lemonade', {
+    name: 'Lemonade',
+    status: 'active',
+    available: true,
+    pricing: { basePrice: 4.5, taxRate: 8.1, taxRates: { takeaway: 2.6, onSite: 8.1 } },
+  }],
+]);
+
+const mockOrder: OfflinePosOrder = {
+  localId: 'a1',
+  orderNumber: 201,
+  snapshotId: 'snap1',
+  orderType: 'takeaway',
+  items: [
+    { productId: 'burger', quantity: 2 },
+    { productId: 'lemonade', quantity: 1 },
+  ],
+  total: 37.5,
+  payment: { method: 'cash', amount: 37.5, tendered: 50, change: 12.5, paidAt: '2025-01-09T12:00:00.000Z' },
+  createdAt: '2025-01-09T12:00:00.000Z',
+};
+
+// ============================================================================
+// ORDER NUMBERS
+// ============================================================================
+
+describe('order numbers', () => {
+  it('formats numbers for receipts', () => {
+    expect(formatPosOrderNumber(42)).toBe('P-00042');
+  });
+
+  it('checks numbers against the blocks of a device', () => {
+    const blocks = [
+      { deviceId: 'truck1', start: 1, end: 200, reservedAt: '2025-01-09T08:00:00.000Z' },
+      { deviceId: 'truck1', start: 401, end: 600, reservedAt: '2025-01-09T10:00:00.000Z' },
+    ];
+
+    expect(isInNumberBlocks(200, blocks)).toBe(true);
+    expect(isInNumberBlocks(401, blocks)).toBe(true);
+    expect(isInNumberBlocks(300, blocks)).toBe(false);
+  });
+});
+
+// ============================================================================
+// VALIDATION & PRICING
+// ============================================================================
+
+describe('offline order pricing', () => {
+  it('keeps only the fields pricing needs in the snapshot', () => {
+    expect(toSnapshotProduct({ name: 'Burger', price: 16.5, stock: 12, costPrice: 4 }))
+      .toEqual({ name: 'Burger', price: 16.5 });
+  });
+
+  it('rejects incomplete orders', () => {
+    expect(() => validateOfflinePosOrder({ ...mockOrder, items: [] }, 0)).toThrow(ValidationError);
+    expect(() => validateOfflinePosOrder({ ...mockOrder, payment: { ...mockOrder.payment, method: 'twint' as any } }, 0))
+      .toThrow(ValidationError);
+    expect(() => validateOfflinePosOrder(mockOrder, 0)).not.toThrow();
+  });
+
+  it('prices with the VAT rate of the order type', () => {
+    const takeaway = pricePosOrder(mockOrder, snapshotProducts);
+    expect(takeaway.total).toBe(37.5);
+    expect(takeaway.items.map((item) => item.taxRate)).toEqual([2.6, 2.6]);
+
+    const dineIn = pricePosOrder({ ...mockOrder, orderType: 'dine_in' }, snapshotProducts);
+    expect(dineIn.items.map((item) => item.taxRate)).toEqual([8.1, 8.1]);
+  });
+
+  it('rejects products missing from the snapshot', () => {
+    expect(() => pricePosOrder({ ...mockOrder, items: [{ productId: 'fries', quantity: 1 }] }, snapshotProducts))
+      .toThrow(ValidationError);
+  });
+});
+
+// ============================================================================
+// CONFLICTS
+// ============================================================================
+
+describe('findMenuConflicts', () => {
+  const { items } = pricePosOrder(mockOrder, snapshotProducts);
+
+  it('finds nothing if the menu is unchanged', () => {
+    expect(findMenuConflicts(mockOrder, items, snapshotProducts)).toEqual([]);
+  });
+
+  it('reports changed prices and products taken off the menu', () => {
+    const currentProducts = new Map<string, ProductDocument>([
+      ['burger', { name: 'Burger', price: 17.5, status: 'active', available: true }],
+      ['lemonade', { ...snapshotProducts.get('lemonade'), available: false }],
+    ]);
+
+    expect(findMenuConflicts(mockOrder, items, currentProducts)).toEqual([
+      expect.objectContaining({ type: 'price_changed', productId: 'burger', expected: 16.5, actual: 17.5 }),
+      expect.objectContaining({ type: 'product_unavailable', productId: 'lemonade', orderNumber: 201 }),
+    ]);
+  });
+});
+
+// ============================================================================
+// REPORT
+// ============================================================================
+
+describe('createReconciliationReport', () => {
+  const meta = { id: 'r1', deviceId: 'truck1', createdAt: '2025-01-09T18:00:00.000Z', createdBy: 'staff1' };
+  const { items } = pricePosOrder(mockOrder, snapshotProducts);
+
+  const cardOrder: OfflinePosOrder = {
+    ...mockOrder,
+    localId: 'a2',
+    orderNumber: 202,
+    items: [{ productId: 'lemonade', quantity: 1 }],
+    total: 4.5,
+    payment: { method: 'card_terminal', amount: 4.5, terminalReference: 'TRX-1', paidAt: mockOrder.createdAt },
+  };
+
+  it('totals payments by method and counts duplicates', () => {
+    const report = createReconciliationReport(meta, [
+      { order: { ...mockOrder, total: 37.52 }, orderId: 'pos_truck1_a1', status: 'created', items, conflicts: [] },
+      {
+        order: cardOrder,
+        orderId: 'pos_truck1_a2',
+        status: 'created',
+        items: pricePosOrder(cardOrder, snapshotProducts).items,
+        conflicts: [{ type: 'sold_out', localId: 'a2', orderNumber: 202, productId: 'lemonade', message: 'Sold out' }],
+      },
+      { order: cardOrder, orderId: 'pos_truck1_a2', status: 'duplicate', items: [], conflicts: [] },
+    ]);
+
+    expect(report.orders).toEqual({ received: 3, created: 2, duplicates: 1, withConflicts: 1 });
+    expect(report.payments).toEqual({
+      cash: { count: 1, amount: 37.5 },
+      card_terminal: { count: 1, amount: 4.5 },
+    });
+    expect(report.cashRounding).toBe(-0.02);
+    expect(report.total).toBe(42);
+    expect(report.conflicts).toHaveLength(1);
+  });
+
+  it('splits VAT by rate', () => {
+    const report = createReconciliationReport(meta, [
+      { order: mockOrder, orderId: 'pos_truck1_a1', status: 'created', items, conflicts: [] },
+    ]);
+
+    expect(report.vatBreakdown).toEqual([
+      expect.objectContaining({ rate: 2.6, gross: 37.5 }),
+    ]);
+  });
+});
@@ -0,0 +1,280 @@
+/**
+ * EATECH Order Workflow Tests
+ *
+ * Test suite for workflow transitions, role permissions, guards and the
+ * review of status writes that bypassed the workflow service
+ */
+
+import { beforeEach, describe, expect, it, jest } from '@jest/globals';
+
+import OrderWorkflowService from '../src/services/OrderWorkflowService';
+import { Order, OrderStatus, OrderWorkflowRole } from '../src/types/order.types';
+import {
+  checkTransition,
+  getAvailableTransitions,
+  getWorkflow,
+  validateWorkflowSettings,
+  WORKFLOW_PRESETS,
+  WorkflowOrder,
+} from '../src/utils/orderWorkflow';
+
+// ============================================================================
+// FIRESTORE MOCK
+// ============================================================================
+
+// Documents by path and the writes committed in batches
+const mockDocs = new Map<string, Record<string, unknown>>();
+const mockWrites: Array<{ type: 'set' | 'update'; path: string; data: Record<string, unknown> }> = [];
+
+jest.mock('firebase-admin', () => {
+  let autoId = 0;
+
+  const getField = (data: Record<string, unknown> | undefined, field: string): unknown => field
+    .split('.')
+    .reduce<unknown>((value, key) => (value as Record<string, unknown> | undefined)?.[key], data);
+
+  const docRef = (path: string): any => ({
+    id: path.split('/').pop(),
+    path,
+    collection: (name: string) => collection(`${path}/${name}`),
+    get: async () => ({
+      exists: mockDocs.has(path),
+      data: () => mockDocs.get(path),
+      get: (field: string) => getField(mockDocs.get(path), field),
+    }),
+  });
+
+  const collection = (path: string): any => ({
+    doc: (id?: string) => {
+      autoId += 1;
+      return docRef(`${path}/${id || `auto${autoId}`}`);
+    },
+  });
+
+  const db = {
+    collection,
+    batch: () => {
+      const pending: typeof mockWrites = [];
+      return {
+        set: (ref: { path: string }, data: Record<string, unknown>) => pending.push({ type: 'set', path: ref.path, data }),
+        update: (ref: { path: string }, data: Record<string, unknown>) => pending.push({ type: 'update', path: ref.path, data }),
+        commit: async () => {
+          mockWrites.push(...pending);
+        },
+      };
+    },
+  };
+
+  const firestore = Object.assign(() => db, {
+    FieldValue: { delete: () => 'DELETE', serverTimestamp: () => 'SERVER_TIMESTAMP' },
+    Timestamp: { now: () => 'NOW' },
+  });
+
+  return { firestore };
+});
+
+// ============================================================================
+// MOCK DATA
+// ============================================================================
+
+const standard = WORKFLOW_PRESETS.standard;
+
+const mockOrder: WorkflowOrder = {
+  status: 'confirmed',
+  orderType: 'pickup',
+  paymentStatus: 'paid',
+  total: 42,
+};
+
+const order = (fields: Partial<WorkflowOrder> = {}): WorkflowOrder => ({ ...mockOrder, ...fields });
+
+const check = (
+  from: Partial<WorkflowOrder>,
+  to: OrderStatus,
+  role: OrderWorkflowRole,
+  context = {},
+) => checkTransition(standard, order(from), to, role, context);
+
+// ============================================================================
+// ROLES
+// ============================================================================
+
+describe('Transition Roles', () => {
+  it('should let staff run the kitchen steps', () => {
+    expect(check({ status: 'confirmed' }, 'preparing', 'staff').allowed).toBe(true);
+    expect(check({ status: 'preparing' }, 'ready', 'staff').allowed).toBe(true);
+    expect(check({ status: 'ready' }, 'completed', 'staff').allowed).toBe(true);
+  });
+
+  it('should let customers cancel new orders only', () => {
+    expect(check({ status: 'new' }, 'cancelled', 'customer').allowed).toBe(true);
+    expect(check({ status: 'confirmed' }, 'cancelled', 'customer', { reason: 'Zu spät' }).error?.code).toBe('forbidden');
+    expect(check({ status: 'preparing' }, 'ready', 'customer').error?.code).toBe('forbidden');
+  });
+
+  it('should leave cancellations of active orders to managers', () => {
+    expect(check({ status: 'preparing' }, 'cancelled', 'staff', { reason: 'Defekt' }).error?.code).toBe('forbidden');
+    expect(check({ status: 'preparing' }, 'cancelled', 'manager', { reason: 'Defekt' }).allowed).toBe(true);
+    expect(check({ status: 'preparing' }, 'cancelled', 'owner', { reason: 'Defekt' }).allowed).toBe(true);
+  });
+
+  it('should leave payment results to the system', () => {
+    expect(check({ status: 'new' }, 'payment_failed', 'admin').error?.code).toBe('forbidden');
+    expect(check({ status: 'new' }, 'payment_failed', 'system').allowed).toBe(true);
+  });
+
+  it('should reject transitions outside the workflow for every role', () => {
+    const roles: OrderWorkflowRole[] = ['owner', 'admin', 'manager', 'staff', 'customer', 'system'];
+
+    roles.forEach((role) => {
+      expect(check({ status: 'new' }, 'completed', role).error?.code).toBe('undefined_transition');
+    });
+  });
+
+  it('should list the transitions a role can take', () => {
+    const delivery = order({ status: 'ready', orderType: 'delivery' });
+
+    expect(getAvailableTransitions(standard, delivery, 'staff').map((t) => t.to)).toEqual(['in_delivery', 'on_hold']);
+    expect(getAvailableTransitions(standard, delivery, 'manager').map((t) => t.to))
+      .toEqual(['in_delivery', 'on_hold', 'cancelled']);
+    expect(getAvailableTransitions(standard, delivery, 'customer')).toEqual([]);
+  });
+});
+
+// ============================================================================
+// GUARDS
+// ============================================================================
+
+describe('Transition Guards', () => {
+  it('should require a reason to cancel', () => {
+    expect(check({ status: 'confirmed' }, 'cancelled', 'manager')).toMatchObject({
+      allowed: false,
+      error: { code: 'guard_failed', guard: 'reason' },
+    });
+    expect(check({ status: 'confirmed' }, 'cancelled', 'manager', { reason: '  ' }).error?.guard).toBe('reason');
+  });
+
+  it('should route delivery and pickup orders differently', () => {
+    expect(check({ status: 'ready' }, 'in_delivery', 'staff').error?.guard).toBe('delivery');
+    expect(check({ status: 'ready', orderType: 'delivery' }, 'completed', 'staff').error?.guard).toBe('not_delivery');
+    expect(check({ status: 'ready', orderType: 'delivery' }, 'in_delivery', 'staff').allowed).toBe(true);
+  });
+
+  it('should require payment before preparing at event stands', () => {
+    const eventStand = WORKFLOW_PRESETS.event_stand;
+
+    expect(checkTransition(eventStand, order({ status: 'new', paymentStatus: 'pending' }), 'confirmed', 'staff').error?.guard)
+      .toBe('paid');
+    expect(checkTransition(eventStand, order({ status: 'new' }), 'confirmed', 'staff').allowed).toBe(true);
+  });
+
+  it('should only resume the status an order was held in', () => {
+    expect(check({ status: 'on_hold', heldStatus: 'preparing' }, 'preparing', 'staff').allowed).toBe(true);
+    expect(check({ status: 'on_hold', heldStatus: 'preparing' }, 'ready', 'staff').error?.guard).toBe('held_status');
+  });
+
+  it('should tell full and partial refunds apart', () => {
+    expect(check({ status: 'completed' }, 'refunded', 'manager', { refundAmount: 42 }).allowed).toBe(true);
+    expect(check({ status: 'completed' }, 'refunded', 'manager', { refundAmount: 20 }).error?.guard).toBe('full_refund');
+    expect(check({ status: 'completed' }, 'partially_refunded', 'manager', { refundAmount: 20 }).allowed).toBe(true);
+    expect(check({ status: 'completed' }, 'partially_refunded', 'manager', { refundAmount: 42 }).error?.guard)
+      .toBe('partial_refund');
+  });
+});
+
+// ============================================================================
+// SETTINGS
+// ============================================================================
+
+describe('Workflow Settings', () => {
+  it('should resolve presets and custom transitions', () => {
+    expect(getWorkflow().id).toBe('standard');
+    expect(getWorkflow({ preset: 'foodtruck' }).id).toBe('foodtruck');
+    expect(getWorkflow({ transitions: [{ from: 'new', to: 'completed' }] })).toMatchObject({ id: 'custom' });
+  });
+
+  it('should report invalid custom transitions', () => {
+    const errors = validateWorkflowSettings({
+      transitions: [
+        { from: 'new', to: 'new' },
+        { from: 'new', to: 'shipped' as OrderStatus },
+      ],
+    });
+
+    expect(errors).toEqual(['Transition 0: from and to must differ', 'Transition 1: unknown status']);
+  });
+});
+
+// ============================================================================
+// EXTERNAL WRITES
+// ============================================================================
+
+describe('reviewExternalTransition', () => {
+  const service = new OrderWorkflowService();
+  const orderPath = 'tenants/tenant1/orders/order1';
+
+  const storedOrder = (fields: Record<string, unknown>): Order => ({ ...mockOrder, ...fields } as unknown as Order);
+
+  beforeEach(() => {
+    mockDocs.clear();
+    mockWrites.length = 0;
+    mockDocs.set('tenants/tenant1', { settings: {} });
+    mockDocs.set('tenants/tenant1/members/staff1', { role: 'staff' });
+  });
+
+  it('should record valid writes by the system', async () => {
+    const result = await service.reviewExternalTransition(
+      'tenant1',
+      'order1',
+      storedOrder({ status: 'new' }),
+      storedOrder({ status: 'confirmed' }),
+    );
+
+    expect(result).toBe('recorded');
+    expect(mockWrites).toEqual([
+      expect.objectContaining({ type: 'update', path: orderPath, data: expect.objectContaining({ lastTransition: expect.objectContaining({ from: 'new', to: 'confirmed' }) }) }),
+      expect.objectContaining({ type: 'set', data: expect.objectContaining({ from: 'new', to: 'confirmed', source: 'trigger' }) }),
+    ]);
+  });
+
+  it('should revert writes outside the workflow', async () => {
+    const result = await service.reviewExternalTransition(
+      'tenant1',
+      'order1',
+      storedOrder({ status: 'new' }),
+      storedOrder({ status: 'completed' }),
+    );
+
+    expect(result).toBe('rejected');
+    expect(mockWrites[0]).toMatchObject({
+      type: 'update',
+      path: orderPath,
+      data: { status: 'new', statusRevertedFrom: 'completed' },
+    });
+    expect(mockWrites[1]).toMatchObject({ type: 'set', data: { from: 'new', to: 'completed', rejected: true } });
+  });
+
+  it('should keep the role limits of the staff member who wrote the status', async () => {
+    const result = await service.reviewExternalTransition(
+      'tenant1',
+      'order1',
+      storedOrder({ status: 'preparing' }),
+      storedOrder({ status: 'cancelled', cancellationReason: 'Defekt', updatedBy: 'staff1' }),
+    );
+
+    expect(result).toBe('rejected');
+    expect(mockWrites[0].data).toMatchObject({ status: 'preparing', statusRevertedFrom: 'cancelled' });
+    expect(mockWrites[1].data).toMatchObject({ actor: { uid: 'staff1', role: 'staff' }, rejected: true });
+  });
+
+  it('should leave changes made by the service and its own reverts alone', async () => {
+    const before = storedOrder({ status: 'confirmed', lastTransition: { id: 'h1', from: 'new', to: 'confirmed' } });
+    const serviceChange = storedOrder({ status: 'preparing', lastTransition: { id: 'h2', from: 'confirmed', to: 'preparing' } });
+    const revert = storedOrder({ status: 'new', statusRevertedFrom: 'confirmed' });
+
+    await expect(service.reviewExternalTransition('tenant1', 'order1', before, serviceChange)).resolves.toBe('recorded');
+    await expect(service.reviewExternalTransition('tenant1', 'order1', before, revert)).resolves.toBe('reverted');
+    await expect(service.reviewExternalTransition('tenant1', 'order1', before, before)).resolves.toBe('unchanged');
+    expect(mockWrites).toHaveLength(0);
+  });
+});
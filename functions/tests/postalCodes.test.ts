@@ -0,0 +1,129 @@
+/**
+ * EATECH Postal Code Tests
+ *
+ * Test suite for the Swiss postal code lookup and address validation
+ */
+
+import { describe, expect, it } from '@jest/globals';
+
+import { POSTAL_CODE_DATA_SOURCE } from '../src/data/postalCodes.data';
+import { BusinessError } from '../src/utils/errorHandler';
+import {
+  createPostalCodeIndex,
+  findLocality,
+  getCantonByPostalCode,
+  getLocalities,
+  normalizeLocalityName,
+  validateSwissAddress,
+} from '../src/utils/postalCodeUtils';
+
+// ============================================================================
+// MOCK DATA
+// ============================================================================
+
+// Excerpt in the format generated by scripts/build-postal-codes.js
+const mockIndex = createPostalCodeIndex([
+  '8001|Zürich||261|ZH|47.3717|8.5423|de',
+  '8932|Mettmenstetten||9|ZH|47.2433|8.4633|de',
+  '9000|St. Gallen||3203|SG|47.4239|9.3748|de',
+  '9470|Buchs SG|Buchs (SG)|3271|SG|47.1680|9.4781|de',
+  '9470|Werdenberg|Grabs|3273|SG|47.1690|9.4620|de',
+  '1204|Genève||6621|GE|46.2017|6.1469|fr',
+].join('\n'));
+
+const emptyIndex = createPostalCodeIndex('');
+
+// ============================================================================
+// LOOKUP
+// ============================================================================
+
+describe('postal code lookup', () => {
+  it('reads the packed dataset', () => {
+    expect(getLocalities('9470', mockIndex)).toEqual([
+      {
+        postalCode: '9470',
+        locality: 'Buchs SG',
+        municipality: 'Buchs (SG)',
+        bfsNumber: 3271,
+        canton: 'SG',
+        latitude: 47.168,
+        longitude: 9.4781,
+        language: 'de',
+      },
+      expect.objectContaining({ locality: 'Werdenberg', municipality: 'Grabs' }),
+    ]);
+  });
+
+  it('uses the locality name as municipality if none is given', () => {
+    expect(findLocality('8001', undefined, mockIndex)?.municipality).toBe('Zürich');
+  });
+
+  it('returns the canton of a postal code', () => {
+    expect(getCantonByPostalCode('1204', mockIndex)).toBe('GE');
+    expect(getCantonByPostalCode(' 9000 ', mockIndex)).toBe('SG');
+    expect(getCantonByPostalCode('1299', mockIndex)).toBeNull();
+  });
+
+  it('matches cities regardless of spelling', () => {
+    expect(normalizeLocalityName('Zürich')).toBe(normalizeLocalityName('zuerich'));
+    expect(findLocality('9000', 'Sankt Gallen', mockIndex)?.bfsNumber).toBe(3203);
+    expect(findLocality('1204', 'Geneve', mockIndex)?.canton).toBe('GE');
+  });
+
+  it('matches cities without canton suffix and by municipality', () => {
+    expect(findLocality('9470', 'Buchs', mockIndex)?.locality).toBe('Buchs SG');
+    expect(findLocality('9470', 'Grabs', mockIndex)?.locality).toBe('Werdenberg');
+    expect(findLocality('9470', 'Sevelen', mockIndex)).toBeNull();
+  });
+});
+
+// ============================================================================
+// EMBEDDED DATASET
+// ============================================================================
+
+// Fails until scripts/build-postal-codes.js has been run and its output committed
+describe('embedded dataset', () => {
+  it('is generated from the directory of localities', () => {
+    expect(POSTAL_CODE_DATA_SOURCE).not.toBeNull();
+  });
+
+  it('covers postal codes of every language region', () => {
+    expect(getCantonByPostalCode('8001')).toBe('ZH');
+    expect(getCantonByPostalCode('1204')).toBe('GE');
+    expect(getCantonByPostalCode('6900')).toBe('TI');
+    expect(findLocality('3000', 'Bern')?.canton).toBe('BE');
+  });
+});
+
+// ============================================================================
+// VALIDATION
+// ============================================================================
+
+describe('validateSwissAddress', () => {
+  it('returns the matching locality', () => {
+    expect(validateSwissAddress({ postalCode: '8001', city: 'Zurich' }, mockIndex)?.locality).toBe('Zürich');
+  });
+
+  it('rejects unknown postal codes', () => {
+    expect(() => validateSwissAddress({ postalCode: '8000', city: 'Zürich' }, mockIndex))
+      .toThrow(BusinessError);
+  });
+
+  it('rejects cities of another postal code and suggests the right ones', () => {
+    try {
+      validateSwissAddress({ postalCode: '9470', city: 'Zürich' }, mockIndex);
+      throw new Error('expected a validation error');
+    } catch (error) {
+      expect(error).toBeInstanceOf(BusinessError);
+      expect((error as BusinessError).context).toEqual({
+        field: 'city',
+        postalCode: '9470',
+        suggestions: ['Buchs SG', 'Werdenberg'],
+      });
+    }
+  });
+
+  it('lets every address pass without a dataset', () => {
+    expect(validateSwissAddress({ postalCode: '0000', city: 'Nowhere' }, emptyIndex)).toBeNull();
+  });
+});
@@ -0,0 +1,208 @@
+/**
+ * EATECH Printing Tests
+ *
+ * Test suite for ESC/POS rendering and the network printer adapter
+ */
+
+import * as net from 'net';
+import { AddressInfo } from 'net';
+import { describe, expect, it } from '@jest/globals';
+
+import { EscPosBuilder, encodeText, formatColumns } from '../src/utils/escposUtils';
+import { PrintableTicket, renderKitchenTicket, selectStationItems } from '../src/utils/kitchenPrintUtils';
+import { NetworkPrinterAdapter, isPublicAddress } from '../src/utils/networkPrinter';
+import { ErrorCode, ExternalServiceError } from '../src/utils/errorHandler';
+
+// ============================================================================
+// MOCK DATA
+// ============================================================================
+const mockTicket: PrintableTicket = {
+  orderNumber: 'A-1042',
+  orderType: 'pickup',
+  customerName: 'Anna Müller',
+  createdAt: '2025-01-09T11:30:00.000Z',
+  items: [
+    {
+      id: 'item-1',
+      name: 'Cheeseburger',
+      quantity: 2,
+      modifiers: ['Extra Käse', 'Ohne Zwiebeln'],
+      allergens: ['Gluten', 'Milch'],
+    },
+    { id: 'item-2', name: 'Pommes', quantity: 1 },
+    { id: 'item-3', name: 'Limonade', quantity: 1 },
+  ],
+  stations: [
+    { stationId: 'grill', items: ['item-1'] },
+    { stationId: 'fryer', items: ['item-2'] },
+  ],
+};
+
+// Local socket standing in for a printer on port 9100
+const startPrinterStub = (onConnection?: (socket: net.Socket) => void) => new Promise<{
+  server: net.Server;
+  port: number;
+  received: Promise<Buffer>;
+}>((resolve) => {
+  let deliver: (data: Buffer) => void;
+  const received = new Promise<Buffer>((done) => {
+    deliver = done;
+  });
+
+  const server = net.createServer((socket) => {
+    if (onConnection) {
+      onConnection(socket);
+      return;
+    }
+    const chunks: Buffer[] = [];
+    socket.on('data', (chunk) => chunks.push(chunk));
+    socket.on('end', () => {
+      deliver(Buffer.concat(chunks));
+      socket.end();
+    });
+  });
+
+  server.listen(0, '127.0.0.1', () => {
+    resolve({ server, port: (server.address() as AddressInfo).port, received });
+  });
+});
+
+// ============================================================================
+// ESC/POS ENCODING
+// ============================================================================
+describe('ESC/POS Builder', () => {
+  it('should encode umlauts in code page 858', () => {
+    expect([...encodeText('äöüÄÖÜ€')]).toEqual([0x84, 0x94, 0x81, 0x8e, 0x99, 0x9a, 0xd5]);
+    expect([...encodeText('→')]).toEqual([0x3f]);
+  });
+
+  it('should start with initialize and code page selection', () => {
+    const data = new EscPosBuilder().line('Hallo')
+      .build();
+
+    expect([...data.subarray(0, 5)]).toEqual([0x1b, 0x40, 0x1b, 0x74, 19]);
+    expect(data.subarray(5).toString('latin1')).toBe('Hallo\n');
+  });
+
+  it('should pad columns to the line width', () => {
+    const line = formatColumns('1 x Burger', '14.50', 20);
+
+    expect(line).toHaveLength(20);
+    expect(line.endsWith('14.50')).toBe(true);
+  });
+});
+
+// ============================================================================
+// KITCHEN TICKETS
+// ============================================================================
+describe('Kitchen Tickets', () => {
+  it('should route items to station printers', () => {
+    const grill = selectStationItems(mockTicket, ['grill']);
+    const all = selectStationItems(mockTicket, []);
+
+    // Unrouted items go to every printer
+    expect(grill.map((item) => item.id)).toEqual(['item-1', 'item-3']);
+    expect(all).toHaveLength(3);
+  });
+
+  it('should print order number large, modifiers bold and allergens inverted', () => {
+    const data = renderKitchenTicket(mockTicket, mockTicket.items.slice(0, 1), { stationName: 'Grill' });
+    const text = data.toString('latin1');
+
+    expect(data.includes(Buffer.from([0x1d, 0x21, 0x22]))).toBe(true); // triple size
+    expect(text).toContain('#A-1042');
+    expect(text).toContain('Grill');
+    expect(data.includes(Buffer.concat([Buffer.from([0x1b, 0x45, 1]), encodeText('   + Extra Käse')]))).toBe(true);
+    expect(data.includes(Buffer.from([0x1d, 0x42, 1]))).toBe(true);
+    expect(text).toContain('! GLUTEN, MILCH');
+    expect([...data.subarray(-4)]).toEqual([0x1d, 0x56, 0x42, 0x00]); // cut
+  });
+});
+
+// ============================================================================
+// NETWORK PRINTER
+// ============================================================================
+describe('Network Printer Adapter', () => {
+  it('should deliver the job to the printer socket', async () => {
+    const { server, port, received } = await startPrinterStub();
+    const job = renderKitchenTicket(mockTicket, mockTicket.items);
+
+    try {
+      await new NetworkPrinterAdapter({ host: '127.0.0.1', port }).send(job);
+      expect((await received).equals(job)).toBe(true);
+    } finally {
+      server.close();
+    }
+  });
+
+  it('should fail when the printer is unreachable', async () => {
+    const { server, port } = await startPrinterStub();
+    await new Promise((resolve) => server.close(resolve));
+
+    const error = await new NetworkPrinterAdapter({ host: '127.0.0.1', port })
+      .send(Buffer.from('test'))
+      .catch((e) => e);
+
+    expect(error).toBeInstanceOf(ExternalServiceError);
+    expect(error.code).toBe(ErrorCode.PRINTER_ERROR);
+  });
+
+  it('should time out when the printer does not respond', async () => {
+    const sockets: net.Socket[] = [];
+    const { server, port } = await startPrinterStub((socket) => {
+      socket.pause(); // accept but never read or close
+      sockets.push(socket);
+    });
+
+    try {
+      const error = await new NetworkPrinterAdapter({ host: '127.0.0.1', port, timeoutMs: 200 })
+        .send(Buffer.alloc(16 * 1024 * 1024))
+        .catch((e) => e);
+
+      expect(error).toBeInstanceOf(ExternalServiceError);
+      expect(error.message).toContain('No response within 200 ms');
+    } finally {
+      sockets.forEach((socket) => socket.destroy());
+      server.close();
+    }
+  });
+
+  it('should only reach public addresses on port 9100 for tenant printers', async () => {
+    const { server, port } = await startPrinterStub();
+    let connected = false;
+    server.on('connection', () => {
+      connected = true;
+    });
+
+    try {
+      const errors = await Promise.all([
+        new NetworkPrinterAdapter({ host: '127.0.0.1', port, publicOnly: true }).send(Buffer.from('test')),
+        new NetworkPrinterAdapter({ host: '169.254.169.254', publicOnly: true }).send(Buffer.from('test')),
+        new NetworkPrinterAdapter({ host: 'localhost', publicOnly: true }).send(Buffer.from('test')),
+        new NetworkPrinterAdapter({ host: '203.0.113.10', port: 8080, publicOnly: true }).send(Buffer.from('test')),
+      ].map((job) => job.catch((e) => e)));
+
+      errors.forEach((error) => {
+        expect(error).toBeInstanceOf(ExternalServiceError);
+        expect(error.code).toBe(ErrorCode.PRINTER_ERROR);
+      });
+      expect(errors[2].message).toContain('resolves to non-public address');
+      expect(errors[3].message).toContain('only port 9100');
+      expect(connected).toBe(false);
+    } finally {
+      server.close();
+    }
+  });
+});
+
+describe('isPublicAddress', () => {
+  it('should reject private, loopback and metadata addresses', () => {
+    ['10.1.2.3', '172.20.0.5', '192.168.1.50', '127.0.0.1', '169.254.169.254', '100.64.0.1', '0.0.0.0',
+      '::1', 'fd00:ec2::254', 'fe80::1', '::ffff:127.0.0.1', 'printer.local']
+      .forEach((address) => expect([address, isPublicAddress(address)]).toEqual([address, false]));
+  });
+
+  it('should accept public addresses', () => {
+    ['203.0.113.10', '85.195.70.1', '2001:db8::10'].forEach((address) => expect(isPublicAddress(address)).toBe(true));
+  });
+});
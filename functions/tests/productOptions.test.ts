@@ -0,0 +1,168 @@
+/**
+ * EATECH Product Options Tests
+ *
+ * Test suite for server-side pricing of variants, deals and add-ons
+ */
+
+import { describe, expect, it } from '@jest/globals';
+
+import { OrderItem } from '../src/types/order.types';
+import { ValidationError } from '../src/utils/errorHandler';
+import {
+  ProductDocument,
+  expandKitchenItems,
+  getStockItems,
+  priceOrderItem,
+} from '../src/utils/productOptionsUtils';
+
+// ============================================================================
+// MOCK DATA
+// ============================================================================
+const mockBurger = {
+  status: 'active',
+  available: true,
+  info: { name: 'Cheeseburger' },
+  pricing: { basePrice: 14.5, taxRate: 8.1 },
+  options: {
+    customizations: [
+      {
+        id: 'doneness',
+        name: 'Garstufe',
+        type: 'single',
+        required: true,
+        options: [
+          { id: 'medium', name: 'Medium', price: 0, available: true },
+          { id: 'well', name: 'Durch', price: 0, available: true },
+        ],
+      },
+      {
+        id: 'sauces',
+        name: 'Saucen',
+        type: 'multiple',
+        required: false,
+        options: [
+          { id: 'bbq', name: 'BBQ', price: 0.5, available: true },
+          { id: 'mayo', name: 'Mayo', price: 0.5, available: true },
+          { id: 'chili', name: 'Chili', price: 0.5, available: true },
+        ],
+        rules: [{ type: 'max_selection', value: 2, message: 'Maximal zwei Saucen' }],
+      },
+    ],
+    addons: [{ id: 'bacon', productId: 'prod-bacon', name: 'Bacon', price: 2, maxQuantity: 2 }],
+    variants: [{ id: 'xl', sku: 'CB-XL', name: 'XL', attributes: { size: 'xl' }, price: 17.5 }],
+    bundles: [
+      {
+        id: 'menu',
+        name: 'Menü',
+        items: [
+          { productId: 'prod-fries', quantity: 1 },
+          { productId: 'prod-cola', quantity: 1, customizations: { size: 'large' } },
+        ],
+        price: 19.9,
+        savings: 3.1,
+        available: true,
+      },
+    ],
+    modifiers: [],
+  },
+} as unknown as ProductDocument;
+
+const mockComponents = new Map<string, ProductDocument>([
+  ['prod-fries', { status: 'active', available: true, name: 'Pommes', price: 5.5 }],
+  ['prod-cola', { status: 'active', available: true, name: 'Cola', price: 4.5 }],
+]);
+
+const medium = { id: 'doneness', choiceId: 'medium' };
+
+// ============================================================================
+// PRICING
+// ============================================================================
+describe('Order Item Pricing', () => {
+  it('should price variants, choices and add-ons from the product', () => {
+    const item = priceOrderItem(mockBurger, {
+      productId: 'prod-burger',
+      quantity: 2,
+      variantId: 'xl',
+      options: [medium, { id: 'sauces', choiceIds: ['bbq', 'mayo'] }],
+      addons: [{ id: 'bacon', quantity: 2 }],
+    });
+
+    expect(item.basePrice).toBe(17.5);
+    expect(item.price).toBe(22.5); // 17.50 + 2 x 0.50 + 2 x 2.00
+    expect(item.variant).toEqual({ id: 'xl', name: 'XL', price: 17.5 });
+    expect(item.options?.map((option) => option.choice)).toEqual(['Medium', 'BBQ', 'Mayo']);
+  });
+
+  it('should price a deal and expand its components', () => {
+    const item = priceOrderItem(mockBurger, {
+      productId: 'prod-burger',
+      quantity: 1,
+      bundleId: 'menu',
+      variantId: 'xl',
+      options: [medium],
+    }, mockComponents);
+
+    expect(item.price).toBe(22.9); // deal 19.90 + XL surcharge 3.00
+    expect(item.bundle?.items).toEqual([
+      { productId: 'prod-fries', name: 'Pommes', quantity: 1 },
+      { productId: 'prod-cola', name: 'Cola', quantity: 1, modifiers: ['large'] },
+    ]);
+  });
+
+  it('should enforce required selections and max rules', () => {
+    const missing = () => priceOrderItem(mockBurger, { productId: 'prod-burger', quantity: 1 });
+    const tooMany = () => priceOrderItem(mockBurger, {
+      productId: 'prod-burger',
+      quantity: 1,
+      options: [medium, { id: 'sauces', choiceIds: ['bbq', 'mayo', 'chili'] }],
+    });
+
+    expect(missing).toThrow(ValidationError);
+    expect(tooMany).toThrow('Too many choices for Saucen');
+  });
+
+  it('should reject unknown variants, deals and add-on quantities', () => {
+    const base = { productId: 'prod-burger', quantity: 1, options: [medium] };
+
+    expect(() => priceOrderItem(mockBurger, { ...base, variantId: 'xxl' })).toThrow(ValidationError);
+    expect(() => priceOrderItem(mockBurger, { ...base, bundleId: 'menu' })).toThrow('Deal Menü is not available');
+    expect(() => priceOrderItem(mockBurger, { ...base, addons: [{ id: 'bacon', quantity: 3 }] }))
+      .toThrow(ValidationError);
+  });
+});
+
+// ============================================================================
+// EXPANSION
+// ============================================================================
+describe('Order Item Expansion', () => {
+  const mockItem = {
+    ...priceOrderItem(mockBurger, {
+      productId: 'prod-burger',
+      quantity: 2,
+      bundleId: 'menu',
+      options: [medium],
+      addons: [{ id: 'bacon' }],
+    }, mockComponents),
+    taxRate: 8.1,
+  } as OrderItem;
+
+  it('should send deal components to the kitchen as separate items', () => {
+    const items = expandKitchenItems([mockItem]);
+
+    expect(items.map((item) => [item.name, item.quantity])).toEqual([
+      ['Cheeseburger', 2],
+      ['Pommes', 2],
+      ['Cola', 2],
+    ]);
+    expect(items[0].modifiers).toEqual(['Medium', 'Bacon']);
+  });
+
+  it('should reserve stock for components and add-on products', () => {
+    expect(getStockItems(mockItem).map((item) => [item.productId, item.quantity])).toEqual([
+      ['prod-burger', 2],
+      ['prod-fries', 2],
+      ['prod-cola', 2],
+      ['prod-bacon', 2],
+    ]);
+  });
+});
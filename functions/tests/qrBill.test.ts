@@ -0,0 +1,170 @@
+/**
+ * EATECH QR-Bill Tests
+ *
+ * Test suite for Swiss QR-bill references, accounts and camt.054 parsing
+ */
+
+import * as fs from 'fs';
+import * as path from 'path';
+
+import { describe, expect, it } from '@jest/globals';
+
+import {
+  createQrReference,
+  createScorReference,
+  isQrIban,
+  isValidIban,
+  isValidQrReference,
+  isValidScorReference,
+  mod10Recursive,
+  parseCamt054,
+  QrBillData,
+  validateQrBill,
+} from '../src/utils/qrBillUtils';
+
+// ============================================================================
+// MOCK DATA
+// ============================================================================
+
+// Examples from the SIX implementation guidelines and ISO 11649
+const QR_IBAN = 'CH44 3199 9123 0008 8901 2';
+const IBAN = 'CH93 0076 2011 6238 5295 7';
+const QR_REFERENCE = '21 00000 00003 13947 14300 09017';
+const SCOR_REFERENCE = 'RF18 5390 0754 7034';
+
+const mockBill: QrBillData = {
+  account: QR_IBAN,
+  creditor: { name: 'Burger Truck GmbH', postalCode: '8001', city: 'Zürich', country: 'CH' },
+  amount: 125.5,
+  currency: 'CHF',
+  referenceType: 'QRR',
+  reference: QR_REFERENCE,
+};
+
+const camt054 = fs.readFileSync(path.join(__dirname, 'fixtures', 'camt054.xml'), 'utf8');
+
+// ============================================================================
+// QR REFERENCE
+// ============================================================================
+
+describe('QR reference', () => {
+  it('computes the modulo 10 recursive check digit', () => {
+    expect(mod10Recursive('21000000000313947143000901')).toBe(7);
+    expect(mod10Recursive('00000000000000000000000000')).toBe(0);
+  });
+
+  it('accepts references with a valid check digit', () => {
+    expect(isValidQrReference(QR_REFERENCE)).toBe(true);
+    expect(isValidQrReference('210000000003139471430009018')).toBe(false);
+    expect(isValidQrReference('0'.repeat(27))).toBe(false);
+    expect(isValidQrReference('21000000000313947143000901')).toBe(false);
+  });
+
+  it('creates references from a number and a bank customer id', () => {
+    const reference = createQrReference(4201, '123456');
+
+    expect(reference).toHaveLength(27);
+    expect(reference.startsWith('1234560000000000000000420')).toBe(true);
+    expect(isValidQrReference(reference)).toBe(true);
+  });
+
+  it('rejects numbers that do not fit the reference', () => {
+    expect(() => createQrReference('1'.repeat(27))).toThrow();
+    expect(() => createQrReference('A-1042')).toThrow();
+  });
+});
+
+// ============================================================================
+// CREDITOR REFERENCE
+// ============================================================================
+
+describe('Creditor reference (ISO 11649)', () => {
+  it('accepts references with valid check digits', () => {
+    expect(isValidScorReference(SCOR_REFERENCE)).toBe(true);
+    expect(isValidScorReference('RF19539007547034')).toBe(false);
+    expect(isValidScorReference('RF18')).toBe(false);
+  });
+
+  it('creates references with valid check digits', () => {
+    expect(createScorReference('539007547034')).toBe('RF18539007547034');
+    expect(isValidScorReference(createScorReference('inv-2025-0042'))).toBe(true);
+  });
+
+  it('rejects values that are too long', () => {
+    expect(() => createScorReference('1'.repeat(22))).toThrow();
+  });
+});
+
+// ============================================================================
+// ACCOUNTS
+// ============================================================================
+
+describe('QR-IBAN detection', () => {
+  it('validates Swiss and Liechtenstein IBANs', () => {
+    expect(isValidIban(IBAN)).toBe(true);
+    expect(isValidIban(QR_IBAN)).toBe(true);
+    expect(isValidIban('CH93 0076 2011 6238 5295 8')).toBe(false);
+    expect(isValidIban('DE89 3704 0044 0532 0130 00')).toBe(false);
+  });
+
+  it('detects QR-IBANs by their QR-IID', () => {
+    expect(isQrIban(QR_IBAN)).toBe(true);
+    expect(isQrIban(IBAN)).toBe(false);
+  });
+
+  it('only combines QR references with QR-IBANs', () => {
+    expect(validateQrBill(mockBill)).toEqual([]);
+    expect(validateQrBill({ ...mockBill, account: IBAN })).toEqual(['QR references require a QR-IBAN']);
+    expect(validateQrBill({ ...mockBill, referenceType: 'SCOR', reference: SCOR_REFERENCE }))
+      .toEqual(['A QR-IBAN requires a QR reference']);
+    expect(validateQrBill({ ...mockBill, account: IBAN, referenceType: 'SCOR', reference: SCOR_REFERENCE }))
+      .toEqual([]);
+  });
+});
+
+// ============================================================================
+// CAMT.054
+// ============================================================================
+
+describe('parseCamt054', () => {
+  const credits = parseCamt054(camt054);
+
+  it('reads one credit per transaction and skips reversals and debits', () => {
+    expect(credits).toHaveLength(4);
+  });
+
+  it('reads reference, amount and debtor of a QR-bill payment', () => {
+    expect(credits[0]).toEqual({
+      reference: '210000000003139471430009017',
+      amount: 125.5,
+      currency: 'CHF',
+      bookingDate: '2025-01-09',
+      bankReference: 'TX-001',
+      debtorName: 'Anna Müller',
+    });
+  });
+
+  it('keeps the payments of a batch booking apart', () => {
+    expect(credits[1]).toEqual(expect.objectContaining({
+      reference: 'RF18539007547034',
+      amount: 50,
+      bankReference: 'ENTRY-002/1',
+      debtorName: 'Beat Keller',
+    }));
+    expect(credits[2]).toEqual(expect.objectContaining({
+      reference: null,
+      amount: 30,
+      bankReference: 'ENTRY-002/2',
+    }));
+  });
+
+  it('reads entries without transaction details as a single payment', () => {
+    expect(credits[3]).toEqual(expect.objectContaining({
+      reference: null,
+      amount: 42,
+      currency: 'EUR',
+      bookingDate: '2025-01-10',
+      bankReference: 'ENTRY-005',
+    }));
+  });
+});
@@ -0,0 +1,119 @@
+/**
+ * EATECH Receipt Tests
+ *
+ * Test suite for the MWST breakdown of receipts: split per rate, discounts,
+ * fees and rounding
+ */
+
+import { describe, expect, it } from '@jest/globals';
+
+import { Order } from '../src/types/order.types';
+import { buildReceipt } from '../src/utils/receiptUtils';
+
+// ============================================================================
+// MOCK DATA
+// ============================================================================
+
+const merchant = { name: 'Burger Truck', vatNumber: 'CHE-123.456.788 MWST' };
+
+const burger = { productId: 'burger', name: 'Cheeseburger', price: 15, quantity: 2, taxRate: 2.6 };
+const beer = { productId: 'beer', name: 'Bier', price: 6, quantity: 1, taxRate: 8.1 };
+
+const mockOrder = {
+  id: 'order1',
+  orderNumber: 'A-1042',
+  orderType: 'pickup',
+  items: [burger, beer],
+  createdAt: '2025-03-01T12:00:00.000Z',
+};
+
+const receiptOf = (fields: Record<string, unknown> = {}) => buildReceipt(
+  { ...mockOrder, ...fields } as unknown as Order & { id: string },
+  merchant,
+);
+
+const vatGross = (receipt: ReturnType<typeof buildReceipt>) => receipt.vat
+  .reduce((sum, line) => Math.round((sum + line.gross) * 100) / 100, 0);
+
+// ============================================================================
+// VAT BREAKDOWN
+// ============================================================================
+
+describe('Receipt VAT Breakdown', () => {
+  it('should split the total per rate, highest rate first', () => {
+    const receipt = receiptOf();
+
+    expect(receipt.total).toBe(36);
+    expect(receipt.discount).toBe(0);
+    expect(receipt.vat).toEqual([
+      { code: 'A', rate: 8.1, net: 5.55, vat: 0.45, gross: 6 },
+      { code: 'B', rate: 2.6, net: 29.24, vat: 0.76, gross: 30 },
+    ]);
+    expect(receipt.items.map((item) => [item.name, item.amount, item.vatCode])).toEqual([
+      ['Cheeseburger', 30, 'B'],
+      ['Bier', 6, 'A'],
+    ]);
+  });
+
+  it('should fall back to the rate of the consumption type', () => {
+    const item = { productId: 'fries', name: 'Pommes', price: 6, quantity: 1 };
+
+    expect(receiptOf({ items: [item] }).vat).toMatchObject([{ rate: 2.6, gross: 6 }]);
+    expect(receiptOf({ items: [item], orderType: 'dine_in' })).toMatchObject({
+      consumption: 'onSite',
+      vat: [{ rate: 8.1, gross: 6 }],
+    });
+  });
+
+  it('should spread a discount over all rates', () => {
+    const receipt = receiptOf({ total: 32.4 });
+
+    expect(receipt.discount).toBe(3.6);
+    expect(receipt.vat.map((line) => [line.rate, line.gross])).toEqual([[8.1, 5.4], [2.6, 27]]);
+    expect(vatGross(receipt)).toBe(32.4);
+  });
+
+  it('should leave the rounding difference to the last rate', () => {
+    const items = [
+      { productId: 'a', name: 'Wrap', price: 10, quantity: 1, taxRate: 2.6 },
+      { productId: 'b', name: 'Wein', price: 10, quantity: 1, taxRate: 8.1 },
+      { productId: 'c', name: 'Zimmer', price: 10, quantity: 1, taxRate: 3.8 },
+    ];
+    const receipt = receiptOf({ items, total: 20 });
+
+    expect(receipt.vat.map((line) => [line.code, line.rate, line.gross])).toEqual([
+      ['A', 8.1, 6.67],
+      ['B', 3.8, 6.66],
+      ['C', 2.6, 6.67],
+    ]);
+    expect(vatGross(receipt)).toBe(20);
+  });
+});
+
+// ============================================================================
+// FEES & TIPS
+// ============================================================================
+
+describe('Receipt Fees', () => {
+  it('should tax fees at the rate with the largest share', () => {
+    const receipt = receiptOf({ orderType: 'delivery', deliveryFee: 5 });
+
+    expect(receipt.fees).toEqual([{ label: 'Liefergebühr', amount: 5 }]);
+    expect(receipt.total).toBe(41);
+    expect(receipt.vat.map((line) => [line.rate, line.gross])).toEqual([[8.1, 6], [2.6, 35]]);
+  });
+
+  it('should follow the main rate when on-site items dominate', () => {
+    const receipt = receiptOf({ items: [burger, { ...beer, quantity: 6 }], serviceFee: 2 });
+
+    expect(receipt.fees).toEqual([{ label: 'Servicegebühr', amount: 2 }]);
+    expect(receipt.vat.map((line) => [line.rate, line.gross])).toEqual([[8.1, 38], [2.6, 30]]);
+  });
+
+  it('should keep the tip out of the VAT breakdown', () => {
+    const receipt = receiptOf({ orderType: 'delivery', deliveryFee: 5, tip: 3, total: 44 });
+
+    expect(receipt).toMatchObject({ tip: 3, total: 44, discount: 0 });
+    expect(vatGross(receipt)).toBe(41);
+  });
+});
@@ -0,0 +1,171 @@
+/**
+ * EATECH Recipe Tests
+ *
+ * Test suite for recipe explosion, unit conversion and food costing
+ */
+
+import { describe, expect, it } from '@jest/globals';
+
+import { Recipe } from '../src/types/product.types';
+import { calculateFoodCost } from '../src/utils/calculationUtils';
+import { BusinessError, NotFoundError } from '../src/utils/errorHandler';
+import {
+  calculateRecipeCost,
+  convertQuantity,
+  explodeRecipe,
+  getRecipeTree,
+  getSubRecipeIds,
+  parseUnit,
+} from '../src/utils/recipeUtils';
+
+// ============================================================================
+// MOCK DATA
+// ============================================================================
+const createRecipes = (...recipes: Recipe[]) => new Map(recipes.map(recipe => [recipe.id, recipe]));
+
+const sauce: Recipe = {
+  id: 'burger-sauce',
+  tenantId: 'tenant-1',
+  name: 'Burgersauce',
+  yield: { quantity: 2, unit: 'l' },
+  ingredients: [
+    { itemId: 'mayo', name: 'Mayonnaise', quantity: 1.5, unit: 'kg' },
+    { itemId: 'pickles', name: 'Essiggurken', quantity: 500, unit: 'g', wastePercent: 20 },
+  ],
+};
+
+const burger: Recipe = {
+  id: 'classic-burger',
+  tenantId: 'tenant-1',
+  name: 'Classic Burger',
+  productId: 'classic-burger',
+  yield: { quantity: 1, unit: 'Stk' },
+  ingredients: [
+    { itemId: 'bun', name: 'Brioche Bun', quantity: 1, unit: 'Stk' },
+    { itemId: 'patty', name: 'Rindfleisch', quantity: 180, unit: 'g' },
+    { recipeId: 'burger-sauce', name: 'Burgersauce', quantity: 40, unit: 'ml' },
+  ],
+};
+
+const items = new Map([
+  ['bun', { unit: 'piece', unitCost: 0.8 }],
+  ['patty', { unit: 'kg', unitCost: 24 }],
+  ['mayo', { unit: 'kg', unitCost: 6 }],
+]);
+
+// ============================================================================
+// UNITS
+// ============================================================================
+describe('convertQuantity', () => {
+  it('converts within weight, volume and pieces', () => {
+    expect(convertQuantity(1.5, 'kg', 'g')).toBe(1500);
+    expect(convertQuantity(250, 'ml', 'l')).toBe(0.25);
+    expect(convertQuantity(3, 'dl', 'ml')).toBe(300);
+    expect(convertQuantity(4, 'Stk', 'piece')).toBe(4);
+  });
+
+  it('refuses to mix kinds of units', () => {
+    expect(() => convertQuantity(100, 'g', 'ml')).toThrow(BusinessError);
+    expect(() => convertQuantity(1, 'Packung', 'Stk')).toThrow('Cannot convert Packung to Stk');
+  });
+
+  it('accepts common spellings', () => {
+    expect(parseUnit('Stück')).toBe('Stk');
+    expect(parseUnit(' Liter ')).toBe('l');
+    expect(parseUnit('Kiste')).toBeNull();
+  });
+});
+
+// ============================================================================
+// EXPLOSION
+// ============================================================================
+describe('explodeRecipe', () => {
+  it('walks into sub-recipes and scales them by their yield', () => {
+    const requirements = explodeRecipe('classic-burger', 2, 'Stk', createRecipes(burger, sauce));
+
+    expect(requirements).toEqual([
+      { itemId: 'bun', name: 'Brioche Bun', quantity: 2, unit: 'Stk' },
+      { itemId: 'patty', name: 'Rindfleisch', quantity: 360, unit: 'g' },
+      // 80 ml of a sauce yielding 2 l
+      { itemId: 'mayo', name: 'Mayonnaise', quantity: 60, unit: 'g' },
+      // 20 g plus 20% waste
+      { itemId: 'pickles', name: 'Essiggurken', quantity: 25, unit: 'g' },
+    ]);
+  });
+
+  it('adds up items used in several places', () => {
+    const double: Recipe = {
+      ...burger,
+      id: 'double-burger',
+      ingredients: [...burger.ingredients, { itemId: 'patty', name: 'Rindfleisch', quantity: 0.18, unit: 'kg' }],
+    };
+
+    const patty = explodeRecipe('double-burger', 1, 'Stk', createRecipes(double, sauce))
+      .find(requirement => requirement.itemId === 'patty');
+
+    expect(patty).toMatchObject({ quantity: 360, unit: 'g' });
+  });
+
+  it('accepts quantities in other units than the yield', () => {
+    const [mayo] = explodeRecipe('burger-sauce', 0.5, 'l', createRecipes(sauce));
+
+    expect(mayo.quantity).toBe(375);
+  });
+
+  it('detects cycles and missing sub-recipes', () => {
+    const looping: Recipe = { ...sauce, ingredients: [{ recipeId: 'classic-burger', name: 'Burger', quantity: 1, unit: 'Stk' }] };
+
+    expect(() => explodeRecipe('classic-burger', 1, 'Stk', createRecipes(burger, looping)))
+      .toThrow('Recipe cycle: classic-burger → burger-sauce → classic-burger');
+    expect(() => explodeRecipe('classic-burger', 1, 'Stk', createRecipes(burger))).toThrow(NotFoundError);
+  });
+
+  it('lists everything a recipe uses without failing on broken data', () => {
+    const looping: Recipe = { ...sauce, ingredients: [...sauce.ingredients, { recipeId: 'classic-burger', name: 'Burger', quantity: 1, unit: 'Stk' }] };
+
+    expect(getRecipeTree('classic-burger', createRecipes(burger, looping))).toEqual({
+      recipeIds: ['classic-burger', 'burger-sauce'],
+      itemIds: ['bun', 'patty', 'mayo', 'pickles'],
+    });
+    expect(getRecipeTree('classic-burger', createRecipes(burger)).recipeIds).toEqual(['classic-burger']);
+  });
+
+  it('lists direct sub-recipes', () => {
+    expect(getSubRecipeIds(burger)).toEqual(['burger-sauce']);
+    expect(getSubRecipeIds(sauce)).toEqual([]);
+  });
+});
+
+// ============================================================================
+// COSTING
+// ============================================================================
+describe('calculateRecipeCost', () => {
+  it('prices ingredients in their stock unit', () => {
+    const result = calculateRecipeCost('classic-burger', createRecipes(burger, sauce), items);
+
+    // 0.80 bun + 0.18 kg * 24 + 0.03 kg * 6
+    expect(result.cost).toBe(5.3);
+    expect(result.ingredients.find(ingredient => ingredient.itemId === 'patty')?.cost).toBe(4.32);
+    expect(result.missingCosts).toEqual(['pickles']);
+  });
+});
+
+describe('calculateFoodCost', () => {
+  it('compares the cost with the net price', () => {
+    const pricing = { basePrice: 18.47, taxRate: 2.6, taxIncluded: true };
+
+    expect(calculateFoodCost(pricing, 5.4)).toEqual({
+      netPrice: 18,
+      profit: 12.6,
+      margin: 70,
+      markup: 233.33,
+      foodCostPercent: 30,
+    });
+  });
+
+  it('uses the on-site VAT rate when asked', () => {
+    const pricing = { basePrice: 10, taxRate: 2.6, taxRates: { takeaway: 2.6, onSite: 8.1 }, taxIncluded: true };
+
+    expect(calculateFoodCost(pricing, 3, 'onSite').netPrice).toBe(9.25);
+  });
+});
@@ -0,0 +1,118 @@
+/**
+ * EATECH Recurrence Tests
+ *
+ * Test suite for iCal recurrence rules of recurring pre-orders
+ */
+
+import { describe, expect, it } from '@jest/globals';
+
+import { BusinessError } from '../src/utils/errorHandler';
+import { getNextOccurrence, getOccurrences, parseRecurrenceRule } from '../src/utils/recurrenceUtils';
+
+// ============================================================================
+// MOCK DATA
+// ============================================================================
+const everyFriday = parseRecurrenceRule([
+  'DTSTART;TZID=Europe/Zurich:20250110T120000',
+  'RRULE:FREQ=WEEKLY;BYDAY=FR',
+].join('\n'));
+
+const isoStrings = (dates: Date[]) => dates.map(date => date.toISOString());
+
+// ============================================================================
+// PARSING
+// ============================================================================
+describe('parseRecurrenceRule', () => {
+  it('reads DTSTART and RRULE', () => {
+    expect(everyFriday).toEqual({
+      startDate: '2025-01-10',
+      startTime: '12:00:00',
+      timeZone: 'Europe/Zurich',
+      frequency: 'WEEKLY',
+      interval: 1,
+      byDay: [5],
+      byMonthDay: [],
+    });
+  });
+
+  it('reads a UTC start as Swiss local time', () => {
+    const rule = parseRecurrenceRule('DTSTART:20250701T100000Z\nRRULE:FREQ=DAILY;COUNT=3');
+
+    expect(rule.startTime).toBe('12:00:00');
+    expect(rule.count).toBe(3);
+  });
+
+  it('rejects rules it cannot expand', () => {
+    expect(() => parseRecurrenceRule('RRULE:FREQ=WEEKLY')).toThrow(BusinessError);
+    expect(() => parseRecurrenceRule('DTSTART:20250110T120000\nRRULE:FREQ=HOURLY'))
+      .toThrow('Invalid recurrence rule: unsupported frequency HOURLY');
+    expect(() => parseRecurrenceRule('DTSTART:20250110T120000\nRRULE:FREQ=MONTHLY;BYDAY=1FR'))
+      .toThrow('unsupported BYDAY value 1FR');
+  });
+});
+
+// ============================================================================
+// EXPANSION
+// ============================================================================
+describe('getOccurrences', () => {
+  it('keeps the local time across daylight saving changes', () => {
+    const occurrences = getOccurrences(everyFriday, new Date('2025-03-20T00:00:00Z'), new Date('2025-04-05T00:00:00Z'));
+
+    expect(isoStrings(occurrences)).toEqual([
+      '2025-03-21T11:00:00.000Z',
+      '2025-03-28T11:00:00.000Z',
+      '2025-04-04T10:00:00.000Z',
+    ]);
+  });
+
+  it('stops after COUNT occurrences counted from the start', () => {
+    const rule = parseRecurrenceRule([
+      'DTSTART;TZID=Europe/Zurich:20250106T113000',
+      'RRULE:FREQ=WEEKLY;BYDAY=MO,WE;COUNT=3',
+    ].join('\n'));
+
+    const occurrences = getOccurrences(rule, new Date('2025-01-08T00:00:00Z'), new Date('2025-02-01T00:00:00Z'));
+
+    expect(isoStrings(occurrences)).toEqual([
+      '2025-01-08T10:30:00.000Z',
+      '2025-01-13T10:30:00.000Z',
+    ]);
+  });
+
+  it('honours INTERVAL and UNTIL', () => {
+    const rule = parseRecurrenceRule([
+      'DTSTART;TZID=Europe/Zurich:20250110T120000',
+      'RRULE:FREQ=WEEKLY;INTERVAL=2;BYDAY=FR;UNTIL=20250207',
+    ].join('\n'));
+
+    const occurrences = getOccurrences(rule, new Date('2025-01-01T00:00:00Z'), new Date('2025-03-01T00:00:00Z'));
+
+    expect(isoStrings(occurrences)).toEqual([
+      '2025-01-10T11:00:00.000Z',
+      '2025-01-24T11:00:00.000Z',
+      '2025-02-07T11:00:00.000Z',
+    ]);
+  });
+
+  it('repeats monthly on the start day', () => {
+    const rule = parseRecurrenceRule('DTSTART;TZID=Europe/Zurich:20250131T120000\nRRULE:FREQ=MONTHLY');
+
+    const occurrences = getOccurrences(rule, new Date('2025-01-01T00:00:00Z'), new Date('2025-04-01T00:00:00Z'));
+
+    // February has no 31st
+    expect(isoStrings(occurrences)).toEqual([
+      '2025-01-31T11:00:00.000Z',
+      '2025-03-31T10:00:00.000Z',
+    ]);
+  });
+});
+
+describe('getNextOccurrence', () => {
+  it('finds the next occurrence or none after the end', () => {
+    expect(getNextOccurrence(everyFriday, new Date('2025-01-10T11:00:01Z'))?.toISOString())
+      .toBe('2025-01-17T11:00:00.000Z');
+
+    const rule = parseRecurrenceRule('DTSTART:20250110T120000\nRRULE:FREQ=DAILY;COUNT=2');
+    expect(getNextOccurrence(rule, new Date('2025-01-12T00:00:00Z'))).toBeNull();
+  });
+});
@@ -0,0 +1,65 @@
+/**
+ * EATECH Stock Reservation Tests
+ *
+ * Test suite for releasing stock reserved by abandoned orders
+ */
+
+import { describe, expect, it } from '@jest/globals';
+
+import { Order } from '../src/types/order.types';
+import { isReservationStale, RESERVATION_GRACE_MINUTES } from '../src/utils/orderUtils';
+
+// ============================================================================
+// MOCK DATA
+// ============================================================================
+
+const now = new Date('2025-01-09T12:00:00.000Z');
+
+const minutesAgo = (minutes: number): Date => new Date(now.getTime() - (minutes * 60 * 1000));
+
+const mockOrder = {
+  orderNumber: 'A-1042',
+  status: 'new',
+  createdAt: minutesAgo(30),
+} as unknown as Partial<Order>;
+
+// Order times are Firestore timestamps; plain dates are read the same way
+const withFields = (fields: Record<string, unknown>): Partial<Order> => ({ ...mockOrder, ...fields } as Partial<Order>);
+
+// ============================================================================
+// STALE RESERVATIONS
+// ============================================================================
+
+describe('isReservationStale', () => {
+  it('releases reservations of missing orders', () => {
+    expect(isReservationStale(null, now)).toBe(true);
+  });
+
+  it('releases reservations of orders that failed or were cancelled', () => {
+    expect(isReservationStale({ ...mockOrder, status: 'payment_failed' }, now)).toBe(true);
+    expect(isReservationStale({ ...mockOrder, status: 'cancelled' }, now)).toBe(true);
+  });
+
+  it('keeps reservations of unconfirmed orders within the grace period', () => {
+    expect(isReservationStale(mockOrder, now)).toBe(false);
+    expect(isReservationStale(withFields({ createdAt: minutesAgo(RESERVATION_GRACE_MINUTES) }), now)).toBe(false);
+  });
+
+  it('releases reservations of unconfirmed orders past the grace period', () => {
+    expect(isReservationStale(withFields({ createdAt: minutesAgo(RESERVATION_GRACE_MINUTES + 1) }), now)).toBe(true);
+  });
+
+  it('measures scheduled orders from their scheduled time', () => {
+    const order = withFields({
+      status: 'scheduled',
+      createdAt: minutesAgo(24 * 60),
+      scheduledTime: minutesAgo(-60),
+    });
+
+    expect(isReservationStale(order, now)).toBe(false);
+  });
+
+  it('keeps reservations of orders in progress', () => {
+    expect(isReservationStale(withFields({ status: 'confirmed', createdAt: minutesAgo(24 * 60) }), now)).toBe(false);
+  });
+});
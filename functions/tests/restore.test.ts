@@ -0,0 +1,144 @@
+/**
+ * EATECH Restore Tests
+ *
+ * Test suite for selective restore filters, checksums and diffs
+ */
+
+import * as admin from 'firebase-admin';
+import { describe, expect, it } from '@jest/globals';
+
+import {
+  RestoreDocument,
+  diffRestoreDocuments,
+  documentChecksum,
+  matchesDocumentFilter,
+  reviveBackupValue,
+  serializeForBackup,
+  summarizeRestoreDiff,
+} from '../src/utils/restoreUtils';
+
+// ============================================================================
+// MOCK DATA
+// ============================================================================
+const updatedAt = new admin.firestore.Timestamp(1736425200, 0);
+
+const backupProducts: RestoreDocument[] = [
+  { id: 'burger', data: { name: 'Classic Burger', price: 16.9, category: 'main', tags: ['beef'], updatedAt: serializeForBackup({ updatedAt }).updatedAt } },
+  { id: 'fries', data: { name: 'Pommes', price: 6.5, category: 'sides', tags: [] } },
+  { id: 'cola', data: { name: 'Coca-Cola', price: 4.5, category: 'drinks', tags: ['cold'] } },
+];
+
+const currentProducts: RestoreDocument[] = [
+  // Bulk edit changed the price
+  { id: 'burger', data: { name: 'Classic Burger', price: 1.69, category: 'main', tags: ['beef'], updatedAt: serializeForBackup({ updatedAt }).updatedAt } },
+  // Unchanged, keys in a different order
+  { id: 'cola', data: { tags: ['cold'], category: 'drinks', price: 4.5, name: 'Coca-Cola' } },
+  // Created after the backup
+  { id: 'wrap', data: { name: 'Falafel Wrap', price: 14.5, category: 'main', tags: [] } },
+];
+
+// ============================================================================
+// CHECKSUMS & SERIALIZATION
+// ============================================================================
+describe('documentChecksum', () => {
+  it('ignores key order', () => {
+    expect(documentChecksum({ a: 1, b: { c: 2, d: 3 } })).toBe(documentChecksum({ b: { d: 3, c: 2 }, a: 1 }));
+  });
+
+  it('changes with any value', () => {
+    expect(documentChecksum({ price: 16.9 })).not.toBe(documentChecksum({ price: 1.69 }));
+  });
+
+  it('matches between live data and its backup form', () => {
+    const live = { name: 'Classic Burger', updatedAt };
+    const backup = JSON.parse(JSON.stringify(live)) as Record<string, any>;
+
+    expect(documentChecksum(serializeForBackup(live))).toBe(documentChecksum(backup));
+  });
+});
+
+describe('reviveBackupValue', () => {
+  it('restores Timestamps and GeoPoints inside nested data', () => {
+    const location = new admin.firestore.GeoPoint(47.3769, 8.5417);
+    const backup = serializeForBackup({ updatedAt, truck: { location }, history: [{ at: updatedAt }] });
+
+    const revived = reviveBackupValue(backup);
+
+    expect(revived.updatedAt).toBeInstanceOf(admin.firestore.Timestamp);
+    expect(revived.updatedAt.isEqual(updatedAt)).toBe(true);
+    expect(revived.truck.location).toBeInstanceOf(admin.firestore.GeoPoint);
+    expect(revived.history[0].at.isEqual(updatedAt)).toBe(true);
+  });
+
+  it('leaves plain maps alone', () => {
+    expect(reviveBackupValue({ _seconds: 1, label: 'x' })).toEqual({ _seconds: 1, label: 'x' });
+  });
+});
+
+// ============================================================================
+// FILTERS
+// ============================================================================
+describe('matchesDocumentFilter', () => {
+  const burger = backupProducts[0];
+
+  it('matches everything without a filter', () => {
+    expect(matchesDocumentFilter(burger)).toBe(true);
+  });
+
+  it('filters by document id', () => {
+    expect(matchesDocumentFilter(burger, { ids: ['burger', 'fries'] })).toBe(true);
+    expect(matchesDocumentFilter(burger, { ids: ['fries'] })).toBe(false);
+  });
+
+  it('combines field conditions', () => {
+    expect(matchesDocumentFilter(burger, {
+      where: [
+        { field: 'category', op: '==', value: 'main' },
+        { field: 'tags', op: 'array-contains', value: 'beef' },
+      ],
+    })).toBe(true);
+
+    expect(matchesDocumentFilter(burger, {
+      where: [
+        { field: 'category', op: 'in', value: ['sides', 'drinks'] },
+      ],
+    })).toBe(false);
+  });
+
+  it('reads nested fields', () => {
+    const doc = { id: 'x', data: { stock: { enabled: true } } };
+
+    expect(matchesDocumentFilter(doc, { where: [{ field: 'stock.enabled', op: '==', value: true }] })).toBe(true);
+    expect(matchesDocumentFilter(doc, { where: [{ field: 'stock.enabled', op: '!=', value: true }] })).toBe(false);
+  });
+});
+
+// ============================================================================
+// DIFF
+// ============================================================================
+describe('diffRestoreDocuments', () => {
+  it('reverts changed documents and re-creates deleted ones', () => {
+    const diff = diffRestoreDocuments(backupProducts, currentProducts);
+
+    expect(diff.map(({ id, change }) => ({ id, change }))).toEqual([
+      { id: 'burger', change: 'update' },
+      { id: 'cola', change: 'unchanged' },
+      { id: 'fries', change: 'create' },
+    ]);
+    expect(diff[0].fields).toEqual(['price']);
+    expect(diff[0].currentChecksum).toBe(documentChecksum(currentProducts[0].data));
+  });
+
+  it('deletes documents created after the backup only when asked', () => {
+    const diff = diffRestoreDocuments(backupProducts, currentProducts, { deleteMissing: true });
+
+    expect(diff.find(entry => entry.id === 'wrap')).toMatchObject({ change: 'delete' });
+    expect(summarizeRestoreDiff(diff)).toEqual({ create: 1, update: 1, delete: 1, unchanged: 1 });
+  });
+
+  it('reports nothing to do for identical data', () => {
+    const summary = summarizeRestoreDiff(diffRestoreDocuments(backupProducts, backupProducts));
+
+    expect(summary).toEqual({ create: 0, update: 0, delete: 0, unchanged: 3 });
+  });
+});
@@ -0,0 +1,291 @@
+/**
+ * EATECH Slot Capacity Tests
+ *
+ * Test suite for kitchen capacity per pickup slot: reservations, limits,
+ * releases and the availability served by the public API
+ */
+
+import { beforeEach, describe, expect, it, jest } from '@jest/globals';
+
+import SlotCapacityService, { SlotUnavailableError } from '../src/services/SlotCapacityService';
+
+// ============================================================================
+// FIRESTORE MOCK
+// ============================================================================
+
+// Documents by path
+const mockDocs = new Map<string, Record<string, any>>();
+
+jest.mock('firebase-admin', () => {
+  const snapshot = (path: string) => ({
+    id: path.split('/').pop(),
+    exists: mockDocs.has(path),
+    get: (field: string) => mockDocs.get(path)?.[field],
+  });
+
+  const collection = (path: string): any => ({
+    doc: (id: string) => ({
+      path: `${path}/${id}`,
+      collection: (name: string) => collection(`${path}/${id}/${name}`),
+    }),
+    where: (field: string, _op: string, value: unknown) => ({
+      get: async () => {
+        const docs = [...mockDocs.keys()]
+          .filter((docPath) => docPath.startsWith(`${path}/`) && mockDocs.get(docPath)![field] === value)
+          .map(snapshot);
+        return { forEach: (fn: (doc: ReturnType<typeof snapshot>) => void) => docs.forEach(fn) };
+      },
+    }),
+  });
+
+  // Transactions run one after the other, as Firestore retries conflicting ones
+  let queue: Promise<unknown> = Promise.resolve();
+
+  const db = {
+    collection,
+    runTransaction: (fn: (transaction: any) => Promise<unknown>) => {
+      const run = queue.then(() => fn({
+        get: async (ref: { path: string }) => snapshot(ref.path),
+        set: (ref: { path: string }, data: Record<string, any>) => {
+          mockDocs.set(ref.path, { ...mockDocs.get(ref.path), ...data });
+        },
+        update: (ref: { path: string }, data: Record<string, any>) => {
+          mockDocs.set(ref.path, { ...mockDocs.get(ref.path), ...data });
+        },
+      }));
+      queue = run.catch(() => undefined);
+      return run;
+    },
+  };
+
+  const firestore = Object.assign(() => db, {
+    FieldValue: { serverTimestamp: () => 'SERVER_TIMESTAMP' },
+    Timestamp: { fromDate: (date: Date) => date },
+  });
+
+  return { firestore };
+});
+
+// ============================================================================
+// MOCK DATA
+// ============================================================================
+
+const tenantId = 'tenant1';
+
+// Open Monday and Tuesday 11:00 to 13:00 in half-hour slots
+const mockTenant = {
+  settings: {
+    businessHours: {
+      monday: { open: true, openTime: '11:00', closeTime: '13:00' },
+      tuesday: { open: true, openTime: '11:00', closeTime: '13:00' },
+    },
+    capacity: { slotDuration: 30, maxOrdersPerSlot: 2, maxPrepMinutesPerSlot: 30, leadTimeMinutes: 15 },
+  },
+};
+
+// Monday 2025-03-03, Zurich is UTC+1
+const now = new Date('2025-03-03T08:00:00.000Z');
+const at = (swissTime: string, date: string = '2025-03-03') => {
+  const [hours, minutes] = swissTime.split(':').map(Number);
+  return new Date(`${date}T${String(hours - 1).padStart(2, '0')}:${String(minutes).padStart(2, '0')}:00.000Z`);
+};
+
+const slotPath = (key: string) => `tenants/${tenantId}/slotCapacity/${key}`;
+
+const reserve = (service: SlotCapacityService, time: Date, prepMinutes: number, enforce: boolean = true) => service
+  .reserveSlot(tenantId, mockTenant, { time, prepMinutes, enforce, now });
+
+const rejection = async (promise: Promise<unknown>): Promise<SlotUnavailableError> => {
+  const error = await promise.catch((caught: unknown) => caught);
+  expect(error).toBeInstanceOf(SlotUnavailableError);
+  return error as SlotUnavailableError;
+};
+
+// ============================================================================
+// RESERVATIONS
+// ============================================================================
+
+describe('Slot Reservation', () => {
+  const service = new SlotCapacityService();
+
+  beforeEach(() => {
+    mockDocs.clear();
+  });
+
+  it('should reserve capacity in the slot containing the pickup time', async () => {
+    await expect(reserve(service, at('11:40'), 10)).resolves.toEqual({
+      key: '2025-03-03_1130',
+      start: at('11:30'),
+      prepMinutes: 10,
+    });
+    expect(mockDocs.get(slotPath('2025-03-03_1130'))).toMatchObject({ date: '2025-03-03', orders: 1, prepMinutes: 10 });
+  });
+
+  it('should reject orders beyond the order limit and offer the next free slot', async () => {
+    await reserve(service, at('11:30'), 5);
+    await reserve(service, at('11:45'), 5);
+
+    const error = await rejection(reserve(service, at('11:30'), 5));
+
+    expect(error.reason).toBe('full');
+    expect(error.nextAvailableSlot).toEqual(at('12:00'));
+  });
+
+  it('should reject orders beyond the preparation minutes', async () => {
+    await reserve(service, at('12:00'), 20);
+
+    await expect(rejection(reserve(service, at('12:00'), 15))).resolves.toMatchObject({ reason: 'full' });
+    await expect(reserve(service, at('12:00'), 10)).resolves.toMatchObject({ key: '2025-03-03_1200' });
+  });
+
+  it('should give an empty slot to an order larger than the minute limit', async () => {
+    await expect(reserve(service, at('12:30'), 45)).resolves.toMatchObject({ prepMinutes: 45 });
+  });
+
+  it('should not overbook a slot when orders arrive at the same time', async () => {
+    const results = await Promise.allSettled([
+      reserve(service, at('11:00'), 5),
+      reserve(service, at('11:10'), 5),
+      reserve(service, at('11:20'), 5),
+    ]);
+
+    expect(results.map((result) => result.status)).toEqual(['fulfilled', 'fulfilled', 'rejected']);
+    expect(mockDocs.get(slotPath('2025-03-03_1100'))).toMatchObject({ orders: 2, prepMinutes: 10 });
+  });
+
+  it('should track orders beyond the limits when not enforced', async () => {
+    await reserve(service, at('11:00'), 20);
+    await reserve(service, at('11:00'), 20, false);
+    await reserve(service, at('11:00'), 20, false);
+
+    expect(mockDocs.get(slotPath('2025-03-03_1100'))).toMatchObject({ orders: 3, prepMinutes: 60 });
+  });
+
+  it('should reject times outside business hours', async () => {
+    const error = await rejection(reserve(service, at('14:00'), 5));
+
+    expect(error.reason).toBe('closed');
+    expect(error.nextAvailableSlot).toEqual(at('11:00', '2025-03-04'));
+    await expect(reserve(service, at('14:00'), 5, false)).resolves.toBeNull();
+  });
+
+  it('should reject times within the lead time', async () => {
+    const lunch = at('11:50');
+    const error = await rejection(service.reserveSlot(tenantId, mockTenant, {
+      time: at('11:55'),
+      prepMinutes: 5,
+      enforce: true,
+      now: lunch,
+    }));
+
+    expect(error.reason).toBe('lead_time');
+    expect(error.nextAvailableSlot).toEqual(at('12:30'));
+  });
+});
+
+// ============================================================================
+// RELEASE
+// ============================================================================
+
+describe('Slot Release', () => {
+  const service = new SlotCapacityService();
+
+  beforeEach(() => {
+    mockDocs.clear();
+  });
+
+  it('should give the capacity of a cancelled order back', async () => {
+    const first = await reserve(service, at('11:00'), 15);
+    await reserve(service, at('11:00'), 10);
+
+    await service.releaseSlot(tenantId, first!);
+
+    expect(mockDocs.get(slotPath('2025-03-03_1100'))).toMatchObject({ orders: 1, prepMinutes: 10 });
+    await expect(reserve(service, at('11:00'), 5)).resolves.toMatchObject({ key: '2025-03-03_1100' });
+  });
+
+  it('should not go below zero or create missing slots', async () => {
+    const reservation = await reserve(service, at('11:00'), 15);
+
+    await service.releaseSlot(tenantId, reservation!);
+    await service.releaseSlot(tenantId, reservation!);
+    await service.releaseSlot(tenantId, { key: '2025-03-03_1230', prepMinutes: 5 });
+
+    expect(mockDocs.get(slotPath('2025-03-03_1100'))).toMatchObject({ orders: 0, prepMinutes: 0 });
+    expect(mockDocs.has(slotPath('2025-03-03_1230'))).toBe(false);
+  });
+});
+
+// ============================================================================
+// AVAILABILITY
+// ============================================================================
+
+describe('Availability', () => {
+  const service = new SlotCapacityService();
+
+  beforeEach(async () => {
+    mockDocs.clear();
+    await reserve(service, at('11:30'), 10);
+  });
+
+  it('should list the slots of a date with their remaining capacity', async () => {
+    const availability = await service.getAvailability(tenantId, mockTenant, { date: '2025-03-03', now });
+
+    expect(availability).toMatchObject({
+      available: true,
+      reason: null,
+      date: '2025-03-03',
+      openTime: '11:00',
+      closeTime: '13:00',
+      slotDuration: 30,
+      nextAvailable: null,
+    });
+    expect(availability.slots.map((slot) => [slot.time, slot.remainingOrders, slot.remainingPrepMinutes])).toEqual([
+      ['11:00', 2, 30],
+      ['11:30', 1, 20],
+      ['12:00', 2, 30],
+      ['12:30', 2, 30],
+    ]);
+  });
+
+  it('should offer the next slot for a full pickup time', async () => {
+    await reserve(service, at('11:30'), 10);
+
+    await expect(service.getAvailability(tenantId, mockTenant, { date: '2025-03-03', time: '11:45', now })).resolves
+      .toMatchObject({ available: false, reason: 'full', nextAvailable: at('12:00') });
+    await expect(service.getAvailability(tenantId, mockTenant, { date: '2025-03-03', time: '12:15', now })).resolves
+      .toMatchObject({ available: true, nextAvailable: null });
+  });
+
+  it('should count the preparation time of the order to place', async () => {
+    const availability = await service.getAvailability(tenantId, mockTenant, {
+      date: '2025-03-03',
+      time: '11:30',
+      prepMinutes: 25,
+      now,
+    });
+
+    expect(availability).toMatchObject({ available: false, reason: 'full', nextAvailable: at('12:00') });
+    expect(availability.slots[0].available).toBe(true);
+  });
+
+  it('should report closed days and the next opening', async () => {
+    await expect(service.getAvailability(tenantId, mockTenant, { date: '2025-03-05', now })).resolves.toMatchObject({
+      available: false,
+      reason: 'closed',
+      openTime: null,
+      closeTime: null,
+      slots: [],
+      nextAvailable: at('11:00', '2025-03-10'),
+    });
+  });
+
+  it('should close on the closure days of the tenant', async () => {
+    const tenant = { ...mockTenant, settings: { ...mockTenant.settings, holidays: { closureDays: [{ date: '2025-03-03' }] } } };
+
+    await expect(service.getAvailability(tenantId, tenant, { date: '2025-03-03', now })).resolves.toMatchObject({
+      reason: 'closed',
+      nextAvailable: at('11:00', '2025-03-04'),
+    });
+  });
+});
@@ -25,6 +25,8 @@ export { RevenueProjector } from './predictions/revenue.projector';
 // Voice AI
 export { SpeechRecognizer } from './voice/speech.recognizer';
 export { IntentParser } from './voice/intent.parser';
+export { IntentGrammar } from './voice/intent.grammar';
+export { evaluateIntentGrammar, formatEvaluationReport } from './voice/intent.evaluation';
 export { ResponseGenerator } from './voice/response.generator';
 
 // Core AI Service
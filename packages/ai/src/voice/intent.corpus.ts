@@ -0,0 +1,100 @@
+/**
+ * Intent Corpus
+ *
+ * Gelabelte Äusserungen für die Evaluation der Intent-Grammatik
+ * Neue Fehlerfälle aus dem Betrieb hier ergänzen, bevor die Grammatik angepasst wird
+ *
+ * @author Benedikt Thomma <benedikt@thomma.ch>
+ */
+
+import { GrammarLanguage, GrammarMenuEntry } from './intent.grammar';
+
+export interface LabelledUtterance {
+  text: string;
+  language: GrammarLanguage;
+  intent: string;
+  items?: { productId: string; quantity: number }[];
+  paymentMethod?: string;
+}
+
+// Menü eines typischen Burger-Foodtrucks
+export const EVALUATION_MENU: GrammarMenuEntry[] = [
+  { id: 'classic-burger', name: 'Classic Burger', category: 'burger', price: 16.9 },
+  { id: 'veggie-burger', name: { de: 'Veggie Burger', fr: 'Burger végétarien', it: 'Burger vegetariano', en: 'Veggie Burger' }, category: 'burger', price: 17.5 },
+  { id: 'cheeseburger', name: 'Cheeseburger', category: 'burger', price: 15.9 },
+  { id: 'pommes', name: { de: 'Pommes', fr: 'Frites', it: 'Patatine', en: 'Fries' }, aliases: ['pommes frites', 'chips'], category: 'sides', price: 6.5 },
+  { id: 'cola', name: 'Coca-Cola', aliases: ['cola', 'coke'], category: 'drinks', price: 4.5 },
+  { id: 'bier', name: { de: 'Bier', fr: 'Bière', it: 'Birra', en: 'Beer' }, aliases: ['stange'], category: 'drinks', price: 6 },
+  { id: 'bratwurst', name: 'St. Galler Bratwurst', aliases: ['bratwurst', 'wurst', 'cervelat'], category: 'grill', price: 9.5 },
+  { id: 'chicken-nuggets', name: { de: 'Chicken Nuggets', fr: 'Nuggets de poulet', it: 'Crocchette di pollo', en: 'Chicken Nuggets' }, aliases: ['nuggets'], category: 'sides', price: 8.9 },
+  { id: 'wasser', name: { de: 'Mineralwasser', fr: 'Eau minérale', it: 'Acqua minerale', en: 'Water' }, aliases: ['wasser', 'eau', 'acqua', 'water'], category: 'drinks', price: 3.5 }
+];
+
+export const INTENT_CORPUS: LabelledUtterance[] = [
+  // Deutsch
+  { text: 'Ich hätte gerne zwei Classic Burger und eine Cola', language: 'de', intent: 'order.create', items: [{ productId: 'classic-burger', quantity: 2 }, { productId: 'cola', quantity: 1 }] },
+  { text: 'Ich möchte einen Cheeseburger ohne Zwiebeln bestellen', language: 'de', intent: 'order.create', items: [{ productId: 'cheeseburger', quantity: 1 }] },
+  { text: 'Drei Bratwürste und zwei Bier bitte', language: 'de', intent: 'order.create', items: [{ productId: 'bratwurst', quantity: 3 }, { productId: 'bier', quantity: 2 }] },
+  { text: 'Ein Dutzend Chicken Nuggets', language: 'de', intent: 'order.create', items: [{ productId: 'chicken-nuggets', quantity: 12 }] },
+  { text: 'Was kostet der Veggie Burger?', language: 'de', intent: 'price.inquiry', items: [{ productId: 'veggie-burger', quantity: 1 }] },
+  { text: 'Was haben Sie heute Vegetarisches?', language: 'de', intent: 'menu.inquiry' },
+  { text: 'Kann ich mit Twint bezahlen?', language: 'de', intent: 'payment.inquiry', paymentMethod: 'twint' },
+  { text: 'Wie lange dauert meine Bestellung noch?', language: 'de', intent: 'order.status' },
+  { text: 'Statt der Cola lieber ein Mineralwasser', language: 'de', intent: 'order.modify', items: [{ productId: 'cola', quantity: 1 }, { productId: 'wasser', quantity: 1 }] },
+  { text: 'Bitte stornieren Sie meine Bestellung', language: 'de', intent: 'order.cancel' },
+  { text: 'Guten Tag', language: 'de', intent: 'greeting.swiss' },
+  { text: 'Auf Wiedersehen', language: 'de', intent: 'farewell.swiss' },
+
+  // Schweizerdeutsch
+  { text: 'Grüezi, ich hätti gern zwöi Classic Burger', language: 'gsw', intent: 'order.create', items: [{ productId: 'classic-burger', quantity: 2 }] },
+  { text: 'Für mi e Cheeseburger und föif Pommes', language: 'gsw', intent: 'order.create', items: [{ productId: 'cheeseburger', quantity: 1 }, { productId: 'pommes', quantity: 5 }] },
+  { text: 'I nimm drü Bier und e Cervelat', language: 'gsw', intent: 'order.create', items: [{ productId: 'bier', quantity: 3 }, { productId: 'bratwurst', quantity: 1 }] },
+  { text: 'Zwöi Stange und es Wasser bitte', language: 'gsw', intent: 'order.create', items: [{ productId: 'bier', quantity: 2 }, { productId: 'wasser', quantity: 1 }] },
+  { text: 'Was choschtet d Bratwurst?', language: 'gsw', intent: 'price.inquiry', items: [{ productId: 'bratwurst', quantity: 1 }] },
+  { text: 'Was händ Sie hüt?', language: 'gsw', intent: 'menu.inquiry' },
+  { text: 'Chan i mit Karte zahle?', language: 'gsw', intent: 'payment.inquiry', paymentMethod: 'card' },
+  { text: 'Wie lang gahts no?', language: 'gsw', intent: 'order.status' },
+  { text: 'De Burger ohni Gurke bitte', language: 'gsw', intent: 'order.create', items: [{ productId: 'classic-burger', quantity: 1 }] },
+  { text: 'Hoi zäme', language: 'gsw', intent: 'greeting.swiss' },
+  { text: 'Merci vilmal und ade', language: 'gsw', intent: 'farewell.swiss' },
+
+  // Französisch
+  { text: 'Je voudrais deux cheeseburgers et des frites', language: 'fr', intent: 'order.create', items: [{ productId: 'cheeseburger', quantity: 2 }, { productId: 'pommes', quantity: 1 }] },
+  { text: 'Pour moi un burger végétarien sans oignons', language: 'fr', intent: 'order.create', items: [{ productId: 'veggie-burger', quantity: 1 }] },
+  { text: 'Une douzaine de nuggets de poulet s\'il vous plaît', language: 'fr', intent: 'order.create', items: [{ productId: 'chicken-nuggets', quantity: 12 }] },
+  { text: 'Trois bières et une eau minérale', language: 'fr', intent: 'order.create', items: [{ productId: 'bier', quantity: 3 }, { productId: 'wasser', quantity: 1 }] },
+  { text: 'Combien coûte le classic burger?', language: 'fr', intent: 'price.inquiry', items: [{ productId: 'classic-burger', quantity: 1 }] },
+  { text: 'Qu\'est-ce que vous avez comme plats?', language: 'fr', intent: 'menu.inquiry' },
+  { text: 'Je peux payer en espèces?', language: 'fr', intent: 'payment.inquiry', paymentMethod: 'cash' },
+  { text: 'Dans combien de temps ma commande sera prête?', language: 'fr', intent: 'order.status' },
+  { text: 'Je veux annuler ma commande', language: 'fr', intent: 'order.cancel' },
+  { text: 'Bonjour', language: 'fr', intent: 'greeting.swiss' },
+
+  // Italienisch
+  { text: 'Vorrei due birre e un cheeseburger', language: 'it', intent: 'order.create', items: [{ productId: 'bier', quantity: 2 }, { productId: 'cheeseburger', quantity: 1 }] },
+  { text: 'Per me tre classic burger con patatine', language: 'it', intent: 'order.create', items: [{ productId: 'classic-burger', quantity: 3 }, { productId: 'pommes', quantity: 1 }] },
+  { text: 'Mezza dozzina di crocchette di pollo', language: 'it', intent: 'order.create', items: [{ productId: 'chicken-nuggets', quantity: 6 }] },
+  { text: 'Quanto costa la birra?', language: 'it', intent: 'price.inquiry', items: [{ productId: 'bier', quantity: 1 }] },
+  { text: 'Cosa avete da mangiare?', language: 'it', intent: 'menu.inquiry' },
+  { text: 'Posso pagare con Twint?', language: 'it', intent: 'payment.inquiry', paymentMethod: 'twint' },
+  { text: 'Quanto tempo ci vuole ancora?', language: 'it', intent: 'order.status' },
+  { text: 'Buongiorno', language: 'it', intent: 'greeting.swiss' },
+  { text: 'Grazie, arrivederci', language: 'it', intent: 'farewell.swiss' },
+
+  // Englisch
+  { text: 'I\'d like two cheeseburgers and a coke please', language: 'en', intent: 'order.create', items: [{ productId: 'cheeseburger', quantity: 2 }, { productId: 'cola', quantity: 1 }] },
+  { text: 'Can I get a dozen chicken nuggets', language: 'en', intent: 'order.create', items: [{ productId: 'chicken-nuggets', quantity: 12 }] },
+  { text: 'Half a dozen nuggets and three waters', language: 'en', intent: 'order.create', items: [{ productId: 'chicken-nuggets', quantity: 6 }, { productId: 'wasser', quantity: 3 }] },
+  { text: 'One veggie burger with extra cheese', language: 'en', intent: 'order.create', items: [{ productId: 'veggie-burger', quantity: 1 }] },
+  { text: 'How much is a beer?', language: 'en', intent: 'price.inquiry', items: [{ productId: 'bier', quantity: 1 }] },
+  { text: 'What do you have on the menu?', language: 'en', intent: 'menu.inquiry' },
+  { text: 'Can I pay by card?', language: 'en', intent: 'payment.inquiry', paymentMethod: 'card' },
+  { text: 'How long until my order is ready?', language: 'en', intent: 'order.status' },
+  { text: 'Cancel my order', language: 'en', intent: 'order.cancel' },
+  { text: 'Hello there', language: 'en', intent: 'greeting.swiss' },
+  { text: 'Thanks, bye', language: 'en', intent: 'farewell.swiss' },
+
+  // Spracherkennung mit Fehlern
+  { text: 'ich nehme zwei burker und pomfrit', language: 'de', intent: 'order.create', items: [{ productId: 'classic-burger', quantity: 2 }, { productId: 'pommes', quantity: 1 }] },
+  { text: 'Cheeseburger x3', language: 'de', intent: 'order.create', items: [{ productId: 'cheeseburger', quantity: 3 }] }
+];
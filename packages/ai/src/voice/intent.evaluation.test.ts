@@ -0,0 +1,69 @@
+/**
+ * Intent Evaluation Tests
+ *
+ * Mindestgenauigkeit der Intent-Grammatik auf dem mitgelieferten Korpus
+ * Sinkt ein Wert unter die Schwelle, steht der vollständige Report im Log
+ */
+
+import { describe, expect, it } from '@jest/globals';
+import { EVALUATION_MENU } from './intent.corpus';
+import { evaluateIntentGrammar, formatEvaluationReport } from './intent.evaluation';
+
+const THRESHOLDS = {
+  intentAccuracy: 0.95,
+  languageAccuracy: 0.9,
+  itemAccuracy: 0.9,
+  paymentAccuracy: 0.9,
+  languageIntentAccuracy: 0.85,
+  intentF1: 0.8
+};
+
+const report = evaluateIntentGrammar();
+
+const expectAtLeast = (label: string, value: number, threshold: number) => {
+  if (value < threshold) {
+    console.log(`${label} below ${threshold}\n${formatEvaluationReport(report)}`);
+  }
+  expect(value).toBeGreaterThanOrEqual(threshold);
+};
+
+describe('intent grammar accuracy', () => {
+  it('evaluates the whole corpus', () => {
+    expect(report.total).toBeGreaterThanOrEqual(50);
+    expect(Object.keys(report.byLanguage).sort()).toEqual(['de', 'en', 'fr', 'gsw', 'it']);
+  });
+
+  it('recognises intents, languages, items and payment methods', () => {
+    expectAtLeast('intentAccuracy', report.intentAccuracy, THRESHOLDS.intentAccuracy);
+    expectAtLeast('languageAccuracy', report.languageAccuracy, THRESHOLDS.languageAccuracy);
+    expectAtLeast('itemAccuracy', report.itemAccuracy, THRESHOLDS.itemAccuracy);
+    expectAtLeast('paymentAccuracy', report.paymentAccuracy, THRESHOLDS.paymentAccuracy);
+  });
+
+  it('keeps every language above the threshold', () => {
+    Object.entries(report.byLanguage).forEach(([language, score]) => {
+      expectAtLeast(language, score.intentAccuracy, THRESHOLDS.languageIntentAccuracy);
+    });
+  });
+
+  it('keeps every intent above the threshold', () => {
+    Object.entries(report.byIntent).forEach(([intent, score]) => {
+      expectAtLeast(intent, score.f1, THRESHOLDS.intentF1);
+    });
+  });
+});
+
+describe('evaluateIntentGrammar', () => {
+  it('reports mislabelled utterances as failures', () => {
+    const result = evaluateIntentGrammar([
+      { text: 'Zwei Cheeseburger bitte', language: 'de', intent: 'order.create', items: [{ productId: 'cheeseburger', quantity: 2 }] },
+      { text: 'Zwei Cheeseburger bitte', language: 'de', intent: 'order.cancel' }
+    ], EVALUATION_MENU);
+
+    expect(result.intentAccuracy).toBe(0.5);
+    expect(result.byIntent['order.cancel']).toMatchObject({ recall: 0, support: 1 });
+    expect(result.failures).toEqual([
+      { text: 'Zwei Cheeseburger bitte', language: 'de', expected: 'order.cancel', actual: 'order.create' }
+    ]);
+  });
+});
@@ -0,0 +1,181 @@
+/**
+ * Intent Evaluation
+ *
+ * Bewertet die Intent-Grammatik gegen einen gelabelten Korpus
+ * Intent-Genauigkeit, Precision/Recall je Intent, Produkte und Mengen
+ *
+ * @author Benedikt Thomma <benedikt@thomma.ch>
+ */
+
+import { EVALUATION_MENU, INTENT_CORPUS, LabelledUtterance } from './intent.corpus';
+import { GrammarMenuEntry, IntentGrammar } from './intent.grammar';
+
+export interface IntentScore {
+  precision: number;
+  recall: number;
+  f1: number;
+  support: number;
+}
+
+export interface EvaluationFailure {
+  text: string;
+  language: string;
+  expected: string;
+  actual: string;
+}
+
+export interface EvaluationReport {
+  total: number;
+  intentAccuracy: number;
+  languageAccuracy: number;
+  /** Anteil der Äusserungen mit Produkten, bei denen alle Produkte und Mengen stimmen */
+  itemAccuracy: number;
+  paymentAccuracy: number;
+  byIntent: Record<string, IntentScore>;
+  byLanguage: Record<string, { total: number; intentAccuracy: number }>;
+  failures: EvaluationFailure[];
+}
+
+const ratio = (hits: number, total: number): number => (total === 0 ? 1 : Math.round((hits / total) * 1000) / 1000);
+
+const describeItems = (items: { productId: string; quantity: number }[] = []): string =>
+  items.map(item => `${item.quantity}x ${item.productId}`).join(', ') || '-';
+
+/**
+ * Wertet die Grammatik gegen den Korpus aus
+ *
+ * Ohne Argumente werden das mitgelieferte Menü und der Korpus verwendet.
+ */
+export function evaluateIntentGrammar(
+  corpus: LabelledUtterance[] = INTENT_CORPUS,
+  menu: GrammarMenuEntry[] = EVALUATION_MENU
+): EvaluationReport {
+  const grammar = new IntentGrammar(menu);
+  const counts = new Map<string, { truePositive: number; falsePositive: number; falseNegative: number }>();
+  const languages = new Map<string, { total: number; correct: number }>();
+  const failures: EvaluationFailure[] = [];
+  let intentHits = 0;
+  let languageHits = 0;
+  let itemTotal = 0;
+  let itemHits = 0;
+  let paymentTotal = 0;
+  let paymentHits = 0;
+
+  const count = (intent: string) => {
+    if (!counts.has(intent)) {
+      counts.set(intent, { truePositive: 0, falsePositive: 0, falseNegative: 0 });
+    }
+    return counts.get(intent)!;
+  };
+
+  corpus.forEach(utterance => {
+    const result = grammar.parse(utterance.text, utterance.language);
+    const actual = result.intent.type;
+    const language = languages.get(utterance.language) || { total: 0, correct: 0 };
+    language.total++;
+
+    if (actual === utterance.intent) {
+      intentHits++;
+      language.correct++;
+      count(actual).truePositive++;
+    } else {
+      count(actual).falsePositive++;
+      count(utterance.intent).falseNegative++;
+      failures.push({
+        text: utterance.text,
+        language: utterance.language,
+        expected: utterance.intent,
+        actual
+      });
+    }
+    languages.set(utterance.language, language);
+
+    if (result.language === utterance.language) {
+      languageHits++;
+    }
+
+    if (utterance.items) {
+      itemTotal++;
+      const expected = describeItems(utterance.items);
+      const parsed = describeItems(result.items);
+      if (expected === parsed) {
+        itemHits++;
+      } else {
+        failures.push({ text: utterance.text, language: utterance.language, expected, actual: parsed });
+      }
+    }
+
+    if (utterance.paymentMethod) {
+      paymentTotal++;
+      if (result.paymentMethod === utterance.paymentMethod) {
+        paymentHits++;
+      } else {
+        failures.push({
+          text: utterance.text,
+          language: utterance.language,
+          expected: `payment ${utterance.paymentMethod}`,
+          actual: `payment ${result.paymentMethod || '-'}`
+        });
+      }
+    }
+  });
+
+  const byIntent: Record<string, IntentScore> = {};
+  counts.forEach(({ truePositive, falsePositive, falseNegative }, intent) => {
+    const precision = ratio(truePositive, truePositive + falsePositive);
+    const recall = ratio(truePositive, truePositive + falseNegative);
+    byIntent[intent] = {
+      precision,
+      recall,
+      f1: precision + recall === 0 ? 0 : Math.round(((2 * precision * recall) / (precision + recall)) * 1000) / 1000,
+      support: truePositive + falseNegative
+    };
+  });
+
+  const byLanguage: Record<string, { total: number; intentAccuracy: number }> = {};
+  languages.forEach(({ total, correct }, language) => {
+    byLanguage[language] = { total, intentAccuracy: ratio(correct, total) };
+  });
+
+  return {
+    total: corpus.length,
+    intentAccuracy: ratio(intentHits, corpus.length),
+    languageAccuracy: ratio(languageHits, corpus.length),
+    itemAccuracy: ratio(itemHits, itemTotal),
+    paymentAccuracy: ratio(paymentHits, paymentTotal),
+    byIntent,
+    byLanguage,
+    failures
+  };
+}
+
+/**
+ * Lesbare Zusammenfassung für CI-Logs
+ */
+export function formatEvaluationReport(report: EvaluationReport): string {
+  const percent = (value: number) => `${(value * 100).toFixed(1)}%`;
+  const lines = [
+    `Utterances: ${report.total}`,
+    `Intent accuracy: ${percent(report.intentAccuracy)}`,
+    `Language accuracy: ${percent(report.languageAccuracy)}`,
+    `Item accuracy: ${percent(report.itemAccuracy)}`,
+    `Payment accuracy: ${percent(report.paymentAccuracy)}`,
+    '',
+    ...Object.entries(report.byLanguage).map(([language, score]) =>
+      `  ${language.padEnd(4)} ${percent(score.intentAccuracy)} of ${score.total}`
+    ),
+    '',
+    ...Object.entries(report.byIntent).map(([intent, score]) =>
+      `  ${intent.padEnd(16)} P ${percent(score.precision)}  R ${percent(score.recall)}  F1 ${percent(score.f1)}  (${score.support})`
+    )
+  ];
+
+  if (report.failures.length > 0) {
+    lines.push('', 'Failures:');
+    report.failures.forEach(failure => {
+      lines.push(`  [${failure.language}] "${failure.text}": expected ${failure.expected}, got ${failure.actual}`);
+    });
+  }
+
+  return lines.join('\n');
+}
@@ -0,0 +1,724 @@
+/**
+ * Intent Grammar
+ *
+ * Deterministische, lokale Intent- und Entity-Erkennung für Voice Orders
+ * Deutsch, Schweizerdeutsch, Französisch, Italienisch und Englisch
+ *
+ * Läuft ohne Netzwerk (Festivals mit schlechtem Empfang) und liefert für
+ * denselben Text und dasselbe Menü immer dasselbe Resultat.
+ *
+ * @author Benedikt Thomma <benedikt@thomma.ch>
+ */
+
+import { Entity, Intent } from '../types/ai.types';
+
+// ================================
+// TYPES
+// ================================
+
+export type GrammarLanguage = 'de' | 'gsw' | 'fr' | 'it' | 'en';
+
+export interface GrammarMenuEntry {
+  id: string;
+  name: string | Partial<Record<'de' | 'fr' | 'it' | 'en', string>>;
+  aliases?: string[];
+  category?: string;
+  price: number;
+}
+
+export interface GrammarOrderItem {
+  productId: string;
+  productName: string;
+  quantity: number;
+  modifiers: {
+    type?: string;
+    value: string;
+    operation: 'add' | 'remove';
+  }[];
+  price: number;
+  /** Weitere Produkte, wenn der Name im Menü mehrdeutig ist */
+  alternatives?: string[];
+}
+
+export interface GrammarParseResult {
+  language: GrammarLanguage;
+  normalizedText: string;
+  intent: Intent;
+  entities: Entity[];
+  items: GrammarOrderItem[];
+  paymentMethod?: string;
+}
+
+interface Token {
+  text: string;
+  start: number;
+  end: number;
+}
+
+interface ProductPhrase {
+  tokens: string[];
+  entry: GrammarMenuEntry;
+  /** Nur der Kopf des Namens ("burger" für "Classic Burger") */
+  partial: boolean;
+}
+
+interface ProductMatch {
+  entries: GrammarMenuEntry[];
+  value: string;
+  from: number;
+  to: number;
+  confidence: number;
+}
+
+interface QuantityMatch {
+  value: number;
+  confidence: number;
+  start: number;
+  end: number;
+}
+
+interface ModifierMatch {
+  value: string;
+  operation: 'add' | 'remove';
+  product: number;
+  start: number;
+  end: number;
+}
+
+// ================================
+// LEXICON
+// ================================
+
+// Zahlwörter je Sprache; Schweizerdeutsch versteht auch die deutschen
+const NUMBER_WORDS: Record<GrammarLanguage, Record<string, number>> = {
+  de: {
+    ein: 1, eine: 1, einen: 1, eins: 1, zwei: 2, zwo: 2, drei: 3, vier: 4, fünf: 5, sechs: 6,
+    sieben: 7, acht: 8, neun: 9, zehn: 10, elf: 11, zwölf: 12, zwanzig: 20
+  },
+  gsw: {
+    eis: 1, ei: 1, eini: 1, zwöi: 2, zwoi: 2, zwee: 2, zwo: 2, drü: 3, vieri: 4, föif: 5, füf: 5,
+    sächs: 6, sibe: 7, sibä: 7, achti: 8, nüün: 9, nün: 9, zäh: 10, ölf: 11, zwölf: 12, zwöuf: 12,
+    zwänzg: 20
+  },
+  fr: {
+    un: 1, une: 1, deux: 2, trois: 3, quatre: 4, cinq: 5, six: 6, sept: 7, huit: 8, neuf: 9,
+    dix: 10, onze: 11, douze: 12, vingt: 20
+  },
+  it: {
+    uno: 1, una: 1, un: 1, due: 2, tre: 3, quattro: 4, cinque: 5, sei: 6, sette: 7, otto: 8,
+    nove: 9, dieci: 10, undici: 11, dodici: 12, venti: 20
+  },
+  en: {
+    one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9, ten: 10,
+    eleven: 11, twelve: 12, twenty: 20, couple: 2
+  }
+};
+
+// "a dozen", "ein Dutzend", "une douzaine", "mezza dozzina"
+const DOZEN_WORDS = ['dutzend', 'dotzend', 'douzaine', 'dozzina', 'dozen'];
+const HALF_WORDS = ['halb', 'halbes', 'halbs', 'demi', 'mezza', 'half'];
+
+// Wörter, die eine Sprache eindeutig kennzeichnen
+const LANGUAGE_MARKERS: Record<GrammarLanguage, string[]> = {
+  gsw: [
+    'grüezi', 'grüessech', 'hoi', 'sali', 'hätti', 'möcht', 'möchti', 'chönd', 'chönnt', 'chan',
+    'isch', 'choschtet', 'ohni', 'vilmal', 'nimm', 'widerluege', 'öppis', 'gits', 'händ', 'hend',
+    'zwöi', 'drü', 'föif', 'sächs', 'grossi', 'chlini', 'zale', 'tschau'
+  ],
+  de: [
+    'ich', 'möchte', 'hätte', 'gerne', 'nehme', 'bestellen', 'bitte', 'ohne', 'und', 'kostet',
+    'wie', 'was', 'haben', 'sie', 'guten', 'tag', 'danke', 'zwei', 'drei', 'einen', 'eine'
+  ],
+  fr: [
+    'je', 'voudrais', 'prends', 'avec', 'sans', 'et', 'combien', 'bonjour', 'plait', 'deux',
+    'trois', 'une', 'des', 'pour', 'moi', 'vous', 'avez', 'est', 'que', 'la', 'le', 'au', 'revoir'
+  ],
+  it: [
+    'vorrei', 'prendo', 'con', 'senza', 'quanto', 'costa', 'buongiorno', 'grazie', 'due', 'tre',
+    'per', 'favore', 'una', 'uno', 'mi', 'avete', 'di', 'il', 'arrivederci', 'ciao'
+  ],
+  en: [
+    'i', 'would', 'like', 'have', 'with', 'without', 'and', 'how', 'much', 'please', 'two',
+    'three', 'can', 'get', 'want', 'the', 'hello', 'thanks', 'what', 'you', 'my'
+  ]
+};
+
+// Intent-Phrasen; "*" am Ende passt auf jedes Wort mit diesem Anfang
+const INTENT_PHRASES: Record<string, string[]> = {
+  'order.create': [
+    'möchte*', 'hätte gern*', 'nehme', 'bestell*', 'will', 'gib mir', 'geben sie mir', 'für mich',
+    'hätti gern*', 'möcht*', 'nimm', 'i nimm', 'für mi', 'chönnt i', 'chan i', 'gäbed sie mer',
+    'voudrais', 'prends', 'prendrai', 'aimerais', 'pour moi', 'je veux', 'donnez moi',
+    'vorrei', 'prendo', 'prenderei', 'mi dia', 'per me', 'voglio',
+    'i d like', 'i would like', 'ill have', 'i ll have', 'i want', 'can i get', 'can i have',
+    'give me', 'get me', 'order'
+  ],
+  'order.modify': [
+    'ändern', 'änder*', 'statt', 'anstatt', 'stattdessen', 'doch lieber', 'lieber', 'noch dazu',
+    'dazu noch', 'zusätzlich', 'au lieu', 'a la place', 'plutot', 'changer', 'en plus',
+    'invece', 'cambiare', 'anche', 'instead', 'change', 'also add', 'add'
+  ],
+  'order.cancel': [
+    'stornier*', 'abbrech*', 'annullier*', 'vergiss es', 'vergessen sie', 'doch nicht',
+    'annuler', 'annule', 'annullare', 'annulla', 'cancel', 'never mind', 'nevermind'
+  ],
+  'menu.inquiry': [
+    'was haben sie', 'was gibt es', 'was gibts', 'was gits', 'was händ sie', 'was hend ihr',
+    'was händ ir', 'speisekarte', 'menü', 'menu', 'karte zeigen', 'vegetarisch*', 'vegan*',
+    'qu est ce que vous avez', 'vous avez quoi', 'la carte', 'cosa avete', 'che cosa avete',
+    'what do you have', 'what have you got', 'what s on the menu'
+  ],
+  'price.inquiry': [
+    'was kostet', 'wie viel kostet', 'wieviel kostet', 'was kosten', 'preis', 'wie teuer',
+    'was choschtet', 'was choscht', 'wie tüür', 'combien', 'prix', 'quanto costa',
+    'quanto costano', 'prezzo', 'how much', 'price', 'cost*'
+  ],
+  'order.status': [
+    'wie lange', 'wie lang', 'wann fertig', 'wann ist', 'wann isch', 'status', 'wartezeit',
+    'schon fertig', 'scho fertig', 'combien de temps', 'quand', 'prete', 'pret', 'quanto tempo',
+    'quando', 'pronto', 'how long', 'when will', 'ready'
+  ],
+  'payment.inquiry': [
+    'zahlen', 'bezahlen', 'zahle', 'zale', 'payer', 'paye', 'pagare', 'pago', 'pay', 'paying'
+  ],
+  'greeting.swiss': [
+    'grüezi', 'grüessech', 'grüess di', 'hoi', 'sali', 'hallo', 'guten tag', 'guete tag',
+    'bonjour', 'salut', 'bonsoir', 'buongiorno', 'buonasera', 'ciao', 'hello', 'hi', 'hey'
+  ],
+  'farewell.swiss': [
+    'ade', 'adieu', 'tschüss', 'tschau', 'uf widerluege', 'auf wiedersehen', 'merci vilmal',
+    'au revoir', 'bonne journee', 'arrivederci', 'buona giornata', 'bye', 'goodbye'
+  ]
+};
+
+// Bei gleich vielen Treffern gewinnt der früher genannte Intent
+const INTENT_PRIORITY = [
+  'order.cancel', 'order.status', 'price.inquiry', 'menu.inquiry', 'order.modify',
+  'order.create', 'payment.inquiry', 'farewell.swiss', 'greeting.swiss'
+];
+
+const REMOVE_MARKERS = ['ohne', 'ohni', 'sans', 'senza', 'without', 'keine', 'kein', 'keis'];
+const ADD_MARKERS = ['extra', 'mit', 'avec', 'con', 'with', 'plus', 'supplement', 'doppelt', 'double'];
+
+// Artikel zwischen Modifier und Zutat ("sans les oignons", "senza la cipolla")
+const ARTICLES = [
+  'de', 'du', 'des', 'la', 'le', 'les', 'l', 'd', 'di', 'del', 'della', 'il', 'lo', 'gli', 'the',
+  'der', 'die', 'das', 'den', 'dem', 'viel', 'mehr', 'extra'
+];
+
+// Adjektive zwischen Menge und Produkt ("zwei grosse Burger")
+const FILLER_WORDS = [
+  'grosse', 'grossi', 'grosses', 'kleine', 'chlini', 'kleines', 'grand', 'grande', 'grands',
+  'petit', 'petite', 'piccolo', 'piccola', 'large', 'small', 'big', 'portion', 'portione',
+  'portionen', 'portions', 'porzione', 'porzioni', 'stuck', 'stk', 'x', 'mal', 'fois',
+  'of', 'times', 'de', 'd', 'di'
+];
+
+// Häufige Fehler der Spracherkennung
+const SPOKEN_CORRECTIONS: Record<string, string> = {
+  pomfrit: 'pommes',
+  pommfrit: 'pommes',
+  koloa: 'cola',
+  kola: 'cola'
+};
+
+const PAYMENT_WORDS: Record<string, string[]> = {
+  twint: ['twint'],
+  card: ['karte', 'kreditkarte', 'kartli', 'carte', 'carta', 'card', 'maestro', 'visa', 'mastercard'],
+  cash: ['bar', 'bargeld', 'cash', 'especes', 'liquide', 'contanti', 'contante'],
+  invoice: ['rechnung', 'facture', 'fattura', 'invoice']
+};
+
+// ================================
+// NORMALIZATION
+// ================================
+
+/**
+ * Kleinbuchstaben ohne Akzente und Satzzeichen
+ *
+ * Umlaute werden gefaltet ("zwöi" -> "zwoi"), damit Transkripte mit und ohne
+ * Umlaut gleich behandelt werden. Die Länge des Texts bleibt erhalten.
+ */
+export function foldText(text: string): string {
+  return text
+    .toLowerCase()
+    .replace(/ß/g, 's')
+    .normalize('NFD')
+    .replace(/[̀-ͯ]/g, '')
+    .replace(/[^a-z0-9]/g, ' ');
+}
+
+const fold = (word: string): string => foldText(word).replace(/\s+/g, ' ').trim();
+
+function tokenize(folded: string): Token[] {
+  const tokens: Token[] = [];
+  const wordRegex = /[a-z0-9]+/g;
+  let match: RegExpExecArray | null;
+
+  while ((match = wordRegex.exec(folded)) !== null) {
+    // "2x" und "x2" als Zahl und Multiplikator
+    const split = /^(\d+)x$|^x(\d+)$/.exec(match[0]);
+    if (split) {
+      const digits = split[1] || split[2];
+      const offset = split[1] ? 0 : 1;
+      tokens.push({ text: digits, start: match.index + offset, end: match.index + offset + digits.length });
+    } else {
+      const text = SPOKEN_CORRECTIONS[match[0]] || match[0];
+      tokens.push({ text, start: match.index, end: match.index + match[0].length });
+    }
+  }
+
+  return tokens;
+}
+
+const INFLECTIONS = ['s', 'e', 'n', 'en', 'es', 'er', 'i', 'li'];
+
+// Einfacher Plural/Singular-Abgleich ("burgers", "pommes", "pizze", "bierli")
+function isInflection(spoken: string, menuWord: string): boolean {
+  if (Math.min(spoken.length, menuWord.length) < 4) return false;
+  const [short, long] = spoken.length < menuWord.length ? [spoken, menuWord] : [menuWord, spoken];
+  if (INFLECTIONS.some(suffix => long === short + suffix)) return true;
+  // Italienisch: pizza/pizze, panino/panini
+  return spoken.length === menuWord.length
+    && spoken.slice(0, -1) === menuWord.slice(0, -1)
+    && /[aeio]/.test(spoken.slice(-1)) && /[aeio]/.test(menuWord.slice(-1));
+}
+
+function editDistance(a: string, b: string): number {
+  const row = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+  for (let i = 1; i <= a.length; i++) {
+    let diagonal = row[0];
+    row[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const above = row[j];
+      row[j] = Math.min(
+        row[j] + 1,
+        row[j - 1] + 1,
+        diagonal + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+      diagonal = above;
+    }
+  }
+
+  return row[b.length];
+}
+
+/**
+ * Ob ein gesprochenes Wort zu einem Menü-Wort passt
+ *
+ * Gibt 1 für exakte Treffer, etwas weniger für Plural oder Tippfehler der
+ * Spracherkennung ("burker") und 0 für keinen Treffer.
+ */
+function wordScore(spoken: string, menuWord: string): number {
+  if (spoken === menuWord) return 1;
+  if (isInflection(spoken, menuWord)) return 0.95;
+  if (menuWord.length >= 5 && editDistance(spoken, menuWord) <= 1) return 0.8;
+  return 0;
+}
+
+function matchesPhrase(tokens: Token[], index: number, phrase: string[]): boolean {
+  return phrase.every((word, offset) => {
+    const token = tokens[index + offset];
+    if (!token) return false;
+    return word.endsWith('*') ? token.text.startsWith(word.slice(0, -1)) : token.text === word;
+  });
+}
+
+// ================================
+// GRAMMAR
+// ================================
+
+export class IntentGrammar {
+  private phrases: ProductPhrase[] = [];
+  private readonly intentPhrases: [string, string[][]][];
+  private readonly numberWords: Record<GrammarLanguage, Map<string, number>>;
+  private readonly markers: Record<GrammarLanguage, Set<string>>;
+
+  constructor(menu: GrammarMenuEntry[] = []) {
+    this.intentPhrases = Object.entries(INTENT_PHRASES).map(([intent, phrases]) => [
+      intent,
+      phrases.map(phrase => {
+        const words = fold(phrase.replace('*', '')).split(' ');
+        if (phrase.endsWith('*')) {
+          words[words.length - 1] += '*';
+        }
+        return words;
+      })
+    ]);
+
+    this.numberWords = {} as Record<GrammarLanguage, Map<string, number>>;
+    this.markers = {} as Record<GrammarLanguage, Set<string>>;
+    (Object.keys(NUMBER_WORDS) as GrammarLanguage[]).forEach(language => {
+      this.numberWords[language] = new Map(
+        Object.entries(NUMBER_WORDS[language]).map(([word, value]) => [fold(word), value])
+      );
+      this.markers[language] = new Set(LANGUAGE_MARKERS[language].map(fold));
+    });
+
+    this.setMenu(menu);
+  }
+
+  /**
+   * Setzt das Menü des Tenants, gegen das Produktnamen aufgelöst werden
+   */
+  setMenu(menu: GrammarMenuEntry[]): void {
+    const phrases: ProductPhrase[] = [];
+
+    menu.forEach(entry => {
+      const names = typeof entry.name === 'string' ? [entry.name] : Object.values(entry.name);
+      const full = [...names, ...(entry.aliases || [])]
+        .filter((name): name is string => Boolean(name))
+        .map(name => fold(name).split(' '));
+
+      full.forEach(tokens => {
+        phrases.push({ tokens, entry, partial: false });
+        // "Classic Burger" soll auch auf "Burger" hören
+        if (tokens.length > 1) {
+          phrases.push({ tokens: tokens.slice(-1), entry, partial: true });
+        }
+      });
+    });
+
+    // Längste Namen zuerst, damit "Veggie Burger" vor "Burger" gewinnt
+    this.phrases = phrases.sort((a, b) => b.tokens.length - a.tokens.length);
+  }
+
+  /**
+   * Erkennt Intent, Produkte, Mengen, Modifier und Zahlungsart
+   */
+  parse(text: string, languageHint?: string): GrammarParseResult {
+    const normalizedText = foldText(text);
+    const tokens = tokenize(normalizedText);
+    const language = this.detectLanguage(tokens, languageHint);
+
+    const products = this.findProducts(tokens);
+    const quantities = this.findQuantities(tokens, language, products);
+    const modifiers = this.findModifiers(tokens, products);
+    const payment = this.findPaymentMethod(tokens);
+    const intent = this.detectIntent(tokens, products, modifiers.length > 0, Boolean(payment));
+
+    const items = products.map((product, index) => {
+      const [entry, ...alternatives] = product.entries;
+      const item: GrammarOrderItem = {
+        productId: entry.id,
+        productName: this.getEntryName(entry, language),
+        quantity: quantities[index]?.value || 1,
+        modifiers: modifiers
+          .filter(modifier => modifier.product === index)
+          .map(({ value, operation }) => ({ type: 'ingredient', value, operation })),
+        price: entry.price
+      };
+      if (alternatives.length > 0) {
+        item.alternatives = alternatives.map(alternative => alternative.id);
+      }
+      return item;
+    });
+
+    const entities: Entity[] = [
+      ...products.map((product, index) => ({
+        type: 'product' as const,
+        value: items[index].productName,
+        confidence: product.confidence,
+        start: tokens[product.from].start,
+        end: tokens[product.to - 1].end,
+        metadata: {
+          productId: items[index].productId,
+          category: product.entries[0].category,
+          price: items[index].price,
+          alternatives: items[index].alternatives
+        }
+      })),
+      ...quantities
+        .filter((quantity): quantity is QuantityMatch => Boolean(quantity))
+        .map(quantity => ({
+          type: 'quantity' as const,
+          value: quantity.value.toString(),
+          confidence: quantity.confidence,
+          start: quantity.start,
+          end: quantity.end,
+          metadata: { numeric_value: quantity.value, unit: 'piece' }
+        })),
+      ...modifiers.map(modifier => ({
+        type: 'modifier' as const,
+        value: modifier.value,
+        confidence: 0.85,
+        start: modifier.start,
+        end: modifier.end,
+        metadata: { modifier_type: 'ingredient', operation: modifier.operation }
+      }))
+    ];
+
+    if (payment) {
+      entities.push({
+        type: 'payment_method',
+        value: payment.method,
+        confidence: 0.9,
+        start: payment.start,
+        end: payment.end
+      });
+    }
+
+    return {
+      language,
+      normalizedText,
+      intent,
+      entities: entities.sort((a, b) => a.start - b.start),
+      items,
+      paymentMethod: payment?.method
+    };
+  }
+
+  // Helper Methods
+  private detectLanguage(tokens: Token[], hint?: string): GrammarLanguage {
+    const hinted = this.languageFromHint(hint);
+    const hits = (language: GrammarLanguage) => tokens.filter(token => this.markers[language].has(token.text)).length;
+    const dialect = hits('gsw');
+
+    // Dialektwörter zählen auch für Deutsch
+    const scores: [GrammarLanguage, number][] = (['de', 'fr', 'it', 'en'] as GrammarLanguage[]).map(language => [
+      language,
+      hits(language) + (language === 'de' ? dialect : 0) + (language === hinted || (language === 'de' && hinted === 'gsw') ? 0.5 : 0)
+    ]);
+    const [best] = scores.reduce((top, score) => (score[1] > top[1] ? score : top));
+
+    // Schweizerdeutsch ist Deutsch mit mindestens einem Dialektwort
+    if (best === 'de' && (dialect > 0 || hinted === 'gsw')) {
+      return 'gsw';
+    }
+    return best;
+  }
+
+  private languageFromHint(hint?: string): GrammarLanguage | undefined {
+    const code = hint?.toLowerCase() || '';
+    if (code.startsWith('gsw')) return 'gsw';
+    if (code.startsWith('de')) return 'de';
+    if (code.startsWith('fr')) return 'fr';
+    if (code.startsWith('it')) return 'it';
+    if (code.startsWith('en')) return 'en';
+    return undefined;
+  }
+
+  private findProducts(tokens: Token[]): ProductMatch[] {
+    const matches: ProductMatch[] = [];
+    let index = 0;
+
+    while (index < tokens.length) {
+      const match = this.matchProductAt(tokens, index);
+      if (match) {
+        matches.push(match);
+        index = match.to;
+      } else {
+        index++;
+      }
+    }
+
+    return matches;
+  }
+
+  private matchProductAt(tokens: Token[], index: number): ProductMatch | null {
+    let best: ProductMatch | null = null;
+
+    for (const phrase of this.phrases) {
+      if (best && phrase.tokens.length < best.to - best.from) break;
+
+      const scores = phrase.tokens.map((word, offset) => (
+        tokens[index + offset] ? wordScore(tokens[index + offset].text, word) : 0
+      ));
+      if (scores.some(score => score === 0)) continue;
+
+      const confidence = Math.min(...scores) * (phrase.partial ? 0.85 : 1);
+      const to = index + phrase.tokens.length;
+
+      if (!best || confidence > best.confidence) {
+        best = { entries: [phrase.entry], value: phrase.tokens.join(' '), from: index, to, confidence };
+      } else if (confidence === best.confidence && !best.entries.includes(phrase.entry)) {
+        // Mehrere Produkte teilen sich den Namen ("Burger")
+        best.entries.push(phrase.entry);
+      }
+    }
+
+    if (best && best.entries.length > 1) {
+      best.confidence *= 0.7;
+    }
+    return best;
+  }
+
+  /**
+   * Menge je Produkt, aus den Wörtern direkt davor ("zwöi grossi Burger")
+   */
+  private findQuantities(
+    tokens: Token[],
+    language: GrammarLanguage,
+    products: ProductMatch[]
+  ): (QuantityMatch | undefined)[] {
+    const lexicons = language === 'gsw' || language === 'de'
+      ? [this.numberWords.gsw, this.numberWords.de]
+      : [this.numberWords[language]];
+    const numberAt = (index: number): number | undefined => {
+      const word = tokens[index]?.text;
+      if (!word) return undefined;
+      if (/^\d+$/.test(word)) return parseInt(word, 10);
+      for (const lexicon of lexicons) {
+        if (lexicon.has(word)) return lexicon.get(word);
+      }
+      return undefined;
+    };
+
+    return products.map((product, productIndex) => {
+      const floor = productIndex > 0 ? products[productIndex - 1].to : 0;
+      let index = product.from - 1;
+      while (index >= floor && FILLER_WORDS.includes(tokens[index].text)) {
+        index--;
+      }
+
+      // Dutzend mit optionaler Zahl oder "halb" davor
+      if (index >= floor && DOZEN_WORDS.includes(tokens[index].text)) {
+        const before = index - 1 >= floor ? tokens[index - 1].text : '';
+        const beforeThat = index - 2 >= floor ? tokens[index - 2].text : '';
+        const half = HALF_WORDS.includes(before) || HALF_WORDS.includes(beforeThat);
+        const count = half ? 0.5 : ((index - 1 >= floor ? numberAt(index - 1) : undefined) ?? 1);
+        const startIndex = half && HALF_WORDS.includes(beforeThat) ? index - 2 : index - 1;
+        return {
+          value: Math.round(12 * count),
+          confidence: 0.9,
+          start: tokens[Math.max(startIndex, floor)].start,
+          end: tokens[index].end
+        };
+      }
+
+      const value = index >= floor ? numberAt(index) : undefined;
+      if (value === undefined) {
+        // "Burger x2", "burger mal zwei"; eine nackte Zahl nur nach dem letzten Produkt
+        const marked = ['x', 'mal', 'fois'].includes(tokens[product.to]?.text);
+        const after = marked ? product.to + 1 : product.to;
+        const trailing = marked || (productIndex === products.length - 1 && /^\d+$/.test(tokens[after]?.text || ''))
+          ? numberAt(after)
+          : undefined;
+        return trailing === undefined
+          ? undefined
+          : { value: trailing, confidence: 0.8, start: tokens[after].start, end: tokens[after].end };
+      }
+
+      return {
+        value,
+        confidence: /^\d+$/.test(tokens[index].text) ? 0.95 : 0.9,
+        start: tokens[index].start,
+        end: tokens[index].end
+      };
+    });
+  }
+
+  /**
+   * "ohne Zwiebeln", "avec supplément fromage", "with extra cheese"
+   */
+  private findModifiers(tokens: Token[], products: ProductMatch[]): ModifierMatch[] {
+    const modifiers: ModifierMatch[] = [];
+    const isProductToken = (index: number) => products.some(product => index >= product.from && index < product.to);
+
+    tokens.forEach((token, index) => {
+      const remove = REMOVE_MARKERS.includes(token.text);
+      if (!remove && !ADD_MARKERS.includes(token.text)) return;
+      if (isProductToken(index)) return;
+
+      let valueIndex = index + 1;
+      while (valueIndex < tokens.length && ARTICLES.includes(tokens[valueIndex].text)) {
+        valueIndex++;
+      }
+      // "Burger mit Pommes" sind zwei Produkte, kein Modifier
+      if (valueIndex >= tokens.length || isProductToken(valueIndex)) return;
+      const value = tokens[valueIndex].text;
+      if (REMOVE_MARKERS.includes(value) || ADD_MARKERS.includes(value) || /^\d+$/.test(value)) return;
+      // "mit Karte zahlen" ist kein Modifier
+      if (Object.values(PAYMENT_WORDS).some(words => words.includes(value))) return;
+
+      const before = products.filter(product => product.to <= index);
+      modifiers.push({
+        value,
+        operation: remove ? 'remove' : 'add',
+        product: before.length > 0 ? before.length - 1 : 0,
+        start: token.start,
+        end: tokens[valueIndex].end
+      });
+    });
+
+    // Ein "extra" direkt nach "mit" ist derselbe Modifier
+    return modifiers.filter((modifier, index) => index === 0 || modifiers[index - 1].end !== modifier.end);
+  }
+
+  private findPaymentMethod(tokens: Token[]): { method: string; start: number; end: number } | undefined {
+    for (const token of tokens) {
+      const method = Object.keys(PAYMENT_WORDS).find(key => PAYMENT_WORDS[key].includes(token.text));
+      if (method) {
+        return { method, start: token.start, end: token.end };
+      }
+    }
+    return undefined;
+  }
+
+  private detectIntent(tokens: Token[], products: ProductMatch[], hasModifiers: boolean, hasPayment: boolean): Intent {
+    const hits = new Map<string, string[]>();
+
+    this.intentPhrases.forEach(([intent, phrases]) => {
+      tokens.forEach((_, index) => {
+        phrases.forEach(phrase => {
+          if (matchesPhrase(tokens, index, phrase)) {
+            hits.set(intent, [...(hits.get(intent) || []), phrase.join(' ')]);
+          }
+        });
+      });
+    });
+
+    const build = (type: string, confidence: number): Intent => ({
+      type,
+      confidence,
+      category: getIntentCategory(type),
+      matched_pattern: hits.get(type)?.[0],
+      detected_entities: [
+        ...(products.length > 0 ? ['product'] : []),
+        ...(hasModifiers ? ['modifier'] : []),
+        ...(hasPayment ? ['payment_method'] : [])
+      ]
+    });
+
+    // Fragen und Storno gehen vor, auch wenn ein Produkt genannt wird
+    for (const type of ['order.cancel', 'order.status', 'price.inquiry']) {
+      if (hits.has(type)) return build(type, 0.9);
+    }
+
+    if (products.length > 0) {
+      if (hits.has('menu.inquiry') && !hits.has('order.create')) return build('menu.inquiry', 0.8);
+      if (hits.has('order.modify')) return build('order.modify', 0.85);
+      const confidence = Math.min(...products.map(product => product.confidence));
+      return build('order.create', (hits.has('order.create') ? 0.95 : 0.8) * confidence);
+    }
+
+    // "la carte" ist das Menü, nicht die Kreditkarte
+    if (hits.has('menu.inquiry')) return build('menu.inquiry', 0.85);
+    if (hasModifiers) return build('order.modify', 0.75);
+    if (hasPayment || hits.has('payment.inquiry')) return build('payment.inquiry', 0.85);
+
+    const best = INTENT_PRIORITY.find(type => hits.has(type));
+    if (best) {
+      // Bestellwunsch ohne erkanntes Produkt braucht eine Rückfrage
+      return build(best, best === 'order.create' ? 0.6 : 0.85);
+    }
+
+    return { type: 'unknown', confidence: 0, category: 'general' };
+  }
+
+  private getEntryName(entry: GrammarMenuEntry, language: GrammarLanguage): string {
+    if (typeof entry.name === 'string') return entry.name;
+    const key = language === 'gsw' ? 'de' : language;
+    return entry.name[key] || entry.name.de || Object.values(entry.name).find(Boolean) || entry.id;
+  }
+}
+
+export function getIntentCategory(intentType: string): Intent['category'] {
+  if (intentType.startsWith('order.')) return 'order';
+  if (intentType.startsWith('menu.')) return 'inquiry';
+  if (intentType.startsWith('price.')) return 'inquiry';
+  if (intentType.startsWith('payment.')) return 'payment';
+  if (intentType.startsWith('greeting.') || intentType.startsWith('farewell.')) return 'social';
+  return 'general';
+}
@@ -7,9 +7,7 @@
  * @author Benedikt Thomma <benedikt@thomma.ch>
  */
 
-import * as compromise from 'compromise';
 import { getFirestore } from 'firebase-admin/firestore';
-import * as natural from 'natural';
 import { OpenAI } from 'openai';
 import {
   ConversationContext,
@@ -19,169 +17,47 @@ import {
   IntentParsingResponse,
   OrderIntent
 } from '../types/ai.types';
+import { getCurrentSwissTime } from '../utils/ai.utils';
 import {
-  getCurrentSwissTime,
-  normalizeSwissGerman
-} from '../utils/ai.utils';
+  GrammarMenuEntry,
+  GrammarParseResult,
+  IntentGrammar
+} from './intent.grammar';
+
+export interface IntentParserOptions {
+  /** OpenAI nur fragen, wenn die Grammatik unsicher ist */
+  llmFallback?: boolean;
+  /** Unter dieser Confidence wird der LLM-Fallback gefragt */
+  fallbackThreshold?: number;
+}
 
 export class IntentParser {
-  private openai: OpenAI;
+  private openai?: OpenAI;
   private db: FirebaseFirestore.Firestore;
+  private fallbackThreshold: number;
   private intentCache: Map<string, IntentParsingResponse> = new Map();
-  private swissPatterns: Map<string, RegExp[]> = new Map();
-  private entityExtractors: Map<string, any> = new Map();
+  private grammars: Map<string, IntentGrammar> = new Map();
   private conversationContexts: Map<string, ConversationContext> = new Map();
 
-  // Schweizer Foodtruck Intents
-  private readonly FOODTRUCK_INTENTS = {
-    // Bestellung
-    'order.create': {
-      patterns: [
-        /ich möchte.*bestellen/i,
-        /hätte gern.*/i,
-        /kann ich.*haben/i,
-        /würde gern.*nehmen/i,
-        /ich nehme.*/i,
-        /bestelle.*/i
-      ],
-      entities: ['product', 'quantity', 'modifiers'],
-      confidence: 0.9
-    },
-
-    // Menu Information
-    'menu.inquiry': {
-      patterns: [
-        /was haben sie/i,
-        /was gibt es/i,
-        /menu.*zeigen/i,
-        /speisekarte/i,
-        /was für.*haben sie/i
-      ],
-      entities: ['category'],
-      confidence: 0.8
-    },
-
-    // Preise
-    'price.inquiry': {
-      patterns: [
-        /was kostet/i,
-        /wie viel.*/i,
-        /preis.*/i,
-        /wie teuer/i
-      ],
-      entities: ['product'],
-      confidence: 0.85
-    },
-
-    // Modifikationen
-    'order.modify': {
-      patterns: [
-        /ohne.*/i,
-        /mit extra.*/i,
-        /kann ich.*weglassen/i,
-        /dazu noch.*/i,
-        /zusätzlich.*/i
-      ],
-      entities: ['modifier', 'product'],
-      confidence: 0.8
-    },
-
-    // Bezahlung
-    'payment.inquiry': {
-      patterns: [
-        /bezahlen/i,
-        /zahlen/i,
-        /twint/i,
-        /karte/i,
-        /bar/i,
-        /rechnung/i
-      ],
-      entities: ['payment_method'],
-      confidence: 0.9
-    },
-
-    // Status
-    'order.status': {
-      patterns: [
-        /wie lange.*noch/i,
-        /wann.*fertig/i,
-        /status.*bestellung/i,
-        /wartezeit/i
-      ],
-      entities: ['order_number'],
-      confidence: 0.85
-    },
-
-    // Schweizerdeutsche Spezialitäten
-    'greeting.swiss': {
-      patterns: [
-        /grüezi/i,
-        /hoi/i,
-        /sali/i,
-        /grüessech/i
-      ],
-      entities: [],
-      confidence: 0.95
-    },
-
-    // Verabschiedung
-    'farewell.swiss': {
-      patterns: [
-        /ade/i,
-        /tschüss/i,
-        /merci vilmal/i,
-        /auf wiedersehen/i
-      ],
-      entities: [],
-      confidence: 0.9
+  constructor(options: IntentParserOptions = {}) {
+    // Ohne Fallback läuft die Erkennung vollständig lokal
+    if (options.llmFallback && process.env.OPENAI_API_KEY) {
+      this.openai = new OpenAI({
+        apiKey: process.env.OPENAI_API_KEY
+      });
     }
-  };
-
-  // Schweizer Produkt-Entitäten
-  private readonly SWISS_PRODUCT_ENTITIES = {
-    'burger': ['burger', 'hamburger', 'cheeseburger'],
-    'pommes': ['pommes', 'frites', 'chips'],
-    'getränk': ['cola', 'bier', 'wasser', 'getränk', 'softdrink'],
-    'bratwurst': ['bratwurst', 'wurst', 'cervelat'],
-    'rösti': ['rösti', 'hash browns'],
-    'älplermagronen': ['älplermagronen', 'mac and cheese']
-  };
-
-  // Schweizer Quantitäten
-  private readonly SWISS_QUANTITIES = {
-    'eins': 1, 'eis': 1, 'ein': 1, 'eine': 1,
-    'zwei': 2, 'zwo': 2, 'zwöi': 2,
-    'drei': 3, 'drü': 3,
-    'vier': 4, 'vieri': 4,
-    'fünf': 5, 'füf': 5,
-    'sechs': 6, 'sächs': 6,
-    'sieben': 7, 'sibä': 7,
-    'acht': 8, 'acht': 8,
-    'neun': 9, 'nün': 9,
-    'zehn': 10, 'zäh': 10
-  };
-
-  constructor() {
-    this.openai = new OpenAI({
-      apiKey: process.env.OPENAI_API_KEY
-    });
+    this.fallbackThreshold = options.fallbackThreshold ?? 0.6;
     this.db = getFirestore();
   }
 
   /**
    * Initialisiert den Intent Parser
    */
-  async initialize(): Promise<void> {
+  async initialize(tenantIds: string[] = []): Promise<void> {
     console.log('🧠 Initializing Intent Parser...');
 
-    // Lade Schweizer Sprachmuster
-    await this.loadSwissLanguagePatterns();
-
-    // Initialisiere Entity Extractors
-    this.initializeEntityExtractors();
-
     // Lade Tenant-spezifische Menüs
-    await this.loadTenantMenus();
+    await this.loadTenantMenus(tenantIds);
 
     console.log('✅ Intent Parser initialized');
   }
@@ -193,27 +69,31 @@ export class IntentParser {
     try {
       console.log(`🧠 Parsing intent for: "${request.text}"`);
 
-      // Normalisiere Input
-      const normalizedText = await this.normalizeInput(request.text, request.language);
-
       // Hole Conversation Context
       const context = this.getConversationContext(request.sessionId);
 
-      // Multi-Level Intent Detection
-      const intents = await Promise.all([
-        this.detectPatternBasedIntent(normalizedText, request),
-        this.detectAIBasedIntent(normalizedText, request, context),
-        this.detectEntityBasedIntent(normalizedText, request)
-      ]);
+      // Lokale Grammatik, funktioniert auch offline
+      const grammar = await this.getGrammar(request.tenantId);
+      const parsed = grammar.parse(request.text, request.language);
+      let bestIntent = parsed.intent;
+
+      // LLM nur als optionaler Fallback
+      if (this.openai && bestIntent.confidence < this.fallbackThreshold) {
+        const aiIntent = await this.detectAIBasedIntent(request.text, request, context);
+        if (aiIntent.confidence > bestIntent.confidence) {
+          bestIntent = aiIntent;
+        }
+      }
 
-      // Kombiniere und bewerte Intents
-      const bestIntent = this.combineIntents(intents, context);
+      // Kontext-basierte Anpassungen
+      if (context.lastIntent?.type === 'menu.inquiry' && bestIntent.type === 'order.create') {
+        bestIntent.confidence = Math.min(1, bestIntent.confidence * 1.2); // Boost wenn nach Menu-Inquiry bestellt wird
+      }
 
-      // Extrahiere Entitäten
-      const entities = await this.extractEntities(normalizedText, bestIntent, request);
+      const { entities } = parsed;
 
       // Erstelle strukturierte Order (falls Order Intent)
-      const orderIntent = await this.createOrderIntent(bestIntent, entities, request);
+      const orderIntent = this.createOrderIntent(bestIntent, parsed);
 
       // Update Conversation Context
       this.updateConversationContext(request.sessionId, bestIntent, entities);
@@ -222,7 +102,7 @@ export class IntentParser {
         sessionId: request.sessionId,
         tenantId: request.tenantId,
         originalText: request.text,
-        normalizedText,
+        normalizedText: parsed.normalizedText,
         intent: bestIntent,
         entities,
         orderIntent,
@@ -230,15 +110,17 @@ export class IntentParser {
         language: request.language || 'de-CH',
         conversationContext: context,
         parsedAt: getCurrentSwissTime(),
-        needsClarification: this.needsClarification(bestIntent, entities),
+        needsClarification: this.needsClarification(bestIntent, parsed),
         suggestedResponses: await this.generateSuggestedResponses(bestIntent, entities, request)
       };
 
       // Cache für Performance
       this.intentCache.set(this.getCacheKey(request), response);
 
-      // Log für Training
-      await this.logIntentParsing(request, response);
+      // Log für Training; darf offline die Bestellung nicht blockieren
+      this.logIntentParsing(request, response).catch(error => {
+        console.warn('Intent logging failed:', error);
+      });
 
       return response;
     } catch (error) {
@@ -248,62 +130,48 @@ export class IntentParser {
   }
 
   /**
-   * Normalisiert Input Text
-   */
-  private async normalizeInput(text: string, language?: string): Promise<string> {
-    let normalized = text.toLowerCase().trim();
-
-    // Schweizerdeutsch Normalisierung
-    if (language?.startsWith('de')) {
-      normalized = normalizeSwissGerman(normalized);
-    }
-
-    // Entferne Füllwörter
-    normalized = this.removeFillWords(normalized);
-
-    // Korrigiere häufige Sprachfehler
-    normalized = this.correctCommonErrors(normalized);
-
-    return normalized;
-  }
-
-  /**
-   * Pattern-basierte Intent-Erkennung
+   * Lädt die Menüs der Tenants für die Produkterkennung
+   *
+   * Einmal geladene Menüs bleiben im Speicher, damit die Erkennung auch
+   * bei Verbindungsabbruch weiterläuft.
    */
-  private async detectPatternBasedIntent(
-    text: string,
-    request: IntentParsingRequest
-  ): Promise<Intent> {
-    let bestMatch: Intent = {
-      type: 'unknown',
-      confidence: 0,
-      category: 'general'
-    };
-
-    for (const [intentType, config] of Object.entries(this.FOODTRUCK_INTENTS)) {
-      for (const pattern of config.patterns) {
-        const match = text.match(pattern);
-        if (match) {
-          const confidence = config.confidence * this.calculatePatternStrength(match, text);
-
-          if (confidence > bestMatch.confidence) {
-            bestMatch = {
-              type: intentType,
-              confidence,
-              category: this.getIntentCategory(intentType),
-              matched_pattern: pattern.source,
-              match_text: match[0]
+  async loadTenantMenus(tenantIds: string[]): Promise<void> {
+    await Promise.all(tenantIds.map(async tenantId => {
+      try {
+        const snapshot = await this.db
+          .collection('tenants')
+          .doc(tenantId)
+          .collection('products')
+          .get();
+
+        const menu: GrammarMenuEntry[] = snapshot.docs
+          .filter(doc => doc.get('available') !== false && doc.get('status') !== 'archived')
+          .map(doc => {
+            const data = doc.data();
+            return {
+              id: doc.id,
+              name: data.info?.name || data.name || doc.id,
+              aliases: data.voiceAliases || data.aliases || [],
+              category: data.category,
+              price: data.pricing?.basePrice ?? data.price ?? 0
             };
-          }
+          });
+
+        const grammar = this.grammars.get(tenantId);
+        if (grammar) {
+          grammar.setMenu(menu);
+        } else {
+          this.grammars.set(tenantId, new IntentGrammar(menu));
         }
+      } catch (error) {
+        // Offline: mit dem zuletzt geladenen Menü weiterarbeiten
+        console.warn(`Could not load menu for tenant ${tenantId}:`, error);
       }
-    }
-
-    return bestMatch;
+    }));
   }
 
   /**
-   * AI-basierte Intent-Erkennung
+   * AI-basierte Intent-Erkennung (optionaler Fallback)
    */
   private async detectAIBasedIntent(
     text: string,
@@ -313,7 +181,7 @@ export class IntentParser {
     try {
       const prompt = this.buildIntentDetectionPrompt(text, request, context);
 
-      const completion = await this.openai.chat.completions.create({
+      const completion = await this.openai!.chat.completions.create({
         model: 'gpt-4-turbo',
         messages: [
           {
@@ -344,199 +212,28 @@ export class IntentParser {
       console.error('AI intent detection failed:', error);
       return {
         type: 'unknown',
-        confidence: 0.3,
+        confidence: 0,
         category: 'general',
         error: 'AI analysis failed'
       };
     }
   }
 
-  /**
-   * Entity-basierte Intent-Erkennung
-   */
-  private async detectEntityBasedIntent(
-    text: string,
-    request: IntentParsingRequest
-  ): Promise<Intent> {
-    // Erkenne Entitäten und leite Intent ab
-    const doc = compromise(text);
-
-    // Suche nach Produkten
-    const hasProducts = this.findProducts(text, request.tenantId);
-
-    // Suche nach Quantitäten
-    const hasQuantities = this.findQuantities(text);
-
-    // Suche nach Aktionen
-    const actions = doc.verbs().out('array');
-
-    if (hasProducts.length > 0 && (hasQuantities.length > 0 || actions.some(a => ['möchte', 'hätte', 'nehme', 'bestelle'].includes(a)))) {
-      return {
-        type: 'order.create',
-        confidence: 0.8,
-        category: 'order',
-        detected_entities: ['product', 'quantity']
-      };
-    }
-
-    if (text.includes('was') && (text.includes('kostet') || text.includes('preis'))) {
-      return {
-        type: 'price.inquiry',
-        confidence: 0.85,
-        category: 'inquiry'
-      };
-    }
-
-    if (text.includes('menu') || text.includes('speisekarte') || text.includes('haben sie')) {
-      return {
-        type: 'menu.inquiry',
-        confidence: 0.8,
-        category: 'inquiry'
-      };
-    }
-
-    return {
-      type: 'unknown',
-      confidence: 0.2,
-      category: 'general'
-    };
-  }
-
-  /**
-   * Kombiniert verschiedene Intent-Erkennungen
-   */
-  private combineIntents(intents: Intent[], context: ConversationContext): Intent {
-    // Gewichtete Kombination basierend auf Confidence und Kontext
-    const weights = {
-      pattern: 0.4,
-      ai: 0.4,
-      entity: 0.2
-    };
-
-    let bestIntent = intents[0];
-
-    for (let i = 1; i < intents.length; i++) {
-      const currentIntent = intents[i];
-      const weightedConfidence = currentIntent.confidence * Object.values(weights)[i];
-      const bestWeightedConfidence = bestIntent.confidence * Object.values(weights)[0];
-
-      if (weightedConfidence > bestWeightedConfidence) {
-        bestIntent = currentIntent;
-      }
-    }
-
-    // Kontext-basierte Anpassungen
-    if (context.lastIntent?.type === 'menu.inquiry' && bestIntent.type === 'order.create') {
-      bestIntent.confidence *= 1.2; // Boost confidence wenn nach Menu-Inquiry bestellt wird
-    }
-
-    return bestIntent;
-  }
-
-  /**
-   * Extrahiert Entitäten aus Text
-   */
-  private async extractEntities(
-    text: string,
-    intent: Intent,
-    request: IntentParsingRequest
-  ): Promise<Entity[]> {
-    const entities: Entity[] = [];
-
-    // Produkt-Entitäten
-    const products = this.findProducts(text, request.tenantId);
-    entities.push(...products.map(product => ({
-      type: 'product',
-      value: product.name,
-      confidence: product.confidence,
-      start: product.start,
-      end: product.end,
-      metadata: {
-        productId: product.id,
-        category: product.category,
-        price: product.price
-      }
-    })));
-
-    // Quantitäts-Entitäten
-    const quantities = this.findQuantities(text);
-    entities.push(...quantities.map(qty => ({
-      type: 'quantity',
-      value: qty.value.toString(),
-      confidence: qty.confidence,
-      start: qty.start,
-      end: qty.end,
-      metadata: {
-        numeric_value: qty.value,
-        unit: qty.unit || 'piece'
-      }
-    })));
-
-    // Modifier-Entitäten
-    const modifiers = this.findModifiers(text);
-    entities.push(...modifiers.map(mod => ({
-      type: 'modifier',
-      value: mod.value,
-      confidence: mod.confidence,
-      start: mod.start,
-      end: mod.end,
-      metadata: {
-        modifier_type: mod.type,
-        operation: mod.operation // 'add' or 'remove'
-      }
-    })));
-
-    // Zahlungsmethoden
-    const paymentMethods = this.findPaymentMethods(text);
-    entities.push(...paymentMethods.map(pm => ({
-      type: 'payment_method',
-      value: pm.method,
-      confidence: pm.confidence,
-      start: pm.start,
-      end: pm.end
-    })));
-
-    return entities;
-  }
-
   /**
    * Erstellt strukturierte Order Intent
    */
-  private async createOrderIntent(
-    intent: Intent,
-    entities: Entity[],
-    request: IntentParsingRequest
-  ): Promise<OrderIntent | undefined> {
-    if (intent.type !== 'order.create') {
+  private createOrderIntent(intent: Intent, parsed: GrammarParseResult): OrderIntent | undefined {
+    if (intent.type !== 'order.create' || parsed.items.length === 0) {
       return undefined;
     }
 
-    const products = entities.filter(e => e.type === 'product');
-    const quantities = entities.filter(e => e.type === 'quantity');
-    const modifiers = entities.filter(e => e.type === 'modifier');
-
-    if (products.length === 0) {
-      return undefined;
-    }
-
-    const orderItems = products.map((product, index) => {
-      const quantity = quantities[index]?.metadata?.numeric_value || 1;
-      const itemModifiers = modifiers.filter(m =>
-        m.start > product.start && m.start < (products[index + 1]?.start || text.length)
-      );
-
-      return {
-        productId: product.metadata?.productId,
-        productName: product.value,
-        quantity,
-        modifiers: itemModifiers.map(m => ({
-          type: m.metadata?.modifier_type,
-          value: m.value,
-          operation: m.metadata?.operation
-        })),
-        price: product.metadata?.price || 0
-      };
-    });
+    const orderItems = parsed.items.map(item => ({
+      productId: item.productId,
+      productName: item.productName,
+      quantity: item.quantity,
+      modifiers: item.modifiers,
+      price: item.price
+    }));
 
     const totalAmount = orderItems.reduce((sum, item) =>
       sum + (item.price * item.quantity), 0
@@ -557,7 +254,9 @@ export class IntentParser {
    */
   async healthCheck(): Promise<boolean> {
     try {
-      await this.openai.models.list();
+      if (this.openai) {
+        await this.openai.models.list();
+      }
       await this.db.collection('_health').doc('ai_intent_parser').set({
         lastCheck: new Date(),
         service: 'intent-parser',
@@ -575,8 +274,7 @@ export class IntentParser {
    */
   async shutdown(): Promise<void> {
     this.intentCache.clear();
-    this.swissPatterns.clear();
-    this.entityExtractors.clear();
+    this.grammars.clear();
     this.conversationContexts.clear();
     console.log('Intent Parser shut down');
   }
@@ -586,65 +284,6 @@ export class IntentParser {
     return `${request.tenantId}_${request.text}_${request.sessionId}`;
   }
 
-  private async loadSwissLanguagePatterns(): Promise<void> {
-    // Lade Schweizer Sprachmuster
-    this.swissPatterns.set('greetings', [
-      /grüezi/i, /hoi/i, /sali/i, /grüessech/i
-    ]);
-
-    this.swissPatterns.set('politeness', [
-      /bitte/i, /merci/i, /danke/i, /merci vilmal/i
-    ]);
-  }
-
-  private initializeEntityExtractors(): void {
-    // Initialisiere Entity Extractors
-    this.entityExtractors.set('product', new natural.WordTokenizer());
-    this.entityExtractors.set('quantity', new natural.RegexpTokenizer({ pattern: /\d+/ }));
-  }
-
-  private async loadTenantMenus(): Promise<void> {
-    // Lade Tenant-spezifische Menüs für bessere Produkterkennung
-  }
-
-  private removeFillWords(text: string): string {
-    const fillWords = ['äh', 'öh', 'also', 'ja', 'eben', 'halt'];
-    let result = text;
-    fillWords.forEach(word => {
-      result = result.replace(new RegExp(`\\b${word}\\b`, 'gi'), '');
-    });
-    return result.replace(/\s+/g, ' ').trim();
-  }
-
-  private correctCommonErrors(text: string): string {
-    const corrections = {
-      'burker': 'burger',
-      'pomfrit': 'pommes',
-      'koloa': 'cola'
-    };
-
-    let result = text;
-    Object.entries(corrections).forEach(([wrong, correct]) => {
-      result = result.replace(new RegExp(wrong, 'gi'), correct);
-    });
-    return result;
-  }
-
-  private calculatePatternStrength(match: RegExpMatchArray, fullText: string): number {
-    const matchLength = match[0].length;
-    const textLength = fullText.length;
-    return Math.min(1, matchLength / textLength + 0.5);
-  }
-
-  private getIntentCategory(intentType: string): string {
-    if (intentType.startsWith('order.')) return 'order';
-    if (intentType.startsWith('menu.')) return 'inquiry';
-    if (intentType.startsWith('price.')) return 'inquiry';
-    if (intentType.startsWith('payment.')) return 'payment';
-    if (intentType.startsWith('greeting.') || intentType.startsWith('farewell.')) return 'social';
-    return 'general';
-  }
-
   private buildIntentDetectionPrompt(text: string, request: IntentParsingRequest, context: ConversationContext): string {
     return `
 Analysiere die folgende Kundenäußerung in einem Schweizer Foodtruck:
@@ -660,6 +299,7 @@ Mögliche Intents:
 - order.modify: Kunde möchte Bestellung ändern
 - payment.inquiry: Kunde fragt nach Bezahlung
 - order.status: Kunde fragt nach Bestellstatus
+- order.cancel: Kunde möchte Bestellung abbrechen
 - greeting.swiss: Schweizer Begrüßung
 - farewell.swiss: Schweizer Verabschiedung
 
@@ -672,6 +312,13 @@ Antworte in folgendem JSON-Format:
 }`;
   }
 
+  private async getGrammar(tenantId: string): Promise<IntentGrammar> {
+    if (!this.grammars.has(tenantId)) {
+      await this.loadTenantMenus([tenantId]);
+    }
+    return this.grammars.get(tenantId) || new IntentGrammar();
+  }
+
   private getConversationContext(sessionId: string): ConversationContext {
     return this.conversationContexts.get(sessionId) || {
       sessionId,
@@ -689,123 +336,13 @@ Antworte in folgendem JSON-Format:
     this.conversationContexts.set(sessionId, context);
   }
 
-  private findProducts(text: string, tenantId: string): any[] {
-    // Vereinfachte Produktsuche
-    const products = [];
-    for (const [category, items] of Object.entries(this.SWISS_PRODUCT_ENTITIES)) {
-      for (const item of items) {
-        const regex = new RegExp(`\\b${item}\\b`, 'i');
-        const match = text.match(regex);
-        if (match) {
-          products.push({
-            id: `${category}_${item}`,
-            name: item,
-            category,
-            confidence: 0.8,
-            start: match.index!,
-            end: match.index! + match[0].length,
-            price: 16.90 // Placeholder
-          });
-        }
-      }
-    }
-    return products;
-  }
-
-  private findQuantities(text: string): any[] {
-    const quantities = [];
-
-    // Numerische Quantitäten
-    const numberRegex = /\b(\d+)\b/g;
-    let match;
-    while ((match = numberRegex.exec(text)) !== null) {
-      quantities.push({
-        value: parseInt(match[1]),
-        confidence: 0.9,
-        start: match.index,
-        end: match.index + match[0].length
-      });
-    }
-
-    // Wort-basierte Quantitäten
-    for (const [word, value] of Object.entries(this.SWISS_QUANTITIES)) {
-      const regex = new RegExp(`\\b${word}\\b`, 'i');
-      const match = text.match(regex);
-      if (match) {
-        quantities.push({
-          value,
-          confidence: 0.8,
-          start: match.index!,
-          end: match.index! + match[0].length
-        });
-      }
-    }
-
-    return quantities;
-  }
-
-  private findModifiers(text: string): any[] {
-    const modifiers = [];
-
-    // "ohne" Modifiers
-    const withoutPattern = /ohne\s+(\w+)/gi;
-    let match;
-    while ((match = withoutPattern.exec(text)) !== null) {
-      modifiers.push({
-        type: 'ingredient',
-        value: match[1],
-        operation: 'remove',
-        confidence: 0.9,
-        start: match.index,
-        end: match.index + match[0].length
-      });
-    }
-
-    // "mit extra" Modifiers
-    const extraPattern = /mit\s+extra\s+(\w+)/gi;
-    while ((match = extraPattern.exec(text)) !== null) {
-      modifiers.push({
-        type: 'ingredient',
-        value: match[1],
-        operation: 'add',
-        confidence: 0.85,
-        start: match.index,
-        end: match.index + match[0].length
-      });
-    }
-
-    return modifiers;
-  }
-
-  private findPaymentMethods(text: string): any[] {
-    const methods = [];
-    const paymentPatterns = {
-      'twint': /twint/i,
-      'card': /karte/i,
-      'cash': /bar/i,
-      'invoice': /rechnung/i
-    };
-
-    for (const [method, pattern] of Object.entries(paymentPatterns)) {
-      const match = text.match(pattern);
-      if (match) {
-        methods.push({
-          method,
-          confidence: 0.9,
-          start: match.index!,
-          end: match.index! + match[0].length
-        });
-      }
-    }
-
-    return methods;
-  }
-
-  private needsClarification(intent: Intent, entities: Entity[]): boolean {
+  private needsClarification(intent: Intent, parsed: GrammarParseResult): boolean {
     // Prüfe ob Klarstellung nötig ist
     if (intent.type === 'order.create') {
-      const products = entities.filter(e => e.type === 'product');
-      return products.length === 0 || intent.confidence < 0.7;
+      // Mehrdeutige Namen ("Burger" bei zwei Burgern) nachfragen
+      return parsed.items.length === 0
+        || parsed.items.some(item => item.alternatives)
+        || intent.confidence < 0.7;
     }
 
     return intent.confidence < 0.6;
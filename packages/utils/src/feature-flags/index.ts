@@ -0,0 +1,5 @@
+// Export all feature flag utilities
+export * from './targeting';
+
+// Default exports
+export { default as targeting } from './targeting';
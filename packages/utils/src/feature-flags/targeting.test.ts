@@ -0,0 +1,188 @@
+/**
+ * Feature flag targeting tests
+ */
+
+import { describe, expect, it } from '@jest/globals';
+import {
+  applyDueTransitions,
+  compareVersions,
+  evaluateFlag,
+  FlagEvaluationContext,
+  getDueTransitions,
+  getRolloutBucket,
+  matchesCondition,
+  TargetableFlag,
+  TargetingCondition
+} from './targeting';
+
+const context: FlagEvaluationContext = {
+  truckId: 'truck-1',
+  userId: 'user-1',
+  tenant: { id: 'truck-1', plan: 'premium', canton: 'ZH' },
+  user: { appVersion: '2.4.1', platform: 'ios', segments: ['beta', 'stammkunde'] }
+};
+
+const flag = (overrides: Partial<TargetableFlag> = {}): TargetableFlag => ({
+  key: 'voice_ordering',
+  enabled: true,
+  ...overrides
+});
+
+// Contexts whose rollout bucket is known, found by scanning trucks
+const contextInBucket = (predicate: (bucket: number) => boolean): FlagEvaluationContext => {
+  for (let i = 0; i < 1000; i++) {
+    const candidate = { ...context, truckId: `truck-${i}` };
+    if (predicate(getRolloutBucket(candidate))) return candidate;
+  }
+  throw new Error('No context found for bucket');
+};
+
+describe('matchesCondition', () => {
+  const premium: TargetingCondition = { attribute: 'tenant.plan', operator: 'equals', value: 'Premium' };
+  const bern: TargetingCondition = { attribute: 'tenant.canton', operator: 'equals', value: 'BE' };
+  const beta: TargetingCondition = { attribute: 'user.segments', operator: 'contains', value: ['beta'] };
+
+  it('requires all conditions of an AND group', () => {
+    expect(matchesCondition({ combinator: 'and', conditions: [premium, beta] }, context)).toBe(true);
+    expect(matchesCondition({ combinator: 'and', conditions: [premium, bern] }, context)).toBe(false);
+  });
+
+  it('requires one condition of an OR group', () => {
+    expect(matchesCondition({ combinator: 'or', conditions: [bern, beta] }, context)).toBe(true);
+    expect(matchesCondition({ combinator: 'or', conditions: [bern] }, context)).toBe(false);
+  });
+
+  it('combines nested groups', () => {
+    const condition: TargetingCondition = {
+      combinator: 'and',
+      conditions: [premium, { combinator: 'or', conditions: [bern, beta] }]
+    };
+
+    expect(matchesCondition(condition, context)).toBe(true);
+    expect(matchesCondition(condition, { ...context, user: { segments: [] } })).toBe(false);
+  });
+
+  it('treats empty groups as always (AND) and never (OR)', () => {
+    expect(matchesCondition({ combinator: 'and', conditions: [] }, context)).toBe(true);
+    expect(matchesCondition({ combinator: 'or', conditions: [] }, context)).toBe(false);
+  });
+
+  it('matches list operators', () => {
+    expect(matchesCondition({ attribute: 'tenant.canton', operator: 'in', value: ['zh', 'BE'] }, context)).toBe(true);
+    expect(matchesCondition({ attribute: 'tenant.canton', operator: 'not_in', value: ['ZH'] }, context)).toBe(false);
+    expect(matchesCondition({ attribute: 'tenant.id', operator: 'exists' }, context)).toBe(true);
+  });
+});
+
+describe('version operators', () => {
+  it('compares versions numerically', () => {
+    expect(compareVersions('2.10.0', '2.9.3')).toBeGreaterThan(0);
+    expect(compareVersions('v2.4', '2.4.0')).toBe(0);
+    expect(compareVersions('1.9.9', '2.0.0')).toBeLessThan(0);
+  });
+
+  it('matches version_gte and version_lt', () => {
+    const gte = (value: string): TargetingCondition => ({ attribute: 'user.appVersion', operator: 'version_gte', value });
+    const lt = (value: string): TargetingCondition => ({ attribute: 'user.appVersion', operator: 'version_lt', value });
+
+    expect(matchesCondition(gte('2.4.1'), context)).toBe(true);
+    expect(matchesCondition(gte('2.10.0'), context)).toBe(false);
+    expect(matchesCondition(lt('2.10.0'), context)).toBe(true);
+    expect(matchesCondition(lt('2.4.1'), context)).toBe(false);
+  });
+
+  it('does not match without a version', () => {
+    const withoutVersion = { ...context, user: { platform: 'web' } };
+
+    expect(matchesCondition({ attribute: 'user.appVersion', operator: 'version_gte', value: '1.0.0' }, withoutVersion)).toBe(false);
+    expect(matchesCondition({ attribute: 'user.appVersion', operator: 'version_lt', value: '9.0.0' }, withoutVersion)).toBe(false);
+  });
+});
+
+describe('rollout bucket', () => {
+  it('is stable and between 0 and 1', () => {
+    const bucket = getRolloutBucket(context);
+
+    expect(bucket).toBeGreaterThanOrEqual(0);
+    expect(bucket).toBeLessThanOrEqual(1);
+    expect(getRolloutBucket({ ...context })).toBe(bucket);
+  });
+
+  it('serves the flag by bucket within the rollout percentage', () => {
+    const inside = contextInBucket(bucket => bucket <= 0.3);
+    const outside = contextInBucket(bucket => bucket > 0.3);
+
+    expect(evaluateFlag(flag({ rolloutPercentage: 30 }), inside)).toMatchObject({ enabled: true, reason: 'default' });
+    expect(evaluateFlag(flag({ rolloutPercentage: 30 }), outside)).toMatchObject({ enabled: false, reason: 'rollout' });
+  });
+
+  it('applies the rollout of the matching rule', () => {
+    const outside = contextInBucket(bucket => bucket > 0.5);
+    const rules = [{
+      id: 'beta',
+      condition: { attribute: 'user.segments', operator: 'contains' as const, value: ['beta'] },
+      enabled: true,
+      rolloutPercentage: 50
+    }];
+
+    expect(evaluateFlag(flag({ rules }), outside)).toMatchObject({ enabled: false, reason: 'rollout', ruleId: 'beta' });
+  });
+});
+
+describe('evaluateFlag', () => {
+  it('lets the first matching rule decide', () => {
+    const rules = [
+      { id: 'bern-off', condition: { attribute: 'tenant.canton', operator: 'equals' as const, value: 'BE' }, enabled: false },
+      { id: 'premium-off', condition: { attribute: 'tenant.plan', operator: 'equals' as const, value: 'premium' }, enabled: false },
+      { id: 'beta-on', condition: { attribute: 'user.segments', operator: 'contains' as const, value: ['beta'] }, enabled: true }
+    ];
+
+    expect(evaluateFlag(flag({ rules }), context)).toMatchObject({ enabled: false, reason: 'rule', ruleId: 'premium-off' });
+  });
+
+  it('keeps a switched off flag off', () => {
+    const rules = [{ id: 'all', condition: { combinator: 'and' as const, conditions: [] }, enabled: true }];
+
+    expect(evaluateFlag(flag({ enabled: false, rules }), context)).toMatchObject({ enabled: false, reason: 'disabled' });
+  });
+});
+
+describe('scheduled transitions', () => {
+  const transitions = [
+    { id: 'off', at: '2025-03-01T18:00:00.000Z', set: { enabled: false } },
+    { id: 'on', at: '2025-03-01T06:00:00.000Z', set: { enabled: true, rolloutPercentage: 10 } },
+    { id: 'full', at: '2025-03-01T12:00:00.000Z', set: { rolloutPercentage: 100 } }
+  ];
+
+  it('returns due transitions oldest first', () => {
+    const due = getDueTransitions(flag({ transitions }), new Date('2025-03-01T12:30:00.000Z'));
+
+    expect(due.map(transition => transition.id)).toEqual(['on', 'full']);
+  });
+
+  it('applies due transitions in order and marks them applied', () => {
+    const now = new Date('2025-03-01T19:00:00.000Z');
+    const { flag: state, applied } = applyDueTransitions(flag({ enabled: false, transitions }), now);
+
+    expect(applied.map(transition => transition.id)).toEqual(['on', 'full', 'off']);
+    expect(state).toMatchObject({ enabled: false, rolloutPercentage: 100 });
+    expect(state.transitions?.every(transition => transition.appliedAt === now.toISOString())).toBe(true);
+  });
+
+  it('skips transitions that were already applied', () => {
+    const stored = transitions.map(transition => (
+      transition.id === 'on' ? { ...transition, appliedAt: '2025-03-01T06:01:00.000Z' } : transition
+    ));
+
+    expect(getDueTransitions(flag({ transitions: stored }), new Date('2025-03-01T12:30:00.000Z'))
+      .map(transition => transition.id)).toEqual(['full']);
+  });
+
+  it('switches the flag exactly at the scheduled time', () => {
+    const scheduled = flag({ enabled: false, transitions: [transitions[1]] });
+
+    expect(evaluateFlag(scheduled, context, new Date('2025-03-01T05:59:59.000Z')).enabled).toBe(false);
+    expect(evaluateFlag(scheduled, contextInBucket(bucket => bucket <= 0.1), new Date('2025-03-01T06:00:00.000Z')))
+      .toMatchObject({ enabled: true, transitionIds: ['on'] });
+  });
+});
@@ -0,0 +1,332 @@
+/**
+ * Feature flag targeting
+ * Rule evaluation and scheduled transitions shared by the feature flag
+ * service and the simulation in the master app, so both give the same answer
+ */
+
+export interface FlagEvaluationContext {
+  truckId?: string;
+  userId?: string;
+  managerId?: string;
+  tenant?: {
+    id?: string;
+    plan?: string;
+    canton?: string;
+    [attribute: string]: unknown;
+  };
+  user?: {
+    appVersion?: string;
+    platform?: string;
+    segments?: string[];
+    [attribute: string]: unknown;
+  };
+}
+
+export type ConditionOperator =
+  | 'equals'
+  | 'not_equals'
+  | 'in'
+  | 'not_in'
+  | 'contains'
+  | 'exists'
+  | 'gte'
+  | 'lte'
+  | 'version_gte'
+  | 'version_lt';
+
+export interface AttributeCondition {
+  attribute: string; // dotted path into the context, e.g. tenant.plan or user.appVersion
+  operator: ConditionOperator;
+  value?: unknown;
+}
+
+export interface ConditionGroup {
+  combinator: 'and' | 'or';
+  conditions: TargetingCondition[];
+}
+
+export type TargetingCondition = AttributeCondition | ConditionGroup;
+
+export interface TargetingRule {
+  id: string;
+  name?: string;
+  condition: TargetingCondition;
+  enabled: boolean; // value served to contexts matching the rule
+  rolloutPercentage?: number;
+}
+
+export interface FlagState {
+  enabled: boolean;
+  rolloutPercentage?: number;
+  rules?: TargetingRule[];
+}
+
+export interface ScheduledTransition {
+  id: string;
+  at: string; // ISO date time
+  set: Partial<FlagState>;
+  appliedAt?: string;
+}
+
+export interface TargetableFlag extends FlagState {
+  key: string;
+  schedule?: {
+    enableAt?: string | Date;
+    disableAt?: string | Date;
+  };
+  transitions?: ScheduledTransition[];
+}
+
+export type EvaluationReason = 'disabled' | 'schedule' | 'rule' | 'rollout' | 'default' | 'not_found' | 'error';
+
+export interface FlagEvaluation {
+  key: string;
+  enabled: boolean;
+  reason: EvaluationReason;
+  ruleId?: string;
+  transitionIds: string[]; // due transitions taken into account
+  explanation: string;
+}
+
+// ============================================================================
+// CONDITIONS
+// ============================================================================
+
+const isGroup = (condition: TargetingCondition): condition is ConditionGroup =>
+  'combinator' in condition;
+
+/**
+ * Read a dotted attribute path from the context
+ */
+export function getContextAttribute(context: FlagEvaluationContext, attribute: string): unknown {
+  return attribute.split('.').reduce<unknown>(
+    (value, key) => (value && typeof value === 'object' ? (value as Record<string, unknown>)[key] : undefined),
+    context
+  );
+}
+
+/**
+ * Compare dotted version numbers, e.g. 2.10.0 > 2.9.3
+ * @returns Negative, zero or positive like a sort comparator
+ */
+export function compareVersions(a: string, b: string): number {
+  const left = a.replace(/^v/, '').split(/[.+-]/).map(part => parseInt(part, 10) || 0);
+  const right = b.replace(/^v/, '').split(/[.+-]/).map(part => parseInt(part, 10) || 0);
+
+  for (let i = 0; i < Math.max(left.length, right.length); i++) {
+    const diff = (left[i] || 0) - (right[i] || 0);
+    if (diff !== 0) return diff;
+  }
+  return 0;
+}
+
+const normalize = (value: unknown): unknown =>
+  (typeof value === 'string' ? value.toLowerCase() : value);
+
+function matchesAttribute(condition: AttributeCondition, context: FlagEvaluationContext): boolean {
+  const actual = getContextAttribute(context, condition.attribute);
+  const expected = condition.value;
+  const values = Array.isArray(expected) ? expected.map(normalize) : [normalize(expected)];
+
+  switch (condition.operator) {
+    case 'exists':
+      return actual !== undefined && actual !== null && actual !== '';
+    case 'equals':
+      return normalize(actual) === normalize(expected);
+    case 'not_equals':
+      return normalize(actual) !== normalize(expected);
+    case 'in':
+      return values.includes(normalize(actual));
+    case 'not_in':
+      return !values.includes(normalize(actual));
+    case 'contains':
+      // Lists such as customer segments: any of the given values
+      return Array.isArray(actual) && actual.some(item => values.includes(normalize(item)));
+    case 'gte':
+      return typeof actual === 'number' && actual >= Number(expected);
+    case 'lte':
+      return typeof actual === 'number' && actual <= Number(expected);
+    case 'version_gte':
+      return typeof actual === 'string' && compareVersions(actual, String(expected)) >= 0;
+    case 'version_lt':
+      return typeof actual === 'string' && compareVersions(actual, String(expected)) < 0;
+    default:
+      return false;
+  }
+}
+
+/**
+ * Evaluate a condition; groups combine their conditions with AND or OR
+ * An empty AND group matches everything, an empty OR group nothing.
+ */
+export function matchesCondition(condition: TargetingCondition, context: FlagEvaluationContext): boolean {
+  if (isGroup(condition)) {
+    return condition.combinator === 'or'
+      ? condition.conditions.some(c => matchesCondition(c, context))
+      : condition.conditions.every(c => matchesCondition(c, context));
+  }
+  return matchesAttribute(condition, context);
+}
+
+/**
+ * Human readable form of a condition, used in evaluation explanations
+ */
+export function describeCondition(condition: TargetingCondition): string {
+  if (isGroup(condition)) {
+    const parts = condition.conditions.map(c => (isGroup(c) ? `(${describeCondition(c)})` : describeCondition(c)));
+    return parts.join(condition.combinator === 'or' ? ' OR ' : ' AND ') || 'always';
+  }
+  const value = Array.isArray(condition.value) ? `[${condition.value.join(', ')}]` : String(condition.value ?? '');
+  return `${condition.attribute} ${condition.operator}${condition.operator === 'exists' ? '' : ` ${value}`}`;
+}
+
+/**
+ * Check a rule condition before it is stored
+ * @returns Problems found, empty if valid
+ */
+export function validateCondition(condition: TargetingCondition, path: string = 'condition'): string[] {
+  if (!condition || typeof condition !== 'object') {
+    return [`${path} is missing`];
+  }
+  if (isGroup(condition)) {
+    if (!['and', 'or'].includes(condition.combinator) || !Array.isArray(condition.conditions)) {
+      return [`${path} needs combinator and/or and a list of conditions`];
+    }
+    return condition.conditions.flatMap((c, i) => validateCondition(c, `${path}.conditions[${i}]`));
+  }
+  if (!condition.attribute) {
+    return [`${path}.attribute is missing`];
+  }
+  const operators: ConditionOperator[] = [
+    'equals', 'not_equals', 'in', 'not_in', 'contains', 'exists', 'gte', 'lte', 'version_gte', 'version_lt'
+  ];
+  return operators.includes(condition.operator) ? [] : [`${path}.operator ${condition.operator} is unknown`];
+}
+
+// ============================================================================
+// ROLLOUT
+// ============================================================================
+
+/**
+ * Deterministic bucket between 0 and 1 for percentage rollouts
+ * Uses the same input as the service always did, so existing rollouts keep
+ * their audience.
+ */
+export function getRolloutBucket(context: FlagEvaluationContext): number {
+  const str = `${context.truckId || ''}-${context.userId || ''}-${context.managerId || ''}`;
+  let hash = 0;
+  for (let i = 0; i < str.length; i++) {
+    const char = str.charCodeAt(i);
+    hash = ((hash << 5) - hash) + char;
+    hash = hash & hash; // Convert to 32bit integer
+  }
+  return Math.abs(hash) / 2147483647; // Normalize to 0-1
+}
+
+const inRollout = (percentage: number | undefined, context: FlagEvaluationContext): boolean =>
+  typeof percentage !== 'number' || percentage >= 100 || getRolloutBucket(context) <= percentage / 100;
+
+// ============================================================================
+// TRANSITIONS
+// ============================================================================
+
+/**
+ * Transitions due at a time, oldest first
+ */
+export function getDueTransitions(flag: TargetableFlag, now: Date = new Date()): ScheduledTransition[] {
+  return (flag.transitions || [])
+    .filter(transition => !transition.appliedAt && new Date(transition.at) <= now)
+    .sort((a, b) => new Date(a.at).getTime() - new Date(b.at).getTime());
+}
+
+/**
+ * Flag state with its due transitions applied
+ * Evaluation uses this, so a flag switches exactly on time even before the
+ * scheduled job has stored the transition.
+ */
+export function applyDueTransitions<T extends TargetableFlag>(
+  flag: T,
+  now: Date = new Date()
+): { flag: T; applied: ScheduledTransition[] } {
+  const applied = getDueTransitions(flag, now);
+  const appliedIds = new Set(applied.map(transition => transition.id));
+
+  return {
+    flag: {
+      ...applied.reduce<T>((state, transition) => ({ ...state, ...transition.set }), flag),
+      transitions: (flag.transitions || []).map(transition => (
+        appliedIds.has(transition.id) ? { ...transition, appliedAt: now.toISOString() } : transition
+      ))
+    },
+    applied
+  };
+}
+
+// ============================================================================
+// EVALUATION
+// ============================================================================
+
+/**
+ * Evaluate a flag for a context and explain the outcome
+ *
+ * Order: due transitions, on/off switch, schedule window, targeting rules
+ * (first match wins) and finally the flag's own rollout percentage.
+ */
+export function evaluateFlag(
+  flag: TargetableFlag,
+  context: FlagEvaluationContext,
+  now: Date = new Date()
+): FlagEvaluation {
+  const { flag: state, applied } = applyDueTransitions(flag, now);
+  const result = (enabled: boolean, reason: EvaluationReason, explanation: string, ruleId?: string): FlagEvaluation => ({
+    key: flag.key,
+    enabled,
+    reason,
+    ...(ruleId ? { ruleId } : {}),
+    transitionIds: applied.map(transition => transition.id),
+    explanation
+  });
+
+  if (!state.enabled) {
+    return result(false, 'disabled', 'Flag is switched off');
+  }
+
+  if (state.schedule) {
+    if (state.schedule.enableAt && now < new Date(state.schedule.enableAt)) {
+      return result(false, 'schedule', `Not active before ${new Date(state.schedule.enableAt).toISOString()}`);
+    }
+    if (state.schedule.disableAt && now > new Date(state.schedule.disableAt)) {
+      return result(false, 'schedule', `Ended at ${new Date(state.schedule.disableAt).toISOString()}`);
+    }
+  }
+
+  const rule = (state.rules || []).find(r => matchesCondition(r.condition, context));
+  if (rule) {
+    const label = rule.name || rule.id;
+    if (!rule.enabled) {
+      return result(false, 'rule', `Rule "${label}" (${describeCondition(rule.condition)}) turns the flag off`, rule.id);
+    }
+    if (!inRollout(rule.rolloutPercentage, context)) {
+      return result(false, 'rollout', `Rule "${label}" matched, but outside its ${rule.rolloutPercentage}% rollout`, rule.id);
+    }
+    return result(true, 'rule', `Rule "${label}" (${describeCondition(rule.condition)}) matched`, rule.id);
+  }
+
+  const prefix = state.rules?.length ? 'No rule matched, ' : 'Flag is on, ';
+  if (!inRollout(state.rolloutPercentage, context)) {
+    return result(false, 'rollout', `${prefix}outside the ${state.rolloutPercentage}% rollout`);
+  }
+  return result(true, 'default', state.rules?.length ? 'No rule matched, flag is on' : 'Flag is on');
+}
+
+export default {
+  getContextAttribute,
+  compareVersions,
+  matchesCondition,
+  describeCondition,
+  validateCondition,
+  getRolloutBucket,
+  getDueTransitions,
+  applyDueTransitions,
+  evaluateFlag
+};
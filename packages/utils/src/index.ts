@@ -9,6 +9,7 @@ export * from './formatting';
 export * from './currency';
 export * from './date';
 export * from './swiss';
+export * from './feature-flags';
 
 // Named exports for convenience
 export {
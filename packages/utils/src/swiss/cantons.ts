@@ -2,6 +2,8 @@
  * Swiss canton data and utilities
  */
 
+import { findLocality, hasPostalCodeData } from './postal-codes';
+
 export interface Canton {
   code: string;
   nameDE: string;
@@ -368,16 +370,30 @@ export function isValidCantonCode(code: string): boolean {
 
 /**
  * Get canton by postal code
+ * Looks the postal code up in the embedded directory of localities; without
+ * it, the canton is estimated from the postal code ranges.
  * @param postalCode The postal code
  * @returns Canton code or null
  */
 export function getCantonByPostalCode(postalCode: string): string | null {
+  const locality = findLocality(postalCode);
+  if (locality) {
+    return locality.canton;
+  }
+  if (hasPostalCodeData()) {
+    return null;
+  }
+
   const code = parseInt(postalCode, 10);
   
-  // Postal code ranges for cantons (simplified)
+  // Postal code ranges for cantons (simplified), narrower ranges first
   const ranges: Array<[number, number, string]> = [
+    [1200, 1299, 'GE'], // Geneva
+    [1900, 1999, 'VS'], // Valais
+    [2800, 2999, 'JU'], // Jura
+    [6500, 6999, 'TI'], // Ticino
     [1000, 1999, 'VD'], // Vaud
-    [2000, 2999, 'NE'], // Neuchâtel, Jura
+    [2000, 2999, 'NE'], // Neuchâtel
     [3000, 3999, 'BE'], // Bern
     [4000, 4999, 'BS'], // Basel
     [5000, 5999, 'AG'], // Aargau
@@ -387,23 +403,8 @@ export function getCantonByPostalCode(postalCode: string): string | null {
     [9000, 9999, 'SG'], // Eastern Switzerland
   ];
   
-  for (const [min, max, canton] of ranges) {
-    if (code >= min && code <= max) {
-      // Special cases
-      if (code >= 2800 && code <= 2999) return 'JU'; // Jura
-      if (code >= 6500 && code <= 6999) return 'TI'; // Ticino
-      
-      return canton;
-    }
-  }
-  
-  // Geneva special case
-  if (code >= 1200 && code <= 1299) return 'GE';
-  
-  // Valais special case  
-  if (code >= 1900 && code <= 1999) return 'VS';
-  
-  return null;
+  const range = ranges.find(([min, max]) => code >= min && code <= max);
+  return range ? range[2] : null;
 }
 
 /**
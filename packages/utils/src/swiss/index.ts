@@ -1,9 +1,11 @@
 // Export all Swiss-specific utilities
 export * from './cantons';
+export * from './postal-codes';
 export * from './qr-bill';
 export * from './tax-rates';
 
 // Default exports
 export { default as cantons } from './cantons';
+export { default as postalCodes } from './postal-codes';
 export { default as qrBill } from './qr-bill';
 export { default as taxRates } from './tax-rates';
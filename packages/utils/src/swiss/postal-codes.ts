@@ -0,0 +1,291 @@
+/**
+ * Swiss postal codes
+ * Lookup, fuzzy locality search and address validation on the embedded
+ * directory of localities (see scripts/build-postal-codes.js)
+ */
+
+import { POSTAL_CODE_DATA } from './postal-codes.data';
+
+export interface SwissLocality {
+  postalCode: string;
+  locality: string;
+  municipality: string;
+  bfsNumber: number; // official municipality number of the Federal Statistical Office
+  canton: string;
+  latitude: number;
+  longitude: number;
+  language: 'de' | 'fr' | 'it' | 'rm' | '';
+}
+
+export interface LocalitySearchOptions {
+  limit?: number;
+  canton?: string;
+}
+
+export interface PostalAddressValidation {
+  valid: boolean;
+  locality: SwissLocality | null;
+  error?: 'unknown_postal_code' | 'locality_mismatch';
+  suggestions: SwissLocality[];
+}
+
+interface IndexedLocality extends SwissLocality {
+  name: string; // normalized locality
+  words: string[];
+}
+
+interface PostalCodeIndex {
+  localities: IndexedLocality[];
+  byPostalCode: Map<string, IndexedLocality[]>;
+}
+
+let defaultIndex: PostalCodeIndex | null = null;
+
+/**
+ * Parse the packed dataset
+ * @param data Lines of postalCode|locality|municipality|bfsNumber|canton|latitude|longitude|language
+ * @returns Localities in dataset order
+ */
+export function parsePostalCodeData(data: string): SwissLocality[] {
+  return data
+    .split('\n')
+    .filter(Boolean)
+    .map(line => {
+      const [postalCode, locality, municipality, bfsNumber, canton, latitude, longitude, language] = line.split('|');
+      return {
+        postalCode,
+        locality,
+        municipality: municipality || locality,
+        bfsNumber: Number(bfsNumber),
+        canton,
+        latitude: Number(latitude),
+        longitude: Number(longitude),
+        language: (language || '') as SwissLocality['language']
+      };
+    });
+}
+
+function buildIndex(localities: SwissLocality[]): PostalCodeIndex {
+  const byPostalCode = new Map<string, IndexedLocality[]>();
+  const indexed = localities.map(locality => {
+    const name = normalizeLocalityName(locality.locality);
+    const entry = { ...locality, name, words: name.split(' ') };
+    byPostalCode.set(locality.postalCode, [...(byPostalCode.get(locality.postalCode) || []), entry]);
+    return entry;
+  });
+
+  return { localities: indexed, byPostalCode };
+}
+
+function getIndex(): PostalCodeIndex {
+  if (!defaultIndex) {
+    defaultIndex = buildIndex(parsePostalCodeData(POSTAL_CODE_DATA));
+  }
+  return defaultIndex;
+}
+
+/**
+ * Replace the dataset, e.g. with a fixture in tests
+ * @param data Packed dataset, or null for the embedded one
+ */
+export function setPostalCodeData(data: string | null): void {
+  defaultIndex = data === null ? null : buildIndex(parsePostalCodeData(data));
+}
+
+/**
+ * Whether a dataset is embedded
+ * @returns False until scripts/build-postal-codes.js has been run
+ */
+export function hasPostalCodeData(): boolean {
+  return getIndex().localities.length > 0;
+}
+
+/**
+ * Normalize a locality name for comparison
+ * Case, accents, "ue" for "ü", "Sankt"/"St." and punctuation are ignored.
+ * @param name The locality name
+ * @returns Normalized name
+ */
+export function normalizeLocalityName(name: string): string {
+  return name
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/([aou])e/g, '$1')
+    .replace(/\b(sankt|saint|sainte|san|santa|st|ste)\b\.?/g, 'st')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+/**
+ * Get all localities of a postal code
+ * @param postalCode The postal code
+ * @returns Localities, the main one first
+ */
+export function getLocalitiesByPostalCode(postalCode: string): SwissLocality[] {
+  return getEntries(postalCode).map(toLocality);
+}
+
+function getEntries(postalCode: string): IndexedLocality[] {
+  return getIndex().byPostalCode.get(String(postalCode).trim()) || [];
+}
+
+// Official names carry the canton to tell namesakes apart ("Buchs SG")
+const withoutCanton = (name: string): string => name.replace(/ [a-z]{2}$/, '');
+
+function matchesLocality(entry: IndexedLocality, name: string): boolean {
+  return entry.name === name
+    || withoutCanton(entry.name) === name
+    || normalizeLocalityName(entry.municipality) === name
+    || editDistance(withoutCanton(entry.name), name) <= allowedTypos(name);
+}
+
+/**
+ * Find the locality of a postal code matching a city name
+ * @param postalCode The postal code
+ * @param city The city as entered; the main locality if omitted
+ * @returns The locality or null
+ */
+export function findLocality(postalCode: string, city?: string): SwissLocality | null {
+  const entries = getEntries(postalCode);
+  const name = city ? normalizeLocalityName(city) : '';
+  const entry = name ? entries.find(candidate => matchesLocality(candidate, name)) : entries[0];
+  return entry ? toLocality(entry) : null;
+}
+
+/**
+ * Fuzzy search for address autocomplete
+ * Accepts a postal code prefix, a locality name with typos, or both
+ * ("80 zuri").
+ * @param query The search text
+ * @param options Result limit and canton filter
+ * @returns Best matches first
+ */
+export function searchLocalities(query: string, options: LocalitySearchOptions = {}): SwissLocality[] {
+  const { limit = 10, canton } = options;
+  const digits = (query.match(/\d{1,4}/) || [''])[0];
+  const name = normalizeLocalityName(query.replace(/\d+/g, ' '));
+
+  if (!digits && name.length < 2) {
+    return [];
+  }
+
+  const results: Array<{ entry: IndexedLocality; score: number }> = [];
+  const seen = new Set<string>();
+
+  for (const entry of getIndex().localities) {
+    const key = `${entry.postalCode}|${entry.locality}`;
+    if (seen.has(key)
+      || (digits && !entry.postalCode.startsWith(digits))
+      || (canton && entry.canton !== canton.toUpperCase())) {
+      continue;
+    }
+
+    const score = name ? scoreName(entry, name) : 100;
+    if (score > 0) {
+      seen.add(key);
+      results.push({ entry, score });
+    }
+  }
+
+  return results
+    .sort((a, b) => b.score - a.score || a.entry.postalCode.localeCompare(b.entry.postalCode))
+    .slice(0, limit)
+    .map(({ entry }) => toLocality(entry));
+}
+
+function scoreName(entry: IndexedLocality, name: string): number {
+  if (entry.name === name || withoutCanton(entry.name) === name) return 100;
+  if (entry.name.startsWith(name)) return 90;
+  if (entry.words.some(word => word.startsWith(name))) return 70;
+  if (entry.name.includes(name)) return 50;
+
+  // Typos in the whole name or in what has been typed so far
+  const distance = Math.min(
+    editDistance(withoutCanton(entry.name), name),
+    editDistance(entry.name.slice(0, name.length), name)
+  );
+  return distance <= allowedTypos(name) ? 40 - (distance * 10) : 0;
+}
+
+function toLocality(entry: IndexedLocality): SwissLocality {
+  const { name, words, ...locality } = entry;
+  return locality;
+}
+
+/**
+ * Check that postal code and city of an address belong together
+ * Without an embedded dataset every address passes.
+ * @param address Postal code and city as entered
+ * @returns The matched locality, or an error with suggestions
+ */
+export function validatePostalAddress(address: { postalCode: string; city: string }): PostalAddressValidation {
+  if (!hasPostalCodeData()) {
+    return { valid: true, locality: null, suggestions: [] };
+  }
+
+  const entries = getLocalitiesByPostalCode(address.postalCode);
+  if (entries.length === 0) {
+    return {
+      valid: false,
+      locality: null,
+      error: 'unknown_postal_code',
+      suggestions: address.city ? searchLocalities(address.city, { limit: 5 }) : []
+    };
+  }
+
+  const locality = findLocality(address.postalCode, address.city);
+  if (!locality) {
+    return {
+      valid: false,
+      locality: null,
+      error: 'locality_mismatch',
+      suggestions: entries
+    };
+  }
+
+  return { valid: true, locality, suggestions: [] };
+}
+
+// One typo per five characters, at most two
+function allowedTypos(name: string): number {
+  return Math.min(2, Math.floor(name.length / 5));
+}
+
+/**
+ * Optimal string alignment distance (Levenshtein with transpositions)
+ */
+function editDistance(a: string, b: string): number {
+  if (a === b) return 0;
+  if (!a.length || !b.length) return Math.max(a.length, b.length);
+
+  let previous2: number[] = [];
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        current[j] = Math.min(current[j], previous2[j - 2] + 1);
+      }
+    }
+    previous2 = previous;
+    previous = current;
+  }
+
+  return previous[b.length];
+}
+
+// Export all postal code utilities
+export default {
+  parsePostalCodeData,
+  setPostalCodeData,
+  hasPostalCodeData,
+  normalizeLocalityName,
+  getLocalitiesByPostalCode,
+  findLocality,
+  searchLocalities,
+  validatePostalAddress
+};
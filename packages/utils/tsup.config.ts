@@ -7,7 +7,8 @@ export default defineConfig({
     formatting: 'src/formatting/index.ts',
     currency: 'src/currency/index.ts',
     date: 'src/date/index.ts',
-    swiss: 'src/swiss/index.ts'
+    swiss: 'src/swiss/index.ts',
+    'feature-flags': 'src/feature-flags/index.ts'
   },
   format: ['cjs', 'esm'],
   dts: true,
@@ -0,0 +1,202 @@
+#!/usr/bin/env node
+
+// Swiss Postal Code Dataset Builder
+// Run: npm run data:postal-codes -- <AMTOVZ_CSV_WGS84.csv>
+//
+// Builds the embedded PLZ dataset from the official directory of localities
+// (swisstopo, "Amtliches Ortschaftenverzeichnis mit Postleitzahl und
+// Perimeter"). Download the CSV in WGS84 from
+// https://www.swisstopo.admin.ch/de/amtliches-ortschaftenverzeichnis
+// and pass the extracted AMTOVZ_CSV_WGS84.csv. The dataset is compiled into
+// the apps and functions, so lookups work offline.
+
+const fs = require('fs');
+const path = require('path');
+
+// Color codes for terminal output
+const colors = {
+  reset: '\x1b[0m',
+  red: '\x1b[31m',
+  green: '\x1b[32m',
+  blue: '\x1b[34m'
+};
+
+const log = {
+  info: (msg) => console.log(`${colors.blue}ℹ${colors.reset}  ${msg}`),
+  success: (msg) => console.log(`${colors.green}✓${colors.reset}  ${msg}`),
+  error: (msg) => console.log(`${colors.red}✗${colors.reset}  ${msg}`)
+};
+
+const ROOT = path.join(__dirname, '..');
+
+// The same data module is generated for every package that needs it
+const OUTPUTS = [
+  'packages/utils/src/swiss/postal-codes.data.ts',
+  'functions/src/data/postalCodes.data.ts'
+];
+
+const CANTONS = [
+  'ZH', 'BE', 'LU', 'UR', 'SZ', 'OW', 'NW', 'GL', 'ZG', 'FR', 'SO', 'BS', 'BL',
+  'SH', 'AR', 'AI', 'SG', 'GR', 'AG', 'TG', 'TI', 'VD', 'VS', 'NE', 'GE', 'JU'
+];
+
+// Column names of the directory; older releases use the alternatives
+const COLUMNS = {
+  locality: ['Ortschaftsname'],
+  postalCode: ['PLZ'],
+  municipality: ['Gemeindename'],
+  bfsNumber: ['BFS-Nr'],
+  canton: ['Kantonskürzel', 'Kantonskuerzel'],
+  share: ['Adressenanteil'],
+  longitude: ['E'],
+  latitude: ['N'],
+  language: ['Sprache']
+};
+
+const LANGUAGES = { de: 'de', fr: 'fr', it: 'it', rm: 'rm' };
+
+const parseCsvLine = (line) => {
+  const values = [];
+  let value = '';
+  let quoted = false;
+
+  for (const char of line) {
+    if (char === '"') {
+      quoted = !quoted;
+    } else if (char === ';' && !quoted) {
+      values.push(value);
+      value = '';
+    } else {
+      value += char;
+    }
+  }
+  values.push(value);
+
+  return values.map(v => v.trim());
+};
+
+const readLocalities = (file) => {
+  const lines = fs.readFileSync(file, 'utf8')
+    .replace(/^\uFEFF/, '')
+    .split(/\r?\n/)
+    .filter(Boolean);
+
+  const header = parseCsvLine(lines[0]);
+  const index = {};
+  for (const [key, names] of Object.entries(COLUMNS)) {
+    index[key] = header.findIndex(column => names.includes(column));
+    if (index[key] < 0 && key !== 'share') {
+      throw new Error(`Column ${names[0]} not found in ${path.basename(file)}`);
+    }
+  }
+
+  const rows = [];
+  const skipped = new Set();
+
+  for (const line of lines.slice(1)) {
+    const values = parseCsvLine(line);
+    const row = {
+      postalCode: values[index.postalCode],
+      locality: values[index.locality],
+      municipality: values[index.municipality],
+      bfsNumber: Number(values[index.bfsNumber]),
+      canton: values[index.canton],
+      share: index.share >= 0 ? parseFloat(values[index.share]) || 0 : 0,
+      latitude: Number(values[index.latitude]).toFixed(4),
+      longitude: Number(values[index.longitude]).toFixed(4),
+      language: LANGUAGES[(values[index.language] || '').slice(0, 2).toLowerCase()] || ''
+    };
+
+    // Liechtenstein and foreign enclaves are part of the directory
+    if (!CANTONS.includes(row.canton)) {
+      skipped.add(`${row.postalCode} ${row.locality}`);
+      continue;
+    }
+    if (!/^[1-9]\d{3}$/.test(row.postalCode) || !row.bfsNumber) {
+      throw new Error(`Unexpected row: ${line}`);
+    }
+
+    rows.push(row);
+  }
+
+  return { rows, skipped };
+};
+
+// One line per locality and municipality; the municipality holding the
+// largest share of a locality's addresses comes first
+const buildData = (rows) => {
+  const byKey = new Map();
+
+  for (const row of rows) {
+    const key = `${row.postalCode}|${row.locality}|${row.bfsNumber}`;
+    const existing = byKey.get(key);
+    if (existing) {
+      existing.share += row.share;
+    } else {
+      byKey.set(key, { ...row });
+    }
+  }
+
+  return [...byKey.values()]
+    .sort((a, b) => a.postalCode.localeCompare(b.postalCode)
+      || a.locality.localeCompare(b.locality, 'de')
+      || b.share - a.share)
+    .map(row => [
+      row.postalCode,
+      row.locality,
+      // Most localities are named like their municipality
+      row.municipality === row.locality ? '' : row.municipality,
+      row.bfsNumber,
+      row.canton,
+      row.latitude,
+      row.longitude,
+      row.language
+    ].join('|'));
+};
+
+const renderModule = (lines, source) => `/**
+ * Swiss postal codes (PLZ) with locality, municipality, canton and position
+ *
+ * Generated by scripts/build-postal-codes.js - do not edit by hand.
+ * Source: swisstopo, Amtliches Ortschaftenverzeichnis (${source})
+ */
+
+export const POSTAL_CODE_DATA_SOURCE: string | null = ${JSON.stringify(source)};
+
+// postalCode|locality|municipality (empty = locality)|bfsNumber|canton|latitude|longitude|language
+export const POSTAL_CODE_DATA = \`
+${lines.join('\n').replace(/[`\\$]/g, '\\$&')}
+\`;
+`;
+
+const main = () => {
+  const file = process.argv[2];
+  if (!file) {
+    log.error('Usage: node scripts/build-postal-codes.js <AMTOVZ_CSV_WGS84.csv>');
+    process.exit(1);
+  }
+
+  const { rows, skipped } = readLocalities(path.resolve(file));
+  const lines = buildData(rows);
+  if (lines.length === 0) {
+    throw new Error(`No localities found in ${path.basename(file)}`);
+  }
+  const postalCodes = new Set(rows.map(row => row.postalCode));
+  const source = `${path.basename(file)}, ${fs.statSync(file).mtime.toISOString().slice(0, 10)}`;
+
+  log.info(`${lines.length} localities, ${postalCodes.size} postal codes, ${skipped.size} outside Switzerland skipped`);
+
+  for (const output of OUTPUTS) {
+    const target = path.join(ROOT, output);
+    fs.mkdirSync(path.dirname(target), { recursive: true });
+    fs.writeFileSync(target, renderModule(lines, source));
+    log.success(`Wrote ${output}`);
+  }
+};
+
+try {
+  main();
+} catch (error) {
+  log.error(error.message);
+  process.exit(1);
+}
@@ -0,0 +1,145 @@
+#!/usr/bin/env node
+
+// Firestore Migration Script
+// Run: node scripts/migrate.js <status|up|down> [options]
+//
+//   status                 Show the ledger version, pending migrations and lock
+//   up [--to <id>]         Apply pending migrations, optionally up to <id>
+//   down [--to <id>]       Roll back the latest migration, or everything after <id>
+//   down --steps <n>       Roll back the latest <n> migrations
+//
+//   --dry-run              Report the changes without writing
+//   --emulator             Use the Firestore emulator on localhost:8080
+//   --project <id>         Firebase project (default: GCLOUD_PROJECT)
+//
+// Requires the functions build: cd functions && npm run build
+
+const path = require('path');
+
+// Color codes for terminal output
+const colors = {
+  reset: '\x1b[0m',
+  bright: '\x1b[1m',
+  dim: '\x1b[2m',
+  red: '\x1b[31m',
+  green: '\x1b[32m',
+  yellow: '\x1b[33m',
+  blue: '\x1b[34m',
+  magenta: '\x1b[35m'
+};
+
+const log = {
+  info: (msg) => console.log(`${colors.blue}ℹ${colors.reset}  ${msg}`),
+  success: (msg) => console.log(`${colors.green}✓${colors.reset}  ${msg}`),
+  warning: (msg) => console.log(`${colors.yellow}⚠${colors.reset}  ${msg}`),
+  error: (msg) => console.log(`${colors.red}✗${colors.reset}  ${msg}`),
+  header: (msg) => console.log(`\n${colors.bright}${colors.magenta}${msg}${colors.reset}\n`),
+  detail: (msg) => console.log(`${colors.dim}   ${msg}${colors.reset}`)
+};
+
+function parseArgs(argv) {
+  const args = { command: argv[0] || 'status', dryRun: false, emulator: false };
+
+  for (let i = 1; i < argv.length; i++) {
+    switch (argv[i]) {
+      case '--dry-run':
+        args.dryRun = true;
+        break;
+      case '--emulator':
+        args.emulator = true;
+        break;
+      case '--to':
+        args.to = argv[++i];
+        break;
+      case '--steps':
+        args.steps = parseInt(argv[++i], 10);
+        if (!(args.steps > 0)) {
+          throw new Error('--steps needs a positive number');
+        }
+        break;
+      case '--project':
+        args.project = argv[++i];
+        break;
+      default:
+        throw new Error(`Unknown option: ${argv[i]}`);
+    }
+  }
+
+  return args;
+}
+
+function printReports(reports, dryRun) {
+  if (reports.length === 0) {
+    log.info('Nothing to do');
+    return;
+  }
+
+  reports.forEach((report) => {
+    const writes = report.writes.set + report.writes.update + report.writes.delete;
+    log.success(
+      `${report.id} (${report.direction}) ${report.name}: ` +
+      `${dryRun ? 'would write' : 'wrote'} ${writes} documents, scanned ${report.documentsScanned}` +
+      `${report.resumed ? ', resumed from checkpoint' : ''}`
+    );
+    log.detail(`set ${report.writes.set}, update ${report.writes.update}, delete ${report.writes.delete}`);
+
+    if (dryRun) {
+      report.changes.forEach((change) => {
+        log.detail(`${change.type.padEnd(6)} ${change.path}${change.data ? ` ${JSON.stringify(change.data)}` : ''}`);
+      });
+      if (report.changes.length < writes) {
+        log.detail(`... and ${writes - report.changes.length} more`);
+      }
+    }
+  });
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+
+  if (args.emulator && !process.env.FIRESTORE_EMULATOR_HOST) {
+    process.env.FIRESTORE_EMULATOR_HOST = 'localhost:8080';
+  }
+
+  const admin = require(path.join(__dirname, '../functions/node_modules/firebase-admin'));
+  admin.initializeApp({
+    projectId: args.project || process.env.GCLOUD_PROJECT || (args.emulator ? 'demo-eatech' : undefined)
+  });
+
+  const { migrationRunner } = require(path.join(__dirname, '../functions/lib/database/migrations'));
+
+  log.header(`EATECH Migrations${args.dryRun ? ' (dry run)' : ''}`);
+  if (process.env.FIRESTORE_EMULATOR_HOST) {
+    log.info(`Using Firestore emulator at ${process.env.FIRESTORE_EMULATOR_HOST}`);
+  }
+
+  switch (args.command) {
+    case 'status': {
+      const status = await migrationRunner.getStatus();
+      log.info(`Version: ${status.version || 'none'} (${status.executed.length}/${status.total} applied)`);
+      status.pending.forEach((id) => log.detail(`pending ${id}`));
+      if (status.lock) {
+        log.warning(`Locked by ${status.lock.owner} (${status.lock.operation})`);
+      }
+      break;
+    }
+    case 'up':
+      printReports(await migrationRunner.up({ dryRun: args.dryRun, to: args.to }), args.dryRun);
+      break;
+    case 'down':
+      printReports(
+        await migrationRunner.down({ dryRun: args.dryRun, to: args.to, steps: args.steps }),
+        args.dryRun
+      );
+      break;
+    default:
+      throw new Error(`Unknown command: ${args.command}`);
+  }
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    log.error(error.message);
+    process.exit(1);
+  });
@@ -0,0 +1,89 @@
+/**
+ * Feature flag callable functions
+ * Used by the master app to edit targeting rules and schedule flag changes
+ */
+
+import { onCall, HttpsError, CallableRequest } from 'firebase-functions/v2/https';
+import { ScheduledTransition, TargetingRule } from '@eatech/utils/feature-flags';
+import { featureFlagService } from '../services/feature-flags.service';
+
+interface SetRulesRequest {
+  featureKey: string;
+  rules: TargetingRule[];
+}
+
+interface ScheduleTransitionRequest {
+  featureKey: string;
+  at: string;
+  set: ScheduledTransition['set'];
+}
+
+/**
+ * Only master admins manage global flags
+ */
+function requireMasterAdmin(request: CallableRequest): string {
+  if (!request.auth) {
+    throw new HttpsError('unauthenticated', 'Authentication required');
+  }
+  if (request.auth.token.role !== 'master_admin') {
+    throw new HttpsError('permission-denied', 'Master admin access required');
+  }
+  return request.auth.uid;
+}
+
+/**
+ * Map service errors to callable error codes
+ */
+function toHttpsError(error: unknown): HttpsError {
+  const message = error instanceof Error ? error.message : String(error);
+  if (message.includes('not found')) {
+    return new HttpsError('not-found', message);
+  }
+  if (message.startsWith('Invalid')) {
+    return new HttpsError('invalid-argument', message);
+  }
+  console.error('Feature flag update failed:', error);
+  return new HttpsError('internal', 'Feature flag update failed');
+}
+
+export const setFeatureFlagRules = onCall<SetRulesRequest>({
+  region: 'europe-west6',
+  memory: '256MiB',
+}, async (request) => {
+  const adminId = requireMasterAdmin(request);
+  const { featureKey, rules } = request.data || {};
+
+  if (!featureKey || !Array.isArray(rules)) {
+    throw new HttpsError('invalid-argument', 'featureKey and rules are required');
+  }
+
+  try {
+    await featureFlagService.setGlobalRules(featureKey, rules, adminId);
+  } catch (error) {
+    throw toHttpsError(error);
+  }
+
+  return { success: true };
+});
+
+export const scheduleFeatureFlagTransition = onCall<ScheduleTransitionRequest>({
+  region: 'europe-west6',
+  memory: '256MiB',
+}, async (request) => {
+  const adminId = requireMasterAdmin(request);
+  const { featureKey, at, set } = request.data || {};
+
+  if (!featureKey || !at || !set || Object.keys(set).length === 0) {
+    throw new HttpsError('invalid-argument', 'featureKey, at and set are required');
+  }
+  if (new Date(at).getTime() <= Date.now()) {
+    throw new HttpsError('invalid-argument', 'Transitions must be scheduled in the future');
+  }
+
+  try {
+    const transition = await featureFlagService.scheduleTransition(featureKey, { at, set }, adminId);
+    return { success: true, transition };
+  } catch (error) {
+    throw toHttpsError(error);
+  }
+});
@@ -27,6 +27,7 @@ export { webhooks } from './http/webhooks';
 // Scheduled Functions
 export { dailyCleanup } from './scheduled/cleanup';
 export { generateReports } from './scheduled/reports';
+export { applyFeatureFlagTransitions } from './scheduled/feature-flags';
 
 // Firestore Triggers
 export { 
@@ -46,6 +47,7 @@ export { processVoiceOrder } from './callable/voice';
 export { calculateDynamicPricing } from './callable/pricing';
 export { generateQRCode } from './callable/qr';
 export { sendNotification } from './callable/notifications';
+export { setFeatureFlagRules, scheduleFeatureFlagTransition } from './callable/feature-flags';
 
 // Background Functions
 export { optimizeImages } from './background/images';
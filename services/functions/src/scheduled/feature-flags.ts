@@ -0,0 +1,24 @@
+/**
+ * Feature flag transitions scheduled function
+ * Runs every 5 minutes to store scheduled flag changes that are due
+ */
+
+import { onSchedule } from 'firebase-functions/v2/scheduler';
+import { featureFlagService } from '../services/feature-flags.service';
+
+export const applyFeatureFlagTransitions = onSchedule({
+  schedule: '*/5 * * * *', // Every 5 minutes
+  timeZone: 'Europe/Zurich',
+  region: 'europe-west6',
+  memory: '256MiB',
+  timeoutSeconds: 120,
+  retryCount: 3,
+}, async () => {
+  // Evaluations apply due transitions themselves, so flags switch on time
+  // even if this run is a few minutes late
+  const applied = await featureFlagService.applyScheduledTransitions();
+
+  if (applied > 0) {
+    console.log(`Applied ${applied} scheduled feature flag transitions`);
+  }
+});
@@ -1,6 +1,24 @@
 // Feature Flag Service for Firebase Functions
 import * as admin from 'firebase-admin';
-import { FeatureFlag, FeatureFlagContext } from '../types/feature-flags';
+import { randomUUID } from 'crypto';
+import {
+  evaluateFlag,
+  getDueTransitions,
+  applyDueTransitions,
+  validateCondition,
+  FlagEvaluation,
+  FlagEvaluationContext,
+  ScheduledTransition,
+  TargetableFlag,
+  TargetingRule
+} from '@eatech/utils/feature-flags';
+import { FeatureFlag } from '../types/feature-flags';
+
+export type FlagLevel = 'global' | 'truck' | 'manager';
+
+export interface FeatureFlagEvaluation extends FlagEvaluation {
+  level?: FlagLevel;
+}
 
 export class FeatureFlagService {
   private db: admin.firestore.Firestore;
@@ -13,13 +31,25 @@ export class FeatureFlagService {
   /**
    * Check if a feature is enabled for a given context
    */
-  async isEnabled(featureKey: string, context: FeatureFlagContext): Promise<boolean> {
+  async isEnabled(featureKey: string, context: FlagEvaluationContext): Promise<boolean> {
+    const evaluation = await this.evaluate(featureKey, context);
+    return evaluation.enabled;
+  }
+
+  /**
+   * Evaluate a feature for a given context and explain the outcome
+   * Truck and manager overrides come before the global flag; within a flag,
+   * the first targeting rule matching the context decides.
+   */
+  async evaluate(featureKey: string, context: FlagEvaluationContext): Promise<FeatureFlagEvaluation> {
     try {
+      const fullContext = await this.withTenantContext(context);
+
       // 1. Check truck-specific override
       if (context.truckId) {
         const truckFlag = await this.getTruckFlag(context.truckId, featureKey);
         if (truckFlag && truckFlag.overridesGlobal) {
-          return this.evaluateFlag(truckFlag, context);
+          return { ...evaluateFlag(truckFlag, fullContext), level: 'truck' };
         }
       }
 
@@ -28,20 +58,55 @@ export class FeatureFlagService {
         const managerFlag = await this.getManagerFlag(context.managerId, featureKey);
         if (managerFlag && managerFlag.applyToAllTrucks) {
           if (!managerFlag.excludedTrucks?.includes(context.truckId || '')) {
-            return this.evaluateFlag(managerFlag, context);
+            return { ...evaluateFlag(managerFlag, fullContext), level: 'manager' };
           }
         }
       }
 
       // 3. Check global flag
       const globalFlag = await this.getGlobalFlag(featureKey);
-      if (!globalFlag) return false;
+      if (!globalFlag) {
+        return this.fallbackEvaluation(featureKey, 'not_found', 'No flag with this key');
+      }
 
-      return this.evaluateFlag(globalFlag, context);
+      return { ...evaluateFlag(globalFlag, fullContext), level: 'global' };
     } catch (error) {
       console.error('Error checking feature flag:', error);
-      return false; // Default to disabled on error
+      // Default to disabled on error
+      return this.fallbackEvaluation(featureKey, 'error', 'Evaluation failed, feature disabled');
+    }
+  }
+
+  private fallbackEvaluation(
+    featureKey: string,
+    reason: 'not_found' | 'error',
+    explanation: string
+  ): FeatureFlagEvaluation {
+    return { key: featureKey, enabled: false, reason, transitionIds: [], explanation };
+  }
+
+  /**
+   * Add plan and canton of the truck, unless the caller already passed them
+   */
+  private async withTenantContext(context: FlagEvaluationContext): Promise<FlagEvaluationContext> {
+    if (!context.truckId || context.tenant) {
+      return context;
+    }
+
+    const doc = await this.db.collection('foodtrucks').doc(context.truckId).get();
+    if (!doc.exists) {
+      return context;
     }
+
+    return {
+      ...context,
+      tenant: {
+        id: doc.id,
+        plan: doc.get('subscription.plan'),
+        subscriptionStatus: doc.get('subscription.status'),
+        canton: doc.get('address.canton')
+      }
+    };
   }
 
   /**
@@ -86,49 +151,6 @@ export class FeatureFlagService {
     return doc.exists ? (doc.data() as FeatureFlag) : null;
   }
 
-  /**
-   * Evaluate a feature flag based on its rules
-   */
-  private evaluateFlag(flag: FeatureFlag, context: FeatureFlagContext): boolean {
-    // Basic enabled check
-    if (!flag.enabled) return false;
-
-    // Schedule check
-    if (flag.schedule) {
-      const now = new Date();
-      if (flag.schedule.enableAt && now < new Date(flag.schedule.enableAt)) {
-        return false;
-      }
-      if (flag.schedule.disableAt && now > new Date(flag.schedule.disableAt)) {
-        return false;
-      }
-    }
-
-    // Rollout percentage
-    if (flag.rolloutPercentage && flag.rolloutPercentage < 100) {
-      const hash = this.hashContext(context);
-      const threshold = flag.rolloutPercentage / 100;
-      if (hash > threshold) return false;
-    }
-
-    // All checks passed
-    return true;
-  }
-
-  /**
-   * Create a deterministic hash for rollout percentage
-   */
-  private hashContext(context: FeatureFlagContext): number {
-    const str = `${context.truckId || ''}-${context.userId || ''}-${context.managerId || ''}`;
-    let hash = 0;
-    for (let i = 0; i < str.length; i++) {
-      const char = str.charCodeAt(i);
-      hash = ((hash << 5) - hash) + char;
-      hash = hash & hash; // Convert to 32bit integer
-    }
-    return Math.abs(hash) / 2147483647; // Normalize to 0-1
-  }
-
   /**
    * Set a global feature flag (Master Admin only)
    */
@@ -137,6 +159,8 @@ export class FeatureFlagService {
     flag: Partial<FeatureFlag>,
     adminId: string
   ): Promise<void> {
+    this.validateRules(flag.rules);
+
     const fullFlag: FeatureFlag = {
       key: featureKey,
       enabled: false,
@@ -174,6 +198,8 @@ export class FeatureFlagService {
     flag: Partial<FeatureFlag>,
     adminId: string
   ): Promise<void> {
+    this.validateRules(flag.rules);
+
     const fullFlag: FeatureFlag = {
       key: featureKey,
       enabled: false,
@@ -203,6 +229,153 @@ export class FeatureFlagService {
     });
   }
 
+  /**
+   * Reject targeting rules that could never be evaluated
+   */
+  private validateRules(rules?: TargetingRule[]): void {
+    const problems = (rules || []).flatMap((rule, index) => (
+      rule.id
+        ? validateCondition(rule.condition, `rules[${index}].condition`)
+        : [`rules[${index}].id is missing`]
+    ));
+
+    if (problems.length > 0) {
+      throw new Error(`Invalid targeting rules: ${problems.join('; ')}`);
+    }
+  }
+
+  /**
+   * Replace the targeting rules of a global flag
+   * Rules are evaluated in order; the first one matching a context decides.
+   */
+  async setGlobalRules(featureKey: string, rules: TargetingRule[], adminId: string): Promise<void> {
+    this.validateRules(rules);
+
+    const flagRef = this.db
+      .collection(this.featureFlagsCollection)
+      .doc('global')
+      .collection('flags')
+      .doc(featureKey);
+
+    await this.db.runTransaction(async (tx) => {
+      const doc = await tx.get(flagRef);
+      if (!doc.exists) {
+        throw new Error(`Feature flag ${featureKey} not found`);
+      }
+      tx.update(flagRef, {
+        rules,
+        lastModified: admin.firestore.FieldValue.serverTimestamp(),
+        lastModifiedBy: adminId
+      });
+    });
+
+    await this.logFeatureChange({
+      featureKey,
+      action: `rules_updated:${rules.length}`,
+      level: 'global',
+      changedBy: adminId,
+      timestamp: new Date()
+    });
+  }
+
+  /**
+   * Schedule a change of a global flag, e.g. turning it on at 06:00 on launch day
+   */
+  async scheduleTransition(
+    featureKey: string,
+    transition: Omit<ScheduledTransition, 'id' | 'appliedAt'>,
+    adminId: string
+  ): Promise<ScheduledTransition> {
+    if (Number.isNaN(new Date(transition.at).getTime())) {
+      throw new Error(`Invalid transition time: ${transition.at}`);
+    }
+    this.validateRules(transition.set.rules);
+
+    const flagRef = this.db
+      .collection(this.featureFlagsCollection)
+      .doc('global')
+      .collection('flags')
+      .doc(featureKey);
+
+    const scheduled: ScheduledTransition = {
+      id: randomUUID(),
+      at: new Date(transition.at).toISOString(),
+      set: transition.set
+    };
+
+    await this.db.runTransaction(async (tx) => {
+      const doc = await tx.get(flagRef);
+      if (!doc.exists) {
+        throw new Error(`Feature flag ${featureKey} not found`);
+      }
+      tx.update(flagRef, {
+        transitions: admin.firestore.FieldValue.arrayUnion(scheduled),
+        lastModified: admin.firestore.FieldValue.serverTimestamp(),
+        lastModifiedBy: adminId
+      });
+    });
+
+    await this.logFeatureChange({
+      featureKey,
+      action: `transition_scheduled:${scheduled.at}`,
+      level: 'global',
+      changedBy: adminId,
+      timestamp: new Date()
+    });
+
+    return scheduled;
+  }
+
+  /**
+   * Store transitions of global flags that are due
+   * Evaluation already applies due transitions on its own; this makes them
+   * visible in the stored flag and the audit log.
+   */
+  async applyScheduledTransitions(now: Date = new Date()): Promise<number> {
+    const flags = await this.db
+      .collection(this.featureFlagsCollection)
+      .doc('global')
+      .collection('flags')
+      .get();
+
+    let applied = 0;
+
+    for (const doc of flags.docs) {
+      const flag = doc.data() as TargetableFlag;
+      if (getDueTransitions(flag, now).length === 0) continue;
+
+      const result = await this.db.runTransaction(async (tx) => {
+        // Read again, an admin may have changed the flag in the meantime
+        const current = await tx.get(doc.ref);
+        const { flag: next, applied: due } = applyDueTransitions(current.data() as TargetableFlag, now);
+        if (due.length === 0) return [];
+
+        tx.update(doc.ref, {
+          enabled: next.enabled,
+          rolloutPercentage: next.rolloutPercentage ?? 100,
+          rules: next.rules || [],
+          transitions: next.transitions,
+          lastModified: admin.firestore.FieldValue.serverTimestamp(),
+          lastModifiedBy: 'scheduler'
+        });
+        return due;
+      });
+
+      for (const transition of result) {
+        await this.logFeatureChange({
+          featureKey: doc.id,
+          action: `transition_applied:${transition.id}`,
+          level: 'global',
+          changedBy: 'scheduler',
+          timestamp: now
+        });
+      }
+      applied += result.length;
+    }
+
+    return applied;
+  }
+
   /**
    * Log feature flag changes for audit
    */
@@ -223,7 +396,7 @@ export class FeatureFlagService {
   /**
    * Get all feature flags for a context
    */
-  async getAllFlags(context: FeatureFlagContext): Promise<Record<string, boolean>> {
+  async getAllFlags(context: FlagEvaluationContext): Promise<Record<string, boolean>> {
     const globalFlags = await this.db
       .collection(this.featureFlagsCollection)
       .doc('global')
@@ -231,10 +404,12 @@ export class FeatureFlagService {
       .get();
 
     const result: Record<string, boolean> = {};
+    // Load plan and canton once instead of per flag
+    const fullContext = await this.withTenantContext(context);
 
     for (const doc of globalFlags.docs) {
       const flag = doc.data() as FeatureFlag;
-      result[flag.key] = await this.isEnabled(flag.key, context);
+      result[flag.key] = await this.isEnabled(flag.key, fullContext);
     }
 
     return result;
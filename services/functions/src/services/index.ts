@@ -14,7 +14,9 @@ export { inventoryService } from './inventory.service';
 export type {
   FeatureFlag,
   FeatureContext,
-  FeatureStatus
+  FeatureStatus,
+  FeatureFlagEvaluation,
+  FlagLevel
 } from './feature-flags.service';
 
 export type {
@@ -0,0 +1,606 @@
+/**
+ * Conversational ordering
+ * Keeps one session per phone number so SMS and WhatsApp customers can build
+ * a cart over several messages and confirm it explicitly before it is ordered
+ */
+
+import { db } from '@eatech/core';
+import { CustomizationOption, ProductCustomization } from '@eatech/types';
+import { formatSwissCurrency, logger } from '@eatech/utils';
+import {
+  claimConversationSession,
+  deleteConversationSession,
+  getConversationSession,
+  getMenuItems,
+  MenuItem,
+  saveConversationSession,
+} from './conversationStore';
+
+// Sessions without a new message for this long are discarded
+export const SESSION_TIMEOUT_MS = 30 * 60 * 1000;
+
+export type ConversationChannel = 'sms' | 'whatsapp';
+export type ConversationLanguage = 'de' | 'fr' | 'it' | 'en';
+// placing: confirmed, the order is being created
+export type ConversationState = 'ordering' | 'awaiting_option' | 'awaiting_confirmation' | 'placing';
+export type ConversationOrderType = 'pickup' | 'delivery';
+
+export interface CartItemOption {
+  customizationId: string;
+  name: string;
+  choiceId: string;
+  choice: string;
+  price: number;
+}
+
+export interface CartItem {
+  productId: string;
+  name: string;
+  quantity: number;
+  unitPrice: number;
+  options: CartItemOption[];
+}
+
+export interface PendingOption {
+  itemIndex: number;
+  customization: ProductCustomization;
+}
+
+export interface ConversationSession {
+  phoneNumber: string;
+  channel: ConversationChannel;
+  language: ConversationLanguage;
+  state: ConversationState;
+  cart: CartItem[];
+  pendingOptions: PendingOption[];
+  orderType: ConversationOrderType;
+  placingMessageSid?: string;
+  createdAt: Date;
+  updatedAt: Date;
+}
+
+export interface OrderDraft {
+  items: Array<{
+    productId: string;
+    name: string;
+    quantity: number;
+    price: number;
+    options: CartItemOption[];
+  }>;
+  total: number;
+  type: ConversationOrderType;
+}
+
+export interface ConversationMessage {
+  phoneNumber: string;
+  channel: ConversationChannel;
+  messageSid: string;
+  text: string;
+  language: ConversationLanguage;
+  placeOrder: (draft: OrderDraft) => Promise<any>;
+}
+
+// Not handled: the message is neither part of a session nor an order
+export type ConversationResult =
+  | { handled: false }
+  | { handled: true; reply: string; order?: any };
+
+interface ParsedItem {
+  item: CartItem;
+  missing: ProductCustomization[];
+}
+
+// Keywords
+
+const CONFIRM_WORDS = ['ja', 'oui', 'sì', 'si', 'yes'];
+const DECLINE_WORDS = ['nein', 'non', 'no'];
+const CANCEL_PATTERN = /\b(abbrechen|stornieren|annuler|annulla|cancel)\b/;
+const STATUS_PATTERNS = [
+  /\b(status|statut|stato)\b/,
+  /wo bleibt/,
+  /wie lange/,
+  /où en est/,
+  /combien de temps/,
+  /quanto manca/,
+  /where is my/,
+  /how long/,
+];
+const DELIVERY_PATTERN = /liefer|livr|consegn|deliver/;
+
+const QUANTITY_WORDS: Record<string, number> = {
+  // German
+  ein: 1, eine: 1, einen: 1, zwei: 2, drei: 3, vier: 4, fünf: 5,
+  // French
+  un: 1, une: 1, deux: 2, trois: 3, quatre: 4, cinq: 5,
+  // Italian
+  uno: 1, una: 1, due: 2, tre: 3, quattro: 4, cinque: 5,
+  // English
+  one: 1, two: 2, three: 3, four: 4, five: 5,
+};
+
+// Message templates
+
+const MESSAGES = {
+  de: {
+    chooseOption: (option: string, item: string) => `Bitte wählen Sie ${option} für ${item}:`,
+    chooseByNumber: 'Antworten Sie mit der Nummer.',
+    summary: 'Ihre Bestellung:',
+    pickup: 'Abholung',
+    delivery: 'Lieferung',
+    confirmPrompt: 'Antworten Sie mit JA, um verbindlich zu bestellen, oder schreiben Sie weitere Artikel. Mit ABBRECHEN verwerfen Sie die Bestellung.',
+    declined: 'Kein Problem. Schreiben Sie weitere Artikel, JA zum Bestellen oder ABBRECHEN.',
+    confirmed: (orderNumber: string) => `Vielen Dank! Ihre Bestellung ${orderNumber} ist eingegangen. Mit STATUS erfahren Sie jederzeit den Stand.`,
+    cancelled: 'Ihre Bestellung wurde abgebrochen.',
+    nothingToCancel: 'Es ist keine offene Bestellung vorhanden.',
+    placing: 'Ihre Bestellung wird bereits aufgegeben. Sie erhalten gleich eine Bestätigung.',
+    expired: 'Ihre letzte Bestellung wurde nach 30 Minuten ohne Antwort verworfen.',
+    noOrder: 'Zu Ihrer Nummer haben wir keine Bestellung gefunden.',
+    status: (orderNumber: string, status: string) => `Bestellung ${orderNumber}: ${status}`,
+    statuses: {
+      pending: 'eingegangen',
+      confirmed: 'bestätigt',
+      preparing: 'in Zubereitung',
+      ready: 'bereit zur Abholung',
+      delivering: 'unterwegs',
+      completed: 'abgeschlossen',
+      cancelled: 'storniert',
+    } as Record<string, string>,
+  },
+  fr: {
+    chooseOption: (option: string, item: string) => `Veuillez choisir ${option} pour ${item}:`,
+    chooseByNumber: 'Répondez avec le numéro.',
+    summary: 'Votre commande:',
+    pickup: 'À emporter',
+    delivery: 'Livraison',
+    confirmPrompt: 'Répondez OUI pour commander, ou écrivez d\'autres articles. ANNULER supprime la commande.',
+    declined: 'Pas de problème. Écrivez d\'autres articles, OUI pour commander ou ANNULER.',
+    confirmed: (orderNumber: string) => `Merci! Votre commande ${orderNumber} a été reçue. Écrivez STATUT pour connaître son état.`,
+    cancelled: 'Votre commande a été annulée.',
+    nothingToCancel: 'Aucune commande en cours.',
+    placing: 'Votre commande est déjà en cours d\'envoi. Vous recevrez une confirmation dans un instant.',
+    expired: 'Votre dernière commande a été supprimée après 30 minutes sans réponse.',
+    noOrder: 'Nous n\'avons trouvé aucune commande pour votre numéro.',
+    status: (orderNumber: string, status: string) => `Commande ${orderNumber}: ${status}`,
+    statuses: {
+      pending: 'reçue',
+      confirmed: 'confirmée',
+      preparing: 'en préparation',
+      ready: 'prête à être retirée',
+      delivering: 'en route',
+      completed: 'terminée',
+      cancelled: 'annulée',
+    } as Record<string, string>,
+  },
+  it: {
+    chooseOption: (option: string, item: string) => `Scelga ${option} per ${item}:`,
+    chooseByNumber: 'Risponda con il numero.',
+    summary: 'Il suo ordine:',
+    pickup: 'Ritiro',
+    delivery: 'Consegna',
+    confirmPrompt: 'Risponda SÌ per ordinare, oppure scriva altri articoli. ANNULLA cancella l\'ordine.',
+    declined: 'Nessun problema. Scriva altri articoli, SÌ per ordinare o ANNULLA.',
+    confirmed: (orderNumber: string) => `Grazie! Il suo ordine ${orderNumber} è stato ricevuto. Scriva STATO per conoscerne lo stato.`,
+    cancelled: 'Il suo ordine è stato annullato.',
+    nothingToCancel: 'Nessun ordine in corso.',
+    placing: 'Il suo ordine è già in fase di invio. Riceverà a breve una conferma.',
+    expired: 'Il suo ultimo ordine è stato cancellato dopo 30 minuti senza risposta.',
+    noOrder: 'Non abbiamo trovato ordini per il suo numero.',
+    status: (orderNumber: string, status: string) => `Ordine ${orderNumber}: ${status}`,
+    statuses: {
+      pending: 'ricevuto',
+      confirmed: 'confermato',
+      preparing: 'in preparazione',
+      ready: 'pronto per il ritiro',
+      delivering: 'in consegna',
+      completed: 'completato',
+      cancelled: 'annullato',
+    } as Record<string, string>,
+  },
+  en: {
+    chooseOption: (option: string, item: string) => `Please choose ${option} for ${item}:`,
+    chooseByNumber: 'Reply with the number.',
+    summary: 'Your order:',
+    pickup: 'Pickup',
+    delivery: 'Delivery',
+    confirmPrompt: 'Reply YES to place the order, or send more items. CANCEL discards the order.',
+    declined: 'No problem. Send more items, YES to order or CANCEL.',
+    confirmed: (orderNumber: string) => `Thank you! Your order ${orderNumber} has been received. Send STATUS to check on it.`,
+    cancelled: 'Your order has been cancelled.',
+    nothingToCancel: 'There is no open order.',
+    placing: 'Your order is already being placed. You will receive a confirmation shortly.',
+    expired: 'Your last order was discarded after 30 minutes without a reply.',
+    noOrder: 'We could not find an order for your number.',
+    status: (orderNumber: string, status: string) => `Order ${orderNumber}: ${status}`,
+    statuses: {
+      pending: 'received',
+      confirmed: 'confirmed',
+      preparing: 'being prepared',
+      ready: 'ready for pickup',
+      delivering: 'on its way',
+      completed: 'completed',
+      cancelled: 'cancelled',
+    } as Record<string, string>,
+  },
+};
+
+/**
+ * Handle one incoming message of a conversation
+ *
+ * Nothing is ordered until the customer answers the summary with an explicit
+ * JA / OUI / SÌ / YES.
+ */
+export async function handleConversationMessage(
+  message: ConversationMessage
+): Promise<ConversationResult> {
+  const { phoneNumber } = message;
+  const text = (message.text || '').trim();
+  const lowerText = text.toLowerCase();
+
+  let session: ConversationSession | null = await getConversationSession(phoneNumber);
+  let expired = false;
+
+  if (session && isExpired(session)) {
+    logger.info('Conversation session expired', { phoneNumber, state: session.state });
+    await deleteConversationSession(phoneNumber);
+    session = null;
+    expired = true;
+  }
+
+  const language = session?.language || message.language;
+  const messages = MESSAGES[language];
+
+  if (STATUS_PATTERNS.some(pattern => pattern.test(lowerText))) {
+    return { handled: true, reply: await getStatusReply(phoneNumber, language) };
+  }
+
+  // Nothing may change the cart while its order is created
+  if (session?.state === 'placing') {
+    return { handled: true, reply: messages.placing };
+  }
+
+  if (CANCEL_PATTERN.test(lowerText)) {
+    if (!session) {
+      return { handled: true, reply: messages.nothingToCancel };
+    }
+
+    await deleteConversationSession(phoneNumber);
+    logger.info('Conversation cancelled', { phoneNumber });
+    return { handled: true, reply: messages.cancelled };
+  }
+
+  if (!session) {
+    const parsedItems = await parseCartItems(lowerText, language);
+
+    if (parsedItems.length === 0) {
+      return expired ? { handled: true, reply: messages.expired } : { handled: false };
+    }
+
+    const now = new Date();
+    session = {
+      phoneNumber,
+      channel: message.channel,
+      language,
+      state: 'ordering',
+      cart: [],
+      pendingOptions: [],
+      orderType: 'pickup',
+      createdAt: now,
+      updatedAt: now,
+    };
+
+    const reply = await addItems(session, parsedItems, lowerText);
+    return { handled: true, reply: expired ? `${messages.expired}\n\n${reply}` : reply };
+  }
+
+  // The customer may switch between SMS and WhatsApp mid-conversation
+  session.channel = message.channel;
+
+  if (session.state === 'awaiting_option') {
+    return { handled: true, reply: await answerOption(session, lowerText) };
+  }
+
+  const answer = normalizeAnswer(lowerText);
+
+  if (session.state === 'awaiting_confirmation' && CONFIRM_WORDS.includes(answer)) {
+    const claimed = await claimConversationSession(phoneNumber, message.messageSid);
+
+    if (!claimed) {
+      return { handled: true, reply: messages.placing };
+    }
+
+    let order;
+    try {
+      order = await message.placeOrder(toOrderDraft(claimed));
+    } catch (error) {
+      // Let the customer confirm again
+      const restored: ConversationSession = { ...claimed, state: 'awaiting_confirmation' };
+      delete restored.placingMessageSid;
+      await saveSession(restored);
+      throw error;
+    }
+    await deleteConversationSession(phoneNumber);
+
+    logger.info('Conversation order placed', {
+      phoneNumber,
+      channel: message.channel,
+      messageSid: message.messageSid,
+      orderNumber: order?.orderNumber,
+    });
+
+    return { handled: true, order, reply: messages.confirmed(order?.orderNumber) };
+  }
+
+  // The cart stays open so the customer can add items and still confirm
+  if (DECLINE_WORDS.includes(answer)) {
+    await saveSession(session);
+    return { handled: true, reply: messages.declined };
+  }
+
+  const parsedItems = await parseCartItems(lowerText, language);
+
+  if (parsedItems.length > 0) {
+    return { handled: true, reply: await addItems(session, parsedItems, lowerText) };
+  }
+
+  if (DELIVERY_PATTERN.test(lowerText)) {
+    session.orderType = 'delivery';
+    await saveSession(session);
+    return { handled: true, reply: getSummary(session) };
+  }
+
+  await saveSession(session);
+  return { handled: true, reply: messages.confirmPrompt };
+}
+
+// Helper functions
+
+function isExpired(session: ConversationSession): boolean {
+  return Date.now() - new Date(session.updatedAt).getTime() > SESSION_TIMEOUT_MS;
+}
+
+async function saveSession(session: ConversationSession) {
+  session.updatedAt = new Date();
+  await saveConversationSession(session);
+}
+
+function normalizeAnswer(lowerText: string): string {
+  return lowerText.replace(/[\s.,;:!?]+$/, '').trim();
+}
+
+function localize(value: Record<string, string> | string, language: ConversationLanguage): string {
+  if (typeof value === 'string') {
+    return value;
+  }
+
+  return value[language] || value.de || Object.values(value)[0] || '';
+}
+
+function getChoicePrice(basePrice: number, choice: CustomizationOption): number {
+  if (choice.price !== undefined) {
+    return choice.price;
+  }
+  if (!choice.priceAdjustment) {
+    return 0;
+  }
+
+  return choice.priceAdjustmentType === 'percentage'
+    ? Math.round(basePrice * choice.priceAdjustment) / 100
+    : choice.priceAdjustment;
+}
+
+function parseQuantity(textBefore: string): number {
+  const match = textBefore.match(/(\d+|[a-zäöüéèì]+)\s*(?:x|×|mal)?\s*$/);
+
+  if (!match) {
+    return 1;
+  }
+
+  const quantity = /^\d+$/.test(match[1])
+    ? parseInt(match[1], 10)
+    : QUANTITY_WORDS[match[1]];
+
+  return quantity && quantity > 0 && quantity < 100 ? quantity : 1;
+}
+
+/**
+ * Find menu items and their quantities in a message
+ *
+ * Longer names are matched first and blanked out, so "Cheeseburger" does not
+ * also count as a "Burger".
+ */
+async function parseCartItems(
+  lowerText: string,
+  language: ConversationLanguage
+): Promise<ParsedItem[]> {
+  if (!lowerText) {
+    return [];
+  }
+
+  const menuItems: MenuItem[] = await getMenuItems();
+  const sortedItems = [...menuItems].sort((a, b) => b.name.length - a.name.length);
+  const found: Array<{ position: number; parsed: ParsedItem }> = [];
+  let remaining = lowerText;
+
+  for (const menuItem of sortedItems) {
+    const name = menuItem.name.toLowerCase();
+    const position = remaining.indexOf(name);
+
+    if (!name || position === -1) {
+      continue;
+    }
+
+    const quantity = parseQuantity(remaining.slice(0, position));
+    remaining = remaining.slice(0, position) + ' '.repeat(name.length) + remaining.slice(position + name.length);
+
+    const item: CartItem = {
+      productId: menuItem.id,
+      name: menuItem.name,
+      quantity,
+      unitPrice: menuItem.price,
+      options: [],
+    };
+    const missing: ProductCustomization[] = [];
+
+    // Required single choices can already be named in the message ("Burger medium")
+    for (const customization of menuItem.customizations || []) {
+      if (!customization.isRequired || customization.type !== 'single' || customization.options.length === 0) {
+        continue;
+      }
+
+      const choice = customization.options.find(option =>
+        Object.values(option.name).some(optionName => optionName && lowerText.includes(optionName.toLowerCase()))
+      );
+
+      if (choice) {
+        applyOption(item, customization, choice, language);
+      } else {
+        missing.push(customization);
+      }
+    }
+
+    found.push({ position, parsed: { item, missing } });
+  }
+
+  return found
+    .sort((a, b) => a.position - b.position)
+    .map(({ parsed }) => parsed);
+}
+
+function applyOption(
+  item: CartItem,
+  customization: ProductCustomization,
+  choice: CustomizationOption,
+  language: ConversationLanguage
+) {
+  const price = getChoicePrice(item.unitPrice, choice);
+
+  item.options.push({
+    customizationId: customization.id,
+    name: localize(customization.name, language),
+    choiceId: choice.id,
+    choice: localize(choice.name, language),
+    price,
+  });
+  item.unitPrice += price;
+}
+
+async function addItems(
+  session: ConversationSession,
+  parsedItems: ParsedItem[],
+  lowerText: string
+): Promise<string> {
+  for (const { item, missing } of parsedItems) {
+    const itemIndex = session.cart.push(item) - 1;
+
+    for (const customization of missing) {
+      session.pendingOptions.push({ itemIndex, customization });
+    }
+  }
+
+  if (DELIVERY_PATTERN.test(lowerText)) {
+    session.orderType = 'delivery';
+  }
+
+  return nextStep(session);
+}
+
+async function answerOption(session: ConversationSession, lowerText: string): Promise<string> {
+  const [pending] = session.pendingOptions;
+  const { options } = pending.customization;
+  const answer = normalizeAnswer(lowerText);
+
+  const choice = /^\d+$/.test(answer)
+    ? options[parseInt(answer, 10) - 1]
+    : options.find(option =>
+      Object.values(option.name).some(optionName => optionName && answer.includes(optionName.toLowerCase()))
+    );
+
+  if (choice) {
+    applyOption(session.cart[pending.itemIndex], pending.customization, choice, session.language);
+    session.pendingOptions.shift();
+  }
+
+  return nextStep(session);
+}
+
+/**
+ * Ask the next open question, or read back the cart once nothing is missing
+ */
+async function nextStep(session: ConversationSession): Promise<string> {
+  const messages = MESSAGES[session.language];
+  const [pending] = session.pendingOptions;
+
+  if (pending) {
+    session.state = 'awaiting_option';
+    await saveSession(session);
+
+    const item = session.cart[pending.itemIndex];
+    const choices = pending.customization.options
+      .map((option, index) => {
+        const price = getChoicePrice(item.unitPrice, option);
+        const surcharge = price ? ` (+${formatSwissCurrency(price)})` : '';
+        return `${index + 1}) ${localize(option.name, session.language)}${surcharge}`;
+      })
+      .join('\n');
+
+    return [
+      messages.chooseOption(localize(pending.customization.name, session.language), item.name),
+      choices,
+      messages.chooseByNumber,
+    ].join('\n');
+  }
+
+  session.state = 'awaiting_confirmation';
+  await saveSession(session);
+
+  return getSummary(session);
+}
+
+function getSummary(session: ConversationSession): string {
+  const messages = MESSAGES[session.language];
+
+  const lines = session.cart.map(item => {
+    const options = item.options.length > 0
+      ? ` (${item.options.map(option => option.choice).join(', ')})`
+      : '';
+    return `${item.quantity}x ${item.name}${options} ${formatSwissCurrency(item.quantity * item.unitPrice)}`;
+  });
+
+  return [
+    messages.summary,
+    ...lines,
+    `Total ${formatSwissCurrency(getCartTotal(session.cart))}`,
+    messages[session.orderType],
+    '',
+    messages.confirmPrompt,
+  ].join('\n');
+}
+
+function getCartTotal(cart: CartItem[]): number {
+  return Math.round(cart.reduce((sum, item) => sum + item.quantity * item.unitPrice, 0) * 100) / 100;
+}
+
+function toOrderDraft(session: ConversationSession): OrderDraft {
+  return {
+    items: session.cart.map(item => ({
+      productId: item.productId,
+      name: item.name,
+      quantity: item.quantity,
+      price: item.unitPrice,
+      options: item.options,
+    })),
+    total: getCartTotal(session.cart),
+    type: session.orderType,
+  };
+}
+
+async function getStatusReply(phoneNumber: string, language: ConversationLanguage): Promise<string> {
+  const messages = MESSAGES[language];
+  const order = await db.findLatestOrderByPhone(phoneNumber);
+
+  if (!order) {
+    return messages.noOrder;
+  }
+
+  return messages.status(order.orderNumber, messages.statuses[order.status] || order.status);
+}
@@ -0,0 +1,103 @@
+/**
+ * Conversation store
+ * Keeps conversational ordering sessions and reads the menu they are built
+ * from
+ *
+ * Sessions live in the Firestore collection conversation_sessions, one
+ * document per phone number. The menu is read from the products of the
+ * tenant the Twilio numbers belong to (TWILIO_TENANT_ID).
+ */
+
+import { getFirestore, Timestamp } from 'firebase-admin/firestore';
+import { ProductCustomization } from '@eatech/types';
+import { logger } from '@eatech/utils';
+import type { ConversationSession } from './conversation';
+
+export interface MenuItem {
+  id: string;
+  name: string;
+  price: number;
+  customizations?: ProductCustomization[];
+}
+
+const SESSIONS_COLLECTION = 'conversation_sessions';
+
+const sessionsCollection = () => getFirestore().collection(SESSIONS_COLLECTION);
+
+const toDate = (value: unknown): Date =>
+  value instanceof Timestamp ? value.toDate() : value as Date;
+
+function toSession(data: Record<string, any>): ConversationSession {
+  return {
+    ...data,
+    createdAt: toDate(data.createdAt),
+    updatedAt: toDate(data.updatedAt),
+  } as ConversationSession;
+}
+
+export async function getConversationSession(phoneNumber: string): Promise<ConversationSession | null> {
+  const snapshot = await sessionsCollection().doc(phoneNumber).get();
+  return snapshot.exists ? toSession(snapshot.data()!) : null;
+}
+
+export async function saveConversationSession(session: ConversationSession): Promise<void> {
+  await sessionsCollection().doc(session.phoneNumber).set(session);
+}
+
+export async function deleteConversationSession(phoneNumber: string): Promise<void> {
+  await sessionsCollection().doc(phoneNumber).delete();
+}
+
+/**
+ * Moves a session awaiting confirmation to placing
+ *
+ * Only one confirmation wins the transaction, so a second JA or a
+ * redelivered message cannot place the order twice.
+ * @returns The claimed session, null if it is not awaiting confirmation
+ */
+export async function claimConversationSession(
+  phoneNumber: string,
+  messageSid: string
+): Promise<ConversationSession | null> {
+  const ref = sessionsCollection().doc(phoneNumber);
+
+  return getFirestore().runTransaction(async (transaction) => {
+    const snapshot = await transaction.get(ref);
+    if (!snapshot.exists) {
+      return null;
+    }
+
+    const session = toSession(snapshot.data()!);
+    if (session.state !== 'awaiting_confirmation') {
+      return null;
+    }
+
+    const claim = { state: 'placing' as const, placingMessageSid: messageSid, updatedAt: new Date() };
+    transaction.update(ref, claim);
+    return { ...session, ...claim };
+  });
+}
+
+/**
+ * Available products of the ordering tenant
+ */
+export async function getMenuItems(): Promise<MenuItem[]> {
+  const tenantId = process.env.TWILIO_TENANT_ID;
+
+  if (!tenantId) {
+    logger.error('TWILIO_TENANT_ID is not set, no menu to order from');
+    return [];
+  }
+
+  const snapshot = await getFirestore().collection(`tenants/${tenantId}/products`).get();
+
+  return snapshot.docs
+    .map((doc) => ({ id: doc.id, data: doc.data() }))
+    .filter(({ data }) => data.available !== false && (!data.status || data.status === 'active'))
+    .map(({ id, data }) => ({
+      id,
+      name: data.name,
+      price: data.pricing?.salePrice ?? data.pricing?.basePrice ?? data.price,
+      customizations: data.customizations,
+    }));
+}
@@ -0,0 +1,286 @@
+/**
+ * Webhook inbox
+ * Stores every incoming provider event with its processing status, so
+ * redelivered events are skipped once done and failed ones are retried
+ * with backoff or replayed from the master app
+ *
+ * Events live in the Firestore collection webhook_inbox, one document per
+ * provider event id.
+ */
+
+import { getFirestore, Timestamp } from 'firebase-admin/firestore';
+import { logger } from '@eatech/utils';
+
+export type WebhookService = 'stripe';
+
+// pending: not yet processed, failed: retried later, dead: retries exhausted
+export type InboxStatus = 'pending' | 'processing' | 'done' | 'failed' | 'dead';
+
+export interface InboxEvent {
+  id: string;
+  service: WebhookService;
+  eventId: string;
+  type: string;
+  livemode: boolean;
+  payload: string; // raw event JSON, as verified
+  status: InboxStatus;
+  attempts: number;
+  lastError?: string;
+  nextAttemptAt: Date | null;
+  lockedUntil: Date | null;
+  receivedAt: Date;
+  processedAt?: Date;
+  updatedAt: Date;
+  replayRequestedAt?: Date;
+  replayRequestedBy?: string;
+}
+
+export type InboxHandler = (event: InboxEvent) => Promise<void>;
+
+export type InboxOutcome = 'processed' | 'duplicate' | 'in_progress' | 'failed';
+
+export const MAX_ATTEMPTS = 8;
+
+// A claim expires after this long, e.g. when the process died mid-event
+export const LOCK_TIMEOUT_MS = 5 * 60 * 1000;
+
+const BASE_DELAY_MS = 30 * 1000;
+const MAX_DELAY_MS = 6 * 60 * 60 * 1000;
+
+const INBOX_COLLECTION = 'webhook_inbox';
+
+// gRPC status of a create() on an existing document
+const ALREADY_EXISTS = 6;
+
+const CLAIMABLE_STATUSES: InboxStatus[] = ['pending', 'failed'];
+
+const inboxCollection = () => getFirestore().collection(INBOX_COLLECTION);
+
+const toDate = (value: unknown): Date | null =>
+  value instanceof Timestamp ? value.toDate() : (value as Date | null) ?? null;
+
+function toInboxEvent(id: string, data: Record<string, any>): InboxEvent {
+  return {
+    ...data,
+    id,
+    nextAttemptAt: toDate(data.nextAttemptAt),
+    lockedUntil: toDate(data.lockedUntil),
+    receivedAt: toDate(data.receivedAt),
+    processedAt: toDate(data.processedAt) ?? undefined,
+    updatedAt: toDate(data.updatedAt),
+    replayRequestedAt: toDate(data.replayRequestedAt) ?? undefined,
+  } as InboxEvent;
+}
+
+/**
+ * Stores the event unless a document for it exists
+ * @returns false when the event was seen before
+ */
+async function createInboxEvent(event: InboxEvent): Promise<boolean> {
+  try {
+    await inboxCollection().doc(event.id).create(event);
+    return true;
+  } catch (error: any) {
+    if (error?.code === ALREADY_EXISTS) {
+      return false;
+    }
+    throw error;
+  }
+}
+
+async function getInboxEvent(id: string): Promise<InboxEvent | null> {
+  const snapshot = await inboxCollection().doc(id).get();
+  return snapshot.exists ? toInboxEvent(snapshot.id, snapshot.data()!) : null;
+}
+
+/**
+ * Marks an event as processing if it is claimable: pending or failed, or
+ * processing under a claim that has expired
+ * @returns The claimed event, null if it is done or held by another worker
+ */
+async function claimInboxEvent(id: string, now: Date): Promise<InboxEvent | null> {
+  const ref = inboxCollection().doc(id);
+  const lockedUntil = new Date(now.getTime() + LOCK_TIMEOUT_MS);
+
+  return getFirestore().runTransaction(async (transaction) => {
+    const snapshot = await transaction.get(ref);
+    if (!snapshot.exists) {
+      return null;
+    }
+
+    const event = toInboxEvent(snapshot.id, snapshot.data()!);
+    const claimable = CLAIMABLE_STATUSES.includes(event.status)
+      || (event.status === 'processing' && (!event.lockedUntil || event.lockedUntil <= now));
+    if (!claimable) {
+      return null;
+    }
+
+    // An expired claim makes the event due again for the retry worker
+    const claim = { status: 'processing' as const, lockedUntil, nextAttemptAt: lockedUntil, updatedAt: now };
+    transaction.update(ref, claim);
+    return { ...event, ...claim };
+  });
+}
+
+async function updateInboxEvent(id: string, data: Partial<Record<keyof InboxEvent, unknown>>): Promise<void> {
+  await inboxCollection().doc(id).update(data);
+}
+
+/**
+ * Delay before the next attempt: 30s, 1m, 2m, ... capped at 6h
+ */
+export function getRetryDelay(attempts: number): number {
+  return Math.min(BASE_DELAY_MS * 2 ** Math.max(attempts - 1, 0), MAX_DELAY_MS);
+}
+
+export function getInboxId(service: WebhookService, eventId: string): string {
+  return `${service}_${eventId}`;
+}
+
+/**
+ * Records an incoming event and processes it unless it was already handled
+ *
+ * The event is stored before any side effect runs. Redeliveries of an
+ * event marked done are skipped, and an event another worker holds a
+ * claim on is left to that worker.
+ */
+export async function receiveEvent(
+  service: WebhookService,
+  event: { id: string; type: string; livemode: boolean },
+  payload: string,
+  handler: InboxHandler
+): Promise<InboxOutcome> {
+  const id = getInboxId(service, event.id);
+  const now = new Date();
+
+  const created = await createInboxEvent({
+    id,
+    service,
+    eventId: event.id,
+    type: event.type,
+    livemode: event.livemode,
+    payload,
+    status: 'pending',
+    attempts: 0,
+    nextAttemptAt: now,
+    lockedUntil: null,
+    receivedAt: now,
+    updatedAt: now,
+  } as InboxEvent);
+
+  if (!created) {
+    const existing = await getInboxEvent(id);
+    if (existing?.status === 'done') {
+      logger.info(`Skipping already processed ${service} event ${event.id}`);
+      return 'duplicate';
+    }
+  }
+
+  return processEvent(id, handler);
+}
+
+/**
+ * Claims an event and runs the handler, recording the result
+ */
+export async function processEvent(id: string, handler: InboxHandler): Promise<InboxOutcome> {
+  const now = new Date();
+
+  const claimed = await claimInboxEvent(id, now);
+
+  if (!claimed) {
+    logger.info(`Webhook event ${id} is already being processed`);
+    return 'in_progress';
+  }
+
+  const attempts = claimed.attempts + 1;
+
+  try {
+    await handler(claimed);
+
+    await updateInboxEvent(id, {
+      status: 'done',
+      attempts,
+      lastError: null,
+      nextAttemptAt: null,
+      lockedUntil: null,
+      processedAt: new Date(),
+      updatedAt: new Date(),
+    });
+    return 'processed';
+  } catch (error: any) {
+    const exhausted = attempts >= MAX_ATTEMPTS;
+    const nextAttemptAt = exhausted ? null : new Date(Date.now() + getRetryDelay(attempts));
+
+    logger.error(`Webhook event ${id} failed (attempt ${attempts}/${MAX_ATTEMPTS})`, error);
+
+    await updateInboxEvent(id, {
+      status: exhausted ? 'dead' : 'failed',
+      attempts,
+      lastError: error?.message || String(error),
+      nextAttemptAt,
+      lockedUntil: null,
+      updatedAt: new Date(),
+    });
+    return 'failed';
+  }
+}
+
+/**
+ * Retries events whose backoff has elapsed
+ *
+ * Also picks up replays requested from the master app, which reset an
+ * event to pending with an immediate nextAttemptAt.
+ */
+export async function processDueEvents(
+  service: WebhookService,
+  handler: InboxHandler,
+  limit: number = 20
+): Promise<number> {
+  // Processing events are due once their claim has expired
+  const snapshot = await inboxCollection()
+    .where('service', '==', service)
+    .where('status', 'in', [...CLAIMABLE_STATUSES, 'processing'])
+    .where('nextAttemptAt', '<=', new Date())
+    .orderBy('nextAttemptAt')
+    .limit(limit)
+    .get();
+  const due = snapshot.docs.map((doc) => toInboxEvent(doc.id, doc.data()));
+
+  let processed = 0;
+  for (const event of due) {
+    if (await processEvent(event.id, handler) === 'processed') {
+      processed++;
+    }
+  }
+
+  if (due.length > 0) {
+    logger.info(`Retried ${due.length} ${service} webhook events, ${processed} succeeded`);
+  }
+  return processed;
+}
+
+/**
+ * Polls for due events until the returned function is called
+ */
+export function startRetryWorker(
+  service: WebhookService,
+  handler: InboxHandler,
+  intervalMs: number = 30 * 1000
+): () => void {
+  let running = false;
+
+  const timer = setInterval(async () => {
+    // Skip a tick rather than overlap a slow run
+    if (running) return;
+    running = true;
+    try {
+      await processDueEvents(service, handler);
+    } catch (error) {
+      logger.error(`Webhook retry worker for ${service} failed:`, error);
+    } finally {
+      running = false;
+    }
+  }, intervalMs);
+
+  return () => clearInterval(timer);
+}
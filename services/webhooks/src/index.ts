@@ -4,7 +4,8 @@
  */
 
 import express from 'express';
-import { handleStripeWebhook } from './stripe';
+import { getApps, initializeApp } from 'firebase-admin/app';
+import { handleStripeWebhook, startStripeRetryWorker } from './stripe';
 import { 
   handleSMSWebhook,
   handleVoiceWebhook,
@@ -12,6 +13,12 @@ import {
   handleVoiceTranscriptionWebhook,
   handleWhatsAppWebhook
 } from './twilio';
+import { requireTwilioSignature } from './twilioSignature';
+
+// Firestore (webhook inbox) with the credentials of the runtime
+if (getApps().length === 0) {
+  initializeApp();
+}
 
 const app = express();
 
@@ -21,6 +28,9 @@ app.use('/webhooks/stripe', express.raw({ type: 'application/json' }));
 // Middleware for URL-encoded body (required for Twilio)
 app.use('/webhooks/twilio', express.urlencoded({ extended: false }));
 
+// Reject Twilio requests without a valid X-Twilio-Signature
+app.use('/webhooks/twilio', requireTwilioSignature);
+
 // JSON middleware for other endpoints
 app.use(express.json());
 
@@ -44,8 +54,10 @@ app.post('/webhooks/twilio/voice/transcription', handleVoiceTranscriptionWebhook
 app.post('/webhooks/twilio/whatsapp', handleWhatsAppWebhook);
 
 // Export all handlers
+export * from './inbox';
 export * from './stripe';
 export * from './twilio';
+export * from './twilioSignature';
 
 // Start server if running directly
 if (require.main === module) {
@@ -53,6 +65,9 @@ if (require.main === module) {
   app.listen(port, () => {
     console.log(`Webhook service listening on port ${port}`);
   });
+
+  // Retry failed Stripe events and replays requested in the master app
+  startStripeRetryWorker();
 }
 
 export default app;
@@ -8,6 +8,7 @@ import Stripe from 'stripe';
 import { db } from '@eatech/core';
 import { Order, Payment, Subscription } from '@eatech/types';
 import { logger } from '@eatech/utils';
+import { InboxEvent, receiveEvent, startRetryWorker } from './inbox';
 
 // Initialize Stripe
 const stripe = new Stripe(process.env.STRIPE_SECRET_KEY || '', {
@@ -40,100 +41,112 @@ export async function handleStripeWebhook(req: Request, res: Response) {
   });
 
   try {
-    // Handle the event
-    switch (event.type) {
-      case 'payment_intent.succeeded':
-        await handlePaymentIntentSucceeded(event.data.object as Stripe.PaymentIntent);
-        break;
+    // Stored before processing; redeliveries of done events are skipped
+    const outcome = await receiveEvent('stripe', event, req.body.toString(), processStripeInboxEvent);
 
-      case 'payment_intent.payment_failed':
-        await handlePaymentIntentFailed(event.data.object as Stripe.PaymentIntent);
-        break;
+    // Failed events stay in the inbox and are retried with backoff
+    res.json({ received: true, status: outcome });
+  } catch (error) {
+    // Inbox unavailable: let Stripe deliver the event again
+    logger.error('Error recording Stripe webhook:', error);
+    res.status(500).json({ error: 'Webhook processing failed' });
+  }
+}
 
-      case 'payment_method.attached':
-        await handlePaymentMethodAttached(event.data.object as Stripe.PaymentMethod);
-        break;
+// Runs the side effects of an event stored in the inbox
+export async function processStripeInboxEvent(record: InboxEvent) {
+  await dispatchStripeEvent(JSON.parse(record.payload) as Stripe.Event);
+}
 
-      case 'charge.succeeded':
-        await handleChargeSucceeded(event.data.object as Stripe.Charge);
-        break;
+// Retries failed events and requested replays while the service runs
+export function startStripeRetryWorker(intervalMs?: number): () => void {
+  return startRetryWorker('stripe', processStripeInboxEvent, intervalMs);
+}
 
-      case 'charge.failed':
-        await handleChargeFailed(event.data.object as Stripe.Charge);
-        break;
+async function dispatchStripeEvent(event: Stripe.Event) {
+  switch (event.type) {
+    case 'payment_intent.succeeded':
+      await handlePaymentIntentSucceeded(event.data.object as Stripe.PaymentIntent);
+      break;
 
-      case 'charge.refunded':
-        await handleChargeRefunded(event.data.object as Stripe.Charge);
-        break;
+    case 'payment_intent.payment_failed':
+      await handlePaymentIntentFailed(event.data.object as Stripe.PaymentIntent);
+      break;
 
-      case 'customer.subscription.created':
-        await handleSubscriptionCreated(event.data.object as Stripe.Subscription);
-        break;
+    case 'payment_method.attached':
+      await handlePaymentMethodAttached(event.data.object as Stripe.PaymentMethod);
+      break;
 
-      case 'customer.subscription.updated':
-        await handleSubscriptionUpdated(event.data.object as Stripe.Subscription);
-        break;
+    case 'charge.succeeded':
+      await handleChargeSucceeded(event.data.object as Stripe.Charge);
+      break;
 
-      case 'customer.subscription.deleted':
-        await handleSubscriptionDeleted(event.data.object as Stripe.Subscription);
-        break;
+    case 'charge.failed':
+      await handleChargeFailed(event.data.object as Stripe.Charge);
+      break;
 
-      case 'customer.subscription.trial_will_end':
-        await handleSubscriptionTrialWillEnd(event.data.object as Stripe.Subscription);
-        break;
+    case 'charge.refunded':
+      await handleChargeRefunded(event.data.object as Stripe.Charge);
+      break;
 
-      case 'invoice.created':
-        await handleInvoiceCreated(event.data.object as Stripe.Invoice);
-        break;
+    case 'customer.subscription.created':
+      await handleSubscriptionCreated(event.data.object as Stripe.Subscription);
+      break;
 
-      case 'invoice.payment_succeeded':
-        await handleInvoicePaymentSucceeded(event.data.object as Stripe.Invoice);
-        break;
+    case 'customer.subscription.updated':
+      await handleSubscriptionUpdated(event.data.object as Stripe.Subscription);
+      break;
 
-      case 'invoice.payment_failed':
-        await handleInvoicePaymentFailed(event.data.object as Stripe.Invoice);
-        break;
+    case 'customer.subscription.deleted':
+      await handleSubscriptionDeleted(event.data.object as Stripe.Subscription);
+      break;
 
-      case 'checkout.session.completed':
-        await handleCheckoutSessionCompleted(event.data.object as Stripe.Checkout.Session);
-        break;
+    case 'customer.subscription.trial_will_end':
+      await handleSubscriptionTrialWillEnd(event.data.object as Stripe.Subscription);
+      break;
 
-      case 'checkout.session.expired':
-        await handleCheckoutSessionExpired(event.data.object as Stripe.Checkout.Session);
-        break;
+    case 'invoice.created':
+      await handleInvoiceCreated(event.data.object as Stripe.Invoice);
+      break;
 
-      case 'customer.created':
-        await handleCustomerCreated(event.data.object as Stripe.Customer);
-        break;
+    case 'invoice.payment_succeeded':
+      await handleInvoicePaymentSucceeded(event.data.object as Stripe.Invoice);
+      break;
 
-      case 'customer.updated':
-        await handleCustomerUpdated(event.data.object as Stripe.Customer);
-        break;
+    case 'invoice.payment_failed':
+      await handleInvoicePaymentFailed(event.data.object as Stripe.Invoice);
+      break;
 
-      case 'customer.deleted':
-        await handleCustomerDeleted(event.data.object as Stripe.Customer);
-        break;
+    case 'checkout.session.completed':
+      await handleCheckoutSessionCompleted(event.data.object as Stripe.Checkout.Session);
+      break;
 
-      case 'payment_method.automatically_updated':
-        await handlePaymentMethodAutomaticallyUpdated(event.data.object as Stripe.PaymentMethod);
-        break;
+    case 'checkout.session.expired':
+      await handleCheckoutSessionExpired(event.data.object as Stripe.Checkout.Session);
+      break;
 
-      case 'setup_intent.succeeded':
-        await handleSetupIntentSucceeded(event.data.object as Stripe.SetupIntent);
-        break;
+    case 'customer.created':
+      await handleCustomerCreated(event.data.object as Stripe.Customer);
+      break;
 
-      default:
-        logger.info(`Unhandled Stripe event type: ${event.type}`);
-    }
+    case 'customer.updated':
+      await handleCustomerUpdated(event.data.object as Stripe.Customer);
+      break;
 
-    // Store webhook event for audit
-    await storeWebhookEvent(event);
+    case 'customer.deleted':
+      await handleCustomerDeleted(event.data.object as Stripe.Customer);
+      break;
 
-    // Return success response
-    res.json({ received: true });
-  } catch (error) {
-    logger.error('Error processing Stripe webhook:', error);
-    res.status(500).json({ error: 'Webhook processing failed' });
+    case 'payment_method.automatically_updated':
+      await handlePaymentMethodAutomaticallyUpdated(event.data.object as Stripe.PaymentMethod);
+      break;
+
+    case 'setup_intent.succeeded':
+      await handleSetupIntentSucceeded(event.data.object as Stripe.SetupIntent);
+      break;
+
+    default:
+      logger.info(`Unhandled Stripe event type: ${event.type}`);
   }
 }
 
@@ -489,17 +502,6 @@ async function handleSetupIntentSucceeded(setupIntent: Stripe.SetupIntent) {
 
 // Helper functions
 
-async function storeWebhookEvent(event: Stripe.Event) {
-  await db.createWebhookEvent({
-    service: 'stripe',
-    eventId: event.id,
-    type: event.type,
-    livemode: event.livemode,
-    data: event.data,
-    createdAt: new Date(event.created * 1000),
-  });
-}
-
 async function sendPaymentConfirmation(tenantId: string, orderId: string, paymentIntent: Stripe.PaymentIntent) {
   // Implementation would send email via SendGrid or other service
   logger.info(`Sending payment confirmation for order ${orderId}`);
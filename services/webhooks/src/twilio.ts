@@ -8,6 +8,8 @@ import twilio from 'twilio';
 import { db } from '@eatech/core';
 import { VoiceOrder, SMSOrder, WhatsAppOrder } from '@eatech/types';
 import { logger, parseSwissPhoneNumber } from '@eatech/utils';
+import { handleConversationMessage, OrderDraft } from './conversation';
+import { getMenuItems } from './conversationStore';
 
 // Initialize Twilio client
 const twilioClient = twilio(
@@ -15,11 +17,6 @@ const twilioClient = twilio(
   process.env.TWILIO_AUTH_TOKEN
 );
 
-// Webhook validation
-const validateTwilioRequest = twilio.webhook({
-  validate: process.env.NODE_ENV === 'production',
-});
-
 // Swiss number patterns
 const SWISS_MOBILE_PATTERN = /^(?:\+41|0041|0)?7[6-9]\d{7}$/;
 const SWISS_LANDLINE_PATTERN = /^(?:\+41|0041|0)?[2-9]\d{8}$/;
@@ -39,34 +36,25 @@ export async function handleSMSWebhook(req: Request, res: Response) {
     // Parse Swiss phone number
     const phoneNumber = parseSwissPhoneNumber(From);
     
-    // Check if this is an order-related message
-    const isOrder = await detectOrderIntent(Body);
+    // Continue or start a conversation for this number
+    const conversation = await handleConversationMessage({
+      phoneNumber,
+      channel: 'sms',
+      messageSid: MessageSid,
+      text: Body,
+      language: detectLanguage(Body),
+      placeOrder: (draft) => processSMSOrder(phoneNumber, draft, MessageSid),
+    });
     
-    if (isOrder) {
-      // Process as order
-      const order = await processSMSOrder(phoneNumber, Body, MessageSid);
-      
-      // Send confirmation
-      const twiml = new twilio.twiml.MessagingResponse();
-      twiml.message(
-        getOrderConfirmationMessage(order, 'sms'),
-        {
-          language: detectLanguage(Body),
-        }
-      );
-      
-      res.type('text/xml');
-      res.send(twiml.toString());
-    } else {
-      // Handle general inquiry
-      const response = await handleGeneralInquiry(Body, phoneNumber);
-      
-      const twiml = new twilio.twiml.MessagingResponse();
-      twiml.message(response);
-      
-      res.type('text/xml');
-      res.send(twiml.toString());
-    }
+    const twiml = new twilio.twiml.MessagingResponse();
+    twiml.message(
+      conversation.handled
+        ? conversation.reply
+        : await handleGeneralInquiry(Body, phoneNumber)
+    );
+    
+    res.type('text/xml');
+    res.send(twiml.toString());
 
     // Store SMS for analytics
     await db.storeSMS({
@@ -74,7 +62,7 @@ export async function handleSMSWebhook(req: Request, res: Response) {
       to: To,
       body: Body,
       messageSid: MessageSid,
-      type: isOrder ? 'order' : 'inquiry',
+      type: conversation.handled ? 'order' : 'inquiry',
       country: FromCountry,
       city: FromCity,
       createdAt: new Date(),
@@ -329,22 +317,29 @@ export async function handleWhatsAppWebhook(req: Request, res: Response) {
       );
     }
 
-    // Process message
-    const isOrder = await detectOrderIntent(Body);
-    
-    if (isOrder) {
-      const order = await processWhatsAppOrder(
+    // Continue or start a conversation for this number
+    const conversation = await handleConversationMessage({
+      phoneNumber,
+      channel: 'whatsapp',
+      messageSid: MessageSid,
+      text: Body,
+      language: detectLanguage(Body || ''),
+      placeOrder: (draft) => processWhatsAppOrder(
         phoneNumber,
-        Body,
+        draft,
         MessageSid,
         ProfileName
-      );
-      
-      // Send rich confirmation with buttons
-      await sendWhatsAppOrderConfirmation(From, order);
-    } else {
+      ),
+    });
+    
+    if (!conversation.handled) {
       // Interactive response
       await sendWhatsAppInteractiveMenu(From);
+    } else if (conversation.order) {
+      // Send rich confirmation with buttons
+      await sendWhatsAppOrderConfirmation(From, conversation.order);
+    } else {
+      await sendWhatsAppMessage(From, conversation.reply);
     }
 
     res.status(200).send('OK');
@@ -357,36 +352,17 @@ export async function handleWhatsAppWebhook(req: Request, res: Response) {
 
 // Helper functions
 
-async function detectOrderIntent(message: string): Promise<boolean> {
-  const orderKeywords = [
-    // German
-    'bestellen', 'bestelle', 'möchte', 'hätte gerne', 'bitte',
-    // French  
-    'commander', 'commande', 'voudrais', 'j\'aimerais',
-    // Italian
-    'ordinare', 'ordine', 'vorrei', 'desidero',
-    // English
-    'order', 'would like', 'want', 'please',
-  ];
-
-  const lowerMessage = message.toLowerCase();
-  return orderKeywords.some(keyword => lowerMessage.includes(keyword));
-}
-
 async function processSMSOrder(
   phoneNumber: string,
-  message: string,
+  draft: OrderDraft,
   messageSid: string
 ): Promise<SMSOrder> {
-  // Parse order from message
-  const parsedOrder = await parseOrderFromText(message);
-  
   // Find customer
   const customer = await db.findCustomerByPhone(phoneNumber);
   
   // Create order
   const order = await db.createOrder({
-    ...parsedOrder,
+    ...draft,
     customerId: customer?.id,
     customerPhone: phoneNumber,
     source: 'sms',
@@ -428,13 +404,10 @@ async function processVoiceOrder(
 
 async function processWhatsAppOrder(
   phoneNumber: string,
-  message: string,
+  draft: OrderDraft,
   messageSid: string,
   profileName?: string
 ): Promise<WhatsAppOrder> {
-  // Parse order from message
-  const parsedOrder = await parseOrderFromText(message);
-  
   // Find or create customer
   let customer = await db.findCustomerByPhone(phoneNumber);
   
@@ -448,7 +421,7 @@ async function processWhatsAppOrder(
   
   // Create order
   const order = await db.createOrder({
-    ...parsedOrder,
+    ...draft,
     customerId: customer?.id,
     customerPhone: phoneNumber,
     customerName: profileName,
@@ -468,7 +441,7 @@ async function parseOrderFromText(text: string): Promise<any> {
   const lowerText = text.toLowerCase();
   
   // Menu item detection (simplified)
-  const menuItems = await db.getMenuItems();
+  const menuItems = await getMenuItems();
   
   for (const item of menuItems) {
     if (lowerText.includes(item.name.toLowerCase())) {
@@ -629,6 +602,18 @@ async function sendWhatsAppOrderConfirmation(to: string, order: any) {
   }
 }
 
+async function sendWhatsAppMessage(to: string, body: string) {
+  try {
+    await twilioClient.messages.create({
+      from: `whatsapp:${process.env.TWILIO_WHATSAPP_NUMBER}`,
+      to,
+      body,
+    });
+  } catch (error) {
+    logger.error('Failed to send WhatsApp message:', error);
+  }
+}
+
 async function sendWhatsAppInteractiveMenu(to: string) {
   try {
     await twilioClient.messages.create({
@@ -726,7 +711,7 @@ async function handleGeneralInquiry(message: string, phoneNumber: string): Promi
     return 'Unsere aktuelle Speisekarte finden Sie unter: https://eatech.ch/menu';
   }
   
-  return 'Vielen Dank für Ihre Nachricht. Für Bestellungen antworten Sie mit "Bestellen" oder rufen Sie uns an.';
+  return 'Vielen Dank für Ihre Nachricht. Für Bestellungen schreiben Sie uns einfach, was Sie möchten, z.B. "2 Burger", oder rufen Sie uns an.';
 }
 
 // Twilio webhook endpoints configuration
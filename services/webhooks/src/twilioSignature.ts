@@ -0,0 +1,124 @@
+/**
+ * Twilio request validation
+ * Checks the X-Twilio-Signature header of inbound webhooks against the
+ * account auth token, accepting the previous token during a rotation
+ *
+ * Tokens are only read from the environment. To rotate, move the current
+ * token to TWILIO_AUTH_TOKEN_PREVIOUS and set the new one as
+ * TWILIO_AUTH_TOKEN on every instance, then promote the token in Twilio and
+ * clear TWILIO_AUTH_TOKEN_PREVIOUS once all instances run the new one.
+ */
+
+import { createHmac, randomUUID, timingSafeEqual } from 'crypto';
+import { NextFunction, Request, Response } from 'express';
+import { getFirestore } from 'firebase-admin/firestore';
+import { logger } from '@eatech/utils';
+
+const SIGNATURE_HEADER = 'x-twilio-signature';
+
+const SECURITY_EVENTS_COLLECTION = 'security_events';
+
+// Tokens accepted for validation, newest first
+const authTokens: string[] = [
+  process.env.TWILIO_AUTH_TOKEN,
+  process.env.TWILIO_AUTH_TOKEN_PREVIOUS,
+].filter((token): token is string => !!token);
+
+/**
+ * Twilio's signature: HMAC-SHA1 over the full URL followed by every POST
+ * parameter name and value, sorted by name, base64 encoded
+ */
+export function computeTwilioSignature(
+  authToken: string,
+  url: string,
+  params: Record<string, unknown> = {}
+): string {
+  const data = Object.keys(params)
+    .sort()
+    .reduce((payload, key) => {
+      const value = params[key];
+      const values = Array.isArray(value) ? value : [value];
+      return payload + values.map((item) => `${key}${item ?? ''}`).join('');
+    }, url);
+
+  return createHmac('sha1', authToken).update(Buffer.from(data, 'utf-8')).digest('base64');
+}
+
+export function isValidTwilioSignature(
+  signature: string,
+  url: string,
+  params: Record<string, unknown>,
+  tokens: string[] = authTokens
+): boolean {
+  const received = Buffer.from(signature);
+
+  return tokens.some((token) => {
+    const expected = Buffer.from(computeTwilioSignature(token, url, params));
+    return expected.length === received.length && timingSafeEqual(expected, received);
+  });
+}
+
+/**
+ * Public URL Twilio signed; the service runs behind a proxy, so this is
+ * built from API_BASE_URL like the endpoints in getTwilioWebhookEndpoints
+ */
+export function getTwilioRequestUrl(req: Request): string {
+  const baseUrl = process.env.API_BASE_URL || 'https://api.eatech.ch';
+  return `${baseUrl}${req.originalUrl}`;
+}
+
+/**
+ * Express middleware rejecting Twilio webhooks without a valid signature
+ */
+export async function requireTwilioSignature(req: Request, res: Response, next: NextFunction) {
+  if (authTokens.length === 0) {
+    if (process.env.NODE_ENV !== 'production') {
+      logger.warn('TWILIO_AUTH_TOKEN not set, skipping Twilio signature validation');
+      return next();
+    }
+    logger.error('TWILIO_AUTH_TOKEN not set, rejecting Twilio webhook');
+    return res.status(500).send('Webhook validation not configured');
+  }
+
+  const signature = req.header(SIGNATURE_HEADER);
+  const url = getTwilioRequestUrl(req);
+
+  if (signature && isValidTwilioSignature(signature, url, req.body || {})) {
+    return next();
+  }
+
+  logger.warn('Rejected Twilio webhook with invalid signature', {
+    path: req.originalUrl,
+    ip: req.ip,
+  });
+
+  await logRejectedRequest(req, signature ? 'invalid_signature' : 'missing_signature');
+  return res.status(403).send('Invalid signature');
+}
+
+// Helper functions
+
+async function logRejectedRequest(req: Request, reason: string) {
+  // Same shape SecurityService writes to security_events
+  const event = {
+    id: randomUUID(),
+    type: 'twilio_webhook_rejected',
+    severity: 'medium',
+    timestamp: new Date(),
+    data: {
+      reason,
+      path: req.originalUrl,
+      ipAddress: req.ip ?? null,
+      userAgent: req.header('user-agent') ?? null,
+      accountSid: req.body?.AccountSid ?? null,
+      from: req.body?.From ?? null,
+    },
+    source: 'webhooks',
+  };
+
+  try {
+    await getFirestore().collection(SECURITY_EVENTS_COLLECTION).doc(event.id).set(event);
+  } catch (error) {
+    logger.error('Failed to log rejected Twilio webhook:', error);
+  }
+}
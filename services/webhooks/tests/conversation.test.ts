@@ -0,0 +1,129 @@
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+import { handleConversationMessage, OrderDraft } from '../src/conversation';
+
+// In-memory stand-in for the parts of Firestore the conversation store uses
+const mockStore = new Map<string, Record<string, any>>();
+
+vi.mock('@eatech/core', () => ({ db: {} }));
+
+vi.mock('@eatech/utils', () => ({
+  logger: { info: vi.fn(), error: vi.fn() },
+  formatSwissCurrency: (amount: number) => `CHF ${amount.toFixed(2)}`,
+}));
+
+vi.mock('firebase-admin/firestore', () => {
+  class Timestamp {}
+
+  const docRef = (path: string) => ({
+    path,
+    async get() {
+      return { exists: mockStore.has(path), data: () => ({ ...mockStore.get(path) }) };
+    },
+    async set(data: Record<string, any>) {
+      mockStore.set(path, { ...data });
+    },
+    async delete() {
+      mockStore.delete(path);
+    },
+  });
+
+  // Transactions run one after the other, as Firestore retries conflicting ones
+  let queue: Promise<unknown> = Promise.resolve();
+
+  const firestore = {
+    collection: (collectionPath: string) => ({
+      doc: (id: string) => docRef(`${collectionPath}/${id}`),
+      async get() {
+        const docs = [...mockStore.entries()]
+          .filter(([path]) => path.startsWith(`${collectionPath}/`))
+          .map(([path, data]) => ({ id: path.slice(collectionPath.length + 1), data: () => ({ ...data }) }));
+        return { docs };
+      },
+    }),
+    runTransaction: (fn: (transaction: any) => Promise<unknown>) => {
+      const run = queue.then(() => fn({
+        get: (ref: ReturnType<typeof docRef>) => ref.get(),
+        update: (ref: ReturnType<typeof docRef>, data: Record<string, any>) => {
+          mockStore.set(ref.path, { ...mockStore.get(ref.path), ...data });
+        },
+      }));
+      queue = run.catch(() => undefined);
+      return run;
+    },
+  };
+
+  return { Timestamp, getFirestore: () => firestore };
+});
+
+const phoneNumber = '+41791234567';
+const session = () => mockStore.get(`conversation_sessions/${phoneNumber}`);
+
+const send = (text: string, messageSid: string, placeOrder: (draft: OrderDraft) => Promise<any>) =>
+  handleConversationMessage({ phoneNumber, channel: 'sms', messageSid, text, language: 'de', placeOrder });
+
+describe('conversational ordering', () => {
+  beforeEach(() => {
+    mockStore.clear();
+    process.env.TWILIO_TENANT_ID = 'truck-1';
+    mockStore.set('tenants/truck-1/products/burger', { name: 'Burger', pricing: { basePrice: 15.5 }, status: 'active' });
+    mockStore.set('tenants/truck-1/products/fries', { name: 'Pommes', price: 6, available: false });
+  });
+
+  it('builds the cart from the menu of the tenant', async () => {
+    const result = await send('2 Burger und Pommes', 'SM1', vi.fn());
+
+    expect(result).toMatchObject({ handled: true });
+    expect(session()).toMatchObject({
+      state: 'awaiting_confirmation',
+      cart: [{ productId: 'burger', quantity: 2, unitPrice: 15.5 }],
+    });
+  });
+
+  it('places the order once when the confirmation arrives twice', async () => {
+    const placeOrder = vi.fn(async () => ({ orderNumber: 'SMS-1' }));
+    await send('2 Burger', 'SM1', placeOrder);
+
+    const replies = await Promise.all([
+      send('JA', 'SM2', placeOrder),
+      send('ja', 'SM3', placeOrder),
+    ]);
+
+    expect(placeOrder).toHaveBeenCalledTimes(1);
+    expect(placeOrder).toHaveBeenCalledWith(expect.objectContaining({ total: 31 }));
+    expect(replies.filter((reply) => 'order' in reply && reply.order)).toHaveLength(1);
+    expect(session()).toBeUndefined();
+  });
+
+  it('does not change the cart while the order is placed', async () => {
+    let finish: (order: unknown) => void = () => undefined;
+    const placeOrder = vi.fn(() => new Promise((resolve) => {
+      finish = resolve;
+    }));
+    await send('Burger', 'SM1', placeOrder);
+
+    const confirmation = send('JA', 'SM2', placeOrder);
+    await vi.waitFor(() => expect(placeOrder).toHaveBeenCalled());
+
+    await expect(send('abbrechen', 'SM3', placeOrder)).resolves.toMatchObject({
+      reply: expect.stringContaining('bereits aufgegeben'),
+    });
+    expect(session()).toMatchObject({ state: 'placing', placingMessageSid: 'SM2' });
+
+    finish({ orderNumber: 'SMS-1' });
+    await expect(confirmation).resolves.toMatchObject({ order: { orderNumber: 'SMS-1' } });
+  });
+
+  it('lets the customer confirm again when placing fails', async () => {
+    const placeOrder = vi.fn()
+      .mockRejectedValueOnce(new Error('database unavailable'))
+      .mockResolvedValueOnce({ orderNumber: 'SMS-1' });
+    await send('Burger', 'SM1', placeOrder);
+
+    await expect(send('JA', 'SM2', placeOrder)).rejects.toThrow('database unavailable');
+    expect(session()).toMatchObject({ state: 'awaiting_confirmation' });
+    expect(session()).not.toHaveProperty('placingMessageSid');
+
+    await expect(send('JA', 'SM3', placeOrder)).resolves.toMatchObject({ order: { orderNumber: 'SMS-1' } });
+    expect(placeOrder).toHaveBeenCalledTimes(2);
+  });
+});
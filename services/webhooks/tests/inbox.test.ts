@@ -0,0 +1,129 @@
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+import { getRetryDelay, processDueEvents, receiveEvent } from '../src/inbox';
+
+// In-memory stand-in for the parts of Firestore the inbox uses
+const mockStore = new Map<string, Record<string, any>>();
+
+vi.mock('@eatech/utils', () => ({
+  logger: { info: vi.fn(), error: vi.fn() },
+}));
+
+vi.mock('firebase-admin/firestore', () => {
+  class Timestamp {}
+
+  const docRef = (id: string) => ({
+    id,
+    async create(data: Record<string, any>) {
+      if (mockStore.has(id)) {
+        throw Object.assign(new Error('Document already exists'), { code: 6 });
+      }
+      mockStore.set(id, { ...data });
+    },
+    async get() {
+      return { id, exists: mockStore.has(id), data: () => ({ ...mockStore.get(id) }) };
+    },
+    async update(data: Record<string, any>) {
+      mockStore.set(id, { ...mockStore.get(id), ...data });
+    },
+  });
+
+  const query = (filters: Array<(data: Record<string, any>) => boolean>, max = Infinity): any => ({
+    where: (field: string, op: string, value: any) => query([...filters, (data) => {
+      if (op === 'in') return value.includes(data[field]);
+      if (op === '<=') return data[field] !== null && data[field] <= value;
+      return data[field] === value;
+    }], max),
+    orderBy: () => query(filters, max),
+    limit: (n: number) => query(filters, n),
+    async get() {
+      const docs = [...mockStore.entries()]
+        .filter(([, data]) => filters.every((filter) => filter(data)))
+        .slice(0, max)
+        .map(([id, data]) => ({ id, data: () => ({ ...data }) }));
+      return { docs };
+    },
+  });
+
+  const firestore = {
+    collection: () => ({ doc: docRef, ...query([]) }),
+    runTransaction: async (fn: (transaction: any) => Promise<unknown>) => fn({
+      get: (ref: ReturnType<typeof docRef>) => ref.get(),
+      update: (ref: ReturnType<typeof docRef>, data: Record<string, any>) => {
+        mockStore.set(ref.id, { ...mockStore.get(ref.id), ...data });
+      },
+    }),
+  };
+
+  return { Timestamp, getFirestore: () => firestore };
+});
+
+const event = { id: 'evt_1', type: 'payment_intent.succeeded', livemode: false };
+const payload = JSON.stringify(event);
+
+describe('webhook inbox', () => {
+  beforeEach(() => {
+    mockStore.clear();
+    vi.useRealTimers();
+  });
+
+  it('processes an event delivered twice only once', async () => {
+    const handler = vi.fn(async () => undefined);
+
+    await expect(receiveEvent('stripe', event, payload, handler)).resolves.toBe('processed');
+    await expect(receiveEvent('stripe', event, payload, handler)).resolves.toBe('duplicate');
+
+    expect(handler).toHaveBeenCalledTimes(1);
+    expect(mockStore.get('stripe_evt_1')).toMatchObject({ status: 'done', attempts: 1, lockedUntil: null });
+  });
+
+  it('leaves a redelivery to the worker still processing the event', async () => {
+    let finish: () => void = () => undefined;
+    const handler = vi.fn(() => new Promise<void>((resolve) => {
+      finish = resolve;
+    }));
+
+    const first = receiveEvent('stripe', event, payload, handler);
+    await vi.waitFor(() => expect(handler).toHaveBeenCalled());
+
+    await expect(receiveEvent('stripe', event, payload, handler)).resolves.toBe('in_progress');
+    finish();
+    await expect(first).resolves.toBe('processed');
+    expect(handler).toHaveBeenCalledTimes(1);
+  });
+
+  it('retries a failed event once its backoff has elapsed', async () => {
+    vi.useFakeTimers({ toFake: ['Date'] });
+    vi.setSystemTime(new Date('2025-01-09T12:00:00Z'));
+    const handler = vi.fn()
+      .mockRejectedValueOnce(new Error('database unavailable'))
+      .mockResolvedValueOnce(undefined);
+
+    await expect(receiveEvent('stripe', event, payload, handler)).resolves.toBe('failed');
+    expect(mockStore.get('stripe_evt_1')).toMatchObject({ status: 'failed', lastError: 'database unavailable' });
+
+    await expect(processDueEvents('stripe', handler)).resolves.toBe(0);
+
+    vi.setSystemTime(new Date(Date.now() + getRetryDelay(1)));
+    await expect(processDueEvents('stripe', handler)).resolves.toBe(1);
+    expect(mockStore.get('stripe_evt_1')).toMatchObject({ status: 'done', attempts: 2 });
+  });
+
+  it('takes over an event whose claim has expired', async () => {
+    vi.useFakeTimers({ toFake: ['Date'] });
+    vi.setSystemTime(new Date('2025-01-09T12:00:00Z'));
+    const now = new Date();
+    mockStore.set('stripe_evt_1', {
+      service: 'stripe',
+      eventId: 'evt_1',
+      payload,
+      status: 'processing',
+      attempts: 0,
+      lockedUntil: new Date(now.getTime() - 1000),
+      nextAttemptAt: new Date(now.getTime() - 1000),
+    });
+    const handler = vi.fn(async () => undefined);
+
+    await expect(processDueEvents('stripe', handler)).resolves.toBe(1);
+    expect(handler).toHaveBeenCalledTimes(1);
+  });
+});
@@ -5,6 +5,30 @@
 
 import { IRequest, error, json } from 'itty-router';
 import { Env } from './index';
+import {
+  ImageFormat,
+  ImageProcessingError,
+  blur,
+  computeBlurhash,
+  cropPixels,
+  decodeImage,
+  encodeImage,
+  findSalientCrop,
+  grayscale,
+  planResize,
+  readImageInfo,
+  resizePixels,
+  sharpen,
+} from './image-processing';
+
+// Larger requests are clamped; srcset widths stay well below
+const MAX_DIMENSION = 2560;
+const MAX_BLUR = 50;
+
+const OUTPUT_FORMATS: ImageFormat[] = ['webp', 'avif', 'jpeg', 'png'];
+
+// Widths offered in srcsets
+export const RESPONSIVE_WIDTHS = [320, 640, 768, 1024, 1280, 1920];
 
 interface ImageOptions {
   width?: number;
@@ -15,6 +39,8 @@ interface ImageOptions {
   blur?: number;
   sharpen?: boolean;
   grayscale?: boolean;
+  // Position of a `cover` crop: centered or around the most detailed region
+  crop?: 'center' | 'smart';
 }
 
 export async function handleImageOptimization(
@@ -31,23 +57,27 @@ export async function handleImageOptimization(
     }
 
     // Parse image transformation options from query params
-    const options: ImageOptions = {
-      width: url.searchParams.has('w') ? parseInt(url.searchParams.get('w')!) : undefined,
-      height: url.searchParams.has('h') ? parseInt(url.searchParams.get('h')!) : undefined,
-      quality: url.searchParams.has('q') ? parseInt(url.searchParams.get('q')!) : 85,
+    const requested: ImageOptions = {
+      width: parseDimension(url.searchParams.get('w')),
+      height: parseDimension(url.searchParams.get('h')),
+      quality: url.searchParams.has('q') ? clampInt(url.searchParams.get('q')!, 1, 100) : 85,
       format: (url.searchParams.get('f') as ImageOptions['format']) || 'auto',
       fit: (url.searchParams.get('fit') as ImageOptions['fit']) || 'cover',
-      blur: url.searchParams.has('blur') ? parseInt(url.searchParams.get('blur')!) : undefined,
+      blur: url.searchParams.has('blur') ? clampInt(url.searchParams.get('blur')!, 1, MAX_BLUR) : undefined,
       sharpen: url.searchParams.get('sharpen') === 'true',
       grayscale: url.searchParams.get('grayscale') === 'true',
+      crop: url.searchParams.get('crop') === 'smart' ? 'smart' : 'center',
     };
 
-    // Generate cache key
+    // `auto` depends on the Accept header, which the edge cache does not vary
+    // on, so the resolved format is part of every cache key
+    const options = { ...requested, format: determineOutputFormat(requested.format, request) };
     const cacheKey = generateCacheKey(path, options);
+    const cacheRequest = new Request(`${url.origin}/__image-cache/${encodeURIComponent(cacheKey)}`);
     
     // Try to get from cache
     const cache = caches.default;
-    const cachedResponse = await cache.match(request);
+    const cachedResponse = await cache.match(cacheRequest);
     
     if (cachedResponse) {
       return cachedResponse;
@@ -59,13 +89,14 @@ export async function handleImageOptimization(
     if (processedImage) {
       const response = new Response(processedImage, {
         headers: {
-          'Content-Type': getContentType(options.format || 'jpeg'),
+          'Content-Type': getContentType(options.format),
           'Cache-Control': `public, max-age=${env.CACHE_TTL}`,
           'X-Cache': 'HIT',
+          'Vary': 'Accept',
         },
       });
       
-      ctx.waitUntil(cache.put(request, response.clone()));
+      ctx.waitUntil(cache.put(cacheRequest, response.clone()));
       return response;
     }
 
@@ -80,11 +111,14 @@ export async function handleImageOptimization(
         return error(404, 'Image not found');
       }
       
-      return handleImageTransformation(uploadedImage, options, request, env, ctx);
+      return handleImageTransformation(uploadedImage, options, path, cacheRequest, env, ctx);
     }
 
-    return handleImageTransformation(originalImage, options, request, env, ctx);
+    return handleImageTransformation(originalImage, options, path, cacheRequest, env, ctx);
   } catch (err) {
+    if (err instanceof ImageProcessingError) {
+      return error(err.status, err.message);
+    }
     console.error('Image optimization error:', err);
     return error(500, 'Failed to process image');
   }
@@ -92,21 +126,15 @@ export async function handleImageOptimization(
 
 async function handleImageTransformation(
   object: R2ObjectBody,
-  options: ImageOptions,
-  request: IRequest,
+  options: ImageOptions & { format: ImageFormat },
+  path: string,
+  cacheRequest: Request,
   env: Env,
   ctx: ExecutionContext
 ): Promise<Response> {
   const imageData = await object.arrayBuffer();
-  
-  // For now, we'll use Cloudflare Image Resizing API
-  // In production, you might want to use a more sophisticated image processing library
-  
   const transformedImage = await transformImage(imageData, options);
-  
-  // Determine output format
-  const outputFormat = determineOutputFormat(options.format, request);
-  const contentType = getContentType(outputFormat);
+  const contentType = getContentType(options.format);
   
   // Create response
   const response = new Response(transformedImage, {
@@ -122,15 +150,15 @@ async function handleImageTransformation(
 
   // Cache the response
   const cache = caches.default;
-  ctx.waitUntil(cache.put(request, response.clone()));
+  ctx.waitUntil(cache.put(cacheRequest, response.clone()));
   
   // Store in KV for faster access
-  const cacheKey = generateCacheKey(request.params.path, options);
+  const cacheKey = generateCacheKey(path, options);
   ctx.waitUntil(
     env.IMAGES.put(cacheKey, transformedImage, {
       expirationTtl: parseInt(env.CACHE_TTL),
       metadata: {
-        originalPath: request.params.path,
+        originalPath: path,
         options: JSON.stringify(options),
         transformedAt: new Date().toISOString(),
       },
@@ -140,21 +168,43 @@ async function handleImageTransformation(
   return response;
 }
 
-async function transformImage(
+// Decode, orient, crop/resize, filter and re-encode. Re-encoding also strips
+// Exif data such as the GPS position of the photo.
+export async function transformImage(
   imageData: ArrayBuffer,
-  options: ImageOptions
+  options: ImageOptions & { format: ImageFormat }
 ): Promise<ArrayBuffer> {
-  // This is a simplified version - in production, use proper image processing
-  // You could use Cloudflare Image Resizing API or integrate with a service like Cloudinary
-  
-  // For now, we'll just return the original image
-  // In a real implementation, you would:
-  // 1. Decode the image
-  // 2. Apply transformations (resize, blur, etc.)
-  // 3. Encode to the desired format
-  // 4. Return the transformed image
-  
-  return imageData;
+  let pixels = await decodeImage(imageData);
+
+  const plan = planResize(pixels.width, pixels.height, options.width, options.height, options.fit);
+  if (plan.crop) {
+    const crop = options.crop === 'smart'
+      ? await findSalientCrop(pixels, plan.width, plan.height)
+      : plan.crop;
+    pixels = cropPixels(pixels, crop);
+  }
+  pixels = await resizePixels(pixels, plan.width, plan.height);
+
+  if (options.grayscale) {
+    grayscale(pixels);
+  }
+  if (options.blur) {
+    blur(pixels, options.blur);
+  }
+  if (options.sharpen) {
+    sharpen(pixels);
+  }
+
+  return encodeImage(pixels, options.format, options.quality ?? 85);
+}
+
+function parseDimension(value: string | null): number | undefined {
+  return value ? clampInt(value, 1, MAX_DIMENSION) : undefined;
+}
+
+function clampInt(value: string, min: number, max: number): number {
+  const parsed = parseInt(value);
+  return Number.isNaN(parsed) ? min : Math.max(min, Math.min(max, parsed));
 }
 
 function generateCacheKey(path: string, options: ImageOptions): string {
@@ -170,9 +220,9 @@ function generateCacheKey(path: string, options: ImageOptions): string {
 function determineOutputFormat(
   requestedFormat: ImageOptions['format'],
   request: IRequest
-): string {
-  if (requestedFormat && requestedFormat !== 'auto') {
-    return requestedFormat;
+): ImageFormat {
+  if (requestedFormat && OUTPUT_FORMATS.includes(requestedFormat as ImageFormat)) {
+    return requestedFormat as ImageFormat;
   }
 
   // Auto format selection based on Accept header
@@ -250,6 +300,7 @@ export const restaurantImagePresets = {
     height: 300,
     quality: 90,
     fit: 'cover' as const,
+    crop: 'smart' as const,
   },
   restaurantLogo: {
     width: 200,
@@ -271,22 +322,34 @@ export const restaurantImagePresets = {
   },
 };
 
-// Responsive image generation
-export async function generateResponsiveImages(
+// Responsive image generation; widths above the original are left out as
+// images are never enlarged, the original width is offered instead
+export function generateResponsiveImages(
   originalPath: string,
-  env: Env
-): Promise<Record<string, string>> {
-  const sizes = [320, 640, 768, 1024, 1280, 1920];
+  originalWidth?: number,
+  baseUrl: string = '/cdn/images'
+): Record<string, string> {
+  const sizes = RESPONSIVE_WIDTHS.filter(size => !originalWidth || size < originalWidth);
+  if (originalWidth && originalWidth <= RESPONSIVE_WIDTHS[RESPONSIVE_WIDTHS.length - 1]) {
+    sizes.push(originalWidth);
+  }
+
   const urls: Record<string, string> = {};
   
   for (const size of sizes) {
-    urls[`${size}w`] = `/cdn/images/${originalPath}?w=${size}&f=auto`;
+    urls[`${size}w`] = `${baseUrl}/${originalPath}?w=${size}&f=auto`;
   }
   
   return urls;
 }
 
-// Image metadata extraction
+export function buildSrcSet(urls: Record<string, string>): string {
+  return Object.entries(urls)
+    .map(([descriptor, url]) => `${url} ${descriptor}`)
+    .join(', ');
+}
+
+// Image metadata extraction from the file headers, without decoding
 export async function extractImageMetadata(
   imageData: ArrayBuffer
 ): Promise<{
@@ -295,16 +358,17 @@ export async function extractImageMetadata(
   format: string;
   size: number;
   hasAlpha: boolean;
+  orientation: number;
 }> {
-  // This is a placeholder - in production, use a proper image library
-  // to extract actual metadata
-  
+  const info = readImageInfo(imageData);
+
   return {
-    width: 1920,
-    height: 1080,
-    format: 'jpeg',
+    width: info.width,
+    height: info.height,
+    format: info.format,
     size: imageData.byteLength,
-    hasAlpha: false,
+    hasAlpha: info.hasAlpha,
+    orientation: info.orientation,
   };
 }
 
@@ -312,14 +376,11 @@ export async function extractImageMetadata(
 export async function generateBlurhash(
   imageData: ArrayBuffer
 ): Promise<string> {
-  // This would use a blurhash library to generate a small hash
-  // that can be used for progressive image loading
-  
-  // Placeholder implementation
-  return 'L6PZfSi_.AyE_3t7t7R**0o#DgR4';
+  return computeBlurhash(await decodeImage(imageData));
 }
 
-// Smart cropping using face/object detection
+// Smart cropping: the region with the target aspect ratio holding the most
+// detail and colour, in display (Exif-oriented) coordinates
 export async function smartCrop(
   imageData: ArrayBuffer,
   targetWidth: number,
@@ -330,14 +391,5 @@ export async function smartCrop(
   width: number;
   height: number;
 }> {
-  // This would use ML models to detect faces or important objects
-  // and crop intelligently around them
-  
-  // Placeholder - center crop
-  return {
-    x: 0,
-    y: 0,
-    width: targetWidth,
-    height: targetHeight,
-  };
+  return findSalientCrop(await decodeImage(imageData), targetWidth, targetHeight);
 }
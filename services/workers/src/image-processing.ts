@@ -0,0 +1,738 @@
+/**
+ * Image processing
+ * Header parsing, WASM decoding/encoding, resizing and pixel operations
+ */
+
+import decodeJpeg, { init as initJpegDecode } from '@jsquash/jpeg/decode';
+import encodeJpeg, { init as initJpegEncode } from '@jsquash/jpeg/encode';
+import decodePng, { init as initPngDecode } from '@jsquash/png/decode';
+import encodePng, { init as initPngEncode } from '@jsquash/png/encode';
+import decodeWebp, { init as initWebpDecode } from '@jsquash/webp/decode';
+import encodeWebp, { init as initWebpEncode } from '@jsquash/webp/encode';
+import decodeAvif, { init as initAvifDecode } from '@jsquash/avif/decode';
+import encodeAvif, { init as initAvifEncode } from '@jsquash/avif/encode';
+import resize, { initResize } from '@jsquash/resize';
+import { encode as encodeBlurhash } from 'blurhash';
+
+// Workers cannot compile WASM from bytes at runtime, so wrangler bundles the
+// codecs as precompiled modules and we hand them to the codec init functions
+import JPEG_DEC_WASM from '@jsquash/jpeg/codec/dec/mozjpeg_dec.wasm';
+import JPEG_ENC_WASM from '@jsquash/jpeg/codec/enc/mozjpeg_enc.wasm';
+import PNG_WASM from '@jsquash/png/codec/pkg/squoosh_png_bg.wasm';
+import WEBP_DEC_WASM from '@jsquash/webp/codec/dec/webp_dec.wasm';
+import WEBP_ENC_WASM from '@jsquash/webp/codec/enc/webp_enc.wasm';
+import AVIF_DEC_WASM from '@jsquash/avif/codec/dec/avif_dec.wasm';
+import AVIF_ENC_WASM from '@jsquash/avif/codec/enc/avif_enc.wasm';
+import RESIZE_WASM from '@jsquash/resize/lib/resize/pkg/squoosh_resize_bg.wasm';
+
+export type ImageFormat = 'jpeg' | 'png' | 'webp' | 'avif';
+export type FitMode = 'contain' | 'cover' | 'fill' | 'inside' | 'outside';
+
+// Decoded RGBA pixels, structurally compatible with ImageData
+export interface Pixels {
+  data: Uint8ClampedArray;
+  width: number;
+  height: number;
+}
+
+export interface ImageInfo {
+  format: ImageFormat;
+  // Dimensions as displayed, i.e. after applying the EXIF orientation
+  width: number;
+  height: number;
+  hasAlpha: boolean;
+  // EXIF orientation 1-8, 1 = as stored
+  orientation: number;
+}
+
+export interface CropRegion {
+  x: number;
+  y: number;
+  width: number;
+  height: number;
+}
+
+export interface ResizePlan {
+  crop: CropRegion | null;
+  width: number;
+  height: number;
+}
+
+export class ImageProcessingError extends Error {
+  constructor(message: string, public status: number = 422) {
+    super(message);
+    this.name = 'ImageProcessingError';
+  }
+}
+
+type CodecImage = Parameters<typeof encodeJpeg>[0];
+
+// A 16 MP image takes 64 MB decoded; workers have 128 MB in total
+const MAX_DECODE_PIXELS = 16_000_000;
+
+// Blurhash components along the longer side and the size it is computed at
+const BLURHASH_COMPONENTS = 4;
+const BLURHASH_SIZE = 32;
+
+// Smart crop works on a small energy map
+const SALIENCY_SIZE = 64;
+
+// Codec initialization, once per isolate
+const initialized = new Map<string, Promise<unknown>>();
+
+function initOnce(name: string, init: () => Promise<unknown>): Promise<unknown> {
+  let pending = initialized.get(name);
+  if (!pending) {
+    pending = init();
+    initialized.set(name, pending);
+  }
+  return pending;
+}
+
+// Format detection by magic bytes
+export function detectFormat(bytes: Uint8Array): ImageFormat | null {
+  if (bytes[0] === 0xff && bytes[1] === 0xd8 && bytes[2] === 0xff) {
+    return 'jpeg';
+  }
+
+  if (ascii(bytes, 0, 4) === '\x89PNG') {
+    return 'png';
+  }
+
+  if (ascii(bytes, 0, 4) === 'RIFF' && ascii(bytes, 8, 4) === 'WEBP') {
+    return 'webp';
+  }
+
+  // ISO BMFF: the major or a compatible brand of the ftyp box is avif/avis
+  if (ascii(bytes, 4, 4) === 'ftyp') {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const boxSize = Math.min(view.getUint32(0), bytes.byteLength);
+    for (let offset = 8; offset + 4 <= boxSize; offset += 4) {
+      const brand = ascii(bytes, offset, 4);
+      if (brand === 'avif' || brand === 'avis') {
+        return 'avif';
+      }
+    }
+  }
+
+  return null;
+}
+
+// Read format, dimensions, alpha and orientation from the file headers only
+export function readImageInfo(buffer: ArrayBuffer): ImageInfo {
+  const bytes = new Uint8Array(buffer);
+  const format = detectFormat(bytes);
+
+  if (!format) {
+    throw new ImageProcessingError('Unsupported or corrupt image', 415);
+  }
+
+  const view = new DataView(buffer);
+  let info: Omit<ImageInfo, 'format'> | null = null;
+
+  try {
+    switch (format) {
+      case 'jpeg':
+        info = readJpegInfo(view);
+        break;
+      case 'png':
+        info = readPngInfo(view, bytes);
+        break;
+      case 'webp':
+        info = readWebpInfo(view, bytes);
+        break;
+      case 'avif':
+        info = readAvifInfo(view, bytes);
+        break;
+    }
+  } catch (err) {
+    // Truncated headers read past the end of the buffer
+    if (!(err instanceof RangeError)) {
+      throw err;
+    }
+    info = null;
+  }
+
+  if (!info || info.width <= 0 || info.height <= 0) {
+    throw new ImageProcessingError(`Cannot read ${format} image dimensions`);
+  }
+
+  return { format, ...info };
+}
+
+function readJpegInfo(view: DataView): Omit<ImageInfo, 'format'> | null {
+  let orientation = 1;
+  let offset = 2;
+
+  while (offset + 4 <= view.byteLength) {
+    if (view.getUint8(offset) !== 0xff) {
+      return null;
+    }
+
+    const marker = view.getUint8(offset + 1);
+
+    // Fill bytes before a marker
+    if (marker === 0xff) {
+      offset += 1;
+      continue;
+    }
+
+    const length = view.getUint16(offset + 2);
+
+    // APP1 with an Exif payload
+    if (marker === 0xe1 && view.getUint32(offset + 4) === 0x45786966) {
+      orientation = readExifOrientation(view, offset + 10);
+    }
+
+    // Start of frame, except DHT (C4), JPG (C8) and DAC (CC)
+    if (marker >= 0xc0 && marker <= 0xcf && marker !== 0xc4 && marker !== 0xc8 && marker !== 0xcc) {
+      const height = view.getUint16(offset + 5);
+      const width = view.getUint16(offset + 7);
+      return { ...orientedSize(width, height, orientation), hasAlpha: false, orientation };
+    }
+
+    offset += 2 + length;
+  }
+
+  return null;
+}
+
+// Orientation tag (0x0112) of IFD0 in a TIFF structure starting at `start`
+function readExifOrientation(view: DataView, start: number): number {
+  try {
+    const littleEndian = view.getUint16(start) === 0x4949;
+    const ifd = start + view.getUint32(start + 4, littleEndian);
+    const entries = view.getUint16(ifd, littleEndian);
+
+    for (let i = 0; i < entries; i++) {
+      const entry = ifd + 2 + (i * 12);
+      if (view.getUint16(entry, littleEndian) === 0x0112) {
+        const orientation = view.getUint16(entry + 8, littleEndian);
+        return orientation >= 1 && orientation <= 8 ? orientation : 1;
+      }
+    }
+  } catch {
+    // Broken Exif data is ignored like browsers do
+  }
+
+  return 1;
+}
+
+function readPngInfo(view: DataView, bytes: Uint8Array): Omit<ImageInfo, 'format'> {
+  const width = view.getUint32(16);
+  const height = view.getUint32(20);
+  const colorType = view.getUint8(25);
+
+  // Gray+alpha and RGBA carry alpha; other types may add a tRNS chunk
+  let hasAlpha = colorType === 4 || colorType === 6;
+  for (let offset = 8; !hasAlpha && offset + 8 <= bytes.byteLength;) {
+    const type = ascii(bytes, offset + 4, 4);
+    if (type === 'tRNS') {
+      hasAlpha = true;
+    } else if (type === 'IDAT' || type === 'IEND') {
+      break;
+    }
+    offset += 12 + view.getUint32(offset);
+  }
+
+  return { width, height, hasAlpha, orientation: 1 };
+}
+
+function readWebpInfo(view: DataView, bytes: Uint8Array): Omit<ImageInfo, 'format'> | null {
+  const chunk = ascii(bytes, 12, 4);
+
+  if (chunk === 'VP8 ') {
+    return {
+      width: view.getUint16(26, true) & 0x3fff,
+      height: view.getUint16(28, true) & 0x3fff,
+      hasAlpha: false,
+      orientation: 1,
+    };
+  }
+
+  if (chunk === 'VP8L') {
+    const bits = view.getUint32(21, true);
+    return {
+      width: (bits & 0x3fff) + 1,
+      height: ((bits >>> 14) & 0x3fff) + 1,
+      hasAlpha: ((bits >>> 28) & 1) === 1,
+      orientation: 1,
+    };
+  }
+
+  if (chunk === 'VP8X') {
+    const flags = view.getUint8(20);
+    return {
+      width: readUint24(view, 24) + 1,
+      height: readUint24(view, 27) + 1,
+      hasAlpha: (flags & 0x10) !== 0,
+      orientation: 1,
+    };
+  }
+
+  return null;
+}
+
+function readAvifInfo(view: DataView, bytes: Uint8Array): Omit<ImageInfo, 'format'> | null {
+  // Image spatial extents live in meta > iprp > ipco > ispe; an alpha plane
+  // has its own ispe, so the largest one belongs to the primary image
+  const ipco = findBox(view, bytes, ['meta', 'iprp', 'ipco']);
+  if (!ipco) {
+    return null;
+  }
+
+  let width = 0;
+  let height = 0;
+  let hasAlpha = false;
+
+  for (let offset = ipco.start; offset + 8 <= ipco.end;) {
+    const size = view.getUint32(offset);
+    const type = ascii(bytes, offset + 4, 4);
+
+    if (type === 'ispe') {
+      const boxWidth = view.getUint32(offset + 12);
+      const boxHeight = view.getUint32(offset + 16);
+      if (boxWidth * boxHeight > width * height) {
+        width = boxWidth;
+        height = boxHeight;
+      }
+    } else if (type === 'auxC' && ascii(bytes, offset + 12, size - 12).includes('auxiliary:alpha')) {
+      hasAlpha = true;
+    }
+
+    if (size < 8) {
+      break;
+    }
+    offset += size;
+  }
+
+  // Rotation (irot) is applied by the decoder, the extents are unrotated
+  return { width, height, hasAlpha, orientation: 1 };
+}
+
+// Payload range of a nested ISO BMFF box
+function findBox(
+  view: DataView,
+  bytes: Uint8Array,
+  path: string[]
+): { start: number; end: number } | null {
+  let start = 0;
+  let end = bytes.byteLength;
+
+  for (const name of path) {
+    let found = false;
+
+    for (let offset = start; offset + 8 <= end;) {
+      const size = view.getUint32(offset);
+      if (ascii(bytes, offset + 4, 4) === name) {
+        // meta is a full box with 4 bytes of version and flags
+        start = offset + (name === 'meta' ? 12 : 8);
+        end = Math.min(offset + size, end);
+        found = true;
+        break;
+      }
+      if (size < 8) {
+        return null;
+      }
+      offset += size;
+    }
+
+    if (!found) {
+      return null;
+    }
+  }
+
+  return { start, end };
+}
+
+function orientedSize(width: number, height: number, orientation: number): { width: number; height: number } {
+  return orientation >= 5 ? { width: height, height: width } : { width, height };
+}
+
+function readUint24(view: DataView, offset: number): number {
+  return view.getUint8(offset) | (view.getUint8(offset + 1) << 8) | (view.getUint8(offset + 2) << 16);
+}
+
+function ascii(bytes: Uint8Array, offset: number, length: number): string {
+  return String.fromCharCode(...bytes.subarray(offset, offset + length));
+}
+
+// Decode to RGBA pixels in display orientation
+export async function decodeImage(buffer: ArrayBuffer, info: ImageInfo = readImageInfo(buffer)): Promise<Pixels> {
+  if (info.width * info.height > MAX_DECODE_PIXELS) {
+    throw new ImageProcessingError(
+      `Image too large to process: ${info.width}×${info.height}`,
+      413
+    );
+  }
+
+  let pixels: Pixels | null = null;
+
+  switch (info.format) {
+    case 'jpeg':
+      await initOnce('jpeg-dec', () => initJpegDecode(JPEG_DEC_WASM));
+      pixels = await decodeJpeg(buffer);
+      break;
+    case 'png':
+      await initOnce('png', () => initPngDecode(PNG_WASM));
+      pixels = await decodePng(buffer);
+      break;
+    case 'webp':
+      await initOnce('webp-dec', () => initWebpDecode(WEBP_DEC_WASM));
+      pixels = await decodeWebp(buffer);
+      break;
+    case 'avif':
+      await initOnce('avif-dec', () => initAvifDecode(AVIF_DEC_WASM));
+      pixels = await decodeAvif(buffer);
+      break;
+  }
+
+  if (!pixels) {
+    throw new ImageProcessingError(`Cannot decode ${info.format} image`);
+  }
+
+  return applyOrientation(pixels, info.orientation);
+}
+
+export async function encodeImage(pixels: Pixels, format: ImageFormat, quality: number): Promise<ArrayBuffer> {
+  switch (format) {
+    case 'jpeg':
+      await initOnce('jpeg-enc', () => initJpegEncode(JPEG_ENC_WASM));
+      // JPEG has no alpha channel; transparent areas would turn black
+      return encodeJpeg(flatten(pixels) as CodecImage, { quality, progressive: true });
+    case 'png':
+      await initOnce('png', () => initPngEncode(PNG_WASM));
+      return encodePng(pixels as CodecImage);
+    case 'webp':
+      await initOnce('webp-enc', () => initWebpEncode(WEBP_ENC_WASM));
+      return encodeWebp(pixels as CodecImage, { quality });
+    case 'avif':
+      await initOnce('avif-enc', () => initAvifEncode(AVIF_ENC_WASM));
+      // The fast end of the speed range keeps encoding inside the CPU limit
+      return encodeAvif(pixels as CodecImage, { quality, speed: 8 });
+  }
+}
+
+// Rotate/mirror stored pixels according to an EXIF orientation
+export function applyOrientation(pixels: Pixels, orientation: number): Pixels {
+  if (orientation <= 1 || orientation > 8) {
+    return pixels;
+  }
+
+  const { width, height, data } = pixels;
+  const swap = orientation >= 5;
+  const outWidth = swap ? height : width;
+  const outHeight = swap ? width : height;
+  const out = new Uint32Array(outWidth * outHeight);
+  const src = new Uint32Array(data.buffer, data.byteOffset, width * height);
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      let tx = x;
+      let ty = y;
+
+      switch (orientation) {
+        case 2: tx = width - 1 - x; break;
+        case 3: tx = width - 1 - x; ty = height - 1 - y; break;
+        case 4: ty = height - 1 - y; break;
+        case 5: tx = y; ty = x; break;
+        case 6: tx = height - 1 - y; ty = x; break;
+        case 7: tx = height - 1 - y; ty = width - 1 - x; break;
+        case 8: tx = y; ty = width - 1 - x; break;
+      }
+
+      out[(ty * outWidth) + tx] = src[(y * width) + x];
+    }
+  }
+
+  return { data: new Uint8ClampedArray(out.buffer), width: outWidth, height: outHeight };
+}
+
+// Work out crop and output size; images are never enlarged. `contain`
+// behaves like `inside` as there is no letterboxing.
+export function planResize(
+  sourceWidth: number,
+  sourceHeight: number,
+  width?: number,
+  height?: number,
+  fit: FitMode = 'cover'
+): ResizePlan {
+  if (!width && !height) {
+    return { crop: null, width: sourceWidth, height: sourceHeight };
+  }
+
+  if (!width || !height) {
+    const scale = Math.min(1, width ? width / sourceWidth : height! / sourceHeight);
+    return { crop: null, ...scaleSize(sourceWidth, sourceHeight, scale) };
+  }
+
+  switch (fit) {
+    case 'fill':
+      return {
+        crop: null,
+        width: Math.min(width, sourceWidth),
+        height: Math.min(height, sourceHeight),
+      };
+
+    case 'contain':
+    case 'inside': {
+      const scale = Math.min(1, width / sourceWidth, height / sourceHeight);
+      return { crop: null, ...scaleSize(sourceWidth, sourceHeight, scale) };
+    }
+
+    case 'outside': {
+      const scale = Math.min(1, Math.max(width / sourceWidth, height / sourceHeight));
+      return { crop: null, ...scaleSize(sourceWidth, sourceHeight, scale) };
+    }
+
+    case 'cover':
+    default: {
+      // Largest centered region with the target aspect ratio
+      const aspect = width / height;
+      const cropWidth = Math.min(sourceWidth, Math.round(sourceHeight * aspect));
+      const cropHeight = Math.min(sourceHeight, Math.round(sourceWidth / aspect));
+      const scale = Math.min(1, width / cropWidth);
+
+      return {
+        crop: {
+          x: Math.floor((sourceWidth - cropWidth) / 2),
+          y: Math.floor((sourceHeight - cropHeight) / 2),
+          width: cropWidth,
+          height: cropHeight,
+        },
+        ...scaleSize(cropWidth, cropHeight, scale),
+      };
+    }
+  }
+}
+
+function scaleSize(width: number, height: number, scale: number): { width: number; height: number } {
+  return {
+    width: Math.max(1, Math.round(width * scale)),
+    height: Math.max(1, Math.round(height * scale)),
+  };
+}
+
+export function cropPixels(pixels: Pixels, region: CropRegion): Pixels {
+  if (region.x === 0 && region.y === 0 && region.width === pixels.width && region.height === pixels.height) {
+    return pixels;
+  }
+
+  const data = new Uint8ClampedArray(region.width * region.height * 4);
+  for (let row = 0; row < region.height; row++) {
+    const start = (((region.y + row) * pixels.width) + region.x) * 4;
+    data.set(pixels.data.subarray(start, start + (region.width * 4)), row * region.width * 4);
+  }
+
+  return { data, width: region.width, height: region.height };
+}
+
+export async function resizePixels(pixels: Pixels, width: number, height: number): Promise<Pixels> {
+  if (width === pixels.width && height === pixels.height) {
+    return pixels;
+  }
+
+  await initOnce('resize', () => initResize(RESIZE_WASM));
+  return resize(pixels as CodecImage, {
+    width,
+    height,
+    method: 'lanczos3',
+    fitMethod: 'stretch',
+    premultiply: true,
+    linearRGB: true,
+  });
+}
+
+// Filters, in place
+export function grayscale(pixels: Pixels): Pixels {
+  const { data } = pixels;
+  for (let i = 0; i < data.length; i += 4) {
+    const luma = (0.2126 * data[i]) + (0.7152 * data[i + 1]) + (0.0722 * data[i + 2]);
+    data[i] = luma;
+    data[i + 1] = luma;
+    data[i + 2] = luma;
+  }
+  return pixels;
+}
+
+// Three box blur passes approximate a gaussian blur with the given radius
+export function blur(pixels: Pixels, radius: number): Pixels {
+  const boxRadius = Math.max(1, Math.round(radius / 3));
+  for (let pass = 0; pass < 3; pass++) {
+    boxBlur(pixels, boxRadius, true);
+    boxBlur(pixels, boxRadius, false);
+  }
+  return pixels;
+}
+
+function boxBlur(pixels: Pixels, radius: number, horizontal: boolean): void {
+  const { data, width, height } = pixels;
+  const lines = horizontal ? height : width;
+  const length = horizontal ? width : height;
+  const step = horizontal ? 4 : width * 4;
+  const line = new Float32Array(length * 4);
+  const window = (radius * 2) + 1;
+
+  for (let l = 0; l < lines; l++) {
+    const base = horizontal ? l * width * 4 : l * 4;
+
+    for (let i = 0; i < length; i++) {
+      line.set(data.subarray(base + (i * step), base + (i * step) + 4), i * 4);
+    }
+
+    for (let channel = 0; channel < 4; channel++) {
+      // Running sum with clamped edges
+      let sum = 0;
+      for (let i = -radius; i <= radius; i++) {
+        sum += line[(clamp(i, 0, length - 1) * 4) + channel];
+      }
+
+      for (let i = 0; i < length; i++) {
+        data[base + (i * step) + channel] = sum / window;
+        sum += line[(clamp(i + radius + 1, 0, length - 1) * 4) + channel];
+        sum -= line[(clamp(i - radius, 0, length - 1) * 4) + channel];
+      }
+    }
+  }
+}
+
+export function sharpen(pixels: Pixels): Pixels {
+  const { data, width, height } = pixels;
+  const source = data.slice();
+
+  for (let y = 1; y < height - 1; y++) {
+    for (let x = 1; x < width - 1; x++) {
+      const i = ((y * width) + x) * 4;
+      for (let channel = 0; channel < 3; channel++) {
+        const c = i + channel;
+        data[c] = (5 * source[c])
+          - source[c - 4]
+          - source[c + 4]
+          - source[c - (width * 4)]
+          - source[c + (width * 4)];
+      }
+    }
+  }
+
+  return pixels;
+}
+
+// Composite onto white and make opaque
+function flatten(pixels: Pixels): Pixels {
+  const data = pixels.data.slice();
+  for (let i = 0; i < data.length; i += 4) {
+    const alpha = data[i + 3] / 255;
+    if (alpha < 1) {
+      data[i] = (data[i] * alpha) + (255 * (1 - alpha));
+      data[i + 1] = (data[i + 1] * alpha) + (255 * (1 - alpha));
+      data[i + 2] = (data[i + 2] * alpha) + (255 * (1 - alpha));
+      data[i + 3] = 255;
+    }
+  }
+  return { data, width: pixels.width, height: pixels.height };
+}
+
+export async function computeBlurhash(pixels: Pixels): Promise<string> {
+  const small = await resizePixels(
+    pixels,
+    ...fitWithin(pixels.width, pixels.height, BLURHASH_SIZE)
+  );
+
+  // More components along the longer side
+  const landscape = small.width >= small.height;
+  const componentsX = landscape ? BLURHASH_COMPONENTS : BLURHASH_COMPONENTS - 1;
+  const componentsY = landscape ? BLURHASH_COMPONENTS - 1 : BLURHASH_COMPONENTS;
+
+  return encodeBlurhash(small.data, small.width, small.height, componentsX, componentsY);
+}
+
+// Find the crop with the target aspect ratio that keeps the most detail and
+// colour, which for food photos is the dish rather than table or background
+export async function findSalientCrop(pixels: Pixels, targetWidth: number, targetHeight: number): Promise<CropRegion> {
+  const plan = planResize(pixels.width, pixels.height, targetWidth, targetHeight, 'cover');
+  const centered = plan.crop!;
+
+  const [mapWidth, mapHeight] = fitWithin(pixels.width, pixels.height, SALIENCY_SIZE);
+  const small = await resizePixels(pixels, mapWidth, mapHeight);
+  const energy = saliencyMap(small);
+
+  // The crop spans one full axis, so it only slides along the other
+  const horizontal = centered.width < pixels.width;
+  const scale = horizontal ? mapWidth / pixels.width : mapHeight / pixels.height;
+  const span = horizontal ? mapWidth : mapHeight;
+  const windowSize = Math.max(1, Math.round((horizontal ? centered.width : centered.height) * scale));
+
+  if (windowSize >= span) {
+    return centered;
+  }
+
+  // Energy per column (or row), then a sliding window over it
+  const profile = new Float64Array(span);
+  for (let y = 0; y < mapHeight; y++) {
+    for (let x = 0; x < mapWidth; x++) {
+      profile[horizontal ? x : y] += energy[(y * mapWidth) + x];
+    }
+  }
+
+  let sum = 0;
+  for (let i = 0; i < windowSize; i++) {
+    sum += profile[i];
+  }
+
+  // Slight preference for the center so flat images stay centered
+  const center = (span - windowSize) / 2;
+  const score = (start: number, value: number) => value * (1 - ((0.1 * Math.abs(start - center)) / span));
+
+  let best = 0;
+  let bestScore = score(0, sum);
+  for (let start = 1; start + windowSize <= span; start++) {
+    sum += profile[start + windowSize - 1] - profile[start - 1];
+    const current = score(start, sum);
+    if (current > bestScore) {
+      best = start;
+      bestScore = current;
+    }
+  }
+
+  const offset = Math.round(best / scale);
+  return horizontal
+    ? { ...centered, x: clamp(offset, 0, pixels.width - centered.width) }
+    : { ...centered, y: clamp(offset, 0, pixels.height - centered.height) };
+}
+
+// Edge strength plus saturation per pixel
+function saliencyMap(pixels: Pixels): Float32Array {
+  const { data, width, height } = pixels;
+  const luma = new Float32Array(width * height);
+  const energy = new Float32Array(width * height);
+
+  for (let p = 0; p < luma.length; p++) {
+    luma[p] = (0.2126 * data[p * 4]) + (0.7152 * data[(p * 4) + 1]) + (0.0722 * data[(p * 4) + 2]);
+  }
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const p = (y * width) + x;
+      const dx = luma[(y * width) + Math.min(x + 1, width - 1)] - luma[(y * width) + Math.max(x - 1, 0)];
+      const dy = luma[(Math.min(y + 1, height - 1) * width) + x] - luma[(Math.max(y - 1, 0) * width) + x];
+      const r = data[p * 4];
+      const g = data[(p * 4) + 1];
+      const b = data[(p * 4) + 2];
+      const saturation = Math.max(r, g, b) - Math.min(r, g, b);
+
+      energy[p] = (Math.abs(dx) + Math.abs(dy) + saturation) * (data[(p * 4) + 3] / 255);
+    }
+  }
+
+  return energy;
+}
+
+function fitWithin(width: number, height: number, size: number): [number, number] {
+  const scale = Math.min(1, size / Math.max(width, height));
+  const scaled = scaleSize(width, height, scale);
+  return [scaled.width, scaled.height];
+}
+
+function clamp(value: number, min: number, max: number): number {
+  return Math.max(min, Math.min(max, value));
+}
@@ -4,7 +4,15 @@
  */
 
 import { Router, IRequest, error, json } from 'itty-router';
-import { handleImageOptimization } from './image-optimization';
+import { findLocality, getCantonByPostalCode } from '@eatech/utils/swiss';
+import {
+  buildSrcSet,
+  extractImageMetadata,
+  generateBlurhash,
+  generateResponsiveImages,
+  handleImageOptimization,
+} from './image-optimization';
+import { ImageProcessingError } from './image-processing';
 import { handleCache, purgeCache } from './cache-handler';
 import { RateLimiter } from './rate-limiter';
 import { withAuth } from './middleware/auth';
@@ -55,10 +63,17 @@ router.get('/health', () => {
 // Public routes
 
 // Image optimization and CDN
+const CDN_IMAGES_URL = 'https://cdn.eatech.ch/images';
+
 router.get('/cdn/images/:path+', async (request: IRequest, env: Env, ctx: ExecutionContext) => {
   return handleImageOptimization(request, env, ctx);
 });
 
+// Public CDN URLs (cdn.eatech.ch/images/...)
+router.get('/images/:path+', async (request: IRequest, env: Env, ctx: ExecutionContext) => {
+  return handleImageOptimization(request, env, ctx);
+});
+
 // Image upload (requires auth)
 router.post('/api/v1/images/upload', withAuth, async (request: IRequest, env: Env, ctx: ExecutionContext) => {
   try {
@@ -81,21 +96,34 @@ router.post('/api/v1/images/upload', withAuth, async (request: IRequest, env: En
       return error(400, `File too large. Maximum size: ${maxSize} bytes`);
     }
 
+    // Read the real format and size; this also rejects files that only claim
+    // to be images
+    const imageData = await file.arrayBuffer();
+    const metadata = await extractImageMetadata(imageData);
+    if (!allowedTypes.includes(`image/${metadata.format}`)) {
+      return error(400, `Invalid file type. Allowed types: ${env.ALLOWED_IMAGE_TYPES}`);
+    }
+    const blurhash = await generateBlurhash(imageData);
+
     // Generate unique filename
     const timestamp = Date.now();
     const randomId = Math.random().toString(36).substring(2, 15);
-    const extension = file.name.split('.').pop();
+    const extension = metadata.format === 'jpeg' ? 'jpg' : metadata.format;
     const filename = `uploads/${timestamp}-${randomId}.${extension}`;
+    const srcSet = buildSrcSet(generateResponsiveImages(filename, metadata.width, CDN_IMAGES_URL));
 
     // Upload to R2
-    await env.UPLOADS.put(filename, file.stream(), {
+    await env.UPLOADS.put(filename, imageData, {
       httpMetadata: {
-        contentType: file.type,
+        contentType: `image/${metadata.format}`,
       },
       customMetadata: {
         originalName: file.name,
         uploadedAt: new Date().toISOString(),
         uploadedBy: request.user?.id || 'anonymous',
+        width: String(metadata.width),
+        height: String(metadata.height),
+        blurhash,
       },
     });
 
@@ -104,7 +132,12 @@ router.post('/api/v1/images/upload', withAuth, async (request: IRequest, env: En
       filename,
       originalName: file.name,
       size: file.size,
-      type: file.type,
+      type: `image/${metadata.format}`,
+      width: metadata.width,
+      height: metadata.height,
+      hasAlpha: metadata.hasAlpha,
+      blurhash,
+      srcSet,
       uploadedAt: new Date().toISOString(),
       uploadedBy: request.user?.id || 'anonymous',
     }), {
@@ -115,12 +148,19 @@ router.post('/api/v1/images/upload', withAuth, async (request: IRequest, env: En
       success: true,
       data: {
         filename,
-        url: `https://cdn.eatech.ch/images/${filename}`,
+        url: `${CDN_IMAGES_URL}/${filename}`,
         size: file.size,
-        type: file.type,
+        type: `image/${metadata.format}`,
+        width: metadata.width,
+        height: metadata.height,
+        blurhash,
+        srcSet,
       },
     });
   } catch (err) {
+    if (err instanceof ImageProcessingError) {
+      return error(err.status === 413 ? 413 : 400, err.message);
+    }
     console.error('Upload error:', err);
     return error(500, 'Upload failed');
   }
@@ -195,19 +235,24 @@ router.get('/api/v1/geo', (request: IRequest) => {
 router.get('/api/v1/swiss/canton', (request: IRequest) => {
   const cf = request.cf;
   
-  // Map postal codes to cantons
-  const postalCode = cf?.postalCode;
+  // An explicit postal code wins over the one of the visitor's location
+  const postalCode = String(request.query.postalCode || cf?.postalCode || '').trim();
   if (!postalCode) {
     return json({ error: 'Could not determine location' }, { status: 400 });
   }
   
-  const canton = getCantonFromPostalCode(postalCode);
+  const locality = findLocality(postalCode);
+  const canton = getCantonByPostalCode(postalCode) || 'CH';
   
   return json({
     postalCode,
     canton,
+    locality: locality?.locality || null,
+    municipality: locality?.municipality || null,
+    bfsNumber: locality?.bfsNumber || null,
+    coordinates: locality ? { latitude: locality.latitude, longitude: locality.longitude } : null,
     taxRate: getCantonTaxRate(canton),
-    language: getCantonLanguage(canton),
+    language: locality?.language || getCantonLanguage(canton),
   });
 });
 
@@ -276,20 +321,6 @@ export class RateLimiter {
 }
 
 // Swiss utilities
-function getCantonFromPostalCode(postalCode: string): string {
-  const code = parseInt(postalCode);
-  
-  // Simplified mapping - in production, use complete mapping
-  if (code >= 1000 && code <= 1299) return 'VD'; // Vaud
-  if (code >= 1200 && code <= 1299) return 'GE'; // Geneva
-  if (code >= 3000 && code <= 3999) return 'BE'; // Bern
-  if (code >= 8000 && code <= 8999) return 'ZH'; // Zurich
-  if (code >= 4000 && code <= 4999) return 'BS'; // Basel
-  if (code >= 6000 && code <= 6999) return 'LU'; // Lucerne
-  
-  return 'CH'; // Default
-}
-
 function getCantonTaxRate(canton: string): number {
   const taxRates: Record<string, number> = {
     ZH: 7.7,
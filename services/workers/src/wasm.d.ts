@@ -0,0 +1,5 @@
+// WASM imports are bundled by wrangler as precompiled modules
+declare module '*.wasm' {
+  const module: WebAssembly.Module;
+  export default module;
+}